@@ -7,14 +7,22 @@ import { AuthProvider } from './hooks/useAuth.jsx';
 // Importar componentes
 import LoginPage from './components/auth/LoginPage.jsx';
 import ProtectedRoute from './components/auth/ProtectedRoute.jsx';
+import { PERMISSIONS } from './firebase/roleService.js';
 import AdminDashboard from './components/admin/AdminDashboard.jsx';
 import HomePage from './pages/HomePage.jsx';
+import CamaPage from './pages/CamaPage.jsx';
 import Navbar from './components/layout/Navbar.jsx';
 
 // Importar nuevos componentes de viveros
 import ViverosList from './components/viveros/ViverosList.jsx';
 import ViveroForm from './components/viveros/ViveroForm.jsx';
 
+// Importar componentes de camas
+import CamaForm from './components/camas/CamaForm.jsx';
+
+// Importar componentes QR
+import QrLabelSheet from './components/qr/QrLabelSheet.jsx';
+
 // Tema personalizado para Agro-Track
 const theme = createTheme({
     palette: {
@@ -120,28 +128,60 @@ function App() {
                                 }
                             />
 
-                            {/* Formulario crear vivero (solo admins) */}
+                            {/* Formulario crear vivero (solo propietarios) */}
                             <Route
                                 path="/admin/vivero/nuevo"
                                 element={
-                                    <ProtectedRoute requireAdmin={true}>
+                                    <ProtectedRoute permission={PERMISSIONS.CREAR_VIVERO}>
                                         <Navbar />
                                         <ViveroForm mode="create" />
                                     </ProtectedRoute>
                                 }
                             />
 
-                            {/* Formulario editar vivero (solo admins) */}
+                            {/* Formulario editar vivero (propietario o encargado del vivero) */}
                             <Route
                                 path="/admin/vivero/:id/editar"
                                 element={
-                                    <ProtectedRoute requireAdmin={true}>
+                                    <ProtectedRoute permission={PERMISSIONS.EDITAR_VIVERO} viveroParam="id">
                                         <Navbar />
                                         <ViveroFormWrapper mode="edit" />
                                     </ProtectedRoute>
                                 }
                             />
 
+                            {/* Formulario crear cama (propietario o encargado del vivero) */}
+                            <Route
+                                path="/admin/vivero/:viveroId/cama/nueva"
+                                element={
+                                    <ProtectedRoute permission={PERMISSIONS.CREAR_CAMA}>
+                                        <Navbar />
+                                        <CamaFormWrapper mode="create" />
+                                    </ProtectedRoute>
+                                }
+                            />
+
+                            {/* Formulario editar cama (propietario o encargado del vivero) */}
+                            <Route
+                                path="/admin/vivero/:viveroId/cama/:camaId/editar"
+                                element={
+                                    <ProtectedRoute permission={PERMISSIONS.EDITAR_CAMA}>
+                                        <Navbar />
+                                        <CamaFormWrapper mode="edit" />
+                                    </ProtectedRoute>
+                                }
+                            />
+
+                            {/* Hoja imprimible de etiquetas QR (sin Navbar para imprimir limpio) */}
+                            <Route
+                                path="/vivero/:viveroId/etiquetas"
+                                element={
+                                    <ProtectedRoute>
+                                        <QrLabelSheet />
+                                    </ProtectedRoute>
+                                }
+                            />
+
                             {/* Dashboard - Próximamente */}
                             <Route
                                 path="/dashboard"
@@ -190,23 +230,7 @@ function App() {
                             {/* Vista QR de cama */}
                             <Route
                                 path="/v/:viveroId/c/:camaId"
-                                element={
-                                    // TODO: Implementar CamaViewer
-                                    <div style={{ 
-                                        padding: '2rem', 
-                                        textAlign: 'center',
-                                        minHeight: '100vh',
-                                        display: 'flex',
-                                        flexDirection: 'column',
-                                        justifyContent: 'center',
-                                        alignItems: 'center',
-                                        backgroundColor: '#f5f5f5'
-                                    }}>
-                                        <h2>📱 Vista QR - Cama</h2>
-                                        <p>Próximamente: Vista pública QR de la cama</p>
-                                        <small>URL: {window.location.pathname}</small>
-                                    </div>
-                                }
+                                element={<CamaPage />}
                             />
 
                             {/* Redirect por defecto */}
@@ -228,4 +252,10 @@ const ViveroFormWrapper = ({ mode }) => {
     return <ViveroForm mode={mode} viveroId={id} />;
 };
 
+// Wrapper para CamaForm que extrae viveroId y camaId de los params
+const CamaFormWrapper = ({ mode }) => {
+    const { viveroId, camaId } = useParams();
+    return <CamaForm key={`${viveroId}/${camaId || 'nueva'}`} mode={mode} viveroId={viveroId} camaId={camaId} />;
+};
+
 export default App;
\ No newline at end of file
@@ -1,7 +1,16 @@
 // src/components/admin/AdminDashboard.jsx
 import { useState, useEffect } from 'react';
 import { useAuth } from '../../hooks/useAuth.jsx';
+import { useViveros } from '../../hooks/useViveros.jsx';
 import { getAllUsers } from '../../firebase/userService.js';
+import { ROLES, getRoleLabel } from '../../firebase/roleService.js';
+import UserPermissionsDialog from './UserPermissionsDialog.jsx';
+import TrashBin from './TrashBin.jsx';
+import CortesExportDialog from '../export/CortesExportDialog.jsx';
+import BackupRestoreDialog from './BackupRestoreDialog.jsx';
+import EspeciesCatalog from '../especies/EspeciesCatalog.jsx';
+import { migrateLegacyEstadosCamas } from '../../firebase/camas/camaEstadoService.js';
+import { migrateCortesUbicacion } from '../../firebase/camas/cortesService.js';
 import {
   Container,
   Paper,
@@ -20,13 +29,21 @@ import {
   Avatar,
   Alert,
   CircularProgress,
-  Divider
+  Divider,
+  IconButton,
+  Tooltip,
+  Button
 } from '@mui/material';
 import {
   People as PeopleIcon,
   AdminPanelSettings as AdminIcon,
   PersonAdd as PersonAddIcon,
-  Schedule as ScheduleIcon
+  Schedule as ScheduleIcon,
+  ManageAccounts as ManageAccountsIcon,
+  Block as BlockIcon,
+  FileDownload as FileDownloadIcon,
+  SettingsBackupRestore as RestoreBackupIcon,
+  Autorenew as AutorenewIcon
 } from '@mui/icons-material';
 
 const AdminDashboard = () => {
@@ -34,6 +51,14 @@ const AdminDashboard = () => {
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [editingUser, setEditingUser] = useState(null);
+  const [exportOpen, setExportOpen] = useState(false);
+  const [restoreOpen, setRestoreOpen] = useState(false);
+  const [migrandoEstados, setMigrandoEstados] = useState(false);
+  const [migracionEstados, setMigracionEstados] = useState(null);
+  const [migrandoCortes, setMigrandoCortes] = useState(false);
+  const [migracionCortes, setMigracionCortes] = useState(null);
+  const { viveros, loadViveros } = useViveros({ autoLoad: true });
 
   useEffect(() => {
     loadUsers();
@@ -53,11 +78,55 @@ const AdminDashboard = () => {
     }
   };
 
+  const handlePermissionsSaved = async () => {
+    setEditingUser(null);
+    await loadUsers();
+  };
+
+  const handleMigrarEstados = async () => {
+    try {
+      setMigrandoEstados(true);
+      const result = await migrateLegacyEstadosCamas(user.email);
+      setMigracionEstados({
+        severity: 'success',
+        mensaje: result.migradas > 0
+          ? `Estados migrados: ${result.migradas} de ${result.total} camas`
+          : 'Todas las camas ya usan el ciclo de vida'
+      });
+    } catch (error) {
+      setMigracionEstados({ severity: 'error', mensaje: error.message });
+    } finally {
+      setMigrandoEstados(false);
+    }
+  };
+
+  const handleMigrarCortes = async () => {
+    try {
+      setMigrandoCortes(true);
+      const result = await migrateCortesUbicacion();
+      setMigracionCortes({
+        severity: 'success',
+        mensaje: result.migrados > 0
+          ? `Cortes actualizados: ${result.migrados} de ${result.total}`
+          : 'Todos los cortes ya indican su vivero y cama'
+      });
+    } catch (error) {
+      setMigracionCortes({ severity: 'error', mensaje: error.message });
+    } finally {
+      setMigrandoCortes(false);
+    }
+  };
+
+  const getUserRole = (userData) => (
+    userData.isAdmin ? ROLES.PROPIETARIO : (userData.rol || ROLES.LECTOR)
+  );
+
   // Calcular estadísticas
   const stats = {
     totalUsers: users.length,
-    totalAdmins: users.filter(u => u.isAdmin).length,
-    totalRegularUsers: users.filter(u => !u.isAdmin).length,
+    totalAdmins: users.filter(u => getUserRole(u) === ROLES.PROPIETARIO).length,
+    totalRegularUsers: users.filter(u => getUserRole(u) !== ROLES.PROPIETARIO).length,
+    totalInactive: users.filter(u => u.activo === false).length,
     recentUsers: users.slice(0, 5)
   };
 
@@ -192,8 +261,11 @@ const AdminDashboard = () => {
                     <TableCell>Usuario</TableCell>
                     <TableCell>Email</TableCell>
                     <TableCell align="center">Rol</TableCell>
+                    <TableCell>Viveros</TableCell>
+                    <TableCell align="center">Estado</TableCell>
                     <TableCell>Registro</TableCell>
                     <TableCell>Último Acceso</TableCell>
+                    <TableCell align="center">Acciones</TableCell>
                   </TableRow>
                 </TableHead>
                 <TableBody>
@@ -229,12 +301,38 @@ const AdminDashboard = () => {
                       
                       <TableCell align="center">
                         <Chip
-                          label={userData.isAdmin ? 'Admin' : 'Usuario'}
-                          color={userData.isAdmin ? 'secondary' : 'default'}
+                          label={getRoleLabel(getUserRole(userData))}
+                          color={getUserRole(userData) === ROLES.PROPIETARIO ? 'secondary' : 'default'}
                           size="small"
-                          icon={userData.isAdmin ? <AdminIcon /> : <PeopleIcon />}
+                          icon={getUserRole(userData) === ROLES.PROPIETARIO ? <AdminIcon /> : <PeopleIcon />}
                         />
                       </TableCell>
+
+                      <TableCell>
+                        <Box display="flex" flexWrap="wrap" gap={0.5}>
+                          {Object.entries(userData.rolesPorVivero || {}).map(([viveroId, rol]) => (
+                            <Chip
+                              key={viveroId}
+                              label={`${viveroId}: ${getRoleLabel(rol)}`}
+                              size="small"
+                              variant="outlined"
+                            />
+                          ))}
+                          {Object.keys(userData.rolesPorVivero || {}).length === 0 && (
+                            <Typography variant="body2" color="text.secondary">
+                              -
+                            </Typography>
+                          )}
+                        </Box>
+                      </TableCell>
+
+                      <TableCell align="center">
+                        {userData.activo === false ? (
+                          <Chip label="Desactivado" color="error" size="small" icon={<BlockIcon />} />
+                        ) : (
+                          <Chip label="Activo" color="success" size="small" variant="outlined" />
+                        )}
+                      </TableCell>
                       
                       <TableCell>
                         <Typography variant="body2" color="text.secondary">
@@ -247,6 +345,14 @@ const AdminDashboard = () => {
                           {formatDate(userData.lastLogin)}
                         </Typography>
                       </TableCell>
+
+                      <TableCell align="center">
+                        <Tooltip title="Gestionar permisos">
+                          <IconButton size="small" onClick={() => setEditingUser(userData)}>
+                            <ManageAccountsIcon />
+                          </IconButton>
+                        </Tooltip>
+                      </TableCell>
                     </TableRow>
                   ))}
                 </TableBody>
@@ -266,15 +372,139 @@ const AdminDashboard = () => {
           <Box mt={3}>
             <Alert severity="info">
               <Typography variant="body2">
-                <strong>Vista previa del panel de administración.</strong>
+                <strong>Gestión de permisos.</strong>
                 <br />
-                En futuras versiones se añadirán funcionalidades de gestión de viveros, 
-                camas de cultivo y tracking de esquejes.
+                Usa el botón de acciones para cambiar el rol global, asignar viveros o desactivar
+                una cuenta. Cada cambio queda registrado con quién lo hizo y cuándo.
+                {stats.totalInactive > 0 && ` Cuentas desactivadas: ${stats.totalInactive}.`}
               </Typography>
             </Alert>
           </Box>
+
+          {/* Exportación de la producción */}
+          <Paper sx={{ mt: 4, p: 3 }}>
+            <Box display="flex" alignItems="center" justifyContent="space-between" flexWrap="wrap" gap={1}>
+              <Box>
+                <Typography variant="h6">
+                  Exportar producción
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                  Historial de cortes en CSV o Excel, filtrado por vivero, cama y fechas.
+                </Typography>
+              </Box>
+              <Button variant="outlined" startIcon={<FileDownloadIcon />} onClick={() => setExportOpen(true)}>
+                Exportar cortes
+              </Button>
+            </Box>
+          </Paper>
+
+          {/* Restauración de copias de seguridad */}
+          <Paper sx={{ mt: 4, p: 3 }}>
+            <Box display="flex" alignItems="center" justifyContent="space-between" flexWrap="wrap" gap={1}>
+              <Box>
+                <Typography variant="h6">
+                  Copias de seguridad
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                  Restaura el respaldo JSON de un vivero en su mismo ID o clónalo como un vivero nuevo.
+                </Typography>
+              </Box>
+              <Button variant="outlined" startIcon={<RestoreBackupIcon />} onClick={() => setRestoreOpen(true)}>
+                Restaurar copia
+              </Button>
+            </Box>
+          </Paper>
+
+          {/* Migración de estados antiguos de camas */}
+          <Paper sx={{ mt: 4, p: 3 }}>
+            <Box display="flex" alignItems="center" justifyContent="space-between" flexWrap="wrap" gap={1}>
+              <Box>
+                <Typography variant="h6">
+                  Estados de camas
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                  Convierte los estados antiguos (activa, inactiva, mantenimiento) al ciclo de vida de la cama.
+                </Typography>
+              </Box>
+              <Button
+                variant="outlined"
+                startIcon={migrandoEstados ? <CircularProgress size={16} /> : <AutorenewIcon />}
+                onClick={handleMigrarEstados}
+                disabled={migrandoEstados}
+              >
+                Migrar estados
+              </Button>
+            </Box>
+            {migracionEstados && (
+              <Alert severity={migracionEstados.severity} sx={{ mt: 2 }} onClose={() => setMigracionEstados(null)}>
+                {migracionEstados.mensaje}
+              </Alert>
+            )}
+          </Paper>
+
+          {/* Migración de cortes sin vivero ni cama */}
+          <Paper sx={{ mt: 4, p: 3 }}>
+            <Box display="flex" alignItems="center" justifyContent="space-between" flexWrap="wrap" gap={1}>
+              <Box>
+                <Typography variant="h6">
+                  Cortes registrados
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                  Guarda el vivero y la cama en los cortes anteriores para que cuenten en las estadísticas por vivero.
+                </Typography>
+              </Box>
+              <Button
+                variant="outlined"
+                startIcon={migrandoCortes ? <CircularProgress size={16} /> : <AutorenewIcon />}
+                onClick={handleMigrarCortes}
+                disabled={migrandoCortes}
+              >
+                Migrar cortes
+              </Button>
+            </Box>
+            {migracionCortes && (
+              <Alert severity={migracionCortes.severity} sx={{ mt: 2 }} onClose={() => setMigracionCortes(null)}>
+                {migracionCortes.mensaje}
+              </Alert>
+            )}
+          </Paper>
+
+          {/* Catálogo de especies */}
+          <Box mt={4}>
+            <EspeciesCatalog currentUser={user} />
+          </Box>
+
+          {/* Papelera de viveros y camas */}
+          <Box mt={4}>
+            <TrashBin currentUser={user} />
+          </Box>
         </>
       )}
+
+      {/* Dialog de permisos */}
+      <UserPermissionsDialog
+        open={Boolean(editingUser)}
+        userData={editingUser}
+        viveros={viveros}
+        currentUser={user}
+        onClose={() => setEditingUser(null)}
+        onSaved={handlePermissionsSaved}
+      />
+
+      {/* Dialog de exportación de cortes */}
+      <CortesExportDialog
+        open={exportOpen}
+        onClose={() => setExportOpen(false)}
+        viveros={viveros}
+      />
+
+      {/* Dialog de restauración de copias de seguridad */}
+      <BackupRestoreDialog
+        open={restoreOpen}
+        currentUser={user}
+        onClose={() => setRestoreOpen(false)}
+        onRestored={() => loadViveros(true)}
+      />
     </Container>
   );
 };
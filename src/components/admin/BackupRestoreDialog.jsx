@@ -0,0 +1,281 @@
+// src/components/admin/BackupRestoreDialog.jsx
+import { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Typography,
+  Button,
+  Alert,
+  TextField,
+  Radio,
+  RadioGroup,
+  FormControlLabel,
+  Checkbox,
+  LinearProgress,
+  CircularProgress
+} from '@mui/material';
+import { UploadFile as UploadFileIcon } from '@mui/icons-material';
+import {
+  BACKUP_COLLISION_MODES,
+  validateBackup,
+  checkBackupCollisions,
+  restoreViveroBackup
+} from '../../firebase/shared/backupService.js';
+import { generateViveroId } from '../../firebase/viveros/viveroUrlService.js';
+
+/**
+ * ============================================================================
+ * 💾 BackupRestoreDialog Component
+ * ============================================================================
+ * Restaura la copia de seguridad JSON de un vivero
+ * - Resumen del respaldo (vivero, camas, cortes, aplicaciones, incidencias, fecha)
+ * - Restaurar en el mismo ID o clonar con un nombre nuevo
+ * - Avisa de los documentos que ya existen en el destino antes de escribir
+ * ============================================================================
+ */
+
+const MODOS = {
+  RESTAURAR: 'restaurar',
+  CLONAR: 'clonar'
+};
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open - Diálogo abierto
+ * @param {Object} props.currentUser - Administrador que restaura
+ * @param {Function} props.onClose - Cierra el diálogo
+ * @param {Function} props.onRestored - Recibe el resultado de la restauración
+ */
+const BackupRestoreDialog = ({ open, currentUser, onClose, onRestored }) => {
+  const [backup, setBackup] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [modo, setModo] = useState(MODOS.RESTAURAR);
+  const [nuevoNombre, setNuevoNombre] = useState('');
+  const [collisions, setCollisions] = useState(null);
+  const [omitirExistentes, setOmitirExistentes] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Empezar de cero cada vez que se abre
+  useEffect(() => {
+    if (open) {
+      setBackup(null);
+      setFileName('');
+      setModo(MODOS.RESTAURAR);
+      setNuevoNombre('');
+      setCollisions(null);
+      setOmitirExistentes(false);
+      setProgress(null);
+      setResult(null);
+      setError(null);
+    }
+  }, [open]);
+
+  const targetViveroId = modo === MODOS.CLONAR ? generateViveroId(nuevoNombre) : backup?.vivero.id;
+
+  // ============================================================================
+  // 🔧 HANDLERS
+  // ============================================================================
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setFileName(file.name);
+    setBackup(null);
+    setCollisions(null);
+    setResult(null);
+    setError(null);
+
+    try {
+      const parsed = JSON.parse(await file.text());
+      const validation = validateBackup(parsed);
+      if (!validation.valid) {
+        setError(validation.errors.join('. '));
+        return;
+      }
+      setBackup(parsed);
+    } catch {
+      setError('El archivo no es un JSON válido');
+    }
+  };
+
+  const handleModoChange = (value) => {
+    setModo(value);
+    setCollisions(null);
+    setOmitirExistentes(false);
+  };
+
+  const handleRestore = async () => {
+    try {
+      setWorking(true);
+      setError(null);
+
+      // Primero comprobar colisiones; si hay, pedir confirmación para omitirlas
+      if (!collisions) {
+        const found = await checkBackupCollisions(backup, targetViveroId);
+        if (found.total > 0) {
+          setCollisions(found);
+          return;
+        }
+      }
+
+      const restoreResult = await restoreViveroBackup(backup, currentUser.email, {
+        nuevoNombre: modo === MODOS.CLONAR ? nuevoNombre : null,
+        onCollision: omitirExistentes ? BACKUP_COLLISION_MODES.OMITIR : BACKUP_COLLISION_MODES.ERROR,
+        onProgress: setProgress
+      });
+
+      setResult(restoreResult);
+      if (onRestored) onRestored(restoreResult);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleClose = () => {
+    if (working) return;
+    onClose();
+  };
+
+  const canRestore = backup && !result && targetViveroId &&
+    (!collisions || omitirExistentes);
+
+  // ============================================================================
+  // 🎨 RENDERIZADO
+  // ============================================================================
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Restaurar copia de seguridad</DialogTitle>
+      <DialogContent dividers>
+        <Box display="flex" flexDirection="column" gap={2}>
+          <Box display="flex" alignItems="center" gap={1}>
+            <Button variant="outlined" component="label" startIcon={<UploadFileIcon />} disabled={working}>
+              Seleccionar JSON
+              <input hidden type="file" accept=".json,application/json" onChange={handleFileChange} />
+            </Button>
+            {fileName && (
+              <Typography variant="caption" color="text.secondary">
+                {fileName}
+              </Typography>
+            )}
+          </Box>
+
+          {backup && (
+            <>
+              <Alert severity="info">
+                <strong>{backup.vivero.data.nombre}</strong> ({backup.vivero.id}):{' '}
+                {backup.resumen?.camas ?? backup.camas.length} camas, {backup.resumen?.cortes ?? 0} cortes,
+                {' '}{backup.resumen?.aplicaciones ?? 0} aplicaciones y {backup.resumen?.incidencias ?? 0} incidencias.
+                {backup.exportadoEn && ` Exportado el ${new Date(backup.exportadoEn).toLocaleString('es-ES')}`}
+                {backup.exportadoPor && ` por ${backup.exportadoPor}`}.
+              </Alert>
+
+              <RadioGroup value={modo} onChange={(e) => handleModoChange(e.target.value)}>
+                <FormControlLabel
+                  value={MODOS.RESTAURAR}
+                  control={<Radio />}
+                  label={`Restaurar con el mismo ID (${backup.vivero.id})`}
+                  disabled={working || Boolean(result)}
+                />
+                <FormControlLabel
+                  value={MODOS.CLONAR}
+                  control={<Radio />}
+                  label="Clonar como un vivero nuevo"
+                  disabled={working || Boolean(result)}
+                />
+              </RadioGroup>
+
+              {modo === MODOS.CLONAR && (
+                <TextField
+                  label="Nombre del nuevo vivero"
+                  value={nuevoNombre}
+                  onChange={(e) => {
+                    setNuevoNombre(e.target.value);
+                    setCollisions(null);
+                    setOmitirExistentes(false);
+                  }}
+                  helperText={targetViveroId ? `ID: ${targetViveroId}` : 'El ID se genera a partir del nombre'}
+                  disabled={working || Boolean(result)}
+                  fullWidth
+                />
+              )}
+            </>
+          )}
+
+          {collisions && !result && (
+            <Alert severity="warning">
+              Ya existen en el destino:
+              {collisions.viveroExiste && ` el vivero ${targetViveroId};`}
+              {collisions.camas.length > 0 && ` ${collisions.camas.length} camas;`}
+              {collisions.cortes.length > 0 && ` ${collisions.cortes.length} cortes;`}
+              {collisions.aplicaciones.length > 0 && ` ${collisions.aplicaciones.length} aplicaciones;`}
+              {collisions.incidencias.length > 0 && ` ${collisions.incidencias.length} incidencias;`}
+              {' '}no se sobrescriben.
+              <FormControlLabel
+                sx={{ display: 'block', mt: 1 }}
+                control={
+                  <Checkbox
+                    size="small"
+                    checked={omitirExistentes}
+                    onChange={(e) => setOmitirExistentes(e.target.checked)}
+                  />
+                }
+                label="Omitir los existentes y restaurar solo lo que falta"
+              />
+            </Alert>
+          )}
+
+          {progress && !result && (
+            <Box>
+              <LinearProgress
+                variant="determinate"
+                value={progress.total > 0 ? (progress.completed / progress.total) * 100 : 100}
+              />
+              <Typography variant="caption" color="text.secondary">
+                {progress.completed} / {progress.total} escrituras
+              </Typography>
+            </Box>
+          )}
+
+          {result && (
+            <Alert severity="success">
+              Vivero {result.viveroId} restaurado: {result.camas} camas, {result.cortes} cortes, {result.aplicaciones} aplicaciones y {result.incidencias} incidencias escritos
+              {result.omitidos > 0 && `, ${result.omitidos} documentos existentes omitidos`}.
+            </Alert>
+          )}
+
+          {error && (
+            <Alert severity="error">
+              {error}
+            </Alert>
+          )}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} disabled={working}>
+          Cerrar
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleRestore}
+          disabled={working || !canRestore}
+          startIcon={working ? <CircularProgress size={16} color="inherit" /> : null}
+        >
+          {modo === MODOS.CLONAR ? 'Clonar' : 'Restaurar'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default BackupRestoreDialog;
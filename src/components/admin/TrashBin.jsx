@@ -0,0 +1,351 @@
+// src/components/admin/TrashBin.jsx
+import { useState, useEffect } from 'react';
+import {
+  Paper,
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  Button,
+  IconButton,
+  Tooltip,
+  Alert,
+  CircularProgress,
+  LinearProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
+} from '@mui/material';
+import {
+  DeleteSweep as DeleteSweepIcon,
+  DeleteForever as DeleteForeverIcon,
+  RestoreFromTrash as RestoreFromTrashIcon,
+  Refresh as RefreshIcon
+} from '@mui/icons-material';
+import {
+  TRASH_RETENTION_DAYS,
+  getTrash,
+  restoreVivero,
+  restoreCama,
+  purgeVivero,
+  purgeCama,
+  purgeExpiredTrash
+} from '../../firebase/shared/trashService.js';
+
+/**
+ * ============================================================================
+ * 🗑️ TrashBin Component
+ * ============================================================================
+ * Papelera de viveros y camas para el panel de administración
+ * - Restaurar un vivero o una cama con todo su contenido
+ * - Eliminar definitivamente un elemento, con el progreso de los lotes
+ * - Purgar los elementos que superan el período de retención
+ * ============================================================================
+ */
+
+const formatDate = (value) => {
+  if (!value) return 'N/A';
+  const date = typeof value.toDate === 'function' ? value.toDate() : value;
+  return date.toLocaleDateString('es-ES', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+};
+
+const isExpired = (item) => Boolean(item.expiraEn) && item.expiraEn <= new Date();
+
+/**
+ * @param {Object} props
+ * @param {Object} props.currentUser - Administrador que realiza las acciones
+ */
+const TrashBin = ({ currentUser }) => {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [actionLoading, setActionLoading] = useState(false);
+  const [purgeTarget, setPurgeTarget] = useState(null);
+  const [purging, setPurging] = useState(false);
+  const [purgeProgress, setPurgeProgress] = useState(null);
+  const [purgeError, setPurgeError] = useState(null);
+  const [purgeExpiredOpen, setPurgeExpiredOpen] = useState(false);
+
+  useEffect(() => {
+    loadTrash();
+  }, []);
+
+  const loadTrash = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const { viveros, camas } = await getTrash();
+      setItems([
+        ...viveros.map(vivero => ({ ...vivero, tipo: 'vivero', nombre: vivero.nombre })),
+        ...camas.map(cama => ({ ...cama, tipo: 'cama', nombre: cama.nombreCompleto || cama.id }))
+      ]);
+    } catch (error) {
+      console.error('Error cargando papelera:', error);
+      setError('Error al cargar la papelera');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const runAction = async (action) => {
+    try {
+      setActionLoading(true);
+      setError(null);
+      await action();
+      await loadTrash();
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  // ============================================================================
+  // 🔧 HANDLERS
+  // ============================================================================
+
+  const handleRestore = (item) => runAction(() => (
+    item.tipo === 'vivero'
+      ? restoreVivero(item.id, currentUser.email)
+      : restoreCama(item.viveroId, item.id, currentUser.email)
+  ));
+
+  const openPurgeDialog = (item) => {
+    setPurgeTarget(item);
+    setPurgeProgress(null);
+    setPurgeError(null);
+  };
+
+  const closePurgeDialog = () => {
+    if (purging) return;
+    setPurgeTarget(null);
+  };
+
+  // Al reintentar, la purga continúa con lo que quedó sin eliminar
+  const handlePurgeConfirm = async () => {
+    const item = purgeTarget;
+    const options = { onProgress: setPurgeProgress };
+
+    try {
+      setPurging(true);
+      setPurgeError(null);
+      await (item.tipo === 'vivero'
+        ? purgeVivero(item.id, currentUser.email, options)
+        : purgeCama(item.viveroId, item.id, currentUser.email, options));
+      setPurgeTarget(null);
+      await loadTrash();
+    } catch (error) {
+      setPurgeError(error.message);
+    } finally {
+      setPurging(false);
+    }
+  };
+
+  const handlePurgeExpiredConfirm = async () => {
+    setPurgeExpiredOpen(false);
+    await runAction(() => purgeExpiredTrash(currentUser.email));
+  };
+
+  const expiredCount = items.filter(isExpired).length;
+
+  // ============================================================================
+  // 🎨 RENDERIZADO
+  // ============================================================================
+
+  return (
+    <Paper sx={{ width: '100%', overflow: 'hidden' }}>
+      <Box p={3} display="flex" alignItems="center" justifyContent="space-between" flexWrap="wrap" gap={1}>
+        <Box>
+          <Typography variant="h6">
+            Papelera
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Los elementos se pueden restaurar durante {TRASH_RETENTION_DAYS} días; después se pueden purgar.
+          </Typography>
+        </Box>
+        <Box display="flex" gap={1}>
+          <Button
+            variant="outlined"
+            color="error"
+            startIcon={<DeleteSweepIcon />}
+            onClick={() => setPurgeExpiredOpen(true)}
+            disabled={actionLoading || expiredCount === 0}
+          >
+            Purgar vencidos ({expiredCount})
+          </Button>
+          <Tooltip title="Actualizar">
+            <span>
+              <IconButton onClick={loadTrash} disabled={loading || actionLoading}>
+                <RefreshIcon />
+              </IconButton>
+            </span>
+          </Tooltip>
+        </Box>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mx: 3, mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" py={4}>
+          <CircularProgress />
+        </Box>
+      ) : items.length === 0 ? (
+        <Box p={4} textAlign="center">
+          <Typography variant="body1" color="text.secondary">
+            La papelera está vacía
+          </Typography>
+        </Box>
+      ) : (
+        <TableContainer>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Tipo</TableCell>
+                <TableCell>Nombre</TableCell>
+                <TableCell>Eliminado por</TableCell>
+                <TableCell>Fecha</TableCell>
+                <TableCell>Expira</TableCell>
+                <TableCell align="right">Acciones</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {items.map((item) => (
+                <TableRow key={`${item.tipo}-${item.viveroId || ''}-${item.id}`} hover>
+                  <TableCell>
+                    <Chip
+                      size="small"
+                      label={item.tipo === 'vivero' ? 'Vivero' : 'Cama'}
+                      color={item.tipo === 'vivero' ? 'primary' : 'default'}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="body2" fontWeight="medium">
+                      {item.nombre}
+                    </Typography>
+                    {item.tipo === 'cama' && (
+                      <Typography variant="caption" color="text.secondary">
+                        {item.viveroNombre}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>{item.eliminadoBy || 'N/A'}</TableCell>
+                  <TableCell>{formatDate(item.eliminadoAt)}</TableCell>
+                  <TableCell>
+                    {isExpired(item)
+                      ? <Chip size="small" color="error" variant="outlined" label="Vencido" />
+                      : formatDate(item.expiraEn)}
+                  </TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Restaurar">
+                      <span>
+                        <IconButton size="small" color="primary" onClick={() => handleRestore(item)} disabled={actionLoading}>
+                          <RestoreFromTrashIcon />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                    <Tooltip title="Eliminar definitivamente">
+                      <span>
+                        <IconButton size="small" color="error" onClick={() => openPurgeDialog(item)} disabled={actionLoading}>
+                          <DeleteForeverIcon />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      {/* Confirmación de eliminación definitiva */}
+      <Dialog open={Boolean(purgeTarget)} onClose={closePurgeDialog} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          Eliminar definitivamente
+        </DialogTitle>
+        <DialogContent>
+          <Typography>
+            ¿Eliminar definitivamente {purgeTarget?.tipo === 'vivero' ? 'el vivero' : 'la cama'} <strong>"{purgeTarget?.nombre}"</strong>?
+          </Typography>
+          <Alert severity="warning" sx={{ mt: 2 }}>
+            Se eliminarán {purgeTarget?.tipo === 'vivero' ? 'todas sus camas y cortes' : 'todos sus cortes'}.
+            Esta acción no se puede deshacer.
+          </Alert>
+
+          {purgeProgress && (
+            <Box mt={2}>
+              <LinearProgress
+                variant="determinate"
+                value={purgeProgress.total > 0 ? (purgeProgress.completed / purgeProgress.total) * 100 : 100}
+              />
+              <Typography variant="caption" color="text.secondary">
+                {purgeProgress.completed} / {purgeProgress.total} escrituras
+                {purgeProgress.totalChunks > 1 && ` · lote ${purgeProgress.chunk} de ${purgeProgress.totalChunks}`}
+              </Typography>
+            </Box>
+          )}
+
+          {purgeError && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {purgeError}
+              <Typography variant="caption" display="block">
+                Al reintentar se continúa con lo que quedó pendiente.
+              </Typography>
+            </Alert>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closePurgeDialog} disabled={purging}>
+            Cancelar
+          </Button>
+          <Button
+            variant="contained"
+            color="error"
+            onClick={handlePurgeConfirm}
+            disabled={purging}
+            startIcon={purging ? <CircularProgress size={16} color="inherit" /> : null}
+          >
+            {purgeError ? 'Reintentar' : 'Eliminar definitivamente'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Confirmación de purga de vencidos */}
+      <Dialog open={purgeExpiredOpen} onClose={() => setPurgeExpiredOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          Purgar elementos vencidos
+        </DialogTitle>
+        <DialogContent>
+          <Alert severity="warning">
+            Se eliminarán definitivamente {expiredCount} elemento{expiredCount !== 1 ? 's' : ''} con
+            más de {TRASH_RETENTION_DAYS} días en la papelera, incluyendo todo su contenido.
+          </Alert>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPurgeExpiredOpen(false)}>
+            Cancelar
+          </Button>
+          <Button variant="contained" color="error" onClick={handlePurgeExpiredConfirm}>
+            Purgar
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+};
+
+export default TrashBin;
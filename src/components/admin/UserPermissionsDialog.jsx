@@ -0,0 +1,309 @@
+// src/components/admin/UserPermissionsDialog.jsx
+import { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Typography,
+  TextField,
+  MenuItem,
+  Button,
+  IconButton,
+  Switch,
+  FormControlLabel,
+  Alert,
+  Divider,
+  List,
+  ListItem,
+  ListItemText,
+  CircularProgress
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  History as HistoryIcon
+} from '@mui/icons-material';
+import { ROLES, ROLE_LABELS } from '../../firebase/roleService.js';
+import {
+  updateUserPermissions,
+  getUserPermissionHistory
+} from '../../firebase/userService.js';
+
+/**
+ * ============================================================================
+ * 🔐 UserPermissionsDialog Component
+ * ============================================================================
+ * Edición de permisos de un usuario desde el panel de administración
+ * - Rol global y roles asignados por vivero
+ * - Activar / desactivar la cuenta
+ * - Historial de cambios (quién y cuándo)
+ * ============================================================================
+ */
+
+const formatDate = (timestamp) => {
+  if (!timestamp) return 'N/A';
+  return timestamp.toDate().toLocaleString('es-ES');
+};
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open - Dialog abierto
+ * @param {Object} props.userData - Usuario a editar
+ * @param {Array} props.viveros - Viveros disponibles para asignar
+ * @param {Object} props.currentUser - Administrador que realiza el cambio
+ * @param {Function} props.onClose - Cierra el dialog
+ * @param {Function} props.onSaved - Se llama tras guardar con éxito
+ */
+const UserPermissionsDialog = ({ open, userData, viveros, currentUser, onClose, onSaved }) => {
+  const [rol, setRol] = useState(ROLES.LECTOR);
+  const [rolesPorVivero, setRolesPorVivero] = useState({});
+  const [activo, setActivo] = useState(true);
+  const [nuevoViveroId, setNuevoViveroId] = useState('');
+  const [nuevoViveroRol, setNuevoViveroRol] = useState(ROLES.TRABAJADOR);
+  const [historial, setHistorial] = useState([]);
+  const [loadingHistorial, setLoadingHistorial] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isSelf = userData?.uid === currentUser?.uid;
+
+  // Inicializar formulario con los datos del usuario
+  useEffect(() => {
+    if (!open || !userData) return;
+
+    setRol(userData.isAdmin ? ROLES.PROPIETARIO : (userData.rol || ROLES.LECTOR));
+    setRolesPorVivero(userData.rolesPorVivero || {});
+    setActivo(userData.activo !== false);
+    setNuevoViveroId('');
+    setError(null);
+
+    setLoadingHistorial(true);
+    getUserPermissionHistory(userData.uid)
+      .then(setHistorial)
+      .catch(() => setHistorial([]))
+      .finally(() => setLoadingHistorial(false));
+  }, [open, userData]);
+
+  const viverosDisponibles = viveros.filter(v => !(v.id in rolesPorVivero));
+  const getViveroNombre = (viveroId) => viveros.find(v => v.id === viveroId)?.nombre || viveroId;
+
+  // ============================================================================
+  // 🔧 HANDLERS
+  // ============================================================================
+
+  const handleAddVivero = () => {
+    if (!nuevoViveroId) return;
+    setRolesPorVivero(prev => ({ ...prev, [nuevoViveroId]: nuevoViveroRol }));
+    setNuevoViveroId('');
+  };
+
+  const handleChangeViveroRol = (viveroId, value) => {
+    setRolesPorVivero(prev => ({ ...prev, [viveroId]: value }));
+  };
+
+  const handleRemoveVivero = (viveroId) => {
+    setRolesPorVivero(prev => {
+      const next = { ...prev };
+      delete next[viveroId];
+      return next;
+    });
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+
+      await updateUserPermissions(
+        userData.uid,
+        { rol, rolesPorVivero, activo },
+        currentUser.email
+      );
+
+      onSaved();
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // ============================================================================
+  // 🎨 RENDERIZADO
+  // ============================================================================
+
+  return (
+    <Dialog open={open} onClose={saving ? undefined : onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>
+        Permisos de {userData?.name || userData?.email}
+        <Typography variant="body2" color="text.secondary">
+          {userData?.email} · Último acceso: {formatDate(userData?.lastLogin)}
+        </Typography>
+      </DialogTitle>
+
+      <DialogContent dividers>
+        {isSelf && (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            No puedes cambiar tu propio rol global ni desactivar tu cuenta.
+          </Alert>
+        )}
+
+        {/* Rol global */}
+        <TextField
+          select
+          fullWidth
+          label="Rol global"
+          value={rol}
+          onChange={(e) => setRol(e.target.value)}
+          disabled={isSelf || saving}
+          helperText="Se aplica a todos los viveros"
+        >
+          {Object.values(ROLES).map((value) => (
+            <MenuItem key={value} value={value}>
+              {ROLE_LABELS[value]}
+            </MenuItem>
+          ))}
+        </TextField>
+
+        {/* Roles por vivero */}
+        <Typography variant="subtitle2" sx={{ mt: 3, mb: 1 }}>
+          Viveros asignados
+        </Typography>
+
+        {Object.keys(rolesPorVivero).length === 0 && (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+            Sin viveros asignados
+          </Typography>
+        )}
+
+        {Object.entries(rolesPorVivero).map(([viveroId, viveroRol]) => (
+          <Box key={viveroId} display="flex" alignItems="center" gap={1} mb={1}>
+            <Typography variant="body2" sx={{ flexGrow: 1 }}>
+              {getViveroNombre(viveroId)}
+            </Typography>
+            <TextField
+              select
+              size="small"
+              value={viveroRol}
+              onChange={(e) => handleChangeViveroRol(viveroId, e.target.value)}
+              disabled={saving}
+              sx={{ minWidth: 200 }}
+            >
+              {[ROLES.ENCARGADO, ROLES.TRABAJADOR, ROLES.LECTOR].map((value) => (
+                <MenuItem key={value} value={value}>
+                  {ROLE_LABELS[value]}
+                </MenuItem>
+              ))}
+            </TextField>
+            <IconButton size="small" onClick={() => handleRemoveVivero(viveroId)} disabled={saving}>
+              <DeleteIcon fontSize="small" />
+            </IconButton>
+          </Box>
+        ))}
+
+        <Box display="flex" alignItems="center" gap={1} mt={1}>
+          <TextField
+            select
+            size="small"
+            label="Vivero"
+            value={nuevoViveroId}
+            onChange={(e) => setNuevoViveroId(e.target.value)}
+            disabled={saving || viverosDisponibles.length === 0}
+            sx={{ flexGrow: 1 }}
+          >
+            {viverosDisponibles.map((vivero) => (
+              <MenuItem key={vivero.id} value={vivero.id}>
+                {vivero.nombre}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            select
+            size="small"
+            label="Rol"
+            value={nuevoViveroRol}
+            onChange={(e) => setNuevoViveroRol(e.target.value)}
+            disabled={saving}
+            sx={{ minWidth: 180 }}
+          >
+            {[ROLES.ENCARGADO, ROLES.TRABAJADOR, ROLES.LECTOR].map((value) => (
+              <MenuItem key={value} value={value}>
+                {ROLE_LABELS[value]}
+              </MenuItem>
+            ))}
+          </TextField>
+          <IconButton color="primary" onClick={handleAddVivero} disabled={!nuevoViveroId || saving}>
+            <AddIcon />
+          </IconButton>
+        </Box>
+
+        {/* Estado de la cuenta */}
+        <FormControlLabel
+          sx={{ mt: 2 }}
+          control={
+            <Switch
+              checked={activo}
+              onChange={(e) => setActivo(e.target.checked)}
+              disabled={isSelf || saving}
+              color="success"
+            />
+          }
+          label={activo ? 'Cuenta activa' : 'Cuenta desactivada'}
+        />
+
+        {error && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        <Divider sx={{ my: 2 }} />
+
+        {/* Historial */}
+        <Box display="flex" alignItems="center" mb={1}>
+          <HistoryIcon fontSize="small" sx={{ mr: 1 }} />
+          <Typography variant="subtitle2">
+            Historial de cambios
+          </Typography>
+        </Box>
+
+        {loadingHistorial ? (
+          <CircularProgress size={20} />
+        ) : historial.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            Sin cambios registrados
+          </Typography>
+        ) : (
+          <List dense disablePadding>
+            {historial.map((cambio) => (
+              <ListItem key={cambio.id} disableGutters>
+                <ListItemText
+                  primary={cambio.detalle}
+                  secondary={`${cambio.updatedBy} · ${formatDate(cambio.updatedAt)}`}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </DialogContent>
+
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>
+          Cancelar
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleSave}
+          disabled={saving}
+          startIcon={saving ? <CircularProgress size={16} /> : null}
+        >
+          {saving ? 'Guardando...' : 'Guardar'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default UserPermissionsDialog;
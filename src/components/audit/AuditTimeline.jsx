@@ -0,0 +1,237 @@
+// src/components/audit/AuditTimeline.jsx
+import {
+  Box,
+  Typography,
+  TextField,
+  MenuItem,
+  IconButton,
+  Button,
+  Chip,
+  Alert,
+  CircularProgress,
+  Tooltip
+} from '@mui/material';
+import {
+  History as HistoryIcon,
+  Refresh as RefreshIcon,
+  Restore as RestoreIcon
+} from '@mui/icons-material';
+import { useAuth } from '../../hooks/useAuth.jsx';
+import { useAuditHistory } from '../../hooks/useAuditHistory.js';
+import { getEstadoCamaLabel } from '../../firebase/camas/camaEstadoService.js';
+import { getAplicacionTipoLabel } from '../../firebase/camas/aplicacionesService.js';
+
+/**
+ * ============================================================================
+ * 📜 AuditTimeline Component
+ * ============================================================================
+ * Línea de tiempo del historial de cambios de un vivero o de una cama
+ * - Quién cambió qué y cuándo, con valores antes → después
+ * - Filtro por usuario
+ * - Recuperación de cortes eliminados
+ * ============================================================================
+ */
+
+const ENTIDAD_LABELS = {
+  vivero: 'Vivero',
+  cama: 'Cama',
+  corte: 'Corte',
+  aplicacion: 'Aplicación',
+  incidencia: 'Incidencia',
+  especie: 'Especie'
+};
+
+const ACCIONES = {
+  crear: { label: 'Creación', color: 'success' },
+  actualizar: { label: 'Actualización', color: 'info' },
+  eliminar: { label: 'Eliminación', color: 'error' },
+  restaurar: { label: 'Recuperación', color: 'secondary' },
+  purgar: { label: 'Eliminación definitiva', color: 'error' }
+};
+
+const formatDateTime = (timestamp) => {
+  if (!timestamp) return 'Ahora';
+  return timestamp.toDate().toLocaleString('es-ES');
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '(vacío)';
+  if (typeof value.toDate === 'function') return value.toDate().toLocaleDateString('es-ES');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const getEntityLabel = (entry) => {
+  const id = entry.corteId || entry.aplicacionId || entry.incidenciaId || entry.camaId || entry.viveroId;
+  return `${ENTIDAD_LABELS[entry.entidad] || entry.entidad} ${entry.documento?.nombre || id}`;
+};
+
+// Resumen del documento creado, eliminado o recuperado
+const describeDocument = (entry) => {
+  const documento = entry.documento || {};
+
+  if (entry.entidad === 'corte') {
+    return `${documento.cantidadEsquejes || 0} esquejes · ${formatValue(documento.fecha)}${documento.responsable ? ` · ${documento.responsable}` : ''}`;
+  }
+  if (entry.entidad === 'aplicacion') {
+    const dosis = documento.dosis ? ` · ${documento.dosis} ${documento.unidad || ''}` : '';
+    return `${getAplicacionTipoLabel(documento.tipo)} · ${documento.producto || ''}${dosis} · ${formatValue(documento.fecha)}`;
+  }
+  if (entry.entidad === 'incidencia') {
+    return `${documento.agente || ''} · ${documento.severidad || ''} · Camas ${(documento.camaIds || []).join(', ')}`;
+  }
+  if (entry.entidad === 'cama') {
+    return `${documento.nombrePlanta || 'Sin planta'} · ${documento.cantidadPlantas || 0} plantas · ${documento.estado ? getEstadoCamaLabel(documento.estado) : 'N/A'}`;
+  }
+  return documento.descripcion || '';
+};
+
+/**
+ * @param {Object} props
+ * @param {string} props.viveroId - ID del vivero
+ * @param {string} props.camaId - Limitar a una cama (opcional)
+ * @param {boolean} props.canRestore - Permite recuperar cortes eliminados
+ * @param {Function} props.onRestored - Se llama tras recuperar un corte
+ */
+const AuditTimeline = ({ viveroId, camaId = null, canRestore = false, onRestored }) => {
+  const { user } = useAuth();
+
+  const {
+    entries,
+    actors,
+    actorFilter,
+    setActorFilter,
+    loading,
+    error,
+    restoring,
+    restoreError,
+    loadHistory,
+    restoreCorte,
+    hasEntries
+  } = useAuditHistory(viveroId, { camaId });
+
+  const handleRestore = async (entry) => {
+    const corteId = await restoreCorte(entry, user.email);
+    if (corteId && onRestored) {
+      onRestored(corteId);
+    }
+  };
+
+  // ============================================================================
+  // 🎨 RENDERIZADO
+  // ============================================================================
+
+  return (
+    <Box>
+      <Box display="flex" alignItems="center" gap={1} mb={2} flexWrap="wrap">
+        <HistoryIcon color="action" />
+        <Typography variant="h6" sx={{ flexGrow: 1 }}>
+          Historial de cambios
+        </Typography>
+
+        <TextField
+          select
+          size="small"
+          label="Usuario"
+          value={actorFilter}
+          onChange={(e) => setActorFilter(e.target.value)}
+          disabled={!hasEntries}
+          sx={{ minWidth: 200 }}
+        >
+          <MenuItem value="">Todos los usuarios</MenuItem>
+          {actors.map((actor) => (
+            <MenuItem key={actor} value={actor}>
+              {actor}
+            </MenuItem>
+          ))}
+        </TextField>
+
+        <Tooltip title="Actualizar">
+          <span>
+            <IconButton onClick={loadHistory} disabled={loading}>
+              {loading ? <CircularProgress size={20} /> : <RefreshIcon />}
+            </IconButton>
+          </span>
+        </Tooltip>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          Error cargando historial: {error}
+        </Alert>
+      )}
+
+      {restoreError && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {restoreError}
+        </Alert>
+      )}
+
+      {!loading && entries.length === 0 && (
+        <Typography variant="body2" color="text.secondary">
+          Sin cambios registrados
+        </Typography>
+      )}
+
+      {/* Línea de tiempo */}
+      <Box sx={{ borderLeft: 2, borderColor: 'divider', ml: 1 }}>
+        {entries.map((entry) => {
+          const accion = ACCIONES[entry.accion] || { label: entry.accion, color: 'default' };
+
+          return (
+            <Box key={entry.id} sx={{ position: 'relative', pl: 3, pb: 2 }}>
+              <Box
+                sx={{
+                  position: 'absolute',
+                  left: -7,
+                  top: 4,
+                  width: 12,
+                  height: 12,
+                  borderRadius: '50%',
+                  bgcolor: accion.color === 'default' ? 'grey.400' : `${accion.color}.main`
+                }}
+              />
+
+              <Box display="flex" alignItems="center" gap={1} flexWrap="wrap">
+                <Typography variant="body2" fontWeight="medium">
+                  {getEntityLabel(entry)}
+                </Typography>
+                <Chip size="small" variant="outlined" color={accion.color} label={accion.label} />
+              </Box>
+
+              <Typography variant="caption" color="text.secondary" display="block">
+                {entry.actor} · {formatDateTime(entry.fecha)}
+              </Typography>
+
+              {entry.cambios?.map((cambio) => (
+                <Typography key={cambio.campo} variant="caption" display="block">
+                  {cambio.campo}: {formatValue(cambio.antes)} → {formatValue(cambio.despues)}
+                </Typography>
+              ))}
+
+              {entry.documento && (
+                <Typography variant="caption" color="text.secondary" display="block">
+                  {describeDocument(entry)}
+                </Typography>
+              )}
+
+              {canRestore && entry.entidad === 'corte' && entry.accion === 'eliminar' && (
+                <Button
+                  size="small"
+                  startIcon={restoring ? <CircularProgress size={14} /> : <RestoreIcon />}
+                  onClick={() => handleRestore(entry)}
+                  disabled={restoring}
+                  sx={{ mt: 0.5 }}
+                >
+                  Recuperar corte
+                </Button>
+              )}
+            </Box>
+          );
+        })}
+      </Box>
+    </Box>
+  );
+};
+
+export default AuditTimeline;
@@ -1,6 +1,6 @@
 // src/components/auth/ProtectedRoute.jsx
 import { useAuth } from '../../hooks/useAuth.jsx';
-import { Navigate } from 'react-router-dom';
+import { Navigate, useParams } from 'react-router-dom';
 import {
     Container,
     Box,
@@ -10,15 +10,76 @@ import {
 } from '@mui/material';
 import SecurityIcon from '@mui/icons-material/Security';
 import LockIcon from '@mui/icons-material/Lock';
+import { getRoleLabel } from '../../firebase/roleService.js';
+
+/**
+ * Pantalla de acceso denegado
+ * @param {Object} props - Props del componente
+ * @param {string} props.title - Título del mensaje
+ * @param {string} props.message - Descripción del motivo
+ * @param {Object} props.user - Usuario actual
+ * @param {string} props.roleLabel - Etiqueta del rol efectivo
+ */
+const AccessDenied = ({ title, message, user, roleLabel }) => (
+    <Container maxWidth="md">
+        <Box
+            display="flex"
+            flexDirection="column"
+            justifyContent="center"
+            alignItems="center"
+            minHeight="100vh"
+            textAlign="center"
+        >
+            <LockIcon sx={{ fontSize: 80, color: 'error.main', mb: 2 }} />
+
+            <Typography variant="h4" gutterBottom color="error">
+                {title}
+            </Typography>
+
+            <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
+                {message}
+            </Typography>
+
+            <Alert severity="info" sx={{ maxWidth: 500 }}>
+                <Typography variant="body2">
+                    <strong>Usuario actual:</strong> {user?.email}
+                    <br />
+                    <strong>Rol:</strong> {roleLabel}
+                    <br />
+                    <br />
+                    Si necesitas más permisos, contacta con el administrador del sistema.
+                </Typography>
+            </Alert>
+
+            <Box mt={3}>
+                <Typography variant="caption" color="text.secondary">
+                    Puedes regresar al inicio o cerrar sesión desde el menú
+                </Typography>
+            </Box>
+        </Box>
+    </Container>
+);
 
 /**
  * Componente para proteger rutas que requieren autenticación
  * @param {Object} props - Props del componente
  * @param {React.ReactNode} props.children - Componentes hijos a renderizar si está autenticado
- * @param {boolean} props.requireAdmin - Si la ruta requiere permisos de administrador
+ * @param {boolean} props.requireAdmin - Si la ruta requiere rol de propietario
+ * @param {string} props.permission - Permiso requerido (ver PERMISSIONS en roleService.js)
+ * @param {string} props.viveroParam - Parámetro de la URL con el vivero al que se aplica el permiso
  */
-const ProtectedRoute = ({ children, requireAdmin = false }) => {
-    const { user, loading, isAuthenticated, isAdmin } = useAuth();
+const ProtectedRoute = ({ children, requireAdmin = false, permission = null, viveroParam = 'viveroId' }) => {
+    const {
+        user,
+        loading,
+        isAuthenticated,
+        isActive,
+        isAdmin,
+        getRoleIn,
+        hasPermission
+    } = useAuth();
+    const params = useParams();
+    const viveroId = params[viveroParam] || null;
 
     // Mostrar loading mientras se verifica la autenticación
     if (loading) {
@@ -45,46 +106,43 @@ const ProtectedRoute = ({ children, requireAdmin = false }) => {
         return <Navigate to="/login" replace />;
     }
 
-    // Si requiere admin pero el usuario no es admin
-    if (requireAdmin && !isAdmin) {
+    // Cuenta desactivada por un administrador
+    if (!isActive) {
         return (
-            <Container maxWidth="md">
-                <Box
-                    display="flex"
-                    flexDirection="column"
-                    justifyContent="center"
-                    alignItems="center"
-                    minHeight="100vh"
-                    textAlign="center"
-                >
-                    <LockIcon sx={{ fontSize: 80, color: 'error.main', mb: 2 }} />
-
-                    <Typography variant="h4" gutterBottom color="error">
-                        Acceso Denegado
-                    </Typography>
+            <AccessDenied
+                title="Cuenta Desactivada"
+                message="Tu cuenta ha sido desactivada y no puede acceder al sistema."
+                user={user}
+                roleLabel="Sin rol"
+            />
+        );
+    }
 
-                    <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
-                        No tienes permisos de administrador para acceder a esta página.
-                    </Typography>
+    const roleLabel = getRoleLabel(getRoleIn(viveroId));
 
-                    <Alert severity="info" sx={{ maxWidth: 500 }}>
-                        <Typography variant="body2">
-                            <strong>Usuario actual:</strong> {user?.email}
-                            <br />
-                            <strong>Rol:</strong> Usuario estándar
-                            <br />
-                            <br />
-                            Si necesitas acceso de administrador, contacta con el administrador del sistema.
-                        </Typography>
-                    </Alert>
+    // Si requiere admin pero el usuario no es propietario
+    if (requireAdmin && !isAdmin) {
+        return (
+            <AccessDenied
+                title="Acceso Denegado"
+                message="No tienes permisos de administrador para acceder a esta página."
+                user={user}
+                roleLabel={roleLabel}
+            />
+        );
+    }
 
-                    <Box mt={3}>
-                        <Typography variant="caption" color="text.secondary">
-                            Puedes regresar al inicio o cerrar sesión desde el menú
-                        </Typography>
-                    </Box>
-                </Box>
-            </Container>
+    // Si requiere un permiso concreto (global o en el vivero de la URL)
+    if (permission && !hasPermission(permission, viveroId)) {
+        return (
+            <AccessDenied
+                title="Acceso Denegado"
+                message={viveroId
+                    ? `Tu rol no permite realizar esta acción en el vivero "${viveroId}".`
+                    : 'Tu rol no permite realizar esta acción.'}
+                user={user}
+                roleLabel={roleLabel}
+            />
         );
     }
 
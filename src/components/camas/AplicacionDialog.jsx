@@ -0,0 +1,268 @@
+// src/components/camas/AplicacionDialog.jsx
+import { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Grid,
+  TextField,
+  MenuItem,
+  Button,
+  Alert,
+  FormControlLabel,
+  Switch,
+  ToggleButton,
+  ToggleButtonGroup,
+  CircularProgress
+} from '@mui/material';
+import {
+  APLICACION_TIPOS,
+  APLICACION_TIPOS_INFO,
+  APLICACION_UNIDADES,
+  validateAplicacionData
+} from '../../firebase/camas/aplicacionesService.js';
+
+/**
+ * ============================================================================
+ * 🧪 AplicacionDialog Component
+ * ============================================================================
+ * Registro de una fertilización, riego o tratamiento en una cama
+ * - Puede registrarse para todo el vivero (cuenta para todas sus camas)
+ * - El intervalo de reingreso se pide solo para pesticidas y fungicidas
+ * - Errores de validateAplicacionData antes de enviar
+ * - También registra el tratamiento de una incidencia (titulo, tipoInicial
+ *   y sin la opción de todo el vivero)
+ * ============================================================================
+ */
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const buildInitialForm = (aplicadorDefault, tipoInicial) => ({
+  tipo: tipoInicial,
+  fecha: today(),
+  producto: '',
+  dosis: '',
+  unidad: 'ml/l',
+  aplicador: aplicadorDefault,
+  intervaloReingresoHoras: '',
+  observaciones: '',
+  todoElVivero: false
+});
+
+// Tipos con intervalo de reingreso
+const TIPOS_CON_REINGRESO = [APLICACION_TIPOS.PESTICIDA, APLICACION_TIPOS.FUNGICIDA];
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open - Diálogo abierto
+ * @param {Object} props.cama - Cama donde se registra (opcional si se indica titulo)
+ * @param {string} props.titulo - Título del diálogo (default: "Registrar aplicación · Cama {id}")
+ * @param {string} props.tipoInicial - Tipo seleccionado al abrir
+ * @param {boolean} props.permitirVivero - Muestra la opción "Aplicada a todo el vivero"
+ * @param {string} props.aplicadorDefault - Aplicador por defecto
+ * @param {Function} props.onSubmit - Recibe (aplicacionData, todoElVivero); debe retornar una promesa
+ * @param {Function} props.onClose - Cierra el diálogo
+ * @param {boolean} props.loading - Guardado en curso
+ */
+const AplicacionDialog = ({
+  open,
+  cama,
+  titulo,
+  tipoInicial = APLICACION_TIPOS.FERTILIZANTE,
+  permitirVivero = true,
+  aplicadorDefault = '',
+  onSubmit,
+  onClose,
+  loading = false
+}) => {
+  const [form, setForm] = useState(buildInitialForm(aplicadorDefault, tipoInicial));
+  const [errors, setErrors] = useState([]);
+  const [submitError, setSubmitError] = useState(null);
+
+  // Reiniciar formulario cada vez que se abre
+  useEffect(() => {
+    if (open) {
+      setForm(buildInitialForm(aplicadorDefault, tipoInicial));
+      setErrors([]);
+      setSubmitError(null);
+    }
+  }, [open, aplicadorDefault, tipoInicial]);
+
+  if (!cama && !titulo) return null;
+
+  const pideReingreso = TIPOS_CON_REINGRESO.includes(form.tipo);
+
+  const handleChange = (field) => (event) => {
+    setForm(prev => ({ ...prev, [field]: event.target.value }));
+  };
+
+  const handleSubmit = async () => {
+    const aplicacionData = {
+      tipo: form.tipo,
+      fecha: new Date(`${form.fecha}T12:00:00`),
+      producto: form.producto,
+      dosis: form.dosis,
+      unidad: form.unidad,
+      aplicador: form.aplicador,
+      intervaloReingresoHoras: pideReingreso ? form.intervaloReingresoHoras : '',
+      observaciones: form.observaciones.trim()
+    };
+
+    const validation = validateAplicacionData(aplicacionData);
+    if (!validation.valid) {
+      setErrors(validation.errors);
+      return;
+    }
+
+    try {
+      setErrors([]);
+      setSubmitError(null);
+      await onSubmit(aplicacionData, form.todoElVivero);
+    } catch (error) {
+      setSubmitError(error.message);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>
+        {titulo || `Registrar aplicación · Cama ${cama.id}`}
+      </DialogTitle>
+      <DialogContent dividers>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={form.tipo}
+          onChange={(event, value) => value && setForm(prev => ({ ...prev, tipo: value }))}
+          sx={{ mb: 2, flexWrap: 'wrap' }}
+        >
+          {Object.values(APLICACION_TIPOS).map(tipo => (
+            <ToggleButton key={tipo} value={tipo}>
+              {APLICACION_TIPOS_INFO[tipo].label}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+
+        <Grid container spacing={2}>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              label="Fecha"
+              type="date"
+              value={form.fecha}
+              onChange={handleChange('fecha')}
+              inputProps={{ max: today() }}
+              InputLabelProps={{ shrink: true }}
+              required
+              fullWidth
+            />
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              label="Producto"
+              value={form.producto}
+              onChange={handleChange('producto')}
+              placeholder={form.tipo === APLICACION_TIPOS.RIEGO ? 'Agua' : ''}
+              required={form.tipo !== APLICACION_TIPOS.RIEGO}
+              fullWidth
+            />
+          </Grid>
+          <Grid item xs={6} sm={4}>
+            <TextField
+              label="Dosis"
+              type="number"
+              value={form.dosis}
+              onChange={handleChange('dosis')}
+              inputProps={{ min: 0, step: 'any' }}
+              fullWidth
+            />
+          </Grid>
+          <Grid item xs={6} sm={3}>
+            <TextField
+              select
+              label="Unidad"
+              value={form.unidad}
+              onChange={handleChange('unidad')}
+              fullWidth
+            >
+              {APLICACION_UNIDADES.map(unidad => (
+                <MenuItem key={unidad} value={unidad}>{unidad}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12} sm={5}>
+            <TextField
+              label="Aplicador"
+              value={form.aplicador}
+              onChange={handleChange('aplicador')}
+              fullWidth
+            />
+          </Grid>
+          {pideReingreso && (
+            <Grid item xs={12} sm={6}>
+              <TextField
+                label="Reingreso (horas)"
+                type="number"
+                value={form.intervaloReingresoHoras}
+                onChange={handleChange('intervaloReingresoHoras')}
+                inputProps={{ min: 0, step: 1 }}
+                helperText="Tiempo sin entrar a la cama tras aplicar"
+                fullWidth
+              />
+            </Grid>
+          )}
+          <Grid item xs={12}>
+            <TextField
+              label="Observaciones"
+              value={form.observaciones}
+              onChange={handleChange('observaciones')}
+              multiline
+              minRows={2}
+              fullWidth
+            />
+          </Grid>
+          {permitirVivero && (
+            <Grid item xs={12}>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={form.todoElVivero}
+                    onChange={(e) => setForm(prev => ({ ...prev, todoElVivero: e.target.checked }))}
+                  />
+                }
+                label="Aplicada a todo el vivero"
+              />
+            </Grid>
+          )}
+        </Grid>
+
+        {errors.length > 0 && (
+          <Alert severity="warning" sx={{ mt: 2 }}>
+            {errors.join('. ')}
+          </Alert>
+        )}
+
+        {submitError && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {submitError}
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={loading}>
+          Cancelar
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleSubmit}
+          disabled={loading}
+          startIcon={loading ? <CircularProgress size={16} /> : null}
+        >
+          Registrar
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default AplicacionDialog;
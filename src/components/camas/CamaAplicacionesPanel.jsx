@@ -0,0 +1,285 @@
+// src/components/camas/CamaAplicacionesPanel.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Paper,
+  Box,
+  Typography,
+  Button,
+  IconButton,
+  Alert,
+  Chip,
+  Divider,
+  List,
+  ListItem,
+  ListItemText,
+  CircularProgress,
+  Tooltip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
+} from '@mui/material';
+import {
+  Science as ScienceIcon,
+  Delete as DeleteIcon,
+  Warning as WarningIcon
+} from '@mui/icons-material';
+import AplicacionDialog from './AplicacionDialog.jsx';
+import {
+  APLICACION_TIPOS_INFO,
+  APLICACION_ALCANCES,
+  getAplicacionTipoLabel,
+  getReingresoHasta,
+  isReingresoVigente,
+  createAplicacion,
+  getAplicacionesFromCama,
+  deleteAplicacion
+} from '../../firebase/camas/aplicacionesService.js';
+import { getCamaTrendAnalysis } from '../../firebase/camas/camaStatsService.js';
+
+/**
+ * ============================================================================
+ * 🧪 CamaAplicacionesPanel Component
+ * ============================================================================
+ * Aplicaciones de insumos de una cama, junto al historial de cortes
+ * - Fertilizaciones, riegos y tratamientos de la cama y de todo el vivero
+ * - Aviso mientras dura el intervalo de reingreso
+ * - Esquejes antes y después de cada tipo de aplicación (getCamaTrendAnalysis)
+ * ============================================================================
+ */
+
+const formatFecha = (fecha) => fecha.toDate().toLocaleDateString('es-ES', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+const formatHora = (fecha) => fecha.toLocaleString('es-ES', {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const describeEfecto = (efecto) => {
+  const label = getAplicacionTipoLabel(efecto.tipo);
+  if (efecto.variacionPorcentual === null) {
+    return `${label}: ${efecto.totalAplicaciones} aplicaciones, sin datos para comparar`;
+  }
+  const signo = efecto.variacionPorcentual > 0 ? '+' : '';
+  return `${label}: ${signo}${efecto.variacionPorcentual}% esquejes tras aplicar`;
+};
+
+/**
+ * @param {Object} props
+ * @param {string} props.viveroId - ID del vivero
+ * @param {Object} props.cama - Cama (con id)
+ * @param {string} props.userEmail - Email del usuario (registro y aplicador por defecto)
+ * @param {boolean} props.canRegistrar - Puede registrar aplicaciones
+ * @param {boolean} props.canEliminar - Puede eliminar aplicaciones
+ * @param {string|number} props.refreshKey - Cambia para recalcular la relación con los cortes
+ */
+const CamaAplicacionesPanel = ({
+  viveroId,
+  cama,
+  userEmail,
+  canRegistrar = false,
+  canEliminar = false,
+  refreshKey = 0
+}) => {
+  const [aplicaciones, setAplicaciones] = useState([]);
+  const [efectos, setEfectos] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [aplicacionAEliminar, setAplicacionAEliminar] = useState(null);
+  const [version, setVersion] = useState(0);
+
+  const camaId = cama?.id;
+
+  const loadAplicaciones = useCallback(async () => {
+    if (!viveroId || !camaId) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+      const [lista, tendencias] = await Promise.all([
+        getAplicacionesFromCama(viveroId, camaId),
+        getCamaTrendAnalysis(viveroId, camaId, { periodo: 'mensual', ultimosPeriodos: 12 })
+      ]);
+      setAplicaciones(lista);
+      setEfectos(tendencias.correlacionAplicaciones || []);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [viveroId, camaId]);
+
+  useEffect(() => {
+    loadAplicaciones();
+  }, [loadAplicaciones, refreshKey, version]);
+
+  // ============================================================================
+  // 🔧 HANDLERS
+  // ============================================================================
+
+  const handleSubmit = async (aplicacionData, todoElVivero) => {
+    try {
+      setSaving(true);
+      await createAplicacion(viveroId, todoElVivero ? null : camaId, aplicacionData, userEmail);
+      setDialogOpen(false);
+      setVersion(prev => prev + 1);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteConfirm = async () => {
+    const aplicacion = aplicacionAEliminar;
+
+    try {
+      setSaving(true);
+      setError(null);
+      await deleteAplicacion(viveroId, aplicacion.camaId, aplicacion.id, userEmail);
+      setVersion(prev => prev + 1);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setSaving(false);
+      setAplicacionAEliminar(null);
+    }
+  };
+
+  const reingresos = aplicaciones.filter(aplicacion => isReingresoVigente(aplicacion));
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Box display="flex" justifyContent="space-between" alignItems="center" flexWrap="wrap" gap={1}>
+        <Typography variant="h6" color="primary">
+          Aplicaciones ({aplicaciones.length})
+        </Typography>
+        <Box display="flex" alignItems="center" gap={1}>
+          {loading && <CircularProgress size={20} />}
+          {canRegistrar && (
+            <Button size="small" variant="outlined" startIcon={<ScienceIcon />} onClick={() => setDialogOpen(true)}>
+              Registrar
+            </Button>
+          )}
+        </Box>
+      </Box>
+      <Divider sx={{ my: 1 }} />
+
+      {error && (
+        <Alert severity="warning" sx={{ mb: 1 }}>
+          {error}
+        </Alert>
+      )}
+
+      {reingresos.map(aplicacion => (
+        <Alert key={aplicacion.id} severity="error" icon={<WarningIcon />} sx={{ mb: 1 }}>
+          No entrar: {aplicacion.producto} hasta el {formatHora(getReingresoHasta(aplicacion))}
+        </Alert>
+      ))}
+
+      {efectos.length > 0 && (
+        <Box display="flex" flexWrap="wrap" gap={1} mb={1}>
+          {efectos.map(efecto => (
+            <Tooltip
+              key={efecto.tipo}
+              title={`Esquejes en los ${efecto.ventanaDias} días previos: ${efecto.promedioEsquejesAntes ?? '—'} · en los siguientes: ${efecto.promedioEsquejesDespues ?? '—'} (promedio)`}
+            >
+              <Chip
+                size="small"
+                variant="outlined"
+                color={APLICACION_TIPOS_INFO[efecto.tipo]?.color || 'default'}
+                label={describeEfecto(efecto)}
+              />
+            </Tooltip>
+          ))}
+        </Box>
+      )}
+
+      {aplicaciones.length === 0 ? (
+        !loading && (
+          <Typography variant="body2" color="text.secondary">
+            No hay aplicaciones registradas
+          </Typography>
+        )
+      ) : (
+        <List dense disablePadding>
+          {aplicaciones.map((aplicacion, index) => (
+            <React.Fragment key={`${aplicacion.alcance}-${aplicacion.id}`}>
+              {index > 0 && <Divider component="li" />}
+              <ListItem
+                disableGutters
+                secondaryAction={canEliminar && (
+                  <IconButton edge="end" size="small" onClick={() => setAplicacionAEliminar(aplicacion)}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                )}
+              >
+                <ListItemText
+                  primary={
+                    <Box display="flex" alignItems="center" gap={1} flexWrap="wrap">
+                      <Chip
+                        size="small"
+                        label={getAplicacionTipoLabel(aplicacion.tipo)}
+                        color={APLICACION_TIPOS_INFO[aplicacion.tipo]?.color || 'default'}
+                      />
+                      <Typography variant="body2" fontWeight="medium">
+                        {aplicacion.producto}
+                        {aplicacion.dosis ? ` · ${aplicacion.dosis} ${aplicacion.unidad || ''}` : ''}
+                      </Typography>
+                      {aplicacion.alcance === APLICACION_ALCANCES.VIVERO && (
+                        <Chip size="small" variant="outlined" label="Todo el vivero" />
+                      )}
+                    </Box>
+                  }
+                  secondary={[
+                    formatFecha(aplicacion.fecha),
+                    aplicacion.aplicador,
+                    aplicacion.intervaloReingresoHoras > 0 && `Reingreso ${aplicacion.intervaloReingresoHoras} h`,
+                    aplicacion.observaciones
+                  ].filter(Boolean).join(' · ')}
+                />
+              </ListItem>
+            </React.Fragment>
+          ))}
+        </List>
+      )}
+
+      <AplicacionDialog
+        open={dialogOpen}
+        cama={cama}
+        aplicadorDefault={userEmail || ''}
+        onSubmit={handleSubmit}
+        onClose={() => setDialogOpen(false)}
+        loading={saving}
+      />
+
+      {/* Confirmación de eliminación */}
+      <Dialog open={Boolean(aplicacionAEliminar)} onClose={() => setAplicacionAEliminar(null)}>
+        <DialogTitle>Eliminar aplicación</DialogTitle>
+        <DialogContent>
+          <Typography>
+            ¿Eliminar la aplicación de {aplicacionAEliminar?.producto}
+            {aplicacionAEliminar?.alcance === APLICACION_ALCANCES.VIVERO && ' (de todo el vivero)'}?
+            Quedará guardada en el historial de cambios.
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setAplicacionAEliminar(null)} disabled={saving}>
+            Cancelar
+          </Button>
+          <Button color="error" variant="contained" onClick={handleDeleteConfirm} disabled={saving}>
+            Eliminar
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+};
+
+export default CamaAplicacionesPanel;
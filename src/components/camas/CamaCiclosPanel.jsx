@@ -0,0 +1,145 @@
+// src/components/camas/CamaCiclosPanel.jsx
+import { useState, useEffect } from 'react';
+import {
+  Paper,
+  Box,
+  Typography,
+  Alert,
+  CircularProgress,
+  Chip,
+  Divider,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { getCiclosStats } from '../../firebase/camas/camaStatsService.js';
+
+/**
+ * ============================================================================
+ * 🌱 CamaCiclosPanel Component
+ * ============================================================================
+ * Ciclos de cultivo de una cama con el rendimiento de cada uno
+ * - Planta, plantas, sustrato y tarro de cada siembra
+ * - Cortes y esquejes del ciclo, por planta y por planta al mes
+ * ============================================================================
+ */
+
+const formatFecha = (fecha) => fecha
+  ? fecha.toLocaleDateString('es-ES', { year: 'numeric', month: 'short', day: 'numeric' })
+  : '—';
+
+const formatNumero = (valor) => valor === null || valor === undefined ? '—' : valor;
+
+/**
+ * @param {Object} props
+ * @param {string} props.viveroId - ID del vivero
+ * @param {string} props.camaId - ID de la cama
+ * @param {string|number} props.refreshKey - Cambia para recalcular (ej: tras un corte o una siembra)
+ */
+const CamaCiclosPanel = ({ viveroId, camaId, refreshKey = 0 }) => {
+  const [ciclos, setCiclos] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!viveroId || !camaId) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    getCiclosStats(viveroId, camaId)
+      .then(result => { if (!cancelled) setCiclos([...result].reverse()); })
+      .catch(error => { if (!cancelled) setError(error.message); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+
+    return () => { cancelled = true; };
+  }, [viveroId, camaId, refreshKey]);
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Box display="flex" justifyContent="space-between" alignItems="center">
+        <Typography variant="h6" color="primary">
+          Ciclos de cultivo
+        </Typography>
+        {loading && <CircularProgress size={20} />}
+      </Box>
+      <Divider sx={{ my: 1 }} />
+
+      {error && (
+        <Alert severity="warning">
+          {error}
+        </Alert>
+      )}
+
+      {!error && !loading && ciclos.length === 0 && (
+        <Typography variant="body2" color="text.secondary">
+          La cama aún no tiene cultivos registrados
+        </Typography>
+      )}
+
+      {!error && ciclos.length > 0 && (
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Ciclo</TableCell>
+                <TableCell>Planta</TableCell>
+                <TableCell>Período</TableCell>
+                <TableCell align="right">Plantas</TableCell>
+                <TableCell align="right">Cortes</TableCell>
+                <TableCell align="right">Esquejes</TableCell>
+                <TableCell align="right">Por planta</TableCell>
+                <TableCell align="right">Por planta/mes</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {ciclos.map((ciclo) => (
+                <TableRow key={ciclo.cicloId}>
+                  <TableCell>
+                    <Box display="flex" alignItems="center" gap={1}>
+                      #{ciclo.numero}
+                      {ciclo.activo && <Chip size="small" color="success" label="En curso" />}
+                    </Box>
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="body2">
+                      {ciclo.nombrePlanta || 'Sin planta'}
+                    </Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      {[
+                        ciclo.sustrato,
+                        ciclo.tarroSize && `${ciclo.tarroSize} ${ciclo.tarroUnidad || ''}`.trim()
+                      ].filter(Boolean).join(' · ')}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="body2">
+                      {formatFecha(ciclo.fechaSiembra)} – {ciclo.activo ? 'hoy' : formatFecha(ciclo.fechaFin)}
+                    </Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      {[
+                        ciclo.diasCiclo !== null && `${ciclo.diasCiclo} días`,
+                        ciclo.motivoFin
+                      ].filter(Boolean).join(' · ')}
+                    </Typography>
+                  </TableCell>
+                  <TableCell align="right">{formatNumero(ciclo.cantidadPlantas)}</TableCell>
+                  <TableCell align="right">{ciclo.totalCortes}</TableCell>
+                  <TableCell align="right">{ciclo.totalEsquejes}</TableCell>
+                  <TableCell align="right">{formatNumero(ciclo.esquejesPorPlanta)}</TableCell>
+                  <TableCell align="right">{formatNumero(ciclo.esquejesPorPlantaMes)}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Paper>
+  );
+};
+
+export default CamaCiclosPanel;
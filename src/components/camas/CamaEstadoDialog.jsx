@@ -0,0 +1,204 @@
+// src/components/camas/CamaEstadoDialog.jsx
+import { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  Chip,
+  ToggleButton,
+  ToggleButtonGroup,
+  CircularProgress
+} from '@mui/material';
+import {
+  CAMA_ESTADOS,
+  CAMA_ESTADOS_INFO,
+  CAMA_ESTADO_REQUISITOS,
+  normalizeEstadoCama,
+  getTransicionesPermitidas
+} from '../../firebase/camas/camaEstadoService.js';
+
+/**
+ * ============================================================================
+ * 🔁 CamaEstadoDialog Component
+ * ============================================================================
+ * Cambio de estado de una cama según su ciclo de vida
+ * - Solo ofrece las transiciones permitidas desde el estado actual
+ * - Pide los campos que exige el estado elegido y que la cama no tiene
+ * - El motivo queda en el historial de estados
+ * ============================================================================
+ */
+
+const today = () => new Date().toISOString().split('T')[0];
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open - Diálogo abierto
+ * @param {Object} props.cama - Cama a cambiar
+ * @param {Function} props.onSubmit - Recibe updateData ({ estado, motivoEstado, ... }); debe retornar una promesa
+ * @param {Function} props.onClose - Cierra el diálogo
+ * @param {boolean} props.loading - Guardado en curso
+ */
+const CamaEstadoDialog = ({ open, cama, onSubmit, onClose, loading = false }) => {
+  const [estado, setEstado] = useState(null);
+  const [fechaSiembra, setFechaSiembra] = useState('');
+  const [cantidadPlantas, setCantidadPlantas] = useState('');
+  const [motivo, setMotivo] = useState('');
+  const [submitError, setSubmitError] = useState(null);
+
+  const estadoActual = normalizeEstadoCama(cama?.estado);
+  const opciones = getTransicionesPermitidas(estadoActual);
+
+  // Reiniciar formulario cada vez que se abre
+  useEffect(() => {
+    if (open) {
+      setEstado(getTransicionesPermitidas(cama?.estado)[0]);
+      setFechaSiembra('');
+      setCantidadPlantas(cama?.cantidadPlantas ? String(cama.cantidadPlantas) : '');
+      setMotivo('');
+      setSubmitError(null);
+    }
+  }, [open, cama?.estado, cama?.cantidadPlantas]);
+
+  if (!cama || !estado) return null;
+
+  const faltantes = CAMA_ESTADO_REQUISITOS[estado]
+    .filter(requisito => !requisito.cumple(cama))
+    .map(requisito => requisito.campo);
+  const pideSiembra = faltantes.includes('fechaSiembra');
+  const pidePlantas = estado !== CAMA_ESTADOS.LIBRE && faltantes.includes('cantidadPlantas');
+  const sinPlanta = faltantes.includes('nombrePlanta');
+
+  const buildUpdateData = () => {
+    const updateData = { estado, motivoEstado: motivo.trim() || null };
+    if (pideSiembra) updateData.fechaSiembra = new Date(`${fechaSiembra}T12:00:00`);
+    if (pidePlantas) updateData.cantidadPlantas = parseInt(cantidadPlantas);
+    // Una cama libre queda sin plantas
+    if (estado === CAMA_ESTADOS.LIBRE) updateData.cantidadPlantas = 0;
+    return updateData;
+  };
+
+  const canSubmit = !sinPlanta
+    && (!pideSiembra || fechaSiembra)
+    && (!pidePlantas || parseInt(cantidadPlantas) > 0);
+
+  const handleSubmit = async () => {
+    try {
+      setSubmitError(null);
+      await onSubmit(buildUpdateData());
+    } catch (error) {
+      setSubmitError(error.message);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>
+        Cambiar estado · Cama {cama.id}
+      </DialogTitle>
+      <DialogContent dividers>
+        <Box display="flex" alignItems="center" gap={1} mb={2}>
+          <Typography variant="body2" color="text.secondary">
+            Estado actual:
+          </Typography>
+          <Chip
+            size="small"
+            label={CAMA_ESTADOS_INFO[estadoActual].label}
+            color={CAMA_ESTADOS_INFO[estadoActual].color}
+          />
+        </Box>
+
+        <Typography variant="subtitle2" gutterBottom>
+          Pasar a
+        </Typography>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={estado}
+          onChange={(event, value) => value && setEstado(value)}
+          sx={{ mb: 2, flexWrap: 'wrap' }}
+        >
+          {opciones.map(opcion => (
+            <ToggleButton key={opcion} value={opcion}>
+              {CAMA_ESTADOS_INFO[opcion].label}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+
+        {sinPlanta && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            Asigne la planta desde el formulario de edición antes de pasar a este estado.
+          </Alert>
+        )}
+
+        {estado === CAMA_ESTADOS.LIBRE && (cama.cantidadPlantas || 0) > 0 && (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            La cama quedará sin plantas ({cama.cantidadPlantas} actualmente).
+          </Alert>
+        )}
+
+        {pideSiembra && (
+          <TextField
+            label="Fecha de siembra"
+            type="date"
+            value={fechaSiembra}
+            onChange={(e) => setFechaSiembra(e.target.value)}
+            inputProps={{ max: today() }}
+            InputLabelProps={{ shrink: true }}
+            required
+            fullWidth
+            sx={{ mb: 2 }}
+          />
+        )}
+
+        {pidePlantas && (
+          <TextField
+            label="Cantidad de plantas"
+            type="number"
+            value={cantidadPlantas}
+            onChange={(e) => setCantidadPlantas(e.target.value)}
+            inputProps={{ min: 1, step: 1 }}
+            required
+            fullWidth
+            sx={{ mb: 2 }}
+          />
+        )}
+
+        <TextField
+          label="Motivo (opcional)"
+          value={motivo}
+          onChange={(e) => setMotivo(e.target.value)}
+          multiline
+          minRows={2}
+          fullWidth
+        />
+
+        {submitError && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {submitError}
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={loading}>
+          Cancelar
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleSubmit}
+          disabled={loading || !canSubmit}
+          startIcon={loading ? <CircularProgress size={16} /> : null}
+        >
+          Cambiar estado
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default CamaEstadoDialog;
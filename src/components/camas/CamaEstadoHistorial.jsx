@@ -0,0 +1,100 @@
+// src/components/camas/CamaEstadoHistorial.jsx
+import {
+  Paper,
+  Box,
+  Typography,
+  Chip,
+  Divider,
+  List,
+  ListItem,
+  ListItemText
+} from '@mui/material';
+import {
+  CAMA_ESTADOS_INFO,
+  getPeriodosEstado,
+  getTiempoEnEstados
+} from '../../firebase/camas/camaEstadoService.js';
+
+/**
+ * ============================================================================
+ * 🔁 CamaEstadoHistorial Component
+ * ============================================================================
+ * Historial del ciclo de vida de una cama
+ * - Días acumulados en cada estado
+ * - Períodos del más reciente al más antiguo, con quién y por qué cambió
+ * ============================================================================
+ */
+
+const formatFecha = (fecha) => fecha.toLocaleDateString('es-ES', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+const formatDias = (dias) => {
+  const redondeado = Math.round(dias);
+  return redondeado === 1 ? '1 día' : `${redondeado} días`;
+};
+
+/**
+ * @param {Object} props
+ * @param {Object} props.cama - Cama con estado, estadoDesde e historialEstados
+ */
+const CamaEstadoHistorial = ({ cama }) => {
+  const periodos = getPeriodosEstado(cama).reverse();
+  const tiempo = getTiempoEnEstados(cama);
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Typography variant="h6" color="primary">
+        Ciclo de vida
+      </Typography>
+      <Divider sx={{ my: 1 }} />
+
+      {periodos.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          Sin historial de estados
+        </Typography>
+      ) : (
+        <>
+          <Box display="flex" flexWrap="wrap" gap={1} mb={1}>
+            {Object.entries(tiempo.diasPorEstado).map(([estado, dias]) => (
+              <Chip
+                key={estado}
+                size="small"
+                variant="outlined"
+                color={CAMA_ESTADOS_INFO[estado].color}
+                label={`${CAMA_ESTADOS_INFO[estado].label}: ${formatDias(dias)}`}
+              />
+            ))}
+          </Box>
+
+          <List dense disablePadding>
+            {periodos.map((periodo) => (
+              <ListItem key={periodo.desde.getTime()} disableGutters divider>
+                <ListItemText
+                  primary={
+                    <Box display="flex" alignItems="center" gap={1} flexWrap="wrap">
+                      <Chip
+                        size="small"
+                        label={CAMA_ESTADOS_INFO[periodo.estado].label}
+                        color={CAMA_ESTADOS_INFO[periodo.estado].color}
+                      />
+                      <Typography variant="body2">
+                        {formatFecha(periodo.desde)} – {periodo.hasta ? formatFecha(periodo.hasta) : 'hoy'}
+                        {' · '}{formatDias(periodo.dias)}
+                      </Typography>
+                    </Box>
+                  }
+                  secondary={[periodo.actor, periodo.motivo].filter(Boolean).join(' · ') || null}
+                />
+              </ListItem>
+            ))}
+          </List>
+        </>
+      )}
+    </Paper>
+  );
+};
+
+export default CamaEstadoHistorial;
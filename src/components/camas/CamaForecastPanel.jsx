@@ -0,0 +1,131 @@
+// src/components/camas/CamaForecastPanel.jsx
+import { useState, useEffect } from 'react';
+import {
+  Paper,
+  Box,
+  Typography,
+  ToggleButton,
+  ToggleButtonGroup,
+  Alert,
+  CircularProgress,
+  Chip,
+  Divider
+} from '@mui/material';
+import ForecastChart from '../common/ForecastChart.jsx';
+import {
+  FORECAST_PERIODOS,
+  FORECAST_MOTIVOS,
+  forecastCama
+} from '../../firebase/shared/forecastService.js';
+
+/**
+ * ============================================================================
+ * 🔮 CamaForecastPanel Component
+ * ============================================================================
+ * Pronóstico de esquejes de una cama para las próximas semanas o meses
+ * - Gráfico con lo real, lo esperado y las bandas de confianza
+ * - Frecuencia de corte y esquejes por corte que usa el modelo
+ * ============================================================================
+ */
+
+const MOTIVO_LABELS = {
+  [FORECAST_MOTIVOS.SIN_CORTES]: 'Se necesitan al menos dos días de corte para pronosticar esta cama.',
+  [FORECAST_MOTIVOS.FUERA_DE_PRODUCCION]: 'La cama no está en producción: no se proyectan esquejes.'
+};
+
+/**
+ * @param {Object} props
+ * @param {string} props.viveroId - ID del vivero
+ * @param {string} props.camaId - ID de la cama
+ * @param {number} props.refreshKey - Cambia para recalcular (ej: tras un corte nuevo)
+ */
+const CamaForecastPanel = ({ viveroId, camaId, refreshKey = 0 }) => {
+  const [periodo, setPeriodo] = useState(FORECAST_PERIODOS.SEMANAL);
+  const [forecast, setForecast] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!viveroId || !camaId) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    forecastCama(viveroId, camaId, { periodo })
+      .then(result => { if (!cancelled) setForecast(result); })
+      .catch(error => { if (!cancelled) setError(error.message); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+
+    return () => { cancelled = true; };
+  }, [viveroId, camaId, periodo, refreshKey]);
+
+  const handlePeriodoChange = (event, value) => {
+    if (value) setPeriodo(value);
+  };
+
+  const unidad = periodo === FORECAST_PERIODOS.SEMANAL ? 'semanas' : 'meses';
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Box display="flex" justifyContent="space-between" alignItems="center" flexWrap="wrap" gap={1}>
+        <Typography variant="h6" color="primary">
+          Pronóstico de producción
+        </Typography>
+        <Box display="flex" alignItems="center" gap={1}>
+          {loading && <CircularProgress size={20} />}
+          <ToggleButtonGroup size="small" exclusive value={periodo} onChange={handlePeriodoChange}>
+            <ToggleButton value={FORECAST_PERIODOS.SEMANAL}>Semanas</ToggleButton>
+            <ToggleButton value={FORECAST_PERIODOS.MENSUAL}>Meses</ToggleButton>
+          </ToggleButtonGroup>
+        </Box>
+      </Box>
+      <Divider sx={{ my: 1 }} />
+
+      {error && (
+        <Alert severity="warning">
+          {error}
+        </Alert>
+      )}
+
+      {forecast && !error && (
+        <>
+          {!forecast.suficiente ? (
+            <Alert severity="info" sx={{ mb: 2 }}>
+              {MOTIVO_LABELS[forecast.motivo]}
+            </Alert>
+          ) : (
+            <Box display="flex" flexWrap="wrap" gap={1} mb={2}>
+              <Chip
+                color="primary"
+                label={`${forecast.total.esperado} esquejes en ${forecast.pronostico.length} ${unidad}`}
+              />
+              <Chip
+                variant="outlined"
+                label={`80%: ${forecast.total.inferior80}–${forecast.total.superior80}`}
+              />
+              <Chip
+                variant="outlined"
+                label={`Corte cada ${forecast.modelo.intervaloMedioDias} días · ${forecast.modelo.esquejesPorCorte} por corte`}
+              />
+              {forecast.modelo.estacional && (
+                <Chip variant="outlined" label="Con estacionalidad" />
+              )}
+              {forecast.modelo.detenida && (
+                <Chip color="warning" label="Sin cortes recientes" />
+              )}
+            </Box>
+          )}
+
+          <ForecastChart
+            historial={forecast.historial}
+            pronostico={forecast.suficiente ? forecast.pronostico : []}
+            periodo={periodo}
+          />
+        </>
+      )}
+    </Paper>
+  );
+};
+
+export default CamaForecastPanel;
@@ -0,0 +1,638 @@
+// src/components/camas/CamaForm.jsx
+import { useState, useEffect, useMemo } from 'react';
+import {
+  Container,
+  Paper,
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Grid,
+  Alert,
+  CircularProgress,
+  MenuItem,
+  InputAdornment,
+  IconButton,
+  Tooltip,
+  Divider,
+  Autocomplete
+} from '@mui/material';
+import {
+  Save as SaveIcon,
+  Cancel as CancelIcon,
+  AutoFixHigh as AutoFixHighIcon,
+  Spa as SpaIcon
+} from '@mui/icons-material';
+import { useCamas } from '../../hooks/useCamas.js';
+import { useAuth } from '../../hooks/useAuth.jsx';
+import { useNavigate } from 'react-router-dom';
+import { validateCamaId, generateCamaId } from '../../firebase/viveros/viveroUrlService.js';
+import {
+  getAllEspecies,
+  getEspecieDisplayName,
+  matchEspecie
+} from '../../firebase/especies/especieService.js';
+import {
+  CAMA_ESTADOS,
+  CAMA_ESTADOS_INFO,
+  CAMA_ESTADO_REQUISITOS,
+  normalizeEstadoCama,
+  getTransicionesPermitidas
+} from '../../firebase/camas/camaEstadoService.js';
+
+/**
+ * ============================================================================
+ * 🌿 CamaForm Component
+ * ============================================================================
+ * Formulario completo para crear/editar camas dentro de un vivero
+ * - Integración con useCamas hook (createCama / updateCama)
+ * - IDs generados y validados con las reglas de viveroUrlService
+ * - Cubre todos los campos aceptados por createCama
+ * - Planta elegida del catálogo de especies (texto libre si no está)
+ * - Estado según el ciclo de vida: al editar solo se ofrecen las
+ *   transiciones permitidas y se exigen los campos del estado
+ * - Material-UI responsive mobile-first
+ * ============================================================================
+ */
+
+const TARRO_UNIDADES = [
+  { value: 'pulgadas', label: 'Pulgadas' },
+  { value: 'cm', label: 'Centímetros' }
+];
+
+const EMPTY_FORM = {
+  id: '',
+  especieId: null,
+  nombrePlanta: '',
+  cantidadPlantas: '',
+  sustrato: '',
+  tarroSize: '',
+  tarroUnidad: 'pulgadas',
+  estado: CAMA_ESTADOS.PREPARACION,
+  fechaSiembra: '',
+  fechaEstimadaCosecha: '',
+  observaciones: ''
+};
+
+/**
+ * Convierte un Timestamp/Date a string YYYY-MM-DD para inputs de tipo date
+ */
+const toDateInputValue = (value) => {
+  if (!value) return '';
+  const date = value.toDate ? value.toDate() : new Date(value);
+  if (isNaN(date.getTime())) return '';
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * Convierte el valor de un input date a Date (mediodía local para evitar saltos de zona horaria)
+ */
+const fromDateInputValue = (value) => {
+  if (!value) return null;
+  return new Date(`${value}T12:00:00`);
+};
+
+const CamaForm = ({
+  viveroId,
+  camaId = null,
+  mode = 'create', // 'create' o 'edit'
+  onSuccess = null,
+  onCancel = null
+}) => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const {
+    camas,
+    selectedCama,
+    loadCama,
+    createCama,
+    updateCama,
+    loading,
+    loadingCreate,
+    loadingUpdate,
+    error: loadError,
+    createError,
+    updateError,
+    clearErrors,
+    validateCamaData
+  } = useCamas(viveroId, { autoLoad: mode === 'create' });
+
+  // ============================================================================
+  // 📊 ESTADO DEL FORMULARIO
+  // ============================================================================
+
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+  const [camaLoaded, setCamaLoaded] = useState(mode !== 'edit');
+  const [especies, setEspecies] = useState([]);
+
+  const selectedEspecie = especies.find(especie => especie.id === formData.especieId) || null;
+
+  // Al editar, el estado guardado y los que se pueden alcanzar desde él
+  const estadoGuardado = mode === 'edit' && selectedCama ? normalizeEstadoCama(selectedCama.estado) : null;
+  const estadoOpciones = estadoGuardado
+    ? [estadoGuardado, ...getTransicionesPermitidas(estadoGuardado)]
+    : Object.values(CAMA_ESTADOS);
+  const requisitosEstado = CAMA_ESTADO_REQUISITOS[formData.estado].map(requisito => requisito.mensaje);
+
+  // Siguiente ID disponible según las camas existentes del vivero
+  const suggestedId = useMemo(() => {
+    const maxNumero = camas.reduce((max, cama) => {
+      const numero = parseInt(cama.id.replace(/\D/g, '')) || 0;
+      return Math.max(max, numero);
+    }, 0);
+    return generateCamaId('cama', maxNumero + 1);
+  }, [camas]);
+
+  // ============================================================================
+  // 🔄 EFECTOS INICIALES
+  // ============================================================================
+
+  // Catálogo de especies para elegir la planta
+  useEffect(() => {
+    getAllEspecies()
+      .then(setEspecies)
+      .catch(error => console.warn("⚠️ No se pudo cargar el catálogo de especies:", error.message));
+  }, []);
+
+  // Cargar cama para edición
+  useEffect(() => {
+    if (mode === 'edit' && camaId) {
+      loadCama(camaId, false).finally(() => setCamaLoaded(true));
+    }
+  }, [mode, camaId, loadCama]);
+
+  useEffect(() => {
+    if (mode === 'edit' && selectedCama && selectedCama.id === camaId) {
+      setFormData({
+        id: selectedCama.id,
+        especieId: selectedCama.especieId || null,
+        nombrePlanta: selectedCama.nombrePlanta || '',
+        cantidadPlantas: selectedCama.cantidadPlantas ?? '',
+        sustrato: selectedCama.sustrato || '',
+        tarroSize: selectedCama.tarroSize || '',
+        tarroUnidad: selectedCama.tarroUnidad || 'pulgadas',
+        estado: normalizeEstadoCama(selectedCama.estado),
+        fechaSiembra: toDateInputValue(selectedCama.fechaSiembra),
+        fechaEstimadaCosecha: toDateInputValue(selectedCama.fechaEstimadaCosecha),
+        observaciones: selectedCama.observaciones || ''
+      });
+    }
+  }, [mode, camaId, selectedCama]);
+
+  // Limpiar errores cuando cambia el modo
+  useEffect(() => {
+    clearErrors();
+    setErrors({});
+  }, [mode, clearErrors]);
+
+  // ============================================================================
+  // 🔧 FUNCIONES AUXILIARES
+  // ============================================================================
+
+  const handleInputChange = (field) => (event) => {
+    const value = event.target.value;
+
+    setFormData(prev => ({
+      ...prev,
+      [field]: value
+    }));
+
+    // Limpiar error específico si existe
+    if (errors[field]) {
+      setErrors(prev => ({
+        ...prev,
+        [field]: null
+      }));
+    }
+  };
+
+  // Texto escrito en el campo de planta: se vincula si coincide con el catálogo
+  const handlePlantaInputChange = (event, value, reason) => {
+    if (reason === 'reset') return;
+
+    const especie = matchEspecie(value, especies);
+    setFormData(prev => ({
+      ...prev,
+      nombrePlanta: value,
+      especieId: especie ? especie.id : null
+    }));
+    if (errors.nombrePlanta) {
+      setErrors(prev => ({ ...prev, nombrePlanta: null }));
+    }
+  };
+
+  // Especie elegida de la lista: nombre del catálogo y su sustrato por defecto
+  const handleEspecieChange = (event, value) => {
+    if (!value || typeof value === 'string') return;
+
+    setFormData(prev => ({
+      ...prev,
+      especieId: value.id,
+      nombrePlanta: getEspecieDisplayName(value),
+      sustrato: prev.sustrato || value.sustratoDefault || ''
+    }));
+    setErrors(prev => ({ ...prev, nombrePlanta: null }));
+  };
+
+  const handleUseSuggestedId = () => {
+    setFormData(prev => ({ ...prev, id: suggestedId }));
+    setErrors(prev => ({ ...prev, id: null }));
+  };
+
+  // ============================================================================
+  // ✅ VALIDACIÓN Y SUBMIT
+  // ============================================================================
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (mode === 'create') {
+      const idValidation = validateCamaId(formData.id.trim());
+      if (!idValidation.valid) {
+        newErrors.id = idValidation.errors.join('. ');
+      } else if (camas.some(cama => cama.id === formData.id.trim())) {
+        newErrors.id = `Ya existe una cama con ID: ${formData.id.trim()}`;
+      }
+    }
+
+    const validation = validateCamaData({
+      nombrePlanta: formData.nombrePlanta,
+      cantidadPlantas: formData.cantidadPlantas === '' ? undefined : Number(formData.cantidadPlantas)
+    });
+    validation.errors.forEach(error => {
+      if (error.includes('planta') && !error.includes('cantidad')) newErrors.nombrePlanta = error;
+      if (error.includes('cantidad')) newErrors.cantidadPlantas = error;
+    });
+
+    if (formData.cantidadPlantas !== '' && !Number.isInteger(Number(formData.cantidadPlantas))) {
+      newErrors.cantidadPlantas = 'La cantidad de plantas debe ser un número entero';
+    }
+
+    if (formData.tarroSize !== '' && (isNaN(Number(formData.tarroSize)) || Number(formData.tarroSize) < 0)) {
+      newErrors.tarroSize = 'El tamaño del tarro debe ser un número positivo';
+    }
+
+    // Campos que exige el estado elegido
+    const requisitoData = {
+      ...formData,
+      cantidadPlantas: formData.cantidadPlantas === '' ? 0 : Number(formData.cantidadPlantas)
+    };
+    CAMA_ESTADO_REQUISITOS[formData.estado]
+      .filter(requisito => !requisito.cumple(requisitoData))
+      .forEach(requisito => {
+        newErrors[requisito.campo] = newErrors[requisito.campo]
+          || `Se requiere ${requisito.mensaje} para el estado "${CAMA_ESTADOS_INFO[formData.estado].label}"`;
+      });
+
+    if (formData.fechaSiembra && formData.fechaEstimadaCosecha &&
+        formData.fechaEstimadaCosecha < formData.fechaSiembra) {
+      newErrors.fechaEstimadaCosecha = 'La cosecha estimada no puede ser anterior a la siembra';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const buildPayload = () => ({
+    especieId: formData.especieId || null,
+    nombrePlanta: formData.nombrePlanta.trim(),
+    cantidadPlantas: formData.cantidadPlantas === '' ? 0 : parseInt(formData.cantidadPlantas),
+    sustrato: formData.sustrato.trim(),
+    tarroSize: formData.tarroSize === '' ? 0 : Number(formData.tarroSize),
+    tarroUnidad: formData.tarroUnidad,
+    estado: formData.estado,
+    fechaSiembra: fromDateInputValue(formData.fechaSiembra),
+    fechaEstimadaCosecha: fromDateInputValue(formData.fechaEstimadaCosecha),
+    observaciones: formData.observaciones.trim()
+  });
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    if (!validateForm()) {
+      return;
+    }
+
+    try {
+      clearErrors();
+
+      let savedId;
+      if (mode === 'create') {
+        savedId = await createCama({ id: formData.id.trim(), ...buildPayload() }, user.email);
+      } else {
+        await updateCama(camaId, buildPayload(), user.email);
+        savedId = camaId;
+      }
+
+      if (onSuccess) {
+        onSuccess(savedId);
+      } else {
+        navigate(`/v/${viveroId}/c/${savedId}`);
+      }
+
+    } catch (error) {
+      console.error("❌ Error en submit:", error.message);
+    }
+  };
+
+  const handleCancel = () => {
+    if (onCancel) {
+      onCancel();
+    } else if (mode === 'edit') {
+      navigate(`/v/${viveroId}/c/${camaId}`);
+    } else {
+      navigate('/viveros');
+    }
+  };
+
+  // ============================================================================
+  // 🎨 RENDERIZADO
+  // ============================================================================
+
+  const isLoading = loadingCreate || loadingUpdate;
+  const currentError = createError || updateError;
+
+  if (mode === 'edit' && (!camaLoaded || (loading && !selectedCama))) {
+    return (
+      <Container maxWidth="md" sx={{ py: 4 }}>
+        <Box display="flex" justifyContent="center" py={8}>
+          <CircularProgress />
+        </Box>
+      </Container>
+    );
+  }
+
+  if (mode === 'edit' && !selectedCama) {
+    return (
+      <Container maxWidth="md" sx={{ py: 4 }}>
+        <Alert severity="warning">
+          {loadError || `Cama no encontrada: ${camaId} en vivero ${viveroId}`}
+        </Alert>
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="md" sx={{ py: 4 }}>
+      <Paper elevation={3} sx={{ p: 4 }}>
+        {/* Header */}
+        <Box display="flex" alignItems="center" mb={1}>
+          <SpaIcon color="primary" sx={{ fontSize: 32, mr: 2 }} />
+          <Typography variant="h4" component="h1">
+            {mode === 'create' ? 'Crear Nueva Cama' : `Editar Cama ${camaId}`}
+          </Typography>
+        </Box>
+        <Typography variant="body2" color="text.secondary" mb={3}>
+          Vivero: {viveroId}
+        </Typography>
+
+        {/* Error Alert */}
+        {currentError && (
+          <Alert severity="error" sx={{ mb: 3 }}>
+            {currentError}
+          </Alert>
+        )}
+
+        {/* Formulario */}
+        <Box component="form" onSubmit={handleSubmit}>
+          <Grid container spacing={3}>
+
+            {/* Información Básica */}
+            <Grid item xs={12}>
+              <Typography variant="h6" gutterBottom color="primary">
+                Información Básica
+              </Typography>
+              <Divider sx={{ mb: 2 }} />
+            </Grid>
+
+            {/* ID de la Cama */}
+            {mode === 'create' && (
+              <Grid item xs={12} md={4}>
+                <TextField
+                  label="ID de la Cama"
+                  value={formData.id}
+                  onChange={handleInputChange('id')}
+                  error={!!errors.id}
+                  helperText={errors.id || `Sugerido: ${suggestedId}`}
+                  required
+                  fullWidth
+                  placeholder={`ej: ${suggestedId}`}
+                  InputProps={{
+                    endAdornment: (
+                      <InputAdornment position="end">
+                        <Tooltip title="Usar ID sugerido">
+                          <IconButton edge="end" onClick={handleUseSuggestedId}>
+                            <AutoFixHighIcon />
+                          </IconButton>
+                        </Tooltip>
+                      </InputAdornment>
+                    )
+                  }}
+                />
+              </Grid>
+            )}
+
+            {/* Planta (especie del catálogo) */}
+            <Grid item xs={12} md={mode === 'create' ? 8 : 12}>
+              <Autocomplete
+                freeSolo
+                options={especies}
+                value={selectedEspecie}
+                inputValue={formData.nombrePlanta}
+                onChange={handleEspecieChange}
+                onInputChange={handlePlantaInputChange}
+                getOptionLabel={(option) => typeof option === 'string' ? option : getEspecieDisplayName(option)}
+                isOptionEqualToValue={(option, value) => option.id === value.id}
+                renderOption={(props, option) => (
+                  <li {...props} key={option.id}>
+                    <Box>
+                      <Typography variant="body2">{getEspecieDisplayName(option)}</Typography>
+                      {option.nombreCientifico && (
+                        <Typography variant="caption" color="text.secondary" fontStyle="italic">
+                          {option.nombreCientifico}
+                        </Typography>
+                      )}
+                    </Box>
+                  </li>
+                )}
+                renderInput={(params) => (
+                  <TextField
+                    {...params}
+                    label="Planta"
+                    error={!!errors.nombrePlanta}
+                    helperText={errors.nombrePlanta || (
+                      formData.nombrePlanta.trim() && !formData.especieId
+                        ? 'No está en el catálogo: se guarda como texto libre'
+                        : selectedEspecie?.esquejesPorPlantaMes
+                          ? `Producción esperada: ${selectedEspecie.esquejesPorPlantaMes} esquejes por planta al mes`
+                          : ''
+                    )}
+                    required
+                    fullWidth
+                    placeholder="ej: Lavanda"
+                  />
+                )}
+              />
+            </Grid>
+
+            {/* Cantidad de plantas */}
+            <Grid item xs={12} md={4}>
+              <TextField
+                label="Cantidad de Plantas"
+                type="number"
+                value={formData.cantidadPlantas}
+                onChange={handleInputChange('cantidadPlantas')}
+                error={!!errors.cantidadPlantas}
+                helperText={errors.cantidadPlantas}
+                fullWidth
+                inputProps={{ min: 0, step: 1 }}
+              />
+            </Grid>
+
+            {/* Estado */}
+            <Grid item xs={12} md={4}>
+              <TextField
+                select
+                label="Estado"
+                value={formData.estado}
+                onChange={handleInputChange('estado')}
+                helperText={requisitosEstado.length > 0 ? `Requiere ${requisitosEstado.join(', ')}` : ''}
+                fullWidth
+              >
+                {estadoOpciones.map(estado => (
+                  <MenuItem key={estado} value={estado}>
+                    {CAMA_ESTADOS_INFO[estado].label}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+
+            {/* Sustrato */}
+            <Grid item xs={12} md={4}>
+              <TextField
+                label="Sustrato"
+                value={formData.sustrato}
+                onChange={handleInputChange('sustrato')}
+                fullWidth
+                placeholder="ej: Turba"
+              />
+            </Grid>
+
+            {/* Tarro */}
+            <Grid item xs={12}>
+              <Typography variant="h6" gutterBottom color="primary" sx={{ mt: 2 }}>
+                Tarro
+              </Typography>
+              <Divider sx={{ mb: 2 }} />
+            </Grid>
+
+            <Grid item xs={6} md={4}>
+              <TextField
+                label="Tamaño del Tarro"
+                type="number"
+                value={formData.tarroSize}
+                onChange={handleInputChange('tarroSize')}
+                error={!!errors.tarroSize}
+                helperText={errors.tarroSize}
+                fullWidth
+                inputProps={{ min: 0, step: 0.5 }}
+              />
+            </Grid>
+
+            <Grid item xs={6} md={4}>
+              <TextField
+                select
+                label="Unidad"
+                value={formData.tarroUnidad}
+                onChange={handleInputChange('tarroUnidad')}
+                fullWidth
+              >
+                {TARRO_UNIDADES.map(unidad => (
+                  <MenuItem key={unidad.value} value={unidad.value}>
+                    {unidad.label}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+
+            {/* Fechas */}
+            <Grid item xs={12}>
+              <Typography variant="h6" gutterBottom color="primary" sx={{ mt: 2 }}>
+                Fechas
+              </Typography>
+              <Divider sx={{ mb: 2 }} />
+            </Grid>
+
+            <Grid item xs={12} md={6}>
+              <TextField
+                label="Fecha de Siembra"
+                type="date"
+                value={formData.fechaSiembra}
+                onChange={handleInputChange('fechaSiembra')}
+                error={!!errors.fechaSiembra}
+                helperText={errors.fechaSiembra}
+                fullWidth
+                InputLabelProps={{ shrink: true }}
+              />
+            </Grid>
+
+            <Grid item xs={12} md={6}>
+              <TextField
+                label="Fecha Estimada de Cosecha"
+                type="date"
+                value={formData.fechaEstimadaCosecha}
+                onChange={handleInputChange('fechaEstimadaCosecha')}
+                error={!!errors.fechaEstimadaCosecha}
+                helperText={errors.fechaEstimadaCosecha}
+                fullWidth
+                InputLabelProps={{ shrink: true }}
+              />
+            </Grid>
+
+            {/* Observaciones */}
+            <Grid item xs={12}>
+              <TextField
+                label="Observaciones"
+                value={formData.observaciones}
+                onChange={handleInputChange('observaciones')}
+                multiline
+                rows={3}
+                fullWidth
+                placeholder="Notas sobre la cama, cuidados especiales..."
+              />
+            </Grid>
+          </Grid>
+
+          {/* Botones de acción */}
+          <Box display="flex" justifyContent="space-between" sx={{ mt: 4 }}>
+            <Button
+              variant="outlined"
+              onClick={handleCancel}
+              disabled={isLoading}
+              startIcon={<CancelIcon />}
+              size="large"
+            >
+              Cancelar
+            </Button>
+
+            <Button
+              type="submit"
+              variant="contained"
+              disabled={isLoading}
+              startIcon={isLoading ? <CircularProgress size={20} /> : <SaveIcon />}
+              size="large"
+            >
+              {isLoading
+                ? (mode === 'create' ? 'Creando...' : 'Guardando...')
+                : (mode === 'create' ? 'Crear Cama' : 'Guardar Cambios')
+              }
+            </Button>
+          </Box>
+        </Box>
+      </Paper>
+    </Container>
+  );
+};
+
+export default CamaForm;
@@ -0,0 +1,243 @@
+// src/components/camas/CamaGaleriaPanel.jsx
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Paper,
+  Box,
+  Typography,
+  Button,
+  Alert,
+  Divider,
+  CircularProgress,
+  ToggleButton,
+  ToggleButtonGroup,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
+} from '@mui/material';
+import { AddAPhoto as AddAPhotoIcon } from '@mui/icons-material';
+import FotoThumbnails from '../common/FotoThumbnails.jsx';
+import { validateFoto } from '../../firebase/shared/storageService.js';
+import {
+  FOTO_ORIGENES,
+  FOTO_ORIGENES_INFO,
+  addFotoCama,
+  removeFotoCama,
+  getGaleriaCama
+} from '../../firebase/camas/camaFotosService.js';
+
+/**
+ * ============================================================================
+ * 📷 CamaGaleriaPanel Component
+ * ============================================================================
+ * Galería de fotos de una cama
+ * - Junta las fotos de la cama, de sus cortes y de sus incidencias
+ * - Filtro por origen; la leyenda indica de dónde viene cada foto
+ * - Agregar fotos del estado de la cama (cámara del teléfono)
+ * - Quitar solo fotos de la cama: las de cortes e incidencias se
+ *   gestionan desde su registro
+ * ============================================================================
+ */
+
+const THUMB_SIZE = 96;
+
+const formatFecha = (fecha) => fecha
+  ? fecha.toLocaleDateString('es-ES', { year: 'numeric', month: 'short', day: 'numeric' })
+  : 'Sin fecha';
+
+const getCaption = (foto) => {
+  const fecha = formatFecha(foto.fecha);
+  if (foto.origen === FOTO_ORIGENES.CORTE) return `Corte ${fecha} · ${foto.cantidadEsquejes || 0} esquejes`;
+  if (foto.origen === FOTO_ORIGENES.INCIDENCIA) return `${foto.agente} · ${fecha}`;
+  return foto.descripcion ? `${foto.descripcion} · ${fecha}` : `Cama · ${fecha}`;
+};
+
+/**
+ * @param {Object} props
+ * @param {string} props.viveroId - ID del vivero
+ * @param {Object} props.cama - Cama (con id)
+ * @param {string} props.userEmail - Email del usuario
+ * @param {boolean} props.canSubir - Puede agregar fotos a la cama
+ * @param {boolean} props.canEliminar - Puede quitar fotos de la cama
+ * @param {*} props.refreshKey - Recarga la galería al cambiar (ej: cortes o incidencias nuevas)
+ */
+const CamaGaleriaPanel = ({
+  viveroId,
+  cama,
+  userEmail,
+  canSubir = false,
+  canEliminar = false,
+  refreshKey
+}) => {
+  const [fotos, setFotos] = useState([]);
+  const [origen, setOrigen] = useState('todas');
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [fotoAQuitar, setFotoAQuitar] = useState(null);
+
+  const camaId = cama?.id;
+
+  const loadGaleria = useCallback(async () => {
+    if (!viveroId || !camaId) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+      setFotos(await getGaleriaCama(viveroId, camaId));
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [viveroId, camaId]);
+
+  useEffect(() => {
+    loadGaleria();
+  }, [loadGaleria, refreshKey]);
+
+  // ============================================================================
+  // 🔧 HANDLERS
+  // ============================================================================
+
+  const handleAgregar = async (event) => {
+    const elegidas = Array.from(event.target.files || []);
+    event.target.value = '';
+    if (elegidas.length === 0) return;
+
+    const errores = [];
+    try {
+      setSaving(true);
+      setError(null);
+      for (const file of elegidas) {
+        const validation = validateFoto(file);
+        if (!validation.valid) {
+          errores.push(`${file.name}: ${validation.errors.join('. ')}`);
+          continue;
+        }
+        try {
+          await addFotoCama(viveroId, camaId, file, userEmail);
+        } catch (error) {
+          errores.push(`${file.name}: ${error.message}`);
+        }
+      }
+    } finally {
+      setSaving(false);
+    }
+
+    if (errores.length > 0) setError(errores.join('. '));
+    loadGaleria();
+  };
+
+  const handleQuitar = async () => {
+    try {
+      setSaving(true);
+      await removeFotoCama(viveroId, camaId, fotoAQuitar.id, userEmail);
+      setFotoAQuitar(null);
+      loadGaleria();
+    } catch (error) {
+      setFotoAQuitar(null);
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // ============================================================================
+  // 🎨 RENDERIZADO
+  // ============================================================================
+
+  const visibles = origen === 'todas' ? fotos : fotos.filter(foto => foto.origen === origen);
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Box display="flex" justifyContent="space-between" alignItems="center" flexWrap="wrap" gap={1}>
+        <Typography variant="h6" color="primary">
+          Fotos ({fotos.length})
+        </Typography>
+        <Box display="flex" alignItems="center" gap={1}>
+          {(loading || saving) && <CircularProgress size={20} />}
+          {canSubir && (
+            <Button
+              component="label"
+              size="small"
+              variant="outlined"
+              startIcon={<AddAPhotoIcon />}
+              disabled={saving}
+            >
+              Agregar foto
+              <input
+                type="file"
+                accept="image/*"
+                capture="environment"
+                multiple
+                hidden
+                onChange={handleAgregar}
+              />
+            </Button>
+          )}
+        </Box>
+      </Box>
+      <Divider sx={{ my: 1 }} />
+
+      {error && (
+        <Alert severity="warning" sx={{ mb: 1 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {fotos.length > 0 && (
+        <ToggleButtonGroup
+          value={origen}
+          exclusive
+          size="small"
+          onChange={(event, value) => value && setOrigen(value)}
+          sx={{ mb: 2, flexWrap: 'wrap' }}
+        >
+          <ToggleButton value="todas">Todas</ToggleButton>
+          {Object.values(FOTO_ORIGENES).map(valor => (
+            <ToggleButton key={valor} value={valor}>
+              {FOTO_ORIGENES_INFO[valor].label} ({fotos.filter(foto => foto.origen === valor).length})
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+      )}
+
+      {visibles.length === 0 ? (
+        !loading && (
+          <Typography variant="body2" color="text.secondary">
+            Sin fotos registradas
+          </Typography>
+        )
+      ) : (
+        <FotoThumbnails
+          fotos={visibles}
+          size={THUMB_SIZE}
+          getCaption={getCaption}
+          onRemove={canEliminar ? setFotoAQuitar : undefined}
+          canRemove={(foto) => foto.origen === FOTO_ORIGENES.CAMA}
+          disabled={saving}
+        />
+      )}
+
+      <Dialog open={Boolean(fotoAQuitar)} onClose={() => !saving && setFotoAQuitar(null)}>
+        <DialogTitle>Quitar foto</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2">
+            La foto se eliminará de la cama {camaId}. Esta acción no se puede deshacer.
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setFotoAQuitar(null)} disabled={saving}>
+            Cancelar
+          </Button>
+          <Button color="error" variant="contained" onClick={handleQuitar} disabled={saving}>
+            Quitar
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+};
+
+export default CamaGaleriaPanel;
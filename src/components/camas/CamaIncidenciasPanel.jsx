@@ -0,0 +1,153 @@
+// src/components/camas/CamaIncidenciasPanel.jsx
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Paper,
+  Box,
+  Typography,
+  Button,
+  Alert,
+  Chip,
+  Divider,
+  CircularProgress
+} from '@mui/material';
+import { BugReport as BugReportIcon } from '@mui/icons-material';
+import IncidenciaDialog from '../incidencias/IncidenciaDialog.jsx';
+import IncidenciasList from '../incidencias/IncidenciasList.jsx';
+import {
+  isIncidenciaActiva,
+  createIncidencia,
+  addFotosIncidencia,
+  getIncidenciasFromVivero
+} from '../../firebase/viveros/incidenciasService.js';
+
+/**
+ * ============================================================================
+ * 🐛 CamaIncidenciasPanel Component
+ * ============================================================================
+ * Plagas y enfermedades que afectaron a una cama
+ * - Activas primero; las resueltas quedan como historial de recurrencia
+ * - Reportar una incidencia nueva con la cama ya seleccionada
+ * ============================================================================
+ */
+
+/**
+ * @param {Object} props
+ * @param {string} props.viveroId - ID del vivero
+ * @param {Object} props.cama - Cama (con id)
+ * @param {string} props.userEmail - Email del usuario
+ * @param {boolean} props.canReportar - Puede reportar incidencias y agregar fotos
+ * @param {boolean} props.canGestionar - Puede registrar tratamientos y cambiar estados
+ * @param {Function} props.onTratamiento - Se llama tras un cambio (los tratamientos son aplicaciones de la cama)
+ */
+const CamaIncidenciasPanel = ({
+  viveroId,
+  cama,
+  userEmail,
+  canReportar = false,
+  canGestionar = false,
+  onTratamiento
+}) => {
+  const [incidencias, setIncidencias] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+
+  const camaId = cama?.id;
+
+  const loadIncidencias = useCallback(async () => {
+    if (!viveroId || !camaId) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+      const lista = await getIncidenciasFromVivero(viveroId, { camaId });
+      setIncidencias([...lista.filter(isIncidenciaActiva), ...lista.filter(i => !isIncidenciaActiva(i))]);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [viveroId, camaId]);
+
+  useEffect(() => {
+    loadIncidencias();
+  }, [loadIncidencias]);
+
+  const handleChanged = () => {
+    loadIncidencias();
+    onTratamiento?.();
+  };
+
+  const handleReportar = async (incidenciaData, fotos) => {
+    try {
+      setSaving(true);
+      const incidenciaId = await createIncidencia(viveroId, incidenciaData, userEmail);
+      const { errores } = await addFotosIncidencia(viveroId, incidenciaId, fotos, userEmail);
+      if (errores.length > 0) setError(`Incidencia registrada sin algunas fotos. ${errores.join('. ')}`);
+      setDialogOpen(false);
+      loadIncidencias();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const activas = incidencias.filter(isIncidenciaActiva).length;
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Box display="flex" justifyContent="space-between" alignItems="center" flexWrap="wrap" gap={1}>
+        <Box display="flex" alignItems="center" gap={1}>
+          <Typography variant="h6" color="primary">
+            Plagas y enfermedades ({incidencias.length})
+          </Typography>
+          {activas > 0 && <Chip size="small" color="error" label={`${activas} activas`} />}
+        </Box>
+        <Box display="flex" alignItems="center" gap={1}>
+          {loading && <CircularProgress size={20} />}
+          {canReportar && (
+            <Button size="small" variant="outlined" startIcon={<BugReportIcon />} onClick={() => setDialogOpen(true)}>
+              Reportar
+            </Button>
+          )}
+        </Box>
+      </Box>
+      <Divider sx={{ my: 1 }} />
+
+      {error && (
+        <Alert severity="warning" sx={{ mb: 1 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {incidencias.length === 0 ? (
+        !loading && (
+          <Typography variant="body2" color="text.secondary">
+            Sin plagas ni enfermedades registradas
+          </Typography>
+        )
+      ) : (
+        <IncidenciasList
+          viveroId={viveroId}
+          incidencias={incidencias}
+          userEmail={userEmail}
+          canReportar={canReportar}
+          canGestionar={canGestionar}
+          mostrarCamas={incidencias.some(incidencia => incidencia.camaIds.length > 1)}
+          onChanged={handleChanged}
+        />
+      )}
+
+      <IncidenciaDialog
+        open={dialogOpen}
+        viveroId={viveroId}
+        camaIdsIniciales={camaId ? [camaId] : []}
+        onSubmit={handleReportar}
+        onClose={() => setDialogOpen(false)}
+        loading={saving}
+      />
+    </Paper>
+  );
+};
+
+export default CamaIncidenciasPanel;
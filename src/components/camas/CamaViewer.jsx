@@ -0,0 +1,723 @@
+// src/components/camas/CamaViewer.jsx
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Container,
+  Box,
+  Typography,
+  Paper,
+  Grid,
+  Chip,
+  Alert,
+  Button,
+  CircularProgress,
+  Divider,
+  IconButton,
+  Breadcrumbs,
+  Link,
+  List,
+  ListItem,
+  ListItemText,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Fab,
+  Snackbar
+} from '@mui/material';
+import {
+  Agriculture as AgricultureIcon,
+  Spa as SpaIcon,
+  ContentCut as ContentCutIcon,
+  CalendarToday as CalendarIcon,
+  TrendingUp as TrendingUpIcon,
+  Inventory as InventoryIcon,
+  Person as PersonIcon,
+  Edit as EditIcon,
+  Refresh as RefreshIcon,
+  QrCode as QrCodeIcon,
+  CloudUpload as CloudUploadIcon,
+  FileDownload as FileDownloadIcon
+} from '@mui/icons-material';
+import { useAuth } from '../../hooks/useAuth.jsx';
+import { useViveros } from '../../hooks/useViveros.jsx';
+import { useCamas } from '../../hooks/useCamas.js';
+import QrGenerator from '../qr/QrGenerator.jsx';
+import QuickCorteDialog from './QuickCorteDialog.jsx';
+import AuditTimeline from '../audit/AuditTimeline.jsx';
+import CortesExportDialog from '../export/CortesExportDialog.jsx';
+import LoadMoreSentinel from '../common/LoadMoreSentinel.jsx';
+import RealtimeStatusChip from '../common/RealtimeStatusChip.jsx';
+import CamaForecastPanel from './CamaForecastPanel.jsx';
+import CamaEstadoDialog from './CamaEstadoDialog.jsx';
+import CamaEstadoHistorial from './CamaEstadoHistorial.jsx';
+import CamaCiclosPanel from './CamaCiclosPanel.jsx';
+import CamaAplicacionesPanel from './CamaAplicacionesPanel.jsx';
+import CamaIncidenciasPanel from './CamaIncidenciasPanel.jsx';
+import CamaGaleriaPanel from './CamaGaleriaPanel.jsx';
+import FotoThumbnails from '../common/FotoThumbnails.jsx';
+import { PERMISSIONS } from '../../firebase/roleService.js';
+import { generateCamaQRData } from '../../firebase/viveros/viveroUrlService.js';
+import { getEstadoCamaLabel, getEstadoCamaColor } from '../../firebase/camas/camaEstadoService.js';
+
+/**
+ * ============================================================================
+ * 📱 CamaViewer Component
+ * ============================================================================
+ * Vista pública QR para camas - Mobile-first responsive
+ * - Acceso público sin autenticación (destino del QR de cada cama)
+ * - Datos de cultivo: planta, sustrato, tarro, estado y fechas
+ * - Estadísticas guardadas de la cama (incrementales, sin recorrer cortes)
+ * - Historial de cortes de esquejes (scroll infinito por páginas)
+ * - Pronóstico de producción con bandas de confianza (usuarios autenticados)
+ * - Ciclo de vida: cambio de estado e historial de estados
+ * - Ciclos de cultivo con el rendimiento de cada siembra
+ * - Aplicaciones de insumos junto a los cortes (usuarios autenticados)
+ * - Plagas y enfermedades de la cama con sus tratamientos y fotos
+ * - Fotos adjuntas a cada corte y galería de la cama (cama, cortes e incidencias)
+ * - Cama, estadísticas y últimos cortes en tiempo real
+ * ============================================================================
+ */
+
+const CamaViewer = ({ viveroId, camaId }) => {
+  const navigate = useNavigate();
+  const { user, hasPermission } = useAuth();
+  const canEditCama = hasPermission(PERMISSIONS.EDITAR_CAMA, viveroId);
+  const canCreateCorte = hasPermission(PERMISSIONS.CREAR_CORTE, viveroId);
+  const canViewHistory = hasPermission(PERMISSIONS.VER, viveroId);
+  const canChangeEstado = hasPermission(PERMISSIONS.CAMBIAR_ESTADO_CAMA, viveroId);
+  const canRegistrarAplicacion = hasPermission(PERMISSIONS.REGISTRAR_APLICACION, viveroId);
+  const canEliminarAplicacion = hasPermission(PERMISSIONS.ELIMINAR_APLICACION, viveroId);
+  const canReportarIncidencia = hasPermission(PERMISSIONS.REPORTAR_INCIDENCIA, viveroId);
+  const canGestionarIncidencia = hasPermission(PERMISSIONS.GESTIONAR_INCIDENCIA, viveroId);
+  const canSubirFoto = hasPermission(PERMISSIONS.SUBIR_FOTO, viveroId);
+  const [tratamientosVersion, setTratamientosVersion] = useState(0);
+  const [hasLoaded, setHasLoaded] = useState(false);
+  const [qrOpen, setQrOpen] = useState(false);
+  const [corteOpen, setCorteOpen] = useState(false);
+  const [successMessage, setSuccessMessage] = useState(null);
+  const [exportOpen, setExportOpen] = useState(false);
+  const [estadoOpen, setEstadoOpen] = useState(false);
+
+  const {
+    selectedVivero,
+    loadVivero
+  } = useViveros({ autoLoad: false, publicOnly: true });
+
+  const {
+    selectedCama,
+    selectedCamaCortes,
+    loadCama,
+    loadMoreCortes,
+    hasMoreCortes,
+    loadingMoreCortes,
+    createCorte,
+    updateCama,
+    validateCorteData,
+    loading: loadingCama,
+    loadingUpdate,
+    loadingCortes,
+    error: camaError,
+    cortesError,
+    realtimeMode
+  } = useCamas(viveroId, { autoLoad: false, includeStats: true, realtime: true });
+
+  // ============================================================================
+  // 🔄 EFECTOS DE CARGA
+  // ============================================================================
+
+  useEffect(() => {
+    if (!viveroId || !camaId) return;
+
+    let cancelled = false;
+
+    loadVivero(viveroId);
+    loadCama(camaId).finally(() => {
+      if (!cancelled) setHasLoaded(true);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [viveroId, camaId, loadVivero, loadCama]);
+
+  // ============================================================================
+  // 🔧 HANDLERS
+  // ============================================================================
+
+  const handleRefresh = () => {
+    loadCama(camaId);
+  };
+
+  const handleCreateCorte = async (corteData, fotos = []) => {
+    const corteId = await createCorte(camaId, corteData, user.email, { fotos });
+    setCorteOpen(false);
+    if (corteId) {
+      setSuccessMessage(`Corte registrado: ${corteData.cantidadEsquejes} esquejes`);
+    } else {
+      setSuccessMessage(`Sin conexión: corte de ${corteData.cantidadEsquejes} esquejes guardado, se sincronizará automáticamente` +
+        (fotos.length > 0 ? '. Las fotos necesitan conexión y no se guardaron' : ''));
+    }
+  };
+
+  const handleCambiarEstado = async (updateData) => {
+    await updateCama(camaId, updateData, user.email);
+    setEstadoOpen(false);
+    setSuccessMessage(`Estado cambiado a: ${getEstadoCamaLabel(updateData.estado)}`);
+  };
+
+  const formatDate = (timestamp) => {
+    if (!timestamp) return 'N/A';
+
+    try {
+      const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+      return date.toLocaleDateString('es-ES', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric'
+      });
+    } catch {
+      return 'Fecha inválida';
+    }
+  };
+
+  const formatTarro = (cama) => {
+    if (!cama.tarroSize) return 'N/A';
+    return `${cama.tarroSize} ${cama.tarroUnidad || 'pulgadas'}`;
+  };
+
+  // ============================================================================
+  // 🎨 RENDERIZADO DE COMPONENTES
+  // ============================================================================
+
+  const StatCard = ({ icon, title, value, color = 'primary' }) => (
+    <Paper sx={{ p: 2, textAlign: 'center', height: '100%' }}>
+      <Box display="flex" flexDirection="column" alignItems="center">
+        {React.cloneElement(icon, { sx: { fontSize: 28, color: `${color}.main`, mb: 1 } })}
+        <Typography variant="h5" color={color} gutterBottom>
+          {value}
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          {title}
+        </Typography>
+      </Box>
+    </Paper>
+  );
+
+  const InfoRow = ({ label, value }) => (
+    <Box display="flex" justifyContent="space-between" alignItems="center" py={0.75}>
+      <Typography variant="body2" color="text.secondary">
+        {label}
+      </Typography>
+      <Typography variant="body2" fontWeight="medium" textAlign="right" sx={{ ml: 2 }}>
+        {value}
+      </Typography>
+    </Box>
+  );
+
+  // ============================================================================
+  // 🎨 RENDERIZADO PRINCIPAL
+  // ============================================================================
+
+  // Estados de carga y error
+  if (!hasLoaded || (loadingCama && !selectedCama)) {
+    return (
+      <Container maxWidth="md" sx={{ py: 4 }}>
+        <Box display="flex" justifyContent="center" alignItems="center" minHeight="60vh">
+          <Box textAlign="center">
+            <CircularProgress size={60} sx={{ mb: 2 }} />
+            <Typography variant="body1" color="text.secondary">
+              Cargando información de la cama...
+            </Typography>
+          </Box>
+        </Box>
+      </Container>
+    );
+  }
+
+  if (camaError && !selectedCama) {
+    return (
+      <Container maxWidth="md" sx={{ py: 4 }}>
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {camaError}
+        </Alert>
+        <Box textAlign="center">
+          <Button variant="contained" onClick={handleRefresh}>
+            Intentar de nuevo
+          </Button>
+        </Box>
+      </Container>
+    );
+  }
+
+  if (!selectedCama) {
+    return (
+      <Container maxWidth="md" sx={{ py: 4 }}>
+        <Alert severity="warning" sx={{ mb: 3 }}>
+          Cama no encontrada: {camaId} en vivero {viveroId}
+        </Alert>
+        <Box textAlign="center">
+          <Typography variant="h6" gutterBottom>
+            La cama solicitada no existe o no está disponible públicamente.
+          </Typography>
+          <Button variant="contained" onClick={() => navigate(`/v/${viveroId}`)}>
+            Ver Vivero
+          </Button>
+        </Box>
+      </Container>
+    );
+  }
+
+  const cama = selectedCama;
+  const stats = cama.estadisticas || {};
+  const viveroNombre = selectedVivero?.nombre || viveroId;
+
+  return (
+    <Container maxWidth="md" sx={{ py: 2, px: { xs: 2, sm: 3 }, pb: canCreateCorte ? 12 : 2 }}>
+      {/* Header con navegación */}
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={3}>
+        <Breadcrumbs>
+          <Link
+            color="inherit"
+            onClick={() => navigate('/')}
+            sx={{ cursor: 'pointer' }}
+          >
+            Agro-Track
+          </Link>
+          <Link
+            color="inherit"
+            onClick={() => navigate(`/v/${viveroId}`)}
+            sx={{ cursor: 'pointer' }}
+          >
+            {viveroNombre}
+          </Link>
+          <Typography color="text.primary">
+            Cama {cama.id}
+          </Typography>
+        </Breadcrumbs>
+
+        <Box display="flex" alignItems="center">
+          <RealtimeStatusChip mode={realtimeMode} sx={{ mr: 1 }} />
+          {canEditCama && (
+            <>
+              <IconButton onClick={() => setQrOpen(true)}>
+                <QrCodeIcon />
+              </IconButton>
+              <IconButton
+                onClick={() => navigate(`/admin/vivero/${viveroId}/cama/${camaId}/editar`)}
+              >
+                <EditIcon />
+              </IconButton>
+            </>
+          )}
+          {canViewHistory && (
+            <IconButton onClick={() => setExportOpen(true)}>
+              <FileDownloadIcon />
+            </IconButton>
+          )}
+          <IconButton
+            onClick={handleRefresh}
+            disabled={loadingCama || loadingCortes}
+          >
+            {loadingCama ? <CircularProgress size={24} /> : <RefreshIcon />}
+          </IconButton>
+        </Box>
+      </Box>
+
+      {/* Header de la Cama */}
+      <Paper sx={{ p: { xs: 2, sm: 3 }, mb: 3, bgcolor: 'primary.main', color: 'white' }}>
+        <Box display="flex" alignItems="center" justifyContent="space-between" flexWrap="wrap" gap={2}>
+          <Box display="flex" alignItems="center">
+            <SpaIcon sx={{ fontSize: 40, mr: 2 }} />
+            <Box>
+              <Typography variant="h4" component="h1" gutterBottom>
+                {cama.nombrePlanta || 'Planta'}
+              </Typography>
+              <Typography variant="body2" sx={{ opacity: 0.9 }}>
+                {cama.nombreCompleto || `${viveroNombre} - Cama ${cama.id}`}
+              </Typography>
+            </Box>
+          </Box>
+
+          <Chip
+            label={getEstadoCamaLabel(cama.estado)}
+            color={getEstadoCamaColor(cama.estado)}
+            variant="outlined"
+            onClick={canChangeEstado ? () => setEstadoOpen(true) : undefined}
+            sx={{ bgcolor: 'white' }}
+          />
+        </Box>
+      </Paper>
+
+      {/* Estadísticas de producción */}
+      <Box mb={4}>
+        <Typography variant="h6" gutterBottom>
+          Producción de Esquejes
+        </Typography>
+
+        <Grid container spacing={2}>
+          <Grid item xs={6} sm={3}>
+            <StatCard
+              icon={<AgricultureIcon />}
+              title="Esquejes Histórico"
+              value={stats.totalEsquejesHistorico || 0}
+              color="secondary"
+            />
+          </Grid>
+
+          <Grid item xs={6} sm={3}>
+            <StatCard
+              icon={<ContentCutIcon />}
+              title="Total Cortes"
+              value={stats.totalCortes || 0}
+              color="primary"
+            />
+          </Grid>
+
+          <Grid item xs={6} sm={3}>
+            <StatCard
+              icon={<TrendingUpIcon />}
+              title="Promedio por Corte"
+              value={stats.promedioEsquejesPorCorte || 0}
+              color="success"
+            />
+          </Grid>
+
+          <Grid item xs={6} sm={3}>
+            <StatCard
+              icon={<CalendarIcon />}
+              title="Esquejes por Día"
+              value={stats.productividadDiaria || 0}
+              color="info"
+            />
+          </Grid>
+        </Grid>
+      </Box>
+
+      {/* Información de la cama */}
+      <Grid container spacing={3} mb={4}>
+        <Grid item xs={12} sm={6}>
+          <Paper sx={{ p: 2, height: '100%' }}>
+            <Typography variant="h6" gutterBottom color="primary">
+              Cultivo
+            </Typography>
+            <Divider sx={{ mb: 1 }} />
+
+            <InfoRow label="Planta" value={cama.nombrePlanta || 'N/A'} />
+            <InfoRow label="Cantidad de plantas" value={cama.cantidadPlantas || 0} />
+            <InfoRow label="Sustrato" value={cama.sustrato || 'N/A'} />
+            <InfoRow label="Tamaño de tarro" value={formatTarro(cama)} />
+            <InfoRow label="Estado" value={getEstadoCamaLabel(cama.estado)} />
+          </Paper>
+        </Grid>
+
+        <Grid item xs={12} sm={6}>
+          <Paper sx={{ p: 2, height: '100%' }}>
+            <Typography variant="h6" gutterBottom color="primary">
+              Fechas
+            </Typography>
+            <Divider sx={{ mb: 1 }} />
+
+            <InfoRow label="Siembra" value={formatDate(cama.fechaSiembra)} />
+            <InfoRow label="Cosecha estimada" value={formatDate(cama.fechaEstimadaCosecha)} />
+            <InfoRow label="Primer corte" value={formatDate(stats.fechaPrimerCorte)} />
+            <InfoRow label="Último corte" value={formatDate(stats.ultimoCorte)} />
+          </Paper>
+        </Grid>
+
+        {cama.observaciones && (
+          <Grid item xs={12}>
+            <Paper sx={{ p: 2 }}>
+              <Typography variant="h6" gutterBottom color="primary">
+                Observaciones
+              </Typography>
+              <Divider sx={{ mb: 2 }} />
+              <Typography variant="body2" sx={{ whiteSpace: 'pre-line' }}>
+                {cama.observaciones}
+              </Typography>
+            </Paper>
+          </Grid>
+        )}
+      </Grid>
+
+      {/* Ciclo de vida (solo usuarios autenticados) */}
+      {canViewHistory && (
+        <Box mb={4}>
+          <CamaEstadoHistorial cama={cama} />
+        </Box>
+      )}
+
+      {/* Ciclos de cultivo (solo usuarios autenticados) */}
+      {canViewHistory && (
+        <Box mb={4}>
+          <CamaCiclosPanel
+            viveroId={viveroId}
+            camaId={camaId}
+            refreshKey={`${stats.totalCortes || 0}-${cama.ciclos?.length || 0}-${cama.cicloActivoId || ''}`}
+          />
+        </Box>
+      )}
+
+      {/* Pronóstico de producción (solo usuarios autenticados) */}
+      {canViewHistory && (
+        <Box mb={4}>
+          <CamaForecastPanel
+            viveroId={viveroId}
+            camaId={camaId}
+            refreshKey={stats.totalCortes || 0}
+          />
+        </Box>
+      )}
+
+      {/* Historial de cortes */}
+      <Box mb={4}>
+        <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+          <Typography variant="h6">
+            Historial de Cortes ({stats.totalCortes ?? selectedCamaCortes.length})
+          </Typography>
+          {loadingCortes && <CircularProgress size={20} />}
+        </Box>
+
+        {cortesError && (
+          <Alert severity="warning" sx={{ mb: 3 }}>
+            Error cargando cortes: {cortesError}
+          </Alert>
+        )}
+
+        {selectedCamaCortes.length > 0 ? (
+          <Paper>
+            <List disablePadding>
+              {selectedCamaCortes.map((corte, index) => (
+                <React.Fragment key={corte.id}>
+                  {index > 0 && <Divider component="li" />}
+                  <ListItem alignItems="flex-start">
+                    <ListItemText
+                      primary={
+                        <Box display="flex" justifyContent="space-between" alignItems="center">
+                          <Typography variant="body1" fontWeight="medium">
+                            {formatDate(corte.fecha)}
+                          </Typography>
+                          <Box display="flex" gap={0.5}>
+                            {corte.pendienteSync && (
+                              <Chip
+                                icon={<CloudUploadIcon />}
+                                label="Pendiente"
+                                color="warning"
+                                size="small"
+                                variant="outlined"
+                              />
+                            )}
+                            <Chip
+                              icon={<ContentCutIcon />}
+                              label={`${corte.cantidadEsquejes || 0} esquejes`}
+                              color="secondary"
+                              size="small"
+                            />
+                          </Box>
+                        </Box>
+                      }
+                      secondary={
+                        <Box mt={0.5}>
+                          {corte.responsable && (
+                            <Box component="span" display="flex" alignItems="center">
+                              <PersonIcon sx={{ fontSize: 14, mr: 0.5 }} />
+                              {corte.responsable}
+                            </Box>
+                          )}
+                          {corte.observaciones && (
+                            <Box component="span" display="block" mt={0.5}>
+                              {corte.observaciones}
+                            </Box>
+                          )}
+                          {(corte.fotos || []).length > 0 && (
+                            <Box mt={1}>
+                              <FotoThumbnails fotos={corte.fotos} size={48} />
+                            </Box>
+                          )}
+                        </Box>
+                      }
+                      slotProps={{ secondary: { component: 'div' } }}
+                    />
+                  </ListItem>
+                </React.Fragment>
+              ))}
+            </List>
+            <LoadMoreSentinel
+              hasMore={hasMoreCortes}
+              loading={loadingMoreCortes}
+              onLoadMore={loadMoreCortes}
+            />
+          </Paper>
+        ) : (
+          <Paper sx={{ p: 4, textAlign: 'center' }}>
+            <InventoryIcon sx={{ fontSize: 64, color: 'text.disabled', mb: 2 }} />
+            <Typography variant="h6" color="text.secondary" gutterBottom>
+              No hay cortes registrados
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              Esta cama aún no tiene cortes de esquejes registrados.
+            </Typography>
+          </Paper>
+        )}
+      </Box>
+
+      {/* Aplicaciones de insumos (solo usuarios autenticados) */}
+      {canViewHistory && (
+        <Box mb={4}>
+          <CamaAplicacionesPanel
+            viveroId={viveroId}
+            cama={cama}
+            userEmail={user?.email}
+            canRegistrar={canRegistrarAplicacion}
+            canEliminar={canEliminarAplicacion}
+            refreshKey={`${stats.totalCortes || 0}-${tratamientosVersion}`}
+          />
+        </Box>
+      )}
+
+      {/* Plagas y enfermedades (solo usuarios autenticados) */}
+      {canViewHistory && (
+        <Box mb={4}>
+          <CamaIncidenciasPanel
+            viveroId={viveroId}
+            cama={cama}
+            userEmail={user?.email}
+            canReportar={canReportarIncidencia}
+            canGestionar={canGestionarIncidencia}
+            onTratamiento={() => setTratamientosVersion(prev => prev + 1)}
+          />
+        </Box>
+      )}
+
+      {/* Galería de fotos (solo usuarios autenticados) */}
+      {canViewHistory && (
+        <Box mb={4}>
+          <CamaGaleriaPanel
+            viveroId={viveroId}
+            cama={cama}
+            userEmail={user?.email}
+            canSubir={canSubirFoto}
+            canEliminar={canEditCama}
+            refreshKey={`${stats.totalCortes || 0}-${tratamientosVersion}`}
+          />
+        </Box>
+      )}
+
+      {/* Historial de cambios (solo usuarios autenticados) */}
+      {canViewHistory && (
+        <Paper sx={{ p: { xs: 2, sm: 3 }, mb: 4 }}>
+          <AuditTimeline
+            viveroId={viveroId}
+            camaId={camaId}
+            canRestore={canCreateCorte}
+            onRestored={handleRefresh}
+          />
+        </Paper>
+      )}
+
+      {/* Footer con información del sistema */}
+      <Paper sx={{ p: 2, mt: 4, bgcolor: 'grey.50', textAlign: 'center' }}>
+        <Box display="flex" alignItems="center" justifyContent="center" mb={1}>
+          <AgricultureIcon sx={{ fontSize: 20, mr: 1, color: 'primary.main' }} />
+          <Typography variant="body2" color="primary" fontWeight="bold">
+            Agro-Track v2.0
+          </Typography>
+        </Box>
+
+        <Typography variant="caption" color="text.secondary">
+          Sistema de gestión jerárquica de viveros y tracking dinámico de cultivos
+        </Typography>
+
+        <Box mt={1}>
+          <Typography variant="caption" color="text.secondary">
+            Vista actualizada: {new Date().toLocaleString('es-ES')}
+          </Typography>
+        </Box>
+      </Paper>
+
+      {/* Registro rápido de cortes (usuarios con permiso en el vivero) */}
+      {canCreateCorte && (
+        <>
+          <Fab
+            color="primary"
+            variant="extended"
+            onClick={() => setCorteOpen(true)}
+            sx={{ position: 'fixed', bottom: 24, right: 24 }}
+          >
+            <ContentCutIcon sx={{ mr: 1 }} />
+            Registrar Corte
+          </Fab>
+
+          <QuickCorteDialog
+            open={corteOpen}
+            cama={cama}
+            cantidadSugerida={selectedCamaCortes[0]?.cantidadEsquejes}
+            responsableDefault={user.name || user.email}
+            validateCorteData={validateCorteData}
+            onSubmit={handleCreateCorte}
+            onClose={() => setCorteOpen(false)}
+            permitirFotos={canSubirFoto}
+            loading={loadingCortes}
+          />
+        </>
+      )}
+
+      <Snackbar
+        open={Boolean(successMessage)}
+        autoHideDuration={4000}
+        onClose={() => setSuccessMessage(null)}
+        anchorOrigin={{ vertical: 'top', horizontal: 'center' }}
+      >
+        <Alert severity="success" variant="filled" onClose={() => setSuccessMessage(null)}>
+          {successMessage}
+        </Alert>
+      </Snackbar>
+
+      {/* Dialog de cambio de estado */}
+      {canChangeEstado && (
+        <CamaEstadoDialog
+          open={estadoOpen}
+          cama={cama}
+          onSubmit={handleCambiarEstado}
+          onClose={() => setEstadoOpen(false)}
+          loading={loadingUpdate}
+        />
+      )}
+
+      {/* Dialog de código QR de la cama */}
+      <Dialog
+        open={qrOpen}
+        onClose={() => setQrOpen(false)}
+        maxWidth="xs"
+        fullWidth
+      >
+        <DialogTitle>
+          Código QR de la Cama
+        </DialogTitle>
+        <DialogContent>
+          <QrGenerator
+            qrData={generateCamaQRData(cama, selectedVivero || { id: viveroId, nombre: viveroNombre }, window.location.origin)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setQrOpen(false)}>
+            Cerrar
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Dialog de exportación de cortes de la cama */}
+      {canViewHistory && (
+        <CortesExportDialog
+          open={exportOpen}
+          onClose={() => setExportOpen(false)}
+          viveroId={viveroId}
+          camaId={camaId}
+          title={`Exportar cortes · Cama ${cama.id}`}
+        />
+      )}
+    </Container>
+  );
+};
+
+export default CamaViewer;
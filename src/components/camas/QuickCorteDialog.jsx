@@ -0,0 +1,308 @@
+// src/components/camas/QuickCorteDialog.jsx
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Drawer,
+  Box,
+  Typography,
+  TextField,
+  Button,
+  IconButton,
+  Alert,
+  Chip,
+  CircularProgress
+} from '@mui/material';
+import {
+  ContentCut as ContentCutIcon,
+  Close as CloseIcon,
+  Add as AddIcon,
+  Remove as RemoveIcon,
+  AddAPhoto as AddAPhotoIcon
+} from '@mui/icons-material';
+import { validateFoto } from '../../firebase/shared/storageService.js';
+
+/**
+ * ============================================================================
+ * ✂️ QuickCorteDialog Component
+ * ============================================================================
+ * Registro rápido de un corte de esquejes desde la vista QR de la cama
+ * - Panel inferior pensado para usarse con una mano en el teléfono
+ * - Cantidad precargada con el último corte (abrir + guardar = dos toques)
+ * - Responsable por defecto: usuario autenticado
+ * - Errores de validateCorteData mostrados junto al campo
+ * - Fotos opcionales del estado de la cama o del lote cortado (cámara trasera)
+ * ============================================================================
+ */
+
+const CANTIDAD_STEP = 10;
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open - Panel abierto
+ * @param {Object} props.cama - Cama seleccionada
+ * @param {number} props.cantidadSugerida - Cantidad precargada (último corte)
+ * @param {string} props.responsableDefault - Responsable por defecto
+ * @param {Function} props.validateCorteData - Validador del hook useCamas
+ * @param {Function} props.onSubmit - Recibe (corteData, fotos); debe retornar una promesa
+ * @param {boolean} props.permitirFotos - Muestra el botón para adjuntar fotos
+ * @param {Function} props.onClose - Cierra el panel
+ * @param {boolean} props.loading - Guardado en curso
+ */
+const QuickCorteDialog = ({
+  open,
+  cama,
+  cantidadSugerida,
+  responsableDefault = '',
+  validateCorteData,
+  onSubmit,
+  onClose,
+  permitirFotos = false,
+  loading = false
+}) => {
+  const [cantidad, setCantidad] = useState('');
+  const [responsable, setResponsable] = useState('');
+  const [observaciones, setObservaciones] = useState('');
+  const [errors, setErrors] = useState([]);
+  const [fotos, setFotos] = useState([]);
+  const [fotoErrors, setFotoErrors] = useState([]);
+  const [submitError, setSubmitError] = useState(null);
+  const cantidadRef = useRef(null);
+
+  // Reiniciar formulario cada vez que se abre
+  useEffect(() => {
+    if (open) {
+      setCantidad(cantidadSugerida ? String(cantidadSugerida) : '');
+      setResponsable(responsableDefault);
+      setObservaciones('');
+      setErrors([]);
+      setFotos([]);
+      setFotoErrors([]);
+      setSubmitError(null);
+    }
+  }, [open, cantidadSugerida, responsableDefault]);
+
+  // ============================================================================
+  // 🔧 HANDLERS
+  // ============================================================================
+
+  const adjustCantidad = (delta) => {
+    const current = parseInt(cantidad) || 0;
+    setCantidad(String(Math.max(0, current + delta)));
+    setErrors([]);
+  };
+
+  const handleCantidadChange = (e) => {
+    setCantidad(e.target.value.replace(/\D/g, ''));
+    setErrors([]);
+  };
+
+  const handleFotos = (event) => {
+    const elegidas = Array.from(event.target.files || []);
+    const invalidas = elegidas
+      .map(file => ({ file, validation: validateFoto(file) }))
+      .filter(({ validation }) => !validation.valid);
+
+    setFotoErrors(invalidas.map(({ file, validation }) => `${file.name}: ${validation.errors.join('. ')}`));
+    setFotos(prev => [...prev, ...elegidas.filter(file => validateFoto(file).valid)]);
+    event.target.value = '';
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitError(null);
+
+    const corteData = {
+      fecha: new Date(),
+      cantidadEsquejes: parseInt(cantidad) || 0,
+      responsable: responsable.trim(),
+      observaciones: observaciones.trim()
+    };
+
+    const validation = validateCorteData(corteData);
+    if (!validation.valid) {
+      setErrors(validation.errors);
+      cantidadRef.current?.focus();
+      return;
+    }
+
+    try {
+      await onSubmit(corteData, fotos);
+    } catch (error) {
+      setSubmitError(error.message);
+    }
+  };
+
+  // ============================================================================
+  // 🎨 RENDERIZADO
+  // ============================================================================
+
+  return (
+    <Drawer
+      anchor="bottom"
+      open={open}
+      onClose={loading ? undefined : onClose}
+      PaperProps={{
+        sx: {
+          borderTopLeftRadius: 16,
+          borderTopRightRadius: 16,
+          maxWidth: 600,
+          mx: 'auto'
+        }
+      }}
+    >
+      <Box component="form" onSubmit={handleSubmit} noValidate sx={{ p: 2, pb: 3 }}>
+        <Box display="flex" alignItems="center" justifyContent="space-between" mb={2}>
+          <Box display="flex" alignItems="center">
+            <ContentCutIcon color="primary" sx={{ mr: 1 }} />
+            <Box>
+              <Typography variant="h6" lineHeight={1.2}>
+                Registrar Corte
+              </Typography>
+              <Typography variant="caption" color="text.secondary">
+                Cama {cama?.id} · {cama?.nombrePlanta}
+              </Typography>
+            </Box>
+          </Box>
+          <IconButton onClick={onClose} disabled={loading}>
+            <CloseIcon />
+          </IconButton>
+        </Box>
+
+        {/* Cantidad con botones grandes para el pulgar */}
+        <Box display="flex" alignItems="center" gap={1}>
+          <IconButton
+            size="large"
+            onClick={() => adjustCantidad(-CANTIDAD_STEP)}
+            disabled={loading}
+            sx={{ border: 1, borderColor: 'divider' }}
+          >
+            <RemoveIcon />
+          </IconButton>
+          <TextField
+            inputRef={cantidadRef}
+            label="Cantidad de esquejes"
+            value={cantidad}
+            onChange={handleCantidadChange}
+            error={errors.length > 0}
+            disabled={loading}
+            fullWidth
+            autoFocus={!cantidadSugerida}
+            inputProps={{
+              inputMode: 'numeric',
+              pattern: '[0-9]*',
+              style: { fontSize: '1.75rem', textAlign: 'center' }
+            }}
+          />
+          <IconButton
+            size="large"
+            onClick={() => adjustCantidad(CANTIDAD_STEP)}
+            disabled={loading}
+            sx={{ border: 1, borderColor: 'divider' }}
+          >
+            <AddIcon />
+          </IconButton>
+        </Box>
+
+        {cantidadSugerida > 0 && (
+          <Box mt={1}>
+            <Chip
+              size="small"
+              variant="outlined"
+              label={`Último corte: ${cantidadSugerida}`}
+              onClick={() => setCantidad(String(cantidadSugerida))}
+              disabled={loading}
+            />
+          </Box>
+        )}
+
+        {errors.length > 0 && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {errors.map((message) => (
+              <Typography key={message} variant="body2">
+                {message}
+              </Typography>
+            ))}
+          </Alert>
+        )}
+
+        <TextField
+          label="Responsable"
+          value={responsable}
+          onChange={(e) => setResponsable(e.target.value)}
+          disabled={loading}
+          fullWidth
+          size="small"
+          sx={{ mt: 2 }}
+        />
+
+        <TextField
+          label="Observaciones (opcional)"
+          value={observaciones}
+          onChange={(e) => setObservaciones(e.target.value)}
+          disabled={loading}
+          fullWidth
+          multiline
+          minRows={1}
+          maxRows={3}
+          size="small"
+          sx={{ mt: 2 }}
+        />
+
+        {permitirFotos && (
+          <Box display="flex" alignItems="center" flexWrap="wrap" gap={1} mt={2}>
+            <Button
+              component="label"
+              size="small"
+              variant="outlined"
+              startIcon={<AddAPhotoIcon />}
+              disabled={loading}
+            >
+              Foto
+              <input
+                type="file"
+                accept="image/*"
+                capture="environment"
+                multiple
+                hidden
+                onChange={handleFotos}
+              />
+            </Button>
+            {fotos.map((file, index) => (
+              <Chip
+                key={`${file.name}-${index}`}
+                size="small"
+                label={file.name}
+                onDelete={loading ? undefined : () => setFotos(prev => prev.filter((f, i) => i !== index))}
+              />
+            ))}
+          </Box>
+        )}
+
+        {fotoErrors.length > 0 && (
+          <Alert severity="warning" sx={{ mt: 2 }}>
+            {fotoErrors.join('. ')}
+          </Alert>
+        )}
+
+        {submitError && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {submitError}
+          </Alert>
+        )}
+
+        <Button
+          type="submit"
+          variant="contained"
+          size="large"
+          fullWidth
+          disabled={loading}
+          startIcon={loading ? <CircularProgress size={20} color="inherit" /> : <ContentCutIcon />}
+          sx={{ mt: 3, py: 1.5, fontSize: '1.1rem' }}
+        >
+          {loading ? 'Guardando...' : 'Guardar Corte'}
+        </Button>
+      </Box>
+    </Drawer>
+  );
+};
+
+export default QuickCorteDialog;
@@ -0,0 +1,152 @@
+// src/components/common/ForecastChart.jsx
+import { Box, Typography } from '@mui/material';
+import { useTheme, alpha } from '@mui/material/styles';
+
+/**
+ * ============================================================================
+ * 🔮 ForecastChart Component
+ * ============================================================================
+ * Gráfico SVG de producción real y pronosticada
+ * - Barras: esquejes reales de los períodos anteriores
+ * - Línea: esquejes esperados de los próximos períodos
+ * - Bandas: intervalos de confianza del 80% (oscura) y 95% (clara)
+ * ============================================================================
+ */
+
+const WIDTH = 640;
+const HEIGHT = 220;
+const PADDING = { top: 12, right: 12, bottom: 28, left: 44 };
+
+const formatPeriodoLabel = (inicio, periodo) => {
+  const fecha = new Date(inicio);
+  return periodo === 'semanal'
+    ? fecha.toLocaleDateString('es-ES', { day: 'numeric', month: 'short' })
+    : fecha.toLocaleDateString('es-ES', { month: 'short', year: '2-digit' });
+};
+
+/**
+ * @param {Object} props
+ * @param {Array} props.historial - [{ periodo, inicio, real }]
+ * @param {Array} props.pronostico - [{ periodo, inicio, esperado, inferior80, superior80, inferior95, superior95 }]
+ * @param {string} props.periodo - 'semanal' o 'mensual' (formato de las etiquetas)
+ */
+const ForecastChart = ({ historial = [], pronostico = [], periodo = 'semanal' }) => {
+  const theme = useTheme();
+
+  // El período en curso aparece en ambas series: su barra muestra lo ya cortado
+  const futuros = pronostico.filter(punto => !historial.some(h => h.periodo === punto.periodo));
+  const columnas = [...historial.map(h => h.periodo), ...futuros.map(f => f.periodo)];
+  const total = columnas.length;
+
+  if (total === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        Sin datos para graficar
+      </Typography>
+    );
+  }
+
+  const maximo = Math.max(
+    1,
+    ...historial.map(h => h.real),
+    ...pronostico.map(p => p.superior95)
+  );
+
+  const innerWidth = WIDTH - PADDING.left - PADDING.right;
+  const innerHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const step = innerWidth / total;
+  const x = (periodoKey) => PADDING.left + (columnas.indexOf(periodoKey) + 0.5) * step;
+  const y = (valor) => PADDING.top + innerHeight - (valor / maximo) * innerHeight;
+
+  const band = (inferior, superior) => [
+    ...pronostico.map(p => `${x(p.periodo)},${y(p[superior])}`),
+    ...[...pronostico].reverse().map(p => `${x(p.periodo)},${y(p[inferior])}`)
+  ].join(' ');
+
+  const ticks = [0, 0.5, 1].map(fraccion => Math.round(maximo * fraccion));
+  const labelEvery = Math.ceil(total / 8);
+
+  return (
+    <Box>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} width="100%" role="img" aria-label="Pronóstico de producción">
+        {/* Eje Y */}
+        {ticks.map(tick => (
+          <g key={tick}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={y(tick)}
+              y2={y(tick)}
+              stroke={theme.palette.divider}
+            />
+            <text x={PADDING.left - 6} y={y(tick) + 4} fontSize="10" textAnchor="end" fill={theme.palette.text.secondary}>
+              {tick}
+            </text>
+          </g>
+        ))}
+
+        {/* Producción real */}
+        {historial.map(h => (
+          <rect
+            key={h.periodo}
+            x={x(h.periodo) - step * 0.35}
+            y={y(h.real)}
+            width={step * 0.7}
+            height={Math.max(0, PADDING.top + innerHeight - y(h.real))}
+            fill={alpha(theme.palette.success.main, 0.7)}
+          >
+            <title>{`${formatPeriodoLabel(h.inicio, periodo)}: ${h.real} esquejes`}</title>
+          </rect>
+        ))}
+
+        {/* Bandas de confianza y esperado */}
+        {pronostico.length > 0 && (
+          <>
+            <polygon points={band('inferior95', 'superior95')} fill={alpha(theme.palette.primary.main, 0.12)} />
+            <polygon points={band('inferior80', 'superior80')} fill={alpha(theme.palette.primary.main, 0.25)} />
+            <polyline
+              points={pronostico.map(p => `${x(p.periodo)},${y(p.esperado)}`).join(' ')}
+              fill="none"
+              stroke={theme.palette.primary.main}
+              strokeWidth="2"
+              strokeDasharray="6 3"
+            />
+            {pronostico.map(p => (
+              <circle key={p.periodo} cx={x(p.periodo)} cy={y(p.esperado)} r="3" fill={theme.palette.primary.main}>
+                <title>
+                  {`${formatPeriodoLabel(p.inicio, periodo)}: ${p.esperado} esperados (80%: ${p.inferior80}–${p.superior80}, 95%: ${p.inferior95}–${p.superior95})`}
+                </title>
+              </circle>
+            ))}
+          </>
+        )}
+
+        {/* Eje X */}
+        {columnas.map((periodoKey, index) => {
+          if (index % labelEvery !== 0) return null;
+          const punto = historial.find(h => h.periodo === periodoKey) || futuros.find(f => f.periodo === periodoKey);
+          return (
+            <text
+              key={periodoKey}
+              x={x(periodoKey)}
+              y={HEIGHT - 8}
+              fontSize="10"
+              textAnchor="middle"
+              fill={theme.palette.text.secondary}
+            >
+              {formatPeriodoLabel(punto.inicio, periodo)}
+            </text>
+          );
+        })}
+      </svg>
+
+      <Box display="flex" gap={2} flexWrap="wrap" justifyContent="center">
+        <Typography variant="caption" color="text.secondary">■ Real</Typography>
+        <Typography variant="caption" color="primary">- - Esperado</Typography>
+        <Typography variant="caption" color="text.secondary">Bandas: 80% y 95% de confianza</Typography>
+      </Box>
+    </Box>
+  );
+};
+
+export default ForecastChart;
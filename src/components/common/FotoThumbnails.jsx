@@ -0,0 +1,104 @@
+// src/components/common/FotoThumbnails.jsx
+import { useState } from 'react';
+import {
+  Box,
+  Typography,
+  IconButton,
+  Dialog,
+  DialogContent,
+  DialogActions,
+  Button
+} from '@mui/material';
+import { Close as CloseIcon } from '@mui/icons-material';
+
+/**
+ * ============================================================================
+ * 🖼️ FotoThumbnails Component
+ * ============================================================================
+ * Miniaturas de fotos adjuntas (storageService) con vista ampliada
+ * - Usa thumbUrl si la foto tiene miniatura; si no, la foto completa
+ * - Al tocar una miniatura se abre la foto completa con su leyenda
+ * - Botón para quitar cada foto (opcional)
+ * ============================================================================
+ */
+
+/**
+ * @param {Object} props
+ * @param {Array<Object>} props.fotos - Referencias de fotos ({ id, url, thumbUrl, nombre })
+ * @param {number} props.size - Lado de cada miniatura en px
+ * @param {Function} props.getCaption - (foto) => texto bajo la miniatura y en la vista ampliada
+ * @param {Function} props.onRemove - (foto) => quita la foto; sin valor no se muestra el botón
+ * @param {Function} props.canRemove - (foto) => boolean; limita a qué fotos se les muestra el botón
+ * @param {boolean} props.disabled - Deshabilita quitar fotos
+ */
+const FotoThumbnails = ({ fotos = [], size = 56, getCaption, onRemove, canRemove, disabled = false }) => {
+  const [ampliada, setAmpliada] = useState(null);
+
+  if (fotos.length === 0) return null;
+
+  return (
+    <>
+      <Box display="flex" flexWrap="wrap" gap={1}>
+        {fotos.map(foto => (
+          <Box key={foto.id} position="relative" width={size}>
+            <Box
+              component="img"
+              src={foto.thumbUrl || foto.url}
+              alt={foto.nombre}
+              loading="lazy"
+              onClick={() => setAmpliada(foto)}
+              sx={{
+                width: size,
+                height: size,
+                objectFit: 'cover',
+                borderRadius: 1,
+                display: 'block',
+                cursor: 'pointer'
+              }}
+            />
+            {getCaption && (
+              <Typography variant="caption" color="text.secondary" display="block" noWrap>
+                {getCaption(foto)}
+              </Typography>
+            )}
+            {onRemove && (!canRemove || canRemove(foto)) && (
+              <IconButton
+                size="small"
+                disabled={disabled}
+                onClick={() => onRemove(foto)}
+                sx={{ position: 'absolute', top: -8, right: -8, bgcolor: 'background.paper', p: 0.25 }}
+              >
+                <CloseIcon sx={{ fontSize: 14 }} />
+              </IconButton>
+            )}
+          </Box>
+        ))}
+      </Box>
+
+      <Dialog open={Boolean(ampliada)} onClose={() => setAmpliada(null)} maxWidth="md">
+        <DialogContent sx={{ p: 1 }}>
+          {ampliada && (
+            <Box
+              component="img"
+              src={ampliada.url}
+              alt={ampliada.nombre}
+              sx={{ maxWidth: '100%', maxHeight: '75vh', display: 'block', mx: 'auto' }}
+            />
+          )}
+          {ampliada && getCaption && (
+            <Typography variant="body2" color="text.secondary" mt={1}>
+              {getCaption(ampliada)}
+            </Typography>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setAmpliada(null)}>
+            Cerrar
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+export default FotoThumbnails;
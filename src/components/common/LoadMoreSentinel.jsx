@@ -0,0 +1,55 @@
+// src/components/common/LoadMoreSentinel.jsx
+import { useEffect, useRef } from 'react';
+import { Box, Button, CircularProgress } from '@mui/material';
+
+/**
+ * ============================================================================
+ * ♾️ LoadMoreSentinel Component
+ * ============================================================================
+ * Marcador al final de una lista paginada (scroll infinito)
+ * - Pide la página siguiente cuando entra en pantalla (IntersectionObserver)
+ * - Botón "Cargar más" como alternativa (sin observer o con teclado)
+ * - No se muestra cuando ya no quedan páginas
+ * ============================================================================
+ */
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.hasMore - Quedan páginas por cargar
+ * @param {boolean} props.loading - Hay una página cargándose
+ * @param {Function} props.onLoadMore - Carga la página siguiente
+ */
+const LoadMoreSentinel = ({ hasMore, loading, onLoadMore }) => {
+  const sentinelRef = useRef(null);
+
+  useEffect(() => {
+    const node = sentinelRef.current;
+    if (!node || !hasMore || loading || typeof IntersectionObserver === 'undefined') return;
+
+    // Empezar a cargar un poco antes de llegar al final
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        onLoadMore();
+      }
+    }, { rootMargin: '200px' });
+
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [hasMore, loading, onLoadMore]);
+
+  if (!hasMore) return null;
+
+  return (
+    <Box ref={sentinelRef} display="flex" justifyContent="center" py={2}>
+      {loading ? (
+        <CircularProgress size={24} />
+      ) : (
+        <Button size="small" onClick={onLoadMore}>
+          Cargar más
+        </Button>
+      )}
+    </Box>
+  );
+};
+
+export default LoadMoreSentinel;
@@ -0,0 +1,48 @@
+// src/components/common/RealtimeStatusChip.jsx
+import { Chip, Tooltip } from '@mui/material';
+import {
+  FiberManualRecord as LiveIcon,
+  Schedule as ScheduleIcon
+} from '@mui/icons-material';
+import { REALTIME_MODOS } from '../../firebase/shared/realtimeService.js';
+
+/**
+ * ============================================================================
+ * 📡 RealtimeStatusChip Component
+ * ============================================================================
+ * Indica si los datos en pantalla se actualizan solos
+ * - "En vivo": listeners de Firestore activos
+ * - "Actualización periódica": sin listeners, se consulta cada cierto tiempo
+ * - No se muestra mientras no haya suscripción
+ * ============================================================================
+ */
+
+/**
+ * @param {Object} props
+ * @param {string} props.mode - Modo de useViveros / useCamas (realtimeMode)
+ * @param {Object} props.sx - Estilos adicionales
+ */
+const RealtimeStatusChip = ({ mode, sx }) => {
+  if (!mode) return null;
+
+  const enVivo = mode === REALTIME_MODOS.TIEMPO_REAL;
+
+  return (
+    <Tooltip
+      title={enVivo
+        ? 'Los cambios aparecen al instante'
+        : 'Sin conexión en tiempo real: los datos se consultan periódicamente'}
+    >
+      <Chip
+        size="small"
+        variant="outlined"
+        color={enVivo ? 'success' : 'default'}
+        icon={enVivo ? <LiveIcon fontSize="small" /> : <ScheduleIcon fontSize="small" />}
+        label={enVivo ? 'En vivo' : 'Actualización periódica'}
+        sx={sx}
+      />
+    </Tooltip>
+  );
+};
+
+export default RealtimeStatusChip;
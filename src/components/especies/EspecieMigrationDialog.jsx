@@ -0,0 +1,239 @@
+// src/components/especies/EspecieMigrationDialog.jsx
+import { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Typography,
+  Button,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  MenuItem,
+  LinearProgress,
+  CircularProgress
+} from '@mui/material';
+import {
+  analyzeNombresPlanta,
+  applyEspecieMigration
+} from '../../firebase/especies/especieMigrationService.js';
+import { createEspecie, getEspecieDisplayName } from '../../firebase/especies/especieService.js';
+
+/**
+ * ============================================================================
+ * 🔀 EspecieMigrationDialog Component
+ * ============================================================================
+ * Asigna especies del catálogo a las camas con nombre de planta libre
+ * - Agrupa los nombres equivalentes ("Poto", "poto ") y sugiere una especie
+ * - Por grupo: asignar una especie existente, crear una nueva u omitirlo
+ * - Muestra el progreso de la escritura por lotes
+ * ============================================================================
+ */
+
+const OMITIR = '';
+const NUEVA = '__nueva__';
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open - Diálogo abierto
+ * @param {Array} props.especies - Catálogo de especies (incluye archivadas)
+ * @param {Object} props.currentUser - Administrador que migra
+ * @param {Function} props.onClose - Cierra el diálogo
+ * @param {Function} props.onMigrated - Se llama al terminar la migración
+ */
+const EspecieMigrationDialog = ({ open, especies, currentUser, onClose, onMigrated }) => {
+  const [analisis, setAnalisis] = useState(null);
+  const [asignaciones, setAsignaciones] = useState({});
+  const [analyzing, setAnalyzing] = useState(false);
+  const [working, setWorking] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+
+    setAnalisis(null);
+    setResult(null);
+    setProgress(null);
+    setError(null);
+    runAnalysis();
+  }, [open]);
+
+  const runAnalysis = async () => {
+    try {
+      setAnalyzing(true);
+      const data = await analyzeNombresPlanta();
+      setAnalisis(data);
+      setAsignaciones(Object.fromEntries(
+        data.grupos
+          .filter(grupo => grupo.camasSinEspecie > 0)
+          .map(grupo => [grupo.clave, grupo.sugerencia?.id || NUEVA])
+      ));
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setAnalyzing(false);
+    }
+  };
+
+  const handleClose = () => {
+    if (working) return;
+    onClose();
+  };
+
+  const handleAsignacionChange = (clave) => (event) => {
+    setAsignaciones(prev => ({ ...prev, [clave]: event.target.value }));
+  };
+
+  // Las especies nuevas toman el nombre más usado del grupo
+  const handleApply = async () => {
+    try {
+      setWorking(true);
+      setError(null);
+
+      const finales = {};
+      for (const grupo of analisis.grupos) {
+        const asignacion = asignaciones[grupo.clave];
+        if (!asignacion) continue;
+
+        finales[grupo.clave] = asignacion === NUEVA
+          ? await createEspecie({ nombreComun: grupo.variantes[0].nombre }, currentUser.email)
+          : asignacion;
+      }
+
+      const migration = await applyEspecieMigration(analisis, finales, currentUser.email, {
+        onProgress: setProgress
+      });
+      setResult(migration);
+      onMigrated?.(migration);
+      await runAnalysis();
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const pendientes = analisis?.grupos.filter(grupo => grupo.camasSinEspecie > 0) || [];
+  const seleccionados = pendientes.filter(grupo => asignaciones[grupo.clave]).length;
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="md" fullWidth>
+      <DialogTitle>
+        Migrar nombres de planta al catálogo
+      </DialogTitle>
+      <DialogContent>
+        {analyzing && (
+          <Box display="flex" alignItems="center" gap={2} py={3}>
+            <CircularProgress size={24} />
+            <Typography color="text.secondary">Analizando las camas...</Typography>
+          </Box>
+        )}
+
+        {analisis && !analyzing && (
+          <>
+            <Typography variant="body2" color="text.secondary" gutterBottom>
+              {analisis.totalCamas} camas revisadas · {analisis.camasSinEspecie} sin especie
+              en {pendientes.length} nombre{pendientes.length !== 1 ? 's' : ''} distinto{pendientes.length !== 1 ? 's' : ''}.
+            </Typography>
+
+            {pendientes.length === 0 ? (
+              <Alert severity="success" sx={{ mt: 2 }}>
+                Todas las camas tienen una especie del catálogo.
+              </Alert>
+            ) : (
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Nombres encontrados</TableCell>
+                    <TableCell align="right">Camas</TableCell>
+                    <TableCell sx={{ minWidth: 240 }}>Especie</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {pendientes.map((grupo) => (
+                    <TableRow key={grupo.clave}>
+                      <TableCell>
+                        {grupo.variantes.map(variante => (
+                          <Typography key={variante.nombre} variant="body2">
+                            "{variante.nombre}" <Typography component="span" variant="caption" color="text.secondary">({variante.camas})</Typography>
+                          </Typography>
+                        ))}
+                      </TableCell>
+                      <TableCell align="right">{grupo.camasSinEspecie}</TableCell>
+                      <TableCell>
+                        <TextField
+                          select
+                          size="small"
+                          fullWidth
+                          value={asignaciones[grupo.clave] ?? OMITIR}
+                          onChange={handleAsignacionChange(grupo.clave)}
+                          disabled={working}
+                        >
+                          <MenuItem value={OMITIR}><em>Omitir</em></MenuItem>
+                          <MenuItem value={NUEVA}>Crear especie "{grupo.variantes[0].nombre}"</MenuItem>
+                          {especies.map(especie => (
+                            <MenuItem key={especie.id} value={especie.id}>
+                              {getEspecieDisplayName(especie)}
+                              {especie.activa === false && ' (archivada)'}
+                            </MenuItem>
+                          ))}
+                        </TextField>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </>
+        )}
+
+        {progress && (
+          <Box mt={2}>
+            <LinearProgress
+              variant="determinate"
+              value={progress.total > 0 ? (progress.completed / progress.total) * 100 : 100}
+            />
+            <Typography variant="caption" color="text.secondary">
+              {progress.completed} / {progress.total} escrituras
+            </Typography>
+          </Box>
+        )}
+
+        {result && (
+          <Alert severity="success" sx={{ mt: 2 }}>
+            {result.camasActualizadas} camas actualizadas en {result.gruposMigrados} grupos.
+          </Alert>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {error}
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} disabled={working}>
+          Cerrar
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleApply}
+          disabled={working || analyzing || seleccionados === 0}
+          startIcon={working ? <CircularProgress size={16} color="inherit" /> : null}
+        >
+          Migrar {seleccionados > 0 ? `(${seleccionados})` : ''}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default EspecieMigrationDialog;
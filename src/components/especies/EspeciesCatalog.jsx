@@ -0,0 +1,392 @@
+// src/components/especies/EspeciesCatalog.jsx
+import { useState, useEffect } from 'react';
+import {
+  Paper,
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  Button,
+  IconButton,
+  Tooltip,
+  Alert,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Grid,
+  FormControlLabel,
+  Switch
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Archive as ArchiveIcon,
+  Unarchive as UnarchiveIcon,
+  MergeType as MergeTypeIcon,
+  Refresh as RefreshIcon
+} from '@mui/icons-material';
+import {
+  getAllEspecies,
+  createEspecie,
+  updateEspecie,
+  setEspecieActiva,
+  validateEspecieData,
+  getEspecieDisplayName
+} from '../../firebase/especies/especieService.js';
+import EspecieMigrationDialog from './EspecieMigrationDialog.jsx';
+
+/**
+ * ============================================================================
+ * 🌱 EspeciesCatalog Component
+ * ============================================================================
+ * Catálogo de especies para el panel de administración
+ * - Alta y edición de especies con sus parámetros de producción por defecto
+ * - Archivar / reactivar (las especies no se eliminan)
+ * - Acceso a la migración de nombres libres de las camas existentes
+ * ============================================================================
+ */
+
+const EMPTY_FORM = {
+  nombreComun: '',
+  nombreCientifico: '',
+  variedad: '',
+  sustratoDefault: '',
+  diasPrimerCorte: '',
+  esquejesPorPlantaMes: ''
+};
+
+const toFormValue = (value) => (value === null || value === undefined ? '' : String(value));
+
+/**
+ * @param {Object} props
+ * @param {Object} props.currentUser - Administrador que realiza las acciones
+ */
+const EspeciesCatalog = ({ currentUser }) => {
+  const [especies, setEspecies] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showArchivadas, setShowArchivadas] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [formErrors, setFormErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [saveProgress, setSaveProgress] = useState(null);
+  const [migrationOpen, setMigrationOpen] = useState(false);
+
+  useEffect(() => {
+    loadEspecies();
+  }, []);
+
+  const loadEspecies = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setEspecies(await getAllEspecies({ includeArchivadas: true }));
+    } catch (error) {
+      console.error('Error cargando especies:', error);
+      setError('Error al cargar el catálogo de especies');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // ============================================================================
+  // 🔧 HANDLERS
+  // ============================================================================
+
+  // editing: 'nueva' para crear, o la especie que se edita
+  const openForm = (especie = null) => {
+    setEditing(especie || 'nueva');
+    setFormData(especie ? {
+      nombreComun: especie.nombreComun || '',
+      nombreCientifico: especie.nombreCientifico || '',
+      variedad: especie.variedad || '',
+      sustratoDefault: especie.sustratoDefault || '',
+      diasPrimerCorte: toFormValue(especie.diasPrimerCorte),
+      esquejesPorPlantaMes: toFormValue(especie.esquejesPorPlantaMes)
+    } : EMPTY_FORM);
+    setFormErrors([]);
+    setSaveProgress(null);
+  };
+
+  const closeForm = () => {
+    if (saving) return;
+    setEditing(null);
+  };
+
+  const handleInputChange = (field) => (event) => {
+    setFormData(prev => ({ ...prev, [field]: event.target.value }));
+  };
+
+  const handleSave = async () => {
+    const validation = validateEspecieData(formData);
+    if (!validation.valid) {
+      setFormErrors(validation.errors);
+      return;
+    }
+
+    const payload = {
+      ...formData,
+      diasPrimerCorte: formData.diasPrimerCorte === '' ? null : Number(formData.diasPrimerCorte),
+      esquejesPorPlantaMes: formData.esquejesPorPlantaMes === '' ? null : Number(formData.esquejesPorPlantaMes)
+    };
+
+    try {
+      setSaving(true);
+      setFormErrors([]);
+      if (editing === 'nueva') {
+        await createEspecie(payload, currentUser.email);
+      } else {
+        await updateEspecie(editing.id, payload, currentUser.email, { onProgress: setSaveProgress });
+      }
+      setEditing(null);
+      await loadEspecies();
+    } catch (error) {
+      setFormErrors([error.message]);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActiva = async (especie) => {
+    try {
+      setError(null);
+      await setEspecieActiva(especie.id, especie.activa === false, currentUser.email);
+      await loadEspecies();
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const visibles = especies.filter(especie => showArchivadas || especie.activa !== false);
+  const renombrando = editing && editing !== 'nueva' && (
+    formData.nombreComun.trim() !== (editing.nombreComun || '') ||
+    formData.variedad.trim() !== (editing.variedad || '')
+  );
+
+  // ============================================================================
+  // 🎨 RENDERIZADO
+  // ============================================================================
+
+  return (
+    <Paper sx={{ width: '100%', overflow: 'hidden' }}>
+      <Box p={3} display="flex" alignItems="center" justifyContent="space-between" flexWrap="wrap" gap={1}>
+        <Box>
+          <Typography variant="h6">
+            Catálogo de especies
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Las camas eligen su planta de este catálogo; los parámetros son los valores por defecto de cada especie.
+          </Typography>
+        </Box>
+        <Box display="flex" gap={1} alignItems="center">
+          <FormControlLabel
+            control={<Switch checked={showArchivadas} onChange={(e) => setShowArchivadas(e.target.checked)} />}
+            label="Archivadas"
+          />
+          <Button variant="outlined" startIcon={<MergeTypeIcon />} onClick={() => setMigrationOpen(true)}>
+            Migrar nombres
+          </Button>
+          <Button variant="contained" startIcon={<AddIcon />} onClick={() => openForm()}>
+            Nueva especie
+          </Button>
+          <Tooltip title="Actualizar">
+            <span>
+              <IconButton onClick={loadEspecies} disabled={loading}>
+                <RefreshIcon />
+              </IconButton>
+            </span>
+          </Tooltip>
+        </Box>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mx: 3, mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" py={4}>
+          <CircularProgress />
+        </Box>
+      ) : visibles.length === 0 ? (
+        <Box p={4} textAlign="center">
+          <Typography variant="body1" color="text.secondary">
+            No hay especies en el catálogo
+          </Typography>
+        </Box>
+      ) : (
+        <TableContainer>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Especie</TableCell>
+                <TableCell>Sustrato</TableCell>
+                <TableCell align="right">Días al primer corte</TableCell>
+                <TableCell align="right">Esquejes / planta / mes</TableCell>
+                <TableCell>Alias</TableCell>
+                <TableCell align="right">Acciones</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {visibles.map((especie) => (
+                <TableRow key={especie.id} hover sx={{ opacity: especie.activa === false ? 0.6 : 1 }}>
+                  <TableCell>
+                    <Typography variant="body2" fontWeight="medium">
+                      {getEspecieDisplayName(especie)}
+                      {especie.activa === false && (
+                        <Chip size="small" label="Archivada" sx={{ ml: 1 }} />
+                      )}
+                    </Typography>
+                    {especie.nombreCientifico && (
+                      <Typography variant="caption" color="text.secondary" fontStyle="italic">
+                        {especie.nombreCientifico}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>{especie.sustratoDefault || '-'}</TableCell>
+                  <TableCell align="right">{especie.diasPrimerCorte ?? '-'}</TableCell>
+                  <TableCell align="right">{especie.esquejesPorPlantaMes ?? '-'}</TableCell>
+                  <TableCell>
+                    <Box display="flex" flexWrap="wrap" gap={0.5}>
+                      {(especie.alias || []).map(alias => (
+                        <Chip key={alias} size="small" variant="outlined" label={alias} />
+                      ))}
+                    </Box>
+                  </TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Editar">
+                      <IconButton size="small" onClick={() => openForm(especie)}>
+                        <EditIcon />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title={especie.activa === false ? 'Reactivar' : 'Archivar'}>
+                      <IconButton size="small" onClick={() => handleToggleActiva(especie)}>
+                        {especie.activa === false ? <UnarchiveIcon /> : <ArchiveIcon />}
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      {/* Alta / edición de especie */}
+      <Dialog open={Boolean(editing)} onClose={closeForm} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          {editing === 'nueva' ? 'Nueva especie' : 'Editar especie'}
+        </DialogTitle>
+        <DialogContent>
+          <Grid container spacing={2} sx={{ mt: 0 }}>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                label="Nombre común"
+                value={formData.nombreComun}
+                onChange={handleInputChange('nombreComun')}
+                required
+                fullWidth
+                placeholder="ej: Poto"
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                label="Variedad"
+                value={formData.variedad}
+                onChange={handleInputChange('variedad')}
+                fullWidth
+                placeholder="ej: Golden"
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <TextField
+                label="Nombre científico"
+                value={formData.nombreCientifico}
+                onChange={handleInputChange('nombreCientifico')}
+                fullWidth
+                placeholder="ej: Epipremnum aureum"
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <TextField
+                label="Sustrato por defecto"
+                value={formData.sustratoDefault}
+                onChange={handleInputChange('sustratoDefault')}
+                fullWidth
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                label="Días al primer corte"
+                type="number"
+                value={formData.diasPrimerCorte}
+                onChange={handleInputChange('diasPrimerCorte')}
+                inputProps={{ min: 0 }}
+                fullWidth
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                label="Esquejes por planta al mes"
+                type="number"
+                value={formData.esquejesPorPlantaMes}
+                onChange={handleInputChange('esquejesPorPlantaMes')}
+                inputProps={{ min: 0, step: 0.1 }}
+                fullWidth
+              />
+            </Grid>
+          </Grid>
+
+          {renombrando && (
+            <Alert severity="info" sx={{ mt: 2 }}>
+              El nuevo nombre se aplicará a todas las camas de esta especie.
+              {saveProgress && ` ${saveProgress.completed} / ${saveProgress.total} escrituras.`}
+            </Alert>
+          )}
+
+          {formErrors.length > 0 && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {formErrors.map((formError, index) => (
+                <Typography key={index} variant="body2">• {formError}</Typography>
+              ))}
+            </Alert>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeForm} disabled={saving}>
+            Cancelar
+          </Button>
+          <Button
+            variant="contained"
+            onClick={handleSave}
+            disabled={saving}
+            startIcon={saving ? <CircularProgress size={16} color="inherit" /> : null}
+          >
+            Guardar
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Migración de nombres libres */}
+      <EspecieMigrationDialog
+        open={migrationOpen}
+        especies={especies}
+        currentUser={currentUser}
+        onClose={() => setMigrationOpen(false)}
+        onMigrated={loadEspecies}
+      />
+    </Paper>
+  );
+};
+
+export default EspeciesCatalog;
@@ -0,0 +1,275 @@
+// src/components/export/CortesExportDialog.jsx
+import { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Typography,
+  TextField,
+  MenuItem,
+  Button,
+  Alert,
+  ToggleButton,
+  ToggleButtonGroup,
+  CircularProgress
+} from '@mui/material';
+import { Download as DownloadIcon } from '@mui/icons-material';
+import { getCamasFromVivero } from '../../firebase/camas/camaService.js';
+import { EXPORT_FORMATS, exportCortes } from '../../firebase/shared/exportService.js';
+
+/**
+ * ============================================================================
+ * 📤 CortesExportDialog Component
+ * ============================================================================
+ * Exporta el historial de cortes a CSV o Excel (XLSX)
+ * - Filtros por vivero, cama y rango de fechas
+ * - El vivero y la cama pueden venir fijados por la vista que abre el diálogo
+ * - Muestra cuántos cortes se llevan leídos mientras se pagina
+ * ============================================================================
+ */
+
+/**
+ * Dispara la descarga de un archivo generado en memoria
+ * @param {Blob} blob - Contenido del archivo
+ * @param {string} filename - Nombre del archivo
+ */
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open - Diálogo abierto
+ * @param {Function} props.onClose - Cierra el diálogo
+ * @param {Array} props.viveros - Viveros seleccionables (si no hay viveroId fijo)
+ * @param {string} props.viveroId - Vivero fijo (opcional)
+ * @param {string} props.camaId - Cama fija (opcional, requiere viveroId)
+ * @param {string} props.title - Título del diálogo
+ */
+const CortesExportDialog = ({
+  open,
+  onClose,
+  viveros = [],
+  viveroId = null,
+  camaId = null,
+  title = 'Exportar cortes'
+}) => {
+  const [selectedVivero, setSelectedVivero] = useState('');
+  const [selectedCama, setSelectedCama] = useState('');
+  const [camas, setCamas] = useState([]);
+  const [fechaDesde, setFechaDesde] = useState('');
+  const [fechaHasta, setFechaHasta] = useState('');
+  const [format, setFormat] = useState(EXPORT_FORMATS.XLSX);
+  const [exporting, setExporting] = useState(false);
+  const [rowsRead, setRowsRead] = useState(0);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Reiniciar filtros cada vez que se abre
+  useEffect(() => {
+    if (open) {
+      setSelectedVivero(viveroId || '');
+      setSelectedCama(camaId || '');
+      setRowsRead(0);
+      setResult(null);
+      setError(null);
+    }
+  }, [open, viveroId, camaId]);
+
+  // Camas del vivero seleccionado (no aplica si la cama viene fijada)
+  useEffect(() => {
+    if (!open || camaId || !selectedVivero) {
+      setCamas([]);
+      return;
+    }
+
+    let cancelled = false;
+    getCamasFromVivero(selectedVivero)
+      .then((camasData) => {
+        if (!cancelled) setCamas(camasData);
+      })
+      .catch((error) => {
+        if (!cancelled) setError(error.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, camaId, selectedVivero]);
+
+  // ============================================================================
+  // 🔧 HANDLERS
+  // ============================================================================
+
+  const handleViveroChange = (value) => {
+    setSelectedVivero(value);
+    setSelectedCama('');
+  };
+
+  const handleExport = async () => {
+    if (fechaDesde && fechaHasta && fechaDesde > fechaHasta) {
+      setError('La fecha desde no puede ser posterior a la fecha hasta');
+      return;
+    }
+
+    try {
+      setExporting(true);
+      setError(null);
+      setResult(null);
+      setRowsRead(0);
+
+      const exportResult = await exportCortes({
+        viveroId: selectedVivero || null,
+        camaId: selectedCama || null,
+        // Días completos en hora local
+        fechaDesde: fechaDesde ? new Date(`${fechaDesde}T00:00:00`) : null,
+        fechaHasta: fechaHasta ? new Date(`${fechaHasta}T23:59:59.999`) : null
+      }, {
+        format,
+        onProgress: ({ rows }) => setRowsRead(rows)
+      });
+
+      downloadBlob(exportResult.blob, exportResult.filename);
+      setResult(exportResult);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleClose = () => {
+    if (exporting) return;
+    onClose();
+  };
+
+  // ============================================================================
+  // 🎨 RENDERIZADO
+  // ============================================================================
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{title}</DialogTitle>
+      <DialogContent>
+        <Box display="flex" flexDirection="column" gap={2} pt={1}>
+          {!viveroId && (
+            <TextField
+              select
+              label="Vivero"
+              value={selectedVivero}
+              onChange={(e) => handleViveroChange(e.target.value)}
+              disabled={exporting}
+            >
+              <MenuItem value="">Todos los viveros</MenuItem>
+              {viveros.map((vivero) => (
+                <MenuItem key={vivero.id} value={vivero.id}>
+                  {vivero.nombre}
+                </MenuItem>
+              ))}
+            </TextField>
+          )}
+
+          {!camaId && (
+            <TextField
+              select
+              label="Cama"
+              value={selectedCama}
+              onChange={(e) => setSelectedCama(e.target.value)}
+              disabled={exporting || !selectedVivero}
+              helperText={!selectedVivero ? 'Selecciona un vivero para filtrar por cama' : ''}
+            >
+              <MenuItem value="">Todas las camas</MenuItem>
+              {camas.map((cama) => (
+                <MenuItem key={cama.id} value={cama.id}>
+                  {cama.nombreCompleto || cama.id}
+                </MenuItem>
+              ))}
+            </TextField>
+          )}
+
+          <Box display="flex" gap={2}>
+            <TextField
+              type="date"
+              label="Desde"
+              value={fechaDesde}
+              onChange={(e) => setFechaDesde(e.target.value)}
+              disabled={exporting}
+              InputLabelProps={{ shrink: true }}
+              fullWidth
+            />
+            <TextField
+              type="date"
+              label="Hasta"
+              value={fechaHasta}
+              onChange={(e) => setFechaHasta(e.target.value)}
+              disabled={exporting}
+              InputLabelProps={{ shrink: true }}
+              fullWidth
+            />
+          </Box>
+
+          <Box>
+            <Typography variant="body2" color="text.secondary" gutterBottom>
+              Formato
+            </Typography>
+            <ToggleButtonGroup
+              exclusive
+              size="small"
+              value={format}
+              onChange={(e, value) => value && setFormat(value)}
+              disabled={exporting}
+            >
+              <ToggleButton value={EXPORT_FORMATS.XLSX}>Excel (XLSX)</ToggleButton>
+              <ToggleButton value={EXPORT_FORMATS.CSV}>CSV</ToggleButton>
+            </ToggleButtonGroup>
+          </Box>
+
+          {exporting && (
+            <Box display="flex" alignItems="center" gap={1}>
+              <CircularProgress size={16} />
+              <Typography variant="body2" color="text.secondary">
+                {rowsRead} cortes leídos...
+              </Typography>
+            </Box>
+          )}
+
+          {result && (
+            <Alert severity="success">
+              {result.totalRows} cortes exportados en {result.filename}
+            </Alert>
+          )}
+
+          {error && (
+            <Alert severity="error">
+              {error}
+            </Alert>
+          )}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} disabled={exporting}>
+          Cerrar
+        </Button>
+        <Button
+          variant="contained"
+          startIcon={exporting ? <CircularProgress size={16} color="inherit" /> : <DownloadIcon />}
+          onClick={handleExport}
+          disabled={exporting}
+        >
+          Exportar
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default CortesExportDialog;
@@ -0,0 +1,452 @@
+// src/components/import/ImportWizard.jsx
+import { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Typography,
+  Button,
+  Alert,
+  Chip,
+  Stepper,
+  Step,
+  StepLabel,
+  ToggleButton,
+  ToggleButtonGroup,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  FormControlLabel,
+  Switch,
+  LinearProgress,
+  CircularProgress
+} from '@mui/material';
+import {
+  UploadFile as UploadFileIcon,
+  Download as DownloadIcon,
+  Science as ScienceIcon
+} from '@mui/icons-material';
+import {
+  IMPORT_TIPOS,
+  IMPORT_ESTADOS,
+  parseImportCsv,
+  getImportTemplate,
+  previewImport,
+  runImport
+} from '../../firebase/shared/importService.js';
+
+/**
+ * ============================================================================
+ * 📥 ImportWizard Component
+ * ============================================================================
+ * Asistente de importación de camas y cortes históricos desde CSV
+ * 1. Elegir tipo y archivo (con plantilla descargable)
+ * 2. Vista previa fila por fila: nuevo, ya existente o con errores
+ * 3. Simulación opcional e importación de las filas nuevas
+ * Volver a importar el mismo archivo solo crea lo que falta
+ * ============================================================================
+ */
+
+const STEPS = ['Archivo', 'Vista previa', 'Resultado'];
+
+const TIPO_LABELS = {
+  [IMPORT_TIPOS.CAMAS]: 'Camas',
+  [IMPORT_TIPOS.CORTES]: 'Cortes'
+};
+
+const ESTADO_CHIPS = {
+  [IMPORT_ESTADOS.NUEVO]: { label: 'Nuevo', color: 'success' },
+  [IMPORT_ESTADOS.EXISTENTE]: { label: 'Ya existe', color: 'default' },
+  [IMPORT_ESTADOS.ERROR]: { label: 'Error', color: 'error' }
+};
+
+const formatDate = (date) => (date ? date.toLocaleDateString('es-ES') : '');
+
+// Resumen legible de la fila según el tipo
+const describeRow = (tipo, row) => {
+  const { data } = row;
+  if (tipo === IMPORT_TIPOS.CAMAS) {
+    return {
+      principal: data.id || '(sin ID)',
+      detalle: [data.nombrePlanta, data.cantidadPlantas !== undefined && `${data.cantidadPlantas} plantas`, data.estado]
+        .filter(Boolean)
+        .join(' · ')
+    };
+  }
+  return {
+    principal: row.camaId || data.camaId || '(sin cama)',
+    detalle: [formatDate(data.fecha), data.cantidadEsquejes !== undefined && `${data.cantidadEsquejes} esquejes`, data.responsable]
+      .filter(Boolean)
+      .join(' · ')
+  };
+};
+
+const downloadTemplate = (tipo) => {
+  const url = URL.createObjectURL(new Blob([getImportTemplate(tipo)], { type: 'text/csv;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `plantilla_${tipo}.csv`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open - Diálogo abierto
+ * @param {Object} props.vivero - Vivero destino { id, nombre }
+ * @param {Array<string>} props.allowedTipos - Tipos que el usuario puede importar
+ * @param {Object} props.currentUser - Usuario que importa
+ * @param {Function} props.onClose - Cierra el asistente
+ * @param {Function} props.onImported - Se llama tras una importación con cambios
+ */
+const ImportWizard = ({
+  open,
+  vivero,
+  allowedTipos = [IMPORT_TIPOS.CAMAS, IMPORT_TIPOS.CORTES],
+  currentUser,
+  onClose,
+  onImported
+}) => {
+  const [activeStep, setActiveStep] = useState(0);
+  const defaultTipo = allowedTipos[0];
+  const [tipo, setTipo] = useState(defaultTipo);
+  const [fileName, setFileName] = useState('');
+  const [parsedRows, setParsedRows] = useState([]);
+  const [columnasIgnoradas, setColumnasIgnoradas] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [soloErrores, setSoloErrores] = useState(false);
+  const [dryRunResult, setDryRunResult] = useState(null);
+  const [result, setResult] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const reset = () => {
+    setActiveStep(0);
+    setFileName('');
+    setParsedRows([]);
+    setColumnasIgnoradas([]);
+    setPreview(null);
+    setSoloErrores(false);
+    setDryRunResult(null);
+    setResult(null);
+    setProgress(null);
+    setError(null);
+  };
+
+  // Empezar de cero cada vez que se abre
+  useEffect(() => {
+    if (open) {
+      reset();
+      setTipo(defaultTipo);
+    }
+  }, [open, defaultTipo]);
+
+  // ============================================================================
+  // 🔧 HANDLERS
+  // ============================================================================
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      setWorking(true);
+      setError(null);
+      setFileName(file.name);
+
+      const parsed = parseImportCsv(await file.text(), tipo);
+
+      if (parsed.columnasFaltantes.length > 0) {
+        setError(`Faltan columnas obligatorias: ${parsed.columnasFaltantes.join(', ')}`);
+        return;
+      }
+
+      if (parsed.rows.length === 0) {
+        setError('El archivo no tiene filas de datos');
+        return;
+      }
+
+      const previewResult = await previewImport(vivero.id, tipo, parsed.rows);
+      setParsedRows(parsed.rows);
+      setColumnasIgnoradas(parsed.columnasIgnoradas);
+      setPreview(previewResult);
+      setDryRunResult(null);
+      setActiveStep(1);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleDryRun = async () => {
+    try {
+      setWorking(true);
+      setError(null);
+      setDryRunResult(await runImport(vivero.id, tipo, parsedRows, currentUser.email, { dryRun: true }));
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    try {
+      setWorking(true);
+      setError(null);
+      const importResult = await runImport(vivero.id, tipo, parsedRows, currentUser.email, {
+        onProgress: setProgress
+      });
+      setResult(importResult);
+      setActiveStep(2);
+      if (importResult.importados > 0 && onImported) {
+        onImported(importResult);
+      }
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setWorking(false);
+      setProgress(null);
+    }
+  };
+
+  const handleClose = () => {
+    if (working) return;
+    onClose();
+  };
+
+  const visibleRows = preview
+    ? preview.rows.filter(row => !soloErrores || row.estado === IMPORT_ESTADOS.ERROR)
+    : [];
+
+  // ============================================================================
+  // 🎨 RENDERIZADO
+  // ============================================================================
+
+  const renderFileStep = () => (
+    <Box display="flex" flexDirection="column" gap={2}>
+      <Box>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          ¿Qué quieres importar?
+        </Typography>
+        <ToggleButtonGroup
+          exclusive
+          size="small"
+          value={tipo}
+          onChange={(e, value) => value && setTipo(value)}
+          disabled={working}
+        >
+          {allowedTipos.map((allowedTipo) => (
+            <ToggleButton key={allowedTipo} value={allowedTipo}>
+              {TIPO_LABELS[allowedTipo]}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+      </Box>
+
+      <Typography variant="body2" color="text.secondary">
+        {tipo === IMPORT_TIPOS.CAMAS
+          ? 'Una cama por fila. Las camas que ya existen en el vivero se omiten.'
+          : 'Un corte por fila, identificando la cama por su ID. Fechas en formato AAAA-MM-DD o DD/MM/AAAA.'}
+      </Typography>
+
+      <Box display="flex" gap={1} flexWrap="wrap">
+        <Button
+          variant="contained"
+          component="label"
+          startIcon={working ? <CircularProgress size={16} color="inherit" /> : <UploadFileIcon />}
+          disabled={working}
+        >
+          Seleccionar CSV
+          <input hidden type="file" accept=".csv,text/csv" onChange={handleFileChange} />
+        </Button>
+        <Button startIcon={<DownloadIcon />} onClick={() => downloadTemplate(tipo)}>
+          Descargar plantilla
+        </Button>
+      </Box>
+
+      {fileName && (
+        <Typography variant="caption" color="text.secondary">
+          {fileName}
+        </Typography>
+      )}
+    </Box>
+  );
+
+  const renderPreviewStep = () => (
+    <Box display="flex" flexDirection="column" gap={2}>
+      <Box display="flex" alignItems="center" gap={1} flexWrap="wrap">
+        <Typography variant="body2" sx={{ mr: 1 }}>
+          {fileName}: {preview.resumen.total} filas
+        </Typography>
+        <Chip size="small" color="success" label={`${preview.resumen.nuevos} nuevas`} />
+        <Chip size="small" label={`${preview.resumen.existentes} ya existen`} />
+        <Chip size="small" color="error" variant="outlined" label={`${preview.resumen.errores} con errores`} />
+        <Box flexGrow={1} />
+        <FormControlLabel
+          control={<Switch size="small" checked={soloErrores} onChange={(e) => setSoloErrores(e.target.checked)} />}
+          label="Solo errores"
+        />
+      </Box>
+
+      {columnasIgnoradas.length > 0 && (
+        <Alert severity="info">
+          Columnas ignoradas: {columnasIgnoradas.join(', ')}
+        </Alert>
+      )}
+
+      <TableContainer sx={{ maxHeight: 360 }}>
+        <Table size="small" stickyHeader>
+          <TableHead>
+            <TableRow>
+              <TableCell>Fila</TableCell>
+              <TableCell>{tipo === IMPORT_TIPOS.CAMAS ? 'Cama' : 'Corte'}</TableCell>
+              <TableCell>Estado</TableCell>
+              <TableCell>Errores</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {visibleRows.map((row) => {
+              const { principal, detalle } = describeRow(tipo, row);
+              const chip = ESTADO_CHIPS[row.estado];
+
+              return (
+                <TableRow key={row.linea}>
+                  <TableCell>{row.linea}</TableCell>
+                  <TableCell>
+                    <Typography variant="body2" fontWeight="medium">
+                      {principal}
+                    </Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      {detalle}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    <Chip size="small" color={chip.color} label={chip.label} />
+                  </TableCell>
+                  <TableCell>
+                    {row.errors.map((rowError) => (
+                      <Typography key={rowError} variant="caption" color="error" display="block">
+                        {rowError}
+                      </Typography>
+                    ))}
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {dryRunResult && (
+        <Alert severity="info">
+          Simulación: se importarían {dryRunResult.nuevos} filas,
+          se omitirían {dryRunResult.existentes} existentes y {dryRunResult.errores} filas con errores.
+          No se escribió nada.
+        </Alert>
+      )}
+
+      {progress && (
+        <Box>
+          <LinearProgress
+            variant="determinate"
+            value={progress.total > 0 ? (progress.completed / progress.total) * 100 : 100}
+          />
+          <Typography variant="caption" color="text.secondary">
+            {progress.completed} / {progress.total} filas
+          </Typography>
+        </Box>
+      )}
+    </Box>
+  );
+
+  const renderResultStep = () => (
+    <Box display="flex" flexDirection="column" gap={2}>
+      <Alert severity={result.errores > 0 ? 'warning' : 'success'}>
+        {result.importados} filas importadas, {result.existentes} ya existían
+        y {result.errores} filas con errores.
+      </Alert>
+
+      {result.errorDetails.length > 0 && (
+        <Box sx={{ maxHeight: 240, overflow: 'auto' }}>
+          {result.errorDetails.map((detail) => (
+            <Typography key={detail.linea} variant="caption" display="block">
+              Fila {detail.linea}: {detail.errors.join('. ')}
+            </Typography>
+          ))}
+        </Box>
+      )}
+
+      <Typography variant="body2" color="text.secondary">
+        Puedes corregir el archivo y volver a importarlo: las filas ya importadas no se duplican.
+      </Typography>
+    </Box>
+  );
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="md" fullWidth>
+      <DialogTitle>
+        Importar CSV · {vivero?.nombre}
+      </DialogTitle>
+      <DialogContent dividers>
+        <Stepper activeStep={activeStep} sx={{ mb: 3 }}>
+          {STEPS.map((label) => (
+            <Step key={label}>
+              <StepLabel>{label}</StepLabel>
+            </Step>
+          ))}
+        </Stepper>
+
+        {activeStep === 0 && renderFileStep()}
+        {activeStep === 1 && preview && renderPreviewStep()}
+        {activeStep === 2 && result && renderResultStep()}
+
+        {error && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {error}
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {activeStep === 1 && (
+          <>
+            <Button onClick={reset} disabled={working}>
+              Atrás
+            </Button>
+            <Button startIcon={<ScienceIcon />} onClick={handleDryRun} disabled={working}>
+              Simular
+            </Button>
+            <Button
+              variant="contained"
+              onClick={handleImport}
+              disabled={working || preview.resumen.nuevos === 0}
+              startIcon={working ? <CircularProgress size={16} color="inherit" /> : null}
+            >
+              Importar {preview.resumen.nuevos} filas
+            </Button>
+          </>
+        )}
+        {activeStep === 2 && (
+          <Button onClick={reset}>
+            Importar otro archivo
+          </Button>
+        )}
+        <Button onClick={handleClose} disabled={working}>
+          Cerrar
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ImportWizard;
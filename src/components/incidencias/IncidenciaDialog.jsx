@@ -0,0 +1,268 @@
+// src/components/incidencias/IncidenciaDialog.jsx
+import { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Grid,
+  TextField,
+  MenuItem,
+  Button,
+  Alert,
+  Chip,
+  ToggleButton,
+  ToggleButtonGroup,
+  CircularProgress
+} from '@mui/material';
+import { AddAPhoto as AddAPhotoIcon } from '@mui/icons-material';
+import {
+  INCIDENCIA_TIPOS,
+  INCIDENCIA_TIPOS_INFO,
+  INCIDENCIA_SEVERIDADES,
+  INCIDENCIA_SEVERIDADES_INFO,
+  validateIncidenciaData
+} from '../../firebase/viveros/incidenciasService.js';
+import { getCamasFromVivero } from '../../firebase/camas/camaService.js';
+import { validateFoto } from '../../firebase/shared/storageService.js';
+
+/**
+ * ============================================================================
+ * 🐛 IncidenciaDialog Component
+ * ============================================================================
+ * Reporte de una plaga o enfermedad en una o varias camas de un vivero
+ * - Tipo, agente, severidad, camas afectadas, fecha y descripción
+ * - Fotos opcionales (se suben al guardar)
+ * - Errores de validateIncidenciaData antes de enviar
+ * ============================================================================
+ */
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const buildInitialForm = (camaIds) => ({
+  tipo: INCIDENCIA_TIPOS.PLAGA,
+  agente: '',
+  severidad: INCIDENCIA_SEVERIDADES.MEDIA,
+  camaIds,
+  fechaDeteccion: today(),
+  descripcion: ''
+});
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open - Diálogo abierto
+ * @param {string} props.viveroId - Vivero de las camas
+ * @param {Array<string>} props.camaIdsIniciales - Camas seleccionadas al abrir
+ * @param {Function} props.onSubmit - Recibe (incidenciaData, fotos); debe retornar una promesa
+ * @param {Function} props.onClose - Cierra el diálogo
+ * @param {boolean} props.loading - Guardado en curso
+ */
+const IncidenciaDialog = ({ open, viveroId, camaIdsIniciales = [], onSubmit, onClose, loading = false }) => {
+  const [form, setForm] = useState(buildInitialForm([]));
+  const [fotos, setFotos] = useState([]);
+  const [camas, setCamas] = useState([]);
+  const [errors, setErrors] = useState([]);
+  const [submitError, setSubmitError] = useState(null);
+
+  const camaIdsKey = camaIdsIniciales.join(',');
+
+  // Reiniciar formulario cada vez que se abre
+  useEffect(() => {
+    if (open) {
+      setForm(buildInitialForm(camaIdsKey ? camaIdsKey.split(',') : []));
+      setFotos([]);
+      setErrors([]);
+      setSubmitError(null);
+    }
+  }, [open, camaIdsKey]);
+
+  useEffect(() => {
+    if (!open || !viveroId) return;
+
+    getCamasFromVivero(viveroId)
+      .then(lista => setCamas(lista.sort((a, b) => a.id.localeCompare(b.id, 'es', { numeric: true }))))
+      .catch(error => setSubmitError(error.message));
+  }, [open, viveroId]);
+
+  const handleChange = (field) => (event) => {
+    setForm(prev => ({ ...prev, [field]: event.target.value }));
+  };
+
+  const handleFotos = (event) => {
+    const elegidas = Array.from(event.target.files || []);
+    const invalidas = elegidas
+      .map(file => ({ file, validation: validateFoto(file) }))
+      .filter(({ validation }) => !validation.valid);
+
+    setErrors(invalidas.map(({ file, validation }) => `${file.name}: ${validation.errors.join('. ')}`));
+    setFotos(prev => [...prev, ...elegidas.filter(file => validateFoto(file).valid)]);
+    event.target.value = '';
+  };
+
+  const handleSubmit = async () => {
+    const incidenciaData = {
+      tipo: form.tipo,
+      agente: form.agente,
+      severidad: form.severidad,
+      camaIds: form.camaIds,
+      fechaDeteccion: new Date(`${form.fechaDeteccion}T12:00:00`),
+      descripcion: form.descripcion.trim()
+    };
+
+    const validation = validateIncidenciaData(incidenciaData);
+    if (!validation.valid) {
+      setErrors(validation.errors);
+      return;
+    }
+
+    try {
+      setErrors([]);
+      setSubmitError(null);
+      await onSubmit(incidenciaData, fotos);
+    } catch (error) {
+      setSubmitError(error.message);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>
+        Reportar plaga o enfermedad
+      </DialogTitle>
+      <DialogContent dividers>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={form.tipo}
+          onChange={(event, value) => value && setForm(prev => ({ ...prev, tipo: value }))}
+          sx={{ mb: 2 }}
+        >
+          {Object.values(INCIDENCIA_TIPOS).map(tipo => (
+            <ToggleButton key={tipo} value={tipo}>
+              {INCIDENCIA_TIPOS_INFO[tipo].label}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+
+        <Grid container spacing={2}>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              label={form.tipo === INCIDENCIA_TIPOS.PLAGA ? 'Plaga' : 'Enfermedad'}
+              value={form.agente}
+              onChange={handleChange('agente')}
+              placeholder={form.tipo === INCIDENCIA_TIPOS.PLAGA ? 'Trips, araña roja...' : 'Oídio, botrytis...'}
+              required
+              fullWidth
+            />
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              select
+              label="Severidad"
+              value={form.severidad}
+              onChange={handleChange('severidad')}
+              fullWidth
+            >
+              {Object.values(INCIDENCIA_SEVERIDADES).map(severidad => (
+                <MenuItem key={severidad} value={severidad}>
+                  {INCIDENCIA_SEVERIDADES_INFO[severidad].label}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12} sm={8}>
+            <TextField
+              select
+              label="Camas afectadas"
+              value={form.camaIds}
+              onChange={handleChange('camaIds')}
+              SelectProps={{
+                multiple: true,
+                renderValue: (selected) => (
+                  <Box display="flex" flexWrap="wrap" gap={0.5}>
+                    {selected.map(camaId => <Chip key={camaId} size="small" label={`Cama ${camaId}`} />)}
+                  </Box>
+                )
+              }}
+              required
+              fullWidth
+            >
+              {camas.map(cama => (
+                <MenuItem key={cama.id} value={cama.id}>
+                  Cama {cama.id}{cama.nombrePlanta ? ` · ${cama.nombrePlanta}` : ''}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <TextField
+              label="Detectada"
+              type="date"
+              value={form.fechaDeteccion}
+              onChange={handleChange('fechaDeteccion')}
+              inputProps={{ max: today() }}
+              InputLabelProps={{ shrink: true }}
+              required
+              fullWidth
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <TextField
+              label="Descripción"
+              value={form.descripcion}
+              onChange={handleChange('descripcion')}
+              placeholder="Síntomas, zona de la cama, porcentaje de plantas afectadas..."
+              multiline
+              minRows={2}
+              fullWidth
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <Box display="flex" alignItems="center" flexWrap="wrap" gap={1}>
+              <Button component="label" size="small" variant="outlined" startIcon={<AddAPhotoIcon />}>
+                Agregar fotos
+                <input type="file" accept="image/*" multiple hidden onChange={handleFotos} />
+              </Button>
+              {fotos.map((file, index) => (
+                <Chip
+                  key={`${file.name}-${index}`}
+                  size="small"
+                  label={file.name}
+                  onDelete={() => setFotos(prev => prev.filter((f, i) => i !== index))}
+                />
+              ))}
+            </Box>
+          </Grid>
+        </Grid>
+
+        {errors.length > 0 && (
+          <Alert severity="warning" sx={{ mt: 2 }}>
+            {errors.join('. ')}
+          </Alert>
+        )}
+
+        {submitError && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {submitError}
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={loading}>
+          Cancelar
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleSubmit}
+          disabled={loading}
+          startIcon={loading ? <CircularProgress size={16} /> : null}
+        >
+          Reportar
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default IncidenciaDialog;
@@ -0,0 +1,218 @@
+// src/components/incidencias/IncidenciasDialog.jsx
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Typography,
+  Button,
+  Alert,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  CircularProgress
+} from '@mui/material';
+import { BugReport as BugReportIcon } from '@mui/icons-material';
+import IncidenciaDialog from './IncidenciaDialog.jsx';
+import IncidenciasList from './IncidenciasList.jsx';
+import { useAuth } from '../../hooks/useAuth.jsx';
+import { PERMISSIONS } from '../../firebase/roleService.js';
+import {
+  createIncidencia,
+  addFotosIncidencia,
+  getIncidenciasDashboard
+} from '../../firebase/viveros/incidenciasService.js';
+
+/**
+ * ============================================================================
+ * 🐛 IncidenciasDialog Component
+ * ============================================================================
+ * Panel de plagas y enfermedades de un vivero
+ * - Resumen por estado y críticas sin resolver
+ * - Incidencias activas (de la más severa a la menos) con sus acciones
+ * - Recurrencia por cama: cuántas veces y qué agentes volvieron a aparecer
+ * ============================================================================
+ */
+
+const formatFecha = (fecha) => fecha
+  ? fecha.toLocaleDateString('es-ES', { year: 'numeric', month: 'short', day: 'numeric' })
+  : '—';
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open - Diálogo abierto
+ * @param {Object} props.vivero - Vivero a mostrar
+ * @param {Function} props.onClose - Cierra el diálogo
+ */
+const IncidenciasDialog = ({ open, vivero, onClose }) => {
+  const { user, hasPermission } = useAuth();
+  const [dashboard, setDashboard] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [reportOpen, setReportOpen] = useState(false);
+
+  const viveroId = vivero?.id;
+  const canReportar = hasPermission(PERMISSIONS.REPORTAR_INCIDENCIA, viveroId);
+  const canGestionar = hasPermission(PERMISSIONS.GESTIONAR_INCIDENCIA, viveroId);
+
+  const loadData = useCallback(async () => {
+    if (!viveroId) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+      setDashboard(await getIncidenciasDashboard(viveroId));
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [viveroId]);
+
+  useEffect(() => {
+    if (open) {
+      loadData();
+    } else {
+      setDashboard(null);
+    }
+  }, [open, loadData]);
+
+  // Si alguna foto falla la incidencia ya quedó registrada: se informa aquí
+  const handleReportar = async (incidenciaData, fotos) => {
+    try {
+      setSaving(true);
+      const incidenciaId = await createIncidencia(viveroId, incidenciaData, user?.email);
+      const { errores } = await addFotosIncidencia(viveroId, incidenciaId, fotos, user?.email);
+      if (errores.length > 0) setError(`Incidencia registrada sin algunas fotos. ${errores.join('. ')}`);
+      setReportOpen(false);
+      loadData();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const resumen = dashboard?.resumen;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>
+        Plagas y enfermedades · {vivero?.nombre}
+      </DialogTitle>
+      <DialogContent dividers>
+        <Box display="flex" alignItems="center" justifyContent="space-between" flexWrap="wrap" gap={1} mb={2}>
+          {resumen ? (
+            <Box display="flex" flexWrap="wrap" gap={1}>
+              <Chip label={`${resumen.abiertas} abiertas`} color="error" variant={resumen.abiertas ? 'filled' : 'outlined'} />
+              <Chip label={`${resumen.tratadas} tratadas`} color="warning" variant={resumen.tratadas ? 'filled' : 'outlined'} />
+              <Chip label={`${resumen.resueltas} resueltas`} color="success" variant="outlined" />
+              {resumen.criticasActivas > 0 && (
+                <Chip label={`${resumen.criticasActivas} críticas sin resolver`} color="error" variant="outlined" />
+              )}
+            </Box>
+          ) : <span />}
+          <Box display="flex" alignItems="center" gap={1}>
+            {loading && <CircularProgress size={20} />}
+            {canReportar && (
+              <Button size="small" variant="outlined" startIcon={<BugReportIcon />} onClick={() => setReportOpen(true)}>
+                Reportar
+              </Button>
+            )}
+          </Box>
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        {dashboard && (
+          <>
+            <Typography variant="subtitle2" gutterBottom>
+              Activas ({dashboard.activas.length})
+            </Typography>
+            {dashboard.activas.length === 0 ? (
+              <Alert severity="success" sx={{ mb: 2 }}>
+                No hay plagas ni enfermedades sin resolver.
+              </Alert>
+            ) : (
+              <IncidenciasList
+                viveroId={viveroId}
+                incidencias={dashboard.activas}
+                userEmail={user?.email}
+                canReportar={canReportar}
+                canGestionar={canGestionar}
+                onChanged={loadData}
+              />
+            )}
+
+            <Typography variant="subtitle2" sx={{ mt: 3 }} gutterBottom>
+              Recurrencia por cama
+            </Typography>
+            {dashboard.recurrenciaPorCama.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                Sin incidencias registradas
+              </Typography>
+            ) : (
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Cama</TableCell>
+                    <TableCell align="right">Incidencias</TableCell>
+                    <TableCell align="right">Activas</TableCell>
+                    <TableCell>Agentes</TableCell>
+                    <TableCell>Última detección</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {dashboard.recurrenciaPorCama.map(cama => (
+                    <TableRow key={cama.camaId}>
+                      <TableCell>{cama.camaId}</TableCell>
+                      <TableCell align="right">{cama.total}</TableCell>
+                      <TableCell align="right">{cama.activas}</TableCell>
+                      <TableCell>
+                        <Box display="flex" flexWrap="wrap" gap={0.5}>
+                          {cama.agentes.map(agente => (
+                            <Chip
+                              key={agente.agente}
+                              size="small"
+                              variant={agente.veces > 1 ? 'filled' : 'outlined'}
+                              color={agente.veces > 1 ? 'warning' : 'default'}
+                              label={agente.veces > 1 ? `${agente.agente} ×${agente.veces}` : agente.agente}
+                            />
+                          ))}
+                        </Box>
+                      </TableCell>
+                      <TableCell>{formatFecha(cama.ultimaDeteccion)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>
+          Cerrar
+        </Button>
+      </DialogActions>
+
+      <IncidenciaDialog
+        open={reportOpen}
+        viveroId={viveroId}
+        onSubmit={handleReportar}
+        onClose={() => setReportOpen(false)}
+        loading={saving}
+      />
+    </Dialog>
+  );
+};
+
+export default IncidenciasDialog;
@@ -0,0 +1,293 @@
+// src/components/incidencias/IncidenciasList.jsx
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  IconButton,
+  Alert,
+  Chip,
+  Divider,
+  List,
+  ListItem,
+  TextField,
+  Tooltip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
+} from '@mui/material';
+import {
+  Science as ScienceIcon,
+  CheckCircle as CheckCircleIcon,
+  Replay as ReplayIcon,
+  AddAPhoto as AddAPhotoIcon
+} from '@mui/icons-material';
+import AplicacionDialog from '../camas/AplicacionDialog.jsx';
+import FotoThumbnails from '../common/FotoThumbnails.jsx';
+import { APLICACION_TIPOS, getAplicacionTipoLabel } from '../../firebase/camas/aplicacionesService.js';
+import {
+  INCIDENCIA_TIPOS,
+  INCIDENCIA_TIPOS_INFO,
+  INCIDENCIA_SEVERIDADES_INFO,
+  INCIDENCIA_ESTADOS,
+  INCIDENCIA_ESTADOS_INFO,
+  INCIDENCIA_TRANSICIONES,
+  cambiarEstadoIncidencia,
+  registrarTratamiento,
+  addFotoIncidencia,
+  removeFotoIncidencia
+} from '../../firebase/viveros/incidenciasService.js';
+
+/**
+ * ============================================================================
+ * 🐛 IncidenciasList Component
+ * ============================================================================
+ * Lista de incidencias con sus acciones, compartida por el panel del vivero
+ * y el de la cama
+ * - Tratamiento: registra la aplicación en cada cama afectada
+ * - Resolver / reabrir según INCIDENCIA_TRANSICIONES, con nota opcional
+ * - Fotos: miniaturas, agregar y quitar
+ * ============================================================================
+ */
+
+const formatFecha = (fecha) => fecha.toDate().toLocaleDateString('es-ES', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+// Tipo de aplicación propuesto para tratar cada tipo de incidencia
+const TIPO_TRATAMIENTO = {
+  [INCIDENCIA_TIPOS.PLAGA]: APLICACION_TIPOS.PESTICIDA,
+  [INCIDENCIA_TIPOS.ENFERMEDAD]: APLICACION_TIPOS.FUNGICIDA
+};
+
+const ACCIONES_ESTADO = {
+  [INCIDENCIA_ESTADOS.RESUELTA]: { label: 'Resolver', icon: <CheckCircleIcon />, color: 'success' },
+  [INCIDENCIA_ESTADOS.ABIERTA]: { label: 'Reabrir', icon: <ReplayIcon />, color: 'warning' }
+};
+
+/**
+ * @param {Object} props
+ * @param {string} props.viveroId - ID del vivero
+ * @param {Array} props.incidencias - Incidencias a mostrar
+ * @param {string} props.userEmail - Email del usuario
+ * @param {boolean} props.canReportar - Puede agregar fotos
+ * @param {boolean} props.canGestionar - Puede registrar tratamientos, cambiar estados y quitar fotos
+ * @param {boolean} props.mostrarCamas - Muestra las camas afectadas de cada incidencia
+ * @param {Function} props.onChanged - Se llama tras cada cambio para recargar
+ */
+const IncidenciasList = ({
+  viveroId,
+  incidencias,
+  userEmail,
+  canReportar = false,
+  canGestionar = false,
+  mostrarCamas = true,
+  onChanged
+}) => {
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [incidenciaATratar, setIncidenciaATratar] = useState(null);
+  const [cambioEstado, setCambioEstado] = useState(null);
+  const [nota, setNota] = useState('');
+
+  // ============================================================================
+  // 🔧 HANDLERS
+  // ============================================================================
+
+  const runAction = async (action) => {
+    try {
+      setSaving(true);
+      setError(null);
+      await action();
+      onChanged?.();
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleTratamiento = async (aplicacionData) => {
+    try {
+      setSaving(true);
+      await registrarTratamiento(viveroId, incidenciaATratar.id, aplicacionData, userEmail);
+      setIncidenciaATratar(null);
+      onChanged?.();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCambioEstadoConfirm = async () => {
+    const { incidencia, estado } = cambioEstado;
+    await runAction(() => cambiarEstadoIncidencia(viveroId, incidencia.id, estado, userEmail, { nota: nota.trim() }));
+    setCambioEstado(null);
+    setNota('');
+  };
+
+  const handleFoto = (incidencia) => async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    await runAction(() => addFotoIncidencia(viveroId, incidencia.id, file, userEmail));
+  };
+
+  const handleQuitarFoto = (incidencia, foto) =>
+    runAction(() => removeFotoIncidencia(viveroId, incidencia.id, foto.id, userEmail));
+
+  return (
+    <Box>
+      {error && (
+        <Alert severity="error" sx={{ mb: 1 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <List dense disablePadding>
+        {incidencias.map((incidencia, index) => {
+          const activa = incidencia.estado !== INCIDENCIA_ESTADOS.RESUELTA;
+          const transiciones = (INCIDENCIA_TRANSICIONES[incidencia.estado] || [])
+            .filter(estado => ACCIONES_ESTADO[estado]);
+
+          return (
+            <React.Fragment key={incidencia.id}>
+              {index > 0 && <Divider component="li" />}
+              <ListItem disableGutters sx={{ display: 'block', py: 1 }}>
+                <Box display="flex" alignItems="center" gap={1} flexWrap="wrap">
+                  <Chip
+                    size="small"
+                    label={INCIDENCIA_ESTADOS_INFO[incidencia.estado]?.label || incidencia.estado}
+                    color={INCIDENCIA_ESTADOS_INFO[incidencia.estado]?.color || 'default'}
+                  />
+                  <Typography variant="body2" fontWeight="medium">
+                    {incidencia.agente}
+                  </Typography>
+                  <Chip size="small" variant="outlined" label={INCIDENCIA_TIPOS_INFO[incidencia.tipo]?.label || incidencia.tipo} />
+                  <Chip
+                    size="small"
+                    variant="outlined"
+                    label={`Severidad ${INCIDENCIA_SEVERIDADES_INFO[incidencia.severidad]?.label || incidencia.severidad}`}
+                    color={INCIDENCIA_SEVERIDADES_INFO[incidencia.severidad]?.color || 'default'}
+                  />
+                </Box>
+
+                <Typography variant="caption" color="text.secondary" display="block" mt={0.5}>
+                  {[
+                    `Detectada el ${formatFecha(incidencia.fechaDeteccion)}`,
+                    activa && incidencia.diasActiva !== undefined && `${incidencia.diasActiva} días activa`,
+                    incidencia.fechaResolucion && `resuelta el ${formatFecha(incidencia.fechaResolucion)}`,
+                    mostrarCamas && `Camas ${incidencia.camaIds.join(', ')}`
+                  ].filter(Boolean).join(' · ')}
+                </Typography>
+
+                {incidencia.descripcion && (
+                  <Typography variant="body2" mt={0.5}>
+                    {incidencia.descripcion}
+                  </Typography>
+                )}
+
+                {(incidencia.tratamientos || []).map((tratamiento, i) => (
+                  <Typography key={i} variant="caption" display="block">
+                    💊 {getAplicacionTipoLabel(tratamiento.tipo)} · {tratamiento.producto} · {formatFecha(tratamiento.fecha)}
+                    {' '}({tratamiento.aplicacionIds.length} camas)
+                  </Typography>
+                ))}
+
+                {(incidencia.fotos || []).length > 0 && (
+                  <Box mt={1}>
+                    <FotoThumbnails
+                      fotos={incidencia.fotos}
+                      onRemove={canGestionar ? (foto) => handleQuitarFoto(incidencia, foto) : undefined}
+                      disabled={saving}
+                    />
+                  </Box>
+                )}
+
+                {activa && (canReportar || canGestionar) && (
+                  <Box display="flex" flexWrap="wrap" gap={1} mt={1}>
+                    {canGestionar && (
+                      <Button size="small" startIcon={<ScienceIcon />} disabled={saving} onClick={() => setIncidenciaATratar(incidencia)}>
+                        Tratamiento
+                      </Button>
+                    )}
+                    {canGestionar && transiciones.map(estado => (
+                      <Button
+                        key={estado}
+                        size="small"
+                        color={ACCIONES_ESTADO[estado].color}
+                        startIcon={ACCIONES_ESTADO[estado].icon}
+                        disabled={saving}
+                        onClick={() => setCambioEstado({ incidencia, estado })}
+                      >
+                        {ACCIONES_ESTADO[estado].label}
+                      </Button>
+                    ))}
+                    {canReportar && (
+                      <Tooltip title="Agregar foto">
+                        <IconButton component="label" size="small" disabled={saving}>
+                          <AddAPhotoIcon fontSize="small" />
+                          <input type="file" accept="image/*" hidden onChange={handleFoto(incidencia)} />
+                        </IconButton>
+                      </Tooltip>
+                    )}
+                  </Box>
+                )}
+              </ListItem>
+            </React.Fragment>
+          );
+        })}
+      </List>
+
+      <AplicacionDialog
+        open={Boolean(incidenciaATratar)}
+        titulo={`Tratamiento · ${incidenciaATratar?.agente || ''} (camas ${incidenciaATratar?.camaIds.join(', ') || ''})`}
+        tipoInicial={TIPO_TRATAMIENTO[incidenciaATratar?.tipo] || APLICACION_TIPOS.PESTICIDA}
+        permitirVivero={false}
+        aplicadorDefault={userEmail || ''}
+        onSubmit={handleTratamiento}
+        onClose={() => setIncidenciaATratar(null)}
+        loading={saving}
+      />
+
+      {/* Confirmación de cambio de estado */}
+      <Dialog open={Boolean(cambioEstado)} onClose={() => setCambioEstado(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>
+          {cambioEstado && ACCIONES_ESTADO[cambioEstado.estado].label} incidencia
+        </DialogTitle>
+        <DialogContent>
+          <Typography gutterBottom>
+            {cambioEstado?.incidencia.agente} · camas {cambioEstado?.incidencia.camaIds.join(', ')}
+          </Typography>
+          <TextField
+            label="Nota (opcional)"
+            value={nota}
+            onChange={(e) => setNota(e.target.value)}
+            placeholder={cambioEstado?.estado === INCIDENCIA_ESTADOS.ABIERTA ? 'El tratamiento no fue efectivo...' : ''}
+            multiline
+            minRows={2}
+            fullWidth
+            sx={{ mt: 1 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCambioEstado(null)} disabled={saving}>
+            Cancelar
+          </Button>
+          <Button
+            variant="contained"
+            color={cambioEstado ? ACCIONES_ESTADO[cambioEstado.estado].color : 'primary'}
+            onClick={handleCambioEstadoConfirm}
+            disabled={saving}
+          >
+            Confirmar
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default IncidenciasList;
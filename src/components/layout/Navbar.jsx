@@ -2,6 +2,8 @@
 import { useState } from 'react';
 import { useAuth } from '../../hooks/useAuth.jsx';
 import { useNavigate, useLocation } from 'react-router-dom';
+import OutboxStatus from './OutboxStatus.jsx';
+import { PERMISSIONS, getAssignedViveros, getRoleLabel } from '../../firebase/roleService.js';
 import {
   AppBar,
   Toolbar,
@@ -34,7 +36,9 @@ import {
 } from '@mui/icons-material';
 
 const Navbar = () => {
-  const { user, logout, isAdmin } = useAuth();
+  const { user, logout, isAdmin, roleLabel, hasPermission } = useAuth();
+  const canManageUsers = hasPermission(PERMISSIONS.GESTIONAR_USUARIOS);
+  const assignedViveros = getAssignedViveros(user);
   const navigate = useNavigate();
   const location = useLocation();
   const theme = useTheme();
@@ -101,7 +105,7 @@ const Navbar = () => {
       label: 'Admin',
       path: '/admin',
       icon: <AdminIcon />,
-      show: isAdmin
+      show: canManageUsers
     }
   ];
 
@@ -152,7 +156,7 @@ const Navbar = () => {
               {user?.name || 'Usuario'}
             </Typography>
             <Typography variant="caption" sx={{ opacity: 0.8 }}>
-              {isAdmin ? 'Administrador' : 'Usuario'}
+              {roleLabel}
             </Typography>
           </Box>
         </Box>
@@ -312,6 +316,11 @@ const Navbar = () => {
             </Box>
           )}
 
+          {/* Estado de sincronización offline */}
+          <Box ml={isMobile ? 0 : 1}>
+            <OutboxStatus />
+          </Box>
+
           {/* Menú de usuario desktop */}
           {!isMobile && (
             <IconButton
@@ -360,12 +369,26 @@ const Navbar = () => {
               {/* Chip de rol */}
               <Box display="flex" justifyContent="center">
                 <Chip
-                  label={isAdmin ? 'Administrador' : 'Usuario Estándar'}
+                  label={roleLabel}
                   color={isAdmin ? 'secondary' : 'default'}
                   size="small"
                   icon={isAdmin ? <AdminIcon /> : <PersonIcon />}
                 />
               </Box>
+
+              {/* Roles por vivero */}
+              {assignedViveros.length > 0 && (
+                <Box display="flex" flexWrap="wrap" justifyContent="center" gap={0.5} mt={1}>
+                  {assignedViveros.map(({ viveroId, rol }) => (
+                    <Chip
+                      key={viveroId}
+                      label={`${viveroId}: ${getRoleLabel(rol)}`}
+                      size="small"
+                      variant="outlined"
+                    />
+                  ))}
+                </Box>
+              )}
             </Box>
 
             <Divider />
@@ -387,7 +410,7 @@ const Navbar = () => {
               Viveros
             </MenuItem>
 
-            {isAdmin && (
+            {canManageUsers && (
               <MenuItem 
                 onClick={() => handleNavigation('/admin')}
                 disabled={isCurrentPath('/admin')}
@@ -0,0 +1,242 @@
+// src/components/layout/OutboxStatus.jsx
+import { useState } from 'react';
+import {
+  IconButton,
+  Badge,
+  Menu,
+  Box,
+  Typography,
+  Chip,
+  Divider,
+  Button,
+  Alert,
+  Switch,
+  FormControlLabel,
+  Tooltip,
+  CircularProgress
+} from '@mui/material';
+import {
+  CloudDone as CloudDoneIcon,
+  CloudOff as CloudOffIcon,
+  CloudUpload as CloudUploadIcon,
+  SyncProblem as SyncProblemIcon,
+  Sync as SyncIcon
+} from '@mui/icons-material';
+import { useOutbox } from '../../hooks/useOutbox.js';
+
+/**
+ * ============================================================================
+ * 📡 OutboxStatus Component
+ * ============================================================================
+ * Indicador de la cola offline para el Navbar
+ * - Contador de operaciones pendientes, fallidas y en conflicto
+ * - Resolución de conflictos: reintentar, descartar o sobrescribir
+ * - Interruptor de simulación offline (solo en desarrollo)
+ * ============================================================================
+ */
+
+const OPERATION_LABELS = {
+  createCorte: 'Nuevo corte',
+  updateCama: 'Actualizar cama',
+  updateMultipleCamasEstado: 'Cambio de estado'
+};
+
+const describeEntry = (entry) => {
+  const { type, payload } = entry;
+
+  if (type === 'createCorte') {
+    return `${payload.corteData?.cantidadEsquejes || 0} esquejes · Cama ${payload.camaId}`;
+  }
+  if (type === 'updateCama') {
+    return `Cama ${payload.camaId} · ${Object.keys(payload.updateData || {}).join(', ')}`;
+  }
+  return `${payload.camaIds?.length || 0} camas → ${payload.nuevoEstado}`;
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '(vacío)';
+  if (value instanceof Date) return value.toLocaleString('es-ES');
+  if (typeof value.toDate === 'function') return value.toDate().toLocaleString('es-ES');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const OutboxStatus = () => {
+  const [anchorEl, setAnchorEl] = useState(null);
+
+  const {
+    entries,
+    isOnline,
+    simulatedOffline,
+    replaying,
+    pendingCount,
+    failedCount,
+    conflictCount,
+    actionLoading,
+    actionError,
+    syncNow,
+    retryEntry,
+    discardEntry,
+    forceEntry,
+    toggleSimulatedOffline,
+    needsAttention,
+    totalCount
+  } = useOutbox();
+
+  const getStatusIcon = () => {
+    if (!isOnline) return <CloudOffIcon />;
+    if (needsAttention) return <SyncProblemIcon />;
+    if (replaying) return <SyncIcon />;
+    if (pendingCount > 0) return <CloudUploadIcon />;
+    return <CloudDoneIcon />;
+  };
+
+  const statusLabel = !isOnline
+    ? 'Sin conexión - las escrituras se guardan en cola'
+    : replaying
+      ? 'Sincronizando...'
+      : 'Conectado';
+
+  // ============================================================================
+  // 🎨 RENDERIZADO
+  // ============================================================================
+
+  return (
+    <>
+      <Tooltip title={statusLabel}>
+        <IconButton color="inherit" onClick={(e) => setAnchorEl(e.currentTarget)}>
+          <Badge
+            badgeContent={totalCount}
+            color={needsAttention ? 'error' : 'warning'}
+          >
+            {getStatusIcon()}
+          </Badge>
+        </IconButton>
+      </Tooltip>
+
+      <Menu
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={() => setAnchorEl(null)}
+        transformOrigin={{ horizontal: 'right', vertical: 'top' }}
+        anchorOrigin={{ horizontal: 'right', vertical: 'bottom' }}
+        PaperProps={{
+          sx: { width: 340, maxHeight: 480 }
+        }}
+      >
+        <Box px={2} py={1}>
+          <Typography variant="subtitle2" fontWeight="bold">
+            Sincronización
+          </Typography>
+          <Typography variant="caption" color="text.secondary">
+            {statusLabel}
+          </Typography>
+
+          <Box display="flex" gap={1} mt={1} flexWrap="wrap">
+            <Chip size="small" color="warning" variant="outlined" label={`Pendientes: ${pendingCount}`} />
+            <Chip size="small" color="error" variant="outlined" label={`Fallidas: ${failedCount}`} />
+            <Chip size="small" color="secondary" variant="outlined" label={`Conflictos: ${conflictCount}`} />
+          </Box>
+        </Box>
+
+        <Divider />
+
+        {entries.length === 0 ? (
+          <Box px={2} py={2}>
+            <Typography variant="body2" color="text.secondary">
+              No hay operaciones en cola.
+            </Typography>
+          </Box>
+        ) : (
+          entries.map((entry) => (
+            <Box key={entry.id} px={2} py={1} sx={{ borderBottom: 1, borderColor: 'divider' }}>
+              <Box display="flex" justifyContent="space-between" alignItems="center">
+                <Typography variant="body2" fontWeight="medium">
+                  {OPERATION_LABELS[entry.type] || entry.type}
+                </Typography>
+                <Chip
+                  size="small"
+                  label={entry.status === 'conflict' ? 'Conflicto' : entry.status === 'failed' ? 'Fallida' : 'Pendiente'}
+                  color={entry.status === 'conflict' ? 'secondary' : entry.status === 'failed' ? 'error' : 'warning'}
+                />
+              </Box>
+              <Typography variant="caption" color="text.secondary" display="block">
+                {describeEntry(entry)}
+              </Typography>
+
+              {entry.status === 'failed' && entry.lastError && (
+                <Typography variant="caption" color="error" display="block">
+                  {entry.lastError}
+                </Typography>
+              )}
+
+              {entry.status === 'conflict' && entry.conflict && (
+                <Box mt={0.5}>
+                  <Typography variant="caption" color="secondary" display="block">
+                    {entry.conflict.mensaje}
+                  </Typography>
+                  {entry.conflict.campos.filter(c => c.campo).map((c) => (
+                    <Typography key={`${c.camaId}-${c.campo}`} variant="caption" display="block">
+                      Cama {c.camaId} · {c.campo}: tuyo "{formatValue(c.local)}" / servidor "{formatValue(c.servidor)}"
+                    </Typography>
+                  ))}
+                </Box>
+              )}
+
+              {entry.status !== 'pending' && (
+                <Box display="flex" gap={1} mt={1}>
+                  <Button size="small" onClick={() => retryEntry(entry.id)} disabled={actionLoading || !isOnline}>
+                    Reintentar
+                  </Button>
+                  {entry.status === 'conflict' && (
+                    <Button size="small" color="secondary" onClick={() => forceEntry(entry.id)} disabled={actionLoading || !isOnline}>
+                      Sobrescribir
+                    </Button>
+                  )}
+                  <Button size="small" color="error" onClick={() => discardEntry(entry.id)} disabled={actionLoading}>
+                    Descartar
+                  </Button>
+                </Box>
+              )}
+            </Box>
+          ))
+        )}
+
+        {actionError && (
+          <Box px={2} pt={1}>
+            <Alert severity="error">
+              {actionError}
+            </Alert>
+          </Box>
+        )}
+
+        <Box px={2} py={1} display="flex" alignItems="center" justifyContent="space-between">
+          <Button
+            size="small"
+            variant="outlined"
+            startIcon={replaying ? <CircularProgress size={14} /> : <SyncIcon />}
+            onClick={syncNow}
+            disabled={!isOnline || replaying || pendingCount === 0}
+          >
+            Sincronizar
+          </Button>
+
+          {import.meta.env.DEV && (
+            <FormControlLabel
+              control={
+                <Switch
+                  size="small"
+                  checked={simulatedOffline}
+                  onChange={toggleSimulatedOffline}
+                />
+              }
+              label={<Typography variant="caption">Simular offline</Typography>}
+            />
+          )}
+        </Box>
+      </Menu>
+    </>
+  );
+};
+
+export default OutboxStatus;
@@ -0,0 +1,208 @@
+// src/components/qr/QrGenerator.jsx
+import { useMemo, useState } from 'react';
+import QRCode from 'qrcode';
+import {
+  Box,
+  Typography,
+  Button,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import {
+  Download as DownloadIcon,
+  Image as ImageIcon
+} from '@mui/icons-material';
+
+/**
+ * ============================================================================
+ * 🔳 QrGenerator Component
+ * ============================================================================
+ * Renderiza códigos QR de viveros y camas completamente en el navegador
+ * - Recibe los payloads de generateViveroQRData / generateCamaQRData
+ * - Codificación local con la librería qrcode (sin llamadas de red)
+ * - Render SVG escalable (pantalla e impresión)
+ * - Descarga en SVG y PNG
+ * ============================================================================
+ */
+
+const QUIET_ZONE = 4; // Margen estándar de módulos alrededor del código
+const PNG_WIDTH = 1024;
+const ERROR_CORRECTION = 'M';
+
+/**
+ * Construye el path SVG de los módulos oscuros del código
+ * @param {Object} modules - Matriz de módulos generada por QRCode.create
+ * @returns {string} Atributo d del path
+ */
+const buildModulesPath = (modules) => {
+  let path = '';
+
+  for (let y = 0; y < modules.size; y++) {
+    for (let x = 0; x < modules.size; x++) {
+      if (modules.get(x, y)) {
+        path += `M${x + QUIET_ZONE} ${y + QUIET_ZONE}h1v1h-1z`;
+      }
+    }
+  }
+
+  return path;
+};
+
+/**
+ * Dispara la descarga de un archivo generado en memoria
+ * @param {string} href - URL (blob o data URL) del archivo
+ * @param {string} filename - Nombre del archivo
+ */
+const triggerDownload = (href, filename) => {
+  const link = document.createElement('a');
+  link.href = href;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+};
+
+/**
+ * @param {Object} props
+ * @param {Object} props.qrData - Payload de generateViveroQRData o generateCamaQRData
+ * @param {number|string} props.size - Tamaño del código (px si es número, o cualquier unidad CSS)
+ * @param {boolean} props.showDetails - Mostrar título, subtítulo y URL bajo el código
+ * @param {boolean} props.showActions - Mostrar botones de descarga
+ */
+const QrGenerator = ({
+  qrData,
+  size = 220,
+  showDetails = true,
+  showActions = true
+}) => {
+  const [downloadingPng, setDownloadingPng] = useState(false);
+  const [downloadError, setDownloadError] = useState(null);
+
+  const qr = useMemo(() => {
+    if (!qrData?.url) return { error: 'Datos de QR incompletos' };
+
+    try {
+      const { modules } = QRCode.create(qrData.url, { errorCorrectionLevel: ERROR_CORRECTION });
+      return {
+        dimension: modules.size + QUIET_ZONE * 2,
+        path: buildModulesPath(modules)
+      };
+    } catch (error) {
+      console.error("❌ Error generando QR:", error.message);
+      return { error: `Error generando QR: ${error.message}` };
+    }
+  }, [qrData?.url]);
+
+  const baseFilename = qrData?.tipo === 'cama'
+    ? `qr-${qrData.viveroId}-${qrData.camaId}`
+    : `qr-${qrData?.id || 'agro-track'}`;
+
+  // ============================================================================
+  // 📥 DESCARGAS
+  // ============================================================================
+
+  const handleDownloadSvg = () => {
+    const markup = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${qr.dimension} ${qr.dimension}" shape-rendering="crispEdges">`
+      + `<rect width="100%" height="100%" fill="#ffffff"/>`
+      + `<path fill="#000000" d="${qr.path}"/></svg>`;
+
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+    triggerDownload(url, `${baseFilename}.svg`);
+    URL.revokeObjectURL(url);
+  };
+
+  const handleDownloadPng = async () => {
+    try {
+      setDownloadingPng(true);
+      setDownloadError(null);
+
+      const dataUrl = await QRCode.toDataURL(qrData.url, {
+        errorCorrectionLevel: ERROR_CORRECTION,
+        margin: QUIET_ZONE,
+        width: PNG_WIDTH
+      });
+
+      triggerDownload(dataUrl, `${baseFilename}.png`);
+    } catch (error) {
+      console.error("❌ Error generando PNG:", error.message);
+      setDownloadError(`Error generando PNG: ${error.message}`);
+    } finally {
+      setDownloadingPng(false);
+    }
+  };
+
+  // ============================================================================
+  // 🎨 RENDERIZADO
+  // ============================================================================
+
+  if (qr.error) {
+    return (
+      <Alert severity="error">
+        {qr.error}
+      </Alert>
+    );
+  }
+
+  return (
+    <Box display="flex" flexDirection="column" alignItems="center">
+      <Box
+        component="svg"
+        xmlns="http://www.w3.org/2000/svg"
+        viewBox={`0 0 ${qr.dimension} ${qr.dimension}`}
+        shapeRendering="crispEdges"
+        role="img"
+        aria-label={`Código QR: ${qrData.url}`}
+        sx={{ width: size, height: size, display: 'block' }}
+      >
+        <rect width="100%" height="100%" fill="#ffffff" />
+        <path fill="#000000" d={qr.path} />
+      </Box>
+
+      {showDetails && (
+        <Box textAlign="center" mt={1}>
+          <Typography variant="subtitle1" fontWeight="bold">
+            {qrData.titulo}
+          </Typography>
+          {qrData.subtitulo && (
+            <Typography variant="body2" color="text.secondary">
+              {qrData.subtitulo}
+            </Typography>
+          )}
+          <Typography variant="caption" color="text.secondary" sx={{ wordBreak: 'break-all' }}>
+            {qrData.url}
+          </Typography>
+        </Box>
+      )}
+
+      {showActions && (
+        <Box display="flex" gap={1} mt={2}>
+          <Button
+            size="small"
+            variant="outlined"
+            startIcon={<DownloadIcon />}
+            onClick={handleDownloadSvg}
+          >
+            SVG
+          </Button>
+          <Button
+            size="small"
+            variant="outlined"
+            startIcon={downloadingPng ? <CircularProgress size={16} /> : <ImageIcon />}
+            onClick={handleDownloadPng}
+            disabled={downloadingPng}
+          >
+            PNG
+          </Button>
+        </Box>
+      )}
+
+      {downloadError && (
+        <Alert severity="error" sx={{ mt: 2 }}>
+          {downloadError}
+        </Alert>
+      )}
+    </Box>
+  );
+};
+
+export default QrGenerator;
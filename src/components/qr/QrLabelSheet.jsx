@@ -0,0 +1,234 @@
+// src/components/qr/QrLabelSheet.jsx
+import { useEffect, useMemo, useState } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Button,
+  Alert,
+  CircularProgress,
+  TextField,
+  MenuItem,
+  Paper
+} from '@mui/material';
+import {
+  ArrowBack as ArrowBackIcon,
+  Print as PrintIcon
+} from '@mui/icons-material';
+import QrGenerator from './QrGenerator.jsx';
+import { useViveros } from '../../hooks/useViveros.jsx';
+import { useCamas } from '../../hooks/useCamas.js';
+import { generateCamaQRData } from '../../firebase/viveros/viveroUrlService.js';
+
+/**
+ * ============================================================================
+ * 🖨️ QrLabelSheet Component
+ * ============================================================================
+ * Hojas imprimibles con una etiqueta QR por cama del vivero
+ * - Formatos A4 y Carta (Letter) con medidas reales en mm
+ * - Cada etiqueta: QR, ID de cama, planta y URL corta
+ * - Estilos @media print para imprimir solo las hojas
+ * ============================================================================
+ */
+
+const PAPER_FORMATS = {
+  a4: { label: 'A4 (210 × 297 mm)', width: 210, height: 297, cssSize: 'A4' },
+  letter: { label: 'Carta (216 × 279 mm)', width: 215.9, height: 279.4, cssSize: 'letter' }
+};
+
+const LABEL_COLUMNS = 3;
+const LABEL_ROWS = 4;
+const LABELS_PER_SHEET = LABEL_COLUMNS * LABEL_ROWS;
+const SHEET_MARGIN_MM = 10;
+const LABEL_GAP_MM = 4;
+
+const QrLabelSheet = () => {
+  const { viveroId } = useParams();
+  const navigate = useNavigate();
+  const [paperFormat, setPaperFormat] = useState('a4');
+
+  const {
+    selectedVivero,
+    loadVivero,
+    loading: loadingVivero,
+    error: viveroError
+  } = useViveros({ autoLoad: false });
+
+  const {
+    camas,
+    loading: loadingCamas,
+    error: camasError
+  } = useCamas(viveroId, { autoLoad: true });
+
+  useEffect(() => {
+    if (viveroId) {
+      loadVivero(viveroId);
+    }
+  }, [viveroId, loadVivero]);
+
+  // Camas ordenadas por ID y agrupadas en hojas
+  const sheets = useMemo(() => {
+    const sorted = [...camas].sort((a, b) =>
+      a.id.localeCompare(b.id, 'es', { numeric: true })
+    );
+
+    const result = [];
+    for (let i = 0; i < sorted.length; i += LABELS_PER_SHEET) {
+      result.push(sorted.slice(i, i + LABELS_PER_SHEET));
+    }
+    return result;
+  }, [camas]);
+
+  const paper = PAPER_FORMATS[paperFormat];
+  const baseUrl = window.location.origin;
+
+  const labelWidth = (paper.width - SHEET_MARGIN_MM * 2 - LABEL_GAP_MM * (LABEL_COLUMNS - 1)) / LABEL_COLUMNS;
+  const labelHeight = (paper.height - SHEET_MARGIN_MM * 2 - LABEL_GAP_MM * (LABEL_ROWS - 1)) / LABEL_ROWS;
+  const qrSize = Math.min(labelWidth, labelHeight) * 0.68;
+
+  // ============================================================================
+  // 🎨 RENDERIZADO
+  // ============================================================================
+
+  const isLoading = loadingVivero || loadingCamas;
+  const currentError = viveroError || camasError;
+
+  return (
+    <Box sx={{ bgcolor: 'grey.200', minHeight: '100vh', py: 3 }}>
+      <style>{`
+        @page { size: ${paper.cssSize}; margin: 0; }
+        @media print {
+          body { background: #ffffff !important; }
+          .no-print { display: none !important; }
+          .label-sheet-container { padding: 0 !important; background: #ffffff !important; }
+          .label-sheet { box-shadow: none !important; margin: 0 !important; break-after: page; }
+        }
+      `}</style>
+
+      {/* Barra de herramientas (no se imprime) */}
+      <Paper className="no-print" sx={{ maxWidth: 900, mx: 'auto', mb: 3, p: 2 }}>
+        <Box display="flex" alignItems="center" justifyContent="space-between" flexWrap="wrap" gap={2}>
+          <Box display="flex" alignItems="center" gap={1}>
+            <Button startIcon={<ArrowBackIcon />} onClick={() => navigate('/viveros')}>
+              Volver
+            </Button>
+            <Box>
+              <Typography variant="h6">
+                Etiquetas QR - {selectedVivero?.nombre || viveroId}
+              </Typography>
+              <Typography variant="caption" color="text.secondary">
+                {camas.length} camas · {sheets.length} hoja{sheets.length !== 1 ? 's' : ''} · {LABELS_PER_SHEET} etiquetas por hoja
+              </Typography>
+            </Box>
+          </Box>
+
+          <Box display="flex" alignItems="center" gap={2}>
+            <TextField
+              select
+              size="small"
+              label="Papel"
+              value={paperFormat}
+              onChange={(e) => setPaperFormat(e.target.value)}
+              sx={{ minWidth: 200 }}
+            >
+              {Object.entries(PAPER_FORMATS).map(([key, format]) => (
+                <MenuItem key={key} value={key}>
+                  {format.label}
+                </MenuItem>
+              ))}
+            </TextField>
+            <Button
+              variant="contained"
+              startIcon={<PrintIcon />}
+              onClick={() => window.print()}
+              disabled={isLoading || camas.length === 0}
+            >
+              Imprimir
+            </Button>
+          </Box>
+        </Box>
+
+        {currentError && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {currentError}
+          </Alert>
+        )}
+      </Paper>
+
+      {isLoading ? (
+        <Box className="no-print" display="flex" justifyContent="center" py={8}>
+          <CircularProgress size={60} />
+        </Box>
+      ) : sheets.length === 0 ? (
+        <Paper className="no-print" sx={{ maxWidth: 900, mx: 'auto', p: 4, textAlign: 'center' }}>
+          <Typography variant="h6" color="text.secondary">
+            Este vivero no tiene camas para imprimir
+          </Typography>
+        </Paper>
+      ) : (
+        <Box className="label-sheet-container" display="flex" flexDirection="column" alignItems="center">
+          {sheets.map((sheetCamas, sheetIndex) => (
+            <Box
+              key={sheetIndex}
+              className="label-sheet"
+              sx={{
+                width: `${paper.width}mm`,
+                height: `${paper.height}mm`,
+                p: `${SHEET_MARGIN_MM}mm`,
+                mb: 3,
+                bgcolor: '#ffffff',
+                boxShadow: 3,
+                boxSizing: 'border-box',
+                overflow: 'hidden',
+                display: 'grid',
+                gridTemplateColumns: `repeat(${LABEL_COLUMNS}, ${labelWidth}mm)`,
+                gridTemplateRows: `repeat(${LABEL_ROWS}, ${labelHeight}mm)`,
+                gap: `${LABEL_GAP_MM}mm`
+              }}
+            >
+              {sheetCamas.map((cama) => {
+                const qrData = generateCamaQRData(cama, selectedVivero || { id: viveroId, nombre: viveroId }, baseUrl);
+
+                return (
+                  <Box
+                    key={cama.id}
+                    sx={{
+                      border: '1px dashed #bdbdbd',
+                      borderRadius: '2mm',
+                      p: '2mm',
+                      boxSizing: 'border-box',
+                      display: 'flex',
+                      flexDirection: 'column',
+                      alignItems: 'center',
+                      justifyContent: 'center',
+                      textAlign: 'center',
+                      color: '#000000'
+                    }}
+                  >
+                    <QrGenerator
+                      qrData={qrData}
+                      size={`${qrSize}mm`}
+                      showDetails={false}
+                      showActions={false}
+                    />
+                    <Typography sx={{ fontSize: '12pt', fontWeight: 'bold', lineHeight: 1.2, mt: '1mm' }}>
+                      Cama {cama.id}
+                    </Typography>
+                    <Typography sx={{ fontSize: '9pt', lineHeight: 1.2 }} noWrap>
+                      {cama.nombrePlanta || 'Sin planta'}
+                    </Typography>
+                    <Typography sx={{ fontSize: '6.5pt', lineHeight: 1.2, wordBreak: 'break-all' }}>
+                      {qrData.url.replace(/^https?:\/\//, '')}
+                    </Typography>
+                  </Box>
+                );
+              })}
+            </Box>
+          ))}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default QrLabelSheet;
@@ -0,0 +1,179 @@
+// src/components/viveros/EspeciesRendimientoDialog.jsx
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Typography,
+  Button,
+  Alert,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  CircularProgress
+} from '@mui/material';
+import { getEspeciesRendimientoPorCiclo } from '../../firebase/camas/camaStatsService.js';
+
+/**
+ * ============================================================================
+ * 🌱 EspeciesRendimientoDialog Component
+ * ============================================================================
+ * Comparación de especies de un vivero por ciclo de cultivo
+ * - Esquejes por planta al mes ponderados por plantas y duración de cada ciclo
+ * - Al elegir una especie se listan sus ciclos (cama, siembra y rendimiento)
+ * ============================================================================
+ */
+
+const formatFecha = (fecha) => fecha
+  ? fecha.toLocaleDateString('es-ES', { year: 'numeric', month: 'short', day: 'numeric' })
+  : '—';
+
+const formatNumero = (valor) => valor === null || valor === undefined ? '—' : valor;
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open - Diálogo abierto
+ * @param {Object} props.vivero - Vivero a analizar
+ * @param {Function} props.onClose - Cierra el diálogo
+ */
+const EspeciesRendimientoDialog = ({ open, vivero, onClose }) => {
+  const [especies, setEspecies] = useState([]);
+  const [plantaKey, setPlantaKey] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadData = useCallback(async () => {
+    if (!vivero?.id) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+      setEspecies(await getEspeciesRendimientoPorCiclo(vivero.id));
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [vivero?.id]);
+
+  useEffect(() => {
+    if (open) {
+      loadData();
+    } else {
+      setEspecies([]);
+      setPlantaKey(null);
+    }
+  }, [open, loadData]);
+
+  const especie = especies.find(e => e.plantaKey === plantaKey) || null;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>
+        Rendimiento por especie · {vivero?.nombre}
+      </DialogTitle>
+      <DialogContent dividers>
+        <Box display="flex" alignItems="center" justifyContent="space-between" gap={2} mb={2}>
+          <Typography variant="body2" color="text.secondary">
+            Cada ciclo cuenta solo con los cortes de su siembra, así las camas replantadas no mezclan especies.
+          </Typography>
+          {loading && <CircularProgress size={20} />}
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {!loading && !error && especies.length === 0 && (
+          <Alert severity="info">
+            No hay ciclos de cultivo registrados en este vivero.
+          </Alert>
+        )}
+
+        {especies.length > 0 && (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Especie</TableCell>
+                <TableCell align="right">Ciclos</TableCell>
+                <TableCell align="right">Camas</TableCell>
+                <TableCell align="right">Esquejes</TableCell>
+                <TableCell align="right">Por planta/mes</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {especies.map((e) => (
+                <TableRow
+                  key={e.plantaKey}
+                  hover
+                  selected={e.plantaKey === plantaKey}
+                  onClick={() => setPlantaKey(e.plantaKey === plantaKey ? null : e.plantaKey)}
+                  sx={{ cursor: 'pointer' }}
+                >
+                  <TableCell>{e.nombrePlanta}</TableCell>
+                  <TableCell align="right">
+                    {e.totalCiclos}{e.ciclosActivos > 0 && ` (${e.ciclosActivos} en curso)`}
+                  </TableCell>
+                  <TableCell align="right">{e.totalCamas}</TableCell>
+                  <TableCell align="right">{e.totalEsquejes}</TableCell>
+                  <TableCell align="right">{formatNumero(e.esquejesPorPlantaMes)}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+
+        {especie && (
+          <>
+            <Typography variant="subtitle1" fontWeight="medium" mt={3} mb={1}>
+              Ciclos de {especie.nombrePlanta}
+            </Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Cama</TableCell>
+                  <TableCell>Siembra</TableCell>
+                  <TableCell align="right">Días</TableCell>
+                  <TableCell align="right">Plantas</TableCell>
+                  <TableCell align="right">Esquejes</TableCell>
+                  <TableCell align="right">Por planta/mes</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {especie.ciclos.map((ciclo) => (
+                  <TableRow key={`${ciclo.camaId}-${ciclo.cicloId}`}>
+                    <TableCell>
+                      <Box display="flex" alignItems="center" gap={1}>
+                        {ciclo.nombreCompleto || ciclo.camaId} · #{ciclo.numero}
+                        {ciclo.activo && <Chip size="small" color="success" label="En curso" />}
+                      </Box>
+                    </TableCell>
+                    <TableCell>{formatFecha(ciclo.fechaSiembra)}</TableCell>
+                    <TableCell align="right">{formatNumero(ciclo.diasCiclo)}</TableCell>
+                    <TableCell align="right">{formatNumero(ciclo.cantidadPlantas)}</TableCell>
+                    <TableCell align="right">{ciclo.totalEsquejes}</TableCell>
+                    <TableCell align="right">{formatNumero(ciclo.esquejesPorPlantaMes)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>
+          Cerrar
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default EspeciesRendimientoDialog;
@@ -0,0 +1,429 @@
+// src/components/viveros/ProduccionMetasDialog.jsx
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Typography,
+  Button,
+  Alert,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  MenuItem,
+  Grid,
+  Paper,
+  Tooltip,
+  CircularProgress
+} from '@mui/material';
+import { Warning as WarningIcon } from '@mui/icons-material';
+import {
+  METAS_ALCANCES,
+  METAS_ORIGENES,
+  getMesKey,
+  setMetaProduccion,
+  getProduccionVsMeta
+} from '../../firebase/viveros/viveroMetasService.js';
+import { getAllEspecies, getEspecieDisplayName } from '../../firebase/especies/especieService.js';
+
+/**
+ * ============================================================================
+ * 🎯 ProduccionMetasDialog Component
+ * ============================================================================
+ * Producción real contra la meta mensual de un vivero y sus camas
+ * - Gráfico de barras mes a mes (real vs. meta) del vivero
+ * - Camas ordenadas por variación, con las atrasadas marcadas
+ * - Definir metas por cama, por especie o por vivero (con permiso de edición)
+ * ============================================================================
+ */
+
+const ORIGEN_LABELS = {
+  [METAS_ORIGENES.CAMA]: 'Meta de la cama',
+  [METAS_ORIGENES.ESPECIE]: 'Meta por especie',
+  [METAS_ORIGENES.CATALOGO]: 'Catálogo de especies',
+  [METAS_ORIGENES.CAMAS]: 'Suma de las camas',
+  [METAS_ALCANCES.VIVERO]: 'Meta del vivero'
+};
+
+const ALCANCE_LABELS = {
+  [METAS_ALCANCES.CAMA]: 'Cama (esquejes al mes)',
+  [METAS_ALCANCES.ESPECIE]: 'Especie (esquejes por planta al mes)',
+  [METAS_ALCANCES.VIVERO]: 'Vivero completo (esquejes al mes)'
+};
+
+const MESES_OPCIONES = [3, 6, 12];
+
+const formatPeriodo = (periodo) => {
+  const [year, month] = periodo.split('-').map(Number);
+  return new Date(year, month - 1, 1).toLocaleDateString('es-ES', { month: 'short', year: '2-digit' });
+};
+
+const VarianzaChip = ({ varianzaPct, atrasada }) => {
+  if (varianzaPct === null || varianzaPct === undefined) {
+    return <Typography variant="body2" color="text.secondary">-</Typography>;
+  }
+
+  return (
+    <Chip
+      size="small"
+      icon={atrasada ? <WarningIcon /> : undefined}
+      color={atrasada ? 'error' : varianzaPct >= 0 ? 'success' : 'warning'}
+      variant={atrasada ? 'filled' : 'outlined'}
+      label={`${varianzaPct > 0 ? '+' : ''}${varianzaPct}%`}
+    />
+  );
+};
+
+// Barras real (color) y meta (contorno) por mes
+const MetaBarChart = ({ serie }) => {
+  const maximo = Math.max(1, ...serie.map(punto => Math.max(punto.real, punto.meta || 0)));
+
+  return (
+    <Box display="flex" alignItems="flex-end" gap={1} height={160} pt={2}>
+      {serie.map((punto) => (
+        <Tooltip
+          key={punto.periodo}
+          title={`${formatPeriodo(punto.periodo)}: ${punto.real} real${punto.meta !== null ? ` / ${punto.meta} meta` : ''}`}
+        >
+          <Box flex={1} display="flex" flexDirection="column" alignItems="center" height="100%">
+            <Box flex={1} width="100%" display="flex" alignItems="flex-end" justifyContent="center" gap={0.5}>
+              <Box
+                sx={{
+                  width: '40%',
+                  height: `${(punto.real / maximo) * 100}%`,
+                  bgcolor: punto.meta !== null && punto.real < punto.meta ? 'warning.main' : 'success.main',
+                  borderRadius: '4px 4px 0 0'
+                }}
+              />
+              {punto.meta !== null && (
+                <Box
+                  sx={{
+                    width: '40%',
+                    height: `${(punto.meta / maximo) * 100}%`,
+                    border: 2,
+                    borderColor: 'primary.main',
+                    borderBottom: 0,
+                    borderRadius: '4px 4px 0 0'
+                  }}
+                />
+              )}
+            </Box>
+            <Typography variant="caption" color="text.secondary">
+              {formatPeriodo(punto.periodo)}
+            </Typography>
+          </Box>
+        </Tooltip>
+      ))}
+    </Box>
+  );
+};
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open - Diálogo abierto
+ * @param {Object} props.vivero - Vivero analizado
+ * @param {boolean} props.canEdit - Puede definir metas
+ * @param {Object} props.currentUser - Usuario que define las metas
+ * @param {Function} props.onClose - Cierra el diálogo
+ */
+const ProduccionMetasDialog = ({ open, vivero, canEdit, currentUser, onClose }) => {
+  const [meses, setMeses] = useState(6);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [especies, setEspecies] = useState([]);
+  const [metaForm, setMetaForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadData = useCallback(async () => {
+    if (!vivero?.id) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+      setData(await getProduccionVsMeta(vivero.id, { meses }));
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [vivero?.id, meses]);
+
+  useEffect(() => {
+    if (open) {
+      loadData();
+    } else {
+      setData(null);
+      setMetaForm(null);
+    }
+  }, [open, loadData]);
+
+  useEffect(() => {
+    if (!open || !canEdit) return;
+
+    getAllEspecies()
+      .then(setEspecies)
+      .catch(error => console.warn("⚠️ No se pudo cargar el catálogo de especies:", error.message));
+  }, [open, canEdit]);
+
+  // ============================================================================
+  // 🔧 HANDLERS
+  // ============================================================================
+
+  const openMetaForm = (cama = null) => {
+    setMetaForm({
+      alcance: cama ? METAS_ALCANCES.CAMA : METAS_ALCANCES.VIVERO,
+      camaId: cama?.camaId || '',
+      especieId: '',
+      esquejes: '',
+      desde: getMesKey(new Date())
+    });
+  };
+
+  const handleMetaFormChange = (field) => (event) => {
+    setMetaForm(prev => ({ ...prev, [field]: event.target.value }));
+  };
+
+  // Un valor vacío quita la meta desde el mes elegido
+  const handleSaveMeta = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      await setMetaProduccion(vivero.id, {
+        alcance: metaForm.alcance,
+        camaId: metaForm.camaId || null,
+        especieId: metaForm.especieId || null,
+        esquejes: metaForm.esquejes === '' ? null : Number(metaForm.esquejes),
+        desde: metaForm.desde
+      }, currentUser.email);
+      setMetaForm(null);
+      await loadData();
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const metaFormIncompleto = !metaForm?.desde ||
+    (metaForm.alcance === METAS_ALCANCES.CAMA && !metaForm.camaId) ||
+    (metaForm.alcance === METAS_ALCANCES.ESPECIE && !metaForm.especieId);
+
+  // ============================================================================
+  // 🎨 RENDERIZADO
+  // ============================================================================
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>
+        Metas de producción · {vivero?.nombre}
+      </DialogTitle>
+      <DialogContent dividers>
+        <Box display="flex" justifyContent="space-between" alignItems="center" flexWrap="wrap" gap={1} mb={2}>
+          <TextField
+            select
+            size="small"
+            label="Período"
+            value={meses}
+            onChange={(e) => setMeses(Number(e.target.value))}
+          >
+            {MESES_OPCIONES.map(opcion => (
+              <MenuItem key={opcion} value={opcion}>Últimos {opcion} meses</MenuItem>
+            ))}
+          </TextField>
+          {canEdit && !metaForm && (
+            <Button variant="outlined" onClick={() => openMetaForm()}>
+              Definir meta
+            </Button>
+          )}
+        </Box>
+
+        {/* Formulario de meta */}
+        {metaForm && (
+          <Paper variant="outlined" sx={{ p: 2, mb: 2 }}>
+            <Grid container spacing={2}>
+              <Grid item xs={12} sm={6}>
+                <TextField
+                  select
+                  label="Alcance"
+                  value={metaForm.alcance}
+                  onChange={handleMetaFormChange('alcance')}
+                  fullWidth
+                  size="small"
+                >
+                  {Object.values(METAS_ALCANCES).map(alcance => (
+                    <MenuItem key={alcance} value={alcance}>{ALCANCE_LABELS[alcance]}</MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+              <Grid item xs={12} sm={6}>
+                {metaForm.alcance === METAS_ALCANCES.CAMA && (
+                  <TextField
+                    select
+                    label="Cama"
+                    value={metaForm.camaId}
+                    onChange={handleMetaFormChange('camaId')}
+                    fullWidth
+                    size="small"
+                  >
+                    {(data?.camas || []).map(cama => (
+                      <MenuItem key={cama.camaId} value={cama.camaId}>{cama.nombreCompleto || cama.camaId}</MenuItem>
+                    ))}
+                  </TextField>
+                )}
+                {metaForm.alcance === METAS_ALCANCES.ESPECIE && (
+                  <TextField
+                    select
+                    label="Especie"
+                    value={metaForm.especieId}
+                    onChange={handleMetaFormChange('especieId')}
+                    fullWidth
+                    size="small"
+                  >
+                    {especies.map(especie => (
+                      <MenuItem key={especie.id} value={especie.id}>{getEspecieDisplayName(especie)}</MenuItem>
+                    ))}
+                  </TextField>
+                )}
+              </Grid>
+              <Grid item xs={6} sm={4}>
+                <TextField
+                  label="Esquejes"
+                  type="number"
+                  value={metaForm.esquejes}
+                  onChange={handleMetaFormChange('esquejes')}
+                  inputProps={{ min: 0, step: metaForm.alcance === METAS_ALCANCES.ESPECIE ? 0.1 : 1 }}
+                  helperText="Vacío para quitar la meta"
+                  fullWidth
+                  size="small"
+                />
+              </Grid>
+              <Grid item xs={6} sm={4}>
+                <TextField
+                  label="Desde"
+                  type="month"
+                  value={metaForm.desde}
+                  onChange={handleMetaFormChange('desde')}
+                  InputLabelProps={{ shrink: true }}
+                  fullWidth
+                  size="small"
+                />
+              </Grid>
+              <Grid item xs={12} sm={4} display="flex" alignItems="flex-start" justifyContent="flex-end" gap={1}>
+                <Button onClick={() => setMetaForm(null)} disabled={saving}>
+                  Cancelar
+                </Button>
+                <Button
+                  variant="contained"
+                  onClick={handleSaveMeta}
+                  disabled={saving || metaFormIncompleto}
+                  startIcon={saving ? <CircularProgress size={16} color="inherit" /> : null}
+                >
+                  Guardar
+                </Button>
+              </Grid>
+            </Grid>
+          </Paper>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {loading && !data ? (
+          <Box display="flex" justifyContent="center" py={4}>
+            <CircularProgress />
+          </Box>
+        ) : data && (
+          <>
+            {/* Vivero completo */}
+            <Box mb={3}>
+              <Box display="flex" alignItems="center" justifyContent="space-between" flexWrap="wrap" gap={1}>
+                <Box>
+                  <Typography variant="subtitle1" fontWeight="medium">
+                    Vivero: {data.vivero.totalReal} esquejes
+                    {data.vivero.totalMeta !== null && ` de ${data.vivero.totalMeta} previstos`}
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    {ORIGEN_LABELS[data.vivero.origenMeta]} · el mes en curso se compara con la meta prorrateada
+                  </Typography>
+                </Box>
+                <VarianzaChip varianzaPct={data.vivero.varianzaPct} />
+              </Box>
+              <MetaBarChart serie={data.vivero.serie} />
+            </Box>
+
+            {data.camasAtrasadas > 0 && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                {data.camasAtrasadas} cama{data.camasAtrasadas !== 1 ? 's' : ''} más de un {data.umbralAtrasoPct}% por debajo de la meta.
+              </Alert>
+            )}
+
+            {/* Camas */}
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Cama</TableCell>
+                  <TableCell align="right">Real</TableCell>
+                  <TableCell align="right">Meta</TableCell>
+                  <TableCell align="center">Variación</TableCell>
+                  {canEdit && <TableCell />}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {data.camas.map((cama) => (
+                  <TableRow key={cama.camaId} hover>
+                    <TableCell>
+                      <Typography variant="body2" fontWeight="medium">
+                        {cama.nombreCompleto || cama.camaId}
+                      </Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        {cama.nombrePlanta}
+                        {cama.origenMeta && ` · ${ORIGEN_LABELS[cama.origenMeta]}`}
+                      </Typography>
+                    </TableCell>
+                    <TableCell align="right">{cama.totalReal}</TableCell>
+                    <TableCell align="right">{cama.totalMeta ?? '-'}</TableCell>
+                    <TableCell align="center">
+                      <VarianzaChip varianzaPct={cama.varianzaPct} atrasada={cama.atrasada} />
+                    </TableCell>
+                    {canEdit && (
+                      <TableCell align="right">
+                        <Button size="small" onClick={() => openMetaForm(cama)}>
+                          Meta
+                        </Button>
+                      </TableCell>
+                    )}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+
+            {data.camas.length === 0 && (
+              <Box p={3} textAlign="center">
+                <Typography variant="body2" color="text.secondary">
+                  Este vivero no tiene camas
+                </Typography>
+              </Box>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>
+          Cerrar
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ProduccionMetasDialog;
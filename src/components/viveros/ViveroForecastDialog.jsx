@@ -0,0 +1,224 @@
+// src/components/viveros/ViveroForecastDialog.jsx
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Typography,
+  Button,
+  Alert,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  MenuItem,
+  ToggleButton,
+  ToggleButtonGroup,
+  CircularProgress
+} from '@mui/material';
+import ForecastChart from '../common/ForecastChart.jsx';
+import {
+  FORECAST_PERIODOS,
+  DEFAULT_HORIZONTES,
+  FORECAST_MOTIVOS,
+  forecastVivero
+} from '../../firebase/shared/forecastService.js';
+
+/**
+ * ============================================================================
+ * 🔮 ViveroForecastDialog Component
+ * ============================================================================
+ * Pronóstico de esquejes de un vivero para comprometer pedidos
+ * - Total del vivero con bandas de confianza
+ * - Disponibilidad por planta (al elegir una se grafica esa planta)
+ * - Detalle por cama, incluidas las que no tienen datos suficientes
+ * ============================================================================
+ */
+
+const HORIZONTE_OPCIONES = {
+  [FORECAST_PERIODOS.SEMANAL]: [4, 8, 12],
+  [FORECAST_PERIODOS.MENSUAL]: [3, 6]
+};
+
+const formatRango = (total) => `${total.inferior80}–${total.superior80}`;
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open - Diálogo abierto
+ * @param {Object} props.vivero - Vivero a pronosticar
+ * @param {Function} props.onClose - Cierra el diálogo
+ */
+const ViveroForecastDialog = ({ open, vivero, onClose }) => {
+  const [periodo, setPeriodo] = useState(FORECAST_PERIODOS.SEMANAL);
+  const [horizonte, setHorizonte] = useState(DEFAULT_HORIZONTES[FORECAST_PERIODOS.SEMANAL]);
+  const [data, setData] = useState(null);
+  const [plantaKey, setPlantaKey] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadData = useCallback(async () => {
+    if (!vivero?.id) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+      setData(await forecastVivero(vivero.id, { periodo, horizonte }));
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [vivero?.id, periodo, horizonte]);
+
+  useEffect(() => {
+    if (open) {
+      loadData();
+    } else {
+      setData(null);
+      setPlantaKey(null);
+    }
+  }, [open, loadData]);
+
+  const handlePeriodoChange = (event, value) => {
+    if (!value) return;
+    setPeriodo(value);
+    setHorizonte(DEFAULT_HORIZONTES[value]);
+  };
+
+  const planta = data?.plantas.find(p => p.plantaKey === plantaKey) || null;
+  const serie = planta || data?.vivero;
+  const unidad = periodo === FORECAST_PERIODOS.SEMANAL ? 'semanas' : 'meses';
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>
+        Pronóstico de producción · {vivero?.nombre}
+      </DialogTitle>
+      <DialogContent dividers>
+        <Box display="flex" alignItems="center" flexWrap="wrap" gap={2} mb={2}>
+          <ToggleButtonGroup size="small" exclusive value={periodo} onChange={handlePeriodoChange}>
+            <ToggleButton value={FORECAST_PERIODOS.SEMANAL}>Semanas</ToggleButton>
+            <ToggleButton value={FORECAST_PERIODOS.MENSUAL}>Meses</ToggleButton>
+          </ToggleButtonGroup>
+          <TextField
+            select
+            size="small"
+            label="Horizonte"
+            value={horizonte}
+            onChange={(e) => setHorizonte(Number(e.target.value))}
+          >
+            {HORIZONTE_OPCIONES[periodo].map(opcion => (
+              <MenuItem key={opcion} value={opcion}>Próximas {opcion} {unidad}</MenuItem>
+            ))}
+          </TextField>
+          {loading && <CircularProgress size={20} />}
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {data && serie && (
+          <>
+            {/* Total del vivero o de la planta elegida */}
+            <Box display="flex" alignItems="center" justifyContent="space-between" flexWrap="wrap" gap={1}>
+              <Typography variant="subtitle1" fontWeight="medium">
+                {planta ? planta.nombrePlanta : 'Vivero completo'}: {serie.total.esperado} esquejes esperados
+              </Typography>
+              <Box display="flex" gap={1}>
+                <Chip size="small" variant="outlined" label={`80%: ${formatRango(serie.total)}`} />
+                <Chip size="small" variant="outlined" label={`95%: ${serie.total.inferior95}–${serie.total.superior95}`} />
+                {planta && (
+                  <Chip size="small" label="Ver vivero completo" onDelete={() => setPlantaKey(null)} />
+                )}
+              </Box>
+            </Box>
+
+            <ForecastChart historial={serie.historial} pronostico={serie.pronostico} periodo={periodo} />
+
+            {/* Por planta */}
+            <Typography variant="subtitle1" fontWeight="medium" mt={3} mb={1}>
+              Disponibilidad por planta
+            </Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Planta</TableCell>
+                  <TableCell align="right">Camas</TableCell>
+                  <TableCell align="right">Esperado</TableCell>
+                  <TableCell align="right">Rango 80%</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {data.plantas.map((p) => (
+                  <TableRow
+                    key={p.plantaKey}
+                    hover
+                    selected={p.plantaKey === plantaKey}
+                    onClick={() => setPlantaKey(p.plantaKey)}
+                    sx={{ cursor: 'pointer' }}
+                  >
+                    <TableCell>{p.nombrePlanta}</TableCell>
+                    <TableCell align="right">{p.camasConPronostico} / {p.totalCamas}</TableCell>
+                    <TableCell align="right">{p.total.esperado}</TableCell>
+                    <TableCell align="right">{formatRango(p.total)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+
+            {/* Por cama */}
+            <Typography variant="subtitle1" fontWeight="medium" mt={3} mb={1}>
+              Detalle por cama
+            </Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Cama</TableCell>
+                  <TableCell align="right">Corte cada</TableCell>
+                  <TableCell align="right">Esperado</TableCell>
+                  <TableCell align="right">Rango 80%</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {data.camas
+                  .filter(cama => !planta || cama.plantaKey === plantaKey)
+                  .map((cama) => (
+                    <TableRow key={cama.camaId}>
+                      <TableCell>
+                        <Typography variant="body2">{cama.nombreCompleto || cama.camaId}</Typography>
+                        <Typography variant="caption" color="text.secondary">{cama.nombrePlanta}</Typography>
+                      </TableCell>
+                      <TableCell align="right">
+                        {cama.modelo ? `${cama.modelo.intervaloMedioDias} días` : '-'}
+                      </TableCell>
+                      <TableCell align="right">
+                        {cama.suficiente ? cama.total.esperado : (
+                          <Chip size="small" label={cama.motivo === FORECAST_MOTIVOS.FUERA_DE_PRODUCCION ? 'Sin producción' : 'Sin datos'} />
+                        )}
+                      </TableCell>
+                      <TableCell align="right">{cama.suficiente ? formatRango(cama.total) : '-'}</TableCell>
+                    </TableRow>
+                  ))}
+              </TableBody>
+            </Table>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>
+          Cerrar
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ViveroForecastDialog;
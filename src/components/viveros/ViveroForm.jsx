@@ -256,7 +256,7 @@ const ViveroForm = ({
 
       } else {
         // En modo editar, usar el hook para guardar inmediatamente
-        await updateViveroGPS(viveroId);
+        await updateViveroGPS(viveroId, {}, user.email);
         
         // El hook ya actualiza selectedVivero, así que recargar form
         if (selectedVivero) {
@@ -286,7 +286,7 @@ const ViveroForm = ({
         }));
       } else {
         // En modo editar, guardar inmediatamente
-        await updateViveroUbicacionManual(viveroId, direccionManual.trim());
+        await updateViveroUbicacionManual(viveroId, direccionManual.trim(), user.email);
         
         if (selectedVivero) {
           populateFormFromVivero(selectedVivero);
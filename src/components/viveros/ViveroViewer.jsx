@@ -33,6 +33,9 @@ import {
 } from '@mui/icons-material';
 import { useViveros } from '../../hooks/useViveros.jsx';
 import { useCamas } from '../../hooks/useCamas.js';
+import LoadMoreSentinel from '../common/LoadMoreSentinel.jsx';
+import RealtimeStatusChip from '../common/RealtimeStatusChip.jsx';
+import { getEstadoCamaLabel, getEstadoCamaColor } from '../../firebase/camas/camaEstadoService.js';
 
 /**
  * ============================================================================
@@ -41,11 +44,15 @@ import { useCamas } from '../../hooks/useCamas.js';
  * Vista pública QR para viveros - Mobile-first responsive
  * - Acceso público sin autenticación
  * - Información completa del vivero
- * - Lista de camas con estadísticas
+ * - Lista de camas con estadísticas (scroll infinito por páginas)
+ * - Vivero y camas en tiempo real (o consulta periódica sin listeners)
  * - Diseñada para escaneo QR móvil
  * ============================================================================
  */
 
+// Camas por página en la lista del vivero
+const CAMAS_PAGE_SIZE = 24;
+
 const ViveroViewer = () => {
   const { viveroId } = useParams();
   const navigate = useNavigate();
@@ -56,30 +63,39 @@ const ViveroViewer = () => {
     selectedVivero, 
     loadVivero, 
     loading: loadingVivero, 
-    error: viveroError 
-  } = useViveros({ autoLoad: false, publicOnly: true });
+    error: viveroError,
+    realtimeMode
+  } = useViveros({ autoLoad: false, publicOnly: true, realtime: true });
 
   const {
     camas,
     loadCamas,
+    loadMoreCamas,
+    hasMoreCamas,
+    loadingMoreCamas,
     loading: loadingCamas,
     error: camasError,
     totalCamas,
     camasActivas,
     totalPlantas,
     totalEsquejesHistorico
-  } = useCamas(viveroId, { autoLoad: false, includeStats: true });
+  } = useCamas(viveroId, {
+    autoLoad: true,
+    includeStats: true,
+    pageSize: CAMAS_PAGE_SIZE,
+    realtime: true
+  });
 
   // ============================================================================
   // 🔄 EFECTOS DE CARGA
   // ============================================================================
 
+  // Las camas llegan por el listener de useCamas; el vivero se escucha al cargarlo
   useEffect(() => {
     if (viveroId) {
-      loadVivero(viveroId, true); // Con estadísticas
-      loadCamas();
+      loadVivero(viveroId);
     }
-  }, [viveroId, loadVivero, loadCamas, refreshKey]);
+  }, [viveroId, loadVivero, refreshKey]);
 
   // ============================================================================
   // 🔧 HANDLERS
@@ -87,6 +103,7 @@ const ViveroViewer = () => {
 
   const handleRefresh = () => {
     setRefreshKey(prev => prev + 1);
+    loadCamas(true);
   };
 
   const handleViewCama = (camaId) => {
@@ -155,8 +172,8 @@ const ViveroViewer = () => {
               Cama {cama.id}
             </Typography>
             <Chip 
-              label={cama.estado || 'activa'} 
-              color={cama.estado === 'activa' ? 'success' : 'default'}
+              label={getEstadoCamaLabel(cama.estado)}
+              color={getEstadoCamaColor(cama.estado)}
               size="small"
             />
           </Box>
@@ -295,12 +312,15 @@ const ViveroViewer = () => {
           </Typography>
         </Breadcrumbs>
         
-        <IconButton 
-          onClick={handleRefresh} 
-          disabled={loadingVivero || loadingCamas}
-        >
-          <RefreshIcon />
-        </IconButton>
+        <Box display="flex" alignItems="center" gap={1}>
+          <RealtimeStatusChip mode={realtimeMode} />
+          <IconButton 
+            onClick={handleRefresh} 
+            disabled={loadingVivero || loadingCamas}
+          >
+            <RefreshIcon />
+          </IconButton>
+        </Box>
       </Box>
 
       {/* Header del Vivero */}
@@ -472,7 +492,7 @@ const ViveroViewer = () => {
       <Box mb={4}>
         <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
           <Typography variant="h6">
-            Camas del Vivero ({camas.length})
+            Camas del Vivero ({stats.totalCamas ?? camas.length})
           </Typography>
           {loadingCamas && <CircularProgress size={20} />}
         </Box>
@@ -502,6 +522,12 @@ const ViveroViewer = () => {
             </Typography>
           </Paper>
         )}
+
+        <LoadMoreSentinel
+          hasMore={hasMoreCamas}
+          loading={loadingMoreCamas}
+          onLoadMore={loadMoreCamas}
+        />
       </Box>
 
       {/* Footer con información del sistema */}
@@ -39,11 +39,35 @@ import {
   MoreVert as MoreVertIcon,
   Refresh as RefreshIcon,
   QrCode as QrCodeIcon,
-  Home as HomeIcon
+  Home as HomeIcon,
+  Print as PrintIcon,
+  History as HistoryIcon,
+  FileDownload as FileDownloadIcon,
+  UploadFile as UploadFileIcon,
+  Backup as BackupIcon,
+  Calculate as CalculateIcon,
+  TrackChanges as TrackChangesIcon,
+  Insights as InsightsIcon,
+  Spa as SpaIcon,
+  BugReport as BugReportIcon
 } from '@mui/icons-material';
 import { useViveros } from '../../hooks/useViveros.jsx';
 import { useAuth } from '../../hooks/useAuth.jsx';
 import { useNavigate } from 'react-router-dom';
+import QrGenerator from '../qr/QrGenerator.jsx';
+import AuditTimeline from '../audit/AuditTimeline.jsx';
+import CortesExportDialog from '../export/CortesExportDialog.jsx';
+import ImportWizard from '../import/ImportWizard.jsx';
+import ProduccionMetasDialog from './ProduccionMetasDialog.jsx';
+import ViveroForecastDialog from './ViveroForecastDialog.jsx';
+import EspeciesRendimientoDialog from './EspeciesRendimientoDialog.jsx';
+import IncidenciasDialog from '../incidencias/IncidenciasDialog.jsx';
+import RealtimeStatusChip from '../common/RealtimeStatusChip.jsx';
+import { PERMISSIONS } from '../../firebase/roleService.js';
+import { generateViveroQRData } from '../../firebase/viveros/viveroUrlService.js';
+import { TRASH_RETENTION_DAYS } from '../../firebase/shared/trashService.js';
+import { IMPORT_TIPOS } from '../../firebase/shared/importService.js';
+import { exportViveroBackup } from '../../firebase/shared/backupService.js';
 
 /**
  * ============================================================================
@@ -54,13 +78,15 @@ import { useNavigate } from 'react-router-dom';
  * - Cards responsivas con información clave
  * - Acciones CRUD integradas
  * - Estados loading visuales
+ * - Lista y estadísticas en tiempo real
  * - Navegación a formularios y vistas
  * ============================================================================
  */
 
 const ViverosList = () => {
   const navigate = useNavigate();
-  const { isAdmin } = useAuth();
+  const { user, hasPermission } = useAuth();
+  const canCreateVivero = hasPermission(PERMISSIONS.CREAR_VIVERO);
   const {
     viveros,
     loading,
@@ -70,11 +96,10 @@ const ViverosList = () => {
     loadingDelete,
     deleteError,
     searchViveros,
-    clearErrors
-  } = useViveros({ 
-    autoLoad: true, 
-    includeStats: true 
-  });
+    recalculateViveroStats,
+    clearErrors,
+    realtimeMode
+  } = useViveros({ autoLoad: true, realtime: true });
 
   // ============================================================================
   // 📊 ESTADO LOCAL
@@ -86,6 +111,16 @@ const ViverosList = () => {
   const [actionMenuAnchor, setActionMenuAnchor] = useState(null);
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
   const [viveroToDelete, setViveroToDelete] = useState(null);
+  const [qrVivero, setQrVivero] = useState(null);
+  const [historialVivero, setHistorialVivero] = useState(null);
+  const [exportVivero, setExportVivero] = useState(null);
+  const [importVivero, setImportVivero] = useState(null);
+  const [metasVivero, setMetasVivero] = useState(null);
+  const [forecastVivero, setForecastVivero] = useState(null);
+  const [rendimientoVivero, setRendimientoVivero] = useState(null);
+  const [incidenciasVivero, setIncidenciasVivero] = useState(null);
+  const [backupError, setBackupError] = useState(null);
+  const [statsError, setStatsError] = useState(null);
 
   // ============================================================================
   // 🔄 EFECTOS
@@ -123,10 +158,100 @@ const ViverosList = () => {
   };
 
   const handleEditVivero = (viveroId) => {
-    if (!isAdmin) return;
+    if (!hasPermission(PERMISSIONS.EDITAR_VIVERO, viveroId)) return;
     navigate(`/admin/vivero/${viveroId}/editar`);
   };
 
+  const handleCreateCama = (viveroId) => {
+    if (!hasPermission(PERMISSIONS.CREAR_CAMA, viveroId)) return;
+    navigate(`/admin/vivero/${viveroId}/cama/nueva`);
+  };
+
+  const handleShowQr = (vivero) => {
+    setQrVivero(vivero);
+    handleCloseActionMenu();
+  };
+
+  const handleShowHistorial = (vivero) => {
+    setHistorialVivero(vivero);
+    handleCloseActionMenu();
+  };
+
+  const handleShowExport = (vivero) => {
+    setExportVivero(vivero);
+    handleCloseActionMenu();
+  };
+
+  const handleShowImport = (vivero) => {
+    setImportVivero(vivero);
+    handleCloseActionMenu();
+  };
+
+  const handleShowMetas = (vivero) => {
+    setMetasVivero(vivero);
+    handleCloseActionMenu();
+  };
+
+  const handleShowForecast = (vivero) => {
+    setForecastVivero(vivero);
+    handleCloseActionMenu();
+  };
+
+  const handleShowRendimiento = (vivero) => {
+    setRendimientoVivero(vivero);
+    handleCloseActionMenu();
+  };
+
+  const handleShowIncidencias = (vivero) => {
+    setIncidenciasVivero(vivero);
+    handleCloseActionMenu();
+  };
+
+  // Tipos de importación según los permisos del usuario en el vivero
+  const getImportTipos = (viveroId) => [
+    hasPermission(PERMISSIONS.CREAR_CAMA, viveroId) && IMPORT_TIPOS.CAMAS,
+    hasPermission(PERMISSIONS.CREAR_CORTE, viveroId) && IMPORT_TIPOS.CORTES
+  ].filter(Boolean);
+
+  // Descarga el vivero completo (camas y cortes) como JSON
+  const handleDownloadBackup = async (vivero) => {
+    handleCloseActionMenu();
+
+    try {
+      setBackupError(null);
+      const backup = await exportViveroBackup(vivero.id, user.email);
+      const fecha = new Date().toISOString().split('T')[0];
+      const url = URL.createObjectURL(new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `respaldo_${vivero.id}_${fecha}.json`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setBackupError(error.message);
+    }
+  };
+
+  // Reparación: recorre todas las camas y cortes y reescribe los contadores
+  const handleRecalculateStats = async (vivero) => {
+    handleCloseActionMenu();
+
+    try {
+      setStatsError(null);
+      await recalculateViveroStats(vivero.id);
+      await loadViveros(true);
+    } catch (error) {
+      setStatsError(error.message);
+    }
+  };
+
+  const handlePrintLabels = (viveroId) => {
+    setQrVivero(null);
+    navigate(`/vivero/${viveroId}/etiquetas`);
+  };
+
   const handleActionMenu = (event, vivero) => {
     event.stopPropagation();
     setSelectedVivero(vivero);
@@ -145,10 +270,10 @@ const ViverosList = () => {
   };
 
   const handleDeleteConfirm = async () => {
-    if (!viveroToDelete) return;
+    if (!viveroToDelete || !hasPermission(PERMISSIONS.ELIMINAR_VIVERO, viveroToDelete.id)) return;
 
     try {
-      await deleteVivero(viveroToDelete.id);
+      await deleteVivero(viveroToDelete.id, user.email);
       setDeleteDialogOpen(false);
       setViveroToDelete(null);
     } catch (error) {
@@ -220,15 +345,13 @@ const ViverosList = () => {
               </Typography>
             </Box>
             
-            {isAdmin && (
-              <IconButton 
-                size="small" 
-                onClick={(e) => handleActionMenu(e, vivero)}
-                sx={{ ml: 1 }}
-              >
-                <MoreVertIcon />
-              </IconButton>
-            )}
+            <IconButton 
+              size="small" 
+              onClick={(e) => handleActionMenu(e, vivero)}
+              sx={{ ml: 1 }}
+            >
+              <MoreVertIcon />
+            </IconButton>
           </Box>
 
           {/* Descripción */}
@@ -328,14 +451,13 @@ const ViverosList = () => {
             startIcon={<QrCodeIcon />}
             onClick={(e) => {
               e.stopPropagation();
-              // TODO: Implementar vista QR
-              console.log('Vista QR:', vivero.id);
+              handleShowQr(vivero);
             }}
           >
             QR
           </Button>
 
-          {isAdmin && (
+          {hasPermission(PERMISSIONS.EDITAR_VIVERO, vivero.id) && (
             <Button 
               size="small" 
               startIcon={<EditIcon />}
@@ -386,16 +508,19 @@ const ViverosList = () => {
           </Typography>
         </Box>
 
-        {/* Botón refrescar */}
-        <Tooltip title="Refrescar lista">
-          <IconButton 
-            onClick={handleRefresh} 
-            disabled={loading}
-            color="primary"
-          >
-            {loading ? <CircularProgress size={24} /> : <RefreshIcon />}
-          </IconButton>
-        </Tooltip>
+        {/* Estado en vivo y botón refrescar */}
+        <Box display="flex" alignItems="center" gap={1}>
+          <RealtimeStatusChip mode={realtimeMode} />
+          <Tooltip title="Refrescar lista">
+            <IconButton 
+              onClick={handleRefresh} 
+              disabled={loading}
+              color="primary"
+            >
+              {loading ? <CircularProgress size={24} /> : <RefreshIcon />}
+            </IconButton>
+          </Tooltip>
+        </Box>
       </Box>
 
       {/* Error Alert */}
@@ -412,6 +537,20 @@ const ViverosList = () => {
         </Alert>
       )}
 
+      {/* Backup Error */}
+      {backupError && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => setBackupError(null)}>
+          {backupError}
+        </Alert>
+      )}
+
+      {/* Stats Error */}
+      {statsError && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => setStatsError(null)}>
+          Error al recalcular estadísticas: {statsError}
+        </Alert>
+      )}
+
       {/* Barra de búsqueda y filtros */}
       <Box mb={4}>
         <Grid container spacing={2} alignItems="center">
@@ -484,7 +623,7 @@ const ViverosList = () => {
             }
           </Typography>
           
-          {isAdmin && !searchTerm && (
+          {canCreateVivero && !searchTerm && (
             <Button
               variant="contained"
               startIcon={<AddIcon />}
@@ -498,7 +637,7 @@ const ViverosList = () => {
       )}
 
       {/* FAB para crear nuevo vivero */}
-      {isAdmin && filteredViveros.length > 0 && (
+      {canCreateVivero && filteredViveros.length > 0 && (
         <Fab
           color="primary"
           sx={{
@@ -526,25 +665,190 @@ const ViverosList = () => {
           Ver Detalle
         </MenuItem>
         
-        <MenuItem onClick={() => handleEditVivero(selectedVivero?.id)}>
-          <EditIcon sx={{ mr: 2 }} />
-          Editar
-        </MenuItem>
+        {hasPermission(PERMISSIONS.EDITAR_VIVERO, selectedVivero?.id) && (
+          <MenuItem onClick={() => handleEditVivero(selectedVivero?.id)}>
+            <EditIcon sx={{ mr: 2 }} />
+            Editar
+          </MenuItem>
+        )}
+
+        {hasPermission(PERMISSIONS.CREAR_CAMA, selectedVivero?.id) && (
+          <MenuItem onClick={() => handleCreateCama(selectedVivero?.id)}>
+            <AddIcon sx={{ mr: 2 }} />
+            Nueva Cama
+          </MenuItem>
+        )}
         
-        <MenuItem onClick={() => console.log('QR:', selectedVivero?.id)}>
+        <MenuItem onClick={() => handleShowQr(selectedVivero)}>
           <QrCodeIcon sx={{ mr: 2 }} />
           Ver QR
         </MenuItem>
-        
-        <MenuItem 
-          onClick={() => handleDeleteClick(selectedVivero)}
-          sx={{ color: 'error.main' }}
-        >
-          <DeleteIcon sx={{ mr: 2 }} />
-          Eliminar
+
+        <MenuItem onClick={() => handleShowHistorial(selectedVivero)}>
+          <HistoryIcon sx={{ mr: 2 }} />
+          Historial
+        </MenuItem>
+
+        <MenuItem onClick={() => handleShowExport(selectedVivero)}>
+          <FileDownloadIcon sx={{ mr: 2 }} />
+          Exportar cortes
+        </MenuItem>
+
+        <MenuItem onClick={() => handleShowMetas(selectedVivero)}>
+          <TrackChangesIcon sx={{ mr: 2 }} />
+          Metas de producción
+        </MenuItem>
+
+        <MenuItem onClick={() => handleShowForecast(selectedVivero)}>
+          <InsightsIcon sx={{ mr: 2 }} />
+          Pronóstico
+        </MenuItem>
+
+        <MenuItem onClick={() => handleShowRendimiento(selectedVivero)}>
+          <SpaIcon sx={{ mr: 2 }} />
+          Rendimiento por especie
         </MenuItem>
+
+        <MenuItem onClick={() => handleShowIncidencias(selectedVivero)}>
+          <BugReportIcon sx={{ mr: 2 }} />
+          Plagas y enfermedades
+        </MenuItem>
+
+        {getImportTipos(selectedVivero?.id).length > 0 && (
+          <MenuItem onClick={() => handleShowImport(selectedVivero)}>
+            <UploadFileIcon sx={{ mr: 2 }} />
+            Importar CSV
+          </MenuItem>
+        )}
+
+        {hasPermission(PERMISSIONS.EDITAR_VIVERO, selectedVivero?.id) && (
+          <MenuItem onClick={() => handleDownloadBackup(selectedVivero)}>
+            <BackupIcon sx={{ mr: 2 }} />
+            Copia de seguridad
+          </MenuItem>
+        )}
+
+        {hasPermission(PERMISSIONS.EDITAR_VIVERO, selectedVivero?.id) && (
+          <MenuItem onClick={() => handleRecalculateStats(selectedVivero)}>
+            <CalculateIcon sx={{ mr: 2 }} />
+            Recalcular estadísticas
+          </MenuItem>
+        )}
+        
+        {hasPermission(PERMISSIONS.ELIMINAR_VIVERO, selectedVivero?.id) && (
+          <MenuItem 
+            onClick={() => handleDeleteClick(selectedVivero)}
+            sx={{ color: 'error.main' }}
+          >
+            <DeleteIcon sx={{ mr: 2 }} />
+            Eliminar
+          </MenuItem>
+        )}
       </Menu>
 
+      {/* Dialog de código QR */}
+      <Dialog
+        open={Boolean(qrVivero)}
+        onClose={() => setQrVivero(null)}
+        maxWidth="xs"
+        fullWidth
+      >
+        <DialogTitle>
+          Código QR del Vivero
+        </DialogTitle>
+        <DialogContent>
+          {qrVivero && (
+            <QrGenerator qrData={generateViveroQRData(qrVivero, window.location.origin)} />
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button
+            startIcon={<PrintIcon />}
+            onClick={() => handlePrintLabels(qrVivero?.id)}
+          >
+            Etiquetas de camas
+          </Button>
+          <Button onClick={() => setQrVivero(null)}>
+            Cerrar
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Dialog de historial de cambios del vivero */}
+      <Dialog
+        open={Boolean(historialVivero)}
+        onClose={() => setHistorialVivero(null)}
+        maxWidth="md"
+        fullWidth
+      >
+        <DialogTitle>
+          {historialVivero?.nombre}
+        </DialogTitle>
+        <DialogContent dividers>
+          {historialVivero && (
+            <AuditTimeline
+              viveroId={historialVivero.id}
+              canRestore={hasPermission(PERMISSIONS.CREAR_CORTE, historialVivero.id)}
+            />
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setHistorialVivero(null)}>
+            Cerrar
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Dialog de exportación de cortes del vivero */}
+      <CortesExportDialog
+        open={Boolean(exportVivero)}
+        onClose={() => setExportVivero(null)}
+        viveroId={exportVivero?.id}
+        title={`Exportar cortes · ${exportVivero?.nombre || ''}`}
+      />
+
+      {/* Dialog de metas de producción del vivero */}
+      <ProduccionMetasDialog
+        open={Boolean(metasVivero)}
+        vivero={metasVivero}
+        canEdit={hasPermission(PERMISSIONS.EDITAR_VIVERO, metasVivero?.id)}
+        currentUser={user}
+        onClose={() => setMetasVivero(null)}
+      />
+
+      {/* Dialog de pronóstico de producción del vivero */}
+      <ViveroForecastDialog
+        open={Boolean(forecastVivero)}
+        vivero={forecastVivero}
+        onClose={() => setForecastVivero(null)}
+      />
+
+      {/* Rendimiento por especie según sus ciclos de cultivo */}
+      <EspeciesRendimientoDialog
+        open={Boolean(rendimientoVivero)}
+        vivero={rendimientoVivero}
+        onClose={() => setRendimientoVivero(null)}
+      />
+
+      {/* Panel de plagas y enfermedades del vivero */}
+      <IncidenciasDialog
+        open={Boolean(incidenciasVivero)}
+        vivero={incidenciasVivero}
+        onClose={() => setIncidenciasVivero(null)}
+      />
+
+      {/* Asistente de importación de camas y cortes */}
+      {importVivero && (
+        <ImportWizard
+          open
+          vivero={importVivero}
+          allowedTipos={getImportTipos(importVivero.id)}
+          currentUser={user}
+          onClose={() => setImportVivero(null)}
+          onImported={handleRefresh}
+        />
+      )}
+
       {/* Dialog de confirmación de eliminación */}
       <Dialog
         open={deleteDialogOpen}
@@ -560,8 +864,8 @@ const ViverosList = () => {
             ¿Estás seguro de que quieres eliminar el vivero <strong>"{viveroToDelete?.nombre}"</strong>?
           </Typography>
           <Alert severity="warning" sx={{ mt: 2 }}>
-            Esta acción eliminará permanentemente el vivero y todas sus camas y cortes de esquejes asociados.
-            Esta acción no se puede deshacer.
+            El vivero se moverá a la papelera junto con todas sus camas y cortes de esquejes.
+            Un administrador puede restaurarlo durante {TRASH_RETENTION_DAYS} días.
           </Alert>
         </DialogContent>
         <DialogActions>
@@ -0,0 +1,388 @@
+// src/firebase/camas/aplicacionesService.js
+import {
+    doc,
+    getDoc,
+    collection,
+    getDocs,
+    query,
+    where,
+    orderBy,
+    writeBatch,
+    serverTimestamp,
+    Timestamp
+} from "firebase/firestore";
+import { db } from "../config.js";
+import { addAuditToBatch, AUDIT_ENTIDADES, AUDIT_ACCIONES } from "../shared/auditService.js";
+
+/**
+ * ============================================================================
+ * 🧪 APLICACIONES SERVICE - Insumos aplicados a camas y viveros
+ * ============================================================================
+ * Responsabilidad: Registro de fertilizaciones, riegos y tratamientos
+ * fitosanitarios (pesticidas y fungicidas)
+ * - Subcolección "aplicaciones" de cada cama y del vivero (las del vivero
+ *   cubren todo el invernadero y cuentan para todas sus camas)
+ * - Producto, dosis, unidad, aplicador e intervalo de reingreso
+ * - Cada alta y baja queda en el historial de cambios
+ *
+ * Estructura de una aplicación:
+ * {
+ *   id, tipo, fecha, producto, dosis, unidad, aplicador,
+ *   intervaloReingresoHoras, observaciones,
+ *   alcance: "cama" | "vivero", viveroId, camaId (null en las del vivero),
+ *   incidenciaId (si es el tratamiento de una incidencia de plaga o enfermedad),
+ *   createdAt, createdBy
+ * }
+ * ============================================================================
+ */
+
+export const APLICACION_TIPOS = {
+    FERTILIZANTE: "fertilizante",
+    PESTICIDA: "pesticida",
+    FUNGICIDA: "fungicida",
+    RIEGO: "riego"
+};
+
+export const APLICACION_TIPOS_INFO = {
+    [APLICACION_TIPOS.FERTILIZANTE]: { label: "Fertilización", color: "success" },
+    [APLICACION_TIPOS.PESTICIDA]: { label: "Pesticida", color: "error" },
+    [APLICACION_TIPOS.FUNGICIDA]: { label: "Fungicida", color: "warning" },
+    [APLICACION_TIPOS.RIEGO]: { label: "Riego", color: "info" }
+};
+
+export const APLICACION_ALCANCES = {
+    CAMA: "cama",
+    VIVERO: "vivero"
+};
+
+export const APLICACION_UNIDADES = ["ml", "l", "g", "kg", "ml/l", "g/l", "cc/l", "l/m²", "min"];
+
+// Producto por defecto de los riegos
+const PRODUCTO_RIEGO = "Agua";
+
+// ============================================================================
+// 🔧 HELPERS
+// ============================================================================
+
+const getAplicacionesRef = (viveroId, camaId = null) => camaId
+    ? collection(db, "viveros", viveroId, "camas", camaId, "aplicaciones")
+    : collection(db, "viveros", viveroId, "aplicaciones");
+
+const toDate = (fecha) => typeof fecha?.toDate === "function" ? fecha.toDate() : new Date(fecha);
+
+// Lee las aplicaciones de una colección dentro de un rango de fechas
+const fetchAplicaciones = async (aplicacionesRef, fechaDesde, fechaHasta) => {
+    const constraints = [];
+    if (fechaDesde) {
+        constraints.push(where("fecha", ">=", Timestamp.fromDate(new Date(fechaDesde))));
+    }
+    if (fechaHasta) {
+        constraints.push(where("fecha", "<=", Timestamp.fromDate(new Date(fechaHasta))));
+    }
+
+    const snapshot = await getDocs(query(aplicacionesRef, ...constraints, orderBy("fecha", "desc")));
+    return snapshot.docs.map(aplicacionDoc => ({ id: aplicacionDoc.id, ...aplicacionDoc.data() }));
+};
+
+/**
+ * Etiqueta legible de un tipo de aplicación
+ * @param {string} tipo - Tipo de APLICACION_TIPOS
+ */
+export const getAplicacionTipoLabel = (tipo) => APLICACION_TIPOS_INFO[tipo]?.label || tipo;
+
+/**
+ * Fin del intervalo de reingreso (null si la aplicación no lo tiene)
+ * @param {Object} aplicacion - Aplicación con fecha e intervaloReingresoHoras
+ * @returns {Date|null}
+ */
+export const getReingresoHasta = (aplicacion) => {
+    if (!aplicacion?.fecha || !aplicacion.intervaloReingresoHoras) return null;
+    return new Date(toDate(aplicacion.fecha).getTime() + aplicacion.intervaloReingresoHoras * 60 * 60 * 1000);
+};
+
+/**
+ * Indica si todavía no se puede entrar a la cama por una aplicación
+ * @param {Object} aplicacion - Aplicación
+ * @param {Date} ahora - Fecha de referencia (default: ahora)
+ * @returns {boolean}
+ */
+export const isReingresoVigente = (aplicacion, ahora = new Date()) => {
+    const hasta = getReingresoHasta(aplicacion);
+    return hasta !== null && hasta > ahora;
+};
+
+/**
+ * Valida datos de una aplicación antes de crearla
+ * @param {Object} aplicacionData - Datos de la aplicación
+ * @returns {Object} Resultado de validación {valid, errors}
+ */
+export const validateAplicacionData = (aplicacionData) => {
+    const errors = [];
+
+    if (!aplicacionData || typeof aplicacionData !== "object") {
+        errors.push("Datos de la aplicación requeridos");
+        return { valid: false, errors };
+    }
+
+    const { tipo, fecha, producto, dosis, unidad, intervaloReingresoHoras } = aplicacionData;
+
+    if (!Object.values(APLICACION_TIPOS).includes(tipo)) {
+        errors.push(`Tipo de aplicación no válido: ${tipo || "(vacío)"}`);
+    }
+
+    if (!fecha) {
+        errors.push("Fecha de la aplicación es requerida");
+    } else {
+        const fechaObj = toDate(fecha);
+        if (isNaN(fechaObj.getTime())) {
+            errors.push("Fecha de la aplicación no es válida");
+        } else if (fechaObj > new Date()) {
+            errors.push("La fecha de la aplicación no puede ser futura");
+        }
+    }
+
+    if (tipo !== APLICACION_TIPOS.RIEGO && !producto?.trim()) {
+        errors.push("El producto aplicado es requerido");
+    }
+
+    if (dosis !== undefined && dosis !== null && dosis !== "") {
+        const dosisNum = parseFloat(dosis);
+        if (isNaN(dosisNum) || dosisNum <= 0) {
+            errors.push("La dosis debe ser un número mayor a 0");
+        } else if (!unidad) {
+            errors.push("La unidad de la dosis es requerida");
+        }
+    }
+
+    if (intervaloReingresoHoras !== undefined && intervaloReingresoHoras !== null && intervaloReingresoHoras !== "") {
+        const horas = parseFloat(intervaloReingresoHoras);
+        if (isNaN(horas) || horas < 0) {
+            errors.push("El intervalo de reingreso debe ser 0 o más horas");
+        }
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+};
+
+// ============================================================================
+// 🧪 OPERACIONES
+// ============================================================================
+
+/**
+ * Registra una aplicación en una cama o en todo el vivero
+ * @param {string} viveroId - ID del vivero
+ * @param {string|null} camaId - ID de la cama (null: aplicación a todo el vivero)
+ * @param {Object} aplicacionData - Datos de la aplicación
+ * @param {string} aplicacionData.tipo - Tipo de APLICACION_TIPOS
+ * @param {Date|Timestamp} aplicacionData.fecha - Fecha de la aplicación
+ * @param {string} aplicacionData.producto - Producto aplicado (en riegos, default "Agua")
+ * @param {number} aplicacionData.dosis - Dosis aplicada (opcional)
+ * @param {string} aplicacionData.unidad - Unidad de la dosis
+ * @param {string} aplicacionData.aplicador - Quién hizo la aplicación
+ * @param {number} aplicacionData.intervaloReingresoHoras - Horas sin entrar tras aplicar
+ * @param {string} aplicacionData.observaciones - Observaciones
+ * @param {string} aplicacionData.incidenciaId - Incidencia que trata (opcional)
+ * @param {string} createdBy - Email del usuario que registra la aplicación
+ * @returns {Promise<string>} ID de la aplicación creada
+ */
+export const createAplicacion = async (viveroId, camaId, aplicacionData, createdBy) => {
+    try {
+        if (!viveroId) {
+            throw new Error("viveroId es requerido");
+        }
+
+        const validation = validateAplicacionData(aplicacionData);
+        if (!validation.valid) {
+            throw new Error(validation.errors.join(". "));
+        }
+
+        // Verificar que la cama (o el vivero) existe
+        const destinoRef = camaId
+            ? doc(db, "viveros", viveroId, "camas", camaId)
+            : doc(db, "viveros", viveroId);
+        const destinoDoc = await getDoc(destinoRef);
+
+        if (!destinoDoc.exists()) {
+            throw new Error(camaId
+                ? `Cama no encontrada: ${camaId} en vivero ${viveroId}`
+                : `Vivero no encontrado: ${viveroId}`);
+        }
+
+        const { tipo, fecha, producto, dosis, unidad, aplicador, intervaloReingresoHoras, observaciones, incidenciaId } = aplicacionData;
+        const fechaTimestamp = fecha instanceof Timestamp ? fecha : Timestamp.fromDate(new Date(fecha));
+        const tieneDosis = dosis !== undefined && dosis !== null && dosis !== "";
+
+        // ID basado en la fecha, como los cortes
+        const fechaStr = fechaTimestamp.toDate().toISOString().split('T')[0].replace(/-/g, '');
+        const timeStr = Date.now().toString().slice(-3);
+        const aplicacionId = `aplicacion_${fechaStr}_${timeStr}`;
+
+        console.log("🧪 Registrando aplicación:", aplicacionId, "-", tipo, camaId ? `en cama ${camaId}` : "en todo el vivero");
+
+        const aplicacionDocument = {
+            id: aplicacionId,
+            tipo,
+            fecha: fechaTimestamp,
+            producto: producto?.trim() || PRODUCTO_RIEGO,
+            dosis: tieneDosis ? parseFloat(dosis) : null,
+            unidad: tieneDosis ? unidad : null,
+            aplicador: aplicador?.trim() || "",
+            intervaloReingresoHoras: intervaloReingresoHoras ? parseFloat(intervaloReingresoHoras) : 0,
+            observaciones: observaciones || "",
+            alcance: camaId ? APLICACION_ALCANCES.CAMA : APLICACION_ALCANCES.VIVERO,
+            viveroId,
+            camaId: camaId || null,
+            incidenciaId: incidenciaId || null,
+            createdAt: serverTimestamp(),
+            createdBy
+        };
+
+        // Crear la aplicación y registrar la creación en el historial
+        const batch = writeBatch(db);
+        batch.set(doc(getAplicacionesRef(viveroId, camaId), aplicacionId), aplicacionDocument);
+        addAuditToBatch(batch, {
+            entidad: AUDIT_ENTIDADES.APLICACION,
+            accion: AUDIT_ACCIONES.CREAR,
+            viveroId,
+            camaId: camaId || null,
+            aplicacionId,
+            despues: aplicacionDocument,
+            actor: createdBy
+        });
+        await batch.commit();
+
+        console.log("✅ Aplicación registrada exitosamente:", aplicacionId);
+        return aplicacionId;
+
+    } catch (error) {
+        console.error("❌ Error registrando aplicación:", error.message);
+        throw new Error(`Error al registrar aplicación: ${error.message}`);
+    }
+};
+
+/**
+ * Obtiene las aplicaciones que afectan a una cama: las suyas y, por defecto,
+ * las hechas a todo el vivero
+ * @param {string} viveroId - ID del vivero
+ * @param {string} camaId - ID de la cama
+ * @param {Object} options - Opciones de filtrado
+ * @param {Date} options.fechaDesde - Filtrar desde fecha
+ * @param {Date} options.fechaHasta - Filtrar hasta fecha
+ * @param {boolean} options.incluirVivero - Incluir las aplicaciones del vivero (default: true)
+ * @returns {Promise<Array>} Aplicaciones de la más reciente a la más antigua
+ */
+export const getAplicacionesFromCama = async (viveroId, camaId, options = {}) => {
+    try {
+        if (!viveroId || !camaId) {
+            throw new Error("viveroId y camaId son requeridos");
+        }
+
+        const { fechaDesde = null, fechaHasta = null, incluirVivero = true } = options;
+
+        console.log("🧪 Obteniendo aplicaciones de cama:", camaId, "en vivero:", viveroId);
+
+        const [deCama, deVivero] = await Promise.all([
+            fetchAplicaciones(getAplicacionesRef(viveroId, camaId), fechaDesde, fechaHasta),
+            incluirVivero ? fetchAplicaciones(getAplicacionesRef(viveroId), fechaDesde, fechaHasta) : []
+        ]);
+
+        const aplicaciones = [...deCama, ...deVivero]
+            .sort((a, b) => toDate(b.fecha) - toDate(a.fecha));
+
+        console.log(`✅ ${aplicaciones.length} aplicaciones obtenidas de la cama ${camaId}`);
+        return aplicaciones;
+
+    } catch (error) {
+        console.error("❌ Error obteniendo aplicaciones de la cama:", error.message);
+        throw new Error(`Error al obtener aplicaciones: ${error.message}`);
+    }
+};
+
+/**
+ * Obtiene las aplicaciones hechas a todo un vivero
+ * @param {string} viveroId - ID del vivero
+ * @param {Object} options - { fechaDesde, fechaHasta }
+ * @returns {Promise<Array>} Aplicaciones de la más reciente a la más antigua
+ */
+export const getAplicacionesFromVivero = async (viveroId, options = {}) => {
+    try {
+        if (!viveroId) {
+            throw new Error("viveroId es requerido");
+        }
+
+        const { fechaDesde = null, fechaHasta = null } = options;
+
+        console.log("🧪 Obteniendo aplicaciones del vivero:", viveroId);
+
+        const aplicaciones = await fetchAplicaciones(getAplicacionesRef(viveroId), fechaDesde, fechaHasta);
+
+        console.log(`✅ ${aplicaciones.length} aplicaciones obtenidas del vivero ${viveroId}`);
+        return aplicaciones;
+
+    } catch (error) {
+        console.error("❌ Error obteniendo aplicaciones del vivero:", error.message);
+        throw new Error(`Error al obtener aplicaciones: ${error.message}`);
+    }
+};
+
+/**
+ * Elimina una aplicación (el documento completo queda en el historial)
+ * @param {string} viveroId - ID del vivero
+ * @param {string|null} camaId - ID de la cama (null: aplicación del vivero)
+ * @param {string} aplicacionId - ID de la aplicación
+ * @param {string} deletedBy - Email del usuario que elimina
+ * @returns {Promise<void>}
+ */
+export const deleteAplicacion = async (viveroId, camaId, aplicacionId, deletedBy = null) => {
+    try {
+        if (!viveroId || !aplicacionId) {
+            throw new Error("viveroId y aplicacionId son requeridos");
+        }
+
+        console.log("🗑️ Eliminando aplicación:", aplicacionId);
+
+        const aplicacionRef = doc(getAplicacionesRef(viveroId, camaId), aplicacionId);
+        const aplicacionDoc = await getDoc(aplicacionRef);
+
+        if (!aplicacionDoc.exists()) {
+            throw new Error(`Aplicación no encontrada: ${aplicacionId}`);
+        }
+
+        const batch = writeBatch(db);
+        batch.delete(aplicacionRef);
+        addAuditToBatch(batch, {
+            entidad: AUDIT_ENTIDADES.APLICACION,
+            accion: AUDIT_ACCIONES.ELIMINAR,
+            viveroId,
+            camaId: camaId || null,
+            aplicacionId,
+            antes: aplicacionDoc.data(),
+            actor: deletedBy
+        });
+        await batch.commit();
+
+        console.log("✅ Aplicación eliminada exitosamente");
+
+    } catch (error) {
+        console.error("❌ Error eliminando aplicación:", error.message);
+        throw new Error(`Error al eliminar aplicación: ${error.message}`);
+    }
+};
+
+export default {
+    APLICACION_TIPOS,
+    APLICACION_TIPOS_INFO,
+    APLICACION_ALCANCES,
+    APLICACION_UNIDADES,
+    getAplicacionTipoLabel,
+    getReingresoHasta,
+    isReingresoVigente,
+    validateAplicacionData,
+    createAplicacion,
+    getAplicacionesFromCama,
+    getAplicacionesFromVivero,
+    deleteAplicacion
+};
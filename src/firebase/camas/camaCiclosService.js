@@ -0,0 +1,241 @@
+// src/firebase/camas/camaCiclosService.js
+import { Timestamp } from "firebase/firestore";
+import { getPlantaKey } from "../especies/especieService.js";
+import { CAMA_ESTADOS, normalizeEstadoCama } from "./camaEstadoService.js";
+
+/**
+ * ============================================================================
+ * 🌱 CAMA CICLOS SERVICE - Ciclos de cultivo de una cama
+ * ============================================================================
+ * Responsabilidad: Secuencia de cultivos de una cama a lo largo del tiempo
+ * - Cada ciclo guarda planta, cantidad, sustrato, tarro, siembra y fin
+ * - Los campos de cultivo de la cama son los del ciclo activo
+ * - Se abre un ciclo al pasar a "sembrada" o al cambiar de planta, y se
+ *   cierra al pasar a renovación o libre (la siembra de la cama se limpia)
+ * - Los cortes guardan cicloId: el ciclo vigente en la fecha del corte
+ * - Las camas anteriores a los ciclos tienen un ciclo implícito con sus
+ *   datos actuales, que se guarda la primera vez que cambia
+ *
+ * Estructura de un ciclo (campo ciclos de la cama):
+ * {
+ *   id, numero, especieId, nombrePlanta, cantidadPlantas, sustrato,
+ *   tarroSize, tarroUnidad, fechaSiembra, inicio, fechaFin, motivoFin, creadoPor
+ * }
+ * ============================================================================
+ */
+
+// Campos de cultivo que se copian de la cama al ciclo activo
+export const CICLO_CAMPOS = [
+    "especieId",
+    "nombrePlanta",
+    "cantidadPlantas",
+    "sustrato",
+    "tarroSize",
+    "tarroUnidad",
+    "fechaSiembra"
+];
+
+// Estados que terminan el cultivo de la cama
+const ESTADOS_CIERRE = [CAMA_ESTADOS.RENOVACION, CAMA_ESTADOS.LIBRE];
+
+// ============================================================================
+// 🔧 HELPERS
+// ============================================================================
+
+const getCicloId = (numero) => `ciclo-${numero}`;
+
+const toMillis = (fecha) => {
+    if (!fecha) return null;
+    if (typeof fecha.toDate === "function") return fecha.toDate().getTime();
+    const millis = new Date(fecha).getTime();
+    return Number.isNaN(millis) ? null : millis;
+};
+
+// Compara un campo de cultivo (las fechas pueden venir como Date o Timestamp)
+const isMismoValor = (campo, a, b) => campo === "fechaSiembra"
+    ? toMillis(a) === toMillis(b)
+    : String(a ?? "") === String(b ?? "");
+
+const pickCicloCampos = (camaData) => CICLO_CAMPOS.reduce((acc, campo) => {
+    acc[campo] = camaData[campo] ?? null;
+    return acc;
+}, {});
+
+const tienePlanta = (cama) => !!(cama?.especieId || cama?.nombrePlanta?.trim());
+
+/**
+ * Ciclos de una cama ordenados del primero al último
+ * Sin ciclos guardados, una cama con planta tiene un ciclo implícito
+ * (implicito: true) con sus datos actuales
+ * @param {Object} cama - Datos de la cama
+ * @returns {Array<Object>}
+ */
+export const getCiclosCama = (cama) => {
+    if (Array.isArray(cama?.ciclos) && cama.ciclos.length > 0) {
+        return [...cama.ciclos].sort((a, b) => a.numero - b.numero);
+    }
+
+    if (!tienePlanta(cama)) return [];
+
+    return [{
+        id: getCicloId(1),
+        numero: 1,
+        ...pickCicloCampos(cama),
+        inicio: cama.fechaSiembra || cama.createdAt || null,
+        fechaFin: null,
+        motivoFin: null,
+        creadoPor: cama.createdBy || null,
+        implicito: true
+    }];
+};
+
+/**
+ * Ciclo en curso de la cama (null si no tiene cultivo)
+ * @param {Object} cama - Datos de la cama
+ */
+export const getCicloActivo = (cama) => {
+    const ciclos = getCiclosCama(cama);
+    const ultimo = ciclos[ciclos.length - 1];
+    return ultimo && !ultimo.fechaFin ? ultimo : null;
+};
+
+/**
+ * Fecha desde la que se cuentan los cortes de un ciclo (siembra o apertura)
+ * @returns {number|null} Milisegundos
+ */
+export const getCicloInicioMs = (ciclo) => toMillis(ciclo.fechaSiembra) ?? toMillis(ciclo.inicio);
+
+/**
+ * Ciclo al que pertenece un corte según su fecha: el último que empezó
+ * antes del corte (los cortes anteriores al primer ciclo van al primero)
+ * @param {Object} cama - Datos de la cama
+ * @param {Date|Timestamp} fecha - Fecha del corte
+ * @returns {string|null} ID del ciclo
+ */
+export const getCicloIdForFecha = (cama, fecha) => {
+    const ciclos = getCiclosCama(cama);
+    if (ciclos.length === 0) return null;
+
+    const fechaMs = toMillis(fecha);
+    const ciclo = [...ciclos]
+        .reverse()
+        .find(candidato => {
+            const inicioMs = getCicloInicioMs(candidato);
+            return inicioMs !== null && fechaMs !== null && inicioMs <= fechaMs;
+        });
+
+    return (ciclo || ciclos[0]).id;
+};
+
+/**
+ * Ciclo de un corte: el guardado en el corte o, en cortes anteriores a
+ * los ciclos, el que corresponde a su fecha
+ */
+export const getCicloIdForCorte = (cama, corte) => corte.cicloId || getCicloIdForFecha(cama, corte.fecha);
+
+/**
+ * Cortes del ciclo en curso (todos si la cama no tiene ciclos)
+ * @param {Object} cama - Datos de la cama
+ * @param {Array} cortes - Cortes de la cama
+ */
+export const filterCortesCicloActivo = (cama, cortes) => {
+    const activo = getCicloActivo(cama);
+    if (!activo) return getCiclosCama(cama).length > 0 ? [] : cortes;
+    return cortes.filter(corte => getCicloIdForCorte(cama, corte) === activo.id);
+};
+
+/**
+ * Campos de ciclo a escribir cuando cambia una cama
+ * - Pasar a sembrada abre un ciclo (y cierra el que siguiera abierto)
+ * - Pasar a renovación o libre cierra el ciclo activo
+ * - Cambiar de planta con un ciclo abierto lo cierra y abre otro
+ * - Otros cambios de cultivo actualizan el ciclo activo
+ * @param {Object} camaData - Cama tal como está guardada (null al crearla)
+ * @param {Object} updatePayload - Cambios a aplicar (con estado ya validado)
+ * @param {string} actor - Email del usuario
+ * @returns {Object} { ciclos, cicloActivoId, ...campos de cultivo } o vacío si no cambia
+ */
+export const buildCicloUpdate = (camaData, updatePayload, actor) => {
+    const ahora = Timestamp.now();
+    const merged = { ...(camaData || {}), ...updatePayload };
+    const estadoAnterior = camaData ? normalizeEstadoCama(camaData.estado) : null;
+    const estadoNuevo = normalizeEstadoCama(merged.estado);
+    const cambiaEstado = estadoNuevo !== estadoAnterior;
+
+    // El ciclo implícito de las camas antiguas se guarda al primer cambio
+    const ciclos = getCiclosCama(camaData).map(ciclo => {
+        const copia = { ...ciclo };
+        delete copia.implicito;
+        return copia;
+    });
+    const extra = {};
+    let activo = ciclos.length > 0 && !ciclos[ciclos.length - 1].fechaFin ? ciclos[ciclos.length - 1] : null;
+    let cambio = false;
+
+    const cerrar = (motivo) => {
+        if (!activo) return;
+        activo.fechaFin = ahora;
+        activo.motivoFin = motivo;
+        activo = null;
+        cambio = true;
+    };
+
+    const abrir = (fechaSiembra) => {
+        const numero = ciclos.reduce((max, ciclo) => Math.max(max, ciclo.numero), 0) + 1;
+        activo = {
+            id: getCicloId(numero),
+            numero,
+            ...pickCicloCampos(merged),
+            fechaSiembra,
+            inicio: ahora,
+            fechaFin: null,
+            motivoFin: null,
+            creadoPor: actor || null
+        };
+        ciclos.push(activo);
+        cambio = true;
+    };
+
+    if (cambiaEstado && ESTADOS_CIERRE.includes(estadoNuevo)) {
+        cerrar(estadoNuevo === CAMA_ESTADOS.LIBRE ? "Cama liberada" : "Cama en renovación");
+        // La siembra de la cama es la del ciclo activo
+        if (updatePayload.fechaSiembra === undefined) extra.fechaSiembra = null;
+        if (updatePayload.fechaEstimadaCosecha === undefined) extra.fechaEstimadaCosecha = null;
+    } else if (cambiaEstado && estadoNuevo === CAMA_ESTADOS.SEMBRADA) {
+        cerrar("Nueva siembra");
+        abrir(merged.fechaSiembra || ahora);
+    } else if (!camaData && estadoNuevo !== CAMA_ESTADOS.PREPARACION && tienePlanta(merged)) {
+        // Cama nueva ya sembrada
+        abrir(merged.fechaSiembra || ahora);
+    } else if (activo && getPlantaKey(merged) !== getPlantaKey(activo)) {
+        // Replantada con otra planta sin pasar por el ciclo de vida
+        const fechaSiembra = updatePayload.fechaSiembra || ahora;
+        cerrar("Replantada con otra planta");
+        abrir(fechaSiembra);
+        extra.fechaSiembra = fechaSiembra;
+    } else if (activo) {
+        const cambios = CICLO_CAMPOS.filter(campo =>
+            campo in updatePayload && !isMismoValor(campo, updatePayload[campo], activo[campo])
+        );
+        cambios.forEach(campo => { activo[campo] = updatePayload[campo] ?? null; });
+        cambio = cambios.length > 0;
+    }
+
+    if (!cambio) return {};
+
+    return {
+        ...extra,
+        ciclos,
+        cicloActivoId: activo?.id || null
+    };
+};
+
+export default {
+    getCiclosCama,
+    getCicloActivo,
+    getCicloInicioMs,
+    getCicloIdForFecha,
+    getCicloIdForCorte,
+    filterCortesCicloActivo,
+    buildCicloUpdate
+};
@@ -0,0 +1,390 @@
+// src/firebase/camas/camaEstadoService.js
+import {
+    doc,
+    collectionGroup,
+    getDocs,
+    serverTimestamp,
+    arrayUnion,
+    Timestamp
+} from "firebase/firestore";
+import { db } from "../config.js";
+import { addAuditToBatch, AUDIT_ENTIDADES, AUDIT_ACCIONES } from "../shared/auditService.js";
+import { createWriteQueue, commitWriteQueue } from "../shared/batchService.js";
+
+/**
+ * ============================================================================
+ * 🔁 CAMA ESTADO SERVICE - Ciclo de vida de las camas
+ * ============================================================================
+ * Responsabilidad: Estados de una cama y las transiciones permitidas
+ * - preparación → sembrada → en producción → en descanso → renovación → libre
+ * - Cada estado exige ciertos campos (ej: fechaSiembra al sembrar)
+ * - Historial por cama en el campo historialEstados: cada entrada marca
+ *   desde cuándo rige un estado; hasta cuándo lo da la entrada siguiente
+ * - Los estados antiguos de texto libre (activa, inactiva, mantenimiento)
+ *   se leen como su equivalente y migrateLegacyEstadosCamas los reescribe
+ *
+ * Entrada del historial:
+ * { estado, anterior, desde, actor, motivo }
+ * ============================================================================
+ */
+
+export const CAMA_ESTADOS = {
+    PREPARACION: "preparacion",
+    SEMBRADA: "sembrada",
+    EN_PRODUCCION: "en_produccion",
+    EN_DESCANSO: "en_descanso",
+    RENOVACION: "renovacion",
+    LIBRE: "libre"
+};
+
+export const CAMA_ESTADOS_INFO = {
+    [CAMA_ESTADOS.PREPARACION]: { label: "En preparación", color: "info" },
+    [CAMA_ESTADOS.SEMBRADA]: { label: "Sembrada", color: "primary" },
+    [CAMA_ESTADOS.EN_PRODUCCION]: { label: "En producción", color: "success" },
+    [CAMA_ESTADOS.EN_DESCANSO]: { label: "En descanso", color: "warning" },
+    [CAMA_ESTADOS.RENOVACION]: { label: "En renovación", color: "secondary" },
+    [CAMA_ESTADOS.LIBRE]: { label: "Libre", color: "default" }
+};
+
+/**
+ * Estados a los que se puede pasar desde cada estado
+ */
+export const CAMA_TRANSICIONES = {
+    [CAMA_ESTADOS.PREPARACION]: [CAMA_ESTADOS.SEMBRADA, CAMA_ESTADOS.LIBRE],
+    [CAMA_ESTADOS.SEMBRADA]: [CAMA_ESTADOS.EN_PRODUCCION, CAMA_ESTADOS.RENOVACION],
+    [CAMA_ESTADOS.EN_PRODUCCION]: [CAMA_ESTADOS.EN_DESCANSO, CAMA_ESTADOS.RENOVACION],
+    [CAMA_ESTADOS.EN_DESCANSO]: [CAMA_ESTADOS.EN_PRODUCCION, CAMA_ESTADOS.RENOVACION],
+    [CAMA_ESTADOS.RENOVACION]: [CAMA_ESTADOS.PREPARACION, CAMA_ESTADOS.LIBRE],
+    [CAMA_ESTADOS.LIBRE]: [CAMA_ESTADOS.PREPARACION]
+};
+
+const tienePlanta = (cama) => !!(cama.especieId || cama.nombrePlanta?.trim());
+const tienePlantas = (cama) => Number(cama.cantidadPlantas) > 0;
+
+const REQUISITO_PLANTA = { campo: "nombrePlanta", mensaje: "la planta", cumple: tienePlanta };
+const REQUISITO_PLANTAS = { campo: "cantidadPlantas", mensaje: "la cantidad de plantas", cumple: tienePlantas };
+const REQUISITO_SIEMBRA = { campo: "fechaSiembra", mensaje: "la fecha de siembra", cumple: (cama) => !!cama.fechaSiembra };
+
+/**
+ * Campos que una cama debe tener para estar en cada estado
+ */
+export const CAMA_ESTADO_REQUISITOS = {
+    [CAMA_ESTADOS.PREPARACION]: [],
+    [CAMA_ESTADOS.SEMBRADA]: [REQUISITO_PLANTA, REQUISITO_PLANTAS, REQUISITO_SIEMBRA],
+    [CAMA_ESTADOS.EN_PRODUCCION]: [REQUISITO_PLANTA, REQUISITO_PLANTAS, REQUISITO_SIEMBRA],
+    [CAMA_ESTADOS.EN_DESCANSO]: [REQUISITO_PLANTA, REQUISITO_PLANTAS],
+    [CAMA_ESTADOS.RENOVACION]: [],
+    [CAMA_ESTADOS.LIBRE]: [
+        { campo: "cantidadPlantas", mensaje: "la cantidad de plantas en 0", cumple: (cama) => !tienePlantas(cama) }
+    ]
+};
+
+// Estados de texto libre anteriores al ciclo de vida
+const LEGACY_ESTADOS = {
+    activa: CAMA_ESTADOS.EN_PRODUCCION,
+    inactiva: CAMA_ESTADOS.EN_DESCANSO,
+    mantenimiento: CAMA_ESTADOS.RENOVACION
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// 🔧 HELPERS
+// ============================================================================
+
+/**
+ * Indica si un valor es uno de los estados del ciclo de vida
+ */
+export const isEstadoCamaValido = (estado) => Object.values(CAMA_ESTADOS).includes(estado);
+
+/**
+ * Convierte un estado recibido para escribir (incluye los antiguos)
+ * @param {string} estado - Estado nuevo o antiguo
+ * @returns {string} Estado del ciclo de vida
+ * @throws {Error} Si el estado no existe
+ */
+export const parseEstadoCama = (estado) => {
+    if (isEstadoCamaValido(estado)) return estado;
+    if (LEGACY_ESTADOS[estado]) return LEGACY_ESTADOS[estado];
+    throw new Error(`Estado de cama no válido: ${estado} (usa ${Object.values(CAMA_ESTADOS).join(", ")})`);
+};
+
+/**
+ * Estado de una cama leída de Firestore
+ * Sin estado, o con uno antiguo desconocido, la cama se trata como en
+ * producción (el antiguo valor por defecto era "activa")
+ * @param {string} estado - Valor guardado en la cama
+ * @returns {string} Estado del ciclo de vida
+ */
+export const normalizeEstadoCama = (estado) => {
+    if (isEstadoCamaValido(estado)) return estado;
+    return LEGACY_ESTADOS[estado] || CAMA_ESTADOS.EN_PRODUCCION;
+};
+
+export const getEstadoCamaLabel = (estado) => CAMA_ESTADOS_INFO[normalizeEstadoCama(estado)].label;
+
+export const getEstadoCamaColor = (estado) => CAMA_ESTADOS_INFO[normalizeEstadoCama(estado)].color;
+
+/**
+ * Indica si la cama está en producción (la única en la que se esperan cortes)
+ * @param {Object} cama - Datos de la cama
+ */
+export const isCamaEnProduccion = (cama) =>
+    normalizeEstadoCama(cama?.estado) === CAMA_ESTADOS.EN_PRODUCCION;
+
+/**
+ * Estados a los que puede pasar una cama desde su estado actual
+ * @param {string} estadoActual - Estado guardado en la cama
+ * @returns {Array<string>}
+ */
+export const getTransicionesPermitidas = (estadoActual) =>
+    CAMA_TRANSICIONES[normalizeEstadoCama(estadoActual)];
+
+/**
+ * Comprueba que la cama cumple los requisitos de un estado
+ * @param {string} estado - Estado del ciclo de vida
+ * @param {Object} camaData - Datos de la cama (ya con los cambios aplicados)
+ * @returns {Array<string>} Campos que faltan (vacío si cumple)
+ */
+export const getRequisitosFaltantes = (estado, camaData) =>
+    CAMA_ESTADO_REQUISITOS[estado]
+        .filter(requisito => !requisito.cumple(camaData))
+        .map(requisito => requisito.mensaje);
+
+/**
+ * Valida el paso de una cama a un estado
+ * @param {Object} camaActual - Cama tal como está guardada (null al crearla)
+ * @param {string} nuevoEstado - Estado al que pasa
+ * @param {Object} camaData - Datos de la cama con los cambios aplicados
+ * @throws {Error} Si la transición no está permitida o faltan campos
+ */
+export const validateCambioEstado = (camaActual, nuevoEstado, camaData) => {
+    if (camaActual) {
+        const actual = normalizeEstadoCama(camaActual.estado);
+        if (actual !== nuevoEstado && !CAMA_TRANSICIONES[actual].includes(nuevoEstado)) {
+            const permitidos = CAMA_TRANSICIONES[actual].map(getEstadoCamaLabel).join(", ");
+            throw new Error(
+                `Una cama ${getEstadoCamaLabel(actual).toLowerCase()} no puede pasar a ` +
+                `"${getEstadoCamaLabel(nuevoEstado)}" (permitido: ${permitidos})`
+            );
+        }
+    }
+
+    const faltantes = getRequisitosFaltantes(nuevoEstado, camaData);
+    if (faltantes.length > 0) {
+        throw new Error(`Para "${getEstadoCamaLabel(nuevoEstado)}" falta ${faltantes.join(", ")}`);
+    }
+};
+
+/**
+ * Campos a escribir cuando una cama entra en un estado
+ * @param {string} nuevoEstado - Estado al que pasa
+ * @param {string|null} anterior - Estado del que viene (null al crearla)
+ * @param {string} actor - Email del usuario
+ * @param {Object} options - Opciones del cambio
+ * @param {string} options.motivo - Motivo del cambio
+ * @param {boolean} options.nueva - La cama no tiene historial (se crea el array)
+ * @param {Timestamp} options.desde - Inicio del estado (default: ahora)
+ * @returns {Object} { estado, estadoDesde, historialEstados }
+ */
+export const buildCambioEstadoFields = (nuevoEstado, anterior, actor, options = {}) => {
+    const desde = options.desde || Timestamp.now();
+    const entrada = {
+        estado: nuevoEstado,
+        anterior: anterior || null,
+        desde,
+        actor: actor || null,
+        motivo: options.motivo || null
+    };
+
+    return {
+        estado: nuevoEstado,
+        estadoDesde: desde,
+        historialEstados: options.nueva ? [entrada] : arrayUnion(entrada)
+    };
+};
+
+const toMillis = (fecha) => {
+    if (!fecha) return null;
+    if (typeof fecha.toDate === "function") return fecha.toDate().getTime();
+    const millis = new Date(fecha).getTime();
+    return Number.isNaN(millis) ? null : millis;
+};
+
+/**
+ * Períodos de la cama en cada estado, del más antiguo al actual
+ * Las camas anteriores al ciclo de vida no tienen historial: se asume su
+ * estado actual desde estadoDesde o la creación
+ * @param {Object} cama - Datos de la cama
+ * @param {Date} ahora - Fecha de referencia (default: ahora)
+ * @returns {Array<Object>} [{ estado, desde, hasta, dias, actor, motivo }]
+ */
+export const getPeriodosEstado = (cama, ahora = new Date()) => {
+    const historial = (cama?.historialEstados || [])
+        .map(entrada => ({ ...entrada, desdeMs: toMillis(entrada.desde) }))
+        .filter(entrada => entrada.desdeMs !== null)
+        .sort((a, b) => a.desdeMs - b.desdeMs);
+
+    if (historial.length === 0) {
+        const desdeMs = toMillis(cama?.estadoDesde) ?? toMillis(cama?.createdAt);
+        if (desdeMs === null) return [];
+        historial.push({ estado: normalizeEstadoCama(cama.estado), desdeMs, actor: null, motivo: null });
+    }
+
+    const ahoraMs = ahora.getTime();
+    return historial.map((entrada, index) => {
+        const hastaMs = index < historial.length - 1 ? historial[index + 1].desdeMs : null;
+        return {
+            estado: normalizeEstadoCama(entrada.estado),
+            anterior: entrada.anterior || null,
+            desde: new Date(entrada.desdeMs),
+            hasta: hastaMs !== null ? new Date(hastaMs) : null,
+            dias: Math.max(0, ((hastaMs ?? ahoraMs) - entrada.desdeMs) / DAY_MS),
+            actor: entrada.actor || null,
+            motivo: entrada.motivo || null
+        };
+    });
+};
+
+/**
+ * Tiempo que una cama lleva (y ha pasado) en cada estado
+ * @param {Object} cama - Datos de la cama
+ * @param {Date} ahora - Fecha de referencia (default: ahora)
+ * @returns {Object} { estadoActual, diasEnEstadoActual, diasPorEstado, transiciones }
+ */
+export const getTiempoEnEstados = (cama, ahora = new Date()) => {
+    const periodos = getPeriodosEstado(cama, ahora);
+    const actual = periodos[periodos.length - 1];
+
+    const diasPorEstado = periodos.reduce((acc, periodo) => {
+        acc[periodo.estado] = Math.round(((acc[periodo.estado] || 0) + periodo.dias) * 10) / 10;
+        return acc;
+    }, {});
+
+    return {
+        estadoActual: normalizeEstadoCama(cama?.estado),
+        diasEnEstadoActual: actual ? Math.round(actual.dias * 10) / 10 : null,
+        diasPorEstado,
+        transiciones: Math.max(0, periodos.length - 1)
+    };
+};
+
+/**
+ * Resume el tiempo en estado de un grupo de camas
+ * @param {Array<Object>} camas - Camas a resumir
+ * @param {Date} ahora - Fecha de referencia (default: ahora)
+ * @returns {Object} { [estado]: { camas, diasPromedioActual, diasPromedioPorCama } }
+ *   camas: las que están ahora en el estado; diasPromedioActual: cuánto llevan
+ *   en él; diasPromedioPorCama: tiempo medio total en el estado de las camas
+ *   que alguna vez pasaron por él
+ */
+export const summarizeTiempoEnEstados = (camas, ahora = new Date()) => {
+    const acumulado = Object.values(CAMA_ESTADOS).reduce((acc, estado) => {
+        acc[estado] = { camas: 0, diasActual: 0, conDatos: 0, diasTotal: 0, camasHistoricas: 0 };
+        return acc;
+    }, {});
+
+    camas.forEach(cama => {
+        const tiempo = getTiempoEnEstados(cama, ahora);
+        const actual = acumulado[tiempo.estadoActual];
+        actual.camas++;
+        if (tiempo.diasEnEstadoActual !== null) {
+            actual.diasActual += tiempo.diasEnEstadoActual;
+            actual.conDatos++;
+        }
+        Object.entries(tiempo.diasPorEstado).forEach(([estado, dias]) => {
+            acumulado[estado].diasTotal += dias;
+            acumulado[estado].camasHistoricas++;
+        });
+    });
+
+    return Object.entries(acumulado).reduce((acc, [estado, datos]) => {
+        acc[estado] = {
+            camas: datos.camas,
+            diasPromedioActual: datos.conDatos > 0 ? Math.round(datos.diasActual / datos.conDatos) : null,
+            diasPromedioPorCama: datos.camasHistoricas > 0 ? Math.round(datos.diasTotal / datos.camasHistoricas) : null
+        };
+        return acc;
+    }, {});
+};
+
+// ============================================================================
+// 🔄 MIGRACIÓN
+// ============================================================================
+
+/**
+ * Reescribe los estados antiguos (activa, inactiva, mantenimiento o sin
+ * estado) de todas las camas con su equivalente del ciclo de vida
+ * No exige los requisitos del estado: solo traduce el valor guardado
+ * @param {string} actor - Email del usuario que migra
+ * @param {Object} options - Opciones de ejecución
+ * @param {Function} options.onProgress - ({ completed, total }) => void
+ * @returns {Promise<Object>} { total, migradas }
+ */
+export const migrateLegacyEstadosCamas = async (actor, options = {}) => {
+    try {
+        console.log("🔄 Migrando estados antiguos de camas");
+
+        const snapshot = await getDocs(collectionGroup(db, "camas"));
+        const pendientes = snapshot.docs.filter(camaDoc => !isEstadoCamaValido(camaDoc.data().estado));
+
+        const queue = createWriteQueue();
+        pendientes.forEach(camaDoc => {
+            const cama = camaDoc.data();
+            const viveroId = camaDoc.ref.parent.parent.id;
+            const estado = normalizeEstadoCama(cama.estado);
+            // Sin historial, el estado rige desde que se registró en la cama
+            const sinHistorial = !cama.historialEstados?.length;
+            const updatePayload = {
+                ...buildCambioEstadoFields(estado, null, actor, {
+                    motivo: `Migración del estado "${cama.estado || "sin estado"}"`,
+                    nueva: sinHistorial,
+                    desde: sinHistorial ? cama.estadoDesde || cama.createdAt : null
+                }),
+                updatedAt: serverTimestamp(),
+                updatedBy: actor
+            };
+
+            queue.group((q) => {
+                q.update(doc(db, "viveros", viveroId, "camas", camaDoc.id), updatePayload);
+                addAuditToBatch(q, {
+                    entidad: AUDIT_ENTIDADES.CAMA,
+                    accion: AUDIT_ACCIONES.ACTUALIZAR,
+                    viveroId,
+                    camaId: camaDoc.id,
+                    antes: cama,
+                    despues: { estado },
+                    actor
+                });
+            });
+        });
+
+        if (pendientes.length > 0) {
+            await commitWriteQueue(queue, { onProgress: options.onProgress });
+        }
+
+        console.log(`✅ Estados migrados: ${pendientes.length} de ${snapshot.size} camas`);
+        return { total: snapshot.size, migradas: pendientes.length };
+
+    } catch (error) {
+        console.error("❌ Error migrando estados de camas:", error.message);
+        throw new Error(`Error al migrar estados de camas: ${error.message}`);
+    }
+};
+
+export default {
+    isEstadoCamaValido,
+    parseEstadoCama,
+    normalizeEstadoCama,
+    getEstadoCamaLabel,
+    getEstadoCamaColor,
+    isCamaEnProduccion,
+    getTransicionesPermitidas,
+    getRequisitosFaltantes,
+    validateCambioEstado,
+    buildCambioEstadoFields,
+    getPeriodosEstado,
+    getTiempoEnEstados,
+    summarizeTiempoEnEstados,
+    migrateLegacyEstadosCamas
+};
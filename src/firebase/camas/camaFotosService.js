@@ -0,0 +1,231 @@
+// src/firebase/camas/camaFotosService.js
+import {
+    doc,
+    getDoc,
+    collection,
+    getDocs,
+    writeBatch,
+    runTransaction,
+    serverTimestamp,
+    arrayUnion
+} from "firebase/firestore";
+import { db } from "../config.js";
+import { addAuditToBatch, AUDIT_ENTIDADES, AUDIT_ACCIONES } from "../shared/auditService.js";
+import { uploadFoto, deleteFoto } from "../shared/storageService.js";
+import { getIncidenciasFromVivero } from "../viveros/incidenciasService.js";
+
+/**
+ * ============================================================================
+ * 📷 CAMA FOTOS SERVICE - Fotos de camas y galería
+ * ============================================================================
+ * Responsabilidad: Fotos del estado de una cama y galería de todas sus fotos
+ * - Las fotos de la cama se guardan en cama.fotos; las de cada corte en
+ *   corte.fotos (se adjuntan al registrarlo con createCorte)
+ * - La galería junta las de la cama, sus cortes y sus incidencias
+ * - Archivos en viveros/{viveroId}/camas/{camaId}/fotos y .../cortes
+ *   (storageService, comprimidos y sin EXIF)
+ * ============================================================================
+ */
+
+export const FOTO_ORIGENES = {
+    CAMA: "cama",
+    CORTE: "corte",
+    INCIDENCIA: "incidencia"
+};
+
+export const FOTO_ORIGENES_INFO = {
+    [FOTO_ORIGENES.CAMA]: { label: "Cama" },
+    [FOTO_ORIGENES.CORTE]: { label: "Corte" },
+    [FOTO_ORIGENES.INCIDENCIA]: { label: "Incidencia" }
+};
+
+// ============================================================================
+// 🔧 HELPERS
+// ============================================================================
+
+/**
+ * Carpeta de almacenamiento de las fotos de una cama o de sus cortes
+ * @param {string} viveroId - ID del vivero
+ * @param {string} camaId - ID de la cama
+ * @param {string} origen - FOTO_ORIGENES.CAMA o FOTO_ORIGENES.CORTE
+ * @returns {string} Carpeta para uploadFoto
+ */
+export const getCarpetaFotosCama = (viveroId, camaId, origen = FOTO_ORIGENES.CAMA) =>
+    `viveros/${viveroId}/camas/${camaId}/${origen === FOTO_ORIGENES.CORTE ? "cortes" : "fotos"}`;
+
+const toDate = (fecha) => {
+    if (!fecha) return null;
+    return typeof fecha.toDate === "function" ? fecha.toDate() : new Date(fecha);
+};
+
+// ============================================================================
+// 📷 OPERACIONES
+// ============================================================================
+
+/**
+ * Sube una foto del estado de una cama
+ * @param {string} viveroId - ID del vivero
+ * @param {string} camaId - ID de la cama
+ * @param {File|Blob} file - Foto
+ * @param {string} actor - Email del usuario
+ * @param {Object} options - { descripcion }
+ * @returns {Promise<Object>} Referencia de la foto guardada
+ */
+export const addFotoCama = async (viveroId, camaId, file, actor, options = {}) => {
+    try {
+        const camaRef = doc(db, "viveros", viveroId, "camas", camaId);
+        const camaDoc = await getDoc(camaRef);
+
+        if (!camaDoc.exists()) {
+            throw new Error(`Cama no encontrada: ${camaId} en vivero ${viveroId}`);
+        }
+
+        const subida = await uploadFoto(getCarpetaFotosCama(viveroId, camaId), file, actor);
+        const foto = { ...subida, descripcion: options.descripcion?.trim() || "" };
+
+        try {
+            const batch = writeBatch(db);
+            batch.update(camaRef, {
+                fotos: arrayUnion(foto),
+                updatedAt: serverTimestamp(),
+                updatedBy: actor
+            });
+            await batch.commit();
+        } catch (error) {
+            // Sin documento que la referencie la foto quedaría huérfana
+            await deleteFoto(foto);
+            throw error;
+        }
+
+        console.log("✅ Foto agregada a la cama:", camaId, foto.id);
+        return foto;
+
+    } catch (error) {
+        console.error("❌ Error agregando foto a la cama:", error.message);
+        throw new Error(`Error al agregar foto: ${error.message}`);
+    }
+};
+
+/**
+ * Quita una foto de una cama y la elimina del almacenamiento
+ * @param {string} viveroId - ID del vivero
+ * @param {string} camaId - ID de la cama
+ * @param {string} fotoId - ID de la foto
+ * @param {string} actor - Email del usuario
+ * @returns {Promise<void>}
+ */
+export const removeFotoCama = async (viveroId, camaId, fotoId, actor) => {
+    try {
+        const camaRef = doc(db, "viveros", viveroId, "camas", camaId);
+        let foto = null;
+
+        await runTransaction(db, async (transaction) => {
+            const camaDoc = await transaction.get(camaRef);
+            if (!camaDoc.exists()) {
+                throw new Error(`Cama no encontrada: ${camaId} en vivero ${viveroId}`);
+            }
+
+            const fotos = camaDoc.data().fotos || [];
+            foto = fotos.find(f => f.id === fotoId);
+            if (!foto) {
+                throw new Error(`Foto no encontrada: ${fotoId}`);
+            }
+
+            const updates = {
+                fotos: fotos.filter(f => f.id !== fotoId),
+                updatedAt: serverTimestamp(),
+                updatedBy: actor
+            };
+            transaction.update(camaRef, updates);
+            addAuditToBatch(transaction, {
+                entidad: AUDIT_ENTIDADES.CAMA,
+                accion: AUDIT_ACCIONES.ACTUALIZAR,
+                viveroId,
+                camaId,
+                antes: camaDoc.data(),
+                despues: updates,
+                actor
+            });
+        });
+
+        // El archivo se borra después: si falla, la foto ya no se muestra
+        await deleteFoto(foto);
+        console.log("✅ Foto quitada de la cama:", fotoId);
+
+    } catch (error) {
+        console.error("❌ Error quitando foto de la cama:", error.message);
+        throw new Error(`Error al quitar foto: ${error.message}`);
+    }
+};
+
+/**
+ * Galería de una cama: fotos de la cama, de sus cortes y de sus incidencias
+ * @param {string} viveroId - ID del vivero
+ * @param {string} camaId - ID de la cama
+ * @returns {Promise<Array>} Fotos de la más reciente a la más antigua, cada una con
+ *   { origen, fecha, corteId?, cantidadEsquejes?, incidenciaId?, agente? }
+ */
+export const getGaleriaCama = async (viveroId, camaId) => {
+    try {
+        if (!viveroId || !camaId) {
+            throw new Error("viveroId y camaId son requeridos");
+        }
+
+        console.log("📷 Obteniendo galería de la cama:", camaId);
+
+        const [camaDoc, cortesSnapshot, incidencias] = await Promise.all([
+            getDoc(doc(db, "viveros", viveroId, "camas", camaId)),
+            getDocs(collection(db, "viveros", viveroId, "camas", camaId, "cortes_esquejes")),
+            getIncidenciasFromVivero(viveroId, { camaId })
+        ]);
+
+        if (!camaDoc.exists()) {
+            throw new Error(`Cama no encontrada: ${camaId} en vivero ${viveroId}`);
+        }
+
+        const galeria = (camaDoc.data().fotos || []).map(foto => ({
+            ...foto,
+            origen: FOTO_ORIGENES.CAMA,
+            fecha: toDate(foto.subidaAt)
+        }));
+
+        cortesSnapshot.forEach(corteDoc => {
+            const corte = corteDoc.data();
+            (corte.fotos || []).forEach(foto => galeria.push({
+                ...foto,
+                origen: FOTO_ORIGENES.CORTE,
+                fecha: toDate(corte.fecha),
+                corteId: corteDoc.id,
+                cantidadEsquejes: corte.cantidadEsquejes
+            }));
+        });
+
+        incidencias.forEach(incidencia => {
+            (incidencia.fotos || []).forEach(foto => galeria.push({
+                ...foto,
+                origen: FOTO_ORIGENES.INCIDENCIA,
+                fecha: toDate(foto.subidaAt),
+                incidenciaId: incidencia.id,
+                agente: incidencia.agente
+            }));
+        });
+
+        galeria.sort((a, b) => (b.fecha || 0) - (a.fecha || 0));
+
+        console.log(`✅ ${galeria.length} fotos en la galería`);
+        return galeria;
+
+    } catch (error) {
+        console.error("❌ Error obteniendo galería de la cama:", error.message);
+        throw new Error(`Error al obtener galería: ${error.message}`);
+    }
+};
+
+export default {
+    FOTO_ORIGENES,
+    FOTO_ORIGENES_INFO,
+    getCarpetaFotosCama,
+    addFotoCama,
+    removeFotoCama,
+    getGaleriaCama
+};
@@ -1,12 +1,10 @@
 // src/firebase/camas/camaService.js
 import {
     doc,
-    setDoc,
     getDoc,
     collection,
+    collectionGroup,
     getDocs,
-    updateDoc,
-    deleteDoc,
     serverTimestamp,
     query,
     orderBy,
@@ -15,6 +13,23 @@ import {
     writeBatch
 } from "firebase/firestore";
 import { db } from "../config.js";
+import { addAuditToBatch, AUDIT_ENTIDADES, AUDIT_ACCIONES } from "../shared/auditService.js";
+import { isTrashed, buildTrashFields, getTrashedKeys } from "../shared/trashService.js";
+import { createWriteQueue, commitWriteQueue } from "../shared/batchService.js";
+import { addCamaAggregatesToBatch, getUltimoCorteViveroFecha } from "../shared/aggregateService.js";
+import { fetchPage, collectPages, DEFAULT_PAGE_SIZE } from "../shared/paginationService.js";
+import { subscribeWithFallback } from "../shared/realtimeService.js";
+import { getEspecie, getEspecieDisplayName, findEspecieByNombre, getPlantaKey } from "../especies/especieService.js";
+import {
+    CAMA_ESTADOS,
+    CAMA_ESTADO_REQUISITOS,
+    parseEstadoCama,
+    normalizeEstadoCama,
+    validateCambioEstado,
+    buildCambioEstadoFields,
+    summarizeTiempoEnEstados
+} from "./camaEstadoService.js";
+import { buildCicloUpdate } from "./camaCiclosService.js";
 
 /**
  * ============================================================================
@@ -24,20 +39,71 @@ import { db } from "../config.js";
  * - Crear, leer, actualizar y eliminar camas
  * - Validaciones básicas con jerarquía viveros
  * - Gestión de subcollection dentro de viveros
+ * - La planta se referencia por especieId (catálogo); nombrePlanta se copia
+ *   del catálogo y solo es texto libre en camas aún sin migrar
+ * - El estado sigue el ciclo de vida de camaEstadoService: los cambios de
+ *   estado se validan y quedan en historialEstados
+ * - Los datos de cultivo son los del ciclo activo (camaCiclosService): al
+ *   resembrar o cambiar de planta se abre un ciclo nuevo y el anterior se conserva
  * ============================================================================
  */
 
+/**
+ * Lee la especie del catálogo para una cama
+ * @returns {Promise<Object>} Especie activa
+ */
+const getEspecieForCama = async (especieId) => {
+    const especie = await getEspecie(especieId);
+    if (!especie) {
+        throw new Error(`Especie no encontrada en el catálogo: ${especieId}`);
+    }
+    if (especie.activa === false) {
+        throw new Error(`La especie ${getEspecieDisplayName(especie)} está archivada`);
+    }
+    return especie;
+};
+
+/**
+ * Valida el estado de una actualización y prepara los campos del historial
+ * Sin cambio de estado solo se revisan los requisitos si la actualización
+ * toca alguno de sus campos
+ * @param {Object} camaData - Cama tal como está guardada
+ * @param {Object} updatePayload - Cambios a aplicar
+ * @param {string} actor - Email del usuario
+ * @param {string} motivo - Motivo del cambio de estado
+ * @returns {Object} Campos de estado a escribir (vacío si no cambia)
+ */
+const buildEstadoUpdate = (camaData, updatePayload, actor, motivo) => {
+    const actual = normalizeEstadoCama(camaData.estado);
+    const nuevoEstado = updatePayload.estado !== undefined ? parseEstadoCama(updatePayload.estado) : actual;
+    const merged = { ...camaData, ...updatePayload };
+
+    if (nuevoEstado !== actual) {
+        validateCambioEstado(camaData, nuevoEstado, merged);
+        return buildCambioEstadoFields(nuevoEstado, actual, actor, { motivo });
+    }
+
+    const tocaRequisitos = CAMA_ESTADO_REQUISITOS[actual].some(requisito => requisito.campo in updatePayload);
+    if (tocaRequisitos) {
+        validateCambioEstado(camaData, actual, merged);
+    }
+
+    // Mismo estado: solo se reescribe si estaba guardado con un valor antiguo
+    return updatePayload.estado !== undefined ? { estado: actual } : {};
+};
+
 /**
  * Crea una nueva cama en un vivero específico
  * @param {string} viveroId - ID del vivero padre
  * @param {Object} camaData - Datos de la cama
  * @param {string} camaData.id - ID único de la cama
- * @param {string} camaData.nombrePlanta - Nombre de la planta
+ * @param {string} camaData.especieId - ID de la especie del catálogo
+ * @param {string} camaData.nombrePlanta - Nombre de la planta (sin especieId)
  * @param {number} camaData.cantidadPlantas - Cantidad de plantas
  * @param {string} camaData.sustrato - Tipo de sustrato
  * @param {number} camaData.tarroSize - Tamaño del tarro
  * @param {string} camaData.tarroUnidad - Unidad del tarro (pulgadas/cm)
- * @param {string} camaData.estado - Estado de la cama
+ * @param {string} camaData.estado - Estado inicial (default: preparacion)
  * @param {string} camaData.observaciones - Observaciones adicionales
  * @param {Date} camaData.fechaSiembra - Fecha de siembra
  * @param {Date} camaData.fechaEstimadaCosecha - Fecha estimada de cosecha
@@ -48,7 +114,7 @@ export const createCama = async (viveroId, camaData, createdBy) => {
     try {
         const {
             id,
-            nombrePlanta,
+            especieId,
             cantidadPlantas,
             sustrato,
             tarroSize,
@@ -64,15 +130,23 @@ export const createCama = async (viveroId, camaData, createdBy) => {
             throw new Error("ID del vivero es requerido");
         }
 
-        if (!id || !nombrePlanta) {
-            throw new Error("ID y nombre de la planta son requeridos");
+        if (!id || (!camaData.nombrePlanta && !especieId)) {
+            throw new Error("ID y especie o nombre de la planta son requeridos");
         }
 
+        // Con especie, el nombre y el sustrato por defecto vienen del catálogo
+        const especie = especieId ? await getEspecieForCama(especieId) : null;
+        const nombrePlanta = especie ? getEspecieDisplayName(especie) : camaData.nombrePlanta;
+
+        // Una cama nueva puede empezar en cualquier estado si cumple sus requisitos
+        const estadoInicial = estado ? parseEstadoCama(estado) : CAMA_ESTADOS.PREPARACION;
+        validateCambioEstado(null, estadoInicial, { ...camaData, nombrePlanta });
+
         // Verificar que el vivero existe
         const viveroRef = doc(db, "viveros", viveroId);
         const viveroDoc = await getDoc(viveroRef);
 
-        if (!viveroDoc.exists()) {
+        if (!viveroDoc.exists() || isTrashed(viveroDoc.data())) {
             throw new Error(`Vivero no encontrado: ${viveroId}`);
         }
 
@@ -81,7 +155,8 @@ export const createCama = async (viveroId, camaData, createdBy) => {
         const existingCama = await getDoc(camaRef);
 
         if (existingCama.exists()) {
-            throw new Error(`Ya existe una cama con ID: ${id} en el vivero ${viveroId}`);
+            const enPapelera = isTrashed(existingCama.data()) ? " (en la papelera)" : "";
+            throw new Error(`Ya existe una cama con ID: ${id} en el vivero ${viveroId}${enPapelera}`);
         }
 
         console.log("🌿 Creando nueva cama:", nombrePlanta, "en vivero:", viveroId);
@@ -95,15 +170,18 @@ export const createCama = async (viveroId, camaData, createdBy) => {
             id,
             viveroId,
             nombreCompleto,
+            especieId: especieId || null,
             nombrePlanta,
             cantidadPlantas: cantidadPlantas || 0,
-            sustrato: sustrato || "",
+            sustrato: sustrato || especie?.sustratoDefault || "",
             tarroSize: tarroSize || 0,
             tarroUnidad: tarroUnidad || "pulgadas",
-            estado: estado || "activa",
+            ...buildCambioEstadoFields(estadoInicial, null, createdBy, { nueva: true }),
             observaciones: observaciones || "",
             fechaSiembra: fechaSiembra || null,
             fechaEstimadaCosecha: fechaEstimadaCosecha || null,
+            ciclos: [],
+            cicloActivoId: null,
             estadisticas: {
                 totalEsquejesHistorico: 0,
                 ultimoCorte: null,
@@ -114,7 +192,22 @@ export const createCama = async (viveroId, camaData, createdBy) => {
             createdBy
         };
 
-        await setDoc(camaRef, camaDocument);
+        // Una cama que ya se crea sembrada empieza su primer ciclo
+        Object.assign(camaDocument, buildCicloUpdate(null, camaDocument, createdBy));
+
+        // Crear la cama y registrar la creación en el historial
+        const batch = writeBatch(db);
+        batch.set(camaRef, camaDocument);
+        addAuditToBatch(batch, {
+            entidad: AUDIT_ENTIDADES.CAMA,
+            accion: AUDIT_ACCIONES.CREAR,
+            viveroId,
+            camaId: id,
+            despues: camaDocument,
+            actor: createdBy
+        });
+        addCamaAggregatesToBatch(batch, viveroId, null, camaDocument);
+        await batch.commit();
 
         console.log("✅ Cama creada exitosamente:", id);
         return id;
@@ -129,9 +222,11 @@ export const createCama = async (viveroId, camaData, createdBy) => {
  * Obtiene una cama específica
  * @param {string} viveroId - ID del vivero
  * @param {string} camaId - ID de la cama
+ * @param {Object} options - Opciones de consulta
+ * @param {boolean} options.includeTrashed - Devolver también si está en la papelera
  * @returns {Promise<Object|null>} Datos de la cama o null si no existe
  */
-export const getCama = async (viveroId, camaId) => {
+export const getCama = async (viveroId, camaId, options = {}) => {
     try {
         if (!viveroId || !camaId) {
             throw new Error("viveroId y camaId son requeridos");
@@ -145,6 +240,11 @@ export const getCama = async (viveroId, camaId) => {
             return null;
         }
 
+        if (isTrashed(camaDoc.data()) && !options.includeTrashed) {
+            console.log("🗑️ Cama en la papelera:", camaId);
+            return null;
+        }
+
         const camaData = { id: camaDoc.id, ...camaDoc.data() };
         console.log("📄 Cama obtenida:", camaData.nombreCompleto);
         return camaData;
@@ -157,6 +257,7 @@ export const getCama = async (viveroId, camaId) => {
 
 /**
  * Obtiene todas las camas de un vivero
+ * Las camas en la papelera no se incluyen
  * @param {string} viveroId - ID del vivero
  * @param {Object} options - Opciones de filtrado
  * @param {string} options.estado - Filtrar por estado específico
@@ -195,7 +296,9 @@ export const getCamasFromVivero = async (viveroId, options = {}) => {
         const camas = [];
 
         querySnapshot.forEach((doc) => {
-            camas.push({ id: doc.id, ...doc.data() });
+            if (!isTrashed(doc.data())) {
+                camas.push({ id: doc.id, ...doc.data() });
+            }
         });
 
         console.log(`✅ ${camas.length} camas obtenidas del vivero ${viveroId}`);
@@ -207,13 +310,123 @@ export const getCamasFromVivero = async (viveroId, options = {}) => {
     }
 };
 
+/**
+ * Obtiene una página de camas de un vivero (paginación por cursor)
+ * Las camas en la papelera no se incluyen
+ * @param {string} viveroId - ID del vivero
+ * @param {Object} options - Opciones de filtrado y paginación
+ * @param {string} options.estado - Filtrar por estado específico
+ * @param {string} options.orderBy - Campo para ordenar (desc, default: createdAt)
+ * @param {number} options.pageSize - Camas por página (default: 50)
+ * @param {DocumentSnapshot} options.cursor - Cursor de la página anterior
+ * @returns {Promise<Object>} { items, cursor, hasMore }
+ */
+export const getCamasFromViveroPage = async (viveroId, options = {}) => {
+    try {
+        if (!viveroId) {
+            throw new Error("viveroId es requerido");
+        }
+
+        const {
+            estado = null,
+            orderBy: orderField = "createdAt",
+            pageSize = DEFAULT_PAGE_SIZE,
+            cursor = null
+        } = options;
+
+        console.log("📋 Obteniendo página de camas del vivero:", viveroId);
+
+        const camasRef = collection(db, "viveros", viveroId, "camas");
+        const constraints = estado ? [where("estado", "==", estado)] : [];
+        const q = query(camasRef, ...constraints, orderBy(orderField, "desc"));
+
+        const page = await fetchPage(q, {
+            pageSize,
+            cursor,
+            filter: (camaDoc) => !isTrashed(camaDoc.data())
+        });
+
+        console.log(`✅ ${page.items.length} camas obtenidas del vivero ${viveroId}${page.hasMore ? " (hay más)" : ""}`);
+        return page;
+
+    } catch (error) {
+        console.error("❌ Error obteniendo página de camas del vivero:", error.message);
+        throw new Error(`Error al obtener camas: ${error.message}`);
+    }
+};
+
+/**
+ * Obtiene una página de camas de todos los viveros (para búsquedas globales)
+ * Una sola consulta de grupo de colecciones sobre "camas" ordenada por
+ * createdAt; los filtros requieren los índices de firestore.indexes.json
+ * @param {Object} options - Opciones de filtrado y paginación
+ * @param {string} options.viveroId - Limitar a un vivero
+ * @param {string} options.especieId - Filtrar por especie del catálogo
+ * @param {string} options.nombrePlanta - Filtrar por nombre de planta (exacto)
+ * @param {string} options.estado - Filtrar por estado
+ * @param {number} options.pageSize - Camas por página (default: 50)
+ * @param {DocumentSnapshot} options.cursor - Cursor de la página anterior
+ * @returns {Promise<Object>} { items, cursor, hasMore }
+ */
+export const getAllCamasPage = async (options = {}) => {
+    try {
+        const {
+            viveroId = null,
+            especieId = null,
+            nombrePlanta = null,
+            estado = null,
+            pageSize = DEFAULT_PAGE_SIZE,
+            cursor = null
+        } = options;
+
+        console.log("🌍 Obteniendo página de camas del sistema...");
+
+        const constraints = [];
+        if (viveroId) {
+            constraints.push(where("viveroId", "==", viveroId));
+        }
+        if (estado) {
+            constraints.push(where("estado", "==", estado));
+        }
+        if (especieId) {
+            constraints.push(where("especieId", "==", especieId));
+        } else if (nombrePlanta) {
+            constraints.push(where("nombrePlanta", "==", nombrePlanta));
+        }
+
+        const q = query(collectionGroup(db, "camas"), ...constraints, orderBy("createdAt", "desc"));
+
+        // Viveros en la papelera: se descartan sus camas (las camas eliminadas
+        // ya se reconocen por su propio documento)
+        const trashed = await getTrashedKeys();
+
+        const page = await fetchPage(q, {
+            pageSize,
+            cursor,
+            filter: (camaDoc) => !isTrashed(camaDoc.data()) && !trashed.viveros.has(camaDoc.ref.parent.parent.id),
+            map: (camaDoc) => ({
+                id: camaDoc.id,
+                viveroId: camaDoc.ref.parent.parent.id,
+                ...camaDoc.data()
+            })
+        });
+
+        console.log(`✅ ${page.items.length} camas obtenidas${page.hasMore ? " (hay más)" : ""}`);
+        return page;
+
+    } catch (error) {
+        console.error("❌ Error obteniendo página de camas:", error.message);
+        throw new Error(`Error al obtener camas: ${error.message}`);
+    }
+};
+
 /**
  * Obtiene todas las camas de todos los viveros (para búsquedas globales)
  * @param {Object} options - Opciones de filtrado
  * @param {string} options.nombrePlanta - Filtrar por nombre de planta
  * @param {string} options.estado - Filtrar por estado
  * @param {number} options.limitResults - Límite de resultados
- * @returns {Promise<Array>} Lista de todas las camas
+ * @returns {Promise<Array>} Lista de camas, las más recientes primero
  */
 export const getAllCamas = async (options = {}) => {
     try {
@@ -225,45 +438,13 @@ export const getAllCamas = async (options = {}) => {
 
         console.log("🌍 Obteniendo todas las camas del sistema...");
 
-        // Primero obtener todos los viveros
-        const viverosRef = collection(db, "viveros");
-        const viverosSnapshot = await getDocs(viverosRef);
-
-        const allCamas = [];
+        const camas = await collectPages(
+            (cursor) => getAllCamasPage({ nombrePlanta, estado, pageSize: limitResults, cursor }),
+            limitResults
+        );
 
-        // Para cada vivero, obtener sus camas
-        for (const viveroDoc of viverosSnapshot.docs) {
-            const viveroId = viveroDoc.id;
-            const camasRef = collection(db, "viveros", viveroId, "camas");
-            let q = query(camasRef, orderBy("createdAt", "desc"));
-
-            // Aplicar filtros
-            if (estado) {
-                q = query(q, where("estado", "==", estado));
-            }
-
-            if (nombrePlanta) {
-                q = query(q, where("nombrePlanta", "==", nombrePlanta));
-            }
-
-            const camasSnapshot = await getDocs(q);
-
-            camasSnapshot.forEach((doc) => {
-                allCamas.push({
-                    id: doc.id,
-                    viveroId: viveroId,
-                    ...doc.data()
-                });
-            });
-        }
-
-        // Ordenar por fecha de creación y aplicar límite
-        const sortedCamas = allCamas
-            .sort((a, b) => (b.createdAt?.toDate() || new Date()) - (a.createdAt?.toDate() || new Date()))
-            .slice(0, limitResults);
-
-        console.log(`✅ ${sortedCamas.length} camas obtenidas de todos los viveros`);
-        return sortedCamas;
+        console.log(`✅ ${camas.length} camas obtenidas de todos los viveros`);
+        return camas;
 
     } catch (error) {
         console.error("❌ Error obteniendo todas las camas:", error.message);
@@ -273,9 +454,13 @@ export const getAllCamas = async (options = {}) => {
 
 /**
  * Actualiza una cama existente
+ * Un cambio de estado debe ser una transición permitida y la cama debe
+ * cumplir los requisitos del estado (también al editar esos campos)
+ * Una cama en la papelera no se puede editar hasta restaurarla
  * @param {string} viveroId - ID del vivero
  * @param {string} camaId - ID de la cama
  * @param {Object} updateData - Datos a actualizar
+ * @param {string} updateData.motivoEstado - Motivo del cambio de estado (no se guarda en la cama)
  * @param {string} updatedBy - Email del usuario que actualiza
  * @returns {Promise<void>}
  */
@@ -292,6 +477,9 @@ export const updateCama = async (viveroId, camaId, updateData, updatedBy) => {
         if (!camaDoc.exists()) {
             throw new Error(`Cama no encontrada: ${camaId} en vivero ${viveroId}`);
         }
+        if (isTrashed(camaDoc.data())) {
+            throw new Error(`La cama ${camaId} está en la papelera, restáurala primero`);
+        }
 
         console.log("🔄 Actualizando cama:", camaId, "en vivero:", viveroId);
 
@@ -307,9 +495,23 @@ export const updateCama = async (viveroId, camaId, updateData, updatedBy) => {
         delete updatePayload.viveroId;
         delete updatePayload.createdAt;
         delete updatePayload.createdBy;
+        delete updatePayload.motivoEstado;
+        delete updatePayload.estadoDesde;
+        delete updatePayload.historialEstados;
+        delete updatePayload.ciclos;
+        delete updatePayload.cicloActivoId;
+
+        // Con especie, el nombre de la planta es el del catálogo
+        if (updateData.especieId) {
+            const especie = await getEspecieForCama(updateData.especieId);
+            updatePayload.nombrePlanta = getEspecieDisplayName(especie);
+        }
+
+        Object.assign(updatePayload, buildEstadoUpdate(camaDoc.data(), updatePayload, updatedBy, updateData.motivoEstado));
+        Object.assign(updatePayload, buildCicloUpdate(camaDoc.data(), updatePayload, updatedBy));
 
         // Si se actualiza el nombre de la planta, actualizar nombreCompleto
-        if (updateData.nombrePlanta) {
+        if (updatePayload.nombrePlanta) {
             const viveroRef = doc(db, "viveros", viveroId);
             const viveroDoc = await getDoc(viveroRef);
             if (viveroDoc.exists()) {
@@ -318,7 +520,20 @@ export const updateCama = async (viveroId, camaId, updateData, updatedBy) => {
             }
         }
 
-        await updateDoc(camaRef, updatePayload);
+        const batch = writeBatch(db);
+        batch.update(camaRef, updatePayload);
+        addAuditToBatch(batch, {
+            entidad: AUDIT_ENTIDADES.CAMA,
+            accion: AUDIT_ACCIONES.ACTUALIZAR,
+            viveroId,
+            camaId,
+            antes: camaDoc.data(),
+            despues: updatePayload,
+            actor: updatedBy
+        });
+        // Plantas y ocupación del vivero
+        addCamaAggregatesToBatch(batch, viveroId, camaDoc.data(), { ...camaDoc.data(), ...updatePayload });
+        await batch.commit();
 
         console.log("✅ Cama actualizada exitosamente");
 
@@ -329,44 +544,54 @@ export const updateCama = async (viveroId, camaId, updateData, updatedBy) => {
 };
 
 /**
- * Elimina una cama y todos sus cortes de esquejes
+ * Envía una cama a la papelera (borrado lógico)
+ * Los cortes se conservan y vuelven a estar visibles al restaurarla;
+ * la eliminación definitiva se hace con purgeCama (trashService)
  * @param {string} viveroId - ID del vivero
  * @param {string} camaId - ID de la cama a eliminar
+ * @param {string} deletedBy - Email del usuario que elimina
  * @returns {Promise<void>}
  */
-export const deleteCama = async (viveroId, camaId) => {
+export const deleteCama = async (viveroId, camaId, deletedBy = null) => {
     try {
         if (!viveroId || !camaId) {
             throw new Error("viveroId y camaId son requeridos");
         }
 
-        console.log("🗑️ Eliminando cama:", camaId, "del vivero:", viveroId);
+        console.log("🗑️ Enviando cama a la papelera:", camaId, "del vivero:", viveroId);
 
-        const batch = writeBatch(db);
         const camaRef = doc(db, "viveros", viveroId, "camas", camaId);
 
         // Verificar que la cama existe
         const camaDoc = await getDoc(camaRef);
-        if (!camaDoc.exists()) {
+        if (!camaDoc.exists() || isTrashed(camaDoc.data())) {
             throw new Error(`Cama no encontrada: ${camaId} en vivero ${viveroId}`);
         }
 
-        // Obtener todos los cortes de esquejes de la cama para eliminarlos
-        const cortesRef = collection(db, "viveros", viveroId, "camas", camaId, "cortes_esquejes");
-        const cortesSnapshot = await getDocs(cortesRef);
+        // Si la cama tenía el último corte del vivero, pasa al de las demás
+        const [viveroDoc, ultimoCorteViveroRestante] = await Promise.all([
+            getDoc(doc(db, "viveros", viveroId)),
+            getUltimoCorteViveroFecha(viveroId, camaId)
+        ]);
 
-        // Eliminar cada corte de esqueje
-        cortesSnapshot.forEach((corteDoc) => {
-            batch.delete(corteDoc.ref);
+        const batch = writeBatch(db);
+        batch.update(camaRef, buildTrashFields(deletedBy));
+        addAuditToBatch(batch, {
+            entidad: AUDIT_ENTIDADES.CAMA,
+            accion: AUDIT_ACCIONES.ELIMINAR,
+            viveroId,
+            camaId,
+            antes: camaDoc.data(),
+            actor: deletedBy
+        });
+        // Sus plantas y cortes dejan de contar para el vivero
+        addCamaAggregatesToBatch(batch, viveroId, camaDoc.data(), null, {
+            viveroData: viveroDoc.data(),
+            ultimoCorteViveroRestante
         });
-
-        // Eliminar la cama
-        batch.delete(camaRef);
-
-        // Ejecutar todas las eliminaciones
         await batch.commit();
 
-        console.log("✅ Cama eliminada completamente");
+        console.log("✅ Cama enviada a la papelera");
 
     } catch (error) {
         console.error("❌ Error eliminando cama:", error.message);
@@ -397,6 +622,8 @@ export const camaExists = async (viveroId, camaId) => {
 
 /**
  * Obtiene camas por nombre de planta específico
+ * Si el nombre corresponde a una especie del catálogo (por nombre o alias),
+ * se buscan las camas de esa especie: "Poto" y "poto " dan lo mismo
  * @param {string} nombrePlanta - Nombre de la planta a buscar
  * @param {Object} options - Opciones adicionales
  * @param {string} options.viveroId - Filtrar por vivero específico
@@ -411,36 +638,18 @@ export const getCamasByPlanta = async (nombrePlanta, options = {}) => {
 
         const { viveroId = null, limitResults = 50 } = options;
 
-        console.log("🔍 Buscando camas con planta:", nombrePlanta);
+        console.log("🔍 Buscando camas con planta:", nombrePlanta, viveroId ? `en vivero ${viveroId}` : "");
 
-        if (viveroId) {
-            // Buscar solo en un vivero específico
-            const camasRef = collection(db, "viveros", viveroId, "camas");
-            const q = query(
-                camasRef,
-                where("nombrePlanta", "==", nombrePlanta),
-                orderBy("createdAt", "desc"),
-                limit(limitResults)
-            );
-
-            const querySnapshot = await getDocs(q);
-            const camas = [];
-
-            querySnapshot.forEach((doc) => {
-                camas.push({
-                    id: doc.id,
-                    viveroId: viveroId,
-                    ...doc.data()
-                });
-            });
+        const especie = await findEspecieByNombre(nombrePlanta);
+        const filtro = especie ? { especieId: especie.id } : { nombrePlanta };
 
-            console.log(`✅ ${camas.length} camas encontradas con ${nombrePlanta} en vivero ${viveroId}`);
-            return camas;
+        const camas = await collectPages(
+            (cursor) => getAllCamasPage({ viveroId, ...filtro, pageSize: limitResults, cursor }),
+            limitResults
+        );
 
-        } else {
-            // Buscar en todos los viveros usando getAllCamas
-            return await getAllCamas({ nombrePlanta, limitResults });
-        }
+        console.log(`✅ ${camas.length} camas encontradas con ${nombrePlanta}`);
+        return camas;
 
     } catch (error) {
         console.error("❌ Error buscando camas por planta:", error.message);
@@ -448,54 +657,133 @@ export const getCamasByPlanta = async (nombrePlanta, options = {}) => {
     }
 };
 
+/**
+ * Obtiene las camas de una especie del catálogo
+ * @param {string} especieId - ID de la especie
+ * @param {Object} options - Opciones adicionales
+ * @param {string} options.viveroId - Filtrar por vivero específico
+ * @param {number} options.limitResults - Límite de resultados
+ * @returns {Promise<Array>} Lista de camas de la especie
+ */
+export const getCamasByEspecie = async (especieId, options = {}) => {
+    try {
+        if (!especieId) {
+            throw new Error("especieId es requerido");
+        }
+
+        const { viveroId = null, limitResults = 50 } = options;
+
+        console.log("🔍 Buscando camas de la especie:", especieId, viveroId ? `en vivero ${viveroId}` : "");
+
+        const camas = await collectPages(
+            (cursor) => getAllCamasPage({ viveroId, especieId, pageSize: limitResults, cursor }),
+            limitResults
+        );
+
+        console.log(`✅ ${camas.length} camas encontradas de la especie ${especieId}`);
+        return camas;
+
+    } catch (error) {
+        console.error("❌ Error buscando camas por especie:", error.message);
+        throw new Error(`Error al buscar camas por especie: ${error.message}`);
+    }
+};
+
 /**
  * Actualiza el estado de múltiples camas
+ * Cada cama se valida contra su propio estado actual: las que no pueden
+ * hacer la transición o no cumplen los requisitos se reportan como errores.
+ * Las escrituras se confirman en lotes de hasta 500 operaciones; si un lote
+ * falla, las camas pendientes se reportan como errores
  * @param {string} viveroId - ID del vivero
  * @param {Array<string>} camaIds - Array de IDs de camas
  * @param {string} nuevoEstado - Nuevo estado para las camas
  * @param {string} updatedBy - Email del usuario que actualiza
+ * @param {Object} options - Opciones de ejecución
+ * @param {Object} options.datos - Campos a escribir junto al estado (ej: fechaSiembra)
+ * @param {string} options.motivo - Motivo del cambio de estado
+ * @param {Function} options.onProgress - ({ completed, total }) => void
  * @returns {Promise<Object>} Resultado de la actualización masiva
  */
-export const updateMultipleCamasEstado = async (viveroId, camaIds, nuevoEstado, updatedBy) => {
+export const updateMultipleCamasEstado = async (viveroId, camaIds, nuevoEstado, updatedBy, options = {}) => {
     try {
         if (!viveroId || !Array.isArray(camaIds) || camaIds.length === 0) {
             throw new Error("viveroId y array de camaIds son requeridos");
         }
 
-        console.log(`🔄 Actualizando estado de ${camaIds.length} camas a: ${nuevoEstado}`);
+        const estado = parseEstadoCama(nuevoEstado);
+        const datos = options.datos || {};
 
-        const batch = writeBatch(db);
-        let successCount = 0;
-        let errorCount = 0;
+        console.log(`🔄 Actualizando estado de ${camaIds.length} camas a: ${estado}`);
+
+        const queue = createWriteQueue();
+        const queuedCamaIds = [];
         const errors = [];
 
         for (const camaId of camaIds) {
             try {
                 const camaRef = doc(db, "viveros", viveroId, "camas", camaId);
-                
-                batch.update(camaRef, {
-                    estado: nuevoEstado,
+
+                // Leer el estado actual para el historial de cambios
+                const camaDoc = await getDoc(camaRef);
+                if (!camaDoc.exists()) {
+                    throw new Error(`Cama no encontrada: ${camaId}`);
+                }
+                if (isTrashed(camaDoc.data())) {
+                    throw new Error(`La cama ${camaId} está en la papelera, restáurala primero`);
+                }
+
+                const updatePayload = {
+                    ...datos,
+                    estado,
                     updatedAt: serverTimestamp(),
                     updatedBy
+                };
+                Object.assign(updatePayload, buildEstadoUpdate(camaDoc.data(), updatePayload, updatedBy, options.motivo));
+                Object.assign(updatePayload, buildCicloUpdate(camaDoc.data(), updatePayload, updatedBy));
+
+                // La cama y su entrada de historial van en el mismo lote
+                queue.group((q) => {
+                    q.update(camaRef, updatePayload);
+                    addAuditToBatch(q, {
+                        entidad: AUDIT_ENTIDADES.CAMA,
+                        accion: AUDIT_ACCIONES.ACTUALIZAR,
+                        viveroId,
+                        camaId,
+                        antes: camaDoc.data(),
+                        despues: updatePayload,
+                        actor: updatedBy
+                    });
+                    // Los datos del cambio pueden mover plantas (ej: liberar la cama)
+                    addCamaAggregatesToBatch(q, viveroId, camaDoc.data(), { ...camaDoc.data(), ...updatePayload });
                 });
-
-                successCount++;
+                queuedCamaIds.push(camaId);
             } catch (error) {
-                errorCount++;
                 errors.push({ camaId, error: error.message });
             }
         }
 
-        await batch.commit();
+        let successCount = queuedCamaIds.length;
+
+        if (successCount > 0) {
+            try {
+                await commitWriteQueue(queue, { onProgress: options.onProgress });
+            } catch (error) {
+                // Cada cama es un grupo: resumeFrom es la primera cama sin confirmar
+                const pendientes = queuedCamaIds.slice(error.resumeFrom ?? 0);
+                pendientes.forEach(camaId => errors.push({ camaId, error: error.message }));
+                successCount -= pendientes.length;
+            }
+        }
 
         const result = {
             total: camaIds.length,
             success: successCount,
-            errors: errorCount,
+            errors: errors.length,
             errorDetails: errors
         };
 
-        console.log(`✅ Actualización masiva completada: ${successCount} éxitos, ${errorCount} errores`);
+        console.log(`✅ Actualización masiva completada: ${successCount} éxitos, ${errors.length} errores`);
         return result;
 
     } catch (error) {
@@ -506,6 +794,7 @@ export const updateMultipleCamasEstado = async (viveroId, camaIds, nuevoEstado,
 
 /**
  * Obtiene estadísticas resumidas de camas por vivero
+ * tiempoEnEstados: camas en cada estado y días promedio en él
  * @param {string} viveroId - ID del vivero
  * @returns {Promise<Object>} Estadísticas de camas del vivero
  */
@@ -525,6 +814,7 @@ export const getCamasStatsFromVivero = async (viveroId) => {
             camasLibres: 0,
             totalPlantas: 0,
             estadosCamas: {},
+            tiempoEnEstados: summarizeTiempoEnEstados(camas),
             plantasTipos: {},
             sustratosTipos: {}
         };
@@ -539,14 +829,16 @@ export const getCamasStatsFromVivero = async (viveroId) => {
 
             stats.totalPlantas += cama.cantidadPlantas || 0;
 
-            // Estadísticas por estado
-            const estado = cama.estado || 'sin_estado';
+            // Estadísticas por estado (los valores antiguos cuentan como su equivalente)
+            const estado = normalizeEstadoCama(cama.estado);
             stats.estadosCamas[estado] = (stats.estadosCamas[estado] || 0) + 1;
 
-            // Estadísticas por tipo de planta
-            const planta = cama.nombrePlanta || 'sin_planta';
+            // Estadísticas por tipo de planta (por especie si la cama la tiene)
+            const planta = cama.nombrePlanta ? getPlantaKey(cama) : 'sin_planta';
             if (!stats.plantasTipos[planta]) {
                 stats.plantasTipos[planta] = {
+                    especieId: cama.especieId || null,
+                    nombrePlanta: cama.nombrePlanta?.trim() || 'Sin planta',
                     totalCamas: 0,
                     totalPlantas: 0
                 };
@@ -568,16 +860,98 @@ export const getCamasStatsFromVivero = async (viveroId) => {
     }
 };
 
+// ============================================================================
+// 📡 SUSCRIPCIONES EN TIEMPO REAL
+// ============================================================================
+
+/**
+ * Escucha las camas de un vivero (o su primera página si se indica pageSize)
+ * Las camas en la papelera no se incluyen. El cursor devuelto permite seguir
+ * con getCamasFromViveroPage a partir de la página escuchada
+ * @param {string} viveroId - ID del vivero
+ * @param {Object} options - Opciones de filtrado y de suscripción
+ * @param {string} options.estado - Filtrar por estado específico
+ * @param {string} options.orderBy - Campo para ordenar (desc, default: createdAt)
+ * @param {number} options.pageSize - Escuchar solo las primeras N camas
+ * @param {number} options.pollIntervalMs - Intervalo del sondeo de respaldo
+ * @param {Object} handlers - { onData(camas, { cursor, hasMore }), onError(error), onModeChange(modo) }
+ * @returns {Function} Cancela la suscripción
+ */
+export const subscribeToCamasFromVivero = (viveroId, options = {}, handlers = {}) => {
+    const {
+        estado = null,
+        orderBy: orderField = "createdAt",
+        pageSize = null,
+        pollIntervalMs
+    } = options;
+
+    const camasRef = collection(db, "viveros", viveroId, "camas");
+    const constraints = estado ? [where("estado", "==", estado)] : [];
+    constraints.push(orderBy(orderField, "desc"));
+    if (pageSize) {
+        constraints.push(limit(pageSize));
+    }
+    const q = query(camasRef, ...constraints);
+
+    return subscribeWithFallback(
+        q,
+        {
+            onSnapshot: (querySnapshot) => {
+                const camas = querySnapshot.docs
+                    .filter(camaDoc => !isTrashed(camaDoc.data()))
+                    .map(camaDoc => ({ id: camaDoc.id, ...camaDoc.data() }));
+
+                handlers.onData(camas, {
+                    cursor: querySnapshot.docs[querySnapshot.docs.length - 1] || null,
+                    hasMore: Boolean(pageSize) && querySnapshot.size === pageSize
+                });
+            },
+            onError: handlers.onError,
+            onModeChange: handlers.onModeChange
+        },
+        { pollIntervalMs }
+    );
+};
+
+/**
+ * Escucha una cama; onData recibe null si no existe o está en la papelera
+ * @param {string} viveroId - ID del vivero
+ * @param {string} camaId - ID de la cama
+ * @param {Object} options - Opciones de suscripción
+ * @param {number} options.pollIntervalMs - Intervalo del sondeo de respaldo
+ * @param {Object} handlers - { onData(cama), onError(error), onModeChange(modo) }
+ * @returns {Function} Cancela la suscripción
+ */
+export const subscribeToCama = (viveroId, camaId, options = {}, handlers = {}) => {
+    return subscribeWithFallback(
+        doc(db, "viveros", viveroId, "camas", camaId),
+        {
+            onSnapshot: (camaDoc) => {
+                const existe = camaDoc.exists() && !isTrashed(camaDoc.data());
+                handlers.onData(existe ? { id: camaDoc.id, ...camaDoc.data() } : null);
+            },
+            onError: handlers.onError,
+            onModeChange: handlers.onModeChange
+        },
+        { pollIntervalMs: options.pollIntervalMs }
+    );
+};
+
 // Exports por defecto para facilitar importación
 export default {
     createCama,
     getCama,
     getCamasFromVivero,
+    getCamasFromViveroPage,
+    getAllCamasPage,
     getAllCamas,
+    subscribeToCamasFromVivero,
+    subscribeToCama,
     updateCama,
     deleteCama,
     camaExists,
     getCamasByPlanta,
+    getCamasByEspecie,
     updateMultipleCamasEstado,
     getCamasStatsFromVivero
 };
\ No newline at end of file
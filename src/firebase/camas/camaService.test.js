@@ -0,0 +1,93 @@
+// src/firebase/camas/camaService.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { Timestamp } from "firebase/firestore";
+import { updateMultipleCamasEstado, deleteCama } from "./camaService.js";
+
+const { store } = vi.hoisted(() => ({ store: new Map() }));
+
+vi.mock("firebase/firestore", async (importOriginal) => {
+    const { createFirestoreMemoria } = await import("../../test/firestoreMemoria.js");
+    return createFirestoreMemoria(await importOriginal(), store);
+});
+
+vi.mock("../config.js", () => ({ db: {}, storage: {} }));
+
+const sembrado = new Timestamp(1700000000, 0);
+
+const cama = (datos) => ({
+    viveroId: "v1",
+    estado: "en_produccion",
+    nombrePlanta: "Lavanda",
+    cantidadPlantas: 10,
+    fechaSiembra: sembrado,
+    ...datos
+});
+
+const auditadas = () => [...store.entries()]
+    .filter(([path]) => path.startsWith("historial/"))
+    .map(([, entry]) => entry.camaId);
+
+beforeEach(() => {
+    store.clear();
+    store.set("viveros/v1", { id: "v1", nombre: "Vivero Uno", estadisticas: { totalCamas: 1, totalPlantas: 10 } });
+    store.set("viveros/v1/camas/A1", cama({}));
+    store.set("viveros/v1/camas/A2", cama({ eliminado: true, eliminadoAt: sembrado }));
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    vi.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+    vi.restoreAllMocks();
+});
+
+describe("updateMultipleCamasEstado", () => {
+    it("informa las camas en la papelera como error y no las modifica", async () => {
+        const result = await updateMultipleCamasEstado("v1", ["A1", "A2"], "en_descanso", "a@x.com");
+
+        expect(result).toEqual({
+            total: 2,
+            success: 1,
+            errors: 1,
+            errorDetails: [{ camaId: "A2", error: "La cama A2 está en la papelera, restáurala primero" }]
+        });
+        expect(store.get("viveros/v1/camas/A1").estado).toBe("en_descanso");
+        expect(store.get("viveros/v1/camas/A2").estado).toBe("en_produccion");
+        expect(auditadas()).toEqual(["A1"]);
+    });
+});
+
+describe("deleteCama", () => {
+    const corteReciente = new Timestamp(1702000000, 0);
+    const corteAnterior = new Timestamp(1701000000, 0);
+
+    beforeEach(() => {
+        store.set("viveros/v1", {
+            id: "v1",
+            estadisticas: { totalCamas: 2, totalPlantas: 20, totalCortes: 2, ultimoCorte: corteReciente }
+        });
+        store.set("viveros/v1/camas/A1", cama({ estadisticas: { totalCortes: 1, ultimoCorte: corteReciente } }));
+        store.set("viveros/v1/camas/A3", cama({ estadisticas: { totalCortes: 1, ultimoCorte: corteAnterior } }));
+    });
+
+    it("si la cama tenía el último corte del vivero, pasa al de las demás camas", async () => {
+        await deleteCama("v1", "A1", "a@x.com");
+
+        const { estadisticas } = store.get("viveros/v1");
+        expect(estadisticas.ultimoCorte.isEqual(corteAnterior)).toBe(true);
+        expect(estadisticas).toMatchObject({ totalCamas: 1, totalPlantas: 10, totalCortes: 1 });
+    });
+
+    it("sin otras camas con cortes, el vivero queda sin último corte", async () => {
+        await deleteCama("v1", "A3", "a@x.com");
+        await deleteCama("v1", "A1", "a@x.com");
+
+        expect(store.get("viveros/v1").estadisticas.ultimoCorte).toBeNull();
+    });
+
+    it("si la cama no tenía el último corte, el del vivero no cambia", async () => {
+        await deleteCama("v1", "A3", "a@x.com");
+
+        expect(store.get("viveros/v1").estadisticas.ultimoCorte.isEqual(corteReciente)).toBe(true);
+    });
+});
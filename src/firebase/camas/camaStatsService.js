@@ -1,6 +1,7 @@
 // src/firebase/camas/camaStatsService.js
 import {
     doc,
+    getDoc,
     collection,
     getDocs,
     updateDoc,
@@ -11,6 +12,17 @@ import {
     limit
 } from "firebase/firestore";
 import { db } from "../config.js";
+import { isTrashed } from "../shared/trashService.js";
+import { getPlantaKey } from "../especies/especieService.js";
+import {
+    normalizeEstadoCama,
+    getEstadoCamaLabel,
+    isCamaEnProduccion,
+    getTiempoEnEstados,
+    summarizeTiempoEnEstados
+} from "./camaEstadoService.js";
+import { getCiclosCama, getCicloIdForCorte, getCicloInicioMs } from "./camaCiclosService.js";
+import { getAplicacionesFromCama } from "./aplicacionesService.js";
 
 /**
  * ============================================================================
@@ -21,9 +33,117 @@ import { db } from "../config.js";
  * - Análisis de productividad de esquejes
  * - Estadísticas temporales y comparativas
  * - Resumen de rendimiento por planta
+ * - Tiempo de las camas en cada estado de su ciclo de vida
+ * - Rendimiento por ciclo de cultivo, para comparar especies sin mezclar
+ *   los cortes de cultivos anteriores de la misma cama
+ * - Relación de las aplicaciones de insumos con los esquejes cortados
  * ============================================================================
  */
 
+// ============================================================================
+// 🔧 HELPERS
+// ============================================================================
+
+const DIAS_MES = 30;
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Días antes y después de una aplicación en los que se miden los esquejes
+const VENTANA_APLICACION_DIAS = 14;
+
+const round2 = (valor) => Math.round(valor * 100) / 100;
+
+const toDate = (fecha) => {
+    if (!fecha) return null;
+    return typeof fecha.toDate === "function" ? fecha.toDate() : new Date(fecha);
+};
+
+/**
+ * Clave del período de una fecha para agrupar cortes y aplicaciones
+ * @param {Date} fecha - Fecha a agrupar
+ * @param {string} periodo - 'diario', 'semanal' o 'mensual'
+ */
+const getPeriodoKey = (fecha, periodo) => {
+    switch (periodo) {
+        case 'diario':
+            return `${fecha.getFullYear()}-${String(fecha.getMonth() + 1).padStart(2, '0')}-${String(fecha.getDate()).padStart(2, '0')}`;
+        case 'semanal': {
+            const startOfWeek = new Date(fecha);
+            startOfWeek.setDate(fecha.getDate() - fecha.getDay());
+            return `${startOfWeek.getFullYear()}-S${Math.ceil(startOfWeek.getDate() / 7)}`;
+        }
+        case 'mensual':
+        default:
+            return `${fecha.getFullYear()}-${String(fecha.getMonth() + 1).padStart(2, '0')}`;
+    }
+};
+
+/**
+ * Coeficiente de correlación de Pearson (null sin variación o con menos de 3 pares)
+ */
+const pearson = (xs, ys) => {
+    if (xs.length < 3) return null;
+    const mediaX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+    const mediaY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+    let cov = 0, varX = 0, varY = 0;
+    xs.forEach((x, index) => {
+        cov += (x - mediaX) * (ys[index] - mediaY);
+        varX += (x - mediaX) ** 2;
+        varY += (ys[index] - mediaY) ** 2;
+    });
+    return varX > 0 && varY > 0 ? round2(cov / Math.sqrt(varX * varY)) : null;
+};
+
+/**
+ * Relación entre las aplicaciones de cada tipo y los esquejes de la cama
+ * - Antes/después: esquejes cortados en los VENTANA_APLICACION_DIAS previos
+ *   y siguientes a cada aplicación (solo aplicaciones con la ventana cumplida)
+ * - Correlación: entre aplicaciones de un período y esquejes del siguiente
+ * @param {Array} cortes - Cortes con fecha Date y cantidadEsquejes
+ * @param {Array} aplicaciones - Aplicaciones de la cama y del vivero
+ * @param {Array} tendencias - Períodos ya agrupados, con su conteo de aplicaciones
+ * @param {Date} ahora - Fecha de referencia
+ * @returns {Array<Object>} Una entrada por tipo de aplicación registrado
+ */
+const buildCorrelacionAplicaciones = (cortes, aplicaciones, tendencias, ahora = new Date()) => {
+    const ventanaMs = VENTANA_APLICACION_DIAS * DAY_MS;
+    const esquejesEntre = (desde, hasta) => cortes
+        .filter(corte => corte.fecha >= desde && corte.fecha < hasta)
+        .reduce((sum, corte) => sum + corte.cantidadEsquejes, 0);
+
+    const tipos = [...new Set(aplicaciones.map(aplicacion => aplicacion.tipo))];
+
+    return tipos.map(tipo => {
+        const delTipo = aplicaciones.filter(aplicacion => aplicacion.tipo === tipo);
+        const evaluadas = delTipo
+            .map(aplicacion => toDate(aplicacion.fecha))
+            .filter(fecha => fecha.getTime() + ventanaMs <= ahora.getTime());
+
+        const antes = evaluadas.map(fecha => esquejesEntre(new Date(fecha.getTime() - ventanaMs), fecha));
+        const despues = evaluadas.map(fecha => esquejesEntre(fecha, new Date(fecha.getTime() + ventanaMs)));
+        const promedioAntes = antes.length > 0 ? round2(antes.reduce((a, b) => a + b, 0) / antes.length) : null;
+        const promedioDespues = despues.length > 0 ? round2(despues.reduce((a, b) => a + b, 0) / despues.length) : null;
+
+        // Aplicaciones de un período frente a esquejes del período siguiente
+        const pares = tendencias.slice(0, -1).map((t, index) => [
+            t.aplicaciones.porTipo[tipo] || 0,
+            tendencias[index + 1].totalEsquejes
+        ]);
+
+        return {
+            tipo,
+            ventanaDias: VENTANA_APLICACION_DIAS,
+            totalAplicaciones: delTipo.length,
+            aplicacionesEvaluadas: evaluadas.length,
+            promedioEsquejesAntes: promedioAntes,
+            promedioEsquejesDespues: promedioDespues,
+            variacionPorcentual: promedioAntes > 0
+                ? round2(((promedioDespues - promedioAntes) / promedioAntes) * 100)
+                : null,
+            correlacionPeriodoSiguiente: pearson(pares.map(par => par[0]), pares.map(par => par[1]))
+        };
+    });
+};
+
 /**
  * Calcula estadísticas actualizadas de una cama basada en sus cortes
  * @param {string} viveroId - ID del vivero
@@ -163,6 +283,7 @@ export const getCamasComparativeStats = async (viveroId, options = {}) => {
         const camasSnapshot = await getDocs(camasRef);
 
         const camasStats = [];
+        const camasData = [];
         let totalEsquejesVivero = 0;
         let totalCortesVivero = 0;
 
@@ -171,6 +292,9 @@ export const getCamasComparativeStats = async (viveroId, options = {}) => {
             const camaData = camaDoc.data();
             const camaId = camaDoc.id;
 
+            // Las camas en la papelera no cuentan
+            if (isTrashed(camaData)) continue;
+
             // Calcular o obtener estadísticas actualizadas
             let stats;
             if (!camaData.estadisticas || !camaData.estadisticas.calculadoEn) {
@@ -181,14 +305,16 @@ export const getCamasComparativeStats = async (viveroId, options = {}) => {
 
             const camaInfo = {
                 camaId,
+                especieId: camaData.especieId || null,
                 nombrePlanta: camaData.nombrePlanta,
                 nombreCompleto: camaData.nombreCompleto,
                 cantidadPlantas: camaData.cantidadPlantas || 0,
-                estado: camaData.estado,
+                estado: normalizeEstadoCama(camaData.estado),
                 ...stats
             };
 
             camasStats.push(camaInfo);
+            camasData.push(camaData);
             totalEsquejesVivero += stats.totalEsquejesHistorico || 0;
             totalCortesVivero += stats.totalCortes || 0;
         }
@@ -217,16 +343,18 @@ export const getCamasComparativeStats = async (viveroId, options = {}) => {
             totalEsquejesVivero,
             totalCortesVivero,
             promedioEsquejesPorCama: camasStats.length > 0 ? Math.round((totalEsquejesVivero / camasStats.length) * 100) / 100 : 0,
-            promedioCortePorCama: camasStats.length > 0 ? Math.round((totalCortesVivero / camasStats.length) * 100) / 100 : 0
+            promedioCortePorCama: camasStats.length > 0 ? Math.round((totalCortesVivero / camasStats.length) * 100) / 100 : 0,
+            tiempoEnEstados: summarizeTiempoEnEstados(camasData)
         };
 
-        // Análisis por tipo de planta
+        // Análisis por tipo de planta (por especie del catálogo si la hay)
         const plantasAnalisis = {};
         camasStats.forEach(cama => {
-            const planta = cama.nombrePlanta || 'Sin clasificar';
+            const planta = cama.nombrePlanta ? getPlantaKey(cama) : 'sin_clasificar';
             if (!plantasAnalisis[planta]) {
                 plantasAnalisis[planta] = {
-                    nombrePlanta: planta,
+                    especieId: cama.especieId,
+                    nombrePlanta: cama.nombrePlanta?.trim() || 'Sin clasificar',
                     totalCamas: 0,
                     totalEsquejes: 0,
                     totalCortes: 0,
@@ -275,7 +403,10 @@ export const getCamasComparativeStats = async (viveroId, options = {}) => {
  * @param {Object} options - Opciones de análisis temporal
  * @param {string} options.periodo - Período de análisis ('diario', 'semanal', 'mensual')
  * @param {number} options.ultimosPeriodos - Número de períodos a analizar
- * @returns {Promise<Object>} Tendencias temporales
+ * @param {boolean} options.incluirAplicaciones - Relacionar con las aplicaciones de insumos (default: true)
+ * @returns {Promise<Object>} Tendencias temporales; cada período trae sus
+ *   aplicaciones ({ total, porTipo }) y correlacionAplicaciones resume la
+ *   relación de cada tipo de aplicación con los esquejes
  */
 export const getCamaTrendAnalysis = async (viveroId, camaId, options = {}) => {
     try {
@@ -283,7 +414,7 @@ export const getCamaTrendAnalysis = async (viveroId, camaId, options = {}) => {
             throw new Error("viveroId y camaId son requeridos");
         }
 
-        const { periodo = 'mensual', ultimosPeriodos = 12 } = options;
+        const { periodo = 'mensual', ultimosPeriodos = 12, incluirAplicaciones = true } = options;
 
         console.log("📈 Analizando tendencias de cama:", camaId, "período:", periodo);
 
@@ -311,7 +442,8 @@ export const getCamaTrendAnalysis = async (viveroId, camaId, options = {}) => {
                     totalPeriodos: 0,
                     promedioProgresión: 0,
                     tendenciaGeneral: 'sin_datos'
-                }
+                },
+                correlacionAplicaciones: []
             };
         }
 
@@ -319,29 +451,15 @@ export const getCamaTrendAnalysis = async (viveroId, camaId, options = {}) => {
         const agrupados = {};
         
         cortesData.forEach(corte => {
-            let periodoKey;
             const fecha = corte.fecha;
-
-            switch (periodo) {
-                case 'diario':
-                    periodoKey = `${fecha.getFullYear()}-${String(fecha.getMonth() + 1).padStart(2, '0')}-${String(fecha.getDate()).padStart(2, '0')}`;
-                    break;
-                case 'semanal':
-                    const startOfWeek = new Date(fecha);
-                    startOfWeek.setDate(fecha.getDate() - fecha.getDay());
-                    periodoKey = `${startOfWeek.getFullYear()}-S${Math.ceil(startOfWeek.getDate() / 7)}`;
-                    break;
-                case 'mensual':
-                default:
-                    periodoKey = `${fecha.getFullYear()}-${String(fecha.getMonth() + 1).padStart(2, '0')}`;
-                    break;
-            }
+            const periodoKey = getPeriodoKey(fecha, periodo);
 
             if (!agrupados[periodoKey]) {
                 agrupados[periodoKey] = {
                     periodo: periodoKey,
                     totalEsquejes: 0,
                     totalCortes: 0,
+                    aplicaciones: { total: 0, porTipo: {} },
                     fechaInicio: fecha,
                     fechaFin: fecha
                 };
@@ -359,6 +477,15 @@ export const getCamaTrendAnalysis = async (viveroId, camaId, options = {}) => {
             }
         });
 
+        // Aplicaciones de insumos (de la cama y del vivero) en los mismos períodos
+        const aplicaciones = incluirAplicaciones ? await getAplicacionesFromCama(viveroId, camaId) : [];
+        aplicaciones.forEach(aplicacion => {
+            const grupo = agrupados[getPeriodoKey(toDate(aplicacion.fecha), periodo)];
+            if (!grupo) return;
+            grupo.aplicaciones.total++;
+            grupo.aplicaciones.porTipo[aplicacion.tipo] = (grupo.aplicaciones.porTipo[aplicacion.tipo] || 0) + 1;
+        });
+
         // Convertir a array y ordenar por período
         const tendencias = Object.values(agrupados)
             .sort((a, b) => a.periodo.localeCompare(b.periodo))
@@ -396,6 +523,7 @@ export const getCamaTrendAnalysis = async (viveroId, camaId, options = {}) => {
                 periodoAnalisis: periodo,
                 ultimosPeriodos
             },
+            correlacionAplicaciones: buildCorrelacionAplicaciones(cortesData, aplicaciones, tendencias),
             calculadoEn: new Date()
         };
 
@@ -497,6 +625,8 @@ export const getTopProductiveCamas = async (options = {}) => {
             const viveroId = viveroDoc.id;
             const viveroData = viveroDoc.data();
 
+            if (isTrashed(viveroData)) continue;
+
             const camasRef = collection(db, "viveros", viveroId, "camas");
             const camasSnapshot = await getDocs(camasRef);
 
@@ -505,6 +635,8 @@ export const getTopProductiveCamas = async (options = {}) => {
                 const camaData = camaDoc.data();
                 const camaId = camaDoc.id;
 
+                if (isTrashed(camaData)) continue;
+
                 // Asegurar que las estadísticas estén actualizadas
                 let stats = camaData.estadisticas;
                 if (!stats || !stats.calculadoEn) {
@@ -541,7 +673,7 @@ export const getTopProductiveCamas = async (options = {}) => {
                         nombreCompleto: camaData.nombreCompleto || `${viveroData.nombre} - Cama ${camaId}`,
                         nombrePlanta: camaData.nombrePlanta,
                         cantidadPlantas: camaData.cantidadPlantas || 0,
-                        estado: camaData.estado,
+                        estado: normalizeEstadoCama(camaData.estado),
                         totalEsquejesHistorico: stats.totalEsquejesHistorico || 0,
                         productividadDiaria: stats.productividadDiaria || 0,
                         promedioEsquejesPorCorte: stats.promedioEsquejesPorCorte || 0,
@@ -614,11 +746,20 @@ export const generateCamaPerformanceReport = async (viveroId, camaId) => {
         const statsComparativas = await getCamasComparativeStats(viveroId);
         const posicionEnVivero = statsComparativas.todasLasCamas.findIndex(c => c.camaId === camaId) + 1;
 
+        // Rendimiento de cada ciclo de cultivo
+        const ciclos = buildCiclosStats(camaData, await getCortesCama(viveroId, camaId));
+        const cicloActivo = ciclos.find(ciclo => ciclo.activo) || null;
+
         // Calcular métricas adicionales
         const metricas = {
-            eficienciaPlanta: stats.totalEsquejesHistorico > 0 && camaData.cantidadPlantas > 0
-                ? Math.round((stats.totalEsquejesHistorico / camaData.cantidadPlantas) * 100) / 100
-                : 0,
+            // Esquejes por planta del cultivo actual (sin cortes de ciclos anteriores)
+            eficienciaPlanta: cicloActivo
+                ? cicloActivo.esquejesPorPlanta || 0
+                : stats.totalEsquejesHistorico > 0 && camaData.cantidadPlantas > 0
+                    ? Math.round((stats.totalEsquejesHistorico / camaData.cantidadPlantas) * 100) / 100
+                    : 0,
+
+            esquejesPorPlantaMes: cicloActivo?.esquejesPorPlantaMes ?? null,
             
             diasEnProduccion: stats.fechaPrimerCorte && stats.ultimoCorte
                 ? Math.ceil((stats.ultimoCorte.toDate() - stats.fechaPrimerCorte.toDate()) / (1000 * 60 * 60 * 24))
@@ -626,7 +767,9 @@ export const generateCamaPerformanceReport = async (viveroId, camaId) => {
                 
             frecuenciaCorte: stats.totalCortes > 1 && stats.fechaPrimerCorte && stats.ultimoCorte
                 ? Math.round((stats.totalCortes - 1) / Math.max(1, Math.ceil((stats.ultimoCorte.toDate() - stats.fechaPrimerCorte.toDate()) / (1000 * 60 * 60 * 24))) * 30 * 100) / 100
-                : 0
+                : 0,
+
+            tiempoEnEstados: getTiempoEnEstados(camaData)
         };
 
         // Determinar nivel de rendimiento
@@ -647,7 +790,7 @@ export const generateCamaPerformanceReport = async (viveroId, camaId) => {
                 nombreCompleto: camaData.nombreCompleto,
                 nombrePlanta: camaData.nombrePlanta,
                 cantidadPlantas: camaData.cantidadPlantas,
-                estado: camaData.estado,
+                estado: normalizeEstadoCama(camaData.estado),
                 sustrato: camaData.sustrato,
                 fechaSiembra: camaData.fechaSiembra,
                 fechaEstimadaCosecha: camaData.fechaEstimadaCosecha
@@ -662,6 +805,9 @@ export const generateCamaPerformanceReport = async (viveroId, camaId) => {
             // Análisis de tendencias
             tendencias: tendenciasMensual,
 
+            // Rendimiento por ciclo de cultivo
+            ciclos,
+
             // Contexto comparativo
             contexto: {
                 posicionEnVivero,
@@ -692,6 +838,163 @@ export const generateCamaPerformanceReport = async (viveroId, camaId) => {
     }
 };
 
+// ============================================================================
+// 🌱 RENDIMIENTO POR CICLO DE CULTIVO
+// ============================================================================
+
+/**
+ * Lee todos los cortes de una cama del más antiguo al más reciente
+ */
+const getCortesCama = async (viveroId, camaId) => {
+    const cortesRef = collection(db, "viveros", viveroId, "camas", camaId, "cortes_esquejes");
+    const cortesSnapshot = await getDocs(query(cortesRef, orderBy("fecha", "asc")));
+    return cortesSnapshot.docs.map(corteDoc => ({ id: corteDoc.id, ...corteDoc.data() }));
+};
+
+/**
+ * Rendimiento de cada ciclo de una cama con sus cortes ya cargados
+ * @param {Object} camaData - Datos de la cama
+ * @param {Array} cortes - Cortes de la cama
+ * @param {Date} ahora - Fin de los ciclos abiertos (default: ahora)
+ * @returns {Array<Object>} Un resumen por ciclo, del primero al último
+ */
+const buildCiclosStats = (camaData, cortes, ahora = new Date()) => {
+    return getCiclosCama(camaData).map(ciclo => {
+        const delCiclo = cortes.filter(corte => getCicloIdForCorte(camaData, corte) === ciclo.id);
+        const totalEsquejes = delCiclo.reduce((sum, corte) => sum + (corte.cantidadEsquejes || 0), 0);
+        const inicioMs = getCicloInicioMs(ciclo);
+        const fin = toDate(ciclo.fechaFin) || ahora;
+        const diasCiclo = inicioMs !== null ? Math.max(1, (fin.getTime() - inicioMs) / DAY_MS) : null;
+        const plantas = ciclo.cantidadPlantas || 0;
+
+        return {
+            cicloId: ciclo.id,
+            numero: ciclo.numero,
+            especieId: ciclo.especieId || null,
+            nombrePlanta: ciclo.nombrePlanta,
+            plantaKey: ciclo.nombrePlanta ? getPlantaKey(ciclo) : "sin_clasificar",
+            cantidadPlantas: plantas,
+            sustrato: ciclo.sustrato,
+            tarroSize: ciclo.tarroSize,
+            tarroUnidad: ciclo.tarroUnidad,
+            fechaSiembra: toDate(ciclo.fechaSiembra),
+            fechaFin: toDate(ciclo.fechaFin),
+            motivoFin: ciclo.motivoFin || null,
+            activo: !ciclo.fechaFin,
+            diasCiclo: diasCiclo !== null ? Math.round(diasCiclo) : null,
+            totalCortes: delCiclo.length,
+            totalEsquejes,
+            promedioEsquejesPorCorte: delCiclo.length > 0 ? round2(totalEsquejes / delCiclo.length) : 0,
+            esquejesPorPlanta: plantas > 0 ? round2(totalEsquejes / plantas) : null,
+            esquejesPorPlantaMes: plantas > 0 && diasCiclo
+                ? round2(totalEsquejes / plantas / (diasCiclo / DIAS_MES))
+                : null,
+            primerCorte: delCiclo.length > 0 ? toDate(delCiclo[0].fecha) : null,
+            ultimoCorte: delCiclo.length > 0 ? toDate(delCiclo[delCiclo.length - 1].fecha) : null
+        };
+    });
+};
+
+/**
+ * Rendimiento de cada ciclo de cultivo de una cama
+ * @param {string} viveroId - ID del vivero
+ * @param {string} camaId - ID de la cama
+ * @returns {Promise<Array>} Resumen por ciclo (planta, plantas, duración,
+ *   cortes, esquejes, esquejes por planta y por planta al mes)
+ */
+export const getCiclosStats = async (viveroId, camaId) => {
+    try {
+        if (!viveroId || !camaId) {
+            throw new Error("viveroId y camaId son requeridos");
+        }
+
+        console.log("🌱 Calculando rendimiento por ciclo de cama:", camaId);
+
+        const camaDoc = await getDoc(doc(db, "viveros", viveroId, "camas", camaId));
+        if (!camaDoc.exists()) {
+            throw new Error(`Cama no encontrada: ${camaId} en vivero ${viveroId}`);
+        }
+
+        const cortes = await getCortesCama(viveroId, camaId);
+        return buildCiclosStats(camaDoc.data(), cortes);
+
+    } catch (error) {
+        console.error("❌ Error calculando rendimiento por ciclo:", error.message);
+        throw new Error(`Error al calcular rendimiento por ciclo: ${error.message}`);
+    }
+};
+
+/**
+ * Compara especies de un vivero por el rendimiento de sus ciclos
+ * Cada ciclo cuenta solo con sus propios cortes, plantas y duración, así una
+ * cama replantada no suma los esquejes del cultivo anterior a la planta nueva
+ * @param {string} viveroId - ID del vivero
+ * @returns {Promise<Array>} [{ plantaKey, especieId, nombrePlanta, totalCiclos,
+ *   ciclosActivos, totalCamas, totalEsquejes, esquejesPorPlantaMes, ciclos }]
+ *   ordenado por esquejes por planta al mes
+ */
+export const getEspeciesRendimientoPorCiclo = async (viveroId) => {
+    try {
+        if (!viveroId) {
+            throw new Error("viveroId es requerido");
+        }
+
+        console.log("🌱 Comparando especies por ciclo en vivero:", viveroId);
+
+        const camasSnapshot = await getDocs(collection(db, "viveros", viveroId, "camas"));
+        const camas = camasSnapshot.docs
+            .map(camaDoc => ({ id: camaDoc.id, ...camaDoc.data() }))
+            .filter(cama => !isTrashed(cama));
+
+        const cortesPorCama = await Promise.all(camas.map(cama => getCortesCama(viveroId, cama.id)));
+
+        const especies = {};
+        camas.forEach((cama, index) => {
+            buildCiclosStats(cama, cortesPorCama[index]).forEach(ciclo => {
+                if (!especies[ciclo.plantaKey]) {
+                    especies[ciclo.plantaKey] = {
+                        plantaKey: ciclo.plantaKey,
+                        especieId: ciclo.especieId,
+                        nombrePlanta: ciclo.nombrePlanta?.trim() || "Sin clasificar",
+                        totalCiclos: 0,
+                        ciclosActivos: 0,
+                        camas: new Set(),
+                        totalEsquejes: 0,
+                        plantasMes: 0,
+                        ciclos: []
+                    };
+                }
+
+                const especie = especies[ciclo.plantaKey];
+                especie.totalCiclos++;
+                if (ciclo.activo) especie.ciclosActivos++;
+                especie.camas.add(cama.id);
+                especie.totalEsquejes += ciclo.totalEsquejes;
+                // Plantas × meses de cultivo: pondera cada ciclo por su tamaño y duración
+                if (ciclo.cantidadPlantas > 0 && ciclo.diasCiclo) {
+                    especie.plantasMes += ciclo.cantidadPlantas * (ciclo.diasCiclo / DIAS_MES);
+                }
+                especie.ciclos.push({ camaId: cama.id, nombreCompleto: cama.nombreCompleto, ...ciclo });
+            });
+        });
+
+        const result = Object.values(especies)
+            .map(({ camas: camasEspecie, plantasMes, ...especie }) => ({
+                ...especie,
+                totalCamas: camasEspecie.size,
+                esquejesPorPlantaMes: plantasMes > 0 ? round2(especie.totalEsquejes / plantasMes) : null
+            }))
+            .sort((a, b) => (b.esquejesPorPlantaMes ?? -1) - (a.esquejesPorPlantaMes ?? -1));
+
+        console.log(`✅ Rendimiento por ciclo calculado: ${result.length} especies`);
+        return result;
+
+    } catch (error) {
+        console.error("❌ Error comparando especies por ciclo:", error.message);
+        throw new Error(`Error al comparar especies por ciclo: ${error.message}`);
+    }
+};
+
 /**
  * Genera recomendaciones básicas basadas en el rendimiento de la cama
  * @param {Object} camaData - Datos básicos de la cama
@@ -737,11 +1040,13 @@ const generateRecommendations = (camaData, stats, metricas, tendencias) => {
     }
 
     // Recomendaciones por estado
-    if (camaData.estado !== 'activa') {
+    if (!isCamaEnProduccion(camaData)) {
+        const dias = metricas.tiempoEnEstados.diasEnEstadoActual;
+        const desde = dias !== null ? ` desde hace ${Math.round(dias)} días` : '';
         recomendaciones.push({
             tipo: 'estado',
             prioridad: 'media',
-            mensaje: `La cama está en estado "${camaData.estado}". Considere activarla si está lista para producción.`
+            mensaje: `La cama está ${getEstadoCamaLabel(camaData.estado).toLowerCase()}${desde}. Pásela a producción cuando esté lista para cortar.`
         });
     }
 
@@ -764,5 +1069,7 @@ export default {
     getCamaTrendAnalysis,
     recalculateMultipleCamasStats,
     getTopProductiveCamas,
-    generateCamaPerformanceReport
+    generateCamaPerformanceReport,
+    getCiclosStats,
+    getEspeciesRendimientoPorCiclo
 };
\ No newline at end of file
@@ -1,21 +1,26 @@
 // src/firebase/camas/cortesService.js
 import {
     doc,
-    setDoc,
     getDoc,
     collection,
+    collectionGroup,
     getDocs,
-    updateDoc,
-    deleteDoc,
     serverTimestamp,
     query,
     orderBy,
     where,
     limit,
-    writeBatch,
+    runTransaction,
     Timestamp
 } from "firebase/firestore";
 import { db } from "../config.js";
+import { addAuditToBatch, AUDIT_ENTIDADES, AUDIT_ACCIONES } from "../shared/auditService.js";
+import { isTrashed, getTrashedKeys } from "../shared/trashService.js";
+import { createWriteQueue, commitWriteQueue } from "../shared/batchService.js";
+import { addCorteAggregatesToBatch, getUltimoCorteFecha, getUltimoCorteViveroFecha } from "../shared/aggregateService.js";
+import { fetchPage, collectPages, DEFAULT_PAGE_SIZE } from "../shared/paginationService.js";
+import { subscribeWithFallback } from "../shared/realtimeService.js";
+import { getCicloIdForFecha } from "./camaCiclosService.js";
 
 /**
  * ============================================================================
@@ -26,11 +31,19 @@ import { db } from "../config.js";
  * - Tracking dinámico de producción
  * - Validaciones de datos y fechas
  * - Operaciones de lote para múltiples cortes
+ * - Estadísticas de cama y vivero actualizadas en la misma escritura
+ * - Cada corte queda asociado (cicloId) al ciclo de cultivo de su fecha
+ * - Cada corte guarda viveroId y camaId: los listados por vivero son una
+ *   sola consulta de grupo de colecciones (migrateCortesUbicacion completa
+ *   los cortes anteriores)
+ * - Fotos del lote cortado: se suben antes (uploadFoto) y el corte guarda
+ *   sus referencias, así la creación sigue siendo encolable sin conexión
  * ============================================================================
  */
 
 /**
  * Crea un nuevo corte de esquejes en una cama específica
+ * La cama no puede estar en la papelera
  * @param {string} viveroId - ID del vivero
  * @param {string} camaId - ID de la cama
  * @param {Object} corteData - Datos del corte
@@ -38,12 +51,15 @@ import { db } from "../config.js";
  * @param {number} corteData.cantidadEsquejes - Cantidad de esquejes cortados
  * @param {string} corteData.observaciones - Observaciones del corte
  * @param {string} corteData.responsable - Nombre del responsable del corte
+ * @param {Array<Object>} corteData.fotos - Fotos ya subidas con uploadFoto (opcional)
+ * @param {string} corteData.id - ID asignado de antemano (cola offline); si ese
+ *   corte ya existe no se vuelve a crear
  * @param {string} createdBy - Email del usuario que registra el corte
  * @returns {Promise<string>} ID del corte creado
  */
 export const createCorte = async (viveroId, camaId, corteData, createdBy) => {
     try {
-        const { fecha, cantidadEsquejes, observaciones, responsable } = corteData;
+        const { id, fecha, cantidadEsquejes, observaciones, responsable, fotos } = corteData;
 
         // Validar datos requeridos
         if (!viveroId || !camaId) {
@@ -61,31 +77,79 @@ export const createCorte = async (viveroId, camaId, corteData, createdBy) => {
         if (!camaDoc.exists()) {
             throw new Error(`Cama no encontrada: ${camaId} en vivero ${viveroId}`);
         }
+        if (isTrashed(camaDoc.data())) {
+            throw new Error(`La cama ${camaId} está en la papelera, restáurala primero`);
+        }
 
         // Convertir fecha si es necesario
         const fechaTimestamp = fecha instanceof Timestamp ? fecha : Timestamp.fromDate(new Date(fecha));
 
-        // Generar ID único para el corte basado en fecha y timestamp
-        const fechaStr = fechaTimestamp.toDate().toISOString().split('T')[0].replace(/-/g, '');
-        const timeStr = Date.now().toString().slice(-3);
-        const corteId = `corte_${fechaStr}_${timeStr}`;
+        // ID automático de Firestore: dos cortes de la misma fecha no pueden chocar
+        const cortesRef = collection(db, "viveros", viveroId, "camas", camaId, "cortes_esquejes");
+        const corteRef = id ? doc(cortesRef, id) : doc(cortesRef);
+        const corteId = corteRef.id;
 
         console.log("✂️ Creando nuevo corte:", corteId, "- Esquejes:", cantidadEsquejes);
 
         // Estructura del corte según documentación v2.0
         const corteDocument = {
             id: corteId,
+            viveroId,
+            camaId,
             fecha: fechaTimestamp,
             cantidadEsquejes: parseInt(cantidadEsquejes),
             observaciones: observaciones || "",
             responsable: responsable || "",
+            fotos: Array.isArray(fotos) ? fotos : [],
+            cicloId: getCicloIdForFecha(camaDoc.data(), fechaTimestamp),
             createdAt: serverTimestamp(),
             createdBy
         };
 
-        // Crear el corte
-        const corteRef = doc(db, "viveros", viveroId, "camas", camaId, "cortes_esquejes", corteId);
-        await setDoc(corteRef, corteDocument);
+        // Crear el corte, registrar la creación en el historial y sumar
+        // a las estadísticas de la cama y del vivero
+        const viveroRef = doc(db, "viveros", viveroId);
+        const yaRegistrado = await runTransaction(db, async (transaction) => {
+            const camaActual = await transaction.get(camaRef);
+            const viveroActual = await transaction.get(viveroRef);
+            const corteActual = await transaction.get(corteRef);
+            if (!camaActual.exists()) {
+                throw new Error(`Cama no encontrada: ${camaId} en vivero ${viveroId}`);
+            }
+            if (isTrashed(camaActual.data())) {
+                throw new Error(`La cama ${camaId} está en la papelera, restáurala primero`);
+            }
+            // set() reemplazaría el corte existente y lo contaría dos veces; con
+            // un ID asignado de antemano es un reintento que ya llegó al servidor
+            if (corteActual.exists()) {
+                if (id) return true;
+                throw new Error(`Ya existe un corte con ID: ${corteId}`);
+            }
+
+            transaction.set(corteRef, corteDocument);
+            addAuditToBatch(transaction, {
+                entidad: AUDIT_ENTIDADES.CORTE,
+                accion: AUDIT_ACCIONES.CREAR,
+                viveroId,
+                camaId,
+                corteId,
+                despues: corteDocument,
+                actor: createdBy
+            });
+            addCorteAggregatesToBatch(transaction, {
+                viveroId,
+                camaId,
+                camaData: camaActual.data(),
+                viveroData: viveroActual.data(),
+                despues: corteDocument
+            });
+            return false;
+        });
+
+        if (yaRegistrado) {
+            console.log("ℹ️ El corte ya estaba registrado:", corteId);
+            return corteId;
+        }
 
         console.log("✅ Corte creado exitosamente:", corteId);
         return corteId;
@@ -190,6 +254,92 @@ export const getCortesFromCama = async (viveroId, camaId, options = {}) => {
     }
 };
 
+/**
+ * Obtiene una página de cortes de una cama (paginación por cursor)
+ * @param {string} viveroId - ID del vivero
+ * @param {string} camaId - ID de la cama
+ * @param {Object} options - Opciones de filtrado y paginación
+ * @param {Date} options.fechaDesde - Filtrar desde fecha
+ * @param {Date} options.fechaHasta - Filtrar hasta fecha
+ * @param {string} options.orderBy - Campo para ordenar ('fecha', 'cantidadEsquejes')
+ * @param {string} options.orderDirection - Dirección del orden ('asc', 'desc')
+ * @param {number} options.pageSize - Cortes por página (default: 50)
+ * @param {DocumentSnapshot} options.cursor - Cursor de la página anterior
+ * @returns {Promise<Object>} { items, cursor, hasMore }
+ */
+export const getCortesFromCamaPage = async (viveroId, camaId, options = {}) => {
+    try {
+        if (!viveroId || !camaId) {
+            throw new Error("viveroId y camaId son requeridos");
+        }
+
+        const {
+            fechaDesde = null,
+            fechaHasta = null,
+            orderBy: orderField = "fecha",
+            orderDirection = "desc",
+            pageSize = DEFAULT_PAGE_SIZE,
+            cursor = null
+        } = options;
+
+        console.log("📋 Obteniendo página de cortes de cama:", camaId, "en vivero:", viveroId);
+
+        const constraints = [];
+        if (fechaDesde) {
+            constraints.push(where("fecha", ">=", Timestamp.fromDate(new Date(fechaDesde))));
+        }
+        if (fechaHasta) {
+            constraints.push(where("fecha", "<=", Timestamp.fromDate(new Date(fechaHasta))));
+        }
+
+        const cortesRef = collection(db, "viveros", viveroId, "camas", camaId, "cortes_esquejes");
+        const q = query(cortesRef, ...constraints, orderBy(orderField, orderDirection));
+
+        const page = await fetchPage(q, { pageSize, cursor });
+
+        console.log(`✅ ${page.items.length} cortes obtenidos de la cama ${camaId}${page.hasMore ? " (hay más)" : ""}`);
+        return page;
+
+    } catch (error) {
+        console.error("❌ Error obteniendo página de cortes de la cama:", error.message);
+        throw new Error(`Error al obtener cortes: ${error.message}`);
+    }
+};
+
+/**
+ * Escucha los cortes más recientes de una cama (primera página del historial)
+ * El cursor devuelto permite seguir con getCortesFromCamaPage
+ * @param {string} viveroId - ID del vivero
+ * @param {string} camaId - ID de la cama
+ * @param {Object} options - Opciones de la consulta y de suscripción
+ * @param {number} options.pageSize - Cortes escuchados (default: 50)
+ * @param {number} options.pollIntervalMs - Intervalo del sondeo de respaldo
+ * @param {Object} handlers - { onData(cortes, { cursor, hasMore }), onError(error), onModeChange(modo) }
+ * @returns {Function} Cancela la suscripción
+ */
+export const subscribeToCortesFromCama = (viveroId, camaId, options = {}, handlers = {}) => {
+    const { pageSize = DEFAULT_PAGE_SIZE, pollIntervalMs } = options;
+
+    const cortesRef = collection(db, "viveros", viveroId, "camas", camaId, "cortes_esquejes");
+    const q = query(cortesRef, orderBy("fecha", "desc"), limit(pageSize));
+
+    return subscribeWithFallback(
+        q,
+        {
+            onSnapshot: (querySnapshot) => {
+                const cortes = querySnapshot.docs.map(corteDoc => ({ id: corteDoc.id, ...corteDoc.data() }));
+                handlers.onData(cortes, {
+                    cursor: querySnapshot.docs[querySnapshot.docs.length - 1] || null,
+                    hasMore: querySnapshot.size === pageSize
+                });
+            },
+            onError: handlers.onError,
+            onModeChange: handlers.onModeChange
+        },
+        { pollIntervalMs }
+    );
+};
+
 /**
  * Obtiene todos los cortes de un vivero (de todas sus camas)
  * @param {string} viveroId - ID del vivero
@@ -215,50 +365,18 @@ export const getCortesFromVivero = async (viveroId, options = {}) => {
 
         console.log("🌍 Obteniendo todos los cortes del vivero:", viveroId);
 
-        // Obtener todas las camas del vivero
-        const camasRef = collection(db, "viveros", viveroId, "camas");
-        const camasSnapshot = await getDocs(camasRef);
-
-        const todosLosCortes = [];
-
-        // Para cada cama, obtener sus cortes
-        for (const camaDoc of camasSnapshot.docs) {
-            const camaId = camaDoc.id;
-            const camaData = camaDoc.data();
-
-            try {
-                const cortesCama = await getCortesFromCama(viveroId, camaId, {
-                    fechaDesde,
-                    fechaHasta,
-                    limitResults: null // Obtenemos todos y luego limitamos globalmente
-                });
-
-                // Agregar información de la cama a cada corte
-                cortesCama.forEach(corte => {
-                    if (!responsable || corte.responsable === responsable) {
-                        todosLosCortes.push({
-                            ...corte,
-                            camaId,
-                            viveroId,
-                            nombrePlanta: camaData.nombrePlanta,
-                            nombreCompleto: camaData.nombreCompleto
-                        });
-                    }
-                });
-            } catch (error) {
-                console.warn(`⚠️ Error obteniendo cortes de cama ${camaId}:`, error.message);
-                continue;
-            }
-        }
+        // Una consulta de grupo de colecciones por viveroId; el responsable se
+        // filtra en cliente, así que en ese caso se leen todos antes de limitar
+        const cortes = await getAllCortes({
+            viveroId,
+            fechaDesde,
+            fechaHasta,
+            limitResults: responsable ? Infinity : limitResults
+        });
 
-        // Ordenar por fecha (más reciente primero) y aplicar límite
-        const cortesOrdenados = todosLosCortes
-            .sort((a, b) => {
-                const fechaA = a.fecha?.toDate() || new Date(0);
-                const fechaB = b.fecha?.toDate() || new Date(0);
-                return fechaB - fechaA;
-            })
-            .slice(0, limitResults);
+        const cortesOrdenados = responsable
+            ? cortes.filter(corte => corte.responsable === responsable).slice(0, limitResults)
+            : cortes;
 
         console.log(`✅ ${cortesOrdenados.length} cortes obtenidos del vivero ${viveroId}`);
         return cortesOrdenados;
@@ -271,6 +389,7 @@ export const getCortesFromVivero = async (viveroId, options = {}) => {
 
 /**
  * Actualiza un corte existente
+ * La cama no puede estar en la papelera
  * @param {string} viveroId - ID del vivero
  * @param {string} camaId - ID de la cama
  * @param {string} corteId - ID del corte
@@ -284,13 +403,17 @@ export const updateCorte = async (viveroId, camaId, corteId, updateData, updated
             throw new Error("viveroId, camaId y corteId son requeridos");
         }
 
-        const corteRef = doc(db, "viveros", viveroId, "camas", camaId, "cortes_esquejes", corteId);
+        const camaRef = doc(db, "viveros", viveroId, "camas", camaId);
+        const corteRef = doc(camaRef, "cortes_esquejes", corteId);
 
-        // Verificar que el corte existe
-        const corteDoc = await getDoc(corteRef);
+        // Verificar que el corte existe y que su cama no está en la papelera
+        const [camaDoc, corteDoc] = await Promise.all([getDoc(camaRef), getDoc(corteRef)]);
         if (!corteDoc.exists()) {
             throw new Error(`Corte no encontrado: ${corteId}`);
         }
+        if (isTrashed(camaDoc.data())) {
+            throw new Error(`La cama ${camaId} está en la papelera, restáurala primero`);
+        }
 
         console.log("🔄 Actualizando corte:", corteId);
 
@@ -305,6 +428,7 @@ export const updateCorte = async (viveroId, camaId, corteId, updateData, updated
         delete updatePayload.id;
         delete updatePayload.createdAt;
         delete updatePayload.createdBy;
+        delete updatePayload.cicloId;
 
         // Convertir fecha si se está actualizando
         if (updateData.fecha && !(updateData.fecha instanceof Timestamp)) {
@@ -320,7 +444,54 @@ export const updateCorte = async (viveroId, camaId, corteId, updateData, updated
             updatePayload.cantidadEsquejes = cantidad;
         }
 
-        await updateDoc(corteRef, updatePayload);
+        // Si cambia la fecha y era el último corte, hace falta el siguiente
+        // (de la cama y, si la cama tenía el último del vivero, del vivero)
+        const [ultimoCorteRestante, ultimoCorteViveroRestante] = updatePayload.fecha
+            ? await Promise.all([
+                getUltimoCorteFecha(viveroId, camaId, corteId),
+                getUltimoCorteViveroFecha(viveroId, camaId)
+            ])
+            : [null, null];
+
+        const viveroRef = doc(db, "viveros", viveroId);
+        await runTransaction(db, async (transaction) => {
+            const camaActual = await transaction.get(camaRef);
+            const viveroActual = await transaction.get(viveroRef);
+            const corteActual = await transaction.get(corteRef);
+            if (!corteActual.exists()) {
+                throw new Error(`Corte no encontrado: ${corteId}`);
+            }
+            if (isTrashed(camaActual.data())) {
+                throw new Error(`La cama ${camaId} está en la papelera, restáurala primero`);
+            }
+
+            // Con otra fecha el corte puede pasar a otro ciclo de la cama
+            if (updatePayload.fecha) {
+                updatePayload.cicloId = getCicloIdForFecha(camaActual.data(), updatePayload.fecha);
+            }
+
+            transaction.update(corteRef, updatePayload);
+            addAuditToBatch(transaction, {
+                entidad: AUDIT_ENTIDADES.CORTE,
+                accion: AUDIT_ACCIONES.ACTUALIZAR,
+                viveroId,
+                camaId,
+                corteId,
+                antes: corteActual.data(),
+                despues: updatePayload,
+                actor: updatedBy
+            });
+            addCorteAggregatesToBatch(transaction, {
+                viveroId,
+                camaId,
+                camaData: camaActual.data(),
+                viveroData: viveroActual.data(),
+                antes: corteActual.data(),
+                despues: { ...corteActual.data(), ...updatePayload },
+                ultimoCorteRestante,
+                ultimoCorteViveroRestante
+            });
+        });
 
         console.log("✅ Corte actualizado exitosamente");
 
@@ -335,9 +506,10 @@ export const updateCorte = async (viveroId, camaId, corteId, updateData, updated
  * @param {string} viveroId - ID del vivero
  * @param {string} camaId - ID de la cama
  * @param {string} corteId - ID del corte a eliminar
+ * @param {string} deletedBy - Email del usuario que elimina
  * @returns {Promise<void>}
  */
-export const deleteCorte = async (viveroId, camaId, corteId) => {
+export const deleteCorte = async (viveroId, camaId, corteId, deletedBy = null) => {
     try {
         if (!viveroId || !camaId || !corteId) {
             throw new Error("viveroId, camaId y corteId son requeridos");
@@ -353,7 +525,42 @@ export const deleteCorte = async (viveroId, camaId, corteId) => {
             throw new Error(`Corte no encontrado: ${corteId}`);
         }
 
-        await deleteDoc(corteRef);
+        const [ultimoCorteRestante, ultimoCorteViveroRestante] = await Promise.all([
+            getUltimoCorteFecha(viveroId, camaId, corteId),
+            getUltimoCorteViveroFecha(viveroId, camaId)
+        ]);
+
+        // El documento completo queda en el historial para poder recuperarlo
+        const camaRef = doc(db, "viveros", viveroId, "camas", camaId);
+        const viveroRef = doc(db, "viveros", viveroId);
+        await runTransaction(db, async (transaction) => {
+            const camaActual = await transaction.get(camaRef);
+            const viveroActual = await transaction.get(viveroRef);
+            const corteActual = await transaction.get(corteRef);
+            if (!corteActual.exists()) {
+                throw new Error(`Corte no encontrado: ${corteId}`);
+            }
+
+            transaction.delete(corteRef);
+            addAuditToBatch(transaction, {
+                entidad: AUDIT_ENTIDADES.CORTE,
+                accion: AUDIT_ACCIONES.ELIMINAR,
+                viveroId,
+                camaId,
+                corteId,
+                antes: corteActual.data(),
+                actor: deletedBy
+            });
+            addCorteAggregatesToBatch(transaction, {
+                viveroId,
+                camaId,
+                camaData: camaActual.data(),
+                viveroData: viveroActual.data(),
+                antes: corteActual.data(),
+                ultimoCorteRestante,
+                ultimoCorteViveroRestante
+            });
+        });
 
         console.log("✅ Corte eliminado exitosamente");
 
@@ -365,13 +572,19 @@ export const deleteCorte = async (viveroId, camaId, corteId) => {
 
 /**
  * Crea múltiples cortes de una sola vez (operación de lote)
+ * Las escrituras se confirman en lotes de hasta 500 operaciones; si un lote
+ * falla, los cortes pendientes se reportan como errores
  * @param {string} viveroId - ID del vivero
  * @param {string} camaId - ID de la cama
- * @param {Array<Object>} cortesData - Array de datos de cortes
+ * @param {Array<Object>} cortesData - Array de datos de cortes; cada corte puede
+ *   traer su propio id (importaciones idempotentes; si ya existe es un error),
+ *   si no se usa un ID automático
  * @param {string} createdBy - Email del usuario que crea los cortes
+ * @param {Object} options - Opciones de ejecución
+ * @param {Function} options.onProgress - ({ completed, total }) => void
  * @returns {Promise<Object>} Resultado de la operación de lote
  */
-export const createMultipleCortes = async (viveroId, camaId, cortesData, createdBy) => {
+export const createMultipleCortes = async (viveroId, camaId, cortesData, createdBy, options = {}) => {
     try {
         if (!viveroId || !camaId || !Array.isArray(cortesData) || cortesData.length === 0) {
             throw new Error("viveroId, camaId y array de cortesData son requeridos");
@@ -379,11 +592,9 @@ export const createMultipleCortes = async (viveroId, camaId, cortesData, created
 
         console.log(`✂️ Creando ${cortesData.length} cortes en lote para cama: ${camaId}`);
 
-        const batch = writeBatch(db);
-        let successCount = 0;
-        let errorCount = 0;
+        const queue = createWriteQueue();
         const errors = [];
-        const createdIds = [];
+        const queuedCortes = [];
 
         // Verificar que la cama existe antes de procesar todos los cortes
         const camaRef = doc(db, "viveros", viveroId, "camas", camaId);
@@ -392,59 +603,105 @@ export const createMultipleCortes = async (viveroId, camaId, cortesData, created
         if (!camaDoc.exists()) {
             throw new Error(`Cama no encontrada: ${camaId} en vivero ${viveroId}`);
         }
+        if (isTrashed(camaDoc.data())) {
+            throw new Error(`La cama ${camaId} está en la papelera, restáurala primero`);
+        }
+
+        // Las estadísticas se arrastran corte a corte: los grupos se confirman en orden
+        let camaData = camaDoc.data();
+        let viveroData = (await getDoc(doc(db, "viveros", viveroId))).data() || {};
 
         for (const [index, corteData] of cortesData.entries()) {
             try {
-                const { fecha, cantidadEsquejes, observaciones, responsable } = corteData;
+                const { id, fecha, cantidadEsquejes, observaciones, responsable } = corteData;
 
                 // Validar cada corte
                 if (!fecha || !cantidadEsquejes || cantidadEsquejes <= 0) {
                     throw new Error(`Corte ${index + 1}: Fecha y cantidad válida de esquejes son requeridos`);
                 }
 
-                // Generar ID único
                 const fechaTimestamp = fecha instanceof Timestamp ? fecha : Timestamp.fromDate(new Date(fecha));
-                const fechaStr = fechaTimestamp.toDate().toISOString().split('T')[0].replace(/-/g, '');
-                const timeStr = Date.now().toString().slice(-3) + index.toString().padStart(2, '0');
-                const corteId = `corte_${fechaStr}_${timeStr}`;
+
+                // Sin id propio, ID automático; con id, no debe existir (set() lo reemplazaría)
+                const cortesRef = collection(db, "viveros", viveroId, "camas", camaId, "cortes_esquejes");
+                const corteRef = id ? doc(cortesRef, id) : doc(cortesRef);
+                const corteId = corteRef.id;
+                if (id && (await getDoc(corteRef)).exists()) {
+                    throw new Error(`Corte ${index + 1}: Ya existe un corte con ID: ${id}`);
+                }
 
                 const corteDocument = {
                     id: corteId,
+                    viveroId,
+                    camaId,
                     fecha: fechaTimestamp,
                     cantidadEsquejes: parseInt(cantidadEsquejes),
                     observaciones: observaciones || "",
                     responsable: responsable || "",
+                    cicloId: getCicloIdForFecha(camaData, fechaTimestamp),
                     createdAt: serverTimestamp(),
                     createdBy
                 };
 
-                const corteRef = doc(db, "viveros", viveroId, "camas", camaId, "cortes_esquejes", corteId);
-                batch.set(corteRef, corteDocument);
+                // El corte, su entrada de historial y sus contadores van en el mismo lote
+                queue.group((q) => {
+                    q.set(corteRef, corteDocument);
+                    addAuditToBatch(q, {
+                        entidad: AUDIT_ENTIDADES.CORTE,
+                        accion: AUDIT_ACCIONES.CREAR,
+                        viveroId,
+                        camaId,
+                        corteId,
+                        despues: corteDocument,
+                        actor: createdBy
+                    });
+                    const { ultimoCorte, fechaPrimerCorte, totalCortes, ultimoCorteVivero } = addCorteAggregatesToBatch(q, {
+                        viveroId,
+                        camaId,
+                        camaData,
+                        viveroData,
+                        despues: corteDocument
+                    });
+                    camaData = {
+                        ...camaData,
+                        estadisticas: { ...camaData.estadisticas, ultimoCorte, fechaPrimerCorte, totalCortes }
+                    };
+                    viveroData = { ...viveroData, estadisticas: { ...viveroData.estadisticas, ultimoCorte: ultimoCorteVivero } };
+                });
 
-                createdIds.push(corteId);
-                successCount++;
+                queuedCortes.push({ index: index + 1, corteId });
 
             } catch (error) {
-                errorCount++;
                 errors.push({ index: index + 1, error: error.message });
                 console.error(`❌ Error procesando corte ${index + 1}:`, error.message);
             }
         }
 
         // Ejecutar todas las operaciones
-        if (successCount > 0) {
-            await batch.commit();
+        let confirmados = queuedCortes;
+
+        if (queuedCortes.length > 0) {
+            try {
+                await commitWriteQueue(queue, { onProgress: options.onProgress });
+            } catch (error) {
+                // Cada corte es un grupo: resumeFrom es el primer corte sin confirmar
+                const pendientes = queuedCortes.slice(error.resumeFrom ?? 0);
+                pendientes.forEach(({ index }) => errors.push({ index, error: error.message }));
+                confirmados = queuedCortes.slice(0, error.resumeFrom ?? 0);
+            }
         }
 
+        const createdIds = confirmados.map(({ corteId }) => corteId);
+
         const result = {
             total: cortesData.length,
-            success: successCount,
-            errors: errorCount,
+            success: createdIds.length,
+            errors: errors.length,
             createdIds,
             errorDetails: errors
         };
 
-        console.log(`✅ Operación de lote completada: ${successCount} éxitos, ${errorCount} errores`);
+        console.log(`✅ Operación de lote completada: ${createdIds.length} éxitos, ${errors.length} errores`);
         return result;
 
     } catch (error) {
@@ -480,7 +737,7 @@ export const getProduccionStats = async (viveroId = null, camaId = null, options
             cortes = await getCortesFromCama(viveroId, camaId, { fechaDesde, fechaHasta });
         } else if (viveroId) {
             // Obtener cortes de un vivero específico
-            cortes = await getCortesFromVivero(viveroId, { fechaDesde, fechaHasta });
+            cortes = await getAllCortes({ viveroId, fechaDesde, fechaHasta });
         } else {
             // Obtener cortes de todo el sistema
             cortes = await getAllCortes({ fechaDesde, fechaHasta });
@@ -568,54 +825,135 @@ export const getProduccionStats = async (viveroId = null, camaId = null, options
     }
 };
 
+// Nombre de la planta de cada cama para los listados de cortes; se guarda
+// unos minutos para no volver a leer la misma cama en cada página
+const CAMA_INFO_TTL_MS = 5 * 60 * 1000;
+const camaInfoCache = new Map();
+
+const getCamaInfo = (viveroId, camaId) => {
+    const key = `${viveroId}/${camaId}`;
+    const cached = camaInfoCache.get(key);
+    if (cached && Date.now() - cached.leidoEn < CAMA_INFO_TTL_MS) {
+        return cached.info;
+    }
+
+    const info = getDoc(doc(db, "viveros", viveroId, "camas", camaId))
+        .then((camaDoc) => {
+            const camaData = camaDoc.exists() ? camaDoc.data() : {};
+            return { nombrePlanta: camaData.nombrePlanta, nombreCompleto: camaData.nombreCompleto };
+        })
+        .catch((error) => {
+            camaInfoCache.delete(key);
+            throw error;
+        });
+    camaInfoCache.set(key, { info, leidoEn: Date.now() });
+    return info;
+};
+
 /**
- * Obtiene todos los cortes del sistema (función auxiliar para búsquedas globales)
- * @param {Object} options - Opciones de filtrado
+ * Obtiene una página de cortes de todos los viveros, los más recientes primero
+ * Una sola consulta de grupo de colecciones sobre "cortes_esquejes"; el vivero
+ * y la cama salen de la ruta del documento y el nombre de la planta de la cama
+ * @param {Object} options - Opciones de filtrado y paginación
+ * @param {string} options.viveroId - Solo los cortes de este vivero
+ * @param {string} options.camaId - Solo los cortes de esta cama (requiere viveroId)
  * @param {Date} options.fechaDesde - Filtrar desde fecha
  * @param {Date} options.fechaHasta - Filtrar hasta fecha
- * @param {number} options.limitResults - Límite de resultados
- * @returns {Promise<Array>} Lista de todos los cortes del sistema
+ * @param {number} options.pageSize - Cortes por página (default: 50)
+ * @param {DocumentSnapshot} options.cursor - Cursor de la página anterior
+ * @returns {Promise<Object>} { items, cursor, hasMore }
  */
-export const getAllCortes = async (options = {}) => {
+export const getAllCortesPage = async (options = {}) => {
     try {
-        const { fechaDesde = null, fechaHasta = null, limitResults = 1000 } = options;
-
-        console.log("🌍 Obteniendo todos los cortes del sistema...");
+        const {
+            viveroId = null,
+            camaId = null,
+            fechaDesde = null,
+            fechaHasta = null,
+            pageSize = DEFAULT_PAGE_SIZE,
+            cursor = null
+        } = options;
 
-        // Obtener todos los viveros
-        const viverosRef = collection(db, "viveros");
-        const viverosSnapshot = await getDocs(viverosRef);
+        if (camaId && !viveroId) {
+            throw new Error("camaId requiere viveroId");
+        }
 
-        const todosLosCortes = [];
+        const constraints = [];
+        if (viveroId) {
+            constraints.push(where("viveroId", "==", viveroId));
+        }
+        if (camaId) {
+            constraints.push(where("camaId", "==", camaId));
+        }
+        if (fechaDesde) {
+            constraints.push(where("fecha", ">=", Timestamp.fromDate(new Date(fechaDesde))));
+        }
+        if (fechaHasta) {
+            constraints.push(where("fecha", "<=", Timestamp.fromDate(new Date(fechaHasta))));
+        }
 
-        // Para cada vivero, obtener todos sus cortes
-        for (const viveroDoc of viverosSnapshot.docs) {
-            const viveroId = viveroDoc.id;
+        const q = query(collectionGroup(db, "cortes_esquejes"), ...constraints, orderBy("fecha", "desc"));
 
-            try {
-                const cortesVivero = await getCortesFromVivero(viveroId, {
-                    fechaDesde,
-                    fechaHasta
-                });
+        // viveros/{viveroId}/camas/{camaId}/cortes_esquejes/{corteId}
+        const getIds = (corteDoc) => {
+            const camaRef = corteDoc.ref.parent.parent;
+            return { camaId: camaRef.id, viveroId: camaRef.parent.parent.id };
+        };
 
-                todosLosCortes.push(...cortesVivero);
-            } catch (error) {
-                console.warn(`⚠️ Error obteniendo cortes del vivero ${viveroId}:`, error.message);
-                continue;
-            }
-        }
+        // Los cortes de camas o viveros en la papelera no cuentan
+        const trashed = await getTrashedKeys();
 
-        // Ordenar por fecha (más reciente primero) y aplicar límite
-        const cortesOrdenados = todosLosCortes
-            .sort((a, b) => {
-                const fechaA = a.fecha?.toDate() || new Date(0);
-                const fechaB = b.fecha?.toDate() || new Date(0);
-                return fechaB - fechaA;
+        const page = await fetchPage(q, {
+            pageSize,
+            cursor,
+            filter: (corteDoc) => {
+                const ids = getIds(corteDoc);
+                return !trashed.viveros.has(ids.viveroId) && !trashed.camas.has(`${ids.viveroId}/${ids.camaId}`);
+            },
+            map: (corteDoc) => ({
+                id: corteDoc.id,
+                ...corteDoc.data(),
+                ...getIds(corteDoc)
             })
-            .slice(0, limitResults);
+        });
 
-        console.log(`✅ ${cortesOrdenados.length} cortes obtenidos de todo el sistema`);
-        return cortesOrdenados;
+        const camasInfo = await Promise.all(page.items.map(corte => getCamaInfo(corte.viveroId, corte.camaId)));
+        return { ...page, items: page.items.map((corte, index) => ({ ...corte, ...camasInfo[index] })) };
+
+    } catch (error) {
+        console.error("❌ Error obteniendo página de cortes:", error.message);
+        throw new Error(`Error al obtener cortes: ${error.message}`);
+    }
+};
+
+/**
+ * Obtiene todos los cortes del sistema (función auxiliar para búsquedas globales)
+ * @param {Object} options - Opciones de filtrado
+ * @param {string} options.viveroId - Solo los cortes de este vivero
+ * @param {Date} options.fechaDesde - Filtrar desde fecha
+ * @param {Date} options.fechaHasta - Filtrar hasta fecha
+ * @param {number} options.limitResults - Límite de resultados
+ * @returns {Promise<Array>} Lista de cortes, los más recientes primero
+ */
+export const getAllCortes = async (options = {}) => {
+    try {
+        const { viveroId = null, fechaDesde = null, fechaHasta = null, limitResults = 1000 } = options;
+
+        console.log("🌍 Obteniendo todos los cortes del sistema...");
+
+        const cortes = await collectPages(
+            (cursor) => getAllCortesPage({
+                viveroId,
+                fechaDesde,
+                fechaHasta,
+                pageSize: Math.min(limitResults, 500),
+                cursor
+            }),
+            limitResults
+        );
+
+        console.log(`✅ ${cortes.length} cortes obtenidos de todo el sistema`);
+        return cortes;
 
     } catch (error) {
         console.error("❌ Error obteniendo todos los cortes:", error.message);
@@ -661,7 +999,7 @@ export const getRecentActivity = async (ultimosDias = 30, viveroId = null) => {
         let cortes = [];
 
         if (viveroId) {
-            cortes = await getCortesFromVivero(viveroId, { fechaDesde });
+            cortes = await getAllCortes({ viveroId, fechaDesde });
         } else {
             cortes = await getAllCortes({ fechaDesde });
         }
@@ -728,6 +1066,45 @@ export const getRecentActivity = async (ultimosDias = 30, viveroId = null) => {
     }
 };
 
+/**
+ * Completa viveroId y camaId en los cortes registrados antes de que se
+ * guardaran; sin ellos no aparecen en las consultas por vivero
+ * Los valores salen de la ruta del documento
+ * @param {Object} options - Opciones de ejecución
+ * @param {Function} options.onProgress - ({ completed, total }) => void
+ * @returns {Promise<Object>} { total, migrados }
+ */
+export const migrateCortesUbicacion = async (options = {}) => {
+    try {
+        console.log("🔄 Completando vivero y cama de los cortes");
+
+        const snapshot = await getDocs(collectionGroup(db, "cortes_esquejes"));
+
+        const queue = createWriteQueue();
+        let migrados = 0;
+        snapshot.docs.forEach((corteDoc) => {
+            const camaRef = corteDoc.ref.parent.parent;
+            const viveroId = camaRef.parent.parent.id;
+            const corte = corteDoc.data();
+            if (corte.viveroId === viveroId && corte.camaId === camaRef.id) return;
+
+            queue.update(corteDoc.ref, { viveroId, camaId: camaRef.id });
+            migrados++;
+        });
+
+        if (migrados > 0) {
+            await commitWriteQueue(queue, { onProgress: options.onProgress });
+        }
+
+        console.log(`✅ Cortes completados: ${migrados} de ${snapshot.size}`);
+        return { total: snapshot.size, migrados };
+
+    } catch (error) {
+        console.error("❌ Error completando vivero y cama de los cortes:", error.message);
+        throw new Error(`Error al migrar cortes: ${error.message}`);
+    }
+};
+
 /**
  * Valida datos de corte antes de crear/actualizar
  * @param {Object} corteData - Datos del corte a validar
@@ -741,7 +1118,7 @@ export const validateCorteData = (corteData) => {
         return { valid: false, errors };
     }
 
-    const { fecha, cantidadEsquejes, responsable } = corteData;
+    const { fecha, cantidadEsquejes, responsable, fotos } = corteData;
 
     // Validar fecha
     if (!fecha) {
@@ -778,6 +1155,11 @@ export const validateCorteData = (corteData) => {
         errors.push("El nombre del responsable no puede exceder 100 caracteres");
     }
 
+    // Validar fotos (opcional): referencias devueltas por uploadFoto
+    if (fotos !== undefined && (!Array.isArray(fotos) || fotos.some(foto => !foto?.path || !foto?.url))) {
+        errors.push("Las fotos del corte deben estar subidas antes de registrarlo");
+    }
+
     return {
         valid: errors.length === 0,
         errors
@@ -789,13 +1171,17 @@ export default {
     createCorte,
     getCorte,
     getCortesFromCama,
+    getCortesFromCamaPage,
+    subscribeToCortesFromCama,
     getCortesFromVivero,
     updateCorte,
     deleteCorte,
     createMultipleCortes,
     getProduccionStats,
+    getAllCortesPage,
     getAllCortes,
     corteExists,
     getRecentActivity,
+    migrateCortesUbicacion,
     validateCorteData
 };
\ No newline at end of file
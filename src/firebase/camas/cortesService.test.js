@@ -0,0 +1,50 @@
+// src/firebase/camas/cortesService.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { Timestamp } from "firebase/firestore";
+import { updateCorte } from "./cortesService.js";
+
+const { store } = vi.hoisted(() => ({ store: new Map() }));
+
+vi.mock("firebase/firestore", async (importOriginal) => {
+    const { createFirestoreMemoria } = await import("../../test/firestoreMemoria.js");
+    return createFirestoreMemoria(await importOriginal(), store);
+});
+
+vi.mock("../config.js", () => ({ db: {}, storage: {} }));
+
+const cortado = new Timestamp(1700000000, 0);
+const CORTE_PATH = "viveros/v1/camas/A1/cortes_esquejes/c1";
+
+beforeEach(() => {
+    store.clear();
+    store.set("viveros/v1", { id: "v1", estadisticas: { totalEsquejesHistorico: 40, ultimoCorte: cortado } });
+    store.set("viveros/v1/camas/A1", {
+        viveroId: "v1",
+        estado: "en_produccion",
+        estadisticas: { totalCortes: 1, totalEsquejesHistorico: 40, ultimoCorte: cortado }
+    });
+    store.set(CORTE_PATH, { id: "c1", viveroId: "v1", camaId: "A1", fecha: cortado, cantidadEsquejes: 40 });
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+    vi.restoreAllMocks();
+});
+
+describe("updateCorte", () => {
+    it("actualiza el corte y suma la diferencia a la cama", async () => {
+        await updateCorte("v1", "A1", "c1", { cantidadEsquejes: 55 }, "a@x.com");
+
+        expect(store.get(CORTE_PATH).cantidadEsquejes).toBe(55);
+        expect(store.get("viveros/v1/camas/A1").estadisticas.totalEsquejesHistorico).toBe(55);
+    });
+
+    it("rechaza editar un corte de una cama en la papelera", async () => {
+        store.set("viveros/v1/camas/A1", { ...store.get("viveros/v1/camas/A1"), eliminado: true });
+
+        await expect(updateCorte("v1", "A1", "c1", { cantidadEsquejes: 55 }, "a@x.com"))
+            .rejects.toThrow("La cama A1 está en la papelera, restáurala primero");
+        expect(store.get(CORTE_PATH).cantidadEsquejes).toBe(40);
+    });
+});
@@ -1,7 +1,13 @@
 // src/firebase/config.js
 import { initializeApp } from "firebase/app";
-import { getAuth, GoogleAuthProvider } from "firebase/auth";
-import { getFirestore } from "firebase/firestore";
+import { getAuth, GoogleAuthProvider, connectAuthEmulator } from "firebase/auth";
+import {
+    initializeFirestore,
+    persistentLocalCache,
+    persistentMultipleTabManager,
+    connectFirestoreEmulator
+} from "firebase/firestore";
+import { getStorage, connectStorageEmulator } from "firebase/storage";
 import { getAnalytics } from "firebase/analytics";
 
 // Your web app's Firebase configuration
@@ -20,9 +26,41 @@ const app = initializeApp(firebaseConfig);
 
 // Initialize Firebase services
 export const auth = getAuth(app);
-export const db = getFirestore(app);
+export const storage = getStorage(app);
 export const analytics = getAnalytics(app);
 
+// Firestore con caché persistente (IndexedDB): las lecturas quedan disponibles sin conexión
+export const db = initializeFirestore(app, {
+    localCache: persistentLocalCache({
+        tabManager: persistentMultipleTabManager()
+    })
+});
+
+// Backend local de pruebas (Firebase Emulator Suite)
+// VITE_FIRESTORE_EMULATOR_HOST=localhost:8080
+// VITE_AUTH_EMULATOR_URL=http://localhost:9099
+// VITE_STORAGE_EMULATOR_HOST=localhost:9199
+const firestoreEmulatorHost = import.meta.env.VITE_FIRESTORE_EMULATOR_HOST;
+const authEmulatorUrl = import.meta.env.VITE_AUTH_EMULATOR_URL;
+const storageEmulatorHost = import.meta.env.VITE_STORAGE_EMULATOR_HOST;
+
+if (firestoreEmulatorHost) {
+    const [host, port] = firestoreEmulatorHost.split(":");
+    connectFirestoreEmulator(db, host, Number(port));
+    console.log("🧪 Firestore conectado al emulador:", firestoreEmulatorHost);
+}
+
+if (authEmulatorUrl) {
+    connectAuthEmulator(auth, authEmulatorUrl, { disableWarnings: true });
+    console.log("🧪 Auth conectado al emulador:", authEmulatorUrl);
+}
+
+if (storageEmulatorHost) {
+    const [host, port] = storageEmulatorHost.split(":");
+    connectStorageEmulator(storage, host, Number(port));
+    console.log("🧪 Storage conectado al emulador:", storageEmulatorHost);
+}
+
 // Configure Google Auth Provider
 export const googleProvider = new GoogleAuthProvider();
 googleProvider.setCustomParameters({
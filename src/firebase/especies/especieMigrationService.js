@@ -0,0 +1,201 @@
+// src/firebase/especies/especieMigrationService.js
+import {
+    doc,
+    collectionGroup,
+    query,
+    orderBy,
+    serverTimestamp,
+    arrayUnion
+} from "firebase/firestore";
+import { db } from "../config.js";
+import { addAuditToBatch, AUDIT_ENTIDADES, AUDIT_ACCIONES } from "../shared/auditService.js";
+import { createWriteQueue, commitWriteQueue } from "../shared/batchService.js";
+import { fetchPage } from "../shared/paginationService.js";
+import {
+    ESPECIES_COLLECTION,
+    normalizeNombrePlanta,
+    getEspecieDisplayName,
+    matchEspecie,
+    getAllEspecies
+} from "./especieService.js";
+
+/**
+ * ============================================================================
+ * 🔀 ESPECIE MIGRATION SERVICE - Nombres Libres → Catálogo
+ * ============================================================================
+ * Responsabilidad: Asignar especieId a las camas que solo tienen nombrePlanta
+ * - analyzeNombresPlanta agrupa los nombres libres de todas las camas por su
+ *   forma normalizada ("Poto", "poto " → "poto") y sugiere la especie del
+ *   catálogo que coincide por nombre o alias
+ * - applyEspecieMigration escribe especieId y el nombre del catálogo en cada
+ *   cama del grupo (con su entrada de historial) y guarda el nombre libre
+ *   como alias de la especie, para reconocerlo en adelante
+ * - Incluye las camas en la papelera: al restaurarlas ya quedan migradas
+ * - Se puede repetir: las camas que ya tienen la especie asignada se omiten
+ * ============================================================================
+ */
+
+// Camas leídas por página durante el análisis
+const ANALYSIS_PAGE_SIZE = 500;
+
+/**
+ * Agrupa los nombres de planta de todas las camas del sistema
+ * @returns {Promise<Object>} { grupos, totalCamas, camasSinEspecie }
+ *   grupos: [{ clave, variantes: [{ nombre, camas }], camas: [{ viveroId, camaId,
+ *   nombrePlanta, especieId }], camasSinEspecie, sugerencia }]
+ */
+export const analyzeNombresPlanta = async () => {
+    try {
+        console.log("🔀 Analizando nombres de planta de todas las camas...");
+
+        const especies = await getAllEspecies({ includeArchivadas: true });
+        const baseQuery = query(collectionGroup(db, "camas"), orderBy("createdAt", "desc"));
+
+        const grupos = {};
+        let totalCamas = 0;
+        let cursor = null;
+        let hasMore = true;
+
+        while (hasMore) {
+            const page = await fetchPage(baseQuery, {
+                pageSize: ANALYSIS_PAGE_SIZE,
+                cursor,
+                map: (camaDoc) => ({
+                    viveroId: camaDoc.ref.parent.parent.id,
+                    camaId: camaDoc.id,
+                    nombrePlanta: camaDoc.data().nombrePlanta || "",
+                    especieId: camaDoc.data().especieId || null
+                })
+            });
+
+            page.items.forEach((cama) => {
+                const clave = normalizeNombrePlanta(cama.nombrePlanta);
+                if (!clave) return;
+
+                if (!grupos[clave]) {
+                    grupos[clave] = { clave, variantes: {}, camas: [], camasSinEspecie: 0 };
+                }
+
+                const grupo = grupos[clave];
+                const variante = cama.nombrePlanta.trim();
+                grupo.variantes[variante] = (grupo.variantes[variante] || 0) + 1;
+                grupo.camas.push(cama);
+                if (!cama.especieId) grupo.camasSinEspecie++;
+            });
+
+            totalCamas += page.items.length;
+            cursor = page.cursor;
+            hasMore = page.hasMore && Boolean(cursor);
+        }
+
+        const result = Object.values(grupos)
+            .map((grupo) => {
+                // Si todas las camas del grupo ya tienen la misma especie, esa es la sugerencia
+                const asignadas = new Set(grupo.camas.map(c => c.especieId).filter(Boolean));
+                const asignada = asignadas.size === 1 ? especies.find(e => asignadas.has(e.id)) : null;
+
+                return {
+                    ...grupo,
+                    variantes: Object.entries(grupo.variantes)
+                        .map(([nombre, camas]) => ({ nombre, camas }))
+                        .sort((a, b) => b.camas - a.camas),
+                    sugerencia: asignada || matchEspecie(grupo.clave, especies)
+                };
+            })
+            .sort((a, b) => b.camasSinEspecie - a.camasSinEspecie || b.camas.length - a.camas.length);
+
+        const camasSinEspecie = result.reduce((sum, grupo) => sum + grupo.camasSinEspecie, 0);
+
+        console.log(`✅ ${result.length} nombres distintos en ${totalCamas} camas (${camasSinEspecie} sin especie)`);
+        return { grupos: result, totalCamas, camasSinEspecie };
+
+    } catch (error) {
+        console.error("❌ Error analizando nombres de planta:", error.message);
+        throw new Error(`Error al analizar nombres de planta: ${error.message}`);
+    }
+};
+
+/**
+ * Asigna especies del catálogo a las camas agrupadas por analyzeNombresPlanta
+ * @param {Object} analisis - Resultado de analyzeNombresPlanta
+ * @param {Object} asignaciones - { [clave]: especieId } (los grupos sin entrada se omiten)
+ * @param {string} actor - Email del usuario que migra
+ * @param {Object} options - Opciones de ejecución
+ * @param {Function} options.onProgress - ({ completed, total }) => void
+ * @returns {Promise<Object>} { camasActualizadas, gruposMigrados, omitidas }
+ */
+export const applyEspecieMigration = async (analisis, asignaciones, actor, options = {}) => {
+    try {
+        if (!analisis?.grupos) {
+            throw new Error("Se requiere el resultado de analyzeNombresPlanta");
+        }
+
+        const especies = await getAllEspecies({ includeArchivadas: true });
+        const especiesById = new Map(especies.map(especie => [especie.id, especie]));
+
+        const queue = createWriteQueue();
+        let camasActualizadas = 0;
+        let gruposMigrados = 0;
+        let omitidas = 0;
+
+        analisis.grupos.forEach((grupo) => {
+            const especieId = asignaciones[grupo.clave];
+            if (!especieId) return;
+
+            const especie = especiesById.get(especieId);
+            if (!especie) {
+                throw new Error(`Especie no encontrada: ${especieId}`);
+            }
+
+            const nombrePlanta = getEspecieDisplayName(especie);
+            gruposMigrados++;
+
+            // El nombre libre queda como alias de la especie
+            if (grupo.clave !== especie.nombreNormalizado && !(especie.alias || []).includes(grupo.clave)) {
+                queue.update(doc(db, ESPECIES_COLLECTION, especieId), {
+                    alias: arrayUnion(grupo.clave),
+                    updatedAt: serverTimestamp(),
+                    updatedBy: actor
+                });
+            }
+
+            grupo.camas.forEach((cama) => {
+                if (cama.especieId === especieId && cama.nombrePlanta === nombrePlanta) {
+                    omitidas++;
+                    return;
+                }
+
+                const camaUpdate = { especieId, nombrePlanta, updatedAt: serverTimestamp(), updatedBy: actor };
+                queue.group((q) => {
+                    q.update(doc(db, "viveros", cama.viveroId, "camas", cama.camaId), camaUpdate);
+                    addAuditToBatch(q, {
+                        entidad: AUDIT_ENTIDADES.CAMA,
+                        accion: AUDIT_ACCIONES.ACTUALIZAR,
+                        viveroId: cama.viveroId,
+                        camaId: cama.camaId,
+                        antes: { especieId: cama.especieId, nombrePlanta: cama.nombrePlanta },
+                        despues: camaUpdate,
+                        actor
+                    });
+                });
+                camasActualizadas++;
+            });
+        });
+
+        console.log(`🔀 Migrando ${camasActualizadas} camas en ${gruposMigrados} grupos...`);
+
+        await commitWriteQueue(queue, { onProgress: options.onProgress });
+
+        console.log("✅ Migración de especies completada");
+        return { camasActualizadas, gruposMigrados, omitidas };
+
+    } catch (error) {
+        console.error("❌ Error migrando nombres de planta:", error.message);
+        throw new Error(`Error al migrar nombres de planta: ${error.message}`);
+    }
+};
+
+export default {
+    analyzeNombresPlanta,
+    applyEspecieMigration
+};
@@ -0,0 +1,434 @@
+// src/firebase/especies/especieService.js
+import {
+    doc,
+    getDoc,
+    collection,
+    collectionGroup,
+    getDocs,
+    serverTimestamp,
+    query,
+    orderBy,
+    where,
+    arrayUnion,
+    writeBatch
+} from "firebase/firestore";
+import { db } from "../config.js";
+import { addAuditToBatch, AUDIT_ENTIDADES, AUDIT_ACCIONES } from "../shared/auditService.js";
+import { createWriteQueue, commitWriteQueue } from "../shared/batchService.js";
+import { generateViveroId } from "../viveros/viveroUrlService.js";
+
+/**
+ * ============================================================================
+ * 🌱 ESPECIE SERVICE - Catálogo de Plantas
+ * ============================================================================
+ * Responsabilidad: Catálogo administrado de especies y variedades
+ * - Colección raíz "especies": nombre común, científico, variedad y
+ *   parámetros de producción por defecto
+ * - Las camas la referencian con especieId; nombrePlanta queda como copia
+ *   del nombre para mostrar y se actualiza si la especie cambia de nombre
+ * - alias: nombres de texto libre (normalizados) que ya se asignaron a la
+ *   especie, para reconocer "Poto" y "poto " como la misma planta
+ * - Las especies no se eliminan: se archivan (activa = false) para no
+ *   dejar camas con referencias rotas
+ *
+ * Estructura de una especie:
+ * {
+ *   id, nombreComun, nombreCientifico, variedad,
+ *   sustratoDefault, diasPrimerCorte, esquejesPorPlantaMes,
+ *   nombreNormalizado, alias: [], activa,
+ *   createdAt, createdBy, updatedAt, updatedBy
+ * }
+ * ============================================================================
+ */
+
+export const ESPECIES_COLLECTION = "especies";
+
+// ============================================================================
+// 🔧 HELPERS
+// ============================================================================
+
+/**
+ * Normaliza un nombre de planta para compararlo
+ * ("  Poto  Dorado " y "poto dorado" dan lo mismo)
+ * @param {string} nombre - Nombre de texto libre
+ * @returns {string} Nombre en minúsculas, sin acentos ni espacios de más
+ */
+export const normalizeNombrePlanta = (nombre) => {
+    if (!nombre || typeof nombre !== "string") {
+        return "";
+    }
+
+    return nombre
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "") // Remover acentos
+        .toLowerCase()
+        .replace(/\s+/g, " ")
+        .trim();
+};
+
+/**
+ * Nombre para mostrar de una especie (el que se copia en nombrePlanta)
+ * @param {Object} especie - Especie del catálogo
+ * @returns {string} "Poto Golden" o "Poto" si no tiene variedad
+ */
+export const getEspecieDisplayName = (especie) => {
+    if (!especie) return "";
+    const nombreComun = (especie.nombreComun || "").trim();
+    const variedad = (especie.variedad || "").trim();
+    return variedad ? `${nombreComun} ${variedad}` : nombreComun;
+};
+
+/**
+ * Genera el ID de una especie a partir del nombre común y la variedad
+ * @param {string} nombreComun - Nombre común
+ * @param {string} variedad - Variedad (opcional)
+ * @returns {string} ID en formato slug (ej: "poto-golden")
+ */
+export const generateEspecieId = (nombreComun, variedad = "") => {
+    return generateViveroId(`${nombreComun || ""} ${variedad || ""}`);
+};
+
+/**
+ * Clave para agrupar camas por planta
+ * Las camas con especie se agrupan por ID; las demás por nombre normalizado
+ * @param {Object} camaData - Datos de la cama
+ * @returns {string} Clave de agrupación
+ */
+export const getPlantaKey = (camaData) => {
+    if (camaData?.especieId) {
+        return `especie:${camaData.especieId}`;
+    }
+    return `nombre:${normalizeNombrePlanta(camaData?.nombrePlanta)}`;
+};
+
+/**
+ * Busca en una lista de especies la que corresponde a un nombre libre
+ * Compara con el nombre para mostrar y con los alias ya asignados
+ * @param {string} nombre - Nombre de texto libre
+ * @param {Array} especies - Especies del catálogo
+ * @returns {Object|null} Especie o null si no hay coincidencia
+ */
+export const matchEspecie = (nombre, especies) => {
+    const normalizado = normalizeNombrePlanta(nombre);
+    if (!normalizado) return null;
+
+    return especies.find(especie =>
+        especie.nombreNormalizado === normalizado ||
+        (especie.alias || []).includes(normalizado)
+    ) || null;
+};
+
+/**
+ * Valida los datos de una especie
+ * @param {Object} especieData - Datos a validar
+ * @returns {Object} { valid, errors }
+ */
+export const validateEspecieData = (especieData) => {
+    const errors = [];
+    const {
+        nombreComun,
+        diasPrimerCorte,
+        esquejesPorPlantaMes
+    } = especieData || {};
+
+    if (!nombreComun || !nombreComun.trim()) {
+        errors.push("El nombre común es requerido");
+    } else if (nombreComun.length > 100) {
+        errors.push("El nombre común no puede exceder 100 caracteres");
+    }
+
+    if (diasPrimerCorte !== undefined && diasPrimerCorte !== null && diasPrimerCorte !== "") {
+        if (!Number.isInteger(Number(diasPrimerCorte)) || Number(diasPrimerCorte) < 0) {
+            errors.push("Los días hasta el primer corte deben ser un entero positivo");
+        }
+    }
+
+    if (esquejesPorPlantaMes !== undefined && esquejesPorPlantaMes !== null && esquejesPorPlantaMes !== "") {
+        if (Number.isNaN(Number(esquejesPorPlantaMes)) || Number(esquejesPorPlantaMes) < 0) {
+            errors.push("Los esquejes por planta al mes deben ser un número positivo");
+        }
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+};
+
+const toOptionalNumber = (value) => (
+    value === undefined || value === null || value === "" ? null : Number(value)
+);
+
+// ============================================================================
+// ✏️ CRUD
+// ============================================================================
+
+/**
+ * Crea una especie en el catálogo
+ * @param {Object} especieData - Datos de la especie
+ * @param {string} especieData.nombreComun - Nombre común (requerido)
+ * @param {string} especieData.nombreCientifico - Nombre científico
+ * @param {string} especieData.variedad - Variedad o cultivar
+ * @param {string} especieData.sustratoDefault - Sustrato por defecto para camas nuevas
+ * @param {number} especieData.diasPrimerCorte - Días esperados desde la siembra al primer corte
+ * @param {number} especieData.esquejesPorPlantaMes - Esquejes esperados por planta al mes
+ * @param {Array<string>} especieData.alias - Nombres libres que corresponden a la especie
+ * @param {string} createdBy - Email del usuario que crea la especie
+ * @returns {Promise<string>} ID de la especie creada
+ */
+export const createEspecie = async (especieData, createdBy) => {
+    try {
+        const validation = validateEspecieData(especieData);
+        if (!validation.valid) {
+            throw new Error(validation.errors.join(", "));
+        }
+
+        const nombreComun = especieData.nombreComun.trim();
+        const variedad = (especieData.variedad || "").trim();
+        const id = especieData.id || generateEspecieId(nombreComun, variedad);
+
+        if (!id) {
+            throw new Error("No se pudo generar el ID de la especie");
+        }
+
+        const especieRef = doc(db, ESPECIES_COLLECTION, id);
+        const existing = await getDoc(especieRef);
+        if (existing.exists()) {
+            throw new Error(`Ya existe una especie con ID: ${id}`);
+        }
+
+        console.log("🌱 Creando especie:", nombreComun, variedad);
+
+        const especieDocument = {
+            id,
+            nombreComun,
+            nombreCientifico: (especieData.nombreCientifico || "").trim(),
+            variedad,
+            sustratoDefault: especieData.sustratoDefault || "",
+            diasPrimerCorte: toOptionalNumber(especieData.diasPrimerCorte),
+            esquejesPorPlantaMes: toOptionalNumber(especieData.esquejesPorPlantaMes),
+            nombreNormalizado: normalizeNombrePlanta(getEspecieDisplayName({ nombreComun, variedad })),
+            alias: [...new Set((especieData.alias || []).map(normalizeNombrePlanta).filter(Boolean))],
+            activa: true,
+            createdAt: serverTimestamp(),
+            updatedAt: serverTimestamp(),
+            createdBy
+        };
+
+        const batch = writeBatch(db);
+        batch.set(especieRef, especieDocument);
+        addAuditToBatch(batch, {
+            entidad: AUDIT_ENTIDADES.ESPECIE,
+            accion: AUDIT_ACCIONES.CREAR,
+            viveroId: null,
+            especieId: id,
+            despues: especieDocument,
+            actor: createdBy
+        });
+        await batch.commit();
+
+        console.log("✅ Especie creada:", id);
+        return id;
+
+    } catch (error) {
+        console.error("❌ Error creando especie:", error.message);
+        throw new Error(`Error al crear especie: ${error.message}`);
+    }
+};
+
+/**
+ * Obtiene una especie por su ID
+ * @param {string} especieId - ID de la especie
+ * @returns {Promise<Object|null>} Especie o null si no existe
+ */
+export const getEspecie = async (especieId) => {
+    try {
+        if (!especieId) {
+            throw new Error("especieId es requerido");
+        }
+
+        const especieDoc = await getDoc(doc(db, ESPECIES_COLLECTION, especieId));
+
+        if (!especieDoc.exists()) {
+            console.log("❌ Especie no encontrada:", especieId);
+            return null;
+        }
+
+        return { id: especieDoc.id, ...especieDoc.data() };
+
+    } catch (error) {
+        console.error("❌ Error obteniendo especie:", error.message);
+        throw new Error(`Error al obtener especie: ${error.message}`);
+    }
+};
+
+/**
+ * Obtiene el catálogo de especies ordenado por nombre común
+ * @param {Object} options - Opciones de consulta
+ * @param {boolean} options.includeArchivadas - Incluir las especies archivadas
+ * @returns {Promise<Array>} Lista de especies
+ */
+export const getAllEspecies = async (options = {}) => {
+    try {
+        const { includeArchivadas = false } = options;
+
+        console.log("📋 Obteniendo catálogo de especies...");
+
+        const snapshot = await getDocs(query(collection(db, ESPECIES_COLLECTION), orderBy("nombreComun", "asc")));
+
+        const especies = snapshot.docs
+            .map(especieDoc => ({ id: especieDoc.id, ...especieDoc.data() }))
+            .filter(especie => includeArchivadas || especie.activa !== false);
+
+        console.log(`✅ ${especies.length} especies obtenidas`);
+        return especies;
+
+    } catch (error) {
+        console.error("❌ Error obteniendo especies:", error.message);
+        throw new Error(`Error al obtener especies: ${error.message}`);
+    }
+};
+
+/**
+ * Busca la especie del catálogo que corresponde a un nombre libre
+ * @param {string} nombre - Nombre de texto libre
+ * @returns {Promise<Object|null>} Especie o null si no hay coincidencia
+ */
+export const findEspecieByNombre = async (nombre) => {
+    const especies = await getAllEspecies({ includeArchivadas: true });
+    return matchEspecie(nombre, especies);
+};
+
+/**
+ * Actualiza una especie
+ * Si cambia el nombre común o la variedad, se actualiza nombrePlanta en
+ * todas las camas que la referencian (con su entrada de historial)
+ * @param {string} especieId - ID de la especie
+ * @param {Object} updateData - Campos a actualizar
+ * @param {string} updatedBy - Email del usuario que actualiza
+ * @param {Object} options - Opciones de ejecución
+ * @param {Function} options.onProgress - ({ completed, total }) => void
+ * @returns {Promise<Object>} { camasActualizadas }
+ */
+export const updateEspecie = async (especieId, updateData, updatedBy, options = {}) => {
+    try {
+        if (!especieId) {
+            throw new Error("especieId es requerido");
+        }
+
+        const especieRef = doc(db, ESPECIES_COLLECTION, especieId);
+        const especieDoc = await getDoc(especieRef);
+        if (!especieDoc.exists()) {
+            throw new Error(`Especie no encontrada: ${especieId}`);
+        }
+
+        const antes = especieDoc.data();
+        const merged = { ...antes, ...updateData };
+
+        const validation = validateEspecieData(merged);
+        if (!validation.valid) {
+            throw new Error(validation.errors.join(", "));
+        }
+
+        console.log("🔄 Actualizando especie:", especieId);
+
+        const updatePayload = { ...updateData, updatedAt: serverTimestamp(), updatedBy };
+
+        // No permitir actualizar campos de control
+        delete updatePayload.id;
+        delete updatePayload.alias;
+        delete updatePayload.createdAt;
+        delete updatePayload.createdBy;
+
+        if ("nombreComun" in updatePayload) updatePayload.nombreComun = (updatePayload.nombreComun || "").trim();
+        if ("variedad" in updatePayload) updatePayload.variedad = (updatePayload.variedad || "").trim();
+        if ("diasPrimerCorte" in updatePayload) updatePayload.diasPrimerCorte = toOptionalNumber(updatePayload.diasPrimerCorte);
+        if ("esquejesPorPlantaMes" in updatePayload) updatePayload.esquejesPorPlantaMes = toOptionalNumber(updatePayload.esquejesPorPlantaMes);
+
+        const nombreAnterior = getEspecieDisplayName(antes);
+        const nombreNuevo = getEspecieDisplayName({ ...antes, ...updatePayload });
+        const cambiaNombre = nombreNuevo !== nombreAnterior;
+
+        const queue = createWriteQueue();
+
+        if (cambiaNombre) {
+            updatePayload.nombreNormalizado = normalizeNombrePlanta(nombreNuevo);
+            // El nombre anterior sigue reconociéndose como esta especie
+            updatePayload.alias = arrayUnion(normalizeNombrePlanta(nombreAnterior));
+        }
+
+        queue.group((q) => {
+            q.update(especieRef, updatePayload);
+            addAuditToBatch(q, {
+                entidad: AUDIT_ENTIDADES.ESPECIE,
+                accion: AUDIT_ACCIONES.ACTUALIZAR,
+                viveroId: null,
+                especieId,
+                antes,
+                despues: updatePayload,
+                actor: updatedBy
+            });
+        });
+
+        // Copiar el nombre nuevo en las camas que referencian la especie
+        let camasActualizadas = 0;
+        if (cambiaNombre) {
+            const camasSnapshot = await getDocs(query(collectionGroup(db, "camas"), where("especieId", "==", especieId)));
+
+            camasSnapshot.docs.forEach((camaDoc) => {
+                const camaUpdate = { nombrePlanta: nombreNuevo, updatedAt: serverTimestamp(), updatedBy };
+                queue.group((q) => {
+                    q.update(camaDoc.ref, camaUpdate);
+                    addAuditToBatch(q, {
+                        entidad: AUDIT_ENTIDADES.CAMA,
+                        accion: AUDIT_ACCIONES.ACTUALIZAR,
+                        viveroId: camaDoc.ref.parent.parent.id,
+                        camaId: camaDoc.id,
+                        antes: camaDoc.data(),
+                        despues: camaUpdate,
+                        actor: updatedBy
+                    });
+                });
+            });
+            camasActualizadas = camasSnapshot.size;
+        }
+
+        await commitWriteQueue(queue, { onProgress: options.onProgress });
+
+        console.log("✅ Especie actualizada:", especieId, camasActualizadas > 0 ? `(${camasActualizadas} camas renombradas)` : "");
+        return { camasActualizadas };
+
+    } catch (error) {
+        console.error("❌ Error actualizando especie:", error.message);
+        throw new Error(`Error al actualizar especie: ${error.message}`);
+    }
+};
+
+/**
+ * Archiva o reactiva una especie
+ * Las especies archivadas no se ofrecen para camas nuevas, pero las camas
+ * que ya la referencian la conservan
+ * @param {string} especieId - ID de la especie
+ * @param {boolean} activa - false para archivar, true para reactivar
+ * @param {string} updatedBy - Email del usuario
+ * @returns {Promise<void>}
+ */
+export const setEspecieActiva = async (especieId, activa, updatedBy) => {
+    await updateEspecie(especieId, { activa: Boolean(activa) }, updatedBy);
+};
+
+export default {
+    ESPECIES_COLLECTION,
+    normalizeNombrePlanta,
+    getEspecieDisplayName,
+    generateEspecieId,
+    getPlantaKey,
+    matchEspecie,
+    validateEspecieData,
+    createEspecie,
+    getEspecie,
+    getAllEspecies,
+    findEspecieByNombre,
+    updateEspecie,
+    setEspecieActiva
+};
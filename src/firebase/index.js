@@ -13,7 +13,7 @@
 // ============================================================================
 
 // Configuración base
-export { default as app, auth, db, analytics, googleProvider } from './config.js';
+export { default as app, auth, db, storage, analytics, googleProvider } from './config.js';
 
 // Servicios de autenticación
 export * from './auth.js';
@@ -29,9 +29,14 @@ export * from './userService.js';
 export {
     createOrUpdateUser,
     getUserData,
-    getAllUsers
+    getAllUsers,
+    updateUserPermissions,
+    getUserPermissionHistory
 } from './userService.js';
 
+// Roles y permisos
+export * from './roleService.js';
+
 // ============================================================================
 // 🏡 SERVICIOS DE VIVEROS
 // ============================================================================
@@ -42,6 +47,8 @@ export {
     createVivero,
     getVivero,
     getAllViveros,
+    subscribeToViveros,
+    subscribeToVivero,
     updateVivero,
     deleteVivero,
     viveroExists
@@ -51,13 +58,33 @@ export {
 export * from './viveros/viveroStatsService.js';
 export {
     calculateViveroStats,
-    calculateCamaStats,
     getViveroPlantasSummary,
     getViveroWithUpdatedStats,
     recalculateMultipleViverosStats,
     getGlobalViverosStats
 } from './viveros/viveroStatsService.js';
 
+// Metas de producción y cumplimiento
+export * from './viveros/viveroMetasService.js';
+export {
+    setMetaProduccion,
+    getProduccionVsMeta
+} from './viveros/viveroMetasService.js';
+
+// Incidencias de plagas y enfermedades
+export * from './viveros/incidenciasService.js';
+export {
+    INCIDENCIA_TIPOS,
+    INCIDENCIA_SEVERIDADES,
+    INCIDENCIA_ESTADOS,
+    createIncidencia,
+    getIncidenciasFromVivero,
+    cambiarEstadoIncidencia,
+    registrarTratamiento,
+    addFotoIncidencia,
+    getIncidenciasDashboard
+} from './viveros/incidenciasService.js';
+
 // Geolocalización de viveros
 export * from './viveros/viveroLocationService.js';
 export {
@@ -99,15 +126,55 @@ export {
     createCama,
     getCama,
     getCamasFromVivero,
+    getCamasFromViveroPage,
+    getAllCamasPage,
     getAllCamas,
+    subscribeToCamasFromVivero,
+    subscribeToCama,
     updateCama,
     deleteCama,
     camaExists,
     getCamasByPlanta,
+    getCamasByEspecie,
     updateMultipleCamasEstado,
     getCamasStatsFromVivero
 } from './camas/camaService.js';
 
+// Ciclo de vida de camas (estados y transiciones)
+export * from './camas/camaEstadoService.js';
+export {
+    CAMA_ESTADOS,
+    CAMA_ESTADOS_INFO,
+    CAMA_TRANSICIONES,
+    CAMA_ESTADO_REQUISITOS,
+    isEstadoCamaValido,
+    parseEstadoCama,
+    normalizeEstadoCama,
+    getEstadoCamaLabel,
+    getEstadoCamaColor,
+    isCamaEnProduccion,
+    getTransicionesPermitidas,
+    getRequisitosFaltantes,
+    validateCambioEstado,
+    getPeriodosEstado,
+    getTiempoEnEstados,
+    summarizeTiempoEnEstados,
+    migrateLegacyEstadosCamas
+} from './camas/camaEstadoService.js';
+
+// Ciclos de cultivo de camas
+export * from './camas/camaCiclosService.js';
+export {
+    CICLO_CAMPOS,
+    getCiclosCama,
+    getCicloActivo,
+    getCicloInicioMs,
+    getCicloIdForFecha,
+    getCicloIdForCorte,
+    filterCortesCicloActivo,
+    buildCicloUpdate
+} from './camas/camaCiclosService.js';
+
 // Estadísticas de camas
 export * from './camas/camaStatsService.js';
 export {
@@ -116,7 +183,9 @@ export {
     getCamaTrendAnalysis,
     recalculateMultipleCamasStats,
     getTopProductiveCamas,
-    generateCamaPerformanceReport
+    generateCamaPerformanceReport,
+    getCiclosStats,
+    getEspeciesRendimientoPorCiclo
 } from './camas/camaStatsService.js';
 
 // Gestión de cortes de esquejes
@@ -125,26 +194,503 @@ export {
     createCorte,
     getCorte,
     getCortesFromCama,
+    getCortesFromCamaPage,
+    subscribeToCortesFromCama,
     getCortesFromVivero,
     updateCorte,
     deleteCorte,
     createMultipleCortes,
     getProduccionStats,
+    getAllCortesPage,
     getAllCortes,
     corteExists,
     getRecentActivity,
+    migrateCortesUbicacion,
     validateCorteData
 } from './camas/cortesService.js';
 
+// Aplicaciones de insumos (fertilización, riego y tratamientos)
+export * from './camas/aplicacionesService.js';
+export {
+    APLICACION_TIPOS,
+    APLICACION_TIPOS_INFO,
+    APLICACION_ALCANCES,
+    APLICACION_UNIDADES,
+    getAplicacionTipoLabel,
+    getReingresoHasta,
+    isReingresoVigente,
+    validateAplicacionData,
+    createAplicacion,
+    getAplicacionesFromCama,
+    getAplicacionesFromVivero,
+    deleteAplicacion
+} from './camas/aplicacionesService.js';
+
+// Fotos de camas y galería (cama, cortes e incidencias)
+export * from './camas/camaFotosService.js';
+export {
+    addFotoCama,
+    removeFotoCama,
+    getGaleriaCama
+} from './camas/camaFotosService.js';
+
+// ============================================================================
+// 🌱 SERVICIOS DEL CATÁLOGO DE ESPECIES
+// ============================================================================
+
+// Catálogo de especies y variedades
+export * from './especies/especieService.js';
+export {
+    createEspecie,
+    getEspecie,
+    getAllEspecies,
+    updateEspecie,
+    findEspecieByNombre
+} from './especies/especieService.js';
+
+// Migración de nombres de planta libres al catálogo
+export * from './especies/especieMigrationService.js';
+
 // ============================================================================
-// 🔍 SERVICIOS COMPARTIDOS (PRÓXIMAMENTE)
+// 📡 MODO OFFLINE - COLA DE ESCRITURAS
 // ============================================================================
 
+// Cola durable de escrituras y sincronización al recuperar conexión
+export * from './offline/outboxService.js';
+
+// ============================================================================
+// 🔍 SERVICIOS COMPARTIDOS
+// ============================================================================
+
+// Historial de cambios (auditoría) de viveros, camas y cortes
+export * from './shared/auditService.js';
+export {
+    computeChanges,
+    addAuditToBatch,
+    getAuditHistory,
+    restoreCorteFromAudit
+} from './shared/auditService.js';
+
+// Papelera: borrado lógico, restauración y purga de viveros y camas
+export * from './shared/trashService.js';
+export {
+    getTrash,
+    restoreVivero,
+    restoreCama,
+    purgeVivero,
+    purgeCama,
+    purgeExpiredTrash
+} from './shared/trashService.js';
+
+// Escrituras en lotes de hasta 500 operaciones con progreso y reanudación
+export * from './shared/batchService.js';
+export {
+    createWriteQueue,
+    commitWriteQueue
+} from './shared/batchService.js';
+
+// Exportación de cortes a CSV / XLSX
+export * from './shared/exportService.js';
+export {
+    streamCortesForExport,
+    exportCortes
+} from './shared/exportService.js';
+
+// Importación masiva de camas y cortes desde CSV
+export * from './shared/importService.js';
+export {
+    parseImportCsv,
+    previewImport,
+    runImport
+} from './shared/importService.js';
+
+// Copias de seguridad JSON de un vivero completo
+export * from './shared/backupService.js';
+export {
+    exportViveroBackup,
+    checkBackupCollisions,
+    restoreViveroBackup
+} from './shared/backupService.js';
+
+// Pronóstico de producción por cama, planta y vivero
+export * from './shared/forecastService.js';
+export {
+    forecastCama,
+    forecastVivero,
+    forecastEspecie
+} from './shared/forecastService.js';
+
+// Estadísticas incrementales de camas y viveros
+export * from './shared/aggregateService.js';
+export {
+    addCorteAggregatesToBatch,
+    addCamaAggregatesToBatch,
+    getCamaStatsDerivadas
+} from './shared/aggregateService.js';
+
+// Paginación por cursor (startAfter)
+export * from './shared/paginationService.js';
+export {
+    fetchPage,
+    collectPages
+} from './shared/paginationService.js';
+
+// Suscripciones en tiempo real con respaldo por sondeo
+export * from './shared/realtimeService.js';
+export {
+    REALTIME_MODOS,
+    subscribeWithFallback
+} from './shared/realtimeService.js';
+
+// Fotos adjuntas con adaptador de almacenamiento intercambiable
+export * from './shared/storageService.js';
+export {
+    setStorageAdapter,
+    uploadFoto,
+    deleteFoto
+} from './shared/storageService.js';
+
+// Compresión de fotos en el navegador (sin EXIF)
+export * from './shared/imageService.js';
+export {
+    compressFoto
+} from './shared/imageService.js';
+
 // TODO: Implementar en siguientes fases
 // export * from './shared/searchService.js';
 // export * from './shared/validationService.js';
 // export * from './shared/maintenanceService.js';
 
+// ============================================================================
+// 📥 IMPORTS LOCALES PARA LOS SERVICIOS AGRUPADOS
+// ============================================================================
+// Los re-exports anteriores no crean bindings locales, por eso se importan
+// aquí los servicios que se usan en los objetos agrupados de abajo
+
+import app, { db, storage, analytics } from './config.js';
+import { signInWithGoogle, signOut, getCurrentUser, onAuthChange } from './auth.js';
+import {
+    createOrUpdateUser,
+    getUserData,
+    getAllUsers,
+    updateUserPermissions,
+    getUserPermissionHistory
+} from './userService.js';
+import {
+    ROLES,
+    ROLE_LABELS,
+    PERMISSIONS,
+    isValidRole,
+    getGlobalRole,
+    getEffectiveRole,
+    hasPermission,
+    hasPermissionInAnyVivero,
+    getAssignedViveros,
+    getRoleLabel
+} from './roleService.js';
+import {
+    createVivero,
+    getVivero,
+    getAllViveros,
+    subscribeToViveros,
+    subscribeToVivero,
+    updateVivero,
+    deleteVivero,
+    viveroExists
+} from './viveros/viveroService.js';
+import {
+    calculateViveroStats,
+    getViveroPlantasSummary,
+    getViveroWithUpdatedStats,
+    recalculateMultipleViverosStats,
+    getGlobalViverosStats
+} from './viveros/viveroStatsService.js';
+import {
+    METAS_ALCANCES,
+    METAS_ORIGENES,
+    getMesKey,
+    getMetaVigente,
+    resolveMetaCama,
+    calculateVarianzaPct,
+    setMetaProduccion,
+    getProduccionVsMeta
+} from './viveros/viveroMetasService.js';
+import {
+    INCIDENCIA_TIPOS,
+    INCIDENCIA_TIPOS_INFO,
+    INCIDENCIA_SEVERIDADES,
+    INCIDENCIA_SEVERIDADES_INFO,
+    INCIDENCIA_ESTADOS,
+    INCIDENCIA_ESTADOS_INFO,
+    INCIDENCIA_TRANSICIONES,
+    isIncidenciaActiva,
+    validateIncidenciaData,
+    createIncidencia,
+    getIncidencia,
+    getIncidenciasFromVivero,
+    updateIncidencia,
+    cambiarEstadoIncidencia,
+    registrarTratamiento,
+    addFotoIncidencia,
+    addFotosIncidencia,
+    removeFotoIncidencia,
+    getIncidenciasDashboard
+} from './viveros/incidenciasService.js';
+import {
+    updateViveroGPS,
+    updateViveroUbicacionManual,
+    clearViveroUbicacion,
+    getCurrentGPSLocation,
+    captureAndSaveGPS,
+    calculateDistance,
+    reverseGeocode,
+    validateGPSCoordinates,
+    getNearbyViveros,
+    formatGPSCoordinates
+} from './viveros/viveroLocationService.js';
+import {
+    generateViveroUrls,
+    generateCamaUrls,
+    validateViveroId,
+    validateCamaId,
+    generateViveroId,
+    generateCamaId,
+    parseAgroTrackUrl,
+    generateViveroQRData,
+    generateCamaQRData,
+    formatDisplayName,
+    generateTextSummary
+} from './viveros/viveroUrlService.js';
+import {
+    createCama,
+    getCama,
+    getCamasFromVivero,
+    getCamasFromViveroPage,
+    getAllCamasPage,
+    getAllCamas,
+    subscribeToCamasFromVivero,
+    subscribeToCama,
+    updateCama,
+    deleteCama,
+    camaExists,
+    getCamasByPlanta,
+    getCamasByEspecie,
+    updateMultipleCamasEstado,
+    getCamasStatsFromVivero
+} from './camas/camaService.js';
+import {
+    CAMA_ESTADOS,
+    CAMA_ESTADOS_INFO,
+    CAMA_TRANSICIONES,
+    CAMA_ESTADO_REQUISITOS,
+    isEstadoCamaValido,
+    parseEstadoCama,
+    normalizeEstadoCama,
+    getEstadoCamaLabel,
+    getEstadoCamaColor,
+    isCamaEnProduccion,
+    getTransicionesPermitidas,
+    getRequisitosFaltantes,
+    validateCambioEstado,
+    getPeriodosEstado,
+    getTiempoEnEstados,
+    summarizeTiempoEnEstados,
+    migrateLegacyEstadosCamas
+} from './camas/camaEstadoService.js';
+import {
+    CICLO_CAMPOS,
+    getCiclosCama,
+    getCicloActivo,
+    getCicloInicioMs,
+    getCicloIdForFecha,
+    getCicloIdForCorte,
+    filterCortesCicloActivo,
+    buildCicloUpdate
+} from './camas/camaCiclosService.js';
+import {
+    calculateCamaStats,
+    getCamasComparativeStats,
+    getCamaTrendAnalysis,
+    recalculateMultipleCamasStats,
+    getTopProductiveCamas,
+    generateCamaPerformanceReport,
+    getCiclosStats,
+    getEspeciesRendimientoPorCiclo
+} from './camas/camaStatsService.js';
+import {
+    createCorte,
+    getCorte,
+    getCortesFromCama,
+    getCortesFromCamaPage,
+    subscribeToCortesFromCama,
+    getCortesFromVivero,
+    updateCorte,
+    deleteCorte,
+    createMultipleCortes,
+    getProduccionStats,
+    getAllCortesPage,
+    getAllCortes,
+    corteExists,
+    getRecentActivity,
+    migrateCortesUbicacion,
+    validateCorteData
+} from './camas/cortesService.js';
+import {
+    APLICACION_TIPOS,
+    APLICACION_TIPOS_INFO,
+    APLICACION_ALCANCES,
+    APLICACION_UNIDADES,
+    getAplicacionTipoLabel,
+    getReingresoHasta,
+    isReingresoVigente,
+    validateAplicacionData,
+    createAplicacion,
+    getAplicacionesFromCama,
+    getAplicacionesFromVivero,
+    deleteAplicacion
+} from './camas/aplicacionesService.js';
+import {
+    FOTO_ORIGENES,
+    FOTO_ORIGENES_INFO,
+    getCarpetaFotosCama,
+    addFotoCama,
+    removeFotoCama,
+    getGaleriaCama
+} from './camas/camaFotosService.js';
+import {
+    normalizeNombrePlanta,
+    getEspecieDisplayName,
+    generateEspecieId,
+    getPlantaKey,
+    matchEspecie,
+    validateEspecieData,
+    createEspecie,
+    getEspecie,
+    getAllEspecies,
+    findEspecieByNombre,
+    updateEspecie,
+    setEspecieActiva
+} from './especies/especieService.js';
+import {
+    analyzeNombresPlanta,
+    applyEspecieMigration
+} from './especies/especieMigrationService.js';
+import {
+    OUTBOX_STATUS,
+    isOnline,
+    getOutboxState,
+    subscribeOutbox,
+    enqueueOperation,
+    runOrQueue,
+    replayOutbox,
+    retryEntry,
+    discardEntry,
+    forceEntry,
+    setSimulatedOffline,
+    startOutboxSync
+} from './offline/outboxService.js';
+import {
+    AUDIT_ENTIDADES,
+    AUDIT_ACCIONES,
+    computeChanges,
+    addAuditToBatch,
+    getAuditHistory,
+    restoreCorteFromAudit
+} from './shared/auditService.js';
+import {
+    TRASH_RETENTION_DAYS,
+    isTrashed,
+    getTrashExpiration,
+    getTrashedKeys,
+    getTrash,
+    restoreVivero,
+    restoreCama,
+    purgeVivero,
+    purgeCama,
+    purgeExpiredTrash
+} from './shared/trashService.js';
+import {
+    MAX_BATCH_WRITES,
+    createWriteQueue,
+    commitWriteQueue
+} from './shared/batchService.js';
+import {
+    EXPORT_FORMATS,
+    CORTES_EXPORT_COLUMNS,
+    streamCortesForExport,
+    buildCortesCsv,
+    buildCortesXlsx,
+    exportCortes
+} from './shared/exportService.js';
+import {
+    IMPORT_TIPOS,
+    IMPORT_ESTADOS,
+    IMPORT_COLUMNS,
+    parseCsv,
+    parseImportCsv,
+    getImportTemplate,
+    buildImportedCorteId,
+    previewImport,
+    runImport
+} from './shared/importService.js';
+import {
+    BACKUP_FORMATO,
+    BACKUP_VERSION,
+    BACKUP_COLLISION_MODES,
+    serializeValue,
+    deserializeValue,
+    exportViveroBackup,
+    validateBackup,
+    checkBackupCollisions,
+    restoreViveroBackup
+} from './shared/backupService.js';
+import {
+    FORECAST_PERIODOS,
+    DEFAULT_HORIZONTES,
+    FORECAST_MOTIVOS,
+    forecastCama,
+    forecastVivero,
+    forecastEspecie
+} from './shared/forecastService.js';
+import {
+    isCamaOcupada,
+    getUltimoCorteFecha,
+    getUltimoCorteViveroFecha,
+    addCorteAggregatesToBatch,
+    getCamaStatsDerivadas,
+    addCamaAggregatesToBatch
+} from './shared/aggregateService.js';
+import {
+    DEFAULT_PAGE_SIZE,
+    fetchPage,
+    collectPages
+} from './shared/paginationService.js';
+import {
+    REALTIME_MODOS,
+    DEFAULT_POLL_INTERVAL_MS,
+    subscribeWithFallback
+} from './shared/realtimeService.js';
+import {
+    FOTO_TIPOS,
+    FOTO_MAX_BYTES,
+    createFirebaseStorageAdapter,
+    createMemoryStorageAdapter,
+    setStorageAdapter,
+    getStorageAdapter,
+    validateFoto,
+    generateFotoId,
+    uploadFoto,
+    deleteFoto
+} from './shared/storageService.js';
+import {
+    FOTO_MAX_LADO,
+    THUMB_MAX_LADO,
+    FOTO_CALIDAD,
+    fitDimensions,
+    stripJpegMetadata,
+    compressFoto
+} from './shared/imageService.js';
+
 // ============================================================================
 // 📦 EXPORTS AGRUPADOS POR FUNCIONALIDAD
 // ============================================================================
@@ -161,7 +707,23 @@ export const AuthServices = {
 export const UserServices = {
     createOrUpdateUser,
     getUserData,
-    getAllUsers
+    getAllUsers,
+    updateUserPermissions,
+    getUserPermissionHistory
+};
+
+// Servicios de roles y permisos agrupados
+export const RoleServices = {
+    ROLES,
+    ROLE_LABELS,
+    PERMISSIONS,
+    isValidRole,
+    getGlobalRole,
+    getEffectiveRole,
+    hasPermission,
+    hasPermissionInAnyVivero,
+    getAssignedViveros,
+    getRoleLabel
 };
 
 // Servicios de viveros CRUD agrupados
@@ -169,6 +731,8 @@ export const ViveroServices = {
     createVivero,
     getVivero,
     getAllViveros,
+    subscribeToViveros,
+    subscribeToVivero,
     updateVivero,
     deleteVivero,
     viveroExists
@@ -179,15 +743,53 @@ export const CamaServices = {
     createCama,
     getCama,
     getCamasFromVivero,
+    getCamasFromViveroPage,
+    getAllCamasPage,
     getAllCamas,
+    subscribeToCamasFromVivero,
+    subscribeToCama,
     updateCama,
     deleteCama,
     camaExists,
     getCamasByPlanta,
+    getCamasByEspecie,
     updateMultipleCamasEstado,
     getCamasStatsFromVivero
 };
 
+// Servicios del ciclo de vida de camas agrupados
+export const CamaEstadoServices = {
+    CAMA_ESTADOS,
+    CAMA_ESTADOS_INFO,
+    CAMA_TRANSICIONES,
+    CAMA_ESTADO_REQUISITOS,
+    isEstadoCamaValido,
+    parseEstadoCama,
+    normalizeEstadoCama,
+    getEstadoCamaLabel,
+    getEstadoCamaColor,
+    isCamaEnProduccion,
+    getTransicionesPermitidas,
+    getRequisitosFaltantes,
+    validateCambioEstado,
+    getPeriodosEstado,
+    getTiempoEnEstados,
+    summarizeTiempoEnEstados,
+    migrateLegacyEstadosCamas
+};
+
+// Servicios de ciclos de cultivo agrupados
+export const CamaCiclosServices = {
+    CICLO_CAMPOS,
+    getCiclosCama,
+    getCicloActivo,
+    getCicloInicioMs,
+    getCicloIdForFecha,
+    getCicloIdForCorte,
+    filterCortesCicloActivo,
+    buildCicloUpdate
+};
+
 // Servicios de estadísticas agrupados
 export const StatsServices = {
     // Estadísticas de viveros
@@ -203,7 +805,9 @@ export const StatsServices = {
     getCamaTrendAnalysis,
     recalculateMultipleCamasStats,
     getTopProductiveCamas,
-    generateCamaPerformanceReport
+    generateCamaPerformanceReport,
+    getCiclosStats,
+    getEspeciesRendimientoPorCiclo
 };
 
 // Servicios de cortes/esquejes agrupados
@@ -211,17 +815,100 @@ export const CortesServices = {
     createCorte,
     getCorte,
     getCortesFromCama,
+    getCortesFromCamaPage,
+    subscribeToCortesFromCama,
     getCortesFromVivero,
     updateCorte,
     deleteCorte,
     createMultipleCortes,
     getProduccionStats,
+    getAllCortesPage,
     getAllCortes,
     corteExists,
     getRecentActivity,
+    migrateCortesUbicacion,
     validateCorteData
 };
 
+// Servicios de aplicaciones de insumos agrupados
+export const AplicacionesServices = {
+    APLICACION_TIPOS,
+    APLICACION_TIPOS_INFO,
+    APLICACION_ALCANCES,
+    APLICACION_UNIDADES,
+    getAplicacionTipoLabel,
+    getReingresoHasta,
+    isReingresoVigente,
+    validateAplicacionData,
+    createAplicacion,
+    getAplicacionesFromCama,
+    getAplicacionesFromVivero,
+    deleteAplicacion
+};
+
+// Servicios de fotos de camas agrupados
+export const CamaFotosServices = {
+    FOTO_ORIGENES,
+    FOTO_ORIGENES_INFO,
+    getCarpetaFotosCama,
+    addFotoCama,
+    removeFotoCama,
+    getGaleriaCama
+};
+
+// Servicios del catálogo de especies agrupados
+export const EspecieServices = {
+    normalizeNombrePlanta,
+    getEspecieDisplayName,
+    generateEspecieId,
+    getPlantaKey,
+    matchEspecie,
+    validateEspecieData,
+    createEspecie,
+    getEspecie,
+    getAllEspecies,
+    findEspecieByNombre,
+    updateEspecie,
+    setEspecieActiva,
+    analyzeNombresPlanta,
+    applyEspecieMigration
+};
+
+// Servicios de metas de producción agrupados
+export const MetasServices = {
+    METAS_ALCANCES,
+    METAS_ORIGENES,
+    getMesKey,
+    getMetaVigente,
+    resolveMetaCama,
+    calculateVarianzaPct,
+    setMetaProduccion,
+    getProduccionVsMeta
+};
+
+// Servicios de incidencias de plagas y enfermedades agrupados
+export const IncidenciasServices = {
+    INCIDENCIA_TIPOS,
+    INCIDENCIA_TIPOS_INFO,
+    INCIDENCIA_SEVERIDADES,
+    INCIDENCIA_SEVERIDADES_INFO,
+    INCIDENCIA_ESTADOS,
+    INCIDENCIA_ESTADOS_INFO,
+    INCIDENCIA_TRANSICIONES,
+    isIncidenciaActiva,
+    validateIncidenciaData,
+    createIncidencia,
+    getIncidencia,
+    getIncidenciasFromVivero,
+    updateIncidencia,
+    cambiarEstadoIncidencia,
+    registrarTratamiento,
+    addFotoIncidencia,
+    addFotosIncidencia,
+    removeFotoIncidencia,
+    getIncidenciasDashboard
+};
+
 // Servicios de geolocalización agrupados
 export const LocationServices = {
     updateViveroGPS,
@@ -251,36 +938,219 @@ export const UrlServices = {
     generateTextSummary
 };
 
+// Servicios de modo offline agrupados
+export const OfflineServices = {
+    OUTBOX_STATUS,
+    isOnline,
+    getOutboxState,
+    subscribeOutbox,
+    enqueueOperation,
+    runOrQueue,
+    replayOutbox,
+    retryEntry,
+    discardEntry,
+    forceEntry,
+    setSimulatedOffline,
+    startOutboxSync
+};
+
+// Servicios de historial de cambios agrupados
+export const AuditServices = {
+    AUDIT_ENTIDADES,
+    AUDIT_ACCIONES,
+    computeChanges,
+    addAuditToBatch,
+    getAuditHistory,
+    restoreCorteFromAudit
+};
+
+// Servicios de papelera agrupados
+export const TrashServices = {
+    TRASH_RETENTION_DAYS,
+    isTrashed,
+    getTrashExpiration,
+    getTrashedKeys,
+    getTrash,
+    restoreVivero,
+    restoreCama,
+    purgeVivero,
+    purgeCama,
+    purgeExpiredTrash
+};
+
+// Servicios de escritura en lotes agrupados
+export const BatchServices = {
+    MAX_BATCH_WRITES,
+    createWriteQueue,
+    commitWriteQueue
+};
+
+// Servicios de exportación agrupados
+export const ExportServices = {
+    EXPORT_FORMATS,
+    CORTES_EXPORT_COLUMNS,
+    streamCortesForExport,
+    buildCortesCsv,
+    buildCortesXlsx,
+    exportCortes
+};
+
+// Servicios de importación agrupados
+export const ImportServices = {
+    IMPORT_TIPOS,
+    IMPORT_ESTADOS,
+    IMPORT_COLUMNS,
+    parseCsv,
+    parseImportCsv,
+    getImportTemplate,
+    buildImportedCorteId,
+    previewImport,
+    runImport
+};
+
+// Servicios de copias de seguridad agrupados
+export const BackupServices = {
+    BACKUP_FORMATO,
+    BACKUP_VERSION,
+    BACKUP_COLLISION_MODES,
+    serializeValue,
+    deserializeValue,
+    exportViveroBackup,
+    validateBackup,
+    checkBackupCollisions,
+    restoreViveroBackup
+};
+
+// Servicios de pronóstico de producción agrupados
+export const ForecastServices = {
+    FORECAST_PERIODOS,
+    DEFAULT_HORIZONTES,
+    FORECAST_MOTIVOS,
+    forecastCama,
+    forecastVivero,
+    forecastEspecie
+};
+
+// Servicios de estadísticas incrementales agrupados
+export const AggregateServices = {
+    isCamaOcupada,
+    getUltimoCorteFecha,
+    getUltimoCorteViveroFecha,
+    addCorteAggregatesToBatch,
+    getCamaStatsDerivadas,
+    addCamaAggregatesToBatch
+};
+
+// Servicios de paginación agrupados
+export const PaginationServices = {
+    DEFAULT_PAGE_SIZE,
+    fetchPage,
+    collectPages
+};
+
+// Servicios de tiempo real agrupados
+export const RealtimeServices = {
+    REALTIME_MODOS,
+    DEFAULT_POLL_INTERVAL_MS,
+    subscribeWithFallback
+};
+
+// Servicios de fotos agrupados
+export const StorageServices = {
+    FOTO_TIPOS,
+    FOTO_MAX_BYTES,
+    createFirebaseStorageAdapter,
+    createMemoryStorageAdapter,
+    setStorageAdapter,
+    getStorageAdapter,
+    validateFoto,
+    generateFotoId,
+    uploadFoto,
+    deleteFoto
+};
+
+// Servicios de compresión de fotos agrupados
+export const ImageServices = {
+    FOTO_MAX_LADO,
+    THUMB_MAX_LADO,
+    FOTO_CALIDAD,
+    fitDimensions,
+    stripJpegMetadata,
+    compressFoto
+};
+
 // ============================================================================
 // 🎯 EXPORT POR DEFECTO - TODOS LOS SERVICIOS v2.0
 // ============================================================================
 
 export default {
-    // Configuración
+    // Configuración (auth se expone abajo como AuthServices)
     app,
-    auth,
     db,
+    storage,
     analytics,
 
     // Servicios agrupados
     AuthServices,
     UserServices,
+    RoleServices,
     ViveroServices,
     CamaServices,
+    CamaEstadoServices,
+    CamaCiclosServices,
     StatsServices,
     CortesServices,
+    AplicacionesServices,
+    CamaFotosServices,
+    EspecieServices,
+    MetasServices,
+    IncidenciasServices,
     LocationServices,
     UrlServices,
+    OfflineServices,
+    AuditServices,
+    TrashServices,
+    BatchServices,
+    ExportServices,
+    ImportServices,
+    BackupServices,
+    ForecastServices,
+    AggregateServices,
+    PaginationServices,
+    RealtimeServices,
+    StorageServices,
+    ImageServices,
 
     // Servicios individuales para acceso directo
     auth: AuthServices,
     users: UserServices,
+    roles: RoleServices,
     viveros: ViveroServices,
     camas: CamaServices,
+    estadosCama: CamaEstadoServices,
+    ciclos: CamaCiclosServices,
     stats: StatsServices,
     cortes: CortesServices,
+    aplicaciones: AplicacionesServices,
+    fotosCama: CamaFotosServices,
+    especies: EspecieServices,
+    metas: MetasServices,
+    incidencias: IncidenciasServices,
     location: LocationServices,
-    urls: UrlServices
+    urls: UrlServices,
+    offline: OfflineServices,
+    audit: AuditServices,
+    trash: TrashServices,
+    batch: BatchServices,
+    export: ExportServices,
+    import: ImportServices,
+    backup: BackupServices,
+    forecast: ForecastServices,
+    aggregates: AggregateServices,
+    pagination: PaginationServices,
+    realtime: RealtimeServices,
+    fotos: StorageServices,
+    imagenes: ImageServices
 };
 
 // ============================================================================
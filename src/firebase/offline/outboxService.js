@@ -0,0 +1,588 @@
+// src/firebase/offline/outboxService.js
+import {
+    doc,
+    getDoc,
+    collection,
+    disableNetwork,
+    enableNetwork
+} from "firebase/firestore";
+import { db } from "../config.js";
+import { createCorte } from "../camas/cortesService.js";
+import { updateCama, updateMultipleCamasEstado } from "../camas/camaService.js";
+
+/**
+ * ============================================================================
+ * 📡 OUTBOX SERVICE - MODO CAMPO OFFLINE-FIRST
+ * ============================================================================
+ * Cola durable de escrituras para trabajar en invernaderos sin cobertura
+ * - Persiste en localStorage las escrituras hechas sin conexión
+ * - Varias pestañas comparten la cola: se relee antes de cada cambio, el
+ *   evento "storage" avisa de los cambios de otras pestañas y solo una
+ *   pestaña a la vez la reproduce (navigator.locks)
+ * - Operaciones soportadas: createCorte, updateCama, updateMultipleCamasEstado
+ * - Reproduce la cola en orden (FIFO) al recuperar la conexión
+ * - Detecta conflictos campo a campo: nunca sobrescribe cambios de otros
+ * - Reproducir es idempotente: cada corte lleva su ID desde que se encola
+ *   (si ya llegó al servidor no se crea otro) y los cambios masivos con
+ *   camas sin actualizar quedan en la cola solo con esas camas
+ * - Simulación de modo offline (disableNetwork) para probar contra el emulador
+ * ============================================================================
+ */
+
+const STORAGE_KEY = "agroTrack.outbox.v1";
+const REPLAY_LOCK = "agroTrack.outbox.replay";
+
+export const OUTBOX_STATUS = {
+    PENDING: "pending",
+    FAILED: "failed",
+    CONFLICT: "conflict"
+};
+
+// Ejecutores de cada operación encolable
+// createCorte recibe corteData.id (asignado por prepararPayload)
+const executors = {
+    createCorte: ({ viveroId, camaId, corteData, userEmail }) =>
+        createCorte(viveroId, camaId, corteData, userEmail),
+    updateCama: ({ viveroId, camaId, updateData, userEmail }) =>
+        updateCama(viveroId, camaId, updateData, userEmail),
+    updateMultipleCamasEstado: ({ viveroId, camaIds, nuevoEstado, userEmail }) =>
+        updateMultipleCamasEstado(viveroId, camaIds, nuevoEstado, userEmail)
+};
+
+// Estado del módulo: entries es la última copia leída de localStorage
+// (o la cola en memoria si localStorage no está disponible)
+let entries = [];
+let simulatedOffline = false;
+let replayPromise = null;
+let syncStarted = false;
+const listeners = new Set();
+
+// ============================================================================
+// 🔧 HELPERS INTERNOS
+// ============================================================================
+
+/**
+ * Serializa la cola conservando fechas (Date y Timestamp de Firestore)
+ */
+const serializeEntries = (list) => JSON.stringify(list, function (key, value) {
+    const original = this[key];
+    if (original instanceof Date) {
+        return { __fecha: original.toISOString() };
+    }
+    if (original && typeof original.toDate === "function") {
+        return { __fecha: original.toDate().toISOString() };
+    }
+    return value;
+});
+
+const deserializeEntries = (text) => JSON.parse(text, (key, value) => (
+    value && typeof value === "object" && typeof value.__fecha === "string"
+        ? new Date(value.__fecha)
+        : value
+));
+
+/**
+ * Completa el payload antes de ejecutarlo o encolarlo: un corte recibe su ID
+ * aquí para que un reintento no lo duplique
+ */
+const prepararPayload = (type, payload) => {
+    if (type !== "createCorte" || payload.corteData?.id) return payload;
+
+    const cortesRef = collection(db, "viveros", payload.viveroId, "camas", payload.camaId, "cortes_esquejes");
+    return { ...payload, corteData: { ...payload.corteData, id: doc(cortesRef).id } };
+};
+
+/**
+ * Camas que no se actualizaron en un cambio masivo
+ * @param {string} type - Tipo de operación
+ * @param {Object} result - Resultado del ejecutor
+ * @returns {Array<Object>} { camaId, error } de cada cama sin actualizar
+ */
+export const getCamasSinAplicar = (type, result) => {
+    if (type !== "updateMultipleCamasEstado" || !result?.errors) return [];
+    return result.errorDetails || [];
+};
+
+/**
+ * Normaliza un valor para comparar versiones de un campo
+ */
+const normalizeValue = (value) => {
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) return value.getTime();
+    if (typeof value.toMillis === "function") return value.toMillis();
+    return JSON.stringify(value);
+};
+
+/**
+ * Lee la cola de localStorage: otra pestaña puede haberla cambiado
+ */
+const loadEntries = () => {
+    if (typeof localStorage === "undefined") return entries;
+
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        entries = raw ? deserializeEntries(raw) : [];
+    } catch (error) {
+        console.error("❌ Error leyendo cola offline:", error.message);
+    }
+    return entries;
+};
+
+/**
+ * Aplica un cambio sobre la cola recién leída y la guarda
+ * @param {Function} change - (entries) => nuevas entries
+ */
+const changeEntries = (change) => {
+    entries = change(loadEntries());
+    try {
+        if (typeof localStorage !== "undefined") {
+            localStorage.setItem(STORAGE_KEY, serializeEntries(entries));
+        }
+    } catch (error) {
+        console.error("❌ Error guardando cola offline:", error.message);
+    }
+    notifyListeners();
+};
+
+const updateEntry = (entryId, changes) => {
+    changeEntries(list => list.map(entry =>
+        entry.id === entryId
+            ? { ...entry, ...changes, updatedAt: new Date() }
+            : entry
+    ));
+};
+
+const removeEntry = (entryId) => {
+    changeEntries(list => list.filter(entry => entry.id !== entryId));
+};
+
+/**
+ * Ejecuta la reproducción con un lock entre pestañas; si otra pestaña ya
+ * la está haciendo no espera (esa pestaña procesa también lo de esta)
+ * @param {Function} run - Reproducción; retorna las operaciones sincronizadas
+ * @returns {Promise<number>} Operaciones sincronizadas por esta pestaña
+ */
+const withReplayLock = (run) => {
+    if (typeof navigator === "undefined" || !navigator.locks?.request) {
+        return run();
+    }
+    return navigator.locks.request(REPLAY_LOCK, { ifAvailable: true }, (lock) => {
+        if (!lock) {
+            console.log("🔒 Otra pestaña está sincronizando la cola offline");
+            return 0;
+        }
+        return run();
+    });
+};
+
+const notifyListeners = () => {
+    const state = getOutboxState();
+    listeners.forEach(listener => listener(state));
+};
+
+/**
+ * Determina si un error proviene de la falta de conexión
+ */
+const isNetworkError = (error) => {
+    if (error?.code === "unavailable") return true;
+    return /offline|unavailable|network|conexión/i.test(error?.message || "");
+};
+
+/**
+ * Guarda los valores de referencia (los que el usuario veía al escribir)
+ * de los campos que la operación va a modificar
+ */
+const buildBase = (type, payload, base) => {
+    if (!base) return null;
+
+    if (type === "updateCama") {
+        return Object.keys(payload.updateData).reduce((acc, campo) => {
+            acc[campo] = base[campo] ?? null;
+            return acc;
+        }, {});
+    }
+
+    if (type === "updateMultipleCamasEstado") {
+        const camasBase = Array.isArray(base) ? base : [];
+        return camasBase
+            .filter(cama => payload.camaIds.includes(cama.id))
+            .reduce((acc, cama) => {
+                acc[cama.id] = { estado: cama.estado ?? null };
+                return acc;
+            }, {});
+    }
+
+    return null;
+};
+
+/**
+ * Compara el estado actual en Firestore con los valores de referencia
+ * @returns {Promise<Object|null>} Detalle del conflicto o null
+ */
+const detectConflict = async ({ type, payload, base }) => {
+    if (type === "createCorte") {
+        const camaDoc = await getDoc(doc(db, "viveros", payload.viveroId, "camas", payload.camaId));
+        return camaDoc.exists()
+            ? null
+            : { mensaje: `La cama ${payload.camaId} ya no existe`, campos: [] };
+    }
+
+    if (!base) return null;
+
+    const camaIds = type === "updateCama" ? [payload.camaId] : payload.camaIds;
+    const cambios = type === "updateCama" ? payload.updateData : { estado: payload.nuevoEstado };
+    const campos = [];
+
+    for (const camaId of camaIds) {
+        const baseCama = type === "updateCama" ? base : base[camaId];
+        if (!baseCama) continue;
+
+        const camaDoc = await getDoc(doc(db, "viveros", payload.viveroId, "camas", camaId));
+        if (!camaDoc.exists()) {
+            campos.push({ camaId, campo: null, local: null, servidor: null });
+            continue;
+        }
+
+        const actual = camaDoc.data();
+
+        Object.keys(cambios).forEach(campo => {
+            if (!(campo in baseCama)) return;
+
+            const servidor = normalizeValue(actual[campo]);
+            const modificadoPorOtro = servidor !== normalizeValue(baseCama[campo]);
+            const yaAplicado = servidor === normalizeValue(cambios[campo]);
+
+            if (modificadoPorOtro && !yaAplicado) {
+                campos.push({ camaId, campo, local: cambios[campo], servidor: actual[campo] ?? null });
+            }
+        });
+    }
+
+    if (campos.length === 0) return null;
+
+    return {
+        mensaje: `${campos.length} campo(s) modificados por otro usuario mientras estabas sin conexión`,
+        campos
+    };
+};
+
+/**
+ * Procesa una entrada de la cola
+ * @returns {Promise<string>} "synced" | "conflict" | "failed" | "network"
+ */
+const processEntry = async (entry, force = false) => {
+    const attempts = (entry.attempts || 0) + 1;
+
+    try {
+        if (!force) {
+            const conflict = await detectConflict(entry);
+            if (conflict) {
+                console.warn("⚠️ Conflicto en operación offline:", entry.id, conflict.mensaje);
+                updateEntry(entry.id, { status: OUTBOX_STATUS.CONFLICT, conflict, attempts });
+                return "conflict";
+            }
+        }
+
+        const result = await executors[entry.type](entry.payload);
+
+        // Las camas que sí se actualizaron no se repiten: la entrada sigue solo con las demás
+        const sinAplicar = getCamasSinAplicar(entry.type, result);
+        if (sinAplicar.length > 0) {
+            const error = new Error(sinAplicar.map(({ camaId, error }) => `${camaId}: ${error}`).join(". "));
+            error.payload = { ...entry.payload, camaIds: sinAplicar.map(({ camaId }) => camaId) };
+            throw error;
+        }
+
+        removeEntry(entry.id);
+
+        console.log("✅ Operación offline sincronizada:", entry.type, entry.id);
+        return "synced";
+
+    } catch (error) {
+        const payload = error.payload || entry.payload;
+
+        if (isNetworkError(error)) {
+            updateEntry(entry.id, { payload, lastError: error.message, attempts });
+            return "network";
+        }
+
+        console.error("❌ Error sincronizando operación offline:", error.message);
+        updateEntry(entry.id, { payload, status: OUTBOX_STATUS.FAILED, lastError: error.message, attempts });
+        return "failed";
+    }
+};
+
+// ============================================================================
+// 📊 ESTADO DE LA COLA
+// ============================================================================
+
+/**
+ * Indica si hay conexión (navegador online y sin simulación offline)
+ * @returns {boolean}
+ */
+export const isOnline = () => {
+    if (simulatedOffline) return false;
+    return typeof navigator === "undefined" ? true : navigator.onLine;
+};
+
+/**
+ * Obtiene el estado actual de la cola
+ * @returns {Object} Entradas y contadores por estado
+ */
+export const getOutboxState = () => {
+    const list = loadEntries();
+
+    return {
+        entries: list,
+        pending: list.filter(e => e.status === OUTBOX_STATUS.PENDING).length,
+        failed: list.filter(e => e.status === OUTBOX_STATUS.FAILED).length,
+        conflicts: list.filter(e => e.status === OUTBOX_STATUS.CONFLICT).length,
+        isOnline: isOnline(),
+        simulatedOffline,
+        replaying: replayPromise !== null
+    };
+};
+
+/**
+ * Suscribe un listener a los cambios de la cola
+ * @param {Function} listener - Recibe el estado de getOutboxState
+ * @returns {Function} Función para cancelar la suscripción
+ */
+export const subscribeOutbox = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+// ============================================================================
+// ✍️ ESCRITURAS CON COLA
+// ============================================================================
+
+/**
+ * Agrega una operación a la cola durable
+ * @param {string} type - Tipo de operación (createCorte, updateCama, updateMultipleCamasEstado)
+ * @param {Object} payload - Argumentos de la operación
+ * @param {Object|Array} base - Datos que el usuario veía al escribir (para detectar conflictos)
+ * @returns {Object} Entrada creada
+ */
+export const enqueueOperation = (type, payload, base = null) => {
+    if (!executors[type]) {
+        throw new Error(`Tipo de operación no soportado: ${type}`);
+    }
+
+    const payloadListo = prepararPayload(type, payload);
+    const entry = {
+        id: `op_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+        type,
+        payload: payloadListo,
+        base: buildBase(type, payloadListo, base),
+        status: OUTBOX_STATUS.PENDING,
+        attempts: 0,
+        lastError: null,
+        conflict: null,
+        createdAt: new Date(),
+        updatedAt: new Date()
+    };
+
+    changeEntries(list => [...list, entry]);
+    console.log("📥 Operación encolada para sincronizar:", type, entry.id);
+
+    return entry;
+};
+
+/**
+ * Ejecuta una operación directamente si hay conexión o la encola si no
+ * Si ya hay operaciones pendientes, se encola detrás para respetar el orden
+ * @param {string} type - Tipo de operación
+ * @param {Object} payload - Argumentos de la operación
+ * @param {Object} options - { base: datos de referencia para detectar conflictos }
+ * @returns {Promise<Object>} { queued, result, entryId }
+ */
+export const runOrQueue = async (type, payload, options = {}) => {
+    if (!executors[type]) {
+        throw new Error(`Tipo de operación no soportado: ${type}`);
+    }
+
+    // El mismo payload (con el mismo ID de corte) se encola si falla la red:
+    // la escritura pudo haber llegado al servidor
+    const payloadListo = prepararPayload(type, payload);
+    const hasPending = loadEntries().some(e => e.status === OUTBOX_STATUS.PENDING);
+
+    if (isOnline() && !hasPending) {
+        try {
+            const result = await executors[type](payloadListo);
+            return { queued: false, result, entryId: null };
+        } catch (error) {
+            if (!isNetworkError(error)) throw error;
+            console.warn("⚠️ Sin conexión, encolando operación:", type);
+        }
+    }
+
+    const entry = enqueueOperation(type, payloadListo, options.base);
+
+    if (isOnline()) {
+        replayOutbox();
+    }
+
+    return { queued: true, result: null, entryId: entry.id };
+};
+
+// ============================================================================
+// 🔄 SINCRONIZACIÓN
+// ============================================================================
+
+/**
+ * Reproduce en orden las operaciones pendientes
+ * Se detiene al primer error de red; los conflictos y fallos no bloquean la cola
+ * @returns {Promise<Object>} { synced: operaciones sincronizadas }
+ */
+export const replayOutbox = () => {
+    if (replayPromise) return replayPromise;
+
+    if (!isOnline()) {
+        return Promise.resolve({ synced: 0 });
+    }
+
+    const run = async () => {
+        let synced = 0;
+        const intentadas = new Set();
+
+        // Se relee antes de cada operación: otra pestaña puede haber agregado
+        // o resuelto entradas mientras tanto
+        const siguiente = () => loadEntries().find(e =>
+            e.status === OUTBOX_STATUS.PENDING && !intentadas.has(e.id)
+        );
+
+        let entry = siguiente();
+        if (entry) {
+            console.log("🔄 Sincronizando operaciones offline");
+        }
+
+        while (entry && isOnline()) {
+            intentadas.add(entry.id);
+
+            const outcome = await processEntry(entry);
+            if (outcome === "network") break;
+            if (outcome === "synced") synced++;
+
+            entry = siguiente();
+        }
+
+        return synced;
+    };
+
+    replayPromise = withReplayLock(run)
+        .then(synced => ({ synced }))
+        .finally(() => {
+            replayPromise = null;
+            notifyListeners();
+        });
+
+    notifyListeners();
+    return replayPromise;
+};
+
+/**
+ * Vuelve a poner en cola una operación fallida
+ * @param {string} entryId - ID de la entrada
+ */
+export const retryEntry = (entryId) => {
+    updateEntry(entryId, { status: OUTBOX_STATUS.PENDING, lastError: null, conflict: null });
+    return replayOutbox();
+};
+
+/**
+ * Descarta una operación (conserva los datos del servidor)
+ * @param {string} entryId - ID de la entrada
+ */
+export const discardEntry = (entryId) => {
+    removeEntry(entryId);
+    console.log("🗑️ Operación offline descartada:", entryId);
+};
+
+/**
+ * Aplica una operación en conflicto sobrescribiendo los datos del servidor
+ * Solo se usa por decisión explícita del usuario
+ * @param {string} entryId - ID de la entrada
+ * @returns {Promise<string>} Resultado del procesamiento
+ */
+export const forceEntry = async (entryId) => {
+    const entry = loadEntries().find(e => e.id === entryId);
+    if (!entry) {
+        throw new Error(`Operación no encontrada: ${entryId}`);
+    }
+    if (!isOnline()) {
+        throw new Error("No hay conexión para aplicar la operación");
+    }
+
+    return processEntry(entry, true);
+};
+
+/**
+ * Activa o desactiva la simulación de modo offline
+ * Desconecta Firestore de la red para probar la cola contra el emulador
+ * @param {boolean} value - true para simular sin conexión
+ */
+export const setSimulatedOffline = async (value) => {
+    simulatedOffline = value;
+
+    try {
+        if (value) {
+            await disableNetwork(db);
+        } else {
+            await enableNetwork(db);
+        }
+        console.log(value ? "📴 Modo offline simulado activado" : "📶 Modo offline simulado desactivado");
+    } catch (error) {
+        console.error("❌ Error cambiando red de Firestore:", error.message);
+    }
+
+    notifyListeners();
+
+    if (!value) {
+        replayOutbox();
+    }
+};
+
+/**
+ * Inicia la sincronización automática al recuperar la conexión
+ * Es idempotente: solo registra los listeners una vez
+ */
+export const startOutboxSync = () => {
+    if (syncStarted || typeof window === "undefined") return;
+    syncStarted = true;
+
+    window.addEventListener("online", () => {
+        console.log("📶 Conexión recuperada");
+        replayOutbox();
+    });
+
+    window.addEventListener("offline", () => {
+        console.log("📴 Sin conexión - las escrituras se guardarán en cola");
+        notifyListeners();
+    });
+
+    // Cambios de la cola hechos por otras pestañas (key null: localStorage.clear)
+    window.addEventListener("storage", (event) => {
+        if (event.key !== STORAGE_KEY && event.key !== null) return;
+        notifyListeners();
+    });
+
+    // Reintentar operaciones de sesiones anteriores
+    replayOutbox();
+};
+
+export default {
+    OUTBOX_STATUS,
+    getCamasSinAplicar,
+    isOnline,
+    getOutboxState,
+    subscribeOutbox,
+    enqueueOperation,
+    runOrQueue,
+    replayOutbox,
+    retryEntry,
+    discardEntry,
+    forceEntry,
+    setSimulatedOffline,
+    startOutboxSync
+};
@@ -0,0 +1,303 @@
+// src/firebase/offline/outboxService.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { getDoc } from "firebase/firestore";
+import { createCorte } from "../camas/cortesService.js";
+import { updateCama, updateMultipleCamasEstado } from "../camas/camaService.js";
+import {
+    OUTBOX_STATUS,
+    getOutboxState,
+    enqueueOperation,
+    runOrQueue,
+    replayOutbox,
+    discardEntry,
+    forceEntry
+} from "./outboxService.js";
+
+// Firestore y los servicios se reemplazan: las camas "del servidor" viven en `servidor`
+const servidor = new Map();
+let autoId = 0;
+
+vi.mock("firebase/firestore", () => ({
+    collection: (parent, ...segments) => ({ path: segments.join("/") }),
+    doc: (parent, ...segments) => {
+        const path = segments.length > 0 ? segments.join("/") : `${parent.path}/auto_${++autoId}`;
+        return { path, id: path.split("/").pop() };
+    },
+    getDoc: vi.fn(),
+    disableNetwork: vi.fn(),
+    enableNetwork: vi.fn()
+}));
+
+vi.mock("../config.js", () => ({ db: {} }));
+
+vi.mock("../camas/cortesService.js", () => ({
+    createCorte: vi.fn()
+}));
+
+vi.mock("../camas/camaService.js", () => ({
+    updateCama: vi.fn(),
+    updateMultipleCamasEstado: vi.fn()
+}));
+
+const camaPath = (camaId) => `viveros/v1/camas/${camaId}`;
+
+const networkError = () => Object.assign(new Error("Failed to get document because the client is offline"), {
+    code: "unavailable"
+});
+
+beforeEach(() => {
+    servidor.clear();
+    autoId = 0;
+    vi.mocked(getDoc).mockImplementation(async (ref) => ({
+        exists: () => servidor.has(ref.path),
+        data: () => servidor.get(ref.path)
+    }));
+    vi.mocked(createCorte).mockImplementation(async (viveroId, camaId, corteData) => corteData.id);
+    vi.mocked(updateCama).mockResolvedValue(undefined);
+    vi.mocked(updateMultipleCamasEstado).mockImplementation(async (viveroId, camaIds) => ({
+        total: camaIds.length,
+        success: camaIds.length,
+        errors: 0,
+        errorDetails: []
+    }));
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    vi.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+    getOutboxState().entries.forEach(entry => discardEntry(entry.id));
+    vi.resetAllMocks();
+    vi.restoreAllMocks();
+});
+
+describe("detección de conflictos", () => {
+    it("marca conflicto si otro usuario cambió el campo mientras no había conexión", async () => {
+        servidor.set(camaPath("A1"), { sustrato: "turba" });
+        const entry = enqueueOperation(
+            "updateCama",
+            { viveroId: "v1", camaId: "A1", updateData: { sustrato: "fibra de coco" }, userEmail: "a@x.com" },
+            { sustrato: "arena", cantidadPlantas: 10 }
+        );
+
+        await replayOutbox();
+
+        const [guardada] = getOutboxState().entries;
+        expect(guardada.id).toBe(entry.id);
+        expect(guardada.status).toBe(OUTBOX_STATUS.CONFLICT);
+        expect(guardada.conflict.campos).toEqual([
+            { camaId: "A1", campo: "sustrato", local: "fibra de coco", servidor: "turba" }
+        ]);
+        expect(updateCama).not.toHaveBeenCalled();
+    });
+
+    it("solo guarda como referencia los campos que la operación modifica", () => {
+        const entry = enqueueOperation(
+            "updateCama",
+            { viveroId: "v1", camaId: "A1", updateData: { sustrato: "fibra de coco" } },
+            { sustrato: "arena", cantidadPlantas: 10 }
+        );
+
+        expect(entry.base).toEqual({ sustrato: "arena" });
+    });
+
+    it("no es conflicto si el servidor ya tiene el valor que se iba a escribir", async () => {
+        servidor.set(camaPath("A1"), { sustrato: "fibra de coco" });
+        enqueueOperation(
+            "updateCama",
+            { viveroId: "v1", camaId: "A1", updateData: { sustrato: "fibra de coco" } },
+            { sustrato: "arena" }
+        );
+
+        const { synced } = await replayOutbox();
+
+        expect(synced).toBe(1);
+        expect(getOutboxState().entries).toEqual([]);
+    });
+
+    it("compara fechas por su valor, no por la instancia", async () => {
+        const fecha = new Date("2025-03-01T10:00:00Z");
+        servidor.set(camaPath("A1"), {
+            fechaSiembra: { toMillis: () => fecha.getTime() }
+        });
+        enqueueOperation(
+            "updateCama",
+            { viveroId: "v1", camaId: "A1", updateData: { fechaSiembra: new Date("2025-04-01T10:00:00Z") } },
+            { fechaSiembra: new Date(fecha) }
+        );
+
+        await replayOutbox();
+
+        expect(updateCama).toHaveBeenCalledTimes(1);
+        expect(getOutboxState().entries).toEqual([]);
+    });
+
+    it("en cambios masivos solo informa las camas que cambiaron en el servidor", async () => {
+        servidor.set(camaPath("A1"), { estado: "sembrada" });
+        servidor.set(camaPath("A2"), { estado: "en_produccion" });
+        enqueueOperation(
+            "updateMultipleCamasEstado",
+            { viveroId: "v1", camaIds: ["A1", "A2"], nuevoEstado: "en_renovacion" },
+            [{ id: "A1", estado: "sembrada" }, { id: "A2", estado: "sembrada" }, { id: "A3", estado: "libre" }]
+        );
+
+        await replayOutbox();
+
+        const [guardada] = getOutboxState().entries;
+        expect(guardada.base).toEqual({ A1: { estado: "sembrada" }, A2: { estado: "sembrada" } });
+        expect(guardada.status).toBe(OUTBOX_STATUS.CONFLICT);
+        expect(guardada.conflict.campos.map(campo => campo.camaId)).toEqual(["A2"]);
+    });
+
+    it("un corte para una cama que ya no existe queda en conflicto", async () => {
+        enqueueOperation("createCorte", {
+            viveroId: "v1",
+            camaId: "Z9",
+            corteData: { fecha: new Date(), cantidadEsquejes: 5 }
+        });
+
+        await replayOutbox();
+
+        expect(getOutboxState().entries[0].status).toBe(OUTBOX_STATUS.CONFLICT);
+        expect(createCorte).not.toHaveBeenCalled();
+    });
+
+    it("forceEntry aplica la operación en conflicto sin volver a comparar", async () => {
+        servidor.set(camaPath("A1"), { sustrato: "turba" });
+        const entry = enqueueOperation(
+            "updateCama",
+            { viveroId: "v1", camaId: "A1", updateData: { sustrato: "fibra de coco" }, userEmail: "a@x.com" },
+            { sustrato: "arena" }
+        );
+        await replayOutbox();
+
+        const outcome = await forceEntry(entry.id);
+
+        expect(outcome).toBe("synced");
+        expect(updateCama).toHaveBeenCalledWith("v1", "A1", { sustrato: "fibra de coco" }, "a@x.com");
+        expect(getOutboxState().entries).toEqual([]);
+    });
+});
+
+describe("reproducción de la cola", () => {
+    it("reproduce en el orden en que se encolaron", async () => {
+        servidor.set(camaPath("A1"), { sustrato: "arena" });
+        enqueueOperation("updateCama", { viveroId: "v1", camaId: "A1", updateData: { sustrato: "turba" } });
+        enqueueOperation("createCorte", { viveroId: "v1", camaId: "A1", corteData: { cantidadEsquejes: 5 } });
+
+        const { synced } = await replayOutbox();
+
+        expect(synced).toBe(2);
+        expect(updateCama.mock.invocationCallOrder[0]).toBeLessThan(createCorte.mock.invocationCallOrder[0]);
+        expect(getOutboxState().pending).toBe(0);
+    });
+
+    it("asigna el ID del corte al encolar y lo reutiliza en cada reintento", async () => {
+        servidor.set(camaPath("A1"), {});
+        vi.mocked(createCorte).mockRejectedValueOnce(networkError());
+        const entry = enqueueOperation("createCorte", {
+            viveroId: "v1",
+            camaId: "A1",
+            corteData: { cantidadEsquejes: 5 }
+        });
+        const corteId = entry.payload.corteData.id;
+
+        expect(corteId).toBeTruthy();
+
+        await replayOutbox();
+        expect(getOutboxState().pending).toBe(1);
+
+        await replayOutbox();
+        expect(createCorte).toHaveBeenCalledTimes(2);
+        createCorte.mock.calls.forEach(([, , corteData]) => expect(corteData.id).toBe(corteId));
+        expect(getOutboxState().entries).toEqual([]);
+    });
+
+    it("se detiene al primer error de red y conserva el resto pendiente", async () => {
+        servidor.set(camaPath("A1"), {});
+        vi.mocked(updateCama).mockRejectedValueOnce(networkError());
+        enqueueOperation("updateCama", { viveroId: "v1", camaId: "A1", updateData: { sustrato: "turba" } });
+        enqueueOperation("createCorte", { viveroId: "v1", camaId: "A1", corteData: { cantidadEsquejes: 5 } });
+
+        const { synced } = await replayOutbox();
+
+        expect(synced).toBe(0);
+        expect(createCorte).not.toHaveBeenCalled();
+        const state = getOutboxState();
+        expect(state.pending).toBe(2);
+        expect(state.entries[0].attempts).toBe(1);
+        expect(state.entries[0].lastError).toMatch(/offline/);
+    });
+
+    it("un error que no es de red marca la operación como fallida y sigue con la siguiente", async () => {
+        servidor.set(camaPath("A1"), {});
+        vi.mocked(updateCama).mockRejectedValueOnce(new Error("Transición no permitida"));
+        enqueueOperation("updateCama", { viveroId: "v1", camaId: "A1", updateData: { estado: "libre" } });
+        enqueueOperation("createCorte", { viveroId: "v1", camaId: "A1", corteData: { cantidadEsquejes: 5 } });
+
+        const { synced } = await replayOutbox();
+
+        expect(synced).toBe(1);
+        const [fallida] = getOutboxState().entries;
+        expect(fallida.status).toBe(OUTBOX_STATUS.FAILED);
+        expect(fallida.lastError).toBe("Transición no permitida");
+    });
+
+    it("un cambio masivo parcial queda en la cola solo con las camas sin actualizar", async () => {
+        vi.mocked(updateMultipleCamasEstado).mockResolvedValueOnce({
+            total: 3,
+            success: 2,
+            errors: 1,
+            errorDetails: [{ camaId: "A3", error: "Faltan datos" }]
+        });
+        enqueueOperation("updateMultipleCamasEstado", {
+            viveroId: "v1",
+            camaIds: ["A1", "A2", "A3"],
+            nuevoEstado: "sembrada"
+        });
+
+        const { synced } = await replayOutbox();
+
+        expect(synced).toBe(0);
+        const [entry] = getOutboxState().entries;
+        expect(entry.status).toBe(OUTBOX_STATUS.FAILED);
+        expect(entry.payload.camaIds).toEqual(["A3"]);
+        expect(entry.lastError).toBe("A3: Faltan datos");
+    });
+
+    it("runOrQueue encola detrás de las pendientes para respetar el orden", async () => {
+        servidor.set(camaPath("A1"), {});
+        vi.mocked(updateCama).mockRejectedValueOnce(networkError());
+        enqueueOperation("updateCama", { viveroId: "v1", camaId: "A1", updateData: { sustrato: "turba" } });
+        await replayOutbox();
+
+        vi.mocked(updateCama).mockRejectedValueOnce(networkError());
+        const result = await runOrQueue("createCorte", {
+            viveroId: "v1",
+            camaId: "A1",
+            corteData: { cantidadEsquejes: 5 }
+        });
+        await replayOutbox();
+
+        expect(result.queued).toBe(true);
+        expect(getOutboxState().entries.map(entry => entry.type)).toEqual(["updateCama", "createCorte"]);
+        expect(createCorte).not.toHaveBeenCalled();
+    });
+
+    it("runOrQueue ejecuta directamente sin pendientes y encola el mismo corte si falla la red", async () => {
+        vi.mocked(createCorte).mockRejectedValueOnce(networkError());
+        vi.mocked(getDoc).mockRejectedValue(networkError());
+
+        const result = await runOrQueue("createCorte", {
+            viveroId: "v1",
+            camaId: "A1",
+            corteData: { cantidadEsquejes: 5 }
+        });
+        await replayOutbox();
+
+        const [, , corteData] = createCorte.mock.calls[0];
+        const [entry] = getOutboxState().entries;
+        expect(result.queued).toBe(true);
+        expect(entry.payload.corteData.id).toBe(corteData.id);
+    });
+});
@@ -0,0 +1,194 @@
+// src/firebase/roleService.js
+
+/**
+ * ============================================================================
+ * 🔐 ROLE SERVICE - MODELO DE PERMISOS
+ * ============================================================================
+ * Roles de usuario con alcance global o por vivero
+ * - propietario: control total del sistema (equivale al antiguo isAdmin)
+ * - encargado: gestiona camas, cortes y aplicaciones de sus viveros
+ * - trabajador: registra cortes y aplicaciones y cambia estados de camas en sus viveros
+ * - lector: solo lectura
+ *
+ * Campos en el documento users/{uid}:
+ * - rol: rol global (aplica a todos los viveros)
+ * - rolesPorVivero: { [viveroId]: rol } roles adicionales por vivero
+ * - activo: false bloquea todos los permisos
+ * - isAdmin: se mantiene por compatibilidad (true = propietario)
+ * ============================================================================
+ */
+
+export const ROLES = {
+    PROPIETARIO: "propietario",
+    ENCARGADO: "encargado",
+    TRABAJADOR: "trabajador",
+    LECTOR: "lector"
+};
+
+export const ROLE_LABELS = {
+    [ROLES.PROPIETARIO]: "Propietario",
+    [ROLES.ENCARGADO]: "Encargado de vivero",
+    [ROLES.TRABAJADOR]: "Trabajador de campo",
+    [ROLES.LECTOR]: "Solo lectura"
+};
+
+// Jerarquía: un rol mayor incluye los permisos de los menores
+const ROLE_LEVELS = {
+    [ROLES.LECTOR]: 0,
+    [ROLES.TRABAJADOR]: 1,
+    [ROLES.ENCARGADO]: 2,
+    [ROLES.PROPIETARIO]: 3
+};
+
+export const PERMISSIONS = {
+    VER: "ver",
+    CREAR_VIVERO: "viveros:crear",
+    EDITAR_VIVERO: "viveros:editar",
+    ELIMINAR_VIVERO: "viveros:eliminar",
+    CREAR_CAMA: "camas:crear",
+    EDITAR_CAMA: "camas:editar",
+    CAMBIAR_ESTADO_CAMA: "camas:estado",
+    ELIMINAR_CAMA: "camas:eliminar",
+    CREAR_CORTE: "cortes:crear",
+    EDITAR_CORTE: "cortes:editar",
+    ELIMINAR_CORTE: "cortes:eliminar",
+    REGISTRAR_APLICACION: "aplicaciones:registrar",
+    ELIMINAR_APLICACION: "aplicaciones:eliminar",
+    REPORTAR_INCIDENCIA: "incidencias:reportar",
+    GESTIONAR_INCIDENCIA: "incidencias:gestionar",
+    SUBIR_FOTO: "fotos:subir",
+    GESTIONAR_USUARIOS: "usuarios:gestionar"
+};
+
+const ROLE_PERMISSIONS = {
+    [ROLES.LECTOR]: [
+        PERMISSIONS.VER
+    ],
+    [ROLES.TRABAJADOR]: [
+        PERMISSIONS.VER,
+        PERMISSIONS.CREAR_CORTE,
+        PERMISSIONS.REGISTRAR_APLICACION,
+        PERMISSIONS.REPORTAR_INCIDENCIA,
+        PERMISSIONS.SUBIR_FOTO,
+        PERMISSIONS.CAMBIAR_ESTADO_CAMA
+    ],
+    [ROLES.ENCARGADO]: [
+        PERMISSIONS.VER,
+        PERMISSIONS.EDITAR_VIVERO,
+        PERMISSIONS.CREAR_CAMA,
+        PERMISSIONS.EDITAR_CAMA,
+        PERMISSIONS.CAMBIAR_ESTADO_CAMA,
+        PERMISSIONS.ELIMINAR_CAMA,
+        PERMISSIONS.CREAR_CORTE,
+        PERMISSIONS.EDITAR_CORTE,
+        PERMISSIONS.ELIMINAR_CORTE,
+        PERMISSIONS.REGISTRAR_APLICACION,
+        PERMISSIONS.ELIMINAR_APLICACION,
+        PERMISSIONS.REPORTAR_INCIDENCIA,
+        PERMISSIONS.GESTIONAR_INCIDENCIA,
+        PERMISSIONS.SUBIR_FOTO
+    ],
+    [ROLES.PROPIETARIO]: Object.values(PERMISSIONS)
+};
+
+/**
+ * Indica si un valor es un rol válido
+ * @param {string} rol - Rol a validar
+ * @returns {boolean}
+ */
+export const isValidRole = (rol) => Object.values(ROLES).includes(rol);
+
+/**
+ * Devuelve el rol de mayor nivel entre dos roles
+ */
+const maxRole = (a, b) => {
+    if (!isValidRole(a)) return isValidRole(b) ? b : null;
+    if (!isValidRole(b)) return a;
+    return ROLE_LEVELS[a] >= ROLE_LEVELS[b] ? a : b;
+};
+
+/**
+ * Obtiene el rol global del usuario
+ * @param {Object} user - Usuario (documento users + datos de auth)
+ * @returns {string|null} Rol global o null si no hay usuario activo
+ */
+export const getGlobalRole = (user) => {
+    if (!user || user.activo === false) return null;
+    if (user.isAdmin) return ROLES.PROPIETARIO;
+    return isValidRole(user.rol) ? user.rol : ROLES.LECTOR;
+};
+
+/**
+ * Obtiene el rol efectivo del usuario, opcionalmente en un vivero
+ * El rol efectivo es el mayor entre el global y el asignado al vivero
+ * @param {Object} user - Usuario
+ * @param {string|null} viveroId - ID del vivero (null = solo rol global)
+ * @returns {string|null} Rol efectivo
+ */
+export const getEffectiveRole = (user, viveroId = null) => {
+    const globalRole = getGlobalRole(user);
+    if (!globalRole || !viveroId) return globalRole;
+
+    return maxRole(globalRole, user.rolesPorVivero?.[viveroId]);
+};
+
+/**
+ * Verifica si el usuario tiene un permiso
+ * Sin viveroId solo se consideran los permisos del rol global
+ * @param {Object} user - Usuario
+ * @param {string} permission - Permiso de PERMISSIONS
+ * @param {string|null} viveroId - ID del vivero donde se aplica
+ * @returns {boolean}
+ */
+export const hasPermission = (user, permission, viveroId = null) => {
+    const rol = getEffectiveRole(user, viveroId);
+    if (!rol) return false;
+
+    return ROLE_PERMISSIONS[rol].includes(permission);
+};
+
+/**
+ * Verifica si el usuario tiene un permiso en al menos un vivero
+ * Útil para mostrar menús y accesos generales
+ * @param {Object} user - Usuario
+ * @param {string} permission - Permiso de PERMISSIONS
+ * @returns {boolean}
+ */
+export const hasPermissionInAnyVivero = (user, permission) => {
+    if (hasPermission(user, permission)) return true;
+
+    return Object.keys(user?.rolesPorVivero || {}).some(viveroId =>
+        hasPermission(user, permission, viveroId)
+    );
+};
+
+/**
+ * Lista los viveros donde el usuario tiene un rol asignado
+ * @param {Object} user - Usuario
+ * @returns {Array<Object>} [{ viveroId, rol }]
+ */
+export const getAssignedViveros = (user) => {
+    return Object.entries(user?.rolesPorVivero || {})
+        .filter(([, rol]) => isValidRole(rol))
+        .map(([viveroId, rol]) => ({ viveroId, rol }));
+};
+
+/**
+ * Obtiene la etiqueta legible de un rol
+ * @param {string} rol - Rol
+ * @returns {string}
+ */
+export const getRoleLabel = (rol) => ROLE_LABELS[rol] || "Sin rol";
+
+export default {
+    ROLES,
+    ROLE_LABELS,
+    PERMISSIONS,
+    isValidRole,
+    getGlobalRole,
+    getEffectiveRole,
+    hasPermission,
+    hasPermissionInAnyVivero,
+    getAssignedViveros,
+    getRoleLabel
+};
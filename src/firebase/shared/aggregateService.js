@@ -0,0 +1,306 @@
+// src/firebase/shared/aggregateService.js
+import {
+    doc,
+    collection,
+    getDocs,
+    query,
+    orderBy,
+    limit,
+    increment,
+    serverTimestamp
+} from "firebase/firestore";
+import { db } from "../config.js";
+import { isTrashed } from "./trashService.js";
+
+/**
+ * ============================================================================
+ * 📈 AGGREGATE SERVICE - Estadísticas Incrementales
+ * ============================================================================
+ * Responsabilidad: Mantener `estadisticas` de camas y viveros al día
+ * - Cada escritura de corte o cama agrega sus deltas en la misma transacción
+ *   o lote que el cambio, así los contadores nunca quedan a medias
+ * - Sumas con increment(): no dependen de haber leído el valor actual
+ * - ultimoCorte de la cama y del vivero se comparan con las fechas leídas
+ *   en la transacción; fechaPrimerCorte solo se adelanta (al eliminar el
+ *   primer corte queda hasta la próxima reparación)
+ * - Promedio y productividad se derivan de los totales al leer
+ *   (getCamaStatsDerivadas), sin recorrer los cortes
+ * - Las camas en la papelera no cuentan para el vivero; al enviarlas o
+ *   restaurarlas se restan o suman sus totales y se ajusta su ultimoCorte
+ * - calculateViveroStats / calculateCamaStats quedan como herramienta de
+ *   reparación (recálculo completo)
+ * ============================================================================
+ */
+
+// ============================================================================
+// 🔧 HELPERS
+// ============================================================================
+
+/**
+ * Criterio de cama ocupada (el mismo que usa calculateViveroStats)
+ * @param {Object} camaData - Datos de la cama
+ * @returns {boolean}
+ */
+export const isCamaOcupada = (camaData) => (Number(camaData?.cantidadPlantas) || 0) > 0;
+
+const toMillis = (fecha) => {
+    if (!fecha) return null;
+    if (typeof fecha.toMillis === "function") return fecha.toMillis();
+    const time = new Date(fecha).getTime();
+    return Number.isNaN(time) ? null : time;
+};
+
+const fechaMasReciente = (...fechas) => fechas.reduce((max, fecha) => {
+    if (!fecha) return max;
+    return !max || toMillis(fecha) > toMillis(max) ? fecha : max;
+}, null);
+
+/**
+ * Obtiene la fecha del corte más reciente de una cama sin contar uno dado
+ * Las transacciones del SDK web no admiten consultas, así que se lee antes
+ * de abrirla; solo se usa cuando el corte que cambia era el último
+ * @param {string} viveroId - ID del vivero
+ * @param {string} camaId - ID de la cama
+ * @param {string} excluirCorteId - Corte que se actualiza o elimina
+ * @returns {Promise<Timestamp|null>} Fecha del corte más reciente restante
+ */
+export const getUltimoCorteFecha = async (viveroId, camaId, excluirCorteId = null) => {
+    const cortesRef = collection(db, "viveros", viveroId, "camas", camaId, "cortes_esquejes");
+    const snapshot = await getDocs(query(cortesRef, orderBy("fecha", "desc"), limit(2)));
+    const corteDoc = snapshot.docs.find(d => d.id !== excluirCorteId);
+    return corteDoc ? corteDoc.data().fecha || null : null;
+};
+
+// Camas candidatas a tener el último corte del vivero (algunas pueden estar en la papelera)
+const ULTIMO_CORTE_VIVERO_CANDIDATAS = 10;
+
+/**
+ * Obtiene la fecha del corte más reciente de un vivero sin contar una cama
+ * Sale del ultimoCorte guardado en cada cama; igual que getUltimoCorteFecha
+ * se lee antes de la transacción y solo importa si esa cama tenía el último
+ * @param {string} viveroId - ID del vivero
+ * @param {string} excluirCamaId - Cama cuyo último corte cambia
+ * @returns {Promise<Timestamp|null>} Fecha del corte más reciente de las demás camas
+ */
+export const getUltimoCorteViveroFecha = async (viveroId, excluirCamaId = null) => {
+    const camasRef = collection(db, "viveros", viveroId, "camas");
+    const snapshot = await getDocs(query(
+        camasRef,
+        orderBy("estadisticas.ultimoCorte", "desc"),
+        limit(ULTIMO_CORTE_VIVERO_CANDIDATAS)
+    ));
+    const camaDoc = snapshot.docs.find(d => d.id !== excluirCamaId && !isTrashed(d.data()));
+    return camaDoc ? camaDoc.data().estadisticas?.ultimoCorte || null : null;
+};
+
+// ============================================================================
+// ✂️ CORTES
+// ============================================================================
+
+/**
+ * Agrega a una transacción o lote los contadores afectados por un corte
+ * antes = null para una creación, despues = null para una eliminación
+ * @param {Object} batch - Transaction, WriteBatch o cola de batchService
+ * @param {Object} params - Datos del cambio
+ * @param {string} params.viveroId - ID del vivero
+ * @param {string} params.camaId - ID de la cama
+ * @param {Object} params.camaData - Cama leída (en la transacción si la hay)
+ * @param {Object} params.viveroData - Vivero leído (en la transacción si la hay);
+ *   sin él no se actualiza el ultimoCorte del vivero
+ * @param {Object} params.antes - Corte antes del cambio
+ * @param {Object} params.despues - Corte después del cambio
+ * @param {Timestamp} params.ultimoCorteRestante - Fecha más reciente sin este
+ *   corte (getUltimoCorteFecha), necesaria si el corte era el último
+ * @param {Timestamp} params.ultimoCorteViveroRestante - Fecha más reciente de las
+ *   demás camas (getUltimoCorteViveroFecha), necesaria si la cama tenía el último
+ *   corte del vivero
+ * @returns {Object} Valores resultantes { ultimoCorte, fechaPrimerCorte, totalCortes,
+ *   ultimoCorteVivero } para encadenar varios cortes en un mismo lote
+ */
+export const addCorteAggregatesToBatch = (batch, params) => {
+    const {
+        viveroId,
+        camaId,
+        camaData,
+        viveroData = null,
+        antes = null,
+        despues = null,
+        ultimoCorteRestante = null,
+        ultimoCorteViveroRestante = null
+    } = params;
+
+    const deltaEsquejes = (Number(despues?.cantidadEsquejes) || 0) - (Number(antes?.cantidadEsquejes) || 0);
+    const deltaCortes = (despues ? 1 : 0) - (antes ? 1 : 0);
+
+    // Si el corte que cambia era el último, hay que bajar al siguiente
+    const ultimoActual = camaData?.estadisticas?.ultimoCorte || null;
+    const eraElUltimo = antes?.fecha && ultimoActual && toMillis(antes.fecha) === toMillis(ultimoActual);
+    const ultimoCorte = eraElUltimo
+        ? fechaMasReciente(ultimoCorteRestante, despues?.fecha)
+        : fechaMasReciente(ultimoActual, despues?.fecha);
+
+    const cambiaUltimo = toMillis(ultimoCorte) !== toMillis(ultimoActual);
+
+    // El primer corte solo se adelanta; sin cortes restantes se limpia
+    const totalCortesActual = Number(camaData?.estadisticas?.totalCortes) || 0;
+    const primerActual = camaData?.estadisticas?.fechaPrimerCorte || null;
+    let primerCorte = primerActual;
+    if (totalCortesActual + deltaCortes <= 0) {
+        primerCorte = null;
+    } else if (despues?.fecha && (primerActual
+        ? toMillis(despues.fecha) < toMillis(primerActual)
+        : totalCortesActual === (antes ? 1 : 0))) {
+        primerCorte = despues.fecha;
+    }
+    const cambiaPrimero = toMillis(primerCorte) !== toMillis(primerActual);
+
+    // Último corte del vivero: si esta cama lo tenía y su último bajó, pasa
+    // al más reciente entre las demás camas y el nuevo de esta
+    const cuentaEnVivero = !isTrashed(camaData);
+    const ultimoViveroActual = viveroData?.estadisticas?.ultimoCorte || null;
+    let ultimoCorteVivero = ultimoViveroActual;
+    if (viveroData && cuentaEnVivero) {
+        const bajaUltimo = ultimoActual && (!ultimoCorte || toMillis(ultimoCorte) < toMillis(ultimoActual));
+        const teniaElDelVivero = ultimoActual && ultimoViveroActual && toMillis(ultimoActual) === toMillis(ultimoViveroActual);
+        ultimoCorteVivero = bajaUltimo && teniaElDelVivero
+            ? fechaMasReciente(ultimoCorteViveroRestante, ultimoCorte)
+            : fechaMasReciente(ultimoViveroActual, ultimoCorte);
+    }
+    const cambiaUltimoVivero = toMillis(ultimoCorteVivero) !== toMillis(ultimoViveroActual);
+
+    const resultado = {
+        ultimoCorte,
+        fechaPrimerCorte: primerCorte,
+        totalCortes: totalCortesActual + deltaCortes,
+        ultimoCorteVivero
+    };
+
+    if (deltaEsquejes === 0 && deltaCortes === 0 && !cambiaUltimo && !cambiaPrimero && !cambiaUltimoVivero) {
+        return resultado;
+    }
+
+    const camaUpdate = {
+        "estadisticas.totalEsquejesHistorico": increment(deltaEsquejes),
+        "estadisticas.totalCortes": increment(deltaCortes)
+    };
+    if (cambiaUltimo) {
+        camaUpdate["estadisticas.ultimoCorte"] = ultimoCorte;
+    }
+    if (cambiaPrimero) {
+        camaUpdate["estadisticas.fechaPrimerCorte"] = primerCorte;
+    }
+    if (deltaEsquejes !== 0 || deltaCortes !== 0 || cambiaUltimo || cambiaPrimero) {
+        batch.update(doc(db, "viveros", viveroId, "camas", camaId), camaUpdate);
+    }
+
+    // Los cortes de una cama en la papelera no cuentan para el vivero
+    if (cuentaEnVivero && (deltaEsquejes !== 0 || deltaCortes !== 0 || cambiaUltimoVivero)) {
+        const viveroUpdate = {
+            "estadisticas.totalEsquejesHistorico": increment(deltaEsquejes),
+            "estadisticas.totalCortes": increment(deltaCortes),
+            "estadisticas.ultimaActualizacion": serverTimestamp()
+        };
+        if (cambiaUltimoVivero) {
+            viveroUpdate["estadisticas.ultimoCorte"] = ultimoCorteVivero;
+        }
+        batch.update(doc(db, "viveros", viveroId), viveroUpdate);
+    }
+
+    return resultado;
+};
+
+/**
+ * Completa las estadísticas guardadas de una cama con los valores derivados
+ * de sus totales (lo mismo que calcula calculateCamaStats, sin leer cortes)
+ * @param {Object} estadisticas - cama.estadisticas
+ * @returns {Object} Estadísticas con promedioEsquejesPorCorte y productividadDiaria
+ */
+export const getCamaStatsDerivadas = (estadisticas = {}) => {
+    const totalEsquejes = Number(estadisticas?.totalEsquejesHistorico) || 0;
+    const totalCortes = Number(estadisticas?.totalCortes) || 0;
+
+    const primero = toMillis(estadisticas?.fechaPrimerCorte);
+    const ultimo = toMillis(estadisticas?.ultimoCorte);
+    const dias = primero !== null && ultimo !== null
+        ? Math.max(1, Math.ceil((ultimo - primero) / (1000 * 60 * 60 * 24)))
+        : null;
+
+    return {
+        ...estadisticas,
+        promedioEsquejesPorCorte: totalCortes > 0 ? Math.round((totalEsquejes / totalCortes) * 100) / 100 : 0,
+        productividadDiaria: dias ? Math.round((totalEsquejes / dias) * 100) / 100 : 0
+    };
+};
+
+// ============================================================================
+// 🌿 CAMAS
+// ============================================================================
+
+/**
+ * Agrega a un lote los contadores del vivero afectados por una cama
+ * antes/despues son la cama tal como cuenta para el vivero: null si no existe
+ * o está en la papelera (crear: antes = null, enviar a papelera: despues = null)
+ * @param {Object} batch - Transaction, WriteBatch o cola de batchService
+ * @param {string} viveroId - ID del vivero
+ * @param {Object} antes - Cama antes del cambio
+ * @param {Object} despues - Cama después del cambio
+ * @param {Object} options - Datos para mantener el ultimoCorte del vivero
+ * @param {Object} options.viveroData - Vivero leído; sin él no se actualiza su ultimoCorte
+ * @param {Timestamp} options.ultimoCorteViveroRestante - Fecha más reciente de las
+ *   demás camas (getUltimoCorteViveroFecha), necesaria si la cama deja de contar
+ * @returns {boolean} Si se agregó alguna escritura
+ */
+export const addCamaAggregatesToBatch = (batch, viveroId, antes = null, despues = null, options = {}) => {
+    const { viveroData = null, ultimoCorteViveroRestante = null } = options;
+    const cuenta = (camaData, campo) => Number(camaData?.[campo]) || 0;
+    const cuentaStats = (camaData, campo) => Number(camaData?.estadisticas?.[campo]) || 0;
+
+    const deltas = {
+        totalCamas: (despues ? 1 : 0) - (antes ? 1 : 0),
+        camasOcupadas: (isCamaOcupada(despues) ? 1 : 0) - (isCamaOcupada(antes) ? 1 : 0),
+        totalPlantas: cuenta(despues, "cantidadPlantas") - cuenta(antes, "cantidadPlantas"),
+        totalEsquejesHistorico: cuentaStats(despues, "totalEsquejesHistorico") - cuentaStats(antes, "totalEsquejesHistorico"),
+        totalCortes: cuentaStats(despues, "totalCortes") - cuentaStats(antes, "totalCortes")
+    };
+    deltas.camasLibres = deltas.totalCamas - deltas.camasOcupadas;
+
+    // Si la cama tenía el último corte del vivero y deja de contar, pasa al
+    // de las demás camas; si vuelve a contar, puede volver a ser el último
+    const ultimoViveroActual = viveroData?.estadisticas?.ultimoCorte || null;
+    const ultimoAntes = antes?.estadisticas?.ultimoCorte || null;
+    const ultimoDespues = despues?.estadisticas?.ultimoCorte || null;
+    let ultimoCorteVivero = ultimoViveroActual;
+    if (viveroData) {
+        const teniaElDelVivero = ultimoAntes && ultimoViveroActual && toMillis(ultimoAntes) === toMillis(ultimoViveroActual);
+        const bajaUltimo = ultimoAntes && (!ultimoDespues || toMillis(ultimoDespues) < toMillis(ultimoAntes));
+        ultimoCorteVivero = teniaElDelVivero && bajaUltimo
+            ? fechaMasReciente(ultimoCorteViveroRestante, ultimoDespues)
+            : fechaMasReciente(ultimoViveroActual, ultimoDespues);
+    }
+    const cambiaUltimoVivero = toMillis(ultimoCorteVivero) !== toMillis(ultimoViveroActual);
+
+    const cambios = Object.entries(deltas).filter(([, delta]) => delta !== 0);
+    if (cambios.length === 0 && !cambiaUltimoVivero) {
+        return false;
+    }
+
+    const viveroUpdate = { "estadisticas.ultimaActualizacion": serverTimestamp() };
+    cambios.forEach(([campo, delta]) => {
+        viveroUpdate[`estadisticas.${campo}`] = increment(delta);
+    });
+    if (cambiaUltimoVivero) {
+        viveroUpdate["estadisticas.ultimoCorte"] = ultimoCorteVivero;
+    }
+
+    batch.update(doc(db, "viveros", viveroId), viveroUpdate);
+    return true;
+};
+
+export default {
+    isCamaOcupada,
+    getUltimoCorteFecha,
+    getUltimoCorteViveroFecha,
+    addCorteAggregatesToBatch,
+    getCamaStatsDerivadas,
+    addCamaAggregatesToBatch
+};
@@ -0,0 +1,332 @@
+// src/firebase/shared/auditService.js
+import {
+    doc,
+    getDoc,
+    collection,
+    getDocs,
+    query,
+    where,
+    orderBy,
+    limit,
+    serverTimestamp,
+    runTransaction,
+    Timestamp,
+    FieldValue
+} from "firebase/firestore";
+import { db } from "../config.js";
+import { addCorteAggregatesToBatch } from "./aggregateService.js";
+import { isTrashed } from "./trashService.js";
+
+/**
+ * ============================================================================
+ * 📜 AUDIT SERVICE - Historial de Cambios
+ * ============================================================================
+ * Responsabilidad: Registro de solo inserción de los cambios en viveros,
+ * camas, cortes, aplicaciones de insumos y especies del catálogo
+ * - Cada creación, actualización o eliminación guarda quién, cuándo y qué cambió
+ * - Las entradas se escriben en el mismo batch que la operación auditada,
+ *   así no hay cambios sin registro ni registros sin cambio
+ * - Colección raíz "historial": las entradas sobreviven a la eliminación
+ *   del vivero o de la cama
+ * - Las eliminaciones guardan el documento completo para poder recuperarlo
+ *
+ * Estructura de una entrada:
+ * {
+ *   entidad: "vivero" | "cama" | "corte" | "aplicacion" | "incidencia" | "especie",
+ *   accion: "crear" | "actualizar" | "eliminar" | "restaurar" | "purgar",
+ *   viveroId, camaId, corteId,
+ *   especieId,                             // solo en entradas de especies
+ *   aplicacionId,                          // solo en entradas de aplicaciones
+ *   incidenciaId,                          // solo en entradas de incidencias
+ *   cambios: [{ campo, antes, despues }],  // solo en actualizaciones
+ *   documento: {...},                      // creado, eliminado, restaurado o purgado
+ *   actor: email del usuario,
+ *   fecha: serverTimestamp()
+ * }
+ * ============================================================================
+ */
+
+export const AUDIT_COLLECTION = "historial";
+
+export const AUDIT_ENTIDADES = {
+    VIVERO: "vivero",
+    CAMA: "cama",
+    CORTE: "corte",
+    APLICACION: "aplicacion",
+    INCIDENCIA: "incidencia",
+    ESPECIE: "especie"
+};
+
+export const AUDIT_ACCIONES = {
+    CREAR: "crear",
+    ACTUALIZAR: "actualizar",
+    ELIMINAR: "eliminar",
+    RESTAURAR: "restaurar",
+    PURGAR: "purgar"
+};
+
+// Campos de control que no se consideran cambios del usuario
+// (estado y datos de cultivo se registran por sus campos; sus historiales viven en la cama)
+const IGNORED_FIELDS = [
+    "createdAt", "createdBy", "updatedAt", "updatedBy", "estadisticas",
+    "estadoDesde", "historialEstados", "ciclos"
+];
+
+const isPlainObject = (value) =>
+    value !== null && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Prepara un valor para guardarlo en el historial
+ * Quita los sentinels de Firestore (serverTimestamp) y convierte undefined en null
+ */
+const sanitizeValue = (value) => {
+    if (value === undefined || value instanceof FieldValue) return null;
+    if (value instanceof Date) return Timestamp.fromDate(value);
+    if (Array.isArray(value)) return value.map(sanitizeValue);
+
+    if (isPlainObject(value)) {
+        return Object.fromEntries(
+            Object.entries(value)
+                .filter(([, nested]) => !(nested instanceof FieldValue))
+                .map(([key, nested]) => [key, sanitizeValue(nested)])
+        );
+    }
+
+    return value;
+};
+
+const toComparable = (value) => JSON.stringify(sanitizeValue(value));
+
+// Soporta rutas con punto ("ubicacion.direccion") como las de updateDoc
+const getFieldValue = (data, campo) =>
+    campo.split(".").reduce((current, key) => current?.[key], data);
+
+/**
+ * Calcula los campos modificados entre el documento actual y los datos nuevos
+ * @param {Object} antes - Documento antes del cambio
+ * @param {Object} despues - Datos enviados a updateDoc
+ * @returns {Array<Object>} [{ campo, antes, despues }]
+ */
+export const computeChanges = (antes = {}, despues = {}) => {
+    return Object.entries(despues)
+        .filter(([campo, valor]) =>
+            !IGNORED_FIELDS.includes(campo.split(".")[0]) && !(valor instanceof FieldValue)
+        )
+        .map(([campo, valor]) => ({
+            campo,
+            antes: sanitizeValue(getFieldValue(antes, campo)),
+            despues: sanitizeValue(valor)
+        }))
+        .filter((cambio) => toComparable(cambio.antes) !== toComparable(cambio.despues));
+};
+
+/**
+ * Construye una entrada de historial
+ */
+const buildAuditEntry = ({ entidad, accion, viveroId, camaId = null, corteId = null, especieId = null, aplicacionId = null, incidenciaId = null, antes = null, despues = null, actor }) => {
+    const entry = {
+        entidad,
+        accion,
+        viveroId,
+        camaId,
+        corteId,
+        cambios: [],
+        documento: null,
+        actor: actor || "desconocido",
+        fecha: serverTimestamp()
+    };
+
+    if (especieId) {
+        entry.especieId = especieId;
+    }
+
+    if (aplicacionId) {
+        entry.aplicacionId = aplicacionId;
+    }
+
+    if (incidenciaId) {
+        entry.incidenciaId = incidenciaId;
+    }
+
+    if (accion === AUDIT_ACCIONES.ACTUALIZAR) {
+        entry.cambios = computeChanges(antes || {}, despues || {});
+    } else if (accion === AUDIT_ACCIONES.ELIMINAR || accion === AUDIT_ACCIONES.PURGAR) {
+        entry.documento = sanitizeValue(antes);
+    } else {
+        entry.documento = sanitizeValue(despues);
+    }
+
+    return entry;
+};
+
+/**
+ * Agrega una entrada de historial a un batch de escritura
+ * Las actualizaciones sin cambios reales no generan entrada
+ * @param {WriteBatch} batch - Batch de la operación auditada
+ * @param {Object} entryData - Datos de la entrada
+ * @param {string} entryData.entidad - Entidad de AUDIT_ENTIDADES
+ * @param {string} entryData.accion - Acción de AUDIT_ACCIONES
+ * @param {string} entryData.viveroId - ID del vivero
+ * @param {string} entryData.camaId - ID de la cama (opcional)
+ * @param {string} entryData.corteId - ID del corte (opcional)
+ * @param {string} entryData.especieId - ID de la especie (opcional)
+ * @param {string} entryData.aplicacionId - ID de la aplicación (opcional)
+ * @param {string} entryData.incidenciaId - ID de la incidencia (opcional)
+ * @param {Object} entryData.antes - Documento antes del cambio
+ * @param {Object} entryData.despues - Documento o datos después del cambio
+ * @param {string} entryData.actor - Email del usuario que realiza el cambio
+ * @returns {boolean} Si se agregó la entrada
+ */
+export const addAuditToBatch = (batch, entryData) => {
+    const entry = buildAuditEntry(entryData);
+
+    if (entry.accion === AUDIT_ACCIONES.ACTUALIZAR && entry.cambios.length === 0) {
+        return false;
+    }
+
+    batch.set(doc(collection(db, AUDIT_COLLECTION)), entry);
+    return true;
+};
+
+/**
+ * Obtiene el historial de cambios de un vivero o de una cama
+ * Filtra, ordena y limita en la consulta; cada combinación de filtros
+ * tiene su índice compuesto en firestore.indexes.json
+ * @param {string} viveroId - ID del vivero
+ * @param {Object} options - Opciones de consulta
+ * @param {string} options.camaId - Limitar a una cama y sus cortes
+ * @param {string} options.entidad - Filtrar por entidad
+ * @param {string} options.actor - Filtrar por usuario
+ * @param {number} options.maxItems - Máximo de entradas (default: 200)
+ * @returns {Promise<Array>} Entradas ordenadas de la más reciente a la más antigua
+ */
+export const getAuditHistory = async (viveroId, options = {}) => {
+    try {
+        if (!viveroId) {
+            throw new Error("viveroId es requerido");
+        }
+
+        const { camaId = null, entidad = null, actor = null, maxItems = 200 } = options;
+
+        console.log("📜 Obteniendo historial de cambios:", viveroId, camaId || "");
+
+        const constraints = [where("viveroId", "==", viveroId)];
+        if (camaId) {
+            constraints.push(where("camaId", "==", camaId));
+        }
+        if (entidad) {
+            constraints.push(where("entidad", "==", entidad));
+        }
+        if (actor) {
+            constraints.push(where("actor", "==", actor));
+        }
+
+        const snapshot = await getDocs(query(
+            collection(db, AUDIT_COLLECTION),
+            ...constraints,
+            orderBy("fecha", "desc"),
+            limit(maxItems)
+        ));
+
+        const entries = snapshot.docs.map((entryDoc) => ({ id: entryDoc.id, ...entryDoc.data() }));
+
+        console.log(`✅ ${entries.length} entradas de historial obtenidas`);
+        return entries;
+
+    } catch (error) {
+        console.error("❌ Error obteniendo historial de cambios:", error.message);
+        throw new Error(`Error al obtener historial: ${error.message}`);
+    }
+};
+
+/**
+ * Recupera un corte eliminado a partir de su entrada de historial
+ * La cama debe seguir existiendo, fuera de la papelera, y el ID del corte
+ * no debe estar en uso
+ * @param {Object} entry - Entrada de historial de la eliminación
+ * @param {string} restoredBy - Email del usuario que recupera el corte
+ * @returns {Promise<string>} ID del corte recuperado
+ */
+export const restoreCorteFromAudit = async (entry, restoredBy) => {
+    try {
+        if (entry?.entidad !== AUDIT_ENTIDADES.CORTE || entry.accion !== AUDIT_ACCIONES.ELIMINAR || !entry.documento) {
+            throw new Error("Solo se pueden recuperar cortes eliminados");
+        }
+
+        const { viveroId, camaId, corteId } = entry;
+
+        const camaRef = doc(db, "viveros", viveroId, "camas", camaId);
+        const camaDoc = await getDoc(camaRef);
+        if (!camaDoc.exists()) {
+            throw new Error(`Cama no encontrada: ${camaId} en vivero ${viveroId}`);
+        }
+        if (isTrashed(camaDoc.data())) {
+            throw new Error(`La cama ${camaId} está en la papelera, restáurala primero`);
+        }
+
+        const corteRef = doc(db, "viveros", viveroId, "camas", camaId, "cortes_esquejes", corteId);
+        const corteDoc = await getDoc(corteRef);
+        if (corteDoc.exists()) {
+            throw new Error(`Ya existe un corte con ID: ${corteId}`);
+        }
+
+        console.log("♻️ Recuperando corte desde el historial:", corteId);
+
+        const corteDocument = {
+            ...entry.documento,
+            viveroId,
+            camaId,
+            updatedAt: serverTimestamp(),
+            updatedBy: restoredBy
+        };
+
+        // El corte vuelve a sumar en las estadísticas de la cama y del vivero
+        const viveroRef = doc(db, "viveros", viveroId);
+        await runTransaction(db, async (transaction) => {
+            const camaActual = await transaction.get(camaRef);
+            const viveroActual = await transaction.get(viveroRef);
+            const corteActual = await transaction.get(corteRef);
+            if (isTrashed(camaActual.data())) {
+                throw new Error(`La cama ${camaId} está en la papelera, restáurala primero`);
+            }
+            if (corteActual.exists()) {
+                throw new Error(`Ya existe un corte con ID: ${corteId}`);
+            }
+
+            transaction.set(corteRef, corteDocument);
+            addAuditToBatch(transaction, {
+                entidad: AUDIT_ENTIDADES.CORTE,
+                accion: AUDIT_ACCIONES.RESTAURAR,
+                viveroId,
+                camaId,
+                corteId,
+                despues: corteDocument,
+                actor: restoredBy
+            });
+            addCorteAggregatesToBatch(transaction, {
+                viveroId,
+                camaId,
+                camaData: camaActual.data(),
+                viveroData: viveroActual.data(),
+                despues: corteDocument
+            });
+        });
+
+        console.log("✅ Corte recuperado exitosamente:", corteId);
+        return corteId;
+
+    } catch (error) {
+        console.error("❌ Error recuperando corte:", error.message);
+        throw new Error(`Error al recuperar corte: ${error.message}`);
+    }
+};
+
+export default {
+    AUDIT_COLLECTION,
+    AUDIT_ENTIDADES,
+    AUDIT_ACCIONES,
+    computeChanges,
+    addAuditToBatch,
+    getAuditHistory,
+    restoreCorteFromAudit
+};
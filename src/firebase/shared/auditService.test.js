@@ -0,0 +1,91 @@
+// src/firebase/shared/auditService.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { Timestamp } from "firebase/firestore";
+import { getAuditHistory, restoreCorteFromAudit, AUDIT_COLLECTION } from "./auditService.js";
+
+const { store } = vi.hoisted(() => ({ store: new Map() }));
+
+vi.mock("firebase/firestore", async (importOriginal) => {
+    const { createFirestoreMemoria } = await import("../../test/firestoreMemoria.js");
+    return createFirestoreMemoria(await importOriginal(), store);
+});
+
+vi.mock("../config.js", () => ({ db: {} }));
+
+const entrada = (id, segundos, datos) => store.set(`${AUDIT_COLLECTION}/${id}`, {
+    viveroId: "v1",
+    camaId: null,
+    accion: "actualizar",
+    fecha: new Timestamp(1700000000 + segundos, 0),
+    ...datos
+});
+
+beforeEach(() => {
+    store.clear();
+    entrada("e1", 1, { entidad: "vivero", actor: "a@x.com" });
+    entrada("e2", 2, { entidad: "cama", camaId: "A1", actor: "b@x.com" });
+    entrada("e3", 3, { entidad: "corte", camaId: "A1", actor: "a@x.com" });
+    entrada("e4", 4, { entidad: "cama", camaId: "A2", actor: "a@x.com" });
+    entrada("e5", 5, { entidad: "vivero", viveroId: "v2", actor: "a@x.com" });
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+    vi.restoreAllMocks();
+});
+
+describe("getAuditHistory", () => {
+    it("devuelve las entradas del vivero de la más reciente a la más antigua", async () => {
+        const entries = await getAuditHistory("v1");
+
+        expect(entries.map(entry => entry.id)).toEqual(["e4", "e3", "e2", "e1"]);
+    });
+
+    it("combina los filtros de cama, entidad y usuario", async () => {
+        expect((await getAuditHistory("v1", { camaId: "A1" })).map(entry => entry.id)).toEqual(["e3", "e2"]);
+        expect((await getAuditHistory("v1", { entidad: "cama" })).map(entry => entry.id)).toEqual(["e4", "e2"]);
+        expect((await getAuditHistory("v1", { camaId: "A1", actor: "a@x.com" })).map(entry => entry.id)).toEqual(["e3"]);
+    });
+
+    it("maxItems se aplica después de ordenar y filtrar", async () => {
+        const entries = await getAuditHistory("v1", { actor: "a@x.com", maxItems: 2 });
+
+        expect(entries.map(entry => entry.id)).toEqual(["e4", "e3"]);
+    });
+
+    it("exige el vivero", async () => {
+        await expect(getAuditHistory(null)).rejects.toThrow(/viveroId es requerido/);
+    });
+});
+
+describe("restoreCorteFromAudit", () => {
+    const eliminacion = {
+        entidad: "corte",
+        accion: "eliminar",
+        viveroId: "v1",
+        camaId: "A1",
+        corteId: "c1",
+        documento: { id: "c1", fecha: new Timestamp(1700000000, 0), cantidadEsquejes: 40 }
+    };
+
+    beforeEach(() => {
+        store.set("viveros/v1", { id: "v1", estadisticas: { totalEsquejesHistorico: 0 } });
+        store.set("viveros/v1/camas/A1", { viveroId: "v1", estadisticas: { totalCortes: 0, totalEsquejesHistorico: 0 } });
+    });
+
+    it("recupera el corte y lo vuelve a sumar a la cama", async () => {
+        await restoreCorteFromAudit(eliminacion, "a@x.com");
+
+        expect(store.get("viveros/v1/camas/A1/cortes_esquejes/c1")).toMatchObject({ viveroId: "v1", camaId: "A1", cantidadEsquejes: 40 });
+        expect(store.get("viveros/v1/camas/A1").estadisticas.totalEsquejesHistorico).toBe(40);
+    });
+
+    it("no recupera cortes en una cama que está en la papelera", async () => {
+        store.set("viveros/v1/camas/A1", { ...store.get("viveros/v1/camas/A1"), eliminado: true });
+
+        await expect(restoreCorteFromAudit(eliminacion, "a@x.com"))
+            .rejects.toThrow("La cama A1 está en la papelera, restáurala primero");
+        expect(store.has("viveros/v1/camas/A1/cortes_esquejes/c1")).toBe(false);
+    });
+});
@@ -0,0 +1,496 @@
+// src/firebase/shared/backupService.js
+import {
+    doc,
+    getDoc,
+    collection,
+    getDocs,
+    Timestamp,
+    GeoPoint
+} from "firebase/firestore";
+import { db } from "../config.js";
+import { addAuditToBatch, AUDIT_ENTIDADES, AUDIT_ACCIONES } from "./auditService.js";
+import { createWriteQueue, commitWriteQueue } from "./batchService.js";
+import { generateViveroId, validateViveroId } from "../viveros/viveroUrlService.js";
+import { calculateViveroStats } from "../viveros/viveroStatsService.js";
+
+/**
+ * ============================================================================
+ * 💾 BACKUP SERVICE - Copias de Seguridad de Viveros
+ * ============================================================================
+ * Responsabilidad: Exportar e importar un vivero completo (vivero, camas,
+ * cortes_esquejes, aplicaciones e incidencias) como un único documento JSON versionado
+ * - Conserva los IDs de todos los documentos
+ * - Conserva los Timestamps (y GeoPoints) con un marcador de tipo
+ * - Restaura en el mismo ID o clona bajo un ID nuevo (generateViveroId)
+ * - Detecta colisiones antes de escribir; con onCollision "omitir" solo
+ *   escribe lo que falta (útil para reanudar una restauración interrumpida)
+ * - Sirve para mover datos de prueba entre entornos o sembrar un emulador
+ *
+ * Estructura del respaldo:
+ * {
+ *   formato: "agro-track/vivero",
+ *   version: 1,
+ *   exportadoEn, exportadoPor,
+ *   vivero: { id, data },
+ *   aplicaciones: [{ id, data }],          // aplicaciones a todo el vivero
+ *   incidencias: [{ id, data }],           // plagas y enfermedades
+ *   camas: [{ id, data, cortes: [{ id, data }], aplicaciones: [{ id, data }] }],
+ *   resumen: { camas, cortes, aplicaciones, incidencias }
+ * }
+ * Los respaldos anteriores a las aplicaciones o incidencias no traen esas
+ * listas y se restauran igual. Las fotos de camas, cortes e incidencias no
+ * se copian: el respaldo guarda sus referencias al almacenamiento. Al clonar
+ * se descartan, porque los archivos pertenecen al vivero original y purgar
+ * cualquiera de los dos los borraría para ambos.
+ * ============================================================================
+ */
+
+export const BACKUP_FORMATO = "agro-track/vivero";
+export const BACKUP_VERSION = 1;
+
+export const BACKUP_COLLISION_MODES = {
+    ERROR: "error",
+    OMITIR: "omitir"
+};
+
+// ============================================================================
+// 🔄 SERIALIZACIÓN
+// ============================================================================
+
+/**
+ * Convierte los tipos de Firestore a JSON con marcador de tipo
+ * @param {*} value - Valor de un documento
+ * @returns {*} Valor serializable
+ */
+export const serializeValue = (value) => {
+    if (value instanceof Timestamp) {
+        return { __tipo: "timestamp", seconds: value.seconds, nanoseconds: value.nanoseconds };
+    }
+    if (value instanceof Date) {
+        return serializeValue(Timestamp.fromDate(value));
+    }
+    if (value instanceof GeoPoint) {
+        return { __tipo: "geopoint", latitude: value.latitude, longitude: value.longitude };
+    }
+    if (Array.isArray(value)) {
+        return value.map(serializeValue);
+    }
+    if (value !== null && typeof value === "object") {
+        return Object.fromEntries(
+            Object.entries(value).map(([key, nested]) => [key, serializeValue(nested)])
+        );
+    }
+    return value;
+};
+
+/**
+ * Reconstruye los tipos de Firestore de un valor serializado
+ * @param {*} value - Valor del respaldo
+ * @returns {*} Valor listo para escribir en Firestore
+ */
+export const deserializeValue = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(deserializeValue);
+    }
+    if (value !== null && typeof value === "object") {
+        if (value.__tipo === "timestamp") {
+            return new Timestamp(value.seconds, value.nanoseconds);
+        }
+        if (value.__tipo === "geopoint") {
+            return new GeoPoint(value.latitude, value.longitude);
+        }
+        return Object.fromEntries(
+            Object.entries(value).map(([key, nested]) => [key, deserializeValue(nested)])
+        );
+    }
+    return value;
+};
+
+// ============================================================================
+// 📤 EXPORTACIÓN
+// ============================================================================
+
+const getAplicacionesRef = (viveroId, camaId = null) => camaId
+    ? collection(db, "viveros", viveroId, "camas", camaId, "aplicaciones")
+    : collection(db, "viveros", viveroId, "aplicaciones");
+
+const getIncidenciasRef = (viveroId) => collection(db, "viveros", viveroId, "incidencias");
+
+const serializeDocs = (snapshot) => snapshot.docs.map(snapshotDoc => ({
+    id: snapshotDoc.id,
+    data: serializeValue(snapshotDoc.data())
+}));
+
+/**
+ * Genera el respaldo completo de un vivero
+ * Incluye las camas y cortes en la papelera (con sus marcas de eliminación)
+ * @param {string} viveroId - ID del vivero
+ * @param {string} exportedBy - Email del usuario que exporta
+ * @returns {Promise<Object>} Respaldo serializable con JSON.stringify
+ */
+export const exportViveroBackup = async (viveroId, exportedBy = null) => {
+    try {
+        if (!viveroId) {
+            throw new Error("viveroId es requerido");
+        }
+
+        const viveroDoc = await getDoc(doc(db, "viveros", viveroId));
+        if (!viveroDoc.exists()) {
+            throw new Error(`Vivero no encontrado: ${viveroId}`);
+        }
+
+        console.log("💾 Exportando respaldo del vivero:", viveroId);
+
+        const camasSnapshot = await getDocs(collection(db, "viveros", viveroId, "camas"));
+        const aplicacionesViveroSnapshot = await getDocs(getAplicacionesRef(viveroId));
+        const incidenciasSnapshot = await getDocs(getIncidenciasRef(viveroId));
+        const camas = [];
+        let totalCortes = 0;
+        let totalAplicaciones = aplicacionesViveroSnapshot.size;
+
+        for (const camaDoc of camasSnapshot.docs) {
+            const cortesSnapshot = await getDocs(
+                collection(db, "viveros", viveroId, "camas", camaDoc.id, "cortes_esquejes")
+            );
+            const aplicacionesSnapshot = await getDocs(getAplicacionesRef(viveroId, camaDoc.id));
+
+            camas.push({
+                id: camaDoc.id,
+                data: serializeValue(camaDoc.data()),
+                cortes: cortesSnapshot.docs.map(corteDoc => ({
+                    id: corteDoc.id,
+                    data: serializeValue(corteDoc.data())
+                })),
+                aplicaciones: serializeDocs(aplicacionesSnapshot)
+            });
+            totalCortes += cortesSnapshot.size;
+            totalAplicaciones += aplicacionesSnapshot.size;
+        }
+
+        const backup = {
+            formato: BACKUP_FORMATO,
+            version: BACKUP_VERSION,
+            exportadoEn: new Date().toISOString(),
+            exportadoPor: exportedBy,
+            vivero: {
+                id: viveroDoc.id,
+                data: serializeValue(viveroDoc.data())
+            },
+            aplicaciones: serializeDocs(aplicacionesViveroSnapshot),
+            incidencias: serializeDocs(incidenciasSnapshot),
+            camas,
+            resumen: {
+                camas: camas.length,
+                cortes: totalCortes,
+                aplicaciones: totalAplicaciones,
+                incidencias: incidenciasSnapshot.size
+            }
+        };
+
+        console.log(`✅ Respaldo generado: ${camas.length} camas, ${totalCortes} cortes, ${totalAplicaciones} aplicaciones, ${incidenciasSnapshot.size} incidencias`);
+        return backup;
+
+    } catch (error) {
+        console.error("❌ Error exportando respaldo:", error.message);
+        throw new Error(`Error al exportar respaldo: ${error.message}`);
+    }
+};
+
+// ============================================================================
+// ✅ VALIDACIÓN Y COLISIONES
+// ============================================================================
+
+/**
+ * Valida la estructura de un respaldo
+ * @param {Object} backup - Respaldo (JSON ya parseado)
+ * @returns {Object} Resultado de validación {valid, errors}
+ */
+export const validateBackup = (backup) => {
+    const errors = [];
+
+    if (!backup || typeof backup !== "object") {
+        errors.push("El respaldo no es un objeto JSON");
+        return { valid: false, errors };
+    }
+
+    if (backup.formato !== BACKUP_FORMATO) {
+        errors.push(`Formato no reconocido: ${backup.formato || "(vacío)"}`);
+    }
+
+    if (typeof backup.version !== "number" || backup.version > BACKUP_VERSION) {
+        errors.push(`Versión no soportada: ${backup.version} (máxima ${BACKUP_VERSION})`);
+    }
+
+    if (!backup.vivero?.id || !backup.vivero?.data) {
+        errors.push("El respaldo no contiene el vivero");
+    }
+
+    if (!Array.isArray(backup.camas)) {
+        errors.push("El respaldo no contiene la lista de camas");
+    } else if (backup.camas.some(cama => !cama.id || !cama.data || !Array.isArray(cama.cortes))) {
+        errors.push("Hay camas incompletas en el respaldo");
+    } else if (backup.camas.some(cama => cama.aplicaciones !== undefined && !Array.isArray(cama.aplicaciones))) {
+        errors.push("Hay camas con aplicaciones inválidas en el respaldo");
+    }
+
+    if (backup.aplicaciones !== undefined && !Array.isArray(backup.aplicaciones)) {
+        errors.push("Las aplicaciones del vivero no son una lista");
+    }
+
+    if (backup.incidencias !== undefined && !Array.isArray(backup.incidencias)) {
+        errors.push("Las incidencias del vivero no son una lista");
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+};
+
+/**
+ * Busca documentos del respaldo que ya existen en el destino
+ * @param {Object} backup - Respaldo validado
+ * @param {string} targetViveroId - ID del vivero destino
+ * @returns {Promise<Object>} { viveroExiste, camas: [ids], cortes: [camaId/corteId],
+ *   aplicaciones: [aplicacionId o camaId/aplicacionId], incidencias: [ids], total }
+ */
+export const checkBackupCollisions = async (backup, targetViveroId) => {
+    try {
+        const viveroDoc = await getDoc(doc(db, "viveros", targetViveroId));
+        const camasSnapshot = await getDocs(collection(db, "viveros", targetViveroId, "camas"));
+        const camasExistentes = new Set(camasSnapshot.docs.map(camaDoc => camaDoc.id));
+
+        const camas = [];
+        const cortes = [];
+        const aplicaciones = [];
+
+        const aplicacionesViveroSnapshot = await getDocs(getAplicacionesRef(targetViveroId));
+        const aplicacionesVivero = new Set(aplicacionesViveroSnapshot.docs.map(aplicacionDoc => aplicacionDoc.id));
+        (backup.aplicaciones || [])
+            .filter(aplicacion => aplicacionesVivero.has(aplicacion.id))
+            .forEach(aplicacion => aplicaciones.push(aplicacion.id));
+
+        const incidenciasSnapshot = await getDocs(getIncidenciasRef(targetViveroId));
+        const incidenciasExistentes = new Set(incidenciasSnapshot.docs.map(incidenciaDoc => incidenciaDoc.id));
+        const incidencias = (backup.incidencias || [])
+            .filter(incidencia => incidenciasExistentes.has(incidencia.id))
+            .map(incidencia => incidencia.id);
+
+        for (const cama of backup.camas) {
+            if (!camasExistentes.has(cama.id)) continue;
+            camas.push(cama.id);
+
+            const cortesSnapshot = await getDocs(
+                collection(db, "viveros", targetViveroId, "camas", cama.id, "cortes_esquejes")
+            );
+            const cortesExistentes = new Set(cortesSnapshot.docs.map(corteDoc => corteDoc.id));
+
+            cama.cortes
+                .filter(corte => cortesExistentes.has(corte.id))
+                .forEach(corte => cortes.push(`${cama.id}/${corte.id}`));
+
+            const aplicacionesSnapshot = await getDocs(getAplicacionesRef(targetViveroId, cama.id));
+            const aplicacionesExistentes = new Set(aplicacionesSnapshot.docs.map(aplicacionDoc => aplicacionDoc.id));
+
+            (cama.aplicaciones || [])
+                .filter(aplicacion => aplicacionesExistentes.has(aplicacion.id))
+                .forEach(aplicacion => aplicaciones.push(`${cama.id}/${aplicacion.id}`));
+        }
+
+        const viveroExiste = viveroDoc.exists();
+
+        return {
+            viveroExiste,
+            camas,
+            cortes,
+            aplicaciones,
+            incidencias,
+            total: (viveroExiste ? 1 : 0) + camas.length + cortes.length + aplicaciones.length + incidencias.length
+        };
+
+    } catch (error) {
+        console.error("❌ Error comprobando colisiones:", error.message);
+        throw new Error(`Error al comprobar colisiones: ${error.message}`);
+    }
+};
+
+// ============================================================================
+// 📥 RESTAURACIÓN
+// ============================================================================
+
+/**
+ * Restaura un respaldo en el mismo ID o lo clona bajo un ID nuevo
+ * Al clonar, el ID se genera con generateViveroId a partir del nuevo nombre
+ * y se actualizan las referencias (viveroId de todos los documentos y
+ * nombreCompleto de las camas); las fotos no se clonan.
+ * El vivero se escribe al final: si la restauración se interrumpe, repetirla
+ * con onCollision "omitir" completa lo que falta.
+ * @param {Object} backup - Respaldo (JSON ya parseado)
+ * @param {string} restoredBy - Email del usuario que restaura
+ * @param {Object} options - Opciones de restauración
+ * @param {string} options.nuevoNombre - Clonar con este nombre (ID generado)
+ * @param {string} options.onCollision - "error" (default) u "omitir" documentos existentes
+ * @param {Function} options.onProgress - ({ completed, total }) => void
+ * @returns {Promise<Object>} { viveroId, camas, cortes, aplicaciones, incidencias, omitidos }
+ */
+export const restoreViveroBackup = async (backup, restoredBy, options = {}) => {
+    try {
+        const { nuevoNombre = null, onCollision = BACKUP_COLLISION_MODES.ERROR, onProgress = null } = options;
+
+        const validation = validateBackup(backup);
+        if (!validation.valid) {
+            throw new Error(validation.errors.join(". "));
+        }
+
+        const clonar = Boolean(nuevoNombre?.trim());
+        const targetViveroId = clonar ? generateViveroId(nuevoNombre) : backup.vivero.id;
+
+        const idValidation = validateViveroId(targetViveroId);
+        if (!idValidation.valid) {
+            throw new Error(`ID de vivero inválido "${targetViveroId}": ${idValidation.errors.join(". ")}`);
+        }
+
+        console.log(`💾 ${clonar ? "Clonando" : "Restaurando"} respaldo en el vivero:`, targetViveroId);
+
+        const collisions = await checkBackupCollisions(backup, targetViveroId);
+
+        if (collisions.total > 0 && onCollision !== BACKUP_COLLISION_MODES.OMITIR) {
+            const detalle = [
+                collisions.viveroExiste && `el vivero ${targetViveroId}`,
+                collisions.camas.length > 0 && `${collisions.camas.length} camas`,
+                collisions.cortes.length > 0 && `${collisions.cortes.length} cortes`,
+                collisions.aplicaciones.length > 0 && `${collisions.aplicaciones.length} aplicaciones`,
+                collisions.incidencias.length > 0 && `${collisions.incidencias.length} incidencias`
+            ].filter(Boolean).join(", ");
+            throw new Error(`Ya existen en el destino: ${detalle}`);
+        }
+
+        const camasExistentes = new Set(collisions.camas);
+        const cortesExistentes = new Set(collisions.cortes);
+        const aplicacionesExistentes = new Set(collisions.aplicaciones);
+        const incidenciasExistentes = new Set(collisions.incidencias);
+        const viveroData = deserializeValue(backup.vivero.data);
+        const viveroNombre = clonar ? nuevoNombre.trim() : viveroData.nombre;
+
+        const queue = createWriteQueue();
+        let camasEscritas = 0;
+        let cortesEscritos = 0;
+        let aplicacionesEscritas = 0;
+        let incidenciasEscritas = 0;
+
+        // Al clonar, las fotos quedan solo en el vivero original (ver encabezado)
+        const sinFotos = (data) => (Array.isArray(data.fotos) ? { ...data, fotos: [] } : data);
+
+        // Al clonar, las aplicaciones apuntan al vivero nuevo
+        const writeAplicacion = (aplicacionesRef, aplicacion) => {
+            const aplicacionData = deserializeValue(aplicacion.data);
+            queue.set(doc(aplicacionesRef, aplicacion.id), clonar
+                ? { ...aplicacionData, viveroId: targetViveroId }
+                : aplicacionData);
+            aplicacionesEscritas++;
+        };
+
+        (backup.aplicaciones || []).forEach((aplicacion) => {
+            if (aplicacionesExistentes.has(aplicacion.id)) return;
+            writeAplicacion(getAplicacionesRef(targetViveroId), aplicacion);
+        });
+
+        (backup.incidencias || []).forEach((incidencia) => {
+            if (incidenciasExistentes.has(incidencia.id)) return;
+            const incidenciaData = deserializeValue(incidencia.data);
+            queue.set(doc(getIncidenciasRef(targetViveroId), incidencia.id), clonar
+                ? { ...sinFotos(incidenciaData), viveroId: targetViveroId }
+                : incidenciaData);
+            incidenciasEscritas++;
+        });
+
+        for (const cama of backup.camas) {
+            const camaRef = doc(db, "viveros", targetViveroId, "camas", cama.id);
+
+            cama.cortes.forEach((corte) => {
+                if (cortesExistentes.has(`${cama.id}/${corte.id}`)) return;
+                // La ubicación es la de destino (el respaldo puede venir de otro vivero)
+                const corteData = deserializeValue(corte.data);
+                queue.set(doc(camaRef, "cortes_esquejes", corte.id), {
+                    ...(clonar ? sinFotos(corteData) : corteData),
+                    viveroId: targetViveroId,
+                    camaId: cama.id
+                });
+                cortesEscritos++;
+            });
+
+            (cama.aplicaciones || []).forEach((aplicacion) => {
+                if (aplicacionesExistentes.has(`${cama.id}/${aplicacion.id}`)) return;
+                writeAplicacion(getAplicacionesRef(targetViveroId, cama.id), aplicacion);
+            });
+
+            if (!camasExistentes.has(cama.id)) {
+                const camaData = deserializeValue(cama.data);
+                queue.set(camaRef, clonar
+                    ? { ...sinFotos(camaData), viveroId: targetViveroId, nombreCompleto: `${viveroNombre} - Cama ${cama.id}` }
+                    : camaData);
+                camasEscritas++;
+            }
+        }
+
+        // El vivero va al final, junto con su entrada de historial
+        if (!collisions.viveroExiste) {
+            const viveroDocument = clonar
+                ? { ...viveroData, id: targetViveroId, nombre: viveroNombre }
+                : viveroData;
+
+            queue.group((q) => {
+                q.set(doc(db, "viveros", targetViveroId), viveroDocument);
+                addAuditToBatch(q, {
+                    entidad: AUDIT_ENTIDADES.VIVERO,
+                    accion: clonar ? AUDIT_ACCIONES.CREAR : AUDIT_ACCIONES.RESTAURAR,
+                    viveroId: targetViveroId,
+                    despues: viveroDocument,
+                    actor: restoredBy
+                });
+            });
+        }
+
+        if (queue.size > 0) {
+            await commitWriteQueue(queue, { onProgress });
+        }
+
+        // Al completar un destino existente, las estadísticas guardadas en el
+        // respaldo no incluyen lo que ya estaba: se recalculan completas
+        if (collisions.total > 0) {
+            try {
+                await calculateViveroStats(targetViveroId);
+            } catch (error) {
+                console.warn("⚠️ Error recalculando estadísticas del vivero:", error.message);
+            }
+        }
+
+        const result = {
+            viveroId: targetViveroId,
+            camas: camasEscritas,
+            cortes: cortesEscritos,
+            aplicaciones: aplicacionesEscritas,
+            incidencias: incidenciasEscritas,
+            omitidos: collisions.total
+        };
+
+        console.log("✅ Respaldo restaurado:", result);
+        return result;
+
+    } catch (error) {
+        console.error("❌ Error restaurando respaldo:", error.message);
+        throw new Error(`Error al restaurar respaldo: ${error.message}`);
+    }
+};
+
+export default {
+    BACKUP_FORMATO,
+    BACKUP_VERSION,
+    BACKUP_COLLISION_MODES,
+    serializeValue,
+    deserializeValue,
+    exportViveroBackup,
+    validateBackup,
+    checkBackupCollisions,
+    restoreViveroBackup
+};
@@ -0,0 +1,267 @@
+// src/firebase/shared/backupService.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { Timestamp, GeoPoint } from "firebase/firestore";
+import {
+    serializeValue,
+    deserializeValue,
+    exportViveroBackup,
+    validateBackup,
+    restoreViveroBackup,
+    BACKUP_COLLISION_MODES
+} from "./backupService.js";
+
+// Firestore en memoria: path → datos. Timestamp y GeoPoint son los reales
+const store = new Map();
+let autoId = 0;
+
+vi.mock("firebase/firestore", async (importOriginal) => {
+    const actual = await importOriginal();
+    const childPath = (parent, segments) => [parent?.path, ...segments].filter(Boolean).join("/");
+    const snapshot = (path) => ({
+        id: path.split("/").pop(),
+        exists: () => store.has(path),
+        data: () => store.get(path)
+    });
+
+    return {
+        ...actual,
+        collection: (parent, ...segments) => ({ path: childPath(parent, segments) }),
+        doc: (parent, ...segments) => {
+            const path = childPath(parent, segments.length > 0 ? segments : [`auto_${++autoId}`]);
+            return { path, id: path.split("/").pop() };
+        },
+        getDoc: async (ref) => snapshot(ref.path),
+        getDocs: async (ref) => {
+            const depth = ref.path.split("/").length + 1;
+            const docs = [...store.keys()]
+                .filter(path => path.startsWith(`${ref.path}/`) && path.split("/").length === depth)
+                .sort()
+                .map(snapshot);
+            return { docs, size: docs.length, empty: docs.length === 0, forEach: (fn) => docs.forEach(fn) };
+        },
+        writeBatch: () => {
+            const operations = [];
+            return {
+                set: (ref, data) => operations.push(() => store.set(ref.path, data)),
+                update: (ref, data) => operations.push(() => store.set(ref.path, { ...store.get(ref.path), ...data })),
+                delete: (ref) => operations.push(() => store.delete(ref.path)),
+                commit: async () => operations.forEach(operation => operation())
+            };
+        }
+    };
+});
+
+vi.mock("../config.js", () => ({ db: {}, storage: {} }));
+
+const creado = new Timestamp(1700000000, 123000000);
+const sembrado = new Timestamp(1701000000, 0);
+const cortado = new Timestamp(1702000000, 999000000);
+
+const seedVivero = () => {
+    store.set("viveros/vivero-norte", {
+        id: "vivero-norte",
+        nombre: "Vivero Norte",
+        ubicacion: new GeoPoint(-33.45, -70.66),
+        createdAt: creado,
+        estadisticas: { totalCamas: 1, totalEsquejes: 40, ultimoCorte: cortado }
+    });
+    store.set("viveros/vivero-norte/camas/A1", {
+        viveroId: "vivero-norte",
+        nombreCompleto: "Vivero Norte - Cama A1",
+        nombrePlanta: "Lavanda",
+        estado: "en_produccion",
+        historialEstados: [
+            { estado: "sembrada", desde: sembrado, por: "a@x.com" },
+            { estado: "en_produccion", desde: cortado, por: "a@x.com" }
+        ],
+        fotos: [{ id: "foto_1", path: "viveros/vivero-norte/camas/A1/foto_1.jpg", subidaAt: sembrado }],
+        createdAt: creado
+    });
+    store.set("viveros/vivero-norte/camas/A1/cortes_esquejes/Xk29fQ7aLm", {
+        id: "Xk29fQ7aLm",
+        viveroId: "vivero-norte",
+        camaId: "A1",
+        fecha: cortado,
+        cantidadEsquejes: 40,
+        cicloId: "ciclo_1"
+    });
+    store.set("viveros/vivero-norte/camas/A1/aplicaciones/apl_1", {
+        viveroId: "vivero-norte",
+        producto: "Cobre",
+        fecha: sembrado
+    });
+    store.set("viveros/vivero-norte/aplicaciones/apl_2", {
+        viveroId: "vivero-norte",
+        producto: "Azufre",
+        fecha: creado
+    });
+    store.set("viveros/vivero-norte/incidencias/inc_1", {
+        viveroId: "vivero-norte",
+        agente: "Pulgón",
+        detectadaEn: sembrado
+    });
+};
+
+// Documentos de un vivero (sin el historial de auditoría)
+const viveroDocs = (viveroId) => new Map(
+    [...store.entries()].filter(([path]) => path === `viveros/${viveroId}` || path.startsWith(`viveros/${viveroId}/`))
+);
+
+const exportarComoArchivo = async () => JSON.parse(JSON.stringify(await exportViveroBackup("vivero-norte", "a@x.com")));
+
+beforeEach(() => {
+    store.clear();
+    autoId = 0;
+    seedVivero();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    vi.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+    vi.restoreAllMocks();
+});
+
+describe("serialización", () => {
+    it("conserva Timestamps y GeoPoints al pasar por JSON", () => {
+        const original = {
+            fecha: cortado,
+            ubicacion: new GeoPoint(-33.45, -70.66),
+            historial: [{ desde: sembrado }],
+            nulo: null,
+            texto: "hola"
+        };
+
+        const restaurado = deserializeValue(JSON.parse(JSON.stringify(serializeValue(original))));
+
+        expect(restaurado).toStrictEqual(original);
+        expect(restaurado.fecha).toBeInstanceOf(Timestamp);
+        expect(restaurado.fecha.nanoseconds).toBe(999000000);
+        expect(restaurado.historial[0].desde.isEqual(sembrado)).toBe(true);
+    });
+
+    it("guarda las fechas (Date) como Timestamp", () => {
+        const fecha = new Date("2025-05-10T12:30:00.250Z");
+
+        const restaurado = deserializeValue(serializeValue({ fecha }));
+
+        expect(restaurado.fecha).toBeInstanceOf(Timestamp);
+        expect(restaurado.fecha.toDate()).toEqual(fecha);
+    });
+});
+
+describe("respaldo y restauración", () => {
+    it("exporta un respaldo válido con los IDs y el resumen", async () => {
+        const backup = await exportarComoArchivo();
+
+        expect(validateBackup(backup)).toEqual({ valid: true, errors: [] });
+        expect(backup.vivero.id).toBe("vivero-norte");
+        expect(backup.camas.map(cama => cama.id)).toEqual(["A1"]);
+        expect(backup.camas[0].cortes.map(corte => corte.id)).toEqual(["Xk29fQ7aLm"]);
+        expect(backup.camas[0].aplicaciones.map(aplicacion => aplicacion.id)).toEqual(["apl_1"]);
+        expect(backup.aplicaciones.map(aplicacion => aplicacion.id)).toEqual(["apl_2"]);
+        expect(backup.incidencias.map(incidencia => incidencia.id)).toEqual(["inc_1"]);
+        expect(backup.resumen).toEqual({ camas: 1, cortes: 1, aplicaciones: 2, incidencias: 1 });
+    });
+
+    it("restaurar en el mismo ID deja los documentos tal como estaban", async () => {
+        const original = viveroDocs("vivero-norte");
+        const backup = await exportarComoArchivo();
+        store.clear();
+
+        const result = await restoreViveroBackup(backup, "b@x.com");
+
+        expect(result).toEqual({
+            viveroId: "vivero-norte",
+            camas: 1,
+            cortes: 1,
+            aplicaciones: 2,
+            incidencias: 1,
+            omitidos: 0
+        });
+        expect(viveroDocs("vivero-norte")).toStrictEqual(original);
+    });
+
+    it("clonar conserva los IDs de camas y cortes y apunta las referencias al vivero nuevo", async () => {
+        const backup = await exportarComoArchivo();
+
+        const result = await restoreViveroBackup(backup, "b@x.com", { nuevoNombre: "Vivero Sur" });
+
+        expect(result.viveroId).toBe("vivero-sur");
+        const vivero = store.get("viveros/vivero-sur");
+        expect(vivero).toMatchObject({ id: "vivero-sur", nombre: "Vivero Sur" });
+        expect(vivero.createdAt.isEqual(creado)).toBe(true);
+
+        const cama = store.get("viveros/vivero-sur/camas/A1");
+        expect(cama).toMatchObject({ viveroId: "vivero-sur", nombreCompleto: "Vivero Sur - Cama A1" });
+        expect(cama.historialEstados[1].desde.isEqual(cortado)).toBe(true);
+
+        const corte = store.get("viveros/vivero-sur/camas/A1/cortes_esquejes/Xk29fQ7aLm");
+        expect(corte).toMatchObject({ id: "Xk29fQ7aLm", viveroId: "vivero-sur", camaId: "A1", cantidadEsquejes: 40 });
+        expect(corte.fecha).toBeInstanceOf(Timestamp);
+        expect(corte.fecha.isEqual(cortado)).toBe(true);
+
+        expect(store.get("viveros/vivero-sur/aplicaciones/apl_2").viveroId).toBe("vivero-sur");
+        expect(store.has("viveros/vivero-sur/incidencias/inc_1")).toBe(true);
+        // El original no cambia
+        expect(store.get("viveros/vivero-norte/camas/A1").viveroId).toBe("vivero-norte");
+    });
+
+    it("al clonar no copia las fotos, que siguen siendo del vivero original", async () => {
+        store.set("viveros/vivero-norte/incidencias/inc_1", {
+            ...store.get("viveros/vivero-norte/incidencias/inc_1"),
+            fotos: [{ id: "foto_2", path: "viveros/vivero-norte/incidencias/inc_1/foto_2.jpg" }]
+        });
+        const backup = await exportarComoArchivo();
+
+        await restoreViveroBackup(backup, "b@x.com", { nuevoNombre: "Vivero Sur" });
+
+        expect(store.get("viveros/vivero-sur/camas/A1").fotos).toEqual([]);
+        expect(store.get("viveros/vivero-sur/incidencias/inc_1").fotos).toEqual([]);
+        expect(store.get("viveros/vivero-norte/camas/A1").fotos).toHaveLength(1);
+
+        // Restaurar en el mismo ID sí conserva las referencias
+        store.clear();
+        await restoreViveroBackup(backup, "b@x.com");
+        expect(store.get("viveros/vivero-norte/camas/A1").fotos[0].path).toBe("viveros/vivero-norte/camas/A1/foto_1.jpg");
+    });
+
+    it("al clonar, todos los documentos del vivero nuevo apuntan a él", async () => {
+        const backup = await exportarComoArchivo();
+
+        await restoreViveroBackup(backup, "b@x.com", { nuevoNombre: "Vivero Sur" });
+
+        const clonados = viveroDocs("vivero-sur");
+        expect([...clonados.keys()].sort()).toEqual([
+            "viveros/vivero-sur",
+            "viveros/vivero-sur/aplicaciones/apl_2",
+            "viveros/vivero-sur/camas/A1",
+            "viveros/vivero-sur/camas/A1/aplicaciones/apl_1",
+            "viveros/vivero-sur/camas/A1/cortes_esquejes/Xk29fQ7aLm",
+            "viveros/vivero-sur/incidencias/inc_1"
+        ]);
+        clonados.forEach((data, path) => {
+            expect({ path, viveroId: path === "viveros/vivero-sur" ? data.id : data.viveroId })
+                .toEqual({ path, viveroId: "vivero-sur" });
+        });
+    });
+
+    it("no sobrescribe documentos existentes salvo que se pida omitirlos", async () => {
+        const backup = await exportarComoArchivo();
+
+        await expect(restoreViveroBackup(backup, "b@x.com")).rejects.toThrow(/Ya existen en el destino/);
+
+        store.delete("viveros/vivero-norte/camas/A1/cortes_esquejes/Xk29fQ7aLm");
+        const result = await restoreViveroBackup(backup, "b@x.com", { onCollision: BACKUP_COLLISION_MODES.OMITIR });
+
+        expect(result).toMatchObject({ camas: 0, cortes: 1, aplicaciones: 0, incidencias: 0 });
+        expect(store.get("viveros/vivero-norte/camas/A1/cortes_esquejes/Xk29fQ7aLm").fecha.isEqual(cortado)).toBe(true);
+    });
+
+    it("rechaza un respaldo con otro formato", async () => {
+        const backup = { ...(await exportarComoArchivo()), formato: "otro" };
+
+        expect(validateBackup(backup).valid).toBe(false);
+        await expect(restoreViveroBackup(backup, "b@x.com")).rejects.toThrow(/Formato no reconocido/);
+    });
+});
@@ -0,0 +1,210 @@
+// src/firebase/shared/batchService.js
+import { writeBatch } from "firebase/firestore";
+import { db } from "../config.js";
+
+/**
+ * ============================================================================
+ * 📦 BATCH SERVICE - Escrituras en Lotes
+ * ============================================================================
+ * Responsabilidad: Ejecutar muchas escrituras respetando el límite de
+ * Firestore de 500 operaciones por writeBatch
+ * - createWriteQueue acumula escrituras con la misma interfaz que un
+ *   WriteBatch (set / update / delete), así funciona con addAuditToBatch
+ * - Las escrituras agregadas dentro de group() van siempre en el mismo lote
+ *   (por ejemplo, un documento y su entrada de historial)
+ * - commitWriteQueue divide la cola en lotes, reintenta cada lote y reporta
+ *   el progreso; si un lote falla, el error indica desde dónde reanudar
+ *
+ * Ejemplo:
+ *   const queue = createWriteQueue();
+ *   queue.group((q) => { q.delete(ref); addAuditToBatch(q, {...}); });
+ *   await commitWriteQueue(queue, { onProgress: ({ completed, total }) => ... });
+ * ============================================================================
+ */
+
+// Límite de operaciones por writeBatch en Firestore
+export const MAX_BATCH_WRITES = 500;
+
+const DEFAULT_RETRIES = 2;
+const RETRY_DELAY_MS = 1000;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Crea una cola de escrituras compatible con la interfaz de WriteBatch
+ * @returns {Object} Cola con set, update, delete, group y size
+ */
+export const createWriteQueue = () => {
+    const groups = [];
+    let currentGroup = null;
+
+    const push = (operation) => {
+        if (currentGroup) {
+            currentGroup.push(operation);
+        } else {
+            groups.push([operation]);
+        }
+    };
+
+    const queue = {
+        groups,
+
+        set: (ref, data, options) => {
+            push({ type: "set", ref, data, options });
+            return queue;
+        },
+
+        update: (ref, data) => {
+            push({ type: "update", ref, data });
+            return queue;
+        },
+
+        delete: (ref) => {
+            push({ type: "delete", ref });
+            return queue;
+        },
+
+        // Agrupa escrituras que deben confirmarse juntas
+        group: (callback) => {
+            currentGroup = [];
+            try {
+                callback(queue);
+            } finally {
+                if (currentGroup.length > 0) {
+                    groups.push(currentGroup);
+                }
+                currentGroup = null;
+            }
+            return queue;
+        },
+
+        get size() {
+            return groups.reduce((total, group) => total + group.length, 0);
+        }
+    };
+
+    return queue;
+};
+
+/**
+ * Divide los grupos de la cola en lotes de como máximo chunkSize escrituras
+ * @returns {Array<Object>} [{ startGroup, endGroup, writes }]
+ */
+const buildChunks = (groups, chunkSize) => {
+    const chunks = [];
+    let current = null;
+
+    groups.forEach((group, index) => {
+        if (group.length > chunkSize) {
+            throw new Error(`Un grupo de ${group.length} escrituras supera el límite de ${chunkSize} por lote`);
+        }
+
+        if (!current || current.writes + group.length > chunkSize) {
+            current = { startGroup: index, endGroup: index, writes: 0 };
+            chunks.push(current);
+        }
+
+        current.endGroup = index;
+        current.writes += group.length;
+    });
+
+    return chunks;
+};
+
+const applyOperation = (batch, operation) => {
+    if (operation.type === "set") {
+        if (operation.options) {
+            batch.set(operation.ref, operation.data, operation.options);
+        } else {
+            batch.set(operation.ref, operation.data);
+        }
+    } else if (operation.type === "update") {
+        batch.update(operation.ref, operation.data);
+    } else {
+        batch.delete(operation.ref);
+    }
+};
+
+/**
+ * Confirma un lote de grupos, reintentando si falla
+ */
+const commitChunk = async (chunkGroups, retries, chunkNumber) => {
+    for (let attempt = 0; attempt <= retries; attempt++) {
+        try {
+            const batch = writeBatch(db);
+            chunkGroups.forEach(group => group.forEach(operation => applyOperation(batch, operation)));
+            await batch.commit();
+            return;
+        } catch (error) {
+            if (attempt === retries) throw error;
+
+            console.warn(`⚠️ Lote ${chunkNumber} falló, reintento ${attempt + 1}/${retries}:`, error.message);
+            await wait(RETRY_DELAY_MS * (attempt + 1));
+        }
+    }
+};
+
+/**
+ * Confirma una cola de escrituras en lotes
+ * Cada lote se reintenta antes de fallar. Si un lote falla definitivamente,
+ * se lanza un error con:
+ * - error.resumeFrom: índice del primer grupo sin confirmar (usar como startAt)
+ * - error.completed: escrituras confirmadas hasta ese momento
+ * - error.total: escrituras totales de la cola
+ * @param {Object} queue - Cola creada con createWriteQueue
+ * @param {Object} options - Opciones de ejecución
+ * @param {number} options.chunkSize - Escrituras por lote (default: 500)
+ * @param {number} options.startAt - Grupo desde el que reanudar (default: 0)
+ * @param {number} options.retries - Reintentos por lote (default: 2)
+ * @param {Function} options.onProgress - ({ completed, total, chunk, totalChunks }) => void
+ * @returns {Promise<Object>} { total, completed, chunks }
+ */
+export const commitWriteQueue = async (queue, options = {}) => {
+    const {
+        chunkSize = MAX_BATCH_WRITES,
+        startAt = 0,
+        retries = DEFAULT_RETRIES,
+        onProgress = null
+    } = options;
+
+    const pendingGroups = queue.groups.slice(startAt);
+    const chunks = buildChunks(pendingGroups, Math.min(chunkSize, MAX_BATCH_WRITES));
+    const total = queue.size;
+    const alreadyCompleted = queue.groups
+        .slice(0, startAt)
+        .reduce((sum, group) => sum + group.length, 0);
+
+    let completed = alreadyCompleted;
+
+    console.log(`📦 Confirmando ${total - alreadyCompleted} escrituras en ${chunks.length} lotes`);
+
+    onProgress?.({ completed, total, chunk: 0, totalChunks: chunks.length });
+
+    for (const [chunkIndex, chunk] of chunks.entries()) {
+        const chunkGroups = pendingGroups.slice(chunk.startGroup, chunk.endGroup + 1);
+
+        try {
+            await commitChunk(chunkGroups, retries, chunkIndex + 1);
+        } catch (error) {
+            console.error(`❌ Lote ${chunkIndex + 1}/${chunks.length} falló:`, error.message);
+
+            const batchError = new Error(`Lote ${chunkIndex + 1} de ${chunks.length} falló: ${error.message}`);
+            batchError.resumeFrom = startAt + chunk.startGroup;
+            batchError.completed = completed;
+            batchError.total = total;
+            throw batchError;
+        }
+
+        completed += chunk.writes;
+        onProgress?.({ completed, total, chunk: chunkIndex + 1, totalChunks: chunks.length });
+    }
+
+    console.log(`✅ ${completed - alreadyCompleted} escrituras confirmadas`);
+    return { total, completed, chunks: chunks.length };
+};
+
+export default {
+    MAX_BATCH_WRITES,
+    createWriteQueue,
+    commitWriteQueue
+};
@@ -0,0 +1,396 @@
+// src/firebase/shared/exportService.js
+import { doc, getDoc } from "firebase/firestore";
+import { db } from "../config.js";
+import { isTrashed } from "./trashService.js";
+import { getCiclosCama, getCicloIdForCorte } from "../camas/camaCiclosService.js";
+import { getAllCortesPage } from "../camas/cortesService.js";
+
+/**
+ * ============================================================================
+ * 📤 EXPORT SERVICE - Exportación de Cortes
+ * ============================================================================
+ * Responsabilidad: Exportar el historial de cortes a CSV o XLSX generados
+ * en el navegador
+ * - Mismos filtros que getProduccionStats: vivero, cama y rango de fechas
+ * - Lectura paginada con la consulta de grupo de getAllCortesPage, sin
+ *   cargar el historial completo ni consultar cama por cama
+ * - XLSX mínimo (Office Open XML) sin dependencias externas
+ * - La planta de cada corte es la del ciclo de cultivo al que pertenece,
+ *   no la que tiene la cama hoy
+ *
+ * Columnas: Vivero, Cama, Planta, Fecha, Cantidad de esquejes,
+ *           Responsable, Observaciones
+ * ============================================================================
+ */
+
+export const EXPORT_FORMATS = {
+    CSV: "csv",
+    XLSX: "xlsx"
+};
+
+export const CORTES_EXPORT_COLUMNS = [
+    { key: "vivero", header: "Vivero" },
+    { key: "cama", header: "Cama" },
+    { key: "planta", header: "Planta" },
+    { key: "fecha", header: "Fecha" },
+    { key: "cantidadEsquejes", header: "Cantidad de esquejes" },
+    { key: "responsable", header: "Responsable" },
+    { key: "observaciones", header: "Observaciones" }
+];
+
+const DEFAULT_PAGE_SIZE = 500;
+
+const pad = (value) => String(value).padStart(2, "0");
+
+// Fecha local en formato YYYY-MM-DD
+const formatDateKey = (date) =>
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// ============================================================================
+// 📖 LECTURA PAGINADA
+// ============================================================================
+
+/**
+ * Verifica que el vivero y la cama del filtro existan y no estén en la papelera
+ */
+const checkFiltersForExport = async (viveroId, camaId) => {
+    if (viveroId) {
+        const viveroDoc = await getDoc(doc(db, "viveros", viveroId));
+        if (!viveroDoc.exists() || isTrashed(viveroDoc.data())) {
+            throw new Error(`Vivero no encontrado: ${viveroId}`);
+        }
+    }
+
+    if (camaId) {
+        const camaDoc = await getDoc(doc(db, "viveros", viveroId, "camas", camaId));
+        if (!camaDoc.exists() || isTrashed(camaDoc.data())) {
+            throw new Error(`Cama no encontrada: ${camaId} en vivero ${viveroId}`);
+        }
+    }
+};
+
+/**
+ * Lee un documento una sola vez por exportación
+ */
+const readOnce = (cache, path) => {
+    if (!cache.has(path)) {
+        cache.set(path, getDoc(doc(db, path)).then(docSnap => (docSnap.exists() ? docSnap.data() : {})));
+    }
+    return cache.get(path);
+};
+
+/**
+ * Recorre los cortes a exportar página por página
+ * Usa la consulta de grupo de getAllCortesPage; cada página contiene filas
+ * listas para exportar, de la más reciente a la más antigua. Los viveros y
+ * camas de los cortes se leen una vez por exportación
+ * @param {Object} filters - Filtros (los mismos de getProduccionStats)
+ * @param {string} filters.viveroId - ID del vivero (opcional, todos si no se indica)
+ * @param {string} filters.camaId - ID de la cama (opcional, requiere viveroId)
+ * @param {Date} filters.fechaDesde - Desde fecha (opcional)
+ * @param {Date} filters.fechaHasta - Hasta fecha (opcional)
+ * @param {Object} options - Opciones de lectura
+ * @param {number} options.pageSize - Cortes por consulta (default: 500)
+ * @yields {Array<Object>} Página de filas
+ */
+export async function* streamCortesForExport(filters = {}, options = {}) {
+    const { viveroId = null, camaId = null, fechaDesde = null, fechaHasta = null } = filters;
+    const { pageSize = DEFAULT_PAGE_SIZE } = options;
+
+    if (camaId && !viveroId) {
+        throw new Error("camaId requiere viveroId");
+    }
+
+    await checkFiltersForExport(viveroId, camaId);
+
+    const documentos = new Map();
+
+    const buildRow = async (corte) => {
+        const [viveroData, camaData] = await Promise.all([
+            readOnce(documentos, `viveros/${corte.viveroId}`),
+            readOnce(documentos, `viveros/${corte.viveroId}/camas/${corte.camaId}`)
+        ]);
+        const ciclos = new Map(getCiclosCama(camaData).map(ciclo => [ciclo.id, ciclo]));
+
+        // Sin ciclos (cama sin cultivo registrado) queda la planta de la cama
+        const ciclo = ciclos.get(getCicloIdForCorte(camaData, corte));
+        const planta = ciclos.size > 0 ? ciclo?.nombrePlanta : camaData.nombrePlanta;
+        return {
+            vivero: viveroData.nombre || corte.viveroId,
+            cama: camaData.nombreCompleto || corte.camaId,
+            planta: planta || "",
+            fecha: corte.fecha?.toDate() || null,
+            cantidadEsquejes: corte.cantidadEsquejes || 0,
+            responsable: corte.responsable || "",
+            observaciones: corte.observaciones || ""
+        };
+    };
+
+    let cursor = null;
+    let hasMore = true;
+
+    while (hasMore) {
+        const page = await getAllCortesPage({ viveroId, camaId, fechaDesde, fechaHasta, pageSize, cursor });
+        if (page.items.length > 0) {
+            yield await Promise.all(page.items.map(buildRow));
+        }
+        cursor = page.cursor;
+        hasMore = page.hasMore;
+    }
+}
+
+// ============================================================================
+// 📄 CSV
+// ============================================================================
+
+const escapeCsvValue = (value) => {
+    let text = value instanceof Date ? formatDateKey(value) : String(value ?? "");
+
+    // Evitar que Excel interprete textos como fórmulas
+    if (/^[=+\-@]/.test(text) && typeof value === "string") {
+        text = `'${text}`;
+    }
+
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Genera un CSV (UTF-8 con BOM para que Excel respete los acentos)
+ * @param {Array<Object>} rows - Filas de streamCortesForExport
+ * @returns {Blob} Archivo CSV
+ */
+export const buildCortesCsv = (rows) => {
+    const lines = [
+        CORTES_EXPORT_COLUMNS.map(column => escapeCsvValue(column.header)).join(","),
+        ...rows.map(row => CORTES_EXPORT_COLUMNS.map(column => escapeCsvValue(row[column.key])).join(","))
+    ];
+
+    return new Blob(["\uFEFF" + lines.join("\r\n")], { type: "text/csv;charset=utf-8" });
+};
+
+// ============================================================================
+// 📊 XLSX
+// ============================================================================
+
+// Caracteres de control no permitidos en XML (se conservan tab, LF y CR)
+const removeControlChars = (text) => [...text].filter((char) => {
+    const code = char.charCodeAt(0);
+    return code > 31 || code === 9 || code === 10 || code === 13;
+}).join("");
+
+const escapeXml = (text) => removeControlChars(String(text))
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Excel cuenta los días desde 1899-12-30
+const toExcelDate = (date) =>
+    (date.getTime() - date.getTimezoneOffset() * 60000) / 86400000 + 25569;
+
+const getColumnLetter = (index) => String.fromCharCode(65 + index);
+
+const buildCellXml = (value, ref) => {
+    if (value instanceof Date) {
+        return `<c r="${ref}" s="1"><v>${toExcelDate(value)}</v></c>`;
+    }
+    if (typeof value === "number") {
+        return `<c r="${ref}"><v>${value}</v></c>`;
+    }
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value ?? "")}</t></is></c>`;
+};
+
+const buildSheetXml = (rows) => {
+    const allRows = [
+        CORTES_EXPORT_COLUMNS.map(column => column.header),
+        ...rows.map(row => CORTES_EXPORT_COLUMNS.map(column => row[column.key]))
+    ];
+
+    const rowsXml = allRows.map((values, rowIndex) => {
+        const cells = values
+            .map((value, columnIndex) => buildCellXml(value, `${getColumnLetter(columnIndex)}${rowIndex + 1}`))
+            .join("");
+        return `<row r="${rowIndex + 1}">${cells}</row>`;
+    }).join("");
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<cols><col min="1" max="3" width="22" customWidth="1"/><col min="4" max="5" width="14" customWidth="1"/>'
+        + '<col min="6" max="6" width="24" customWidth="1"/><col min="7" max="7" width="48" customWidth="1"/></cols>'
+        + `<sheetData>${rowsXml}</sheetData></worksheet>`;
+};
+
+const XLSX_STATIC_FILES = {
+    "[Content_Types].xml": '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + '</Types>',
+    "_rels/.rels": '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>',
+    "xl/workbook.xml": '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" '
+        + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + '<sheets><sheet name="Cortes" sheetId="1" r:id="rId1"/></sheets></workbook>',
+    "xl/_rels/workbook.xml.rels": '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+        + '</Relationships>',
+    // Estilo 1: formato de fecha corta (numFmtId 14)
+    "xl/styles.xml": '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+        + '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>'
+        + '</styleSheet>'
+};
+
+let crcTable = null;
+
+const crc32 = (bytes) => {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Empaqueta archivos en un ZIP sin compresión (método "store")
+ * @param {Object} files - { ruta: contenido de texto }
+ * @returns {Array<Uint8Array>} Partes del ZIP
+ */
+const buildZipParts = (files) => {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    Object.entries(files).forEach(([name, content]) => {
+        const nameBytes = encoder.encode(name);
+        const data = encoder.encode(content);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true); // Nombres en UTF-8
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);
+
+        parts.push(new Uint8Array(local.buffer), nameBytes, data);
+        centralDirectory.push(new Uint8Array(central.buffer), nameBytes);
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralDirectory.reduce((sum, part) => sum + part.length, 0);
+    const fileCount = Object.keys(files).length;
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, fileCount, true);
+    end.setUint16(10, fileCount, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return [...parts, ...centralDirectory, new Uint8Array(end.buffer)];
+};
+
+/**
+ * Genera un libro XLSX con una hoja "Cortes"
+ * @param {Array<Object>} rows - Filas de streamCortesForExport
+ * @returns {Blob} Archivo XLSX
+ */
+export const buildCortesXlsx = (rows) => {
+    const parts = buildZipParts({
+        ...XLSX_STATIC_FILES,
+        "xl/worksheets/sheet1.xml": buildSheetXml(rows)
+    });
+
+    return new Blob(parts, { type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" });
+};
+
+// ============================================================================
+// 📤 EXPORTACIÓN
+// ============================================================================
+
+/**
+ * Exporta los cortes que cumplen los filtros
+ * @param {Object} filters - Filtros de streamCortesForExport
+ * @param {Object} options - Opciones de exportación
+ * @param {string} options.format - EXPORT_FORMATS.CSV o EXPORT_FORMATS.XLSX (default: csv)
+ * @param {number} options.pageSize - Cortes por consulta (default: 500)
+ * @param {Function} options.onProgress - ({ rows }) => void, tras cada página
+ * @returns {Promise<Object>} { blob, filename, totalRows }
+ */
+export const exportCortes = async (filters = {}, options = {}) => {
+    try {
+        const { format = EXPORT_FORMATS.CSV, pageSize = DEFAULT_PAGE_SIZE, onProgress = null } = options;
+
+        if (!Object.values(EXPORT_FORMATS).includes(format)) {
+            throw new Error(`Formato no soportado: ${format}`);
+        }
+
+        console.log("📤 Exportando cortes:", filters);
+
+        const rows = [];
+        for await (const page of streamCortesForExport(filters, { pageSize })) {
+            rows.push(...page);
+            onProgress?.({ rows: rows.length });
+        }
+
+        const blob = format === EXPORT_FORMATS.XLSX ? buildCortesXlsx(rows) : buildCortesCsv(rows);
+
+        const nameParts = ["cortes", filters.viveroId, filters.camaId, formatDateKey(new Date())].filter(Boolean);
+        const filename = `${nameParts.join("_")}.${format}`;
+
+        console.log(`✅ ${rows.length} cortes exportados a ${format.toUpperCase()}`);
+        return { blob, filename, totalRows: rows.length };
+
+    } catch (error) {
+        console.error("❌ Error exportando cortes:", error.message);
+        throw new Error(`Error al exportar cortes: ${error.message}`);
+    }
+};
+
+export default {
+    EXPORT_FORMATS,
+    CORTES_EXPORT_COLUMNS,
+    streamCortesForExport,
+    buildCortesCsv,
+    buildCortesXlsx,
+    exportCortes
+};
@@ -0,0 +1,194 @@
+// src/firebase/shared/exportService.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { Timestamp } from "firebase/firestore";
+import {
+    buildCortesCsv,
+    buildCortesXlsx,
+    streamCortesForExport,
+    exportCortes,
+    EXPORT_FORMATS
+} from "./exportService.js";
+
+const { store } = vi.hoisted(() => ({ store: new Map() }));
+
+vi.mock("firebase/firestore", async (importOriginal) => {
+    const { createFirestoreMemoria } = await import("../../test/firestoreMemoria.js");
+    return createFirestoreMemoria(await importOriginal(), store);
+});
+
+vi.mock("../config.js", () => ({ db: {}, storage: {} }));
+
+const fila = (datos) => ({
+    vivero: "Vivero Norte",
+    cama: "Vivero Norte - Cama A1",
+    planta: "Lavanda",
+    fecha: new Date(2025, 2, 5),
+    cantidadEsquejes: 40,
+    responsable: "Ana",
+    observaciones: "",
+    ...datos
+});
+
+// Lee un ZIP sin compresión: { ruta: texto }
+const readZip = async (blob) => {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const view = new DataView(bytes.buffer);
+    const decoder = new TextDecoder();
+    const files = {};
+    let offset = 0;
+
+    while (view.getUint32(offset, true) === 0x04034B50) {
+        expect(view.getUint16(offset + 8, true)).toBe(0); // método "store"
+        const size = view.getUint32(offset + 18, true);
+        expect(view.getUint32(offset + 22, true)).toBe(size);
+        const nameLength = view.getUint16(offset + 26, true);
+        const extraLength = view.getUint16(offset + 28, true);
+        const name = decoder.decode(bytes.subarray(offset + 30, offset + 30 + nameLength));
+        const start = offset + 30 + nameLength + extraLength;
+        files[name] = decoder.decode(bytes.subarray(start, start + size));
+        offset = start + size;
+    }
+
+    // Fin del directorio central: cantidad de archivos y dónde empieza
+    const end = bytes.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054B50);
+    expect(view.getUint16(end + 10, true)).toBe(Object.keys(files).length);
+    expect(view.getUint32(end + 16, true)).toBe(offset);
+    return files;
+};
+
+// Blob.text() descarta el BOM del inicio
+const csvLines = async (blob) => (await blob.text()).split("\r\n");
+
+describe("CSV", () => {
+    it("entrecomilla comas, comillas y saltos de línea", async () => {
+        const blob = buildCortesCsv([fila({ observaciones: 'Hojas "secas", revisar\nriego', responsable: "Pérez, Juan" })]);
+
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        expect([...bytes.subarray(0, 3)]).toEqual([0xEF, 0xBB, 0xBF]);
+        expect(await blob.text()).toContain('"Pérez, Juan","Hojas ""secas"", revisar\nriego"');
+        expect((await csvLines(blob))[0]).toBe("Vivero,Cama,Planta,Fecha,Cantidad de esquejes,Responsable,Observaciones");
+    });
+
+    it("evita que un texto se interprete como fórmula", async () => {
+        const blob = buildCortesCsv([
+            fila({ responsable: "=HYPERLINK(\"http://x\")", observaciones: "+56 9 1234" }),
+            fila({ responsable: "@admin", observaciones: "-rebrote" })
+        ]);
+
+        const [, primera, segunda] = await csvLines(blob);
+        expect(primera).toBe("Vivero Norte,Vivero Norte - Cama A1,Lavanda,2025-03-05,40,\"'=HYPERLINK(\"\"http://x\"\")\",'+56 9 1234");
+        expect(segunda.endsWith(",'@admin,'-rebrote")).toBe(true);
+    });
+
+    it("no toca los números negativos ni las fechas", async () => {
+        const [, linea] = await csvLines(buildCortesCsv([fila({ cantidadEsquejes: -3 })]));
+
+        expect(linea).toBe("Vivero Norte,Vivero Norte - Cama A1,Lavanda,2025-03-05,-3,Ana,");
+    });
+});
+
+describe("XLSX", () => {
+    it("genera un ZIP legible con la hoja de cortes", async () => {
+        const files = await readZip(buildCortesXlsx([
+            fila({ observaciones: "<raíz> & tallo\u0007" }),
+            fila({ cantidadEsquejes: 12, fecha: null })
+        ]));
+
+        expect(Object.keys(files)).toEqual([
+            "[Content_Types].xml",
+            "_rels/.rels",
+            "xl/workbook.xml",
+            "xl/_rels/workbook.xml.rels",
+            "xl/styles.xml",
+            "xl/worksheets/sheet1.xml"
+        ]);
+        const sheet = files["xl/worksheets/sheet1.xml"];
+        expect(sheet).toContain('<c r="A1" t="inlineStr"><is><t xml:space="preserve">Vivero</t></is></c>');
+        // Fecha como número de serie de Excel con formato de fecha corta
+        expect(sheet).toContain('<c r="D2" s="1"><v>45721</v></c>');
+        expect(sheet).toContain('<c r="E2"><v>40</v></c>');
+        expect(sheet).toContain("&lt;raíz&gt; &amp; tallo</t>");
+        expect(sheet).toContain('<c r="E3"><v>12</v></c>');
+        expect(sheet.match(/<row /g)).toHaveLength(3);
+    });
+});
+
+describe("lectura de cortes", () => {
+    const sembrado = new Timestamp(1700000000, 0);
+    const resembrado = new Timestamp(1710000000, 0);
+
+    const corte = (viveroId, camaId, id, segundos, datos = {}) => store.set(
+        `viveros/${viveroId}/camas/${camaId}/cortes_esquejes/${id}`,
+        { id, viveroId, camaId, fecha: new Timestamp(segundos, 0), cantidadEsquejes: 10, ...datos }
+    );
+
+    beforeEach(() => {
+        store.clear();
+        store.set("viveros/norte", { id: "norte", nombre: "Vivero Norte" });
+        store.set("viveros/sur", { id: "sur", nombre: "Vivero Sur" });
+        store.set("viveros/norte/camas/A1", {
+            viveroId: "norte",
+            nombreCompleto: "Vivero Norte - Cama A1",
+            nombrePlanta: "Romero",
+            ciclos: [
+                { id: "ciclo_1", numero: 1, nombrePlanta: "Lavanda", inicio: sembrado },
+                { id: "ciclo_2", numero: 2, nombrePlanta: "Romero", inicio: resembrado }
+            ]
+        });
+        store.set("viveros/norte/camas/A2", { viveroId: "norte", nombreCompleto: "Vivero Norte - Cama A2", eliminado: true });
+        store.set("viveros/sur/camas/B1", { viveroId: "sur", nombreCompleto: "Vivero Sur - Cama B1", nombrePlanta: "Salvia" });
+
+        corte("norte", "A1", "c1", 1705000000, { cicloId: "ciclo_1" });
+        corte("norte", "A1", "c2", 1715000000, { cicloId: "ciclo_2", responsable: "Ana" });
+        corte("norte", "A2", "c3", 1716000000);
+        corte("sur", "B1", "c4", 1717000000);
+        vi.spyOn(console, "log").mockImplementation(() => {});
+        vi.spyOn(console, "error").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    const leerTodo = async (filters, options) => {
+        const pages = [];
+        for await (const page of streamCortesForExport(filters, options)) {
+            pages.push(page);
+        }
+        return pages;
+    };
+
+    it("recorre todos los viveros en páginas, sin las camas de la papelera", async () => {
+        const pages = await leerTodo({}, { pageSize: 2 });
+
+        expect(pages.map(page => page.length)).toEqual([2, 1]);
+        expect(pages.flat().map(row => [row.vivero, row.cama, row.planta])).toEqual([
+            ["Vivero Sur", "Vivero Sur - Cama B1", "Salvia"],
+            ["Vivero Norte", "Vivero Norte - Cama A1", "Romero"],
+            ["Vivero Norte", "Vivero Norte - Cama A1", "Lavanda"]
+        ]);
+    });
+
+    it("filtra por cama y por fechas", async () => {
+        const [rows] = await leerTodo({
+            viveroId: "norte",
+            camaId: "A1",
+            fechaDesde: new Date(1710000000 * 1000)
+        });
+
+        expect(rows).toEqual([expect.objectContaining({ planta: "Romero", responsable: "Ana", cantidadEsquejes: 10 })]);
+        expect(rows[0].fecha).toEqual(new Date(1715000000 * 1000));
+    });
+
+    it("no exporta una cama de la papelera", async () => {
+        await expect(exportCortes({ viveroId: "norte", camaId: "A2" })).rejects.toThrow(/Cama no encontrada: A2/);
+    });
+
+    it("exportCortes informa el total y arma el nombre del archivo", async () => {
+        const result = await exportCortes({ viveroId: "sur" }, { format: EXPORT_FORMATS.XLSX });
+
+        expect(result.totalRows).toBe(1);
+        expect(result.filename).toMatch(/^cortes_sur_\d{4}-\d{2}-\d{2}\.xlsx$/);
+    });
+});
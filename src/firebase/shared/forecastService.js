@@ -0,0 +1,510 @@
+// src/firebase/shared/forecastService.js
+import { getCama, getCamasFromVivero, getCamasByEspecie } from "../camas/camaService.js";
+import { getCortesFromCama } from "../camas/cortesService.js";
+import { getPlantaKey } from "../especies/especieService.js";
+import { isCamaEnProduccion } from "../camas/camaEstadoService.js";
+import { filterCortesCicloActivo } from "../camas/camaCiclosService.js";
+
+/**
+ * ============================================================================
+ * 🔮 FORECAST SERVICE - Pronóstico de Producción
+ * ============================================================================
+ * Responsabilidad: Proyectar los esquejes de las próximas semanas o meses
+ * por cama, por planta y por vivero a partir del historial de cortes
+ *
+ * Modelo por cama (esquejes de un período = cortes esperados × esquejes por corte):
+ * - Frecuencia: intervalo medio entre los cortes recientes y su variabilidad
+ * - Rendimiento: tendencia lineal de los esquejes por corte, sin el efecto
+ *   de la estacionalidad
+ * - Estacionalidad: índice por mes del año, con al menos 12 meses de
+ *   historial (con menos, todos los meses pesan igual)
+ * - Solo se ajusta con los cortes del ciclo de cultivo en curso: los de un
+ *   cultivo anterior de la cama no predicen a la planta actual
+ * - Bandas de confianza del 80% y del 95%: combinan la variabilidad del
+ *   rendimiento, la de la frecuencia y la incertidumbre de la tendencia
+ *
+ * Los pronósticos de planta y de vivero suman los de sus camas (esperado y
+ * varianza). Las camas que no están en producción o con menos de 2 cortes
+ * no proyectan esquejes y se informan con su motivo.
+ * ============================================================================
+ */
+
+export const FORECAST_PERIODOS = {
+    SEMANAL: "semanal",
+    MENSUAL: "mensual"
+};
+
+export const DEFAULT_HORIZONTES = {
+    [FORECAST_PERIODOS.SEMANAL]: 8,
+    [FORECAST_PERIODOS.MENSUAL]: 3
+};
+
+// Motivos por los que una cama no tiene pronóstico
+export const FORECAST_MOTIVOS = {
+    SIN_CORTES: "sin_cortes",
+    FUERA_DE_PRODUCCION: "fuera_de_produccion"
+};
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+const HISTORIAL_MESES = 24;  // Historial de cortes que se lee por cama
+const VENTANA_CORTES = 24;   // Cortes recientes para frecuencia y tendencia
+const MIN_CV = 0.25;         // Variabilidad mínima de la frecuencia de corte
+const Z_80 = 1.2816;
+const Z_95 = 1.96;
+
+// ============================================================================
+// 🔧 HELPERS - PERÍODOS
+// ============================================================================
+
+const startOfPeriodo = (fecha, periodo) => {
+    if (periodo === FORECAST_PERIODOS.SEMANAL) {
+        // Semanas de lunes a domingo
+        const inicio = new Date(fecha.getFullYear(), fecha.getMonth(), fecha.getDate());
+        inicio.setDate(inicio.getDate() - ((inicio.getDay() + 6) % 7));
+        return inicio;
+    }
+    return new Date(fecha.getFullYear(), fecha.getMonth(), 1);
+};
+
+const addPeriodos = (fecha, periodo, cantidad) => {
+    if (periodo === FORECAST_PERIODOS.SEMANAL) {
+        return new Date(fecha.getFullYear(), fecha.getMonth(), fecha.getDate() + cantidad * 7);
+    }
+    return new Date(fecha.getFullYear(), fecha.getMonth() + cantidad, 1);
+};
+
+const getPeriodoKey = (inicio, periodo) => {
+    const mes = `${inicio.getFullYear()}-${String(inicio.getMonth() + 1).padStart(2, "0")}`;
+    return periodo === FORECAST_PERIODOS.SEMANAL
+        ? `${mes}-${String(inicio.getDate()).padStart(2, "0")}`
+        : mes;
+};
+
+/**
+ * Períodos consecutivos a partir del que contiene `hoy`
+ * @param {Date} hoy - Fecha de referencia
+ * @param {string} periodo - FORECAST_PERIODOS
+ * @param {number} desde - Desplazamiento del primero (negativo = pasado)
+ * @param {number} cantidad - Número de períodos
+ * @returns {Array<Object>} [{ periodo, inicio, fin }]
+ */
+const buildPeriodos = (hoy, periodo, desde, cantidad) => {
+    const base = startOfPeriodo(hoy, periodo);
+    return Array.from({ length: cantidad }, (_, index) => {
+        const inicio = addPeriodos(base, periodo, desde + index);
+        return { periodo: getPeriodoKey(inicio, periodo), inicio, fin: addPeriodos(inicio, periodo, 1) };
+    });
+};
+
+// ============================================================================
+// 🔧 HELPERS - MODELO
+// ============================================================================
+
+/**
+ * Regresión lineal simple por mínimos cuadrados
+ * Con menos de 3 puntos la tendencia es plana (pendiente 0)
+ * @returns {Object} { a, b, se, n, xMean, sxx }
+ */
+const linearRegression = (xs, ys) => {
+    const n = xs.length;
+    const xMean = xs.reduce((sum, x) => sum + x, 0) / n;
+    const yMean = ys.reduce((sum, y) => sum + y, 0) / n;
+    const sxx = xs.reduce((sum, x) => sum + (x - xMean) ** 2, 0);
+
+    const b = n >= 3 && sxx > 0
+        ? xs.reduce((sum, x, i) => sum + (x - xMean) * (ys[i] - yMean), 0) / sxx
+        : 0;
+    const a = yMean - b * xMean;
+
+    const gradosLibertad = Math.max(1, n - (b === 0 ? 1 : 2));
+    const sse = ys.reduce((sum, y, i) => sum + (y - (a + b * xs[i])) ** 2, 0);
+
+    return { a, b, se: Math.sqrt(sse / gradosLibertad), n, xMean, sxx };
+};
+
+/**
+ * Índice estacional por mes del año (media 1)
+ * Cada mes se acerca a 1 según los años observados: un solo año pesa la mitad
+ * @param {Array} cortes - Cortes ordenados por fecha ({ fecha: Date, cantidadEsquejes })
+ * @param {Date} hoy - Fecha de referencia (el mes en curso no cuenta)
+ * @returns {Array<number>|null} 12 índices, o null con menos de 12 meses completos
+ */
+const calculateSeasonality = (cortes, hoy) => {
+    const primerMes = startOfPeriodo(cortes[0].fecha, FORECAST_PERIODOS.MENSUAL);
+    const mesActual = startOfPeriodo(hoy, FORECAST_PERIODOS.MENSUAL);
+
+    const totales = new Map();
+    for (let mes = primerMes; mes < mesActual; mes = addPeriodos(mes, FORECAST_PERIODOS.MENSUAL, 1)) {
+        totales.set(getPeriodoKey(mes, FORECAST_PERIODOS.MENSUAL), { mes: mes.getMonth(), total: 0 });
+    }
+    if (totales.size < 12) return null;
+
+    cortes.forEach((corte) => {
+        const entry = totales.get(getPeriodoKey(corte.fecha, FORECAST_PERIODOS.MENSUAL));
+        if (entry) entry.total += corte.cantidadEsquejes;
+    });
+
+    const valores = [...totales.values()];
+    const promedio = valores.reduce((sum, entry) => sum + entry.total, 0) / valores.length;
+    if (promedio === 0) return null;
+
+    const indices = Array.from({ length: 12 }, (_, mes) => {
+        const delMes = valores.filter(entry => entry.mes === mes);
+        if (delMes.length === 0) return 1;
+        const bruto = delMes.reduce((sum, entry) => sum + entry.total, 0) / delMes.length / promedio;
+        return 1 + (bruto - 1) * delMes.length / (delMes.length + 1);
+    });
+
+    const media = indices.reduce((sum, indice) => sum + indice, 0) / 12;
+    return indices.map(indice => Math.max(0.05, indice / media));
+};
+
+const getFactorEstacional = (estacionalidad, fecha) => (estacionalidad ? estacionalidad[fecha.getMonth()] : 1);
+
+/**
+ * Ajusta el modelo de una cama a partir de sus cortes
+ * @param {Array} cortes - Cortes ordenados por fecha ({ fecha: Date, cantidadEsquejes })
+ * @param {Date} hoy - Fecha de referencia
+ * @returns {Object|null} Modelo o null con menos de 2 días de corte
+ */
+const buildCamaModel = (cortes, hoy) => {
+    // Los cortes del mismo día cuentan como uno solo
+    const porDia = [];
+    cortes.forEach((corte) => {
+        const dia = new Date(corte.fecha.getFullYear(), corte.fecha.getMonth(), corte.fecha.getDate());
+        const ultimo = porDia[porDia.length - 1];
+        if (ultimo && ultimo.fecha.getTime() === dia.getTime()) {
+            ultimo.cantidadEsquejes += corte.cantidadEsquejes;
+        } else {
+            porDia.push({ fecha: dia, cantidadEsquejes: corte.cantidadEsquejes });
+        }
+    });
+
+    if (porDia.length < 2) return null;
+
+    const estacionalidad = calculateSeasonality(porDia, hoy);
+    const recientes = porDia.slice(-VENTANA_CORTES);
+    const origen = recientes[0].fecha;
+
+    const xs = recientes.map(corte => (corte.fecha - origen) / DIA_MS);
+    const ys = recientes.map(corte => corte.cantidadEsquejes / getFactorEstacional(estacionalidad, corte.fecha));
+    const regresion = linearRegression(xs, ys);
+
+    const intervalos = xs.slice(1).map((x, index) => x - xs[index]);
+    const intervaloMedio = intervalos.reduce((sum, intervalo) => sum + intervalo, 0) / intervalos.length;
+    const desviacion = intervalos.length > 1
+        ? Math.sqrt(intervalos.reduce((sum, intervalo) => sum + (intervalo - intervaloMedio) ** 2, 0) / (intervalos.length - 1))
+        : intervaloMedio;
+
+    const ultimoCorte = recientes[recientes.length - 1].fecha;
+
+    return {
+        regresion,
+        origen,
+        estacionalidad,
+        intervaloMedio: Math.max(1, intervaloMedio),
+        cv: Math.max(MIN_CV, desviacion / Math.max(1, intervaloMedio)),
+        ultimoCorte,
+        // Sin cortes en más de tres intervalos: la cama puede estar parada
+        detenida: (hoy - ultimoCorte) / DIA_MS > 3 * Math.max(1, intervaloMedio)
+    };
+};
+
+/**
+ * Esperado y varianza de los esquejes de un período
+ * Solo cuenta la parte del período posterior a `hoy`
+ */
+const projectPeriodo = (model, { inicio, fin }, hoy) => {
+    const desde = inicio > hoy ? inicio : hoy;
+    const dias = Math.max(0, (fin - desde) / DIA_MS);
+    if (dias === 0) return { esperado: 0, varianza: 0 };
+
+    const medio = new Date((desde.getTime() + fin.getTime()) / 2);
+    const factor = getFactorEstacional(model.estacionalidad, medio);
+    const { a, b, se, n, xMean, sxx } = model.regresion;
+    const x = (medio - model.origen) / DIA_MS;
+
+    const rendimiento = Math.max(0, a + b * x) * factor;
+    const varRendimiento = (se * factor) ** 2;
+    const varTendencia = varRendimiento * (1 / n + (sxx > 0 ? (x - xMean) ** 2 / sxx : 0));
+    const cortes = dias / model.intervaloMedio;
+
+    return {
+        esperado: cortes * rendimiento,
+        // Rendimiento de cada corte + número de cortes + incertidumbre de la tendencia
+        varianza: cortes * varRendimiento + rendimiento ** 2 * cortes * model.cv ** 2 + cortes ** 2 * varTendencia
+    };
+};
+
+const toBandas = ({ esperado, varianza }) => {
+    const desviacion = Math.sqrt(varianza);
+    return {
+        esperado: Math.round(esperado),
+        inferior80: Math.max(0, Math.round(esperado - Z_80 * desviacion)),
+        superior80: Math.round(esperado + Z_80 * desviacion),
+        inferior95: Math.max(0, Math.round(esperado - Z_95 * desviacion)),
+        superior95: Math.round(esperado + Z_95 * desviacion)
+    };
+};
+
+// Suma series de varias camas período a período (esperado y varianza se suman)
+const sumSeries = (series, campos) => {
+    if (series.length === 0) return [];
+    return series[0].map((punto, index) => {
+        const suma = { periodo: punto.periodo, inicio: punto.inicio, fin: punto.fin };
+        campos.forEach((campo) => {
+            suma[campo] = series.reduce((sum, serie) => sum + serie[index][campo], 0);
+        });
+        return suma;
+    });
+};
+
+/**
+ * Pronóstico agregado con bandas a partir de los pronósticos de sus camas
+ */
+const combineForecasts = (forecasts) => {
+    const pronostico = sumSeries(forecasts.map(forecast => forecast.raw), ["esperado", "varianza"]);
+    const total = pronostico.reduce(
+        (sum, punto) => ({ esperado: sum.esperado + punto.esperado, varianza: sum.varianza + punto.varianza }),
+        { esperado: 0, varianza: 0 }
+    );
+
+    return {
+        historial: sumSeries(forecasts.map(forecast => forecast.historial), ["real"]),
+        pronostico: pronostico.map(punto => ({ periodo: punto.periodo, inicio: punto.inicio, fin: punto.fin, ...toBandas(punto) })),
+        total: toBandas(total),
+        raw: pronostico
+    };
+};
+
+// Quita los datos internos de la suma antes de devolver el resultado
+const stripRaw = (forecast) => {
+    const result = { ...forecast };
+    delete result.raw;
+    return result;
+};
+
+// ============================================================================
+// 🔮 PRONÓSTICOS
+// ============================================================================
+
+// Cortes con fecha como Date, del más antiguo al más reciente
+const sortCortes = (cortes) => cortes
+    .filter(corte => corte.fecha)
+    .map(corte => ({
+        fecha: typeof corte.fecha.toDate === "function" ? corte.fecha.toDate() : new Date(corte.fecha),
+        cantidadEsquejes: corte.cantidadEsquejes || 0
+    }))
+    .sort((a, b) => a.fecha - b.fecha);
+
+/**
+ * Pronóstico de una cama con sus cortes ya cargados
+ * @param {Object} cama - Cama (id, viveroId, estado, nombrePlanta, especieId)
+ * @param {Array} cortes - Cortes de la cama (fecha como Timestamp o Date)
+ * @param {Object} options - { periodo, horizonte, hoy }
+ * @returns {Object} Pronóstico de la cama (con `raw` para sumarlo a otros)
+ */
+const buildCamaForecast = (cama, cortes, options = {}) => {
+    const {
+        periodo = FORECAST_PERIODOS.SEMANAL,
+        horizonte = DEFAULT_HORIZONTES[periodo],
+        hoy = new Date()
+    } = options;
+
+    const ordenados = sortCortes(cortes);
+
+    // Historial: el doble del horizonte (mínimo 8) incluyendo el período en curso
+    const historialPeriodos = Math.max(8, horizonte * 2);
+    const historial = buildPeriodos(hoy, periodo, -(historialPeriodos - 1), historialPeriodos).map(punto => ({
+        ...punto,
+        real: ordenados
+            .filter(corte => corte.fecha >= punto.inicio && corte.fecha < punto.fin)
+            .reduce((sum, corte) => sum + corte.cantidadEsquejes, 0)
+    }));
+
+    const futuros = buildPeriodos(hoy, periodo, 0, horizonte);
+    const enProduccion = isCamaEnProduccion(cama);
+    const model = enProduccion ? buildCamaModel(sortCortes(filterCortesCicloActivo(cama, cortes)), hoy) : null;
+
+    const raw = futuros.map(punto => ({
+        ...punto,
+        ...(model ? projectPeriodo(model, punto, hoy) : { esperado: 0, varianza: 0 })
+    }));
+
+    return {
+        camaId: cama.id,
+        viveroId: cama.viveroId,
+        nombreCompleto: cama.nombreCompleto,
+        nombrePlanta: cama.nombrePlanta,
+        especieId: cama.especieId || null,
+        plantaKey: getPlantaKey(cama),
+        periodo,
+        suficiente: Boolean(model),
+        motivo: model ? null : (enProduccion ? FORECAST_MOTIVOS.SIN_CORTES : FORECAST_MOTIVOS.FUERA_DE_PRODUCCION),
+        modelo: model ? {
+            intervaloMedioDias: Math.round(model.intervaloMedio * 10) / 10,
+            esquejesPorCorte: Math.round(Math.max(0, model.regresion.a + model.regresion.b * ((hoy - model.origen) / DIA_MS))),
+            tendenciaDiaria: Math.round(model.regresion.b * 100) / 100,
+            estacional: Boolean(model.estacionalidad),
+            ultimoCorte: model.ultimoCorte,
+            detenida: model.detenida
+        } : null,
+        historial,
+        pronostico: raw.map(punto => ({ periodo: punto.periodo, inicio: punto.inicio, fin: punto.fin, ...toBandas(punto) })),
+        total: toBandas(raw.reduce(
+            (sum, punto) => ({ esperado: sum.esperado + punto.esperado, varianza: sum.varianza + punto.varianza }),
+            { esperado: 0, varianza: 0 }
+        )),
+        raw
+    };
+};
+
+// Lee los cortes recientes de cada cama y arma sus pronósticos
+const forecastCamas = async (camas, options) => {
+    const hoy = options.hoy || new Date();
+    const fechaDesde = new Date(hoy.getFullYear(), hoy.getMonth() - HISTORIAL_MESES, 1);
+
+    const cortesPorCama = await Promise.all(
+        camas.map(cama => getCortesFromCama(cama.viveroId, cama.id, { fechaDesde, orderDirection: "asc" }))
+    );
+
+    return camas.map((cama, index) => buildCamaForecast(cama, cortesPorCama[index], { ...options, hoy }));
+};
+
+// Agrupa los pronósticos de cama por planta
+const groupByPlanta = (forecasts) => {
+    const grupos = {};
+    forecasts.forEach((forecast) => {
+        if (!grupos[forecast.plantaKey]) {
+            grupos[forecast.plantaKey] = {
+                plantaKey: forecast.plantaKey,
+                nombrePlanta: forecast.nombrePlanta,
+                especieId: forecast.especieId,
+                camas: []
+            };
+        }
+        grupos[forecast.plantaKey].camas.push(forecast);
+    });
+
+    return Object.values(grupos)
+        .map(({ camas, ...grupo }) => ({
+            ...grupo,
+            totalCamas: camas.length,
+            camasConPronostico: camas.filter(cama => cama.suficiente).length,
+            ...stripRaw(combineForecasts(camas))
+        }))
+        .sort((a, b) => b.total.esperado - a.total.esperado);
+};
+
+/**
+ * Pronóstico de producción de una cama
+ * @param {string} viveroId - ID del vivero
+ * @param {string} camaId - ID de la cama
+ * @param {Object} options - Opciones del pronóstico
+ * @param {string} options.periodo - FORECAST_PERIODOS (default: semanal)
+ * @param {number} options.horizonte - Períodos a proyectar (default: 8 semanas / 3 meses)
+ * @returns {Promise<Object>} { camaId, suficiente, motivo, modelo, historial, pronostico, total }
+ *   pronostico: [{ periodo, inicio, fin, esperado, inferior80, superior80, inferior95, superior95 }]
+ */
+export const forecastCama = async (viveroId, camaId, options = {}) => {
+    try {
+        if (!viveroId || !camaId) {
+            throw new Error("viveroId y camaId son requeridos");
+        }
+
+        console.log("🔮 Pronosticando producción de cama:", camaId);
+
+        const cama = await getCama(viveroId, camaId);
+        if (!cama) {
+            throw new Error(`Cama no encontrada: ${camaId} en vivero ${viveroId}`);
+        }
+
+        const [forecast] = await forecastCamas([{ ...cama, viveroId }], options);
+
+        console.log("✅ Pronóstico de cama calculado:", forecast.total.esperado, "esquejes");
+        return stripRaw(forecast);
+
+    } catch (error) {
+        console.error("❌ Error pronosticando producción de cama:", error.message);
+        throw new Error(`Error al pronosticar producción: ${error.message}`);
+    }
+};
+
+/**
+ * Pronóstico de producción de un vivero, por planta y por cama
+ * @param {string} viveroId - ID del vivero
+ * @param {Object} options - Opciones del pronóstico (ver forecastCama)
+ * @returns {Promise<Object>} { vivero, plantas, camas }
+ *   vivero: { historial, pronostico, total }; plantas: agrupadas por especie
+ *   (o nombre si no tienen); camas: pronóstico de cada cama
+ */
+export const forecastVivero = async (viveroId, options = {}) => {
+    try {
+        if (!viveroId) {
+            throw new Error("viveroId es requerido");
+        }
+
+        console.log("🔮 Pronosticando producción del vivero:", viveroId);
+
+        const camas = await getCamasFromVivero(viveroId);
+        const forecasts = await forecastCamas(camas.map(cama => ({ ...cama, viveroId })), options);
+
+        const result = {
+            vivero: stripRaw(combineForecasts(forecasts)),
+            plantas: groupByPlanta(forecasts),
+            camas: forecasts.map(stripRaw).sort((a, b) => b.total.esperado - a.total.esperado),
+            calculadoEn: new Date()
+        };
+
+        console.log("✅ Pronóstico del vivero calculado:", result.vivero.total.esperado, "esquejes");
+        return result;
+
+    } catch (error) {
+        console.error("❌ Error pronosticando producción del vivero:", error.message);
+        throw new Error(`Error al pronosticar producción del vivero: ${error.message}`);
+    }
+};
+
+/**
+ * Pronóstico de producción de una especie en todos los viveros
+ * @param {string} especieId - ID de la especie
+ * @param {Object} options - Opciones del pronóstico (ver forecastCama)
+ * @param {number} options.limitResults - Máximo de camas a considerar (default: 500)
+ * @returns {Promise<Object>} { especieId, historial, pronostico, total, camas }
+ */
+export const forecastEspecie = async (especieId, options = {}) => {
+    try {
+        if (!especieId) {
+            throw new Error("especieId es requerido");
+        }
+
+        console.log("🔮 Pronosticando producción de la especie:", especieId);
+
+        const { limitResults = 500, ...forecastOptions } = options;
+        const camas = await getCamasByEspecie(especieId, { limitResults });
+        const forecasts = await forecastCamas(camas, forecastOptions);
+
+        const result = {
+            especieId,
+            ...stripRaw(combineForecasts(forecasts)),
+            camas: forecasts.map(stripRaw).sort((a, b) => b.total.esperado - a.total.esperado),
+            calculadoEn: new Date()
+        };
+
+        console.log("✅ Pronóstico de la especie calculado:", result.total.esperado, "esquejes");
+        return result;
+
+    } catch (error) {
+        console.error("❌ Error pronosticando producción de la especie:", error.message);
+        throw new Error(`Error al pronosticar producción de la especie: ${error.message}`);
+    }
+};
+
+export default {
+    FORECAST_PERIODOS,
+    DEFAULT_HORIZONTES,
+    FORECAST_MOTIVOS,
+    forecastCama,
+    forecastVivero,
+    forecastEspecie
+};
@@ -0,0 +1,182 @@
+// src/firebase/shared/imageService.js
+
+/**
+ * ============================================================================
+ * 🗜️ IMAGE SERVICE - Compresión de fotos en el navegador
+ * ============================================================================
+ * Responsabilidad: Preparar las fotos antes de subirlas
+ * - Reduce al lado máximo indicado y re-codifica en JPEG: una foto de
+ *   teléfono (3-8 MB) queda en unos cientos de KB
+ * - Quita los metadatos EXIF (GPS, modelo del teléfono...): el canvas no los
+ *   conserva; la orientación se aplica al dibujar
+ * - Si el navegador no puede decodificar la imagen, los JPEG se suben sin
+ *   comprimir pero sin EXIF (stripJpegMetadata); otros formatos fallan
+ * ============================================================================
+ */
+
+export const FOTO_MAX_LADO = 1600;
+export const THUMB_MAX_LADO = 320;
+export const FOTO_CALIDAD = 0.8;
+
+// ============================================================================
+// 🔧 HELPERS
+// ============================================================================
+
+const createCanvas = (width, height) => {
+    if (typeof OffscreenCanvas !== "undefined") {
+        return new OffscreenCanvas(width, height);
+    }
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+};
+
+const canvasToBlob = (canvas, type, quality) => {
+    if (typeof canvas.convertToBlob === "function") {
+        return canvas.convertToBlob({ type, quality });
+    }
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(
+            blob => blob ? resolve(blob) : reject(new Error("No se pudo codificar la imagen")),
+            type,
+            quality
+        );
+    });
+};
+
+/**
+ * Calcula las dimensiones que caben en un lado máximo sin agrandar
+ * @param {number} width - Ancho original
+ * @param {number} height - Alto original
+ * @param {number} maxLado - Lado máximo
+ * @returns {Object} { width, height }
+ */
+export const fitDimensions = (width, height, maxLado) => {
+    const escala = Math.min(1, maxLado / Math.max(width, height));
+    return {
+        width: Math.max(1, Math.round(width * escala)),
+        height: Math.max(1, Math.round(height * escala))
+    };
+};
+
+const drawToJpeg = async (bitmap, maxLado, calidad) => {
+    const { width, height } = fitDimensions(bitmap.width, bitmap.height, maxLado);
+    const canvas = createCanvas(width, height);
+    const context = canvas.getContext("2d");
+
+    // Fondo blanco: las PNG con transparencia quedarían negras en JPEG
+    context.fillStyle = "#fff";
+    context.fillRect(0, 0, width, height);
+    context.drawImage(bitmap, 0, 0, width, height);
+
+    const blob = await canvasToBlob(canvas, "image/jpeg", calidad);
+    return { blob, width, height };
+};
+
+/**
+ * Quita de un JPEG los segmentos APP1-APP15 (EXIF, XMP...) y los comentarios
+ * sin re-codificar la imagen. APP0 (JFIF) se conserva.
+ * @param {ArrayBuffer} buffer - Contenido del archivo JPEG
+ * @returns {Uint8Array} JPEG sin metadatos
+ */
+export const stripJpegMetadata = (buffer) => {
+    const bytes = new Uint8Array(buffer);
+    if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+        throw new Error("El archivo no es un JPEG válido");
+    }
+
+    const partes = [bytes.subarray(0, 2)];
+    let offset = 2;
+
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+        const marker = bytes[offset + 1];
+
+        // Inicio de los datos de imagen: el resto se copia tal cual
+        if (marker === 0xDA) break;
+
+        const largo = (bytes[offset + 2] << 8) | bytes[offset + 3];
+        const esMetadato = (marker >= 0xE1 && marker <= 0xEF) || marker === 0xFE;
+        if (!esMetadato) {
+            partes.push(bytes.subarray(offset, offset + 2 + largo));
+        }
+        offset += 2 + largo;
+    }
+
+    partes.push(bytes.subarray(offset));
+
+    const resultado = new Uint8Array(partes.reduce((total, parte) => total + parte.length, 0));
+    let posicion = 0;
+    partes.forEach(parte => {
+        resultado.set(parte, posicion);
+        posicion += parte.length;
+    });
+    return resultado;
+};
+
+// ============================================================================
+// 🗜️ COMPRESIÓN
+// ============================================================================
+
+/**
+ * Comprime una foto y genera su miniatura, sin metadatos EXIF
+ * @param {File|Blob} file - Foto original
+ * @param {Object} options - Opciones
+ * @param {number} options.maxLado - Lado máximo de la foto (default: FOTO_MAX_LADO)
+ * @param {number} options.thumbMaxLado - Lado máximo de la miniatura (default: THUMB_MAX_LADO)
+ * @param {number} options.calidad - Calidad JPEG 0-1 (default: FOTO_CALIDAD)
+ * @returns {Promise<Object>} { foto: Blob, thumb: Blob|null, width, height, comprimida }
+ */
+export const compressFoto = async (file, options = {}) => {
+    const {
+        maxLado = FOTO_MAX_LADO,
+        thumbMaxLado = THUMB_MAX_LADO,
+        calidad = FOTO_CALIDAD
+    } = options;
+
+    let bitmap = null;
+    try {
+        bitmap = await createImageBitmap(file, { imageOrientation: "from-image" });
+    } catch (error) {
+        console.warn("⚠️ El navegador no pudo decodificar la foto:", error.message);
+    }
+
+    if (!bitmap) {
+        if (file.type !== "image/jpeg") {
+            throw new Error(`Este navegador no puede procesar fotos ${file.type || "de este formato"}`);
+        }
+        const sinMetadatos = stripJpegMetadata(await file.arrayBuffer());
+        return {
+            foto: new Blob([sinMetadatos], { type: "image/jpeg" }),
+            thumb: null,
+            width: null,
+            height: null,
+            comprimida: false
+        };
+    }
+
+    try {
+        const foto = await drawToJpeg(bitmap, maxLado, calidad);
+        const thumb = await drawToJpeg(bitmap, thumbMaxLado, calidad);
+
+        console.log(`🗜️ Foto comprimida: ${Math.round(file.size / 1024)} KB → ${Math.round(foto.blob.size / 1024)} KB`);
+        return {
+            foto: foto.blob,
+            thumb: thumb.blob,
+            width: foto.width,
+            height: foto.height,
+            comprimida: true
+        };
+    } finally {
+        bitmap.close?.();
+    }
+};
+
+export default {
+    FOTO_MAX_LADO,
+    THUMB_MAX_LADO,
+    FOTO_CALIDAD,
+    fitDimensions,
+    stripJpegMetadata,
+    compressFoto
+};
@@ -0,0 +1,138 @@
+// src/firebase/shared/imageService.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { fitDimensions, stripJpegMetadata, compressFoto, FOTO_CALIDAD } from "./imageService.js";
+
+// Segmento JPEG: marcador + largo (incluye los 2 bytes del largo) + contenido
+const segmento = (marker, contenido) => [0xFF, marker, ...[(contenido.length + 2) >> 8, (contenido.length + 2) & 0xFF], ...contenido];
+const ascii = (texto) => [...texto].map(char => char.charCodeAt(0));
+
+const SOI = [0xFF, 0xD8];
+const APP0_JFIF = segmento(0xE0, [...ascii("JFIF"), 0, 1, 1, 0, 0, 1, 0, 1, 0, 0]);
+const APP1_EXIF = segmento(0xE1, [...ascii("Exif"), 0, 0, ...ascii("GPS -33.45,-70.66 Pixel 7")]);
+const APP13_IPTC = segmento(0xED, ascii("Photoshop 3.0"));
+const COMENTARIO = segmento(0xFE, ascii("tomada en el invernadero 3"));
+const DQT = segmento(0xDB, [0, ...new Array(64).fill(1)]);
+const SOS_Y_DATOS = [...segmento(0xDA, [1, 1, 0, 0, 0x3F, 0]), 0x12, 0xFF, 0x00, 0xE1, 0x34, 0xFF, 0xD9];
+
+const jpeg = (...partes) => new Uint8Array(partes.flat());
+
+describe("fitDimensions", () => {
+    it("reduce al lado máximo conservando la proporción", () => {
+        expect(fitDimensions(4000, 3000, 1600)).toEqual({ width: 1600, height: 1200 });
+        expect(fitDimensions(3000, 4000, 320)).toEqual({ width: 240, height: 320 });
+    });
+
+    it("no agranda las fotos pequeñas", () => {
+        expect(fitDimensions(800, 600, 1600)).toEqual({ width: 800, height: 600 });
+    });
+
+    it("nunca deja un lado en cero", () => {
+        expect(fitDimensions(10000, 10, 320)).toEqual({ width: 320, height: 1 });
+    });
+});
+
+describe("stripJpegMetadata", () => {
+    it("quita EXIF, otros APPn y comentarios, y conserva JFIF y los datos de imagen", () => {
+        const original = jpeg(SOI, APP0_JFIF, APP1_EXIF, APP13_IPTC, COMENTARIO, DQT, SOS_Y_DATOS);
+
+        const limpio = stripJpegMetadata(original.buffer);
+
+        expect([...limpio]).toEqual([...SOI, ...APP0_JFIF, ...DQT, ...SOS_Y_DATOS]);
+        expect(new TextDecoder().decode(limpio)).not.toMatch(/Exif|GPS|invernadero/);
+    });
+
+    it("no toca los bytes después del inicio de los datos de imagen", () => {
+        // 0xFF 0xE1 dentro de los datos comprimidos no es un segmento EXIF
+        const original = jpeg(SOI, DQT, SOS_Y_DATOS);
+
+        expect([...stripJpegMetadata(original.buffer)]).toEqual([...original]);
+    });
+
+    it("rechaza archivos que no son JPEG", () => {
+        const png = new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+        expect(() => stripJpegMetadata(png.buffer)).toThrow(/no es un JPEG válido/);
+    });
+});
+
+describe("compressFoto", () => {
+    let canvases;
+    let bitmap;
+
+    beforeEach(() => {
+        canvases = [];
+        bitmap = { width: 4000, height: 3000, close: vi.fn() };
+
+        vi.stubGlobal("createImageBitmap", vi.fn(async () => bitmap));
+        vi.stubGlobal("OffscreenCanvas", class {
+            constructor(width, height) {
+                this.width = width;
+                this.height = height;
+                this.context = { fillRect: vi.fn(), drawImage: vi.fn(), fillStyle: null };
+                canvases.push(this);
+            }
+
+            getContext() {
+                return this.context;
+            }
+
+            async convertToBlob({ type, quality }) {
+                this.encodedWith = { type, quality };
+                return new Blob([new Uint8Array(this.width)], { type });
+            }
+        });
+        vi.spyOn(console, "log").mockImplementation(() => {});
+        vi.spyOn(console, "warn").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    it("re-codifica en JPEG la foto reducida y su miniatura", async () => {
+        const file = new Blob([jpeg(SOI, APP1_EXIF, SOS_Y_DATOS)], { type: "image/png" });
+
+        const result = await compressFoto(file);
+
+        expect(createImageBitmap).toHaveBeenCalledWith(file, { imageOrientation: "from-image" });
+        expect(result).toMatchObject({ width: 1600, height: 1200, comprimida: true });
+        expect(result.foto.type).toBe("image/jpeg");
+        expect(result.thumb.type).toBe("image/jpeg");
+        expect(canvases.map(canvas => [canvas.width, canvas.height])).toEqual([[1600, 1200], [320, 240]]);
+        canvases.forEach((canvas) => {
+            expect(canvas.encodedWith).toEqual({ type: "image/jpeg", quality: FOTO_CALIDAD });
+            // Fondo blanco antes de dibujar: la transparencia de una PNG quedaría negra
+            expect(canvas.context.fillStyle).toBe("#fff");
+            expect(canvas.context.drawImage).toHaveBeenCalledWith(bitmap, 0, 0, canvas.width, canvas.height);
+        });
+        expect(bitmap.close).toHaveBeenCalled();
+    });
+
+    it("respeta el lado máximo y la calidad indicados", async () => {
+        const result = await compressFoto(new Blob([], { type: "image/jpeg" }), { maxLado: 800, thumbMaxLado: 100, calidad: 0.5 });
+
+        expect(result).toMatchObject({ width: 800, height: 600 });
+        expect(canvases[1]).toMatchObject({ width: 100, height: 75 });
+        expect(canvases[0].encodedWith.quality).toBe(0.5);
+    });
+
+    it("si no puede decodificar un JPEG lo sube sin comprimir pero sin EXIF", async () => {
+        createImageBitmap.mockRejectedValueOnce(new Error("decode failed"));
+        const file = new Blob([jpeg(SOI, APP0_JFIF, APP1_EXIF, DQT, SOS_Y_DATOS)], { type: "image/jpeg" });
+
+        const result = await compressFoto(file);
+
+        expect(result).toMatchObject({ thumb: null, width: null, height: null, comprimida: false });
+        expect(result.foto.type).toBe("image/jpeg");
+        const bytes = new Uint8Array(await result.foto.arrayBuffer());
+        expect([...bytes]).toEqual([...SOI, ...APP0_JFIF, ...DQT, ...SOS_Y_DATOS]);
+    });
+
+    it("si no puede decodificar otro formato falla con un mensaje claro", async () => {
+        createImageBitmap.mockRejectedValueOnce(new Error("decode failed"));
+        const file = new Blob([new Uint8Array(8)], { type: "image/heic" });
+
+        await expect(compressFoto(file)).rejects.toThrow("Este navegador no puede procesar fotos image/heic");
+    });
+});
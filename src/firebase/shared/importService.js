@@ -0,0 +1,572 @@
+// src/firebase/shared/importService.js
+import {
+    doc,
+    getDoc,
+    collection,
+    getDocs,
+    query,
+    where,
+    Timestamp
+} from "firebase/firestore";
+import { db } from "../config.js";
+import { isTrashed } from "./trashService.js";
+import { createCama } from "../camas/camaService.js";
+import { createMultipleCortes, validateCorteData } from "../camas/cortesService.js";
+import { validateCamaId } from "../viveros/viveroUrlService.js";
+import { parseEstadoCama, getRequisitosFaltantes } from "../camas/camaEstadoService.js";
+
+/**
+ * ============================================================================
+ * 📥 IMPORT SERVICE - Importación Masiva desde CSV
+ * ============================================================================
+ * Responsabilidad: Importar camas y cortes históricos a un vivero desde CSV
+ * - Camas: columnas de createCama, una cama por fila
+ * - Cortes: columnas de createMultipleCortes, agrupados por cama
+ * - Cada fila se valida (validateCamaId / validateCorteData) antes de
+ *   escribir y se informa su estado: nuevo, existente o error
+ * - Simulación (dryRun): valida y cuenta sin escribir nada
+ * - Idempotente: las camas existentes se omiten y los cortes reciben un ID
+ *   derivado de su contenido, así volver a importar el mismo archivo no
+ *   duplica datos
+ *
+ * Flujo:
+ *   const parsed = parseImportCsv(texto, IMPORT_TIPOS.CORTES);
+ *   const preview = await previewImport(viveroId, IMPORT_TIPOS.CORTES, parsed.rows);
+ *   const result = await runImport(viveroId, IMPORT_TIPOS.CORTES, parsed.rows, email);
+ * ============================================================================
+ */
+
+export const IMPORT_TIPOS = {
+    CAMAS: "camas",
+    CORTES: "cortes"
+};
+
+export const IMPORT_ESTADOS = {
+    NUEVO: "nuevo",
+    EXISTENTE: "existente",
+    ERROR: "error"
+};
+
+/**
+ * Columnas reconocidas por tipo de importación
+ * Los encabezados se comparan sin mayúsculas, acentos, espacios ni guiones
+ */
+export const IMPORT_COLUMNS = {
+    [IMPORT_TIPOS.CAMAS]: [
+        { campo: "id", header: "id", aliases: ["cama", "idcama", "camaid"], tipo: "texto", requerido: true },
+        { campo: "nombrePlanta", header: "nombrePlanta", aliases: ["planta"], tipo: "texto", requerido: true },
+        { campo: "cantidadPlantas", header: "cantidadPlantas", aliases: ["plantas"], tipo: "numero" },
+        { campo: "sustrato", header: "sustrato", aliases: [], tipo: "texto" },
+        { campo: "tarroSize", header: "tarroSize", aliases: ["tarro", "tamanotarro"], tipo: "numero" },
+        { campo: "tarroUnidad", header: "tarroUnidad", aliases: ["unidad", "unidadtarro"], tipo: "texto" },
+        { campo: "estado", header: "estado", aliases: [], tipo: "texto" },
+        { campo: "fechaSiembra", header: "fechaSiembra", aliases: ["siembra"], tipo: "fecha" },
+        { campo: "fechaEstimadaCosecha", header: "fechaEstimadaCosecha", aliases: ["cosecha"], tipo: "fecha" },
+        { campo: "observaciones", header: "observaciones", aliases: [], tipo: "texto" }
+    ],
+    [IMPORT_TIPOS.CORTES]: [
+        { campo: "camaId", header: "camaId", aliases: ["cama", "idcama"], tipo: "texto", requerido: true },
+        { campo: "fecha", header: "fecha", aliases: [], tipo: "fecha", requerido: true },
+        { campo: "cantidadEsquejes", header: "cantidadEsquejes", aliases: ["esquejes", "cantidaddeesquejes"], tipo: "numero", requerido: true },
+        { campo: "responsable", header: "responsable", aliases: [], tipo: "texto" },
+        { campo: "observaciones", header: "observaciones", aliases: [], tipo: "texto" }
+    ]
+};
+
+// Valores aceptados por el formulario de camas
+const TARRO_UNIDADES = ["pulgadas", "cm"];
+
+const pad = (value) => String(value).padStart(2, "0");
+
+const normalizeHeader = (header) => header
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+// ============================================================================
+// 📄 LECTURA DEL CSV
+// ============================================================================
+
+/**
+ * Convierte texto CSV en filas de celdas
+ * Soporta comillas, saltos de línea dentro de comillas, BOM y separador
+ * "," o ";" (el que use Excel en configuración regional española)
+ * @param {string} text - Contenido del archivo
+ * @returns {Array<Array<string>>} Filas de celdas
+ */
+export const parseCsv = (text) => {
+    const content = String(text || "").replace(/^\uFEFF/, "");
+    const firstLine = content.split(/\r?\n/, 1)[0] || "";
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ";" : ",";
+
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && content[i + 1] === "\n") i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = "";
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== "" || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Omitir filas completamente vacías
+    return rows.filter(cells => cells.some(value => value.trim() !== ""));
+};
+
+/**
+ * Interpreta una fecha AAAA-MM-DD o DD/MM/AAAA (mediodía local, como CamaForm)
+ * @returns {Date|null} Fecha o null si no se reconoce el formato
+ */
+const parseDateValue = (value) => {
+    let match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    let year, month, day;
+
+    if (match) {
+        [, year, month, day] = match.map(Number);
+    } else {
+        match = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+        if (!match) return null;
+        [, day, month, year] = match.map(Number);
+    }
+
+    const date = new Date(year, month - 1, day, 12, 0, 0);
+    return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+const parseCellValue = (column, rawValue, errors) => {
+    const value = rawValue.trim();
+    if (value === "") return undefined;
+
+    if (column.tipo === "numero") {
+        const number = Number(value.replace(",", "."));
+        if (isNaN(number)) {
+            errors.push(`${column.header}: "${value}" no es un número`);
+            return undefined;
+        }
+        return number;
+    }
+
+    if (column.tipo === "fecha") {
+        const date = parseDateValue(value);
+        if (!date) {
+            errors.push(`${column.header}: "${value}" no es una fecha válida (usa AAAA-MM-DD o DD/MM/AAAA)`);
+            return undefined;
+        }
+        return date;
+    }
+
+    return value;
+};
+
+/**
+ * Lee un CSV de camas o de cortes y mapea sus columnas
+ * @param {string} text - Contenido del archivo
+ * @param {string} tipo - IMPORT_TIPOS.CAMAS o IMPORT_TIPOS.CORTES
+ * @returns {Object} { rows: [{ linea, data, errors }], columnasFaltantes, columnasIgnoradas }
+ */
+export const parseImportCsv = (text, tipo) => {
+    const columns = IMPORT_COLUMNS[tipo];
+    if (!columns) {
+        throw new Error(`Tipo de importación no soportado: ${tipo}`);
+    }
+
+    const [headerRow = [], ...dataRows] = parseCsv(text);
+
+    // Relacionar cada columna del archivo con un campo
+    const mapping = headerRow.map((header) => {
+        const normalized = normalizeHeader(header);
+        return columns.find(column =>
+            normalizeHeader(column.header) === normalized || column.aliases.includes(normalized)
+        ) || null;
+    });
+
+    const columnasFaltantes = columns
+        .filter(column => column.requerido && !mapping.includes(column))
+        .map(column => column.header);
+
+    const columnasIgnoradas = headerRow.filter((header, index) => header.trim() && !mapping[index]);
+
+    const rows = dataRows.map((cells, index) => {
+        const data = {};
+        const errors = [];
+
+        mapping.forEach((column, cellIndex) => {
+            if (!column) return;
+            const value = parseCellValue(column, cells[cellIndex] || "", errors);
+            if (value !== undefined) data[column.campo] = value;
+        });
+
+        // La línea 1 es el encabezado
+        return { linea: index + 2, data, errors };
+    });
+
+    return { rows, columnasFaltantes, columnasIgnoradas };
+};
+
+/**
+ * Genera un CSV de ejemplo con los encabezados esperados
+ * @param {string} tipo - IMPORT_TIPOS.CAMAS o IMPORT_TIPOS.CORTES
+ * @returns {string} Contenido CSV
+ */
+export const getImportTemplate = (tipo) => {
+    const headers = IMPORT_COLUMNS[tipo].map(column => column.header).join(",");
+    const example = tipo === IMPORT_TIPOS.CAMAS
+        ? "A1,Rosa,120,Turba,6,pulgadas,en_produccion,2025-01-15,,"
+        : "A1,15/03/2025,250,Juan Pérez,";
+    return `${headers}\n${example}\n`;
+};
+
+// ============================================================================
+// ✅ VALIDACIÓN Y VISTA PREVIA
+// ============================================================================
+
+const formatDateKey = (date) => `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+
+// Hash FNV-1a de 32 bits en base 36
+const hashString = (text) => {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(36);
+};
+
+/**
+ * ID determinista de un corte importado: el mismo corte en el mismo
+ * archivo (o en uno nuevo) siempre genera el mismo ID
+ */
+export const buildImportedCorteId = (camaId, corteData) => {
+    const { fecha, cantidadEsquejes, responsable = "", observaciones = "" } = corteData;
+    const fechaKey = formatDateKey(fecha);
+    const firma = [camaId, fechaKey, parseInt(cantidadEsquejes), responsable.trim(), observaciones.trim()].join("|");
+    return `corte_${fechaKey}_imp${hashString(firma)}`;
+};
+
+const validateCamaRow = (data) => {
+    const errors = [];
+
+    const idValidation = validateCamaId(data.id);
+    if (!idValidation.valid) {
+        errors.push(...idValidation.errors);
+    }
+
+    if (!data.nombrePlanta) {
+        errors.push("Nombre de la planta es requerido");
+    }
+
+    if (data.cantidadPlantas !== undefined && (!Number.isInteger(data.cantidadPlantas) || data.cantidadPlantas < 0)) {
+        errors.push("La cantidad de plantas debe ser un número entero positivo");
+    }
+
+    if (data.tarroSize !== undefined && data.tarroSize < 0) {
+        errors.push("El tamaño del tarro debe ser un número positivo");
+    }
+
+    // Estado del ciclo de vida (se aceptan los antiguos) y sus campos requeridos
+    if (data.estado) {
+        try {
+            const faltantes = getRequisitosFaltantes(parseEstadoCama(data.estado), data);
+            if (faltantes.length > 0) {
+                errors.push(`Para el estado ${data.estado} falta ${faltantes.join(", ")}`);
+            }
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+
+    if (data.tarroUnidad && !TARRO_UNIDADES.includes(data.tarroUnidad)) {
+        errors.push(`Unidad de tarro no válida: ${data.tarroUnidad} (usa ${TARRO_UNIDADES.join(", ")})`);
+    }
+
+    if (data.fechaSiembra && data.fechaEstimadaCosecha && data.fechaEstimadaCosecha < data.fechaSiembra) {
+        errors.push("La cosecha estimada no puede ser anterior a la siembra");
+    }
+
+    return errors;
+};
+
+const previewCamas = (rows, camasExistentes) => {
+    const idsEnArchivo = new Map();
+
+    return rows.map((row) => {
+        const errors = [...row.errors, ...validateCamaRow(row.data)];
+        const camaId = row.data.id;
+        const existente = camasExistentes.get(camaId);
+
+        if (camaId && idsEnArchivo.has(camaId)) {
+            errors.push(`ID repetido en la línea ${idsEnArchivo.get(camaId)}`);
+        } else if (camaId) {
+            idsEnArchivo.set(camaId, row.linea);
+        }
+
+        if (existente && isTrashed(existente)) {
+            errors.push(`La cama ${camaId} está en la papelera`);
+        }
+
+        const estado = errors.length > 0
+            ? IMPORT_ESTADOS.ERROR
+            : existente ? IMPORT_ESTADOS.EXISTENTE : IMPORT_ESTADOS.NUEVO;
+
+        return { ...row, errors, estado, camaId };
+    });
+};
+
+const previewCortes = async (viveroId, rows, camasExistentes) => {
+    // Se acepta el ID de la cama o su nombre completo (columna "Cama" de la exportación)
+    const camasPorNombre = new Map();
+    camasExistentes.forEach((cama, camaId) => {
+        if (cama.nombreCompleto) camasPorNombre.set(cama.nombreCompleto, camaId);
+    });
+
+    const validated = rows.map((row) => {
+        const errors = [...row.errors];
+        const referencia = row.data.camaId;
+        const camaId = camasExistentes.has(referencia) ? referencia : camasPorNombre.get(referencia) || referencia;
+
+        const idValidation = validateCamaId(camaId);
+        if (!idValidation.valid) {
+            errors.push(...idValidation.errors);
+        } else if (!camasExistentes.has(camaId)) {
+            errors.push(`Cama no encontrada: ${camaId}`);
+        } else if (isTrashed(camasExistentes.get(camaId))) {
+            errors.push(`La cama ${camaId} está en la papelera`);
+        }
+
+        // Si la fecha no se pudo leer, el error ya viene de la lectura del CSV
+        const fechaIlegible = row.errors.some(error => error.startsWith("fecha:"));
+        errors.push(...validateCorteData(row.data).errors
+            .filter(error => !(fechaIlegible && error.startsWith("Fecha"))));
+
+        const corteId = errors.length === 0 ? buildImportedCorteId(camaId, row.data) : null;
+        return { ...row, errors, camaId, corteId };
+    });
+
+    // IDs de cortes ya existentes, una consulta por cama en el rango de fechas del archivo
+    const fechasPorCama = new Map();
+    validated.filter(row => row.corteId).forEach((row) => {
+        const rango = fechasPorCama.get(row.camaId) || { desde: row.data.fecha, hasta: row.data.fecha };
+        if (row.data.fecha < rango.desde) rango.desde = row.data.fecha;
+        if (row.data.fecha > rango.hasta) rango.hasta = row.data.fecha;
+        fechasPorCama.set(row.camaId, rango);
+    });
+
+    const cortesExistentes = new Set();
+    for (const [camaId, rango] of fechasPorCama) {
+        const desde = new Date(rango.desde);
+        desde.setHours(0, 0, 0, 0);
+        const hasta = new Date(rango.hasta);
+        hasta.setHours(23, 59, 59, 999);
+
+        const snapshot = await getDocs(query(
+            collection(db, "viveros", viveroId, "camas", camaId, "cortes_esquejes"),
+            where("fecha", ">=", Timestamp.fromDate(desde)),
+            where("fecha", "<=", Timestamp.fromDate(hasta))
+        ));
+        snapshot.docs.forEach(corteDoc => cortesExistentes.add(`${camaId}/${corteDoc.id}`));
+    }
+
+    const idsEnArchivo = new Map();
+
+    return validated.map((row) => {
+        const errors = [...row.errors];
+        const key = `${row.camaId}/${row.corteId}`;
+
+        if (row.corteId && idsEnArchivo.has(key)) {
+            errors.push(`Corte repetido en la línea ${idsEnArchivo.get(key)}`);
+        } else if (row.corteId) {
+            idsEnArchivo.set(key, row.linea);
+        }
+
+        const estado = errors.length > 0
+            ? IMPORT_ESTADOS.ERROR
+            : cortesExistentes.has(key) ? IMPORT_ESTADOS.EXISTENTE : IMPORT_ESTADOS.NUEVO;
+
+        return { ...row, errors, estado };
+    });
+};
+
+/**
+ * Valida las filas contra el estado actual del vivero
+ * No escribe nada: indica qué filas se crearían, cuáles ya existen y cuáles
+ * tienen errores
+ * @param {string} viveroId - ID del vivero destino
+ * @param {string} tipo - IMPORT_TIPOS.CAMAS o IMPORT_TIPOS.CORTES
+ * @param {Array<Object>} rows - Filas de parseImportCsv
+ * @returns {Promise<Object>} { rows: [{ linea, data, errors, estado }], resumen }
+ */
+export const previewImport = async (viveroId, tipo, rows) => {
+    try {
+        if (!viveroId) {
+            throw new Error("viveroId es requerido");
+        }
+
+        if (!IMPORT_COLUMNS[tipo]) {
+            throw new Error(`Tipo de importación no soportado: ${tipo}`);
+        }
+
+        const viveroDoc = await getDoc(doc(db, "viveros", viveroId));
+        if (!viveroDoc.exists() || isTrashed(viveroDoc.data())) {
+            throw new Error(`Vivero no encontrado: ${viveroId}`);
+        }
+
+        console.log(`🔎 Validando ${rows.length} filas de ${tipo} para el vivero:`, viveroId);
+
+        const camasSnapshot = await getDocs(collection(db, "viveros", viveroId, "camas"));
+        const camasExistentes = new Map(camasSnapshot.docs.map(camaDoc => [camaDoc.id, camaDoc.data()]));
+
+        const previewRows = tipo === IMPORT_TIPOS.CAMAS
+            ? previewCamas(rows, camasExistentes)
+            : await previewCortes(viveroId, rows, camasExistentes);
+
+        const resumen = {
+            total: previewRows.length,
+            nuevos: previewRows.filter(row => row.estado === IMPORT_ESTADOS.NUEVO).length,
+            existentes: previewRows.filter(row => row.estado === IMPORT_ESTADOS.EXISTENTE).length,
+            errores: previewRows.filter(row => row.estado === IMPORT_ESTADOS.ERROR).length
+        };
+
+        console.log("✅ Vista previa de importación:", resumen);
+        return { rows: previewRows, resumen };
+
+    } catch (error) {
+        console.error("❌ Error validando importación:", error.message);
+        throw new Error(`Error al validar importación: ${error.message}`);
+    }
+};
+
+// ============================================================================
+// 📥 IMPORTACIÓN
+// ============================================================================
+
+/**
+ * Importa las filas válidas que aún no existen
+ * Siempre vuelve a validar contra el estado actual antes de escribir, así
+ * repetir una importación (completa o interrumpida) solo crea lo que falta
+ * @param {string} viveroId - ID del vivero destino
+ * @param {string} tipo - IMPORT_TIPOS.CAMAS o IMPORT_TIPOS.CORTES
+ * @param {Array<Object>} rows - Filas de parseImportCsv
+ * @param {string} importedBy - Email del usuario que importa
+ * @param {Object} options - Opciones de importación
+ * @param {boolean} options.dryRun - Solo validar y contar, sin escribir
+ * @param {Function} options.onProgress - ({ completed, total }) => void
+ * @returns {Promise<Object>} Resumen con importados, existentes, errores y detalle
+ */
+export const runImport = async (viveroId, tipo, rows, importedBy, options = {}) => {
+    try {
+        const { dryRun = false, onProgress = null } = options;
+
+        const preview = await previewImport(viveroId, tipo, rows);
+        const pendientes = preview.rows.filter(row => row.estado === IMPORT_ESTADOS.NUEVO);
+
+        const result = {
+            tipo,
+            dryRun,
+            ...preview.resumen,
+            importados: 0,
+            errorDetails: preview.rows
+                .filter(row => row.estado === IMPORT_ESTADOS.ERROR)
+                .map(row => ({ linea: row.linea, errors: row.errors }))
+        };
+
+        if (dryRun || pendientes.length === 0) {
+            console.log(`🧪 Importación ${dryRun ? "simulada" : "sin cambios"}:`, preview.resumen);
+            return result;
+        }
+
+        console.log(`📥 Importando ${pendientes.length} ${tipo} en el vivero:`, viveroId);
+
+        let completed = 0;
+        onProgress?.({ completed, total: pendientes.length });
+
+        if (tipo === IMPORT_TIPOS.CAMAS) {
+            for (const row of pendientes) {
+                try {
+                    await createCama(viveroId, row.data, importedBy);
+                    result.importados++;
+                } catch (error) {
+                    result.errorDetails.push({ linea: row.linea, errors: [error.message] });
+                }
+                completed++;
+                onProgress?.({ completed, total: pendientes.length });
+            }
+        } else {
+            const cortesPorCama = new Map();
+            pendientes.forEach((row) => {
+                const cortesCama = cortesPorCama.get(row.camaId) || [];
+                cortesCama.push(row);
+                cortesPorCama.set(row.camaId, cortesCama);
+            });
+
+            for (const [camaId, cortesRows] of cortesPorCama) {
+                try {
+                    const batchResult = await createMultipleCortes(
+                        viveroId,
+                        camaId,
+                        cortesRows.map(row => ({ ...row.data, id: row.corteId })),
+                        importedBy
+                    );
+                    result.importados += batchResult.success;
+                    batchResult.errorDetails.forEach(({ index, error }) => {
+                        result.errorDetails.push({ linea: cortesRows[index - 1].linea, errors: [error] });
+                    });
+                } catch (error) {
+                    cortesRows.forEach(row => result.errorDetails.push({ linea: row.linea, errors: [error.message] }));
+                }
+                completed += cortesRows.length;
+                onProgress?.({ completed, total: pendientes.length });
+            }
+        }
+
+        result.errores = result.errorDetails.length;
+        result.errorDetails.sort((a, b) => a.linea - b.linea);
+
+        console.log(`✅ Importación completada: ${result.importados} importados, ${result.existentes} existentes, ${result.errores} errores`);
+        return result;
+
+    } catch (error) {
+        console.error("❌ Error importando:", error.message);
+        throw new Error(`Error al importar: ${error.message}`);
+    }
+};
+
+export default {
+    IMPORT_TIPOS,
+    IMPORT_ESTADOS,
+    IMPORT_COLUMNS,
+    parseCsv,
+    parseImportCsv,
+    getImportTemplate,
+    buildImportedCorteId,
+    previewImport,
+    runImport
+};
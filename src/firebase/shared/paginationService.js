@@ -0,0 +1,104 @@
+// src/firebase/shared/paginationService.js
+import {
+    getDocs,
+    query,
+    limit,
+    startAfter
+} from "firebase/firestore";
+
+/**
+ * ============================================================================
+ * 📄 PAGINATION SERVICE - Paginación por Cursor
+ * ============================================================================
+ * Responsabilidad: Leer consultas ordenadas página a página con startAfter
+ * - Cada página cuesta como máximo pageSize × MAX_PAGE_ROUNDS lecturas,
+ *   sin importar cuántos viveros o camas existan
+ * - El filtro en cliente (por ejemplo, la papelera) puede dejar una ronda
+ *   corta; se sigue leyendo hasta completar la página o agotar las rondas
+ * - El cursor es el último documento leído (DocumentSnapshot): se pasa tal
+ *   cual para pedir la página siguiente
+ *
+ * Ejemplo:
+ *   const page = await fetchPage(query(ref, orderBy("fecha", "desc")), { pageSize: 50 });
+ *   const next = await fetchPage(sameQuery, { pageSize: 50, cursor: page.cursor });
+ * ============================================================================
+ */
+
+export const DEFAULT_PAGE_SIZE = 50;
+
+// Rondas de lectura como máximo por página cuando el filtro descarta documentos
+const MAX_PAGE_ROUNDS = 5;
+
+/**
+ * Lee una página de una consulta ordenada
+ * @param {Query} baseQuery - Consulta con orderBy (sin limit ni startAfter)
+ * @param {Object} options - Opciones de paginación
+ * @param {number} options.pageSize - Elementos por página (default: 50)
+ * @param {DocumentSnapshot} options.cursor - Último documento de la página anterior
+ * @param {Function} options.filter - (docSnap) => boolean, descarta en cliente
+ * @param {Function} options.map - (docSnap) => elemento (default: { id, ...data })
+ * @returns {Promise<Object>} { items, cursor, hasMore }
+ */
+export const fetchPage = async (baseQuery, options = {}) => {
+    const {
+        pageSize = DEFAULT_PAGE_SIZE,
+        cursor = null,
+        filter = () => true,
+        map = (docSnap) => ({ id: docSnap.id, ...docSnap.data() })
+    } = options;
+
+    const items = [];
+    let lastDoc = cursor;
+    let hasMore = true;
+    let rounds = 0;
+
+    while (items.length < pageSize && hasMore && rounds < MAX_PAGE_ROUNDS) {
+        const constraints = lastDoc ? [startAfter(lastDoc), limit(pageSize)] : [limit(pageSize)];
+        const snapshot = await getDocs(query(baseQuery, ...constraints));
+        rounds++;
+
+        let pageFull = false;
+        for (const docSnap of snapshot.docs) {
+            if (items.length === pageSize) {
+                pageFull = true;
+                break;
+            }
+            lastDoc = docSnap;
+            if (filter(docSnap)) {
+                items.push(map(docSnap));
+            }
+        }
+
+        hasMore = pageFull || snapshot.size === pageSize;
+    }
+
+    return { items, cursor: lastDoc, hasMore };
+};
+
+/**
+ * Lee páginas seguidas hasta reunir un número de elementos
+ * Para las funciones que devuelven una lista completa con límite
+ * @param {Function} loadPage - (cursor) => Promise<{ items, cursor, hasMore }>
+ * @param {number} maxItems - Máximo de elementos a reunir
+ * @returns {Promise<Array>} Elementos en el orden de la consulta
+ */
+export const collectPages = async (loadPage, maxItems) => {
+    const items = [];
+    let cursor = null;
+    let hasMore = true;
+
+    while (hasMore && items.length < maxItems) {
+        const page = await loadPage(cursor);
+        items.push(...page.items);
+        cursor = page.cursor;
+        hasMore = page.hasMore && Boolean(cursor);
+    }
+
+    return items.slice(0, maxItems);
+};
+
+export default {
+    DEFAULT_PAGE_SIZE,
+    fetchPage,
+    collectPages
+};
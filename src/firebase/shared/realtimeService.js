@@ -0,0 +1,101 @@
+// src/firebase/shared/realtimeService.js
+import {
+    onSnapshot,
+    getDoc,
+    getDocs
+} from "firebase/firestore";
+
+/**
+ * ============================================================================
+ * 📡 REALTIME SERVICE - Suscripciones con Respaldo por Sondeo
+ * ============================================================================
+ * Responsabilidad: Mantener vivos documentos y consultas en la interfaz
+ * - Usa onSnapshot mientras el listener funcione
+ * - Si el listener no está disponible (falla al abrirse o se corta, por
+ *   ejemplo tras un proxy que no deja pasar el canal de escucha), pasa a
+ *   leer cada cierto tiempo con getDoc / getDocs
+ * - Quien se suscribe recibe siempre un snapshot, venga de un modo u otro
+ * - La función devuelta cierra el listener o detiene el sondeo
+ * ============================================================================
+ */
+
+export const REALTIME_MODOS = {
+    TIEMPO_REAL: "tiempo-real",
+    SONDEO: "sondeo"
+};
+
+export const DEFAULT_POLL_INTERVAL_MS = 30000;
+
+/**
+ * Se suscribe a un documento o consulta; si el listener falla, sondea
+ * @param {DocumentReference|Query} target - Documento o consulta a escuchar
+ * @param {Object} handlers - Callbacks
+ * @param {Function} handlers.onSnapshot - (snapshot) => void
+ * @param {Function} handlers.onError - (error) => void, si también falla el sondeo
+ * @param {Function} handlers.onModeChange - (modo de REALTIME_MODOS) => void
+ * @param {Object} options - Opciones
+ * @param {number} options.pollIntervalMs - Intervalo del sondeo (default: 30 s)
+ * @param {boolean} options.forcePolling - Sondear sin intentar el listener
+ * @returns {Function} Cancela la suscripción
+ */
+export const subscribeWithFallback = (target, handlers, options = {}) => {
+    const { onSnapshot: onData, onError = null, onModeChange = null } = handlers;
+    const { pollIntervalMs = DEFAULT_POLL_INTERVAL_MS, forcePolling = false } = options;
+
+    let unsubscribe = null;
+    let timer = null;
+    let closed = false;
+
+    const read = target.type === "document" ? getDoc : getDocs;
+
+    const poll = async () => {
+        try {
+            const snapshot = await read(target);
+            if (!closed) onData(snapshot);
+        } catch (error) {
+            console.error("❌ Error en sondeo:", error.message);
+            if (!closed && onError) onError(error);
+        }
+    };
+
+    const startPolling = () => {
+        if (closed || timer) return;
+        onModeChange?.(REALTIME_MODOS.SONDEO);
+        poll();
+        timer = setInterval(poll, pollIntervalMs);
+    };
+
+    if (forcePolling) {
+        startPolling();
+    } else {
+        try {
+            unsubscribe = onSnapshot(
+                target,
+                (snapshot) => {
+                    if (!closed) onData(snapshot);
+                },
+                (error) => {
+                    console.warn("⚠️ Listener no disponible, se pasa a sondeo:", error.message);
+                    unsubscribe = null;
+                    startPolling();
+                }
+            );
+            onModeChange?.(REALTIME_MODOS.TIEMPO_REAL);
+        } catch (error) {
+            console.warn("⚠️ No se pudo abrir el listener, se pasa a sondeo:", error.message);
+            startPolling();
+        }
+    }
+
+    return () => {
+        closed = true;
+        if (unsubscribe) unsubscribe();
+        if (timer) clearInterval(timer);
+    };
+};
+
+export default {
+    REALTIME_MODOS,
+    DEFAULT_POLL_INTERVAL_MS,
+    subscribeWithFallback
+};
@@ -0,0 +1,259 @@
+// src/firebase/shared/storageService.js
+import { ref, uploadBytes, getDownloadURL, deleteObject } from "firebase/storage";
+import { storage } from "../config.js";
+import { compressFoto } from "./imageService.js";
+
+/**
+ * ============================================================================
+ * 🖼️ STORAGE SERVICE - Fotos adjuntas
+ * ============================================================================
+ * Responsabilidad: Subir y eliminar las fotos adjuntas a los documentos
+ * - Solo imágenes (FOTO_TIPOS) de hasta FOTO_MAX_BYTES
+ * - Antes de subir se comprimen y se les quita el EXIF (imageService);
+ *   se guarda también una miniatura para listas e historiales
+ * - Los documentos guardan { id, path, url, thumbPath, thumbUrl, nombre,
+ *   contentType, size, width, height, subidaAt, subidaPor }: path para
+ *   eliminar, url para mostrar
+ *
+ * Adaptador de almacenamiento intercambiable (setStorageAdapter):
+ * { nombre, upload(path, blob, metadata) → url, remove(path) }
+ * - firebase (default): Firebase Storage (o su emulador)
+ * - memoria: stand-in local para pruebas y para el emulador de Firestore
+ *   sin Storage; se elige con VITE_STORAGE_ADAPTER=memoria. Devuelve data
+ *   URLs, que siguen sirviendo al recargar aunque el archivo ya no esté.
+ *   Fuera de pruebas y del emulador falla al cargar (nunca en producción)
+ *
+ * Rutas: viveros/{viveroId}/.../{fotoId}.jpg, paralelas a Firestore
+ * ============================================================================
+ */
+
+export const FOTO_TIPOS = ["image/jpeg", "image/png", "image/webp", "image/heic", "image/heif"];
+export const FOTO_MAX_BYTES = 10 * 1024 * 1024;
+
+const EXTENSIONES = {
+    "image/jpeg": "jpg",
+    "image/png": "png",
+    "image/webp": "webp",
+    "image/heic": "heic",
+    "image/heif": "heif"
+};
+
+// ============================================================================
+// 🔌 ADAPTADORES
+// ============================================================================
+
+/**
+ * Adaptador de Firebase Storage
+ * @returns {Object} Adaptador de almacenamiento
+ */
+export const createFirebaseStorageAdapter = () => ({
+    nombre: "firebase",
+    upload: async (path, blob, metadata = {}) => {
+        const fotoRef = ref(storage, path);
+        await uploadBytes(fotoRef, blob, metadata);
+        return getDownloadURL(fotoRef);
+    },
+    remove: async (path) => {
+        try {
+            await deleteObject(ref(storage, path));
+        } catch (error) {
+            // Ya eliminada: no es un error
+            if (error.code !== "storage/object-not-found") throw error;
+        }
+    }
+});
+
+// La URL se guarda en Firestore: una data URL no caduca como un object URL (blob:)
+const toDataUrl = async (blob) => {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return `data:${blob.type || "application/octet-stream"};base64,${btoa(binary)}`;
+};
+
+/**
+ * Adaptador en memoria: reemplaza a Firebase Storage en pruebas y con el
+ * emulador de Firestore. Las URLs son data URLs de la foto
+ * Falla en un build de producción y fuera del emulador: las fotos no se
+ * guardarían en ningún lado y los documentos reales apuntarían a ellas
+ * @returns {Object} Adaptador con `archivos` (Map path → { blob, metadata, url }) para inspeccionar
+ */
+export const createMemoryStorageAdapter = () => {
+    const env = import.meta.env || {};
+    if (env.PROD) {
+        throw new Error("El almacenamiento en memoria no se puede usar en producción (VITE_STORAGE_ADAPTER=memoria)");
+    }
+    if (env.MODE !== "test" && !env.VITE_FIRESTORE_EMULATOR_HOST) {
+        throw new Error("El almacenamiento en memoria solo se usa en pruebas o con el emulador de Firestore (VITE_FIRESTORE_EMULATOR_HOST)");
+    }
+
+    const archivos = new Map();
+
+    return {
+        nombre: "memoria",
+        archivos,
+        upload: async (path, blob, metadata = {}) => {
+            const url = await toDataUrl(blob);
+            archivos.set(path, { blob, metadata, url });
+            return url;
+        },
+        remove: async (path) => {
+            archivos.delete(path);
+        }
+    };
+};
+
+const createDefaultAdapter = () => import.meta.env?.VITE_STORAGE_ADAPTER === "memoria"
+    ? createMemoryStorageAdapter()
+    : createFirebaseStorageAdapter();
+
+let adapter = createDefaultAdapter();
+
+/**
+ * Reemplaza el adaptador de almacenamiento (ej: createMemoryStorageAdapter en pruebas)
+ * @param {Object} nuevoAdapter - { nombre, upload, remove }; sin valor vuelve al default
+ * @returns {Object} Adaptador anterior, para restaurarlo
+ */
+export const setStorageAdapter = (nuevoAdapter = null) => {
+    if (nuevoAdapter && (typeof nuevoAdapter.upload !== "function" || typeof nuevoAdapter.remove !== "function")) {
+        throw new Error("El adaptador de almacenamiento debe implementar upload y remove");
+    }
+
+    const anterior = adapter;
+    adapter = nuevoAdapter || createDefaultAdapter();
+    console.log("🔌 Adaptador de almacenamiento:", adapter.nombre || "personalizado");
+    return anterior;
+};
+
+/**
+ * Adaptador de almacenamiento en uso
+ * @returns {Object} Adaptador actual
+ */
+export const getStorageAdapter = () => adapter;
+
+// ============================================================================
+// 🖼️ FOTOS
+// ============================================================================
+
+/**
+ * Valida un archivo de foto antes de subirlo
+ * @param {File|Blob} file - Archivo elegido por el usuario
+ * @returns {Object} Resultado de validación {valid, errors}
+ */
+export const validateFoto = (file) => {
+    const errors = [];
+
+    if (!file) {
+        errors.push("No se eligió ninguna foto");
+    } else {
+        if (!FOTO_TIPOS.includes(file.type)) {
+            errors.push(`Formato no soportado: ${file.type || "desconocido"} (use JPG, PNG, WEBP o HEIC)`);
+        }
+        if (file.size > FOTO_MAX_BYTES) {
+            errors.push(`La foto supera el máximo de ${FOTO_MAX_BYTES / 1024 / 1024} MB`);
+        }
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+};
+
+/**
+ * Genera el ID de una foto nueva
+ * @returns {string} foto_{timestamp}_{aleatorio}
+ */
+export const generateFotoId = () => `foto_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Comprime, quita el EXIF y sube una foto con su miniatura
+ * @param {string} carpeta - Carpeta de destino (ej: viveros/{id}/incidencias/{id})
+ * @param {File|Blob} file - Foto elegida por el usuario
+ * @param {string} subidaPor - Email del usuario
+ * @returns {Promise<Object>} Referencia que se guarda en el documento
+ *   { id, path, url, thumbPath, thumbUrl, nombre, contentType, size, width, height, subidaAt, subidaPor }
+ */
+export const uploadFoto = async (carpeta, file, subidaPor = null) => {
+    try {
+        const validation = validateFoto(file);
+        if (!validation.valid) {
+            throw new Error(validation.errors.join(". "));
+        }
+
+        const { foto, thumb, width, height } = await compressFoto(file);
+
+        const id = generateFotoId();
+        const extension = EXTENSIONES[foto.type];
+        const path = `${carpeta}/${id}.${extension}`;
+        const thumbPath = thumb ? `${carpeta}/${id}_thumb.${extension}` : null;
+        const metadata = { contentType: foto.type };
+
+        console.log("🖼️ Subiendo foto:", path);
+
+        const url = await adapter.upload(path, foto, metadata);
+        let thumbUrl = null;
+        if (thumb) {
+            try {
+                thumbUrl = await adapter.upload(thumbPath, thumb, metadata);
+            } catch (error) {
+                await adapter.remove(path);
+                throw error;
+            }
+        }
+
+        console.log("✅ Foto subida:", id);
+        return {
+            id,
+            path,
+            url,
+            thumbPath,
+            thumbUrl,
+            nombre: file.name || `${id}.${extension}`,
+            contentType: foto.type,
+            size: foto.size,
+            width,
+            height,
+            subidaAt: new Date(),
+            subidaPor
+        };
+
+    } catch (error) {
+        console.error("❌ Error subiendo foto:", error.message);
+        throw new Error(`Error al subir foto: ${error.message}`);
+    }
+};
+
+/**
+ * Elimina una foto y su miniatura del almacenamiento (si ya no existen no es un error)
+ * @param {Object|string} foto - Referencia guardada en el documento (o su path)
+ * @returns {Promise<void>}
+ */
+export const deleteFoto = async (foto) => {
+    const paths = typeof foto === "string" ? [foto] : [foto?.path, foto?.thumbPath];
+
+    try {
+        for (const path of paths.filter(Boolean)) {
+            await adapter.remove(path);
+            console.log("🗑️ Foto eliminada:", path);
+        }
+    } catch (error) {
+        console.error("❌ Error eliminando foto:", error.message);
+        throw new Error(`Error al eliminar foto: ${error.message}`);
+    }
+};
+
+export default {
+    FOTO_TIPOS,
+    FOTO_MAX_BYTES,
+    createFirebaseStorageAdapter,
+    createMemoryStorageAdapter,
+    setStorageAdapter,
+    getStorageAdapter,
+    validateFoto,
+    generateFotoId,
+    uploadFoto,
+    deleteFoto
+};
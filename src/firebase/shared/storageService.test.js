@@ -0,0 +1,90 @@
+// src/firebase/shared/storageService.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import {
+    createMemoryStorageAdapter,
+    setStorageAdapter,
+    uploadFoto,
+    deleteFoto,
+    validateFoto
+} from "./storageService.js";
+
+vi.mock("../config.js", () => ({ storage: {} }));
+
+// La compresión se prueba en imageService.test.js: aquí la foto pasa tal cual
+vi.mock("./imageService.js", () => ({
+    compressFoto: vi.fn(async (file) => ({
+        foto: new Blob([await file.arrayBuffer()], { type: "image/jpeg" }),
+        thumb: new Blob([new Uint8Array([1, 2, 3])], { type: "image/jpeg" }),
+        width: 1600,
+        height: 1200,
+        comprimida: true
+    }))
+}));
+
+const dataUrlBytes = (url) => [...atob(url.split(",")[1])].map(char => char.charCodeAt(0));
+
+describe("adaptador en memoria", () => {
+    let memoria;
+    let anterior;
+
+    beforeEach(() => {
+        vi.spyOn(console, "log").mockImplementation(() => {});
+        vi.spyOn(console, "error").mockImplementation(() => {});
+        memoria = createMemoryStorageAdapter();
+        anterior = setStorageAdapter(memoria);
+    });
+
+    afterEach(() => {
+        setStorageAdapter(anterior);
+        vi.restoreAllMocks();
+    });
+
+    it("devuelve data URLs, que siguen sirviendo después de recargar", async () => {
+        const file = new File([new Uint8Array([0xFF, 0xD8, 0x10, 0x20])], "cama.jpg", { type: "image/jpeg" });
+
+        const foto = await uploadFoto("viveros/v1/camas/A1", file, "a@x.com");
+
+        expect(foto.url).toMatch(/^data:image\/jpeg;base64,/);
+        expect(dataUrlBytes(foto.url)).toEqual([0xFF, 0xD8, 0x10, 0x20]);
+        expect(dataUrlBytes(foto.thumbUrl)).toEqual([1, 2, 3]);
+        expect(foto).toMatchObject({ nombre: "cama.jpg", contentType: "image/jpeg", width: 1600, subidaPor: "a@x.com" });
+        expect([...memoria.archivos.keys()]).toEqual([foto.path, foto.thumbPath]);
+    });
+
+    it("deleteFoto quita la foto y su miniatura", async () => {
+        const file = new File([new Uint8Array([0xFF, 0xD8])], "corte.jpg", { type: "image/jpeg" });
+        const foto = await uploadFoto("viveros/v1/camas/A1/cortes/c1", file);
+
+        await deleteFoto(foto);
+
+        expect(memoria.archivos.size).toBe(0);
+    });
+
+    it("no sube archivos que no son imágenes", async () => {
+        const file = new File(["hola"], "notas.txt", { type: "text/plain" });
+
+        expect(validateFoto(file).valid).toBe(false);
+        await expect(uploadFoto("viveros/v1", file)).rejects.toThrow(/Formato no soportado/);
+        expect(memoria.archivos.size).toBe(0);
+    });
+});
+
+describe("restricciones del adaptador en memoria", () => {
+    afterEach(() => {
+        vi.unstubAllEnvs();
+    });
+
+    it("falla en un build de producción", () => {
+        vi.stubEnv("PROD", true);
+
+        expect(() => createMemoryStorageAdapter()).toThrow(/producción/);
+    });
+
+    it("fuera de pruebas solo se permite con el emulador de Firestore", () => {
+        vi.stubEnv("MODE", "development");
+        expect(() => createMemoryStorageAdapter()).toThrow(/emulador/);
+
+        vi.stubEnv("VITE_FIRESTORE_EMULATOR_HOST", "localhost:8080");
+        expect(createMemoryStorageAdapter().nombre).toBe("memoria");
+    });
+});
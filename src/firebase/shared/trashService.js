@@ -0,0 +1,519 @@
+// src/firebase/shared/trashService.js
+import {
+    doc,
+    getDoc,
+    collection,
+    collectionGroup,
+    getDocs,
+    query,
+    where,
+    serverTimestamp,
+    deleteField,
+    writeBatch
+} from "firebase/firestore";
+import { db } from "../config.js";
+import { addAuditToBatch, AUDIT_ENTIDADES, AUDIT_ACCIONES } from "./auditService.js";
+import { createWriteQueue, commitWriteQueue } from "./batchService.js";
+import { addCamaAggregatesToBatch } from "./aggregateService.js";
+import { deleteFoto } from "./storageService.js";
+
+/**
+ * ============================================================================
+ * 🗑️ TRASH SERVICE - Papelera de Viveros y Camas
+ * ============================================================================
+ * Responsabilidad: Borrado lógico, restauración y purga definitiva
+ * - deleteVivero / deleteCama solo marcan el documento como eliminado;
+ *   camas, cortes, aplicaciones e incidencias se conservan intactos debajo
+ * - Restaurar quita la marca y el subárbol completo vuelve a ser visible
+ * - Purgar elimina definitivamente el subárbol en lotes (cada documento
+ *   queda guardado en el historial de cambios); las fotos se borran del
+ *   almacenamiento al terminar
+ * - purgeExpiredTrash purga lo que supera el período de retención; se puede
+ *   ejecutar desde el panel de administración o desde una tarea programada
+ *
+ * Campos de la marca en el documento:
+ * - eliminado: true
+ * - eliminadoAt: fecha de envío a la papelera
+ * - eliminadoBy: email del usuario que eliminó
+ * ============================================================================
+ */
+
+// Días que un elemento permanece en la papelera antes de poder purgarse automáticamente
+export const TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Indica si un documento está en la papelera
+ * @param {Object} data - Datos del documento
+ * @returns {boolean}
+ */
+export const isTrashed = (data) => data?.eliminado === true;
+
+/**
+ * Campos que envían un documento a la papelera
+ * @param {string} deletedBy - Email del usuario que elimina
+ * @returns {Object} Campos para updateDoc
+ */
+export const buildTrashFields = (deletedBy) => ({
+    eliminado: true,
+    eliminadoAt: serverTimestamp(),
+    eliminadoBy: deletedBy || null
+});
+
+/**
+ * Calcula la fecha en la que un elemento de la papelera vence
+ * @param {Object} data - Documento en la papelera
+ * @param {number} retentionDays - Días de retención
+ * @returns {Date|null}
+ */
+export const getTrashExpiration = (data, retentionDays = TRASH_RETENTION_DAYS) => {
+    const eliminadoAt = data?.eliminadoAt?.toDate?.();
+    if (!eliminadoAt) return null;
+
+    return new Date(eliminadoAt.getTime() + retentionDays * 24 * 60 * 60 * 1000);
+};
+
+// Campos que se quitan al restaurar
+const RESTORE_FIELDS = {
+    eliminado: deleteField(),
+    eliminadoAt: deleteField(),
+    eliminadoBy: deleteField()
+};
+
+// Viveros eliminados y camas eliminadas de cualquier vivero (grupo de colecciones)
+const getTrashedSnapshots = () => Promise.all([
+    getDocs(query(collection(db, "viveros"), where("eliminado", "==", true))),
+    getDocs(query(collectionGroup(db, "camas"), where("eliminado", "==", true)))
+]);
+
+/**
+ * Obtiene las claves de lo que está en la papelera
+ * Permite descartar en cliente los resultados de consultas de grupo de
+ * colecciones; cuesta tantas lecturas como elementos haya en la papelera
+ * @returns {Promise<Object>} { viveros: Set<viveroId>, camas: Set<"viveroId/camaId"> }
+ */
+export const getTrashedKeys = async () => {
+    const [viverosSnapshot, camasSnapshot] = await getTrashedSnapshots();
+
+    return {
+        viveros: new Set(viverosSnapshot.docs.map(viveroDoc => viveroDoc.id)),
+        camas: new Set(camasSnapshot.docs.map(camaDoc => `${camaDoc.ref.parent.parent.id}/${camaDoc.id}`))
+    };
+};
+
+/**
+ * Obtiene los elementos de la papelera
+ * Las camas eliminadas dentro de un vivero también eliminado se muestran
+ * solo como parte de ese vivero
+ * @returns {Promise<Object>} { viveros, camas }
+ */
+export const getTrash = async () => {
+    try {
+        console.log("🗑️ Obteniendo papelera...");
+
+        const [viverosSnapshot, camasSnapshot] = await getTrashedSnapshots();
+
+        const viveros = viverosSnapshot.docs.map((viveroDoc) => {
+            const viveroData = { id: viveroDoc.id, ...viveroDoc.data() };
+            return { ...viveroData, expiraEn: getTrashExpiration(viveroData) };
+        });
+        const viverosEliminados = new Set(viveros.map(vivero => vivero.id));
+
+        const camasSueltas = camasSnapshot.docs
+            .filter(camaDoc => !viverosEliminados.has(camaDoc.ref.parent.parent.id));
+
+        // Nombre del vivero de cada cama: una lectura por vivero distinto
+        const viveroIds = [...new Set(camasSueltas.map(camaDoc => camaDoc.ref.parent.parent.id))];
+        const viveroDocs = await Promise.all(viveroIds.map(viveroId => getDoc(doc(db, "viveros", viveroId))));
+        const viveroNombres = new Map(viveroDocs.map(viveroDoc => [viveroDoc.id, viveroDoc.data()?.nombre]));
+
+        const camas = camasSueltas.map((camaDoc) => {
+            const camaData = camaDoc.data();
+            const viveroId = camaDoc.ref.parent.parent.id;
+            return {
+                id: camaDoc.id,
+                viveroId,
+                viveroNombre: viveroNombres.get(viveroId),
+                ...camaData,
+                expiraEn: getTrashExpiration(camaData)
+            };
+        });
+
+        console.log(`✅ Papelera: ${viveros.length} viveros, ${camas.length} camas`);
+        return { viveros, camas };
+
+    } catch (error) {
+        console.error("❌ Error obteniendo papelera:", error.message);
+        throw new Error(`Error al obtener papelera: ${error.message}`);
+    }
+};
+
+/**
+ * Restaura un vivero de la papelera junto con todas sus camas y cortes
+ * @param {string} viveroId - ID del vivero
+ * @param {string} restoredBy - Email del usuario que restaura
+ * @returns {Promise<void>}
+ */
+export const restoreVivero = async (viveroId, restoredBy) => {
+    try {
+        const viveroRef = doc(db, "viveros", viveroId);
+        const viveroDoc = await getDoc(viveroRef);
+
+        if (!viveroDoc.exists() || !isTrashed(viveroDoc.data())) {
+            throw new Error(`El vivero ${viveroId} no está en la papelera`);
+        }
+
+        console.log("♻️ Restaurando vivero:", viveroId);
+
+        const batch = writeBatch(db);
+        batch.update(viveroRef, {
+            ...RESTORE_FIELDS,
+            updatedAt: serverTimestamp(),
+            updatedBy: restoredBy
+        });
+        addAuditToBatch(batch, {
+            entidad: AUDIT_ENTIDADES.VIVERO,
+            accion: AUDIT_ACCIONES.RESTAURAR,
+            viveroId,
+            despues: viveroDoc.data(),
+            actor: restoredBy
+        });
+        await batch.commit();
+
+        console.log("✅ Vivero restaurado exitosamente");
+
+    } catch (error) {
+        console.error("❌ Error restaurando vivero:", error.message);
+        throw new Error(`Error al restaurar vivero: ${error.message}`);
+    }
+};
+
+/**
+ * Restaura una cama de la papelera junto con sus cortes
+ * @param {string} viveroId - ID del vivero
+ * @param {string} camaId - ID de la cama
+ * @param {string} restoredBy - Email del usuario que restaura
+ * @returns {Promise<void>}
+ */
+export const restoreCama = async (viveroId, camaId, restoredBy) => {
+    try {
+        const viveroDoc = await getDoc(doc(db, "viveros", viveroId));
+        if (!viveroDoc.exists()) {
+            throw new Error(`Vivero no encontrado: ${viveroId}`);
+        }
+        if (isTrashed(viveroDoc.data())) {
+            throw new Error("El vivero está en la papelera, restáuralo primero");
+        }
+
+        const camaRef = doc(db, "viveros", viveroId, "camas", camaId);
+        const camaDoc = await getDoc(camaRef);
+
+        if (!camaDoc.exists() || !isTrashed(camaDoc.data())) {
+            throw new Error(`La cama ${camaId} no está en la papelera`);
+        }
+
+        console.log("♻️ Restaurando cama:", camaId, "en vivero:", viveroId);
+
+        const batch = writeBatch(db);
+        batch.update(camaRef, {
+            ...RESTORE_FIELDS,
+            updatedAt: serverTimestamp(),
+            updatedBy: restoredBy
+        });
+        addAuditToBatch(batch, {
+            entidad: AUDIT_ENTIDADES.CAMA,
+            accion: AUDIT_ACCIONES.RESTAURAR,
+            viveroId,
+            camaId,
+            despues: camaDoc.data(),
+            actor: restoredBy
+        });
+        // Sus plantas y cortes vuelven a contar para el vivero (también su último corte)
+        addCamaAggregatesToBatch(batch, viveroId, null, camaDoc.data(), { viveroData: viveroDoc.data() });
+        await batch.commit();
+
+        console.log("✅ Cama restaurada exitosamente");
+
+    } catch (error) {
+        console.error("❌ Error restaurando cama:", error.message);
+        throw new Error(`Error al restaurar cama: ${error.message}`);
+    }
+};
+
+/**
+ * Agrega a la cola la eliminación definitiva de las aplicaciones de una cama
+ * (o del vivero, sin camaId)
+ */
+const queueAplicacionesPurge = async (queue, viveroId, camaId, purgedBy) => {
+    const aplicacionesRef = camaId
+        ? collection(db, "viveros", viveroId, "camas", camaId, "aplicaciones")
+        : collection(db, "viveros", viveroId, "aplicaciones");
+    const aplicacionesSnapshot = await getDocs(aplicacionesRef);
+
+    aplicacionesSnapshot.forEach((aplicacionDoc) => {
+        queue.group((q) => {
+            q.delete(aplicacionDoc.ref);
+            addAuditToBatch(q, {
+                entidad: AUDIT_ENTIDADES.APLICACION,
+                accion: AUDIT_ACCIONES.PURGAR,
+                viveroId,
+                camaId,
+                aplicacionId: aplicacionDoc.id,
+                antes: aplicacionDoc.data(),
+                actor: purgedBy
+            });
+        });
+    });
+};
+
+/**
+ * Agrega a la cola la eliminación definitiva de las incidencias de un vivero
+ * @returns {Promise<Array<Object>>} Sus fotos, para borrarlas tras la purga
+ */
+const queueIncidenciasPurge = async (queue, viveroId, purgedBy) => {
+    const incidenciasSnapshot = await getDocs(collection(db, "viveros", viveroId, "incidencias"));
+    const fotos = [];
+
+    incidenciasSnapshot.forEach((incidenciaDoc) => {
+        fotos.push(...(incidenciaDoc.data().fotos || []));
+        queue.group((q) => {
+            q.delete(incidenciaDoc.ref);
+            addAuditToBatch(q, {
+                entidad: AUDIT_ENTIDADES.INCIDENCIA,
+                accion: AUDIT_ACCIONES.PURGAR,
+                viveroId,
+                incidenciaId: incidenciaDoc.id,
+                antes: incidenciaDoc.data(),
+                actor: purgedBy
+            });
+        });
+    });
+
+    return fotos;
+};
+
+/**
+ * Agrega a la cola la eliminación definitiva de una cama, sus cortes y sus aplicaciones
+ * Los cortes y aplicaciones van primero: si la purga se interrumpe, la cama
+ * sigue en la papelera y volver a purgarla continúa con lo que quedó pendiente
+ * @returns {Promise<Array<Object>>} Fotos de la cama y de sus cortes, para borrarlas tras la purga
+ */
+const queueCamaPurge = async (queue, viveroId, camaDoc, purgedBy) => {
+    const camaId = camaDoc.id;
+    const fotos = [...(camaDoc.data().fotos || [])];
+    await queueAplicacionesPurge(queue, viveroId, camaId, purgedBy);
+
+    const cortesRef = collection(db, "viveros", viveroId, "camas", camaId, "cortes_esquejes");
+    const cortesSnapshot = await getDocs(cortesRef);
+
+    cortesSnapshot.forEach((corteDoc) => {
+        fotos.push(...(corteDoc.data().fotos || []));
+        queue.group((q) => {
+            q.delete(corteDoc.ref);
+            addAuditToBatch(q, {
+                entidad: AUDIT_ENTIDADES.CORTE,
+                accion: AUDIT_ACCIONES.PURGAR,
+                viveroId,
+                camaId,
+                corteId: corteDoc.id,
+                antes: corteDoc.data(),
+                actor: purgedBy
+            });
+        });
+    });
+
+    queue.group((q) => {
+        q.delete(camaDoc.ref);
+        addAuditToBatch(q, {
+            entidad: AUDIT_ENTIDADES.CAMA,
+            accion: AUDIT_ACCIONES.PURGAR,
+            viveroId,
+            camaId,
+            antes: camaDoc.data(),
+            actor: purgedBy
+        });
+    });
+
+    return fotos;
+};
+
+/**
+ * Borra del almacenamiento las fotos de los documentos purgados
+ * Va después de escribir: un fallo aquí ya no deja documentos sin purgar.
+ * Solo borra archivos bajo viveros/{viveroId}/: un vivero clonado antes de
+ * que la clonación descartara las fotos comparte las del original
+ */
+const deleteFotosPurgadas = async (fotos, viveroId) => {
+    const prefijo = `viveros/${viveroId}/`;
+    const propia = (path) => (path?.startsWith(prefijo) ? path : null);
+    const propias = fotos
+        .map(foto => ({ ...foto, path: propia(foto.path), thumbPath: propia(foto.thumbPath) }))
+        .filter(foto => foto.path || foto.thumbPath);
+
+    const resultados = await Promise.allSettled(propias.map(deleteFoto));
+    const fallidas = resultados.filter(resultado => resultado.status === "rejected").length;
+    if (fallidas > 0) {
+        console.warn(`⚠️ ${fallidas} fotos no se pudieron eliminar del almacenamiento`);
+    }
+};
+
+/**
+ * Elimina definitivamente un vivero de la papelera con todas sus camas, cortes,
+ * aplicaciones e incidencias (y las fotos de estas)
+ * Se ejecuta en lotes; si falla a mitad, el vivero sigue en la papelera y
+ * volver a llamar a purgeVivero reanuda con los documentos restantes
+ * @param {string} viveroId - ID del vivero
+ * @param {string} purgedBy - Email del usuario que purga
+ * @param {Object} options - Opciones de ejecución
+ * @param {Function} options.onProgress - ({ completed, total, chunk, totalChunks }) => void
+ * @returns {Promise<Object>} Resultado de la escritura en lotes
+ */
+export const purgeVivero = async (viveroId, purgedBy, options = {}) => {
+    try {
+        const viveroRef = doc(db, "viveros", viveroId);
+        const viveroDoc = await getDoc(viveroRef);
+
+        if (!viveroDoc.exists() || !isTrashed(viveroDoc.data())) {
+            throw new Error(`El vivero ${viveroId} no está en la papelera`);
+        }
+
+        console.log("🔥 Purgando vivero:", viveroId);
+
+        const queue = createWriteQueue();
+
+        const fotos = [];
+
+        const camasSnapshot = await getDocs(collection(db, "viveros", viveroId, "camas"));
+        for (const camaDoc of camasSnapshot.docs) {
+            fotos.push(...await queueCamaPurge(queue, viveroId, camaDoc, purgedBy));
+        }
+        await queueAplicacionesPurge(queue, viveroId, null, purgedBy);
+        fotos.push(...await queueIncidenciasPurge(queue, viveroId, purgedBy));
+
+        // El vivero se elimina al final, cuando ya no quedan camas
+        queue.group((q) => {
+            q.delete(viveroRef);
+            addAuditToBatch(q, {
+                entidad: AUDIT_ENTIDADES.VIVERO,
+                accion: AUDIT_ACCIONES.PURGAR,
+                viveroId,
+                antes: viveroDoc.data(),
+                actor: purgedBy
+            });
+        });
+
+        const result = await commitWriteQueue(queue, { onProgress: options.onProgress });
+        await deleteFotosPurgadas(fotos, viveroId);
+
+        console.log("✅ Vivero purgado definitivamente");
+        return result;
+
+    } catch (error) {
+        console.error("❌ Error purgando vivero:", error.message);
+        throw new Error(`Error al purgar vivero: ${error.message}`);
+    }
+};
+
+/**
+ * Elimina definitivamente una cama de la papelera con todos sus cortes, aplicaciones y fotos
+ * Se ejecuta en lotes; volver a llamarla tras un fallo reanuda la purga
+ * @param {string} viveroId - ID del vivero
+ * @param {string} camaId - ID de la cama
+ * @param {string} purgedBy - Email del usuario que purga
+ * @param {Object} options - Opciones de ejecución
+ * @param {Function} options.onProgress - ({ completed, total, chunk, totalChunks }) => void
+ * @returns {Promise<Object>} Resultado de la escritura en lotes
+ */
+export const purgeCama = async (viveroId, camaId, purgedBy, options = {}) => {
+    try {
+        const camaRef = doc(db, "viveros", viveroId, "camas", camaId);
+        const camaDoc = await getDoc(camaRef);
+
+        if (!camaDoc.exists() || !isTrashed(camaDoc.data())) {
+            throw new Error(`La cama ${camaId} no está en la papelera`);
+        }
+
+        console.log("🔥 Purgando cama:", camaId, "del vivero:", viveroId);
+
+        const queue = createWriteQueue();
+        const fotos = await queueCamaPurge(queue, viveroId, camaDoc, purgedBy);
+
+        const result = await commitWriteQueue(queue, { onProgress: options.onProgress });
+        await deleteFotosPurgadas(fotos, viveroId);
+
+        console.log("✅ Cama purgada definitivamente");
+        return result;
+
+    } catch (error) {
+        console.error("❌ Error purgando cama:", error.message);
+        throw new Error(`Error al purgar cama: ${error.message}`);
+    }
+};
+
+/**
+ * Purga los elementos de la papelera que superan el período de retención
+ * @param {string} purgedBy - Email del usuario (o proceso) que purga
+ * @param {number} retentionDays - Días de retención (default: TRASH_RETENTION_DAYS)
+ * @returns {Promise<Object>} Resultado de la purga
+ */
+export const purgeExpiredTrash = async (purgedBy, retentionDays = TRASH_RETENTION_DAYS) => {
+    try {
+        console.log(`🔥 Purgando elementos con más de ${retentionDays} días en la papelera...`);
+
+        const { viveros, camas } = await getTrash();
+        const now = new Date();
+        const isExpired = (item) => {
+            const expiraEn = getTrashExpiration(item, retentionDays);
+            return expiraEn !== null && expiraEn <= now;
+        };
+
+        let viverosPurgados = 0;
+        let camasPurgadas = 0;
+        const errors = [];
+
+        for (const vivero of viveros.filter(isExpired)) {
+            try {
+                await purgeVivero(vivero.id, purgedBy);
+                viverosPurgados++;
+            } catch (error) {
+                errors.push({ viveroId: vivero.id, error: error.message });
+            }
+        }
+
+        for (const cama of camas.filter(isExpired)) {
+            try {
+                await purgeCama(cama.viveroId, cama.id, purgedBy);
+                camasPurgadas++;
+            } catch (error) {
+                errors.push({ viveroId: cama.viveroId, camaId: cama.id, error: error.message });
+            }
+        }
+
+        const result = {
+            viverosPurgados,
+            camasPurgadas,
+            errors: errors.length,
+            errorDetails: errors
+        };
+
+        console.log(`✅ Purga completada: ${viverosPurgados} viveros, ${camasPurgadas} camas`);
+        return result;
+
+    } catch (error) {
+        console.error("❌ Error purgando papelera:", error.message);
+        throw error;
+    }
+};
+
+export default {
+    TRASH_RETENTION_DAYS,
+    isTrashed,
+    buildTrashFields,
+    getTrashExpiration,
+    getTrashedKeys,
+    getTrash,
+    restoreVivero,
+    restoreCama,
+    purgeVivero,
+    purgeCama,
+    purgeExpiredTrash
+};
@@ -0,0 +1,131 @@
+// src/firebase/shared/trashService.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { Timestamp } from "firebase/firestore";
+import { deleteFoto } from "./storageService.js";
+import { purgeCama, purgeVivero, restoreCama } from "./trashService.js";
+
+const { store } = vi.hoisted(() => ({ store: new Map() }));
+
+vi.mock("firebase/firestore", async (importOriginal) => {
+    const { createFirestoreMemoria } = await import("../../test/firestoreMemoria.js");
+    return createFirestoreMemoria(await importOriginal(), store);
+});
+
+vi.mock("../config.js", () => ({ db: {}, storage: {} }));
+
+vi.mock("./storageService.js", () => ({
+    deleteFoto: vi.fn(async () => {})
+}));
+
+const eliminado = new Timestamp(1700000000, 0);
+
+const foto = (path) => ({ id: path.split("/").pop(), path, thumbPath: path.replace(".jpg", "_thumb.jpg") });
+
+// vivero-sur es un clon antiguo: sus documentos todavía apuntan a las fotos de vivero-norte
+const seedClonConFotosCompartidas = () => {
+    store.set("viveros/vivero-sur", { id: "vivero-sur", nombre: "Vivero Sur", eliminado: true, eliminadoAt: eliminado });
+    store.set("viveros/vivero-sur/camas/A1", {
+        viveroId: "vivero-sur",
+        eliminado: true,
+        eliminadoAt: eliminado,
+        fotos: [
+            foto("viveros/vivero-norte/camas/A1/fotos/foto_1.jpg"),
+            foto("viveros/vivero-sur/camas/A1/fotos/foto_2.jpg")
+        ]
+    });
+    store.set("viveros/vivero-sur/camas/A1/cortes_esquejes/c1", {
+        viveroId: "vivero-sur",
+        camaId: "A1",
+        fotos: [foto("viveros/vivero-norte/camas/A1/cortes/c1/foto_3.jpg")]
+    });
+    store.set("viveros/vivero-sur/incidencias/inc_1", {
+        viveroId: "vivero-sur",
+        fotos: [foto("viveros/vivero-sur/incidencias/inc_1/foto_4.jpg")]
+    });
+};
+
+const pathsBorrados = () => deleteFoto.mock.calls.map(([borrada]) => borrada.path);
+
+beforeEach(() => {
+    store.clear();
+    seedClonConFotosCompartidas();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    vi.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+    vi.clearAllMocks();
+    vi.restoreAllMocks();
+});
+
+describe("purga de fotos", () => {
+    it("purgar una cama solo borra las fotos guardadas bajo su propio vivero", async () => {
+        await purgeCama("vivero-sur", "A1", "a@x.com");
+
+        expect(store.has("viveros/vivero-sur/camas/A1")).toBe(false);
+        expect(store.has("viveros/vivero-sur/camas/A1/cortes_esquejes/c1")).toBe(false);
+        expect(pathsBorrados()).toEqual(["viveros/vivero-sur/camas/A1/fotos/foto_2.jpg"]);
+        expect(deleteFoto.mock.calls[0][0].thumbPath).toBe("viveros/vivero-sur/camas/A1/fotos/foto_2_thumb.jpg");
+    });
+
+    it("purgar un vivero no toca las fotos de otro vivero", async () => {
+        await purgeVivero("vivero-sur", "a@x.com");
+
+        expect([...store.keys()].filter(path => path.startsWith("viveros/"))).toEqual([]);
+        expect(pathsBorrados()).toEqual([
+            "viveros/vivero-sur/camas/A1/fotos/foto_2.jpg",
+            "viveros/vivero-sur/incidencias/inc_1/foto_4.jpg"
+        ]);
+    });
+
+    it("no confunde un vivero con otro cuyo ID empieza igual", async () => {
+        store.set("viveros/vivero-sur/camas/A1", {
+            ...store.get("viveros/vivero-sur/camas/A1"),
+            fotos: [foto("viveros/vivero-sur-2/camas/A1/fotos/foto_5.jpg")]
+        });
+
+        await purgeCama("vivero-sur", "A1", "a@x.com");
+
+        expect(deleteFoto).not.toHaveBeenCalled();
+    });
+});
+
+describe("restaurar una cama", () => {
+    const corteReciente = new Timestamp(1702000000, 0);
+    const corteAnterior = new Timestamp(1701000000, 0);
+
+    beforeEach(() => {
+        store.set("viveros/v1", { id: "v1", estadisticas: { totalCamas: 1, totalCortes: 1, ultimoCorte: corteAnterior } });
+        store.set("viveros/v1/camas/A1", { viveroId: "v1", estadisticas: { totalCortes: 1, ultimoCorte: corteAnterior } });
+    });
+
+    it("su último corte vuelve a ser el del vivero si es más reciente", async () => {
+        store.set("viveros/v1/camas/A2", {
+            viveroId: "v1",
+            eliminado: true,
+            eliminadoAt: eliminado,
+            estadisticas: { totalCortes: 3, ultimoCorte: corteReciente }
+        });
+
+        await restoreCama("v1", "A2", "a@x.com");
+
+        const { estadisticas } = store.get("viveros/v1");
+        expect(estadisticas.ultimoCorte.isEqual(corteReciente)).toBe(true);
+        expect(estadisticas).toMatchObject({ totalCamas: 2, totalCortes: 4 });
+        expect(store.get("viveros/v1/camas/A2").eliminado).toBeUndefined();
+    });
+
+    it("un último corte más antiguo no reemplaza el del vivero", async () => {
+        store.set("viveros/v1/camas/A2", {
+            viveroId: "v1",
+            eliminado: true,
+            eliminadoAt: eliminado,
+            estadisticas: { totalCortes: 1, ultimoCorte: new Timestamp(1600000000, 0) }
+        });
+
+        await restoreCama("v1", "A2", "a@x.com");
+
+        expect(store.get("viveros/v1").estadisticas.ultimoCorte.isEqual(corteAnterior)).toBe(true);
+    });
+});
@@ -8,9 +8,12 @@ import {
     updateDoc,
     serverTimestamp,
     query,
-    orderBy
+    orderBy,
+    limit,
+    addDoc
 } from "firebase/firestore";
 import { db } from "./config.js";
+import { ROLES, isValidRole, getRoleLabel } from "./roleService.js";
 
 /**
  * Crea o actualiza un usuario en Firestore
@@ -42,6 +45,9 @@ export const createOrUpdateUser = async (userData) => {
                 email,
                 name,
                 isAdmin: false, // Por defecto no es admin
+                rol: ROLES.LECTOR, // Rol global por defecto: solo lectura
+                rolesPorVivero: {},
+                activo: true,
                 createdAt: serverTimestamp(),
                 lastLogin: serverTimestamp()
             });
@@ -73,6 +79,9 @@ export const getUserData = async (uid) => {
             // Retornar datos por defecto si no existe
             return {
                 isAdmin: false,
+                rol: ROLES.LECTOR,
+                rolesPorVivero: {},
+                activo: true,
                 createdAt: null,
                 lastLogin: null
             };
@@ -109,4 +118,144 @@ export const getAllUsers = async () => {
         console.error("❌ Error obteniendo usuarios:", error.message);
         throw new Error(`Error al obtener usuarios: ${error.message}`);
     }
-};
\ No newline at end of file
+};
+/**
+ * Actualiza rol global, roles por vivero y estado de un usuario
+ * Cada cambio queda registrado en users/{uid}/historial_permisos
+ * @param {string} uid - ID del usuario a modificar
+ * @param {Object} changes - Cambios a aplicar
+ * @param {string} changes.rol - Rol global
+ * @param {Object} changes.rolesPorVivero - { [viveroId]: rol } (reemplaza el mapa completo)
+ * @param {boolean} changes.activo - Estado de la cuenta
+ * @param {string} updatedBy - Email del administrador que realiza el cambio
+ * @returns {Promise<Array>} Lista de cambios registrados
+ */
+export const updateUserPermissions = async (uid, changes, updatedBy) => {
+    try {
+        if (!uid) {
+            throw new Error("uid es requerido");
+        }
+
+        const userRef = doc(db, "users", uid);
+        const userDoc = await getDoc(userRef);
+
+        if (!userDoc.exists()) {
+            throw new Error(`Usuario no encontrado: ${uid}`);
+        }
+
+        const actual = userDoc.data();
+        const payload = {};
+        const cambios = [];
+
+        // Rol global
+        if (changes.rol !== undefined) {
+            if (!isValidRole(changes.rol)) {
+                throw new Error(`Rol no válido: ${changes.rol}`);
+            }
+
+            const rolActual = actual.isAdmin ? ROLES.PROPIETARIO : (actual.rol || ROLES.LECTOR);
+            if (changes.rol !== rolActual) {
+                payload.rol = changes.rol;
+                payload.isAdmin = changes.rol === ROLES.PROPIETARIO; // Compatibilidad
+                cambios.push({
+                    accion: "rol_global",
+                    detalle: `${getRoleLabel(rolActual)} → ${getRoleLabel(changes.rol)}`
+                });
+            }
+        }
+
+        // Roles por vivero
+        if (changes.rolesPorVivero !== undefined) {
+            const anteriores = actual.rolesPorVivero || {};
+            const nuevos = changes.rolesPorVivero || {};
+
+            Object.entries(nuevos).forEach(([viveroId, rol]) => {
+                if (!isValidRole(rol)) {
+                    throw new Error(`Rol no válido para ${viveroId}: ${rol}`);
+                }
+                if (anteriores[viveroId] !== rol) {
+                    cambios.push({
+                        accion: anteriores[viveroId] ? "rol_vivero" : "asignar_vivero",
+                        detalle: anteriores[viveroId]
+                            ? `${viveroId}: ${getRoleLabel(anteriores[viveroId])} → ${getRoleLabel(rol)}`
+                            : `${viveroId}: ${getRoleLabel(rol)}`
+                    });
+                }
+            });
+
+            Object.keys(anteriores)
+                .filter(viveroId => !(viveroId in nuevos))
+                .forEach(viveroId => {
+                    cambios.push({ accion: "quitar_vivero", detalle: viveroId });
+                });
+
+            payload.rolesPorVivero = nuevos;
+        }
+
+        // Estado de la cuenta
+        if (changes.activo !== undefined && changes.activo !== (actual.activo !== false)) {
+            payload.activo = changes.activo;
+            cambios.push({
+                accion: changes.activo ? "reactivar" : "desactivar",
+                detalle: changes.activo ? "Cuenta reactivada" : "Cuenta desactivada"
+            });
+        }
+
+        if (cambios.length === 0) {
+            console.log("ℹ️ Sin cambios de permisos para:", actual.email);
+            return [];
+        }
+
+        console.log("🔐 Actualizando permisos de usuario:", actual.email, "-", cambios.length, "cambios");
+
+        await updateDoc(userRef, {
+            ...payload,
+            updatedAt: serverTimestamp(),
+            updatedBy
+        });
+
+        // Registrar cada cambio en el historial del usuario
+        const historialRef = collection(db, "users", uid, "historial_permisos");
+        await Promise.all(cambios.map(cambio =>
+            addDoc(historialRef, {
+                ...cambio,
+                updatedAt: serverTimestamp(),
+                updatedBy
+            })
+        ));
+
+        console.log("✅ Permisos actualizados correctamente");
+        return cambios;
+
+    } catch (error) {
+        console.error("❌ Error actualizando permisos:", error.message);
+        throw new Error(`Error al actualizar permisos: ${error.message}`);
+    }
+};
+
+/**
+ * Obtiene el historial de cambios de permisos de un usuario
+ * @param {string} uid - ID del usuario
+ * @param {number} maxItems - Cantidad máxima de registros
+ * @returns {Promise<Array>} Cambios ordenados del más reciente al más antiguo
+ */
+export const getUserPermissionHistory = async (uid, maxItems = 20) => {
+    try {
+        const historialRef = collection(db, "users", uid, "historial_permisos");
+        const q = query(historialRef, orderBy("updatedAt", "desc"), limit(maxItems));
+        const querySnapshot = await getDocs(q);
+
+        const historial = [];
+        querySnapshot.forEach((doc) => {
+            historial.push({
+                id: doc.id,
+                ...doc.data()
+            });
+        });
+
+        return historial;
+    } catch (error) {
+        console.error("❌ Error obteniendo historial de permisos:", error.message);
+        throw new Error(`Error al obtener historial de permisos: ${error.message}`);
+    }
+};
@@ -0,0 +1,738 @@
+// src/firebase/viveros/incidenciasService.js
+import {
+    doc,
+    getDoc,
+    collection,
+    getDocs,
+    query,
+    where,
+    writeBatch,
+    runTransaction,
+    serverTimestamp,
+    arrayUnion,
+    Timestamp
+} from "firebase/firestore";
+import { db } from "../config.js";
+import { addAuditToBatch, AUDIT_ENTIDADES, AUDIT_ACCIONES } from "../shared/auditService.js";
+import { createAplicacion } from "../camas/aplicacionesService.js";
+import { uploadFoto, deleteFoto } from "../shared/storageService.js";
+
+/**
+ * ============================================================================
+ * 🐛 INCIDENCIAS SERVICE - Plagas y enfermedades
+ * ============================================================================
+ * Responsabilidad: Registro estructurado de plagas y enfermedades de un vivero
+ * - Tipo, agente (ej: "Trips", "Oídio"), severidad y camas afectadas (una o varias)
+ * - Estado: abierta → tratada → resuelta (una tratada puede volver a abierta
+ *   si el tratamiento no funcionó)
+ * - Los tratamientos son aplicaciones (aplicacionesService) con incidenciaId,
+ *   una por cama afectada; el primero pasa la incidencia a "tratada"
+ * - Fotos en Storage (storageService), referenciadas desde la incidencia
+ * - Panel del vivero: incidencias activas y recurrencia por cama y agente
+ *
+ * Colección: viveros/{viveroId}/incidencias/{incidenciaId}
+ * {
+ *   id, tipo, agente, severidad, camaIds: [], descripcion, estado,
+ *   fechaDeteccion, fechaTratamiento, fechaResolucion,
+ *   tratamientos: [{ aplicacionIds: [{ camaId, aplicacionId }], tipo, producto, fecha, registradoPor }],
+ *   fotos: [{ id, path, url, nombre, ... }],
+ *   historialEstados: [{ estado, anterior, desde, actor, nota }],
+ *   createdAt, createdBy, updatedAt, updatedBy
+ * }
+ * ============================================================================
+ */
+
+export const INCIDENCIA_TIPOS = {
+    PLAGA: "plaga",
+    ENFERMEDAD: "enfermedad"
+};
+
+export const INCIDENCIA_TIPOS_INFO = {
+    [INCIDENCIA_TIPOS.PLAGA]: { label: "Plaga" },
+    [INCIDENCIA_TIPOS.ENFERMEDAD]: { label: "Enfermedad" }
+};
+
+export const INCIDENCIA_SEVERIDADES = {
+    BAJA: "baja",
+    MEDIA: "media",
+    ALTA: "alta",
+    CRITICA: "critica"
+};
+
+export const INCIDENCIA_SEVERIDADES_INFO = {
+    [INCIDENCIA_SEVERIDADES.BAJA]: { label: "Baja", color: "default", orden: 1 },
+    [INCIDENCIA_SEVERIDADES.MEDIA]: { label: "Media", color: "info", orden: 2 },
+    [INCIDENCIA_SEVERIDADES.ALTA]: { label: "Alta", color: "warning", orden: 3 },
+    [INCIDENCIA_SEVERIDADES.CRITICA]: { label: "Crítica", color: "error", orden: 4 }
+};
+
+export const INCIDENCIA_ESTADOS = {
+    ABIERTA: "abierta",
+    TRATADA: "tratada",
+    RESUELTA: "resuelta"
+};
+
+export const INCIDENCIA_ESTADOS_INFO = {
+    [INCIDENCIA_ESTADOS.ABIERTA]: { label: "Abierta", color: "error" },
+    [INCIDENCIA_ESTADOS.TRATADA]: { label: "Tratada", color: "warning" },
+    [INCIDENCIA_ESTADOS.RESUELTA]: { label: "Resuelta", color: "success" }
+};
+
+// Estados a los que se puede pasar desde cada estado
+export const INCIDENCIA_TRANSICIONES = {
+    [INCIDENCIA_ESTADOS.ABIERTA]: [INCIDENCIA_ESTADOS.TRATADA],
+    [INCIDENCIA_ESTADOS.TRATADA]: [INCIDENCIA_ESTADOS.RESUELTA, INCIDENCIA_ESTADOS.ABIERTA],
+    [INCIDENCIA_ESTADOS.RESUELTA]: []
+};
+
+// ============================================================================
+// 🔧 HELPERS
+// ============================================================================
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const getIncidenciasRef = (viveroId) => collection(db, "viveros", viveroId, "incidencias");
+
+const toDate = (fecha) => {
+    if (!fecha) return null;
+    return typeof fecha.toDate === "function" ? fecha.toDate() : new Date(fecha);
+};
+
+const toTimestamp = (fecha) => fecha instanceof Timestamp ? fecha : Timestamp.fromDate(new Date(fecha));
+
+// Clave para agrupar el mismo agente escrito de distintas formas
+const getAgenteKey = (agente) => (agente || "").trim().toLowerCase();
+
+const buildEntradaEstado = (estado, anterior, actor, nota = null) => ({
+    estado,
+    anterior,
+    desde: Timestamp.now(),
+    actor: actor || null,
+    nota: nota || null
+});
+
+/**
+ * Indica si una incidencia sigue activa (abierta o tratada sin resolver)
+ * @param {Object} incidencia - Incidencia
+ */
+export const isIncidenciaActiva = (incidencia) => incidencia?.estado !== INCIDENCIA_ESTADOS.RESUELTA;
+
+/**
+ * Valida datos de una incidencia antes de crearla o actualizarla
+ * @param {Object} incidenciaData - Datos de la incidencia
+ * @returns {Object} Resultado de validación {valid, errors}
+ */
+export const validateIncidenciaData = (incidenciaData) => {
+    const errors = [];
+
+    if (!incidenciaData || typeof incidenciaData !== "object") {
+        errors.push("Datos de la incidencia requeridos");
+        return { valid: false, errors };
+    }
+
+    const { tipo, agente, severidad, camaIds, fechaDeteccion } = incidenciaData;
+
+    if (!Object.values(INCIDENCIA_TIPOS).includes(tipo)) {
+        errors.push(`Tipo de incidencia no válido: ${tipo || "(vacío)"}`);
+    }
+
+    if (!agente?.trim()) {
+        errors.push("Indique la plaga o enfermedad");
+    }
+
+    if (!Object.values(INCIDENCIA_SEVERIDADES).includes(severidad)) {
+        errors.push(`Severidad no válida: ${severidad || "(vacía)"}`);
+    }
+
+    if (!Array.isArray(camaIds) || camaIds.length === 0) {
+        errors.push("Seleccione al menos una cama afectada");
+    }
+
+    if (fechaDeteccion) {
+        const fecha = toDate(fechaDeteccion);
+        if (isNaN(fecha.getTime())) {
+            errors.push("Fecha de detección no es válida");
+        } else if (fecha > new Date()) {
+            errors.push("La fecha de detección no puede ser futura");
+        }
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+};
+
+// Comprueba que las camas existen en el vivero
+const assertCamasExisten = async (viveroId, camaIds) => {
+    const camasSnapshot = await getDocs(collection(db, "viveros", viveroId, "camas"));
+    const existentes = new Set(camasSnapshot.docs.map(camaDoc => camaDoc.id));
+    const faltantes = camaIds.filter(camaId => !existentes.has(camaId));
+
+    if (faltantes.length > 0) {
+        throw new Error(`Camas no encontradas en el vivero: ${faltantes.join(", ")}`);
+    }
+};
+
+// ============================================================================
+// 🐛 OPERACIONES
+// ============================================================================
+
+/**
+ * Registra una incidencia de plaga o enfermedad
+ * @param {string} viveroId - ID del vivero
+ * @param {Object} incidenciaData - Datos de la incidencia
+ * @param {string} incidenciaData.tipo - Tipo de INCIDENCIA_TIPOS
+ * @param {string} incidenciaData.agente - Plaga o enfermedad
+ * @param {string} incidenciaData.severidad - Severidad de INCIDENCIA_SEVERIDADES
+ * @param {Array<string>} incidenciaData.camaIds - Camas afectadas
+ * @param {Date} incidenciaData.fechaDeteccion - Fecha de detección (default: ahora)
+ * @param {string} incidenciaData.descripcion - Descripción
+ * @param {string} createdBy - Email del usuario que reporta
+ * @returns {Promise<string>} ID de la incidencia creada
+ */
+export const createIncidencia = async (viveroId, incidenciaData, createdBy) => {
+    try {
+        if (!viveroId) {
+            throw new Error("viveroId es requerido");
+        }
+
+        const validation = validateIncidenciaData(incidenciaData);
+        if (!validation.valid) {
+            throw new Error(validation.errors.join(". "));
+        }
+
+        const { tipo, agente, severidad, camaIds, fechaDeteccion, descripcion } = incidenciaData;
+        const camas = [...new Set(camaIds)];
+        await assertCamasExisten(viveroId, camas);
+
+        const incidenciaRef = doc(getIncidenciasRef(viveroId));
+        const incidenciaDocument = {
+            id: incidenciaRef.id,
+            tipo,
+            agente: agente.trim(),
+            severidad,
+            camaIds: camas,
+            descripcion: descripcion?.trim() || "",
+            estado: INCIDENCIA_ESTADOS.ABIERTA,
+            fechaDeteccion: fechaDeteccion ? toTimestamp(fechaDeteccion) : Timestamp.now(),
+            fechaTratamiento: null,
+            fechaResolucion: null,
+            tratamientos: [],
+            fotos: [],
+            historialEstados: [buildEntradaEstado(INCIDENCIA_ESTADOS.ABIERTA, null, createdBy)],
+            createdAt: serverTimestamp(),
+            createdBy
+        };
+
+        console.log("🐛 Registrando incidencia:", incidenciaRef.id, "-", agente, "en", camas.length, "camas");
+
+        const batch = writeBatch(db);
+        batch.set(incidenciaRef, incidenciaDocument);
+        addAuditToBatch(batch, {
+            entidad: AUDIT_ENTIDADES.INCIDENCIA,
+            accion: AUDIT_ACCIONES.CREAR,
+            viveroId,
+            incidenciaId: incidenciaRef.id,
+            despues: incidenciaDocument,
+            actor: createdBy
+        });
+        await batch.commit();
+
+        console.log("✅ Incidencia registrada exitosamente:", incidenciaRef.id);
+        return incidenciaRef.id;
+
+    } catch (error) {
+        console.error("❌ Error registrando incidencia:", error.message);
+        throw new Error(`Error al registrar incidencia: ${error.message}`);
+    }
+};
+
+/**
+ * Obtiene una incidencia
+ * @param {string} viveroId - ID del vivero
+ * @param {string} incidenciaId - ID de la incidencia
+ * @returns {Promise<Object|null>} Incidencia o null si no existe
+ */
+export const getIncidencia = async (viveroId, incidenciaId) => {
+    try {
+        if (!viveroId || !incidenciaId) {
+            throw new Error("viveroId e incidenciaId son requeridos");
+        }
+
+        const incidenciaDoc = await getDoc(doc(getIncidenciasRef(viveroId), incidenciaId));
+        return incidenciaDoc.exists() ? { id: incidenciaDoc.id, ...incidenciaDoc.data() } : null;
+
+    } catch (error) {
+        console.error("❌ Error obteniendo incidencia:", error.message);
+        throw new Error(`Error al obtener incidencia: ${error.message}`);
+    }
+};
+
+/**
+ * Obtiene las incidencias de un vivero o de una de sus camas
+ * Solo filtra por cama en la consulta (sin índices compuestos); el estado
+ * se filtra en cliente
+ * @param {string} viveroId - ID del vivero
+ * @param {Object} options - Opciones de filtrado
+ * @param {string} options.camaId - Solo las que afectan a esta cama
+ * @param {boolean} options.soloActivas - Solo abiertas o tratadas
+ * @returns {Promise<Array>} Incidencias de la más reciente a la más antigua
+ */
+export const getIncidenciasFromVivero = async (viveroId, options = {}) => {
+    try {
+        if (!viveroId) {
+            throw new Error("viveroId es requerido");
+        }
+
+        const { camaId = null, soloActivas = false } = options;
+
+        console.log("🐛 Obteniendo incidencias del vivero:", viveroId, camaId ? `cama ${camaId}` : "");
+
+        const incidenciasRef = getIncidenciasRef(viveroId);
+        const snapshot = await getDocs(camaId
+            ? query(incidenciasRef, where("camaIds", "array-contains", camaId))
+            : incidenciasRef);
+
+        const incidencias = snapshot.docs
+            .map(incidenciaDoc => ({ id: incidenciaDoc.id, ...incidenciaDoc.data() }))
+            .filter(incidencia => !soloActivas || isIncidenciaActiva(incidencia))
+            .sort((a, b) => toDate(b.fechaDeteccion) - toDate(a.fechaDeteccion));
+
+        console.log(`✅ ${incidencias.length} incidencias obtenidas`);
+        return incidencias;
+
+    } catch (error) {
+        console.error("❌ Error obteniendo incidencias:", error.message);
+        throw new Error(`Error al obtener incidencias: ${error.message}`);
+    }
+};
+
+/**
+ * Actualiza los datos de una incidencia (no su estado, tratamientos ni fotos)
+ * @param {string} viveroId - ID del vivero
+ * @param {string} incidenciaId - ID de la incidencia
+ * @param {Object} updateData - { tipo, agente, severidad, camaIds, descripcion }
+ * @param {string} updatedBy - Email del usuario
+ * @returns {Promise<void>}
+ */
+export const updateIncidencia = async (viveroId, incidenciaId, updateData, updatedBy) => {
+    try {
+        const incidenciaRef = doc(getIncidenciasRef(viveroId), incidenciaId);
+        const incidenciaDoc = await getDoc(incidenciaRef);
+
+        if (!incidenciaDoc.exists()) {
+            throw new Error(`Incidencia no encontrada: ${incidenciaId}`);
+        }
+
+        const updatePayload = {};
+        ["tipo", "agente", "severidad", "camaIds", "descripcion"]
+            .filter(campo => updateData[campo] !== undefined)
+            .forEach(campo => { updatePayload[campo] = updateData[campo]; });
+
+        const validation = validateIncidenciaData({ ...incidenciaDoc.data(), ...updatePayload });
+        if (!validation.valid) {
+            throw new Error(validation.errors.join(". "));
+        }
+
+        if (updatePayload.camaIds) {
+            updatePayload.camaIds = [...new Set(updatePayload.camaIds)];
+            await assertCamasExisten(viveroId, updatePayload.camaIds);
+        }
+        if (updatePayload.agente) updatePayload.agente = updatePayload.agente.trim();
+
+        console.log("📝 Actualizando incidencia:", incidenciaId);
+
+        Object.assign(updatePayload, {
+            updatedAt: serverTimestamp(),
+            updatedBy
+        });
+
+        const batch = writeBatch(db);
+        batch.update(incidenciaRef, updatePayload);
+        addAuditToBatch(batch, {
+            entidad: AUDIT_ENTIDADES.INCIDENCIA,
+            accion: AUDIT_ACCIONES.ACTUALIZAR,
+            viveroId,
+            incidenciaId,
+            antes: incidenciaDoc.data(),
+            despues: updatePayload,
+            actor: updatedBy
+        });
+        await batch.commit();
+
+        console.log("✅ Incidencia actualizada");
+
+    } catch (error) {
+        console.error("❌ Error actualizando incidencia:", error.message);
+        throw new Error(`Error al actualizar incidencia: ${error.message}`);
+    }
+};
+
+/**
+ * Cambia el estado de una incidencia según INCIDENCIA_TRANSICIONES
+ * Para pasar a "tratada" debe tener al menos un tratamiento
+ * @param {string} viveroId - ID del vivero
+ * @param {string} incidenciaId - ID de la incidencia
+ * @param {string} nuevoEstado - Estado de INCIDENCIA_ESTADOS
+ * @param {string} actor - Email del usuario
+ * @param {Object} options - { nota } queda en el historial de estados
+ * @returns {Promise<void>}
+ */
+export const cambiarEstadoIncidencia = async (viveroId, incidenciaId, nuevoEstado, actor, options = {}) => {
+    try {
+        const incidenciaRef = doc(getIncidenciasRef(viveroId), incidenciaId);
+
+        console.log("🔁 Cambiando estado de incidencia:", incidenciaId, "→", nuevoEstado);
+
+        await runTransaction(db, async (transaction) => {
+            const incidenciaDoc = await transaction.get(incidenciaRef);
+            if (!incidenciaDoc.exists()) {
+                throw new Error(`Incidencia no encontrada: ${incidenciaId}`);
+            }
+
+            const incidencia = incidenciaDoc.data();
+            if (!(INCIDENCIA_TRANSICIONES[incidencia.estado] || []).includes(nuevoEstado)) {
+                throw new Error(`No se puede pasar de "${incidencia.estado}" a "${nuevoEstado}"`);
+            }
+            if (nuevoEstado === INCIDENCIA_ESTADOS.TRATADA && (incidencia.tratamientos || []).length === 0) {
+                throw new Error("Registre un tratamiento antes de marcar la incidencia como tratada");
+            }
+
+            const updates = {
+                estado: nuevoEstado,
+                historialEstados: arrayUnion(buildEntradaEstado(nuevoEstado, incidencia.estado, actor, options.nota)),
+                updatedAt: serverTimestamp(),
+                updatedBy: actor
+            };
+            if (nuevoEstado === INCIDENCIA_ESTADOS.RESUELTA) updates.fechaResolucion = Timestamp.now();
+            if (nuevoEstado === INCIDENCIA_ESTADOS.TRATADA) updates.fechaTratamiento = Timestamp.now();
+
+            transaction.update(incidenciaRef, updates);
+            addAuditToBatch(transaction, {
+                entidad: AUDIT_ENTIDADES.INCIDENCIA,
+                accion: AUDIT_ACCIONES.ACTUALIZAR,
+                viveroId,
+                incidenciaId,
+                antes: incidencia,
+                despues: updates,
+                actor
+            });
+        });
+
+        console.log("✅ Estado de incidencia actualizado");
+
+    } catch (error) {
+        console.error("❌ Error cambiando estado de incidencia:", error.message);
+        throw new Error(`Error al cambiar estado de incidencia: ${error.message}`);
+    }
+};
+
+/**
+ * Registra un tratamiento: crea una aplicación (con incidenciaId) en cada
+ * cama afectada y la vincula a la incidencia. Una incidencia abierta pasa a
+ * "tratada". Si la vinculación falla, las aplicaciones ya creadas quedan
+ * registradas en sus camas (se pueden ver por su incidenciaId).
+ * @param {string} viveroId - ID del vivero
+ * @param {string} incidenciaId - ID de la incidencia
+ * @param {Object} aplicacionData - Datos de la aplicación (ver createAplicacion)
+ * @param {string} actor - Email del usuario
+ * @returns {Promise<Array>} [{ camaId, aplicacionId }]
+ */
+export const registrarTratamiento = async (viveroId, incidenciaId, aplicacionData, actor) => {
+    try {
+        const incidenciaRef = doc(getIncidenciasRef(viveroId), incidenciaId);
+        const incidenciaDoc = await getDoc(incidenciaRef);
+
+        if (!incidenciaDoc.exists()) {
+            throw new Error(`Incidencia no encontrada: ${incidenciaId}`);
+        }
+        if (!isIncidenciaActiva(incidenciaDoc.data())) {
+            throw new Error("La incidencia ya está resuelta");
+        }
+
+        console.log("💊 Registrando tratamiento de incidencia:", incidenciaId);
+
+        const aplicacionIds = [];
+        for (const camaId of incidenciaDoc.data().camaIds) {
+            const aplicacionId = await createAplicacion(viveroId, camaId, { ...aplicacionData, incidenciaId }, actor);
+            aplicacionIds.push({ camaId, aplicacionId });
+        }
+
+        const tratamiento = {
+            aplicacionIds,
+            tipo: aplicacionData.tipo,
+            producto: aplicacionData.producto?.trim() || "",
+            fecha: toTimestamp(aplicacionData.fecha),
+            registradoPor: actor || null
+        };
+
+        await runTransaction(db, async (transaction) => {
+            const incidenciaActual = await transaction.get(incidenciaRef);
+            const incidencia = incidenciaActual.data();
+
+            const updates = {
+                tratamientos: arrayUnion(tratamiento),
+                updatedAt: serverTimestamp(),
+                updatedBy: actor
+            };
+            if (incidencia.estado === INCIDENCIA_ESTADOS.ABIERTA) {
+                updates.estado = INCIDENCIA_ESTADOS.TRATADA;
+                updates.fechaTratamiento = tratamiento.fecha;
+                updates.historialEstados = arrayUnion(
+                    buildEntradaEstado(INCIDENCIA_ESTADOS.TRATADA, incidencia.estado, actor, `Tratamiento: ${tratamiento.producto}`)
+                );
+            }
+
+            transaction.update(incidenciaRef, updates);
+            addAuditToBatch(transaction, {
+                entidad: AUDIT_ENTIDADES.INCIDENCIA,
+                accion: AUDIT_ACCIONES.ACTUALIZAR,
+                viveroId,
+                incidenciaId,
+                antes: incidencia,
+                despues: updates,
+                actor
+            });
+        });
+
+        console.log("✅ Tratamiento registrado en", aplicacionIds.length, "camas");
+        return aplicacionIds;
+
+    } catch (error) {
+        console.error("❌ Error registrando tratamiento:", error.message);
+        throw new Error(`Error al registrar tratamiento: ${error.message}`);
+    }
+};
+
+/**
+ * Adjunta una foto a una incidencia
+ * @param {string} viveroId - ID del vivero
+ * @param {string} incidenciaId - ID de la incidencia
+ * @param {File|Blob} file - Foto
+ * @param {string} actor - Email del usuario
+ * @returns {Promise<Object>} Referencia de la foto guardada
+ */
+export const addFotoIncidencia = async (viveroId, incidenciaId, file, actor) => {
+    try {
+        const incidenciaRef = doc(getIncidenciasRef(viveroId), incidenciaId);
+        const incidenciaDoc = await getDoc(incidenciaRef);
+
+        if (!incidenciaDoc.exists()) {
+            throw new Error(`Incidencia no encontrada: ${incidenciaId}`);
+        }
+
+        const foto = await uploadFoto(`viveros/${viveroId}/incidencias/${incidenciaId}`, file, actor);
+
+        const updates = {
+            fotos: arrayUnion(foto),
+            updatedAt: serverTimestamp(),
+            updatedBy: actor
+        };
+
+        try {
+            const batch = writeBatch(db);
+            batch.update(incidenciaRef, updates);
+            addAuditToBatch(batch, {
+                entidad: AUDIT_ENTIDADES.INCIDENCIA,
+                accion: AUDIT_ACCIONES.ACTUALIZAR,
+                viveroId,
+                incidenciaId,
+                antes: incidenciaDoc.data(),
+                despues: updates,
+                actor
+            });
+            await batch.commit();
+        } catch (error) {
+            // Sin documento que la referencie la foto quedaría huérfana
+            await deleteFoto(foto);
+            throw error;
+        }
+
+        console.log("✅ Foto agregada a la incidencia:", foto.id);
+        return foto;
+
+    } catch (error) {
+        console.error("❌ Error agregando foto a la incidencia:", error.message);
+        throw new Error(`Error al agregar foto: ${error.message}`);
+    }
+};
+
+/**
+ * Adjunta varias fotos a una incidencia (ej: las elegidas al reportarla)
+ * Una foto que falla no impide subir las demás
+ * @param {string} viveroId - ID del vivero
+ * @param {string} incidenciaId - ID de la incidencia
+ * @param {Array<File|Blob>} files - Fotos
+ * @param {string} actor - Email del usuario
+ * @returns {Promise<Object>} { fotos: [subidas], errores: [mensajes] }
+ */
+export const addFotosIncidencia = async (viveroId, incidenciaId, files, actor) => {
+    const fotos = [];
+    const errores = [];
+
+    // Una a una: cada foto se agrega al documento leído por la anterior
+    for (const file of files) {
+        try {
+            fotos.push(await addFotoIncidencia(viveroId, incidenciaId, file, actor));
+        } catch (error) {
+            errores.push(`${file.name || "foto"}: ${error.message}`);
+        }
+    }
+
+    return { fotos, errores };
+};
+
+/**
+ * Quita una foto de una incidencia y la elimina del almacenamiento
+ * @param {string} viveroId - ID del vivero
+ * @param {string} incidenciaId - ID de la incidencia
+ * @param {string} fotoId - ID de la foto
+ * @param {string} actor - Email del usuario
+ * @returns {Promise<void>}
+ */
+export const removeFotoIncidencia = async (viveroId, incidenciaId, fotoId, actor) => {
+    try {
+        const incidenciaRef = doc(getIncidenciasRef(viveroId), incidenciaId);
+        let foto = null;
+
+        await runTransaction(db, async (transaction) => {
+            const incidenciaDoc = await transaction.get(incidenciaRef);
+            if (!incidenciaDoc.exists()) {
+                throw new Error(`Incidencia no encontrada: ${incidenciaId}`);
+            }
+
+            const fotos = incidenciaDoc.data().fotos || [];
+            foto = fotos.find(f => f.id === fotoId);
+            if (!foto) {
+                throw new Error(`Foto no encontrada: ${fotoId}`);
+            }
+
+            const updates = {
+                fotos: fotos.filter(f => f.id !== fotoId),
+                updatedAt: serverTimestamp(),
+                updatedBy: actor
+            };
+            transaction.update(incidenciaRef, updates);
+            addAuditToBatch(transaction, {
+                entidad: AUDIT_ENTIDADES.INCIDENCIA,
+                accion: AUDIT_ACCIONES.ACTUALIZAR,
+                viveroId,
+                incidenciaId,
+                antes: incidenciaDoc.data(),
+                despues: updates,
+                actor
+            });
+        });
+
+        // El archivo se borra después: si falla, la foto ya no se muestra
+        await deleteFoto(foto);
+        console.log("✅ Foto quitada de la incidencia:", fotoId);
+
+    } catch (error) {
+        console.error("❌ Error quitando foto de la incidencia:", error.message);
+        throw new Error(`Error al quitar foto: ${error.message}`);
+    }
+};
+
+// ============================================================================
+// 📊 PANEL DEL VIVERO
+// ============================================================================
+
+/**
+ * Resumen de incidencias de un vivero: activas y recurrencia por cama
+ * @param {string} viveroId - ID del vivero
+ * @returns {Promise<Object>} {
+ *   resumen: { total, abiertas, tratadas, resueltas, criticasActivas },
+ *   activas: incidencias abiertas o tratadas, de la más severa a la menos
+ *     (con diasActiva),
+ *   recurrenciaPorCama: [{ camaId, total, activas, ultimaDeteccion,
+ *     agentes: [{ agente, veces }], recurrente }] de la más afectada a la menos
+ * }
+ */
+export const getIncidenciasDashboard = async (viveroId) => {
+    try {
+        const incidencias = await getIncidenciasFromVivero(viveroId);
+        const ahora = new Date();
+
+        const resumen = {
+            total: incidencias.length,
+            abiertas: incidencias.filter(i => i.estado === INCIDENCIA_ESTADOS.ABIERTA).length,
+            tratadas: incidencias.filter(i => i.estado === INCIDENCIA_ESTADOS.TRATADA).length,
+            resueltas: incidencias.filter(i => i.estado === INCIDENCIA_ESTADOS.RESUELTA).length,
+            criticasActivas: incidencias.filter(i =>
+                isIncidenciaActiva(i) && i.severidad === INCIDENCIA_SEVERIDADES.CRITICA
+            ).length
+        };
+
+        const activas = incidencias
+            .filter(isIncidenciaActiva)
+            .map(incidencia => ({
+                ...incidencia,
+                diasActiva: Math.floor((ahora - toDate(incidencia.fechaDeteccion)) / DAY_MS)
+            }))
+            .sort((a, b) =>
+                (INCIDENCIA_SEVERIDADES_INFO[b.severidad]?.orden || 0) - (INCIDENCIA_SEVERIDADES_INFO[a.severidad]?.orden || 0)
+                || b.diasActiva - a.diasActiva
+            );
+
+        const porCama = {};
+        incidencias.forEach(incidencia => {
+            (incidencia.camaIds || []).forEach(camaId => {
+                if (!porCama[camaId]) {
+                    porCama[camaId] = { camaId, total: 0, activas: 0, ultimaDeteccion: null, agentes: {} };
+                }
+
+                const cama = porCama[camaId];
+                const fecha = toDate(incidencia.fechaDeteccion);
+                const agenteKey = getAgenteKey(incidencia.agente);
+
+                cama.total++;
+                if (isIncidenciaActiva(incidencia)) cama.activas++;
+                if (!cama.ultimaDeteccion || fecha > cama.ultimaDeteccion) cama.ultimaDeteccion = fecha;
+                if (!cama.agentes[agenteKey]) cama.agentes[agenteKey] = { agente: incidencia.agente, veces: 0 };
+                cama.agentes[agenteKey].veces++;
+            });
+        });
+
+        const recurrenciaPorCama = Object.values(porCama)
+            .map(cama => {
+                const agentes = Object.values(cama.agentes).sort((a, b) => b.veces - a.veces);
+                return {
+                    ...cama,
+                    agentes,
+                    // El mismo agente volvió a aparecer en la cama
+                    recurrente: agentes.some(agente => agente.veces > 1)
+                };
+            })
+            .sort((a, b) => b.total - a.total || b.activas - a.activas);
+
+        return { resumen, activas, recurrenciaPorCama };
+
+    } catch (error) {
+        console.error("❌ Error generando panel de incidencias:", error.message);
+        throw new Error(`Error al generar panel de incidencias: ${error.message}`);
+    }
+};
+
+export default {
+    INCIDENCIA_TIPOS,
+    INCIDENCIA_TIPOS_INFO,
+    INCIDENCIA_SEVERIDADES,
+    INCIDENCIA_SEVERIDADES_INFO,
+    INCIDENCIA_ESTADOS,
+    INCIDENCIA_ESTADOS_INFO,
+    INCIDENCIA_TRANSICIONES,
+    isIncidenciaActiva,
+    validateIncidenciaData,
+    createIncidencia,
+    getIncidencia,
+    getIncidenciasFromVivero,
+    updateIncidencia,
+    cambiarEstadoIncidencia,
+    registrarTratamiento,
+    addFotoIncidencia,
+    addFotosIncidencia,
+    removeFotoIncidencia,
+    getIncidenciasDashboard
+};
@@ -1,10 +1,12 @@
 // src/firebase/viveros/viveroLocationService.js
 import {
     doc,
-    updateDoc,
-    serverTimestamp
+    getDoc,
+    serverTimestamp,
+    writeBatch
 } from "firebase/firestore";
 import { db } from "../config.js";
+import { addAuditToBatch, AUDIT_ENTIDADES, AUDIT_ACCIONES } from "../shared/auditService.js";
 
 /**
  * ============================================================================
@@ -18,6 +20,40 @@ import { db } from "../config.js";
  * ============================================================================
  */
 
+/**
+ * Guarda los campos de ubicación de un vivero y registra el cambio en el historial
+ * @param {string} viveroId - ID del vivero
+ * @param {Object} ubicacionPayload - Campos "ubicacion.*" a actualizar
+ * @param {string} updatedBy - Email del usuario que actualiza
+ * @returns {Promise<void>}
+ */
+const saveViveroUbicacion = async (viveroId, ubicacionPayload, updatedBy) => {
+    const viveroRef = doc(db, "viveros", viveroId);
+
+    const viveroDoc = await getDoc(viveroRef);
+    if (!viveroDoc.exists()) {
+        throw new Error(`Vivero no encontrado: ${viveroId}`);
+    }
+
+    const updatePayload = {
+        ...ubicacionPayload,
+        updatedAt: serverTimestamp(),
+        ...(updatedBy && { updatedBy })
+    };
+
+    const batch = writeBatch(db);
+    batch.update(viveroRef, updatePayload);
+    addAuditToBatch(batch, {
+        entidad: AUDIT_ENTIDADES.VIVERO,
+        accion: AUDIT_ACCIONES.ACTUALIZAR,
+        viveroId,
+        antes: viveroDoc.data(),
+        despues: updatePayload,
+        actor: updatedBy
+    });
+    await batch.commit();
+};
+
 /**
  * Actualiza la ubicación GPS de un vivero
  * @param {string} viveroId - ID del vivero
@@ -25,9 +61,10 @@ import { db } from "../config.js";
  * @param {number} gpsData.lat - Latitud
  * @param {number} gpsData.lng - Longitud
  * @param {string} gpsData.direccion - Dirección opcional obtenida del GPS
+ * @param {string} updatedBy - Email del usuario que actualiza
  * @returns {Promise<void>}
  */
-export const updateViveroGPS = async (viveroId, gpsData) => {
+export const updateViveroGPS = async (viveroId, gpsData, updatedBy = null) => {
     try {
         const { lat, lng, direccion } = gpsData;
 
@@ -47,15 +84,12 @@ export const updateViveroGPS = async (viveroId, gpsData) => {
 
         console.log("📍 Actualizando GPS del vivero:", viveroId);
 
-        const viveroRef = doc(db, "viveros", viveroId);
-        
-        await updateDoc(viveroRef, {
+        await saveViveroUbicacion(viveroId, {
             "ubicacion.tipo": "gps",
             "ubicacion.coordenadas": { lat, lng },
             "ubicacion.direccion": direccion || "",
-            "ubicacion.timestamp": serverTimestamp(),
-            updatedAt: serverTimestamp()
-        });
+            "ubicacion.timestamp": serverTimestamp()
+        }, updatedBy);
 
         console.log(`✅ GPS actualizado: ${lat}, ${lng}`);
 
@@ -69,9 +103,10 @@ export const updateViveroGPS = async (viveroId, gpsData) => {
  * Actualiza la ubicación manual de un vivero
  * @param {string} viveroId - ID del vivero
  * @param {string} direccionManual - Dirección ingresada manualmente
+ * @param {string} updatedBy - Email del usuario que actualiza
  * @returns {Promise<void>}
  */
-export const updateViveroUbicacionManual = async (viveroId, direccionManual) => {
+export const updateViveroUbicacionManual = async (viveroId, direccionManual, updatedBy = null) => {
     try {
         if (!direccionManual || direccionManual.trim().length === 0) {
             throw new Error("Dirección manual requerida");
@@ -79,15 +114,12 @@ export const updateViveroUbicacionManual = async (viveroId, direccionManual) =>
 
         console.log("📝 Actualizando ubicación manual del vivero:", viveroId);
 
-        const viveroRef = doc(db, "viveros", viveroId);
-        
-        await updateDoc(viveroRef, {
+        await saveViveroUbicacion(viveroId, {
             "ubicacion.tipo": "manual",
             "ubicacion.coordenadas": null,
             "ubicacion.direccion": direccionManual.trim(),
-            "ubicacion.timestamp": serverTimestamp(),
-            updatedAt: serverTimestamp()
-        });
+            "ubicacion.timestamp": serverTimestamp()
+        }, updatedBy);
 
         console.log("✅ Ubicación manual actualizada");
 
@@ -100,21 +132,19 @@ export const updateViveroUbicacionManual = async (viveroId, direccionManual) =>
 /**
  * Limpia la ubicación de un vivero (la deja vacía)
  * @param {string} viveroId - ID del vivero
+ * @param {string} updatedBy - Email del usuario que actualiza
  * @returns {Promise<void>}
  */
-export const clearViveroUbicacion = async (viveroId) => {
+export const clearViveroUbicacion = async (viveroId, updatedBy = null) => {
     try {
         console.log("🧹 Limpiando ubicación del vivero:", viveroId);
 
-        const viveroRef = doc(db, "viveros", viveroId);
-        
-        await updateDoc(viveroRef, {
+        await saveViveroUbicacion(viveroId, {
             "ubicacion.tipo": "vacio",
             "ubicacion.coordenadas": null,
             "ubicacion.direccion": "",
-            "ubicacion.timestamp": null,
-            updatedAt: serverTimestamp()
-        });
+            "ubicacion.timestamp": null
+        }, updatedBy);
 
         console.log("✅ Ubicación limpiada");
 
@@ -191,9 +221,10 @@ export const getCurrentGPSLocation = (options = {}) => {
  * Obtiene la ubicación GPS y actualiza el vivero automáticamente
  * @param {string} viveroId - ID del vivero
  * @param {Object} options - Opciones de geolocalización
+ * @param {string} updatedBy - Email del usuario que actualiza
  * @returns {Promise<Object>} Coordenadas obtenidas y guardadas
  */
-export const captureAndSaveGPS = async (viveroId, options = {}) => {
+export const captureAndSaveGPS = async (viveroId, options = {}, updatedBy = null) => {
     try {
         console.log("📡 Capturando GPS y guardando en vivero:", viveroId);
 
@@ -214,7 +245,7 @@ export const captureAndSaveGPS = async (viveroId, options = {}) => {
             lat: gpsLocation.lat,
             lng: gpsLocation.lng,
             direccion
-        });
+        }, updatedBy);
 
         const result = {
             ...gpsLocation,
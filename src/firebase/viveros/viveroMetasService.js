@@ -0,0 +1,384 @@
+// src/firebase/viveros/viveroMetasService.js
+import {
+    doc,
+    getDoc,
+    serverTimestamp,
+    writeBatch
+} from "firebase/firestore";
+import { db } from "../config.js";
+import { addAuditToBatch, AUDIT_ENTIDADES, AUDIT_ACCIONES } from "../shared/auditService.js";
+import { getProduccionStats } from "../camas/cortesService.js";
+import { getCamasFromVivero } from "../camas/camaService.js";
+import { getAllEspecies } from "../especies/especieService.js";
+
+/**
+ * ============================================================================
+ * 🎯 VIVERO METAS SERVICE - Metas de Producción
+ * ============================================================================
+ * Responsabilidad: Metas mensuales de esquejes y su cumplimiento
+ * - Metas por cama (esquejes al mes de la cama), por especie (esquejes por
+ *   planta al mes, se multiplica por las plantas de cada cama) y por vivero
+ *   (esquejes al mes del vivero completo)
+ * - Cada meta es un historial { "AAAA-MM": valor } que rige desde ese mes
+ *   hasta el siguiente cambio; null significa "sin meta desde ese mes"
+ * - Se guardan en los mismos documentos (cama y vivero), así las copias de
+ *   seguridad, la papelera y el historial de cambios las incluyen
+ * - getProduccionVsMeta compara lo real (getProduccionStats) con la meta
+ *   mes a mes y marca las camas atrasadas con su variación en %
+ *
+ * Dónde se guardan:
+ *   cama.metasProduccion:            { "2026-01": 400 }
+ *   vivero.metasProduccion:          { "2026-01": 12000 }
+ *   vivero.metasPorEspecie[especie]: { "2026-01": 6 }
+ * ============================================================================
+ */
+
+export const METAS_ALCANCES = {
+    CAMA: "cama",
+    ESPECIE: "especie",
+    VIVERO: "vivero"
+};
+
+// De dónde sale la meta de una cama, en orden de prioridad
+export const METAS_ORIGENES = {
+    CAMA: "cama",
+    ESPECIE: "especie",
+    CATALOGO: "catalogo",
+    CAMAS: "camas"
+};
+
+// Variación (en %) por debajo de la cual una cama se considera atrasada
+export const DEFAULT_UMBRAL_ATRASO_PCT = 10;
+
+const MES_KEY_REGEX = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// ============================================================================
+// 🔧 HELPERS
+// ============================================================================
+
+/**
+ * Clave de mes de una fecha
+ * @param {Date} fecha - Fecha
+ * @returns {string} "AAAA-MM"
+ */
+export const getMesKey = (fecha) => {
+    return `${fecha.getFullYear()}-${String(fecha.getMonth() + 1).padStart(2, "0")}`;
+};
+
+/**
+ * Valor vigente de un historial de metas en un mes
+ * @param {Object} historial - { "AAAA-MM": valor }
+ * @param {string} mes - Mes consultado ("AAAA-MM")
+ * @returns {number|null} Meta vigente o null si no hay
+ */
+export const getMetaVigente = (historial, mes) => {
+    if (!historial) return null;
+
+    const desde = Object.keys(historial)
+        .filter(key => key <= mes)
+        .sort()
+        .pop();
+
+    const valor = desde ? historial[desde] : null;
+    return typeof valor === "number" ? valor : null;
+};
+
+/**
+ * Meta mensual de una cama en un mes
+ * Prioridad: meta propia de la cama → meta de la especie en el vivero →
+ * esquejesPorPlantaMes del catálogo (ambas × cantidadPlantas)
+ * @param {Object} cama - Datos de la cama
+ * @param {Object} vivero - Datos del vivero
+ * @param {Map} especiesById - Catálogo de especies por ID
+ * @param {string} mes - Mes ("AAAA-MM")
+ * @returns {Object} { meta, origen } (meta null si la cama no tiene meta)
+ */
+export const resolveMetaCama = (cama, vivero, especiesById, mes) => {
+    const metaCama = getMetaVigente(cama.metasProduccion, mes);
+    if (metaCama !== null || Object.keys(cama.metasProduccion || {}).some(key => key <= mes)) {
+        return { meta: metaCama, origen: METAS_ORIGENES.CAMA };
+    }
+
+    const plantas = cama.cantidadPlantas || 0;
+    if (cama.especieId) {
+        const metaEspecie = getMetaVigente(vivero?.metasPorEspecie?.[cama.especieId], mes);
+        if (metaEspecie !== null) {
+            return { meta: Math.round(metaEspecie * plantas), origen: METAS_ORIGENES.ESPECIE };
+        }
+
+        const porDefecto = especiesById.get(cama.especieId)?.esquejesPorPlantaMes;
+        if (typeof porDefecto === "number") {
+            return { meta: Math.round(porDefecto * plantas), origen: METAS_ORIGENES.CATALOGO };
+        }
+    }
+
+    return { meta: null, origen: null };
+};
+
+/**
+ * Variación porcentual de lo real respecto a la meta
+ * @returns {number|null} (real - meta) / meta en %, con un decimal
+ */
+export const calculateVarianzaPct = (real, meta) => {
+    if (!meta) return null;
+    return Math.round(((real - meta) / meta) * 1000) / 10;
+};
+
+// Meses ("AAAA-MM") de los últimos `meses`, del más antiguo al actual
+const getUltimosMeses = (meses, hoy) => {
+    return Array.from({ length: meses }, (_, index) =>
+        getMesKey(new Date(hoy.getFullYear(), hoy.getMonth() - (meses - 1 - index), 1))
+    );
+};
+
+// Fracción transcurrida del mes en curso: su meta se prorratea para no
+// marcar atrasada una cama a mitad de mes
+const getFraccionMes = (mes, hoy) => {
+    if (mes !== getMesKey(hoy)) return 1;
+    const diasMes = new Date(hoy.getFullYear(), hoy.getMonth() + 1, 0).getDate();
+    return hoy.getDate() / diasMes;
+};
+
+const buildSerie = (periodos, realPorMes, getMeta, hoy) => {
+    return periodos.map((periodo) => {
+        const metaMes = getMeta(periodo);
+        const meta = metaMes === null ? null : Math.round(metaMes * getFraccionMes(periodo, hoy));
+        const real = realPorMes[periodo] || 0;
+        return { periodo, real, meta, varianzaPct: calculateVarianzaPct(real, meta) };
+    });
+};
+
+// Totales de la serie: solo cuentan los meses con meta
+const summarizeSerie = (serie) => {
+    const conMeta = serie.filter(punto => punto.meta !== null);
+    const totalMeta = conMeta.reduce((sum, punto) => sum + punto.meta, 0);
+    const totalReal = conMeta.reduce((sum, punto) => sum + punto.real, 0);
+    return {
+        totalReal,
+        totalMeta: conMeta.length > 0 ? totalMeta : null,
+        varianzaPct: calculateVarianzaPct(totalReal, totalMeta)
+    };
+};
+
+const toRealPorMes = (stats) => Object.fromEntries(
+    stats.produccionPorPeriodo.map(periodo => [periodo.periodo, periodo.totalEsquejes])
+);
+
+// ============================================================================
+// ✏️ DEFINICIÓN DE METAS
+// ============================================================================
+
+/**
+ * Define la meta mensual de una cama, una especie o un vivero desde un mes
+ * @param {string} viveroId - ID del vivero
+ * @param {Object} metaData - Datos de la meta
+ * @param {string} metaData.alcance - METAS_ALCANCES (cama, especie, vivero)
+ * @param {string} metaData.camaId - ID de la cama (alcance cama)
+ * @param {string} metaData.especieId - ID de la especie (alcance especie)
+ * @param {number|null} metaData.esquejes - Esquejes al mes (por planta si el
+ *   alcance es especie); null quita la meta desde ese mes
+ * @param {string} metaData.desde - Mes desde el que rige ("AAAA-MM")
+ * @param {string} updatedBy - Email del usuario
+ * @returns {Promise<void>}
+ */
+export const setMetaProduccion = async (viveroId, metaData, updatedBy) => {
+    try {
+        const { alcance, camaId = null, especieId = null, esquejes = null, desde } = metaData || {};
+
+        if (!viveroId) {
+            throw new Error("viveroId es requerido");
+        }
+        if (!Object.values(METAS_ALCANCES).includes(alcance)) {
+            throw new Error(`Alcance de meta inválido: ${alcance}`);
+        }
+        if (!MES_KEY_REGEX.test(desde || "")) {
+            throw new Error("El mes de inicio debe tener formato AAAA-MM");
+        }
+        if (esquejes !== null && (typeof esquejes !== "number" || Number.isNaN(esquejes) || esquejes < 0)) {
+            throw new Error("La meta debe ser un número positivo");
+        }
+        if (alcance === METAS_ALCANCES.CAMA && !camaId) {
+            throw new Error("camaId es requerido para una meta de cama");
+        }
+        if (alcance === METAS_ALCANCES.ESPECIE && !especieId) {
+            throw new Error("especieId es requerido para una meta de especie");
+        }
+
+        const targetRef = alcance === METAS_ALCANCES.CAMA
+            ? doc(db, "viveros", viveroId, "camas", camaId)
+            : doc(db, "viveros", viveroId);
+        const campo = alcance === METAS_ALCANCES.ESPECIE
+            ? `metasPorEspecie.${especieId}.${desde}`
+            : `metasProduccion.${desde}`;
+
+        const targetDoc = await getDoc(targetRef);
+        if (!targetDoc.exists()) {
+            throw new Error(alcance === METAS_ALCANCES.CAMA
+                ? `Cama no encontrada: ${camaId}`
+                : `Vivero no encontrado: ${viveroId}`);
+        }
+
+        console.log("🎯 Definiendo meta de producción:", alcance, campo, esquejes);
+
+        const updates = {
+            [campo]: esquejes,
+            updatedAt: serverTimestamp(),
+            updatedBy
+        };
+
+        const batch = writeBatch(db);
+        batch.update(targetRef, updates);
+        addAuditToBatch(batch, {
+            entidad: alcance === METAS_ALCANCES.CAMA ? AUDIT_ENTIDADES.CAMA : AUDIT_ENTIDADES.VIVERO,
+            accion: AUDIT_ACCIONES.ACTUALIZAR,
+            viveroId,
+            camaId: alcance === METAS_ALCANCES.CAMA ? camaId : null,
+            antes: targetDoc.data(),
+            despues: updates,
+            actor: updatedBy
+        });
+        await batch.commit();
+
+        console.log("✅ Meta de producción guardada");
+
+    } catch (error) {
+        console.error("❌ Error definiendo meta de producción:", error.message);
+        throw new Error(`Error al definir meta de producción: ${error.message}`);
+    }
+};
+
+// ============================================================================
+// 📊 CUMPLIMIENTO
+// ============================================================================
+
+/**
+ * Compara la producción real con las metas, mes a mes
+ * El mes en curso se compara contra la meta prorrateada a los días transcurridos
+ * @param {string} viveroId - ID del vivero
+ * @param {Object} options - Opciones de análisis
+ * @param {number} options.meses - Meses hacia atrás incluyendo el actual (default: 6)
+ * @param {number} options.umbralAtrasoPct - % por debajo de la meta para marcar atraso (default: 10)
+ * @returns {Promise<Object>} { periodos, vivero, camas, camasAtrasadas, umbralAtrasoPct, calculadoEn }
+ *   vivero: { serie, totalReal, totalMeta, varianzaPct, origenMeta }
+ *   camas: [{ camaId, nombreCompleto, nombrePlanta, especieId, estado, origenMeta,
+ *   serie: [{ periodo, real, meta, varianzaPct }], totalReal, totalMeta, varianzaPct, atrasada }]
+ */
+export const getProduccionVsMeta = async (viveroId, options = {}) => {
+    try {
+        if (!viveroId) {
+            throw new Error("viveroId es requerido");
+        }
+
+        const {
+            meses = 6,
+            umbralAtrasoPct = DEFAULT_UMBRAL_ATRASO_PCT
+        } = options;
+
+        console.log("🎯 Comparando producción con metas del vivero:", viveroId);
+
+        const hoy = new Date();
+        const periodos = getUltimosMeses(meses, hoy);
+        const rango = {
+            fechaDesde: new Date(hoy.getFullYear(), hoy.getMonth() - (meses - 1), 1),
+            fechaHasta: hoy,
+            agrupacion: "mensual"
+        };
+
+        const [viveroDoc, camas, especies] = await Promise.all([
+            getDoc(doc(db, "viveros", viveroId)),
+            getCamasFromVivero(viveroId),
+            getAllEspecies({ includeArchivadas: true })
+        ]);
+
+        if (!viveroDoc.exists()) {
+            throw new Error(`Vivero no encontrado: ${viveroId}`);
+        }
+
+        const vivero = viveroDoc.data();
+        const especiesById = new Map(especies.map(especie => [especie.id, especie]));
+
+        const camasStats = await Promise.all(
+            camas.map(cama => getProduccionStats(viveroId, cama.id, rango))
+        );
+
+        const camasResult = camas.map((cama, index) => {
+            const serie = buildSerie(
+                periodos,
+                toRealPorMes(camasStats[index]),
+                (mes) => resolveMetaCama(cama, vivero, especiesById, mes).meta,
+                hoy
+            );
+            const resumen = summarizeSerie(serie);
+
+            return {
+                camaId: cama.id,
+                nombreCompleto: cama.nombreCompleto,
+                nombrePlanta: cama.nombrePlanta,
+                especieId: cama.especieId || null,
+                estado: cama.estado,
+                origenMeta: resolveMetaCama(cama, vivero, especiesById, periodos[periodos.length - 1]).origen,
+                serie,
+                ...resumen,
+                atrasada: resumen.varianzaPct !== null && resumen.varianzaPct <= -umbralAtrasoPct
+            };
+        });
+
+        // Meta del vivero: la propia o, si no tiene, la suma de las metas de sus camas
+        const tieneMetaPropia = Object.keys(vivero.metasProduccion || {}).length > 0;
+        const realVivero = {};
+        camasResult.forEach(cama => cama.serie.forEach((punto) => {
+            realVivero[punto.periodo] = (realVivero[punto.periodo] || 0) + punto.real;
+        }));
+
+        const serieVivero = buildSerie(
+            periodos,
+            realVivero,
+            (mes) => {
+                if (tieneMetaPropia) return getMetaVigente(vivero.metasProduccion, mes);
+                const metas = camas
+                    .map(cama => resolveMetaCama(cama, vivero, especiesById, mes).meta)
+                    .filter(meta => meta !== null);
+                return metas.length > 0 ? metas.reduce((sum, meta) => sum + meta, 0) : null;
+            },
+            hoy
+        );
+
+        camasResult.sort((a, b) => {
+            if (a.varianzaPct === null) return b.varianzaPct === null ? 0 : 1;
+            if (b.varianzaPct === null) return -1;
+            return a.varianzaPct - b.varianzaPct;
+        });
+
+        const result = {
+            periodos,
+            vivero: {
+                serie: serieVivero,
+                ...summarizeSerie(serieVivero),
+                origenMeta: tieneMetaPropia ? METAS_ALCANCES.VIVERO : METAS_ORIGENES.CAMAS
+            },
+            camas: camasResult,
+            camasAtrasadas: camasResult.filter(cama => cama.atrasada).length,
+            umbralAtrasoPct,
+            calculadoEn: new Date()
+        };
+
+        console.log(`✅ Cumplimiento calculado: ${result.camasAtrasadas} camas atrasadas de ${camasResult.length}`);
+        return result;
+
+    } catch (error) {
+        console.error("❌ Error comparando producción con metas:", error.message);
+        throw new Error(`Error al comparar producción con metas: ${error.message}`);
+    }
+};
+
+export default {
+    METAS_ALCANCES,
+    METAS_ORIGENES,
+    DEFAULT_UMBRAL_ATRASO_PCT,
+    getMesKey,
+    getMetaVigente,
+    resolveMetaCama,
+    calculateVarianzaPct,
+    setMetaProduccion,
+    getProduccionVsMeta
+};
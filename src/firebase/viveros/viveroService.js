@@ -1,12 +1,9 @@
 // src/firebase/viveros/viveroService.js
 import {
     doc,
-    setDoc,
     getDoc,
     collection,
     getDocs,
-    updateDoc,
-    deleteDoc,
     serverTimestamp,
     query,
     orderBy,
@@ -15,6 +12,9 @@ import {
     writeBatch
 } from "firebase/firestore";
 import { db } from "../config.js";
+import { addAuditToBatch, AUDIT_ENTIDADES, AUDIT_ACCIONES } from "../shared/auditService.js";
+import { isTrashed, buildTrashFields } from "../shared/trashService.js";
+import { subscribeWithFallback } from "../shared/realtimeService.js";
 
 /**
  * ============================================================================
@@ -53,7 +53,8 @@ export const createVivero = async (viveroData, createdBy) => {
         const existingVivero = await getDoc(viveroRef);
 
         if (existingVivero.exists()) {
-            throw new Error(`Ya existe un vivero con ID: ${id}`);
+            const enPapelera = isTrashed(existingVivero.data()) ? " (en la papelera)" : "";
+            throw new Error(`Ya existe un vivero con ID: ${id}${enPapelera}`);
         }
 
         console.log("🌱 Creando nuevo vivero:", nombre);
@@ -81,6 +82,7 @@ export const createVivero = async (viveroData, createdBy) => {
                 camasLibres: 0,
                 totalPlantas: 0,
                 totalEsquejesHistorico: 0,
+                totalCortes: 0,
                 ultimaActualizacion: serverTimestamp()
             },
             createdAt: serverTimestamp(),
@@ -88,7 +90,17 @@ export const createVivero = async (viveroData, createdBy) => {
             createdBy
         };
 
-        await setDoc(viveroRef, viveroDocument);
+        // Crear el vivero y registrar la creación en el historial
+        const batch = writeBatch(db);
+        batch.set(viveroRef, viveroDocument);
+        addAuditToBatch(batch, {
+            entidad: AUDIT_ENTIDADES.VIVERO,
+            accion: AUDIT_ACCIONES.CREAR,
+            viveroId: id,
+            despues: viveroDocument,
+            actor: createdBy
+        });
+        await batch.commit();
 
         console.log("✅ Vivero creado exitosamente:", id);
         return id;
@@ -102,9 +114,11 @@ export const createVivero = async (viveroData, createdBy) => {
 /**
  * Obtiene un vivero por su ID
  * @param {string} viveroId - ID del vivero
+ * @param {Object} options - Opciones de consulta
+ * @param {boolean} options.includeTrashed - Devolver también si está en la papelera
  * @returns {Promise<Object|null>} Datos del vivero o null si no existe
  */
-export const getVivero = async (viveroId) => {
+export const getVivero = async (viveroId, options = {}) => {
     try {
         const viveroRef = doc(db, "viveros", viveroId);
         const viveroDoc = await getDoc(viveroRef);
@@ -114,6 +128,11 @@ export const getVivero = async (viveroId) => {
             return null;
         }
 
+        if (isTrashed(viveroDoc.data()) && !options.includeTrashed) {
+            console.log("🗑️ Vivero en la papelera:", viveroId);
+            return null;
+        }
+
         const viveroData = { id: viveroDoc.id, ...viveroDoc.data() };
         console.log("📄 Vivero obtenido:", viveroData.nombre);
         return viveroData;
@@ -124,8 +143,42 @@ export const getVivero = async (viveroId) => {
     }
 };
 
+/**
+ * Construye la consulta de la lista de viveros
+ * (compartida por getAllViveros y subscribeToViveros)
+ */
+const buildViverosQuery = ({ publicOnly = false, limitResults = null, orderField = "createdAt" }) => {
+    const viverosRef = collection(db, "viveros");
+    let q = query(viverosRef, orderBy(orderField, "desc"));
+
+    // Filtrar solo viveros públicos si se requiere
+    if (publicOnly) {
+        q = query(q, where("configuracion.mostrarEnListaPublica", "==", true));
+    }
+
+    // Aplicar límite si se especifica
+    if (limitResults) {
+        q = query(q, limit(limitResults));
+    }
+
+    return q;
+};
+
+const mapViverosSnapshot = (querySnapshot) => {
+    const viveros = [];
+
+    querySnapshot.forEach((doc) => {
+        if (!isTrashed(doc.data())) {
+            viveros.push({ id: doc.id, ...doc.data() });
+        }
+    });
+
+    return viveros;
+};
+
 /**
  * Obtiene todos los viveros con filtros opcionales
+ * Los viveros en la papelera no se incluyen
  * @param {Object} options - Opciones de filtrado
  * @param {boolean} options.publicOnly - Solo viveros públicos
  * @param {number} options.limitResults - Límite de resultados
@@ -142,25 +195,8 @@ export const getAllViveros = async (options = {}) => {
 
         console.log("📋 Obteniendo lista de viveros...");
 
-        const viverosRef = collection(db, "viveros");
-        let q = query(viverosRef, orderBy(orderField, "desc"));
-
-        // Filtrar solo viveros públicos si se requiere
-        if (publicOnly) {
-            q = query(q, where("configuracion.mostrarEnListaPublica", "==", true));
-        }
-
-        // Aplicar límite si se especifica
-        if (limitResults) {
-            q = query(q, limit(limitResults));
-        }
-
-        const querySnapshot = await getDocs(q);
-        const viveros = [];
-
-        querySnapshot.forEach((doc) => {
-            viveros.push({ id: doc.id, ...doc.data() });
-        });
+        const querySnapshot = await getDocs(buildViverosQuery({ publicOnly, limitResults, orderField }));
+        const viveros = mapViverosSnapshot(querySnapshot);
 
         console.log(`✅ ${viveros.length} viveros obtenidos`);
         return viveros;
@@ -171,6 +207,63 @@ export const getAllViveros = async (options = {}) => {
     }
 };
 
+// ============================================================================
+// 📡 SUSCRIPCIONES EN TIEMPO REAL
+// ============================================================================
+
+/**
+ * Escucha la lista de viveros (mismos filtros que getAllViveros)
+ * Si el listener no está disponible, sondea (ver realtimeService)
+ * @param {Object} options - Opciones de filtrado y de suscripción
+ * @param {boolean} options.publicOnly - Solo viveros públicos
+ * @param {number} options.limitResults - Límite de resultados
+ * @param {string} options.orderBy - Campo para ordenar
+ * @param {number} options.pollIntervalMs - Intervalo del sondeo de respaldo
+ * @param {Object} handlers - { onData(viveros), onError(error), onModeChange(modo) }
+ * @returns {Function} Cancela la suscripción
+ */
+export const subscribeToViveros = (options = {}, handlers = {}) => {
+    const {
+        publicOnly = false,
+        limitResults = null,
+        orderBy: orderField = "createdAt",
+        pollIntervalMs
+    } = options;
+
+    return subscribeWithFallback(
+        buildViverosQuery({ publicOnly, limitResults, orderField }),
+        {
+            onSnapshot: (querySnapshot) => handlers.onData(mapViverosSnapshot(querySnapshot)),
+            onError: handlers.onError,
+            onModeChange: handlers.onModeChange
+        },
+        { pollIntervalMs }
+    );
+};
+
+/**
+ * Escucha un vivero; onData recibe null si no existe o está en la papelera
+ * @param {string} viveroId - ID del vivero
+ * @param {Object} options - Opciones de suscripción
+ * @param {number} options.pollIntervalMs - Intervalo del sondeo de respaldo
+ * @param {Object} handlers - { onData(vivero), onError(error), onModeChange(modo) }
+ * @returns {Function} Cancela la suscripción
+ */
+export const subscribeToVivero = (viveroId, options = {}, handlers = {}) => {
+    return subscribeWithFallback(
+        doc(db, "viveros", viveroId),
+        {
+            onSnapshot: (viveroDoc) => {
+                const existe = viveroDoc.exists() && !isTrashed(viveroDoc.data());
+                handlers.onData(existe ? { id: viveroDoc.id, ...viveroDoc.data() } : null);
+            },
+            onError: handlers.onError,
+            onModeChange: handlers.onModeChange
+        },
+        { pollIntervalMs: options.pollIntervalMs }
+    );
+};
+
 /**
  * Actualiza un vivero existente
  * @param {string} viveroId - ID del vivero
@@ -202,7 +295,17 @@ export const updateVivero = async (viveroId, updateData, updatedBy) => {
         delete updatePayload.createdAt;
         delete updatePayload.createdBy;
 
-        await updateDoc(viveroRef, updatePayload);
+        const batch = writeBatch(db);
+        batch.update(viveroRef, updatePayload);
+        addAuditToBatch(batch, {
+            entidad: AUDIT_ENTIDADES.VIVERO,
+            accion: AUDIT_ACCIONES.ACTUALIZAR,
+            viveroId,
+            antes: viveroDoc.data(),
+            despues: updatePayload,
+            actor: updatedBy
+        });
+        await batch.commit();
 
         console.log("✅ Vivero actualizado exitosamente");
 
@@ -213,50 +316,37 @@ export const updateVivero = async (viveroId, updateData, updatedBy) => {
 };
 
 /**
- * Elimina un vivero y todas sus camas (operación peligrosa)
+ * Envía un vivero a la papelera (borrado lógico)
+ * Las camas y cortes se conservan y vuelven a estar visibles al restaurarlo;
+ * la eliminación definitiva se hace con purgeVivero (trashService)
  * @param {string} viveroId - ID del vivero a eliminar
+ * @param {string} deletedBy - Email del usuario que elimina
  * @returns {Promise<void>}
  */
-export const deleteVivero = async (viveroId) => {
+export const deleteVivero = async (viveroId, deletedBy = null) => {
     try {
-        console.log("🗑️ Eliminando vivero:", viveroId);
+        console.log("🗑️ Enviando vivero a la papelera:", viveroId);
 
-        const batch = writeBatch(db);
         const viveroRef = doc(db, "viveros", viveroId);
 
         // Verificar que el vivero existe
         const viveroDoc = await getDoc(viveroRef);
-        if (!viveroDoc.exists()) {
+        if (!viveroDoc.exists() || isTrashed(viveroDoc.data())) {
             throw new Error(`Vivero no encontrado: ${viveroId}`);
         }
 
-        // Obtener todas las camas del vivero para eliminarlas
-        const camasRef = collection(db, "viveros", viveroId, "camas");
-        const camasSnapshot = await getDocs(camasRef);
-
-        // Eliminar cada cama y sus cortes de esquejes
-        for (const camaDoc of camasSnapshot.docs) {
-            const camaId = camaDoc.id;
-
-            // Eliminar cortes de esquejes de la cama
-            const cortesRef = collection(db, "viveros", viveroId, "camas", camaId, "cortes_esquejes");
-            const cortesSnapshot = await getDocs(cortesRef);
-
-            cortesSnapshot.forEach((corteDoc) => {
-                batch.delete(corteDoc.ref);
-            });
-
-            // Eliminar la cama
-            batch.delete(camaDoc.ref);
-        }
-
-        // Eliminar el vivero
-        batch.delete(viveroRef);
-
-        // Ejecutar todas las eliminaciones
+        const batch = writeBatch(db);
+        batch.update(viveroRef, buildTrashFields(deletedBy));
+        addAuditToBatch(batch, {
+            entidad: AUDIT_ENTIDADES.VIVERO,
+            accion: AUDIT_ACCIONES.ELIMINAR,
+            viveroId,
+            antes: viveroDoc.data(),
+            actor: deletedBy
+        });
         await batch.commit();
 
-        console.log("✅ Vivero eliminado completamente");
+        console.log("✅ Vivero enviado a la papelera");
 
     } catch (error) {
         console.error("❌ Error eliminando vivero:", error.message);
@@ -285,6 +375,8 @@ export default {
     createVivero,
     getVivero,
     getAllViveros,
+    subscribeToViveros,
+    subscribeToVivero,
     updateVivero,
     deleteVivero,
     viveroExists
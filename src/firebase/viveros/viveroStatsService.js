@@ -9,6 +9,8 @@ import {
     orderBy
 } from "firebase/firestore";
 import { db } from "../config.js";
+import { isTrashed } from "../shared/trashService.js";
+import { getPlantaKey } from "../especies/especieService.js";
 
 /**
  * ============================================================================
@@ -19,11 +21,15 @@ import { db } from "../config.js";
  * - Cálculo de estadísticas de camas
  * - Resumen de plantas por tipo
  * - Actualización automática de métricas
+ *
+ * Los contadores de `estadisticas` se mantienen al día en cada escritura
+ * (aggregateService); calculateViveroStats y calculateCamaStats recorren
+ * todas las camas y cortes y sirven para reparar contadores desviados
  * ============================================================================
  */
 
 /**
- * Calcula estadísticas actualizadas de un vivero
+ * Recalcula desde cero las estadísticas de un vivero (herramienta de reparación)
  * @param {string} viveroId - ID del vivero
  * @returns {Promise<Object>} Estadísticas calculadas
  */
@@ -31,17 +37,20 @@ export const calculateViveroStats = async (viveroId) => {
     try {
         console.log("📊 Calculando estadísticas del vivero:", viveroId);
 
-        // Obtener todas las camas del vivero
+        // Obtener todas las camas del vivero (sin las de la papelera)
         const camasRef = collection(db, "viveros", viveroId, "camas");
         const camasSnapshot = await getDocs(camasRef);
+        const camasDocs = camasSnapshot.docs.filter(camaDoc => !isTrashed(camaDoc.data()));
 
-        let totalCamas = camasSnapshot.size;
+        let totalCamas = camasDocs.length;
         let camasOcupadas = 0;
         let totalPlantas = 0;
         let totalEsquejesHistorico = 0;
+        let totalCortes = 0;
+        let ultimoCorte = null;
 
         // Procesar cada cama para obtener estadísticas
-        for (const camaDoc of camasSnapshot.docs) {
+        for (const camaDoc of camasDocs) {
             const camaData = camaDoc.data();
 
             // Contar camas ocupadas (que tienen plantas)
@@ -54,6 +63,10 @@ export const calculateViveroStats = async (viveroId) => {
             // Obtener estadísticas de cortes de esquejes
             const camaStats = await calculateCamaStats(viveroId, camaDoc.id);
             totalEsquejesHistorico += camaStats.totalEsquejesHistorico || 0;
+            totalCortes += camaStats.totalCortes || 0;
+            if (camaStats.ultimoCorte && (!ultimoCorte || camaStats.ultimoCorte > ultimoCorte)) {
+                ultimoCorte = camaStats.ultimoCorte;
+            }
         }
 
         const stats = {
@@ -62,6 +75,8 @@ export const calculateViveroStats = async (viveroId) => {
             camasLibres: totalCamas - camasOcupadas,
             totalPlantas,
             totalEsquejesHistorico,
+            totalCortes,
+            ultimoCorte,
             ultimaActualizacion: serverTimestamp()
         };
 
@@ -130,6 +145,8 @@ export const calculateCamaStats = async (viveroId, camaId) => {
 
 /**
  * Obtiene estadísticas resumidas de las plantas en un vivero
+ * Agrupa por especie del catálogo; las camas sin especie, por su nombre
+ * normalizado (así "Poto" y "poto " no cuentan como plantas distintas)
  * @param {string} viveroId - ID del vivero
  * @returns {Promise<Array>} Resumen de plantas por tipo
  */
@@ -145,11 +162,14 @@ export const getViveroPlantasSummary = async (viveroId) => {
         // Procesar cada cama
         for (const camaDoc of camasSnapshot.docs) {
             const camaData = camaDoc.data();
-            const planta = camaData.nombrePlanta || "Sin clasificar";
+            const planta = camaData.nombrePlanta ? getPlantaKey(camaData) : "sin_clasificar";
+
+            if (isTrashed(camaData)) continue;
 
             if (!plantasSummary[planta]) {
                 plantasSummary[planta] = {
-                    nombrePlanta: planta,
+                    especieId: camaData.especieId || null,
+                    nombrePlanta: camaData.nombrePlanta?.trim() || "Sin clasificar",
                     totalCamas: 0,
                     totalPlantas: 0,
                     totalEsquejesHistorico: 0
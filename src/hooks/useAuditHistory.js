@@ -0,0 +1,131 @@
+// src/hooks/useAuditHistory.js
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { AuditServices } from '../firebase/index.js';
+
+/**
+ * ============================================================================
+ * 📜 useAuditHistory Hook - React Hook for Change History
+ * ============================================================================
+ * Hook para consultar el historial de cambios de un vivero o de una cama
+ * Incluye filtro por usuario y recuperación de cortes eliminados
+ * ============================================================================
+ */
+
+/**
+ * Hook para el historial de cambios
+ * @param {string} viveroId - ID del vivero
+ * @param {Object} options - Opciones de configuración
+ * @param {string} options.camaId - Limitar el historial a una cama (default: null)
+ * @param {boolean} options.autoLoad - Cargar automáticamente (default: true)
+ * @returns {Object} Estado y funciones del hook
+ */
+export const useAuditHistory = (viveroId, options = {}) => {
+    const { camaId = null, autoLoad = true } = options;
+
+    // ============================================================================
+    // 📊 ESTADO DEL HOOK
+    // ============================================================================
+
+    const [entries, setEntries] = useState([]);
+    const [actorFilter, setActorFilter] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [restoring, setRestoring] = useState(false);
+    const [restoreError, setRestoreError] = useState(null);
+
+    // ============================================================================
+    // 🔄 CARGA DEL HISTORIAL
+    // ============================================================================
+
+    /**
+     * Carga el historial desde Firestore
+     */
+    const loadHistory = useCallback(async () => {
+        if (!viveroId) return;
+
+        try {
+            setLoading(true);
+            setError(null);
+
+            const data = await AuditServices.getAuditHistory(viveroId, { camaId });
+            setEntries(data);
+
+        } catch (error) {
+            console.error("❌ Error cargando historial:", error.message);
+            setError(error.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [viveroId, camaId]);
+
+    useEffect(() => {
+        if (autoLoad) {
+            loadHistory();
+        }
+    }, [autoLoad, loadHistory]);
+
+    // ============================================================================
+    // ♻️ RECUPERACIÓN
+    // ============================================================================
+
+    /**
+     * Recupera un corte eliminado desde su entrada de historial
+     */
+    const restoreCorte = useCallback(async (entry, userEmail) => {
+        try {
+            setRestoring(true);
+            setRestoreError(null);
+
+            const corteId = await AuditServices.restoreCorteFromAudit(entry, userEmail);
+            await loadHistory();
+            return corteId;
+
+        } catch (error) {
+            console.error("❌ Error recuperando corte:", error.message);
+            setRestoreError(error.message);
+            return null;
+        } finally {
+            setRestoring(false);
+        }
+    }, [loadHistory]);
+
+    // ============================================================================
+    // 🧮 VALORES DERIVADOS
+    // ============================================================================
+
+    const actors = useMemo(() => {
+        return [...new Set(entries.map(entry => entry.actor))].sort();
+    }, [entries]);
+
+    const filteredEntries = useMemo(() => {
+        return actorFilter ? entries.filter(entry => entry.actor === actorFilter) : entries;
+    }, [entries, actorFilter]);
+
+    // ============================================================================
+    // 📦 RETORNO DEL HOOK
+    // ============================================================================
+
+    return {
+        // Estado principal
+        entries: filteredEntries,
+        actors,
+        actorFilter,
+
+        // Estados de loading y error
+        loading,
+        error,
+        restoring,
+        restoreError,
+
+        // Acciones
+        loadHistory,
+        setActorFilter,
+        restoreCorte,
+
+        // Computed values útiles
+        totalEntries: entries.length,
+        hasEntries: entries.length > 0
+    };
+};
+
+export default useAuditHistory;
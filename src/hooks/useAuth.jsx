@@ -1,6 +1,14 @@
 // src/hooks/useAuth.js
 import { useState, useEffect, createContext, useContext } from "react";
 import { onAuthChange, signInWithGoogle, signOut } from "../firebase/auth.js";
+import {
+    ROLES,
+    getGlobalRole,
+    getEffectiveRole,
+    getRoleLabel,
+    hasPermission,
+    hasPermissionInAnyVivero
+} from "../firebase/roleService.js";
 
 // Context para compartir el estado de autenticación
 const AuthContext = createContext();
@@ -23,7 +31,7 @@ export const AuthProvider = ({ children }) => {
             setLoading(false);
 
             if (userData) {
-                console.log("✅ Usuario autenticado:", userData.email, "- Admin:", userData.isAdmin);
+                console.log("✅ Usuario autenticado:", userData.email, "- Rol:", getGlobalRole(userData));
             } else {
                 console.log("🚪 Usuario no autenticado");
             }
@@ -82,6 +90,9 @@ export const AuthProvider = ({ children }) => {
         setError(null);
     };
 
+    // Rol global del usuario (null si no hay sesión o la cuenta está desactivada)
+    const role = getGlobalRole(user);
+
     const value = {
         user,
         loading,
@@ -91,7 +102,14 @@ export const AuthProvider = ({ children }) => {
         clearError,
         // Helpers útiles
         isAuthenticated: !!user,
-        isAdmin: user?.isAdmin || false
+        isActive: !!user && user.activo !== false,
+        isAdmin: role === ROLES.PROPIETARIO,
+        // Roles y permisos (ver roleService.js)
+        role,
+        roleLabel: getRoleLabel(role),
+        getRoleIn: (viveroId) => getEffectiveRole(user, viveroId),
+        hasPermission: (permission, viveroId = null) => hasPermission(user, permission, viveroId),
+        hasPermissionInAnyVivero: (permission) => hasPermissionInAnyVivero(user, permission)
     };
 
     return (
@@ -1,10 +1,15 @@
 // src/hooks/useCamas.js
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import {
     CamaServices,
+    CamaEstadoServices,
     CortesServices,
     StatsServices,
-    UrlServices
+    UrlServices,
+    OfflineServices,
+    StorageServices,
+    CamaFotosServices,
+    AggregateServices
 } from '../firebase/index.js';
 
 /**
@@ -14,21 +19,61 @@ import {
  * Hook personalizado para gestión completa de camas y cortes de esquejes
  * Integra servicios Firebase en estado React consistente
  * Manejo robusto de operaciones jerárquicas vivero → cama → cortes
+ * Escrituras de campo (cortes y estados) con cola offline vía OfflineServices
+ * Las fotos de un corte se suben antes de registrarlo; sin conexión el corte
+ * se encola sin ellas
+ * Las estadísticas de la cama son las guardadas (incrementales); promedio y
+ * productividad se derivan de sus totales sin leer los cortes
+ * Listas paginadas por cursor: loadMoreCamas / loadMoreCortes agregan la
+ * página siguiente al estado
+ * Modo tiempo real (realtime): la primera página de camas, la cama
+ * seleccionada y sus últimos cortes se escuchan con listeners (o sondeo si
+ * no están disponibles); las páginas siguientes se cargan como siempre
  * ============================================================================
  */
 
+// Cortes por página en el historial de la cama seleccionada
+const CORTES_PAGE_SIZE = 50;
+
+const DEFAULT_CORTES_QUERY = {
+    orderBy: 'fecha',
+    orderDirection: 'desc',
+    pageSize: CORTES_PAGE_SIZE
+};
+
+/**
+ * Combina la primera página recibida de un listener con las páginas
+ * siguientes ya cargadas (las que no estaban en la primera página anterior)
+ * @param {Array} prevItems - Lista actual
+ * @param {Array} head - Primera página recibida
+ * @param {Set} prevHeadIds - IDs de la primera página anterior
+ * @returns {Array} Lista actualizada
+ */
+const mergeLiveHead = (prevItems, head, prevHeadIds) => {
+    const headIds = new Set(head.map(item => item.id));
+    const siguientes = prevItems.filter(item => !headIds.has(item.id) && !prevHeadIds.has(item.id));
+    return [...head, ...siguientes];
+};
+
 /**
  * Hook personalizado para gestión de camas
  * @param {string} viveroId - ID del vivero (requerido)
  * @param {Object} options - Opciones del hook
  * @param {boolean} options.autoLoad - Cargar automáticamente al montar
- * @param {boolean} options.includeStats - Incluir estadísticas en loads
+ * @param {boolean} options.includeStats - Calcular las estadísticas detalladas
+ *   de la cama seleccionada (los contadores de la lista ya vienen guardados)
+ * @param {number} options.pageSize - Camas por página; sin valor se cargan todas
+ * @param {boolean} options.realtime - Escuchar cambios en lugar de cargar una vez
+ * @param {number} options.pollInterval - Intervalo del sondeo de respaldo (ms)
  * @returns {Object} Estado y funciones del hook
  */
 export const useCamas = (viveroId, options = {}) => {
     const {
         autoLoad = true,
-        includeStats = false
+        includeStats = false,
+        pageSize = null,
+        realtime = false,
+        pollInterval
     } = options;
 
     // ============================================================================
@@ -47,6 +92,8 @@ export const useCamas = (viveroId, options = {}) => {
     const [loadingDelete, setLoadingDelete] = useState(false);
     const [loadingStats, setLoadingStats] = useState(false);
     const [loadingCortes, setLoadingCortes] = useState(false);
+    const [loadingMoreCamas, setLoadingMoreCamas] = useState(false);
+    const [loadingMoreCortes, setLoadingMoreCortes] = useState(false);
 
     // Estados de error
     const [error, setError] = useState(null);
@@ -59,6 +106,18 @@ export const useCamas = (viveroId, options = {}) => {
     const [camasStats, setCamasStats] = useState(null);
     const [lastUpdated, setLastUpdated] = useState(null);
 
+    // Paginación: el cursor no se muestra, solo si quedan páginas
+    const [hasMoreCamas, setHasMoreCamas] = useState(false);
+    const [hasMoreCortes, setHasMoreCortes] = useState(false);
+    const camasCursorRef = useRef(null);
+    const cortesQueryRef = useRef(null);
+    const camasPaginasExtraRef = useRef(false);
+
+    // Tiempo real: modo de las suscripciones (REALTIME_MODOS) y primera página escuchada
+    const [realtimeMode, setRealtimeMode] = useState(null);
+    const camasHeadIdsRef = useRef(new Set());
+    const cortesHeadIdsRef = useRef(new Set());
+
     // ============================================================================
     // ✅ VALIDACIÓN INICIAL
     // ============================================================================
@@ -74,7 +133,7 @@ export const useCamas = (viveroId, options = {}) => {
     // ============================================================================
 
     /**
-     * Carga todas las camas del vivero
+     * Carga las camas del vivero (la primera página si hay pageSize)
      */
     const loadCamas = useCallback(async (forceRefresh = false) => {
         if (!viveroId) {
@@ -90,25 +149,22 @@ export const useCamas = (viveroId, options = {}) => {
 
             console.log("🔄 Cargando camas del vivero:", viveroId);
 
-            let camasData = await CamaServices.getCamasFromVivero(viveroId, {
-                orderBy: 'updatedAt'
-            });
-
-            // Si se requieren estadísticas actualizadas
-            if (includeStats && camasData.length > 0) {
-                console.log("📊 Actualizando estadísticas de camas...");
-                camasData = await Promise.all(
-                    camasData.map(async (cama) => {
-                        try {
-                            // Usar la función correcta del StatsServices
-                            const stats = await StatsServices.calculateCamaStats(viveroId, cama.id);
-                            return { ...cama, estadisticas: stats };
-                        } catch (error) {
-                            console.warn(`⚠️ Error actualizando stats de cama ${cama.id}:`, error.message);
-                            return cama; // Devolver sin stats actualizadas
-                        }
-                    })
-                );
+            // Los contadores de cada cama se actualizan en cada escritura de corte
+            let camasData;
+            if (pageSize) {
+                const page = await CamaServices.getCamasFromViveroPage(viveroId, {
+                    orderBy: 'updatedAt',
+                    pageSize
+                });
+                camasData = page.items;
+                camasCursorRef.current = page.cursor;
+                camasPaginasExtraRef.current = false;
+                setHasMoreCamas(page.hasMore);
+            } else {
+                camasData = await CamaServices.getCamasFromVivero(viveroId, {
+                    orderBy: 'updatedAt'
+                });
+                setHasMoreCamas(false);
             }
 
             setCamas(camasData);
@@ -122,7 +178,41 @@ export const useCamas = (viveroId, options = {}) => {
         } finally {
             setLoading(false);
         }
-    }, [viveroId, includeStats, loading]);
+    }, [viveroId, pageSize, loading]);
+
+    /**
+     * Agrega la página siguiente de camas (requiere pageSize)
+     */
+    const loadMoreCamas = useCallback(async () => {
+        if (!viveroId || !pageSize || !hasMoreCamas || loadingMoreCamas) return;
+
+        try {
+            setLoadingMoreCamas(true);
+
+            const page = await CamaServices.getCamasFromViveroPage(viveroId, {
+                orderBy: 'updatedAt',
+                pageSize,
+                cursor: camasCursorRef.current
+            });
+
+            camasCursorRef.current = page.cursor;
+            camasPaginasExtraRef.current = true;
+            // Una cama actualizada mientras tanto puede reaparecer más abajo
+            setCamas(prevCamas => [
+                ...prevCamas,
+                ...page.items.filter(cama => !prevCamas.some(prev => prev.id === cama.id))
+            ]);
+            setHasMoreCamas(page.hasMore);
+
+            console.log(`✅ ${page.items.length} camas más cargadas`);
+
+        } catch (error) {
+            console.error("❌ Error cargando más camas:", error.message);
+            setError(`Error al cargar camas: ${error.message}`);
+        } finally {
+            setLoadingMoreCamas(false);
+        }
+    }, [viveroId, pageSize, hasMoreCamas, loadingMoreCamas]);
 
     /**
      * Carga una cama específica con sus cortes
@@ -142,14 +232,8 @@ export const useCamas = (viveroId, options = {}) => {
             const cama = await CamaServices.getCama(viveroId, camaId);
 
             if (cama) {
-                // Calcular estadísticas actualizadas
                 if (includeStats) {
-                    try {
-                        const stats = await StatsServices.calculateCamaStats(viveroId, camaId);
-                        cama.estadisticas = stats;
-                    } catch (error) {
-                        console.warn("⚠️ Error calculando stats:", error.message);
-                    }
+                    cama.estadisticas = AggregateServices.getCamaStatsDerivadas(cama.estadisticas);
                 }
 
                 setSelectedCama(cama);
@@ -174,7 +258,7 @@ export const useCamas = (viveroId, options = {}) => {
     }, [viveroId, includeStats]);
 
     /**
-     * Carga cortes de una cama específica
+     * Carga la primera página de cortes de una cama específica
      */
     const loadCamaCortes = useCallback(async (camaId, options = {}) => {
         if (!viveroId || !camaId) {
@@ -188,16 +272,15 @@ export const useCamas = (viveroId, options = {}) => {
 
             console.log("📋 Cargando cortes de cama:", camaId);
 
-            const cortes = await CortesServices.getCortesFromCama(viveroId, camaId, {
-                orderBy: 'fecha',
-                orderDirection: 'desc',
-                limitResults: 50, // Últimos 50 cortes
-                ...options
-            });
+            const queryOptions = { ...DEFAULT_CORTES_QUERY, ...options };
+
+            const page = await CortesServices.getCortesFromCamaPage(viveroId, camaId, queryOptions);
 
-            setSelectedCamaCortes(cortes);
+            cortesQueryRef.current = { camaId, options: queryOptions, cursor: page.cursor };
+            setSelectedCamaCortes(page.items);
+            setHasMoreCortes(page.hasMore);
 
-            console.log(`✅ ${cortes.length} cortes cargados`);
+            console.log(`✅ ${page.items.length} cortes cargados`);
 
         } catch (error) {
             console.error("❌ Error cargando cortes:", error.message);
@@ -207,6 +290,41 @@ export const useCamas = (viveroId, options = {}) => {
         }
     }, [viveroId]);
 
+    /**
+     * Agrega la página siguiente de cortes de la cama cargada
+     */
+    const loadMoreCortes = useCallback(async () => {
+        const cortesQuery = cortesQueryRef.current;
+        if (!viveroId || !cortesQuery || !hasMoreCortes || loadingMoreCortes) return;
+
+        try {
+            setLoadingMoreCortes(true);
+
+            const page = await CortesServices.getCortesFromCamaPage(viveroId, cortesQuery.camaId, {
+                ...cortesQuery.options,
+                cursor: cortesQuery.cursor
+            });
+
+            // Si mientras tanto se cargó otra cama, la página ya no aplica
+            if (cortesQueryRef.current !== cortesQuery) return;
+
+            cortesQueryRef.current = { ...cortesQuery, cursor: page.cursor, paginasExtra: true };
+            setSelectedCamaCortes(prevCortes => [
+                ...prevCortes,
+                ...page.items.filter(corte => !prevCortes.some(prev => prev.id === corte.id))
+            ]);
+            setHasMoreCortes(page.hasMore);
+
+            console.log(`✅ ${page.items.length} cortes más cargados`);
+
+        } catch (error) {
+            console.error("❌ Error cargando más cortes:", error.message);
+            setCortesError(`Error al cargar cortes: ${error.message}`);
+        } finally {
+            setLoadingMoreCortes(false);
+        }
+    }, [viveroId, hasMoreCortes, loadingMoreCortes]);
+
     /**
      * Carga estadísticas comparativas de todas las camas
      */
@@ -296,23 +414,31 @@ export const useCamas = (viveroId, options = {}) => {
 
             console.log("🔄 Actualizando cama:", camaId);
 
-            await CamaServices.updateCama(viveroId, camaId, updateData, userEmail);
+            // Datos que el usuario veía, para detectar conflictos al sincronizar
+            const base = camas.find(c => c.id === camaId)
+                || (selectedCama?.id === camaId ? selectedCama : null);
+
+            const { queued } = await OfflineServices.runOrQueue(
+                'updateCama',
+                { viveroId, camaId, updateData, userEmail },
+                { base }
+            );
 
             // Actualizar en el estado local si existe
             setCamas(prevCamas =>
                 prevCamas.map(cama =>
                     cama.id === camaId
-                        ? { ...cama, ...updateData, updatedAt: new Date() }
+                        ? { ...cama, ...updateData, updatedAt: new Date(), pendienteSync: queued }
                         : cama
                 )
             );
 
             // Actualizar cama seleccionada si corresponde
             if (selectedCama && selectedCama.id === camaId) {
-                setSelectedCama(prev => ({ ...prev, ...updateData }));
+                setSelectedCama(prev => ({ ...prev, ...updateData, pendienteSync: queued }));
             }
 
-            console.log("✅ Cama actualizada exitosamente");
+            console.log(queued ? "📥 Actualización de cama en cola offline" : "✅ Cama actualizada exitosamente");
 
         } catch (error) {
             console.error("❌ Error actualizando cama:", error.message);
@@ -321,12 +447,57 @@ export const useCamas = (viveroId, options = {}) => {
         } finally {
             setLoadingUpdate(false);
         }
-    }, [viveroId, selectedCama]);
+    }, [viveroId, camas, selectedCama]);
+
+    /**
+     * Actualiza el estado de varias camas a la vez
+     */
+    const updateCamasEstado = useCallback(async (camaIds, nuevoEstado, userEmail) => {
+        if (!viveroId || !Array.isArray(camaIds) || camaIds.length === 0) {
+            setUpdateError("viveroId y camaIds son requeridos");
+            return null;
+        }
+
+        try {
+            setLoadingUpdate(true);
+            setUpdateError(null);
+
+            console.log(`🔄 Actualizando estado de ${camaIds.length} camas a: ${nuevoEstado}`);
+
+            const { queued, result } = await OfflineServices.runOrQueue(
+                'updateMultipleCamasEstado',
+                { viveroId, camaIds, nuevoEstado, userEmail },
+                { base: camas }
+            );
+
+            setCamas(prevCamas =>
+                prevCamas.map(cama =>
+                    camaIds.includes(cama.id)
+                        ? { ...cama, estado: nuevoEstado, updatedAt: new Date(), pendienteSync: queued }
+                        : cama
+                )
+            );
+
+            if (selectedCama && camaIds.includes(selectedCama.id)) {
+                setSelectedCama(prev => ({ ...prev, estado: nuevoEstado, pendienteSync: queued }));
+            }
+
+            console.log(queued ? "📥 Cambio de estado en cola offline" : "✅ Estados actualizados exitosamente");
+            return result;
+
+        } catch (error) {
+            console.error("❌ Error actualizando estados:", error.message);
+            setUpdateError(error.message);
+            throw error;
+        } finally {
+            setLoadingUpdate(false);
+        }
+    }, [viveroId, camas, selectedCama]);
 
     /**
      * Elimina una cama
      */
-    const deleteCama = useCallback(async (camaId) => {
+    const deleteCama = useCallback(async (camaId, userEmail) => {
         if (!viveroId || !camaId) {
             setDeleteError("viveroId y camaId son requeridos");
             return;
@@ -338,7 +509,7 @@ export const useCamas = (viveroId, options = {}) => {
 
             console.log("🗑️ Eliminando cama:", camaId);
 
-            await CamaServices.deleteCama(viveroId, camaId);
+            await CamaServices.deleteCama(viveroId, camaId, userEmail);
 
             // Remover del estado local
             setCamas(prevCamas =>
@@ -368,8 +539,13 @@ export const useCamas = (viveroId, options = {}) => {
 
     /**
      * Crea un nuevo corte de esquejes
+     * Sin conexión queda en la cola offline (sin fotos) y retorna null
+     * @param {string} camaId - ID de la cama
+     * @param {Object} corteData - Datos del corte
+     * @param {string} userEmail - Email del usuario
+     * @param {Object} options - { fotos: archivos elegidos por el usuario }
      */
-    const createCorte = useCallback(async (camaId, corteData, userEmail) => {
+    const createCorte = useCallback(async (camaId, corteData, userEmail, options = {}) => {
         if (!viveroId || !camaId) {
             setCortesError("viveroId y camaId son requeridos");
             return null;
@@ -387,15 +563,67 @@ export const useCamas = (viveroId, options = {}) => {
 
             console.log("✂️ Creando nuevo corte:", corteData.cantidadEsquejes, "esquejes");
 
-            const corteId = await CortesServices.createCorte(viveroId, camaId, corteData, userEmail);
+            // Las fotos no entran en la cola offline: se suben ahora y el corte
+            // guarda sus referencias
+            const archivos = options.fotos || [];
+            const subirFotos = archivos.length > 0 && OfflineServices.isOnline();
+            const fotos = [];
+            if (archivos.length > 0 && !subirFotos) {
+                console.warn("⚠️ Sin conexión: el corte se encola sin sus fotos");
+            }
+
+            let queued, corteId, entryId;
+            try {
+                if (subirFotos) {
+                    const carpeta = CamaFotosServices.getCarpetaFotosCama(viveroId, camaId, CamaFotosServices.FOTO_ORIGENES.CORTE);
+                    for (const archivo of archivos) {
+                        fotos.push(await StorageServices.uploadFoto(carpeta, archivo, userEmail));
+                    }
+                }
+
+                ({ queued, result: corteId, entryId } = await OfflineServices.runOrQueue(
+                    'createCorte',
+                    { viveroId, camaId, corteData: { ...corteData, fotos }, userEmail }
+                ));
+            } catch (error) {
+                // Sin corte que las referencie, las fotos ya subidas quedarían huérfanas
+                await Promise.allSettled(fotos.map(StorageServices.deleteFoto));
+                throw error;
+            }
+
+            // Sin conexión: mostrar el corte como pendiente de sincronizar
+            if (queued) {
+                if (selectedCama && selectedCama.id === camaId) {
+                    setSelectedCamaCortes(prevCortes => [
+                        { id: entryId, ...corteData, fotos, createdBy: userEmail, pendienteSync: true },
+                        ...prevCortes
+                    ]);
+                }
 
-            // Recargar cortes de la cama si es la seleccionada
+                console.log("📥 Corte guardado en cola offline:", entryId);
+                return null;
+            }
+
+            // Recargar cortes y estadísticas de la cama si es la seleccionada
             if (selectedCama && selectedCama.id === camaId) {
                 await loadCamaCortes(camaId);
+
+                // El corte ya actualizó las estadísticas guardadas de la cama
+                try {
+                    const cama = await CamaServices.getCama(viveroId, camaId);
+                    if (cama && includeStats) {
+                        cama.estadisticas = AggregateServices.getCamaStatsDerivadas(cama.estadisticas);
+                    }
+                    setSelectedCama(prev =>
+                        prev && prev.id === camaId && cama ? cama : prev
+                    );
+                } catch (error) {
+                    console.warn("⚠️ Error recargando cama:", error.message);
+                }
             }
 
-            // Recargar camas para actualizar estadísticas
-            if (includeStats) {
+            // Recargar camas para actualizar estadísticas (solo si la lista está cargada)
+            if (includeStats && camas.length > 0) {
                 await loadCamas(true);
             }
 
@@ -409,7 +637,7 @@ export const useCamas = (viveroId, options = {}) => {
         } finally {
             setLoadingCortes(false);
         }
-    }, [viveroId, selectedCama, includeStats, loadCamas, loadCamaCortes]);
+    }, [viveroId, selectedCama, includeStats, camas.length, loadCamas, loadCamaCortes]);
 
     /**
      * Actualiza un corte existente
@@ -451,7 +679,7 @@ export const useCamas = (viveroId, options = {}) => {
     /**
      * Elimina un corte
      */
-    const deleteCorte = useCallback(async (camaId, corteId) => {
+    const deleteCorte = useCallback(async (camaId, corteId, userEmail) => {
         if (!viveroId || !camaId || !corteId) {
             setCortesError("viveroId, camaId y corteId son requeridos");
             return;
@@ -463,7 +691,7 @@ export const useCamas = (viveroId, options = {}) => {
 
             console.log("🗑️ Eliminando corte:", corteId);
 
-            await CortesServices.deleteCorte(viveroId, camaId, corteId);
+            await CortesServices.deleteCorte(viveroId, camaId, corteId, userEmail);
 
             // Remover del estado local
             setSelectedCamaCortes(prevCortes =>
@@ -507,6 +735,8 @@ export const useCamas = (viveroId, options = {}) => {
     const clearSelectedCama = useCallback(() => {
         setSelectedCama(null);
         setSelectedCamaCortes([]);
+        setHasMoreCortes(false);
+        cortesQueryRef.current = null;
     }, []);
 
     /**
@@ -533,6 +763,13 @@ export const useCamas = (viveroId, options = {}) => {
         return UrlServices.generateCamaUrls(viveroId, camaId, baseUrl);
     }, [viveroId]);
 
+    /**
+     * Valida datos de un corte de esquejes
+     */
+    const validateCorteData = useCallback((corteData) => {
+        return CortesServices.validateCorteData(corteData);
+    }, []);
+
     /**
      * Valida datos de cama
      */
@@ -564,12 +801,125 @@ export const useCamas = (viveroId, options = {}) => {
     // 🔄 EFECTOS
     // ============================================================================
 
-    // Carga inicial automática
+    // Carga inicial automática (en tiempo real la hace el listener)
     useEffect(() => {
-        if (autoLoad && viveroId) {
+        if (autoLoad && !realtime && viveroId) {
             loadCamas();
         }
-    }, [autoLoad, viveroId, loadCamas]);
+    }, [autoLoad, realtime, viveroId, loadCamas]);
+
+    // Camas del vivero en tiempo real (la primera página si hay pageSize)
+    useEffect(() => {
+        if (!autoLoad || !realtime || !viveroId) return;
+
+        setLoading(true);
+        camasHeadIdsRef.current = new Set();
+        camasPaginasExtraRef.current = false;
+
+        const unsubscribe = CamaServices.subscribeToCamasFromVivero(
+            viveroId,
+            { orderBy: 'updatedAt', pageSize, pollIntervalMs: pollInterval },
+            {
+                onData: (head, { cursor, hasMore }) => {
+                    const prevHeadIds = camasHeadIdsRef.current;
+                    camasHeadIdsRef.current = new Set(head.map(cama => cama.id));
+
+                    setCamas(prevCamas => mergeLiveHead(prevCamas, head, prevHeadIds));
+
+                    // Mientras no se hayan pedido más páginas, se sigue desde la escuchada
+                    if (!camasPaginasExtraRef.current) {
+                        camasCursorRef.current = cursor;
+                        setHasMoreCamas(hasMore);
+                    }
+
+                    setLastUpdated(new Date());
+                    setError(null);
+                    setLoading(false);
+                },
+                onError: (error) => {
+                    setError(`Error al cargar camas: ${error.message}`);
+                    setLoading(false);
+                },
+                onModeChange: setRealtimeMode
+            }
+        );
+
+        return unsubscribe;
+    }, [autoLoad, realtime, viveroId, pageSize, pollInterval]);
+
+    // Cama seleccionada en tiempo real (incluye sus estadísticas guardadas)
+    const selectedCamaId = selectedCama?.id || null;
+
+    useEffect(() => {
+        if (!realtime || !viveroId || !selectedCamaId) return;
+
+        const unsubscribe = CamaServices.subscribeToCama(
+            viveroId,
+            selectedCamaId,
+            { pollIntervalMs: pollInterval },
+            {
+                onData: (cama) => {
+                    if (cama && includeStats) {
+                        cama.estadisticas = AggregateServices.getCamaStatsDerivadas(cama.estadisticas);
+                    }
+                    setSelectedCama(cama);
+                    setLastUpdated(new Date());
+                },
+                onError: (error) => setError(`Error al cargar cama: ${error.message}`),
+                onModeChange: setRealtimeMode
+            }
+        );
+
+        return unsubscribe;
+    }, [realtime, viveroId, selectedCamaId, pollInterval, includeStats]);
+
+    // Últimos cortes de la cama seleccionada en tiempo real
+    useEffect(() => {
+        if (!realtime || !viveroId || !selectedCamaId) return;
+
+        cortesHeadIdsRef.current = new Set();
+
+        const unsubscribe = CortesServices.subscribeToCortesFromCama(
+            viveroId,
+            selectedCamaId,
+            { pageSize: CORTES_PAGE_SIZE, pollIntervalMs: pollInterval },
+            {
+                onData: (head, { cursor, hasMore }) => {
+                    const cortesQuery = cortesQueryRef.current;
+                    const mismaCama = cortesQuery?.camaId === selectedCamaId;
+
+                    // Un historial filtrado por fechas no coincide con la página escuchada
+                    if (mismaCama && (cortesQuery.options.fechaDesde || cortesQuery.options.fechaHasta)) return;
+
+                    const prevHeadIds = cortesHeadIdsRef.current;
+                    cortesHeadIdsRef.current = new Set(head.map(corte => corte.id));
+
+                    setSelectedCamaCortes(prevCortes => {
+                        const previos = mismaCama ? prevCortes : [];
+
+                        // Los cortes guardados sin conexión siguen arriba hasta sincronizarse
+                        const enCola = new Set(OfflineServices.getOutboxState().entries.map(entry => entry.id));
+                        const pendientes = previos.filter(corte => corte.pendienteSync && enCola.has(corte.id));
+                        const confirmados = previos.filter(corte => !corte.pendienteSync);
+
+                        return [...pendientes, ...mergeLiveHead(confirmados, head, prevHeadIds)];
+                    });
+
+                    if (!mismaCama) {
+                        cortesQueryRef.current = { camaId: selectedCamaId, options: DEFAULT_CORTES_QUERY, cursor };
+                        setHasMoreCortes(hasMore);
+                    } else if (!cortesQuery.paginasExtra) {
+                        cortesQuery.cursor = cursor;
+                        setHasMoreCortes(hasMore);
+                    }
+                },
+                onError: (error) => setCortesError(`Error al cargar cortes: ${error.message}`),
+                onModeChange: setRealtimeMode
+            }
+        );
+
+        return unsubscribe;
+    }, [realtime, viveroId, selectedCamaId, pollInterval]);
 
     // ============================================================================
     // 📦 RETORNO DEL HOOK
@@ -582,6 +932,7 @@ export const useCamas = (viveroId, options = {}) => {
         selectedCamaCortes,
         camasStats,
         lastUpdated,
+        realtimeMode,
         viveroId,
 
         // Estados de loading
@@ -591,6 +942,12 @@ export const useCamas = (viveroId, options = {}) => {
         loadingDelete,
         loadingStats,
         loadingCortes,
+        loadingMoreCamas,
+        loadingMoreCortes,
+
+        // Paginación
+        hasMoreCamas,
+        hasMoreCortes,
 
         // Estados de error
         error,
@@ -603,11 +960,14 @@ export const useCamas = (viveroId, options = {}) => {
         loadCamas,
         loadCama,
         loadCamaCortes,
+        loadMoreCamas,
+        loadMoreCortes,
         loadCamasStats,
 
         // Operaciones CRUD de camas
         createCama,
         updateCama,
+        updateCamasEstado,
         deleteCama,
 
         // Operaciones de cortes
@@ -621,6 +981,7 @@ export const useCamas = (viveroId, options = {}) => {
         searchCamas,
         generateCamaUrls,
         validateCamaData,
+        validateCorteData,
 
         // Setters para control externo
         setSelectedCama,
@@ -628,7 +989,7 @@ export const useCamas = (viveroId, options = {}) => {
         // Computed values útiles
         hasCamas: camas.length > 0,
         totalCamas: camas.length,
-        camasActivas: camas.filter(c => c.estado === 'activa').length,
+        camasActivas: camas.filter(c => CamaEstadoServices.isCamaEnProduccion(c)).length,
         totalPlantas: camas.reduce((sum, cama) => sum + (cama.cantidadPlantas || 0), 0),
         totalEsquejesHistorico: camas.reduce((sum, cama) => sum + (cama.estadisticas?.totalEsquejesHistorico || 0), 0),
         isLoadingAny: loading || loadingCreate || loadingUpdate || loadingDelete || loadingStats || loadingCortes,
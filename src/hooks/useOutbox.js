@@ -0,0 +1,134 @@
+// src/hooks/useOutbox.js
+import { useState, useEffect, useCallback } from 'react';
+import { OfflineServices } from '../firebase/index.js';
+
+/**
+ * ============================================================================
+ * 📡 useOutbox Hook - React Hook for Offline Write Queue
+ * ============================================================================
+ * Hook para observar y gestionar la cola de escrituras offline
+ * Expone contadores de pendientes/fallidas/conflictos y acciones de resolución
+ * Inicia la sincronización automática al recuperar conexión
+ * ============================================================================
+ */
+
+/**
+ * Hook para la cola de escrituras offline
+ * @returns {Object} Estado y funciones del hook
+ */
+export const useOutbox = () => {
+    // ============================================================================
+    // 📊 ESTADO DEL HOOK
+    // ============================================================================
+
+    const [outbox, setOutbox] = useState(() => OfflineServices.getOutboxState());
+    const [actionLoading, setActionLoading] = useState(false);
+    const [actionError, setActionError] = useState(null);
+
+    // ============================================================================
+    // 🔄 SUSCRIPCIÓN A LA COLA
+    // ============================================================================
+
+    useEffect(() => {
+        const unsubscribe = OfflineServices.subscribeOutbox(setOutbox);
+
+        OfflineServices.startOutboxSync();
+        setOutbox(OfflineServices.getOutboxState());
+
+        return unsubscribe;
+    }, []);
+
+    // ============================================================================
+    // 🔧 ACCIONES
+    // ============================================================================
+
+    /**
+     * Ejecuta una acción de la cola con manejo de loading y error
+     */
+    const runAction = useCallback(async (action, errorMessage) => {
+        try {
+            setActionLoading(true);
+            setActionError(null);
+            return await action();
+        } catch (error) {
+            console.error(`❌ ${errorMessage}:`, error.message);
+            setActionError(`${errorMessage}: ${error.message}`);
+            return null;
+        } finally {
+            setActionLoading(false);
+        }
+    }, []);
+
+    /**
+     * Sincroniza ahora las operaciones pendientes
+     */
+    const syncNow = useCallback(() => {
+        return runAction(() => OfflineServices.replayOutbox(), "Error sincronizando");
+    }, [runAction]);
+
+    /**
+     * Reintenta una operación fallida o en conflicto
+     */
+    const retryEntry = useCallback((entryId) => {
+        return runAction(() => OfflineServices.retryEntry(entryId), "Error reintentando operación");
+    }, [runAction]);
+
+    /**
+     * Descarta una operación y conserva los datos del servidor
+     */
+    const discardEntry = useCallback((entryId) => {
+        OfflineServices.discardEntry(entryId);
+    }, []);
+
+    /**
+     * Aplica una operación en conflicto sobrescribiendo el servidor
+     */
+    const forceEntry = useCallback((entryId) => {
+        return runAction(() => OfflineServices.forceEntry(entryId), "Error aplicando operación");
+    }, [runAction]);
+
+    /**
+     * Activa o desactiva la simulación de modo offline
+     */
+    const toggleSimulatedOffline = useCallback(() => {
+        return runAction(
+            () => OfflineServices.setSimulatedOffline(!OfflineServices.getOutboxState().simulatedOffline),
+            "Error cambiando modo offline"
+        );
+    }, [runAction]);
+
+    // ============================================================================
+    // 📦 RETORNO DEL HOOK
+    // ============================================================================
+
+    return {
+        // Estado principal
+        entries: outbox.entries,
+        isOnline: outbox.isOnline,
+        simulatedOffline: outbox.simulatedOffline,
+        replaying: outbox.replaying,
+
+        // Contadores
+        pendingCount: outbox.pending,
+        failedCount: outbox.failed,
+        conflictCount: outbox.conflicts,
+
+        // Estados de loading y error
+        actionLoading,
+        actionError,
+
+        // Acciones
+        syncNow,
+        retryEntry,
+        discardEntry,
+        forceEntry,
+        toggleSimulatedOffline,
+
+        // Computed values útiles
+        hasPending: outbox.pending > 0,
+        needsAttention: outbox.failed + outbox.conflicts > 0,
+        totalCount: outbox.entries.length
+    };
+};
+
+export default useOutbox;
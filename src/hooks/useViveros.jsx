@@ -14,6 +14,8 @@ import {
  * Hook personalizado para gestión completa de viveros
  * Integra todos los servicios Firebase en un estado React consistente
  * Manejo robusto de loading, errores y operaciones asíncronas
+ * Modo tiempo real (realtime): la lista y el vivero seleccionado se mantienen
+ * al día con listeners; si no están disponibles se sondea cada pollInterval
  * ============================================================================
  */
 
@@ -21,15 +23,17 @@ import {
  * Hook personalizado para gestión de viveros
  * @param {Object} options - Opciones del hook
  * @param {boolean} options.autoLoad - Cargar automáticamente al montar
- * @param {boolean} options.includeStats - Incluir estadísticas en loads
  * @param {boolean} options.publicOnly - Solo viveros públicos
+ * @param {boolean} options.realtime - Escuchar cambios en lugar de cargar una vez
+ * @param {number} options.pollInterval - Intervalo del sondeo de respaldo (ms)
  * @returns {Object} Estado y funciones del hook
  */
 export const useViveros = (options = {}) => {
     const {
         autoLoad = true,
-        includeStats = false,
-        publicOnly = false
+        publicOnly = false,
+        realtime = false,
+        pollInterval
     } = options;
 
     // ============================================================================
@@ -59,6 +63,9 @@ export const useViveros = (options = {}) => {
     const [globalStats, setGlobalStats] = useState(null);
     const [lastUpdated, setLastUpdated] = useState(null);
 
+    // Modo de las suscripciones activas (REALTIME_MODOS) o null sin realtime
+    const [realtimeMode, setRealtimeMode] = useState(null);
+
     // ============================================================================
     // 🔄 FUNCIONES DE CARGA
     // ============================================================================
@@ -80,22 +87,8 @@ export const useViveros = (options = {}) => {
                 orderBy: 'updatedAt'
             };
 
-            let viverosData = await ViveroServices.getAllViveros(loadOptions);
-
-            // Si se requieren estadísticas actualizadas
-            if (includeStats && viverosData.length > 0) {
-                console.log("📊 Actualizando estadísticas...");
-                viverosData = await Promise.all(
-                    viverosData.map(async (vivero) => {
-                        try {
-                            return await StatsServices.getViveroWithUpdatedStats(vivero.id);
-                        } catch (error) {
-                            console.warn(`⚠️ Error actualizando stats de ${vivero.id}:`, error.message);
-                            return vivero; // Devolver sin stats actualizadas
-                        }
-                    })
-                );
-            }
+            // Las estadísticas guardadas se mantienen al día en cada escritura
+            const viverosData = await ViveroServices.getAllViveros(loadOptions);
 
             setViveros(viverosData);
             setLastUpdated(new Date());
@@ -108,12 +101,12 @@ export const useViveros = (options = {}) => {
         } finally {
             setLoading(false);
         }
-    }, [includeStats, publicOnly, loading]);
+    }, [publicOnly, loading]);
 
     /**
      * Carga un vivero específico
      */
-    const loadVivero = useCallback(async (viveroId, withStats = includeStats) => {
+    const loadVivero = useCallback(async (viveroId) => {
         if (!viveroId) {
             setError("ID de vivero requerido");
             return null;
@@ -125,12 +118,7 @@ export const useViveros = (options = {}) => {
 
             console.log("📄 Cargando vivero:", viveroId);
 
-            let vivero;
-            if (withStats) {
-                vivero = await StatsServices.getViveroWithUpdatedStats(viveroId);
-            } else {
-                vivero = await ViveroServices.getVivero(viveroId);
-            }
+            const vivero = await ViveroServices.getVivero(viveroId);
 
             if (vivero) {
                 setSelectedVivero(vivero);
@@ -146,7 +134,7 @@ export const useViveros = (options = {}) => {
         } finally {
             setLoading(false);
         }
-    }, [includeStats]);
+    }, []);
 
     /**
      * Carga estadísticas globales
@@ -252,14 +240,14 @@ export const useViveros = (options = {}) => {
     /**
      * Elimina un vivero
      */
-    const deleteVivero = useCallback(async (viveroId) => {
+    const deleteVivero = useCallback(async (viveroId, userEmail) => {
         try {
             setLoadingDelete(true);
             setDeleteError(null);
 
             console.log("🗑️ Eliminando vivero:", viveroId);
 
-            await ViveroServices.deleteVivero(viveroId);
+            await ViveroServices.deleteVivero(viveroId, userEmail);
 
             // Remover del estado local
             setViveros(prevViveros =>
@@ -289,14 +277,14 @@ export const useViveros = (options = {}) => {
     /**
      * Actualiza ubicación GPS de un vivero
      */
-    const updateViveroGPS = useCallback(async (viveroId, gpsOptions = {}) => {
+    const updateViveroGPS = useCallback(async (viveroId, gpsOptions = {}, userEmail = null) => {
         try {
             setLoadingGPS(true);
             setGpsError(null);
 
             console.log("📡 Obteniendo y guardando GPS para vivero:", viveroId);
 
-            const gpsResult = await LocationServices.captureAndSaveGPS(viveroId, gpsOptions);
+            const gpsResult = await LocationServices.captureAndSaveGPS(viveroId, gpsOptions, userEmail);
 
             // Actualizar en el estado local
             setViveros(prevViveros =>
@@ -343,12 +331,12 @@ export const useViveros = (options = {}) => {
     /**
      * Actualiza ubicación manual de un vivero
      */
-    const updateViveroUbicacionManual = useCallback(async (viveroId, direccion) => {
+    const updateViveroUbicacionManual = useCallback(async (viveroId, direccion, userEmail = null) => {
         try {
             setLoadingUpdate(true);
             setUpdateError(null);
 
-            await LocationServices.updateViveroUbicacionManual(viveroId, direccion);
+            await LocationServices.updateViveroUbicacionManual(viveroId, direccion, userEmail);
 
             // Actualizar en el estado local
             setViveros(prevViveros =>
@@ -396,7 +384,7 @@ export const useViveros = (options = {}) => {
     // ============================================================================
 
     /**
-     * Recalcula estadísticas de un vivero
+     * Recalcula desde cero las estadísticas de un vivero (reparación de contadores)
      */
     const recalculateViveroStats = useCallback(async (viveroId) => {
         try {
@@ -503,12 +491,59 @@ export const useViveros = (options = {}) => {
     // 🔄 EFECTOS
     // ============================================================================
 
-    // Carga inicial automática
+    // Carga inicial automática (en tiempo real la hace el listener)
     useEffect(() => {
-        if (autoLoad) {
+        if (autoLoad && !realtime) {
             loadViveros();
         }
-    }, [autoLoad, loadViveros]);
+    }, [autoLoad, realtime, loadViveros]);
+
+    // Lista de viveros en tiempo real
+    useEffect(() => {
+        if (!autoLoad || !realtime) return;
+
+        setLoading(true);
+        const unsubscribe = ViveroServices.subscribeToViveros(
+            { publicOnly, orderBy: 'updatedAt', pollIntervalMs: pollInterval },
+            {
+                onData: (viverosData) => {
+                    setViveros(viverosData);
+                    setLastUpdated(new Date());
+                    setError(null);
+                    setLoading(false);
+                },
+                onError: (error) => {
+                    setError(`Error al cargar viveros: ${error.message}`);
+                    setLoading(false);
+                },
+                onModeChange: setRealtimeMode
+            }
+        );
+
+        return unsubscribe;
+    }, [autoLoad, realtime, publicOnly, pollInterval]);
+
+    // Vivero seleccionado en tiempo real (incluye sus estadísticas guardadas)
+    const selectedViveroId = selectedVivero?.id || null;
+
+    useEffect(() => {
+        if (!realtime || !selectedViveroId) return;
+
+        const unsubscribe = ViveroServices.subscribeToVivero(
+            selectedViveroId,
+            { pollIntervalMs: pollInterval },
+            {
+                onData: (vivero) => {
+                    setSelectedVivero(vivero);
+                    setLastUpdated(new Date());
+                },
+                onError: (error) => setError(`Error al cargar vivero: ${error.message}`),
+                onModeChange: setRealtimeMode
+            }
+        );
+
+        return unsubscribe;
+    }, [realtime, selectedViveroId, pollInterval]);
 
     // ============================================================================
     // 📦 RETORNO DEL HOOK
@@ -520,6 +555,7 @@ export const useViveros = (options = {}) => {
         selectedVivero,
         globalStats,
         lastUpdated,
+        realtimeMode,
 
         // Estados de loading
         loading,
@@ -0,0 +1,52 @@
+// src/pages/CamaPage.jsx
+import { useParams, useNavigate } from 'react-router-dom';
+import {
+  Container,
+  Box,
+  Typography,
+  Alert,
+  Button
+} from '@mui/material';
+import CamaViewer from '../components/camas/CamaViewer.jsx';
+import { validateViveroId, validateCamaId } from '../firebase/viveros/viveroUrlService.js';
+
+/**
+ * Página pública de una cama, destino de la URL corta /v/:viveroId/c/:camaId
+ * que se codifica en el QR de cada cama. Valida los IDs con las mismas reglas
+ * del parser de URLs antes de consultar Firestore.
+ */
+const CamaPage = () => {
+  const { viveroId, camaId } = useParams();
+  const navigate = useNavigate();
+
+  const viveroValidation = validateViveroId(viveroId);
+  const camaValidation = validateCamaId(camaId);
+
+  if (!viveroValidation.valid || !camaValidation.valid) {
+    const errors = [...viveroValidation.errors, ...camaValidation.errors];
+
+    return (
+      <Container maxWidth="md" sx={{ py: 4 }}>
+        <Alert severity="error" sx={{ mb: 3 }}>
+          <Typography variant="body1" gutterBottom>
+            <strong>Código QR inválido</strong>
+          </Typography>
+          {errors.map((error) => (
+            <Typography key={error} variant="body2">
+              • {error}
+            </Typography>
+          ))}
+        </Alert>
+        <Box textAlign="center">
+          <Button variant="contained" onClick={() => navigate('/')}>
+            Ir al Inicio
+          </Button>
+        </Box>
+      </Container>
+    );
+  }
+
+  return <CamaViewer key={`${viveroId}/${camaId}`} viveroId={viveroId} camaId={camaId} />;
+};
+
+export default CamaPage;
@@ -23,7 +23,7 @@ import {
 import { useNavigate } from 'react-router-dom';
 
 const HomePage = () => {
-  const { user, isAdmin } = useAuth();
+  const { user, isAdmin, roleLabel } = useAuth();
   const navigate = useNavigate();
 
   const handleNavigation = (path) => {
@@ -54,7 +54,7 @@ const HomePage = () => {
           <Typography variant="body1">
             <strong>Usuario:</strong> {user?.name || 'Usuario'} ({user?.email})
             <br />
-            <strong>Rol:</strong> {isAdmin ? 'Administrador' : 'Usuario Estándar'}
+            <strong>Rol:</strong> {roleLabel}
           </Typography>
         </Alert>
       </Box>
@@ -0,0 +1,264 @@
+// src/test/firestoreMemoria.js
+
+/**
+ * ============================================================================
+ * 🧪 FIRESTORE EN MEMORIA - Apoyo para las pruebas de los servicios
+ * ============================================================================
+ * Reemplaza a "firebase/firestore" en vi.mock conservando los tipos reales
+ * (Timestamp, GeoPoint). Los documentos viven en un Map path → datos.
+ * - Rutas: collection, collectionGroup, doc (con ID automático) y sus parent
+ * - Consultas: where (==, !=, <, <=, >, >=, in, array-contains), orderBy,
+ *   limit y startAfter, como las resuelve Firestore (sin índices)
+ * - Escrituras: setDoc/updateDoc/deleteDoc, writeBatch y runTransaction
+ * - increment, serverTimestamp, deleteField, arrayUnion y arrayRemove
+ *
+ * Ejemplo:
+ *   const { store } = vi.hoisted(() => ({ store: new Map() }));
+ *   vi.mock("firebase/firestore", async (importOriginal) => {
+ *       const { createFirestoreMemoria } = await import("../../test/firestoreMemoria.js");
+ *       return createFirestoreMemoria(await importOriginal(), store);
+ *   });
+ * ============================================================================
+ */
+
+const isPlainObject = (value) =>
+    value !== null && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype;
+
+const lastSegment = (path) => path.split("/").pop();
+
+const getField = (data, fieldPath) =>
+    fieldPath.split(".").reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+const toComparable = (value) => {
+    if (value && typeof value.toMillis === "function") return value.toMillis();
+    if (value instanceof Date) return value.getTime();
+    return value;
+};
+
+const isEqualValue = (a, b) => JSON.stringify(toComparable(a)) === JSON.stringify(toComparable(b));
+
+const matchesWhere = (data, { field, op, value }) => {
+    const actual = getField(data, field);
+    if (op === "array-contains") return Array.isArray(actual) && actual.some(item => isEqualValue(item, value));
+    if (op === "in") return value.some(item => isEqualValue(actual, item));
+    if (actual === undefined) return false;
+    if (op === "==") return isEqualValue(actual, value);
+    if (op === "!=") return !isEqualValue(actual, value);
+
+    const a = toComparable(actual);
+    const b = toComparable(value);
+    if (op === "<") return a < b;
+    if (op === "<=") return a <= b;
+    if (op === ">") return a > b;
+    if (op === ">=") return a >= b;
+    throw new Error(`Operador no soportado en la prueba: ${op}`);
+};
+
+/**
+ * Crea el módulo de reemplazo de "firebase/firestore"
+ * @param {Object} actual - Módulo real (importOriginal)
+ * @param {Map} store - Documentos: path → datos
+ * @returns {Object} Módulo para vi.mock
+ */
+export const createFirestoreMemoria = (actual, store = new Map()) => {
+    let autoId = 0;
+
+    const makeCollection = (path) => ({
+        type: "collection",
+        path,
+        id: lastSegment(path),
+        get parent() {
+            const parts = path.split("/");
+            return parts.length > 1 ? makeDoc(parts.slice(0, -1).join("/")) : null;
+        }
+    });
+
+    const makeDoc = (path) => ({
+        type: "doc",
+        path,
+        id: lastSegment(path),
+        get parent() {
+            return makeCollection(path.split("/").slice(0, -1).join("/"));
+        }
+    });
+
+    const snapshot = (path) => ({
+        id: lastSegment(path),
+        ref: makeDoc(path),
+        exists: () => store.has(path),
+        data: () => store.get(path)
+    });
+
+    // Valores especiales: se resuelven al escribir
+    const sentinel = (op, value) => ({ __sentinel: op, value });
+
+    const resolveValue = (value, current) => {
+        if (value?.__sentinel === "serverTimestamp") return actual.Timestamp.now();
+        if (value?.__sentinel === "increment") return (Number(current) || 0) + value.value;
+        if (value?.__sentinel === "arrayUnion") {
+            const list = Array.isArray(current) ? [...current] : [];
+            value.value.forEach(item => {
+                if (!list.some(existing => isEqualValue(existing, item))) list.push(item);
+            });
+            return list;
+        }
+        if (value?.__sentinel === "arrayRemove") {
+            const list = Array.isArray(current) ? current : [];
+            return list.filter(existing => !value.value.some(item => isEqualValue(existing, item)));
+        }
+        if (isPlainObject(value)) {
+            return Object.fromEntries(Object.entries(value)
+                .filter(([, nested]) => nested?.__sentinel !== "deleteField")
+                .map(([key, nested]) => [key, resolveValue(nested, current?.[key])]));
+        }
+        return value;
+    };
+
+    const mergeValue = (current, value) => {
+        if (!isPlainObject(value) || value.__sentinel) return resolveValue(value, current);
+        const result = isPlainObject(current) ? { ...current } : {};
+        Object.entries(value).forEach(([key, nested]) => {
+            if (nested?.__sentinel === "deleteField") {
+                delete result[key];
+            } else {
+                result[key] = mergeValue(result[key], nested);
+            }
+        });
+        return result;
+    };
+
+    const applySet = (ref, data, options = {}) => {
+        store.set(ref.path, options.merge ? mergeValue(store.get(ref.path), data) : resolveValue(data));
+    };
+
+    const applyUpdate = (ref, data) => {
+        if (!store.has(ref.path)) {
+            throw new Error(`No document to update: ${ref.path}`);
+        }
+        const result = { ...store.get(ref.path) };
+        Object.entries(data).forEach(([fieldPath, value]) => {
+            const keys = fieldPath.split(".");
+            let target = result;
+            keys.slice(0, -1).forEach((key) => {
+                target[key] = isPlainObject(target[key]) ? { ...target[key] } : {};
+                target = target[key];
+            });
+            const key = keys[keys.length - 1];
+            if (value?.__sentinel === "deleteField") {
+                delete target[key];
+            } else {
+                target[key] = resolveValue(value, target[key]);
+            }
+        });
+        store.set(ref.path, result);
+    };
+
+    const createWriter = () => {
+        const operations = [];
+        const writer = {
+            set: (ref, data, options) => {
+                operations.push(() => applySet(ref, data, options));
+                return writer;
+            },
+            update: (ref, data) => {
+                operations.push(() => applyUpdate(ref, data));
+                return writer;
+            },
+            delete: (ref) => {
+                operations.push(() => store.delete(ref.path));
+                return writer;
+            }
+        };
+        return { writer, apply: () => operations.forEach(operation => operation()) };
+    };
+
+    const candidatePaths = (source) => [...store.keys()].filter((path) => {
+        const parts = path.split("/");
+        if (parts.length % 2 !== 0) return false;
+        if (source.type === "group") return parts[parts.length - 2] === source.id;
+        return parts.slice(0, -1).join("/") === source.path;
+    });
+
+    const runQuery = (ref) => {
+        const source = ref.type === "query" ? ref.source : ref;
+        const constraints = ref.type === "query" ? ref.constraints : [];
+
+        let paths = candidatePaths(source);
+        constraints.filter(c => c.kind === "where").forEach((constraint) => {
+            paths = paths.filter(path => matchesWhere(store.get(path), constraint));
+        });
+
+        const orders = constraints.filter(c => c.kind === "orderBy");
+        // Firestore no devuelve documentos sin el campo de orden
+        paths = paths.filter(path => orders.every(order => getField(store.get(path), order.field) !== undefined));
+        paths.sort((a, b) => {
+            for (const order of orders) {
+                const x = toComparable(getField(store.get(a), order.field));
+                const y = toComparable(getField(store.get(b), order.field));
+                if (x !== y) return (x < y ? -1 : 1) * (order.direction === "desc" ? -1 : 1);
+            }
+            return a < b ? -1 : a > b ? 1 : 0;
+        });
+
+        const cursor = constraints.filter(c => c.kind === "startAfter").pop();
+        if (cursor) {
+            paths = paths.slice(paths.indexOf(cursor.snapshot.ref.path) + 1);
+        }
+
+        const limitConstraint = constraints.filter(c => c.kind === "limit").pop();
+        if (limitConstraint) {
+            paths = paths.slice(0, limitConstraint.count);
+        }
+
+        const docs = paths.map(snapshot);
+        return { docs, size: docs.length, empty: docs.length === 0, forEach: (fn) => docs.forEach(fn) };
+    };
+
+    return {
+        ...actual,
+        collection: (parent, ...segments) => makeCollection([parent?.path, ...segments].filter(Boolean).join("/")),
+        collectionGroup: (db, id) => ({ type: "group", id }),
+        doc: (parent, ...segments) => makeDoc([
+            parent?.path,
+            ...(segments.length > 0 ? segments : [`auto_${String(++autoId).padStart(4, "0")}`])
+        ].filter(Boolean).join("/")),
+        query: (ref, ...constraints) => ref.type === "query"
+            ? { ...ref, constraints: [...ref.constraints, ...constraints] }
+            : { type: "query", source: ref, constraints },
+        where: (field, op, value) => ({ kind: "where", field, op, value }),
+        orderBy: (field, direction = "asc") => ({ kind: "orderBy", field, direction }),
+        limit: (count) => ({ kind: "limit", count }),
+        startAfter: (cursorSnapshot) => ({ kind: "startAfter", snapshot: cursorSnapshot }),
+        getDoc: async (ref) => snapshot(ref.path),
+        getDocs: async (ref) => runQuery(ref),
+        setDoc: async (ref, data, options) => applySet(ref, data, options),
+        updateDoc: async (ref, data) => applyUpdate(ref, data),
+        deleteDoc: async (ref) => {
+            store.delete(ref.path);
+        },
+        addDoc: async (ref, data) => {
+            const docRef = makeDoc(`${ref.path}/auto_${String(++autoId).padStart(4, "0")}`);
+            applySet(docRef, data);
+            return docRef;
+        },
+        writeBatch: () => {
+            const { writer, apply } = createWriter();
+            return { ...writer, commit: async () => apply() };
+        },
+        runTransaction: async (db, updateFunction) => {
+            const { writer, apply } = createWriter();
+            const result = await updateFunction({ ...writer, get: async (ref) => snapshot(ref.path) });
+            apply();
+            return result;
+        },
+        serverTimestamp: () => sentinel("serverTimestamp"),
+        increment: (value) => sentinel("increment", value),
+        deleteField: () => sentinel("deleteField"),
+        arrayUnion: (...values) => sentinel("arrayUnion", values),
+        arrayRemove: (...values) => sentinel("arrayRemove", values)
+    };
+};
+
+export default {
+    createFirestoreMemoria
+};